@@ -1,3 +1,7 @@
+import { complianceResolver } from '../services/ComplianceResolver.js';
+import { udyamClassifier } from '../services/UdyamClassifier.js';
+import { UDYAM_CATEGORIES } from '../data/udyamCriteria.js';
+
 /**
  * Classification Agent - Converts business profile into regulatory trigger bands
  * 
@@ -35,6 +39,7 @@ export class ClassificationAgent {
    * @returns {Object} Classification result with trigger bands
    * @returns {string} returns.employeeBand - Employee count band (NONE, MICRO, SMALL, MEDIUM, LARGE)
    * @returns {string} returns.turnoverBand - Turnover band (MICRO, SMALL, MEDIUM, LARGE, EXEMPT)
+   * @returns {Object} returns.msme - Udyam classification (category, reasons, benefits)
    * @returns {string} returns.industryCode - Standardized industry code
    * @returns {string} returns.stateCode - ISO state code
    * @returns {Object} returns.triggers - Specific regulatory triggers
@@ -47,6 +52,7 @@ export class ClassificationAgent {
     const classification = {
       employeeBand: this._classifyEmployeeBand(businessProfile),
       turnoverBand: this._classifyTurnoverBand(businessProfile),
+      msme: udyamClassifier.classify(businessProfile),
       industryCode: this._classifyIndustryCode(businessProfile.businessType),
       stateCode: this._classifyStateCode(businessProfile.state),
       triggers: this._identifyTriggers(businessProfile)
@@ -72,8 +78,8 @@ export class ClassificationAgent {
   _classifyEmployeeBand(businessProfile) {
     let employeeCount = businessProfile.employees;
 
-    // If employees not directly provided, infer from scale or investment
-    if (!employeeCount) {
+    // If employees not directly provided, infer from scale or investment (0 is a real answer)
+    if (employeeCount == null || employeeCount === '') {
       employeeCount = this._inferEmployeeCount(businessProfile);
     }
 
@@ -100,10 +106,10 @@ export class ClassificationAgent {
     }
 
     if (turnover < 4000000) return 'EXEMPT'; // Below GST threshold
-    if (turnover <= 5000000) return 'MICRO';  // Up to 5 Cr
-    if (turnover <= 75000000) return 'SMALL'; // Up to 75 Cr
-    if (turnover <= 2500000000) return 'MEDIUM'; // Up to 250 Cr
-    return 'LARGE';
+
+    // Udyam turnover limits: 5 Cr / 50 Cr / 250 Cr
+    const band = UDYAM_CATEGORIES.find(criteria => turnover <= criteria.maxTurnover);
+    return band ? band.category.toUpperCase() : 'LARGE';
   }
 
   /**
@@ -161,46 +167,8 @@ export class ClassificationAgent {
   _classifyStateCode(state) {
     if (!state) return 'UNKNOWN';
 
-    const stateMappings = {
-      'andhra pradesh': 'AP',
-      'assam': 'AS',
-      'bihar': 'BR',
-      'chhattisgarh': 'CT',
-      'goa': 'GA',
-      'gujarat': 'GJ',
-      'haryana': 'HR',
-      'himachal pradesh': 'HP',
-      'jharkhand': 'JH',
-      'karnataka': 'KA',
-      'kerala': 'KL',
-      'madhya pradesh': 'MP',
-      'maharashtra': 'MH',
-      'manipur': 'MN',
-      'meghalaya': 'ML',
-      'mizoram': 'MZ',
-      'nagaland': 'NL',
-      'odisha': 'OD',
-      'punjab': 'PB',
-      'rajasthan': 'RJ',
-      'sikkim': 'SK',
-      'tamil nadu': 'TN',
-      'telangana': 'TS',
-      'tripura': 'TR',
-      'uttar pradesh': 'UP',
-      'uttarakhand': 'UK',
-      'west bengal': 'WB',
-      'delhi': 'DL',
-      'mumbai': 'MH',
-      'bangalore': 'KA',
-      'chennai': 'TN',
-      'hyderabad': 'TS',
-      'pune': 'MH',
-      'kolkata': 'WB',
-      'patna': 'BR'
-    };
-
-    const normalizedState = state.toLowerCase().trim();
-    return stateMappings[normalizedState] || state.toUpperCase();
+    // Same codes as data/states.js, so state lookups line up with the compliance DB
+    return complianceResolver.normalizeStateCode(state) || state.toUpperCase();
   }
 
   /**
@@ -211,42 +179,21 @@ export class ClassificationAgent {
    * @returns {Object} Specific regulatory triggers
    */
   _identifyTriggers(businessProfile) {
-    const triggers = {
-      gstRequired: false,
-      fssaiRequired: false,
-      epfRequired: false,
-      esiRequired: false,
-      factoriesActRequired: false,
-      pollutionClearanceRequired: false,
-      shopsActRequired: false
-    };
-
-    const employeeCount = businessProfile.employees || this._inferEmployeeCount(businessProfile);
-    const turnover = businessProfile.annualTurnover || this._inferTurnover(businessProfile);
+    // Triggers mirror ComplianceResolver so they never disagree with the obligations shown
+    const { mandatory } = complianceResolver.resolve(businessProfile);
+    const required = new Set(mandatory.map(compliance => compliance.key));
     const industryCode = this._classifyIndustryCode(businessProfile.businessType);
 
-    // GST trigger
-    triggers.gstRequired = turnover >= 4000000;
-
-    // FSSAI trigger
-    triggers.fssaiRequired = industryCode === 'FOOD_BEVERAGE';
-
-    // EPF trigger
-    triggers.epfRequired = employeeCount >= 20;
-
-    // ESI trigger
-    triggers.esiRequired = employeeCount >= 10;
-
-    // Factories Act trigger
-    triggers.factoriesActRequired = industryCode === 'MANUFACTURING' && employeeCount >= 10;
-
-    // Pollution clearance trigger
-    triggers.pollutionClearanceRequired = industryCode === 'MANUFACTURING';
-
-    // Shops Act trigger (most commercial establishments)
-    triggers.shopsActRequired = ['RETAIL_TRADE', 'SERVICES', 'GENERAL'].includes(industryCode);
-
-    return triggers;
+    return {
+      gstRequired: required.has('GST'),
+      fssaiRequired: required.has('FSSAI'),
+      epfRequired: required.has('EPF'),
+      esiRequired: required.has('ESI'),
+      factoriesActRequired: required.has('FACTORIES_ACT'),
+      // Not modelled in the compliance DB yet
+      pollutionClearanceRequired: industryCode === 'MANUFACTURING',
+      shopsActRequired: required.has('SHOPS_ACT')
+    };
   }
 
   /**
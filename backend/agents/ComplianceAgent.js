@@ -1,26 +1,128 @@
-import { COMPLIANCE_DATABASE } from '../data/compliances.js';
+import { complianceResolver } from '../services/ComplianceResolver.js';
+import { fssaiTierSelector } from '../services/FssaiTierSelector.js';
+import { knowledgeBase as defaultKnowledgeBase } from '../services/KnowledgeBase.js';
+import { legalReferences } from '../services/LegalReferences.js';
+import { languageDetector } from '../services/LanguageDetector.js';
 
 /**
- * Compliance Agent - Maps trigger bands to specific compliance obligations
+ * Compliance Agent - Maps a business profile to specific compliance obligations
  * 
- * This agent is primarily deterministic and stateless. It takes classification
- * trigger bands and maps them to specific compliance obligations that a
- * business must fulfill. LLM is only used for plain-English explanations.
+ * This agent is primarily deterministic and stateless. Applicability is
+ * decided by ComplianceResolver; this agent turns each applicable compliance
+ * into concrete obligations. LLM is only used for plain-English explanations.
  * 
  * @author Senior Backend Architect
  * @version 1.0.0
  */
 
 /**
- * Compliance Agent for mapping triggers to obligations
+ * What each compliance asks of the business, keyed by compliance key
+ * (central ID or state-relative key such as SHOPS_ACT)
+ */
+const OBLIGATION_DETAILS = {
+  GST: {
+    description: 'Register for Goods and Services Tax',
+    obligations: [
+      'Register on GST portal within 30 days of liability',
+      'File monthly/quarterly returns as applicable',
+      'Maintain GST-compliant invoicing',
+      'Pay GST on time to avoid penalties'
+    ]
+  },
+  FSSAI: {
+    description: 'Obtain Food Safety and Standards Authority License',
+    obligations: [
+      'Apply for appropriate FSSAI license category',
+      'Display FSSAI license number prominently',
+      'Maintain food safety standards and hygiene',
+      'Renew license before expiry',
+      'Keep food safety records'
+    ]
+  },
+  EPF: {
+    description: 'Register for Employee Provident Fund',
+    obligations: [
+      'Register establishment with EPFO',
+      'Deduct 12% employee contribution from salary',
+      'Contribute 12% employer share',
+      'File monthly ECR returns',
+      'Provide EPF facility to all eligible employees'
+    ]
+  },
+  ESI: {
+    description: 'Register for Employee State Insurance',
+    obligations: [
+      'Register establishment with ESIC',
+      'Deduct 0.75% employee contribution',
+      'Contribute 3.25% employer share',
+      'Provide medical benefits to employees',
+      'File half-yearly returns'
+    ]
+  },
+  MSME_UDYAM: {
+    priority: 'MEDIUM',
+    description: 'Register as Micro, Small, or Medium Enterprise',
+    obligations: [
+      'Complete online Udyam registration',
+      'Update details annually if required',
+      'Maintain MSME certificate for benefits'
+    ]
+  },
+  PROFESSIONAL_TAX: {
+    priority: 'MEDIUM',
+    description: 'Register for state Professional Tax',
+    obligations: [
+      'Obtain employer registration certificate',
+      'Deduct professional tax from salaries',
+      'Deposit tax and file returns as per state schedule'
+    ]
+  },
+  SHOPS_ACT: {
+    description: 'Register under state Shops and Establishments Act',
+    obligations: [
+      'Submit application with required documents',
+      'Pay applicable fees',
+      'Display license at premises',
+      'Renew before expiry'
+    ]
+  },
+  FACTORIES_ACT: {
+    description: 'Register under state Factories Act',
+    obligations: [
+      'Submit factory plans and layouts',
+      'Obtain fire and pollution clearances',
+      'Register with Factory Inspector',
+      'Maintain safety compliance'
+    ]
+  },
+  TRADE_LICENSE: {
+    priority: 'MEDIUM',
+    description: 'Obtain local trade license',
+    obligations: [
+      'Apply to local municipal authority',
+      'Submit NOC from relevant departments',
+      'Pay license fees',
+      'Renew annually'
+    ]
+  }
+};
+
+/**
+ * Compliance Agent for mapping profiles to obligations
  * 
- * Takes classification trigger bands and deterministically maps them to
- * specific compliance obligations (not legal acts). Returns structured
+ * Takes the compliances resolved for a business profile and deterministically
+ * maps them to specific compliance obligations (not legal acts). Returns structured
  * obligation data with plain-English explanations via LLM.
  */
 export class ComplianceAgent {
-  constructor(ollamaService) {
-    this.ollamaService = ollamaService;
+  /**
+   * @param {LLMProvider} llm
+   * @param {Object} options
+   * @param {KnowledgeBase} options.knowledgeBase - Regulation passages explanations are grounded in
+   */
+  constructor(llm, { knowledgeBase = defaultKnowledgeBase } = {}) {
+    this.llm = llm;
+    this.knowledgeBase = knowledgeBase;
     this.name = 'ComplianceAgent';
   }
 
@@ -39,15 +141,18 @@ export class ComplianceAgent {
     
     try {
       // Step 1: Get obligations deterministically
-      const obligations = this.mapObligations(context.classification);
+      const obligations = this.mapObligations(businessProfile);
       
-      // Step 2: Generate plain-English explanations via LLM
-      const explanation = await this._generateExplanation(obligations, businessProfile, message);
+      // Step 2: Generate plain-English explanations via LLM, citing the regulation passages used
+      const { text, citations } = await this._generateExplanation(obligations, businessProfile, message, context);
       
       return {
-        message: explanation,
+        message: text,
         type: 'compliance',
         agent: this.name,
+        citations,
+        // Footnotes: the act, section and portal behind each obligation
+        references: legalReferences.collect(obligations),
         data: {
           obligations,
           obligationCount: obligations.length,
@@ -63,311 +168,86 @@ export class ComplianceAgent {
   }
 
   /**
-   * Map classification triggers to specific compliance obligations
+   * Map a business profile to specific compliance obligations
    * 
    * This is purely deterministic business logic. No LLM involvement.
+   * Applicability comes from ComplianceResolver so chat, dashboard and
+   * /api/compliance/evaluate always return the same obligation set.
    * 
-   * @param {Object} classification - Classification result from ClassificationAgent
+   * @param {Object} businessProfile - Business profile from the session
    * @returns {Array} Array of compliance obligation objects
    */
-  mapObligations(classification) {
-    if (!classification) {
-      throw new Error('Classification is required for obligation mapping');
-    }
-
-    const obligations = [];
-    const triggers = classification.triggers;
-    const stateCode = classification.stateCode;
-
-    // Central Government Obligations
-    if (triggers.gstRequired) {
-      obligations.push(this._mapGSTObligation());
-    }
-
-    if (triggers.fssaiRequired) {
-      obligations.push(this._mapFSSAIObligation());
-    }
-
-    if (triggers.epfRequired) {
-      obligations.push(this._mapEPFObligation());
-    }
-
-    if (triggers.esiRequired) {
-      obligations.push(this._mapESIObligation());
-    }
-
-    // MSME Registration (always beneficial, never mandatory)
-    obligations.push(this._mapMSMEObligation());
-
-    // State-specific obligations
-    const stateObligations = this._mapStateObligations(triggers, stateCode);
-    obligations.push(...stateObligations);
+  mapObligations(businessProfile) {
+    const { profile, obligations } = complianceResolver.resolve(businessProfile);
 
     // Sort by priority (mandatory first, then by timeline)
-    return obligations.sort((a, b) => {
-      if (a.mandatory !== b.mandatory) return b.mandatory - a.mandatory;
-      return this._parseTimelineDays(a.timeline) - this._parseTimelineDays(b.timeline);
-    });
-  }
-
-  /**
-   * Map GST Registration obligation
-   * 
-   * @private
-   * @returns {Object} GST obligation object
-   */
-  _mapGSTObligation() {
-    const gstData = COMPLIANCE_DATABASE.central.GST;
-    return {
-      id: 'GST_REGISTRATION',
-      name: 'GST Registration',
-      category: 'taxation',
-      mandatory: true,
-      priority: 'HIGH',
-      description: 'Register for Goods and Services Tax',
-      obligations: [
-        'Register on GST portal within 30 days of liability',
-        'File monthly/quarterly returns as applicable',
-        'Maintain GST-compliant invoicing',
-        'Pay GST on time to avoid penalties'
-      ],
-      documents: gstData.documents,
-      authority: gstData.authority,
-      timeline: gstData.timeline,
-      cost: gstData.cost,
-      penalties: gstData.penalties,
-      applicableWhen: 'Annual turnover exceeds ₹40 lakhs'
-    };
+    return obligations
+      .map(compliance => compliance.key === 'FSSAI'
+        ? this._mapFSSAIObligation(compliance, profile)
+        : this._mapObligation(compliance))
+      .sort((a, b) => {
+        if (a.mandatory !== b.mandatory) return b.mandatory - a.mandatory;
+        return this._parseTimelineDays(a.timeline) - this._parseTimelineDays(b.timeline);
+      });
   }
 
   /**
-   * Map FSSAI License obligation
+   * Enrich a resolved compliance with plain-language obligations
    * 
    * @private
-   * @returns {Object} FSSAI obligation object
+   * @param {Object} compliance - Compliance entry from ComplianceResolver
+   * @returns {Object} Obligation object
    */
-  _mapFSSAIObligation() {
-    const fssaiData = COMPLIANCE_DATABASE.central.FSSAI;
-    return {
-      id: 'FSSAI_LICENSE',
-      name: 'FSSAI Food License',
-      category: 'food_safety',
-      mandatory: true,
-      priority: 'HIGH',
-      description: 'Obtain Food Safety and Standards Authority License',
-      obligations: [
-        'Apply for appropriate FSSAI license category',
-        'Display FSSAI license number prominently',
-        'Maintain food safety standards and hygiene',
-        'Renew license before expiry',
-        'Keep food safety records'
-      ],
-      documents: fssaiData.documents,
-      authority: fssaiData.authority,
-      timeline: fssaiData.timeline,
-      cost: fssaiData.cost,
-      penalties: fssaiData.penalties,
-      applicableWhen: 'Food business operations'
-    };
-  }
+  _mapObligation(compliance) {
+    const details = OBLIGATION_DETAILS[compliance.key] || {};
+    const mandatory = compliance.mandatory !== false;
 
-  /**
-   * Map EPF Registration obligation
-   * 
-   * @private
-   * @returns {Object} EPF obligation object
-   */
-  _mapEPFObligation() {
-    const epfData = COMPLIANCE_DATABASE.central.EPF;
     return {
-      id: 'EPF_REGISTRATION',
-      name: 'Employee Provident Fund',
-      category: 'labor',
-      mandatory: true,
-      priority: 'HIGH',
-      description: 'Register for Employee Provident Fund',
-      obligations: [
-        'Register establishment with EPFO',
-        'Deduct 12% employee contribution from salary',
-        'Contribute 12% employer share',
-        'File monthly ECR returns',
-        'Provide EPF facility to all eligible employees'
-      ],
-      documents: epfData.documents,
-      authority: epfData.authority,
-      timeline: epfData.timeline,
-      cost: epfData.cost,
-      applicableWhen: '20 or more employees'
+      id: compliance.id,
+      name: compliance.name,
+      category: compliance.category,
+      mandatory,
+      priority: details.priority || (mandatory ? 'HIGH' : 'MEDIUM'),
+      description: details.description || `Register for ${compliance.name}`,
+      obligations: details.obligations || ['Register and maintain compliance'],
+      documents: compliance.documents,
+      authority: compliance.authority,
+      timeline: compliance.timeline,
+      cost: compliance.cost,
+      penalties: compliance.penalties,
+      benefits: compliance.benefits,
+      applicableWhen: compliance.reason,
+      references: compliance.references || []
     };
   }
 
   /**
-   * Map ESI Registration obligation
+   * FSSAI obligation for the licence tier the business needs
+   * (form, yearly fee, validity options and tier-specific documents)
    * 
    * @private
-   * @returns {Object} ESI obligation object
+   * @param {Object} compliance - FSSAI entry from ComplianceResolver
+   * @param {Object} profile - Normalized business profile
+   * @returns {Object} Obligation object with `licence`
    */
-  _mapESIObligation() {
-    const esiData = COMPLIANCE_DATABASE.central.ESI;
-    return {
-      id: 'ESI_REGISTRATION',
-      name: 'Employee State Insurance',
-      category: 'labor',
-      mandatory: true,
-      priority: 'HIGH',
-      description: 'Register for Employee State Insurance',
-      obligations: [
-        'Register establishment with ESIC',
-        'Deduct 0.75% employee contribution',
-        'Contribute 3.25% employer share',
-        'Provide medical benefits to employees',
-        'File half-yearly returns'
-      ],
-      documents: esiData.documents,
-      authority: esiData.authority,
-      timeline: esiData.timeline,
-      cost: esiData.cost,
-      applicableWhen: '10 or more employees'
-    };
-  }
+  _mapFSSAIObligation(compliance, profile) {
+    const licence = fssaiTierSelector.select(profile);
 
-  /**
-   * Map MSME Registration obligation (beneficial)
-   * 
-   * @private
-   * @returns {Object} MSME obligation object
-   */
-  _mapMSMEObligation() {
-    const msmeData = COMPLIANCE_DATABASE.central.MSME_UDYAM;
     return {
-      id: 'MSME_UDYAM',
-      name: 'MSME Udyam Registration',
-      category: 'business_registration',
-      mandatory: false,
-      priority: 'MEDIUM',
-      description: 'Register as Micro, Small, or Medium Enterprise',
+      ...this._mapObligation(compliance),
+      description: `Obtain ${licence.name} (${licence.form})`,
       obligations: [
-        'Complete online Udyam registration',
-        'Update details annually if required',
-        'Maintain MSME certificate for benefits'
+        `Apply for ${licence.name} in ${licence.form} on the FoSCoS portal`,
+        ...OBLIGATION_DETAILS.FSSAI.obligations.slice(1)
       ],
-      documents: msmeData.documents,
-      authority: msmeData.authority,
-      timeline: msmeData.timeline,
-      cost: msmeData.cost,
-      benefits: msmeData.benefits,
-      applicableWhen: 'All businesses (recommended)'
+      documents: licence.documents,
+      authority: licence.authority,
+      timeline: licence.timeline,
+      cost: licence.fee,
+      licence
     };
   }
 
-  /**
-   * Map state-specific obligations
-   * 
-   * @private
-   * @param {Object} triggers - Regulatory triggers
-   * @param {string} stateCode - State code
-   * @returns {Array} Array of state-specific obligations
-   */
-  _mapStateObligations(triggers, stateCode) {
-    const obligations = [];
-    const stateData = COMPLIANCE_DATABASE.stateSpecific[stateCode];
-
-    if (!stateData) {
-      // Generic state obligations
-      if (triggers.shopsActRequired) {
-        obligations.push({
-          id: 'SHOPS_ACT',
-          name: 'Shops and Establishments Act',
-          category: 'business_registration',
-          mandatory: true,
-          priority: 'HIGH',
-          description: 'Register under state Shops Act',
-          obligations: [
-            'Apply for Shops Act license',
-            'Display license at business premises',
-            'Renew license annually',
-            'Maintain employee records'
-          ],
-          timeline: '15-30 days',
-          cost: 500,
-          applicableWhen: 'Commercial establishments'
-        });
-      }
-      return obligations;
-    }
-
-    // Map specific state obligations
-    if (triggers.shopsActRequired && stateData.SHOPS_ACT) {
-      const shops = stateData.SHOPS_ACT;
-      obligations.push({
-        id: shops.id,
-        name: shops.name,
-        category: shops.category,
-        mandatory: shops.mandatory,
-        priority: 'HIGH',
-        description: 'Register under state Shops and Establishments Act',
-        obligations: [
-          'Submit application with required documents',
-          'Pay applicable fees',
-          'Display license at premises',
-          'Renew before expiry'
-        ],
-        documents: shops.documents,
-        authority: shops.authority,
-        timeline: shops.timeline,
-        cost: shops.cost,
-        applicableWhen: 'Commercial establishments'
-      });
-    }
-
-    if (triggers.factoriesActRequired && stateData.FACTORIES_ACT) {
-      const factories = stateData.FACTORIES_ACT;
-      obligations.push({
-        id: factories.id,
-        name: factories.name,
-        category: factories.category,
-        mandatory: factories.mandatory,
-        priority: 'HIGH',
-        description: 'Register under state Factories Act',
-        obligations: [
-          'Submit factory plans and layouts',
-          'Obtain fire and pollution clearances',
-          'Register with Factory Inspector',
-          'Maintain safety compliance'
-        ],
-        documents: factories.documents,
-        authority: factories.authority,
-        timeline: factories.timeline,
-        cost: factories.cost,
-        applicableWhen: 'Manufacturing with 10+ employees'
-      });
-    }
-
-    if (stateData.TRADE_LICENSE) {
-      const trade = stateData.TRADE_LICENSE;
-      obligations.push({
-        id: trade.id,
-        name: trade.name,
-        category: trade.category,
-        mandatory: trade.mandatory,
-        priority: 'MEDIUM',
-        description: 'Obtain local trade license',
-        obligations: [
-          'Apply to local municipal authority',
-          'Submit NOC from relevant departments',
-          'Pay license fees',
-          'Renew annually'
-        ],
-        authority: trade.authority,
-        timeline: trade.timeline,
-        cost: trade.cost,
-        applicableWhen: 'Local business operations'
-      });
-    }
-
-    return obligations;
-  }
-
   /**
    * Generate plain-English explanation via LLM
    * 
@@ -375,9 +255,10 @@ export class ComplianceAgent {
    * @param {Array} obligations - Mapped obligations
    * @param {Object} businessProfile - Business profile
    * @param {string} message - User message for context
-   * @returns {string} Plain-English explanation
+   * @param {Object} context - Request context (context.stream streams the explanation)
+   * @returns {Object} { text, citations } - plain-English explanation and the passages it cites
    */
-  async _generateExplanation(obligations, businessProfile, message) {
+  async _generateExplanation(obligations, businessProfile, message, context = {}) {
     const systemPrompt = `You are a compliance expert explaining business obligations in simple terms. 
     
 You have a list of specific obligations that apply to this business. Your job is to explain them clearly and encouragingly.
@@ -391,7 +272,8 @@ Guidelines:
 - Prioritize mandatory obligations
 - Keep explanations under 200 words
 - Use bullet points for clarity
-- Be specific about costs and timelines`;
+- Be specific about costs and timelines
+- Name the act or section from the legal basis when you state a requirement${languageDetector.instruction(context.language)}`;
 
     const userPrompt = `The user asked: "${message}"
 
@@ -400,21 +282,24 @@ Based on their business profile, here are their applicable compliance obligation
 ${obligations.map(ob => `
 ${ob.name} (${ob.mandatory ? 'MANDATORY' : 'OPTIONAL'}):
 - Timeline: ${ob.timeline}
-- Cost: ${typeof ob.cost === 'object' ? 'Varies' : '₹' + ob.cost}
+- Cost: ${typeof ob.cost === 'object' ? 'Varies' : '₹' + ob.cost}${ob.licence ? ` a year (${ob.licence.name}, ${ob.licence.form}: ${ob.licence.reasons.join(', ')})` : ''}
 - Key obligations: ${ob.obligations?.slice(0, 3).join(', ') || 'Register and maintain compliance'}
+- Legal basis: ${legalReferences.describe(ob) || 'Not recorded'}
 `).join('\n')}
 
 Explain these obligations in simple terms, focusing on what they need to do and why it matters.`;
 
     try {
-      return await this.ollamaService.generateResponse(
+      return await this.knowledgeBase.generateGroundedResponse(
+        this.llm,
+        `${languageDetector.normalize(message)} ${obligations.map(ob => ob.name).join(' ')}`,
         userPrompt,
         systemPrompt,
-        { temperature: 0.4 }
+        { temperature: 0.4, ...context.stream }
       );
     } catch (error) {
       console.error('❌ LLM explanation failed:', error);
-      return this._generateFallbackExplanation(obligations);
+      return { text: this._generateFallbackExplanation(obligations), citations: [] };
     }
   }
 
@@ -1,5 +1,8 @@
+import Joi from 'joi';
 import { INDIAN_STATES_DATA } from '../data/states.js';
-import { COMPLIANCE_DATABASE } from '../data/compliances.js';
+import { languageDetector } from '../services/LanguageDetector.js';
+import { complianceResolver } from '../services/ComplianceResolver.js';
+import { udyamClassifier } from '../services/UdyamClassifier.js';
 
 /**
  * CITY TO STATE MAPPING - Common Indian civic knowledge
@@ -126,14 +129,51 @@ const BUSINESS_TYPE_INFERENCE = {
 };
 
 /**
- * Discovery Agent - Handles initial business discovery using Ollama LLM
+ * STRUCTURED EXTRACTION - profile fields the LLM reads from a message,
+ * each as { value, confidence } (value null when the message does not say)
+ */
+const extractedField = value => Joi.object({
+  value: value.allow(null).required(),
+  confidence: Joi.number().min(0).max(1).required()
+});
+
+const PROFILE_EXTRACTION_SCHEMA = Joi.object({
+  businessType: extractedField(Joi.string().allow('')),
+  city: extractedField(Joi.string().allow('')),
+  state: extractedField(Joi.string().allow('')),
+  employeeCount: extractedField(Joi.number().integer().min(0)),
+  investment: extractedField(Joi.number().min(0)),
+  annualTurnover: extractedField(Joi.number().min(0))
+});
+
+const PROFILE_EXTRACTION_EXAMPLE = {
+  businessType: { value: 'bakery', confidence: 0.95 },
+  city: { value: 'Pune', confidence: 0.9 },
+  state: { value: null, confidence: 0 },
+  employeeCount: { value: 6, confidence: 0.6 },
+  investment: { value: 800000, confidence: 0.85 },
+  annualTurnover: { value: null, confidence: 0 }
+};
+
+// LLM fields below this confidence are confirmed with the user instead of being set
+const FIELD_CONFIDENCE_THRESHOLD = 0.75;
+
+const CONFIRMATION_PATTERN = /^\s*(yes|yeah|yep|yup|correct|right|sure|exactly|haan|han|ji)\b/i;
+const DENIAL_PATTERN = /^\s*(no|nope|nah|wrong|not really|nahi|nahin)\b/i;
+
+function formatAmount(amount) {
+  return amount >= 10000000 ? `₹${+(amount / 10000000).toFixed(2)} crore` : `₹${+(amount / 100000).toFixed(2)} lakh`;
+}
+
+/**
+ * Discovery Agent - Handles initial business discovery using the configured LLM provider
  * Uses real datasets and INDIAN CIVIC KNOWLEDGE to provide contextual responses
  * 
  * CRITICAL: Never ask questions whose answers are common knowledge
  */
 export class DiscoveryAgent {
-  constructor(ollamaService, complianceService) {
-    this.ollamaService = ollamaService;
+  constructor(llm, complianceService) {
+    this.llm = llm;
     this.complianceService = complianceService;
     this.name = 'DiscoveryAgent';
   }
@@ -142,9 +182,22 @@ export class DiscoveryAgent {
     console.log('🔍 DiscoveryAgent: Processing message');
     
     const businessProfile = (session || {}).businessProfile || {};
+
+    // A yes/no reply to "Just to confirm..." settles the unconfirmed field
+    const answeredClarification = this.resolveClarification(message, businessProfile, session);
     
     // FIRST: Extract all inferable information from the message
-    this.extractAndInferInfo(message, businessProfile);
+    const found = this.extractAndInferInfo(message, businessProfile);
+
+    // THEN: Structured LLM extraction fills in what the keyword extractors missed
+    const unconfirmed = answeredClarification
+      ? []
+      : await this.mergeStructuredExtraction(message, businessProfile, found);
+
+    // Never set a low-confidence field silently - ask about it first
+    if (unconfirmed.length > 0) {
+      return this.askClarifyingQuestion(unconfirmed[0], businessProfile, session);
+    }
     
     // Determine what's genuinely missing
     const missingInfo = this.getGenuinelyMissingInfo(businessProfile);
@@ -154,7 +207,9 @@ export class DiscoveryAgent {
 
     // If we have enough info, provide compliance guidance directly
     if (missingInfo.length === 0 || (businessProfile.businessType && businessProfile.city)) {
-      return await this.provideComplianceGuidance(businessProfile, context);
+      return context.profileOnly
+        ? this.summarizeProfile(businessProfile)
+        : await this.provideComplianceGuidance(businessProfile, context);
     }
 
     // Only ask about genuinely missing critical info
@@ -166,7 +221,10 @@ export class DiscoveryAgent {
    * NEVER ask for information that can be inferred
    */
   extractAndInferInfo(message, businessProfile) {
-    const lowerMessage = message.toLowerCase();
+    // Hindi and Hinglish read as English: "bees log" → "20 employees", "पुणे" → "pune"
+    const text = languageDetector.normalize(message);
+    const lowerMessage = text.toLowerCase();
+    const found = new Set();
     
     // 1. Extract city and AUTO-INFER state
     for (const [city, info] of Object.entries(CITY_STATE_MAP)) {
@@ -175,6 +233,7 @@ export class DiscoveryAgent {
         businessProfile.state = info.state;
         businessProfile.stateId = info.stateId;
         businessProfile.locationType = info.type;
+        found.add('city').add('state');
         console.log(`📍 Auto-inferred: ${businessProfile.city} → ${businessProfile.state}`);
         break;
       }
@@ -185,6 +244,7 @@ export class DiscoveryAgent {
       if (lowerMessage.includes(state.name.toLowerCase())) {
         businessProfile.state = state.name;
         businessProfile.stateId = state.id;
+        found.add('state');
         break;
       }
     }
@@ -192,16 +252,8 @@ export class DiscoveryAgent {
     // 2. Extract business type and INFER sector + requirements
     for (const [keyword, info] of Object.entries(BUSINESS_TYPE_INFERENCE)) {
       if (lowerMessage.includes(keyword)) {
-        businessProfile.businessType = info.type;
-        businessProfile.sector = info.sector;
-        businessProfile.inferredRequirements = {
-          needsFSSAI: info.needsFSSAI || false,
-          needsShopAct: info.needsShopAct || false,
-          needsFactoryLicense: info.needsFactoryLicense || false,
-          needsLiquorLicense: info.needsLiquorLicense || false,
-          needsDrugLicense: info.needsDrugLicense || false,
-          needsClinicalEstablishment: info.needsClinicalEstablishment || false,
-        };
+        Object.assign(businessProfile, this._businessTypeFields(info));
+        found.add('businessType');
         console.log(`🏢 Auto-inferred: ${keyword} → ${info.sector}/${info.type}`);
         break;
       }
@@ -215,10 +267,11 @@ export class DiscoveryAgent {
       /(large|big|major)/i,
     ];
     
-    const employeeMatch = message.match(/(\d+)\s*(employees?|staff|workers?|people)/i);
+    const employeeMatch = text.match(/(\d+)\s*(employees?|staff|workers?|people)/i);
     if (employeeMatch) {
       businessProfile.employeeCount = parseInt(employeeMatch[1]);
       businessProfile.scale = this.inferScale(businessProfile.employeeCount);
+      found.add('employeeCount');
     } else if (lowerMessage.match(/small|tiny|local|one.?man/)) {
       businessProfile.scale = 'small';
       businessProfile.employeeCount = businessProfile.employeeCount || 5;
@@ -231,7 +284,7 @@ export class DiscoveryAgent {
     }
     
     // 4. Extract investment/budget
-    const budgetMatch = message.match(/(\d+(?:\.\d+)?)\s*(lakh|lakhs|lac|lacs|crore|crores|cr|k|thousand)/i);
+    const budgetMatch = text.match(/(\d+(?:\.\d+)?)\s*(lakh|lakhs|lac|lacs|crore|crores|cr|k|thousand)/i);
     if (budgetMatch) {
       let amount = parseFloat(budgetMatch[1]);
       const unit = budgetMatch[2].toLowerCase();
@@ -246,16 +299,203 @@ export class DiscoveryAgent {
       
       businessProfile.investment = amount;
       businessProfile.investmentFormatted = budgetMatch[0];
+      found.add('investment');
     }
     
-    // 5. Infer default scale for small businesses if not specified
+    // 5. Udyam category from investment / turnover replaces the headcount guess
+    this._applyUdyamCategory(businessProfile);
+
+    // 6. Infer default scale for small businesses if not specified
     if (!businessProfile.scale && businessProfile.businessType) {
       // Default assumption: MSME means small/micro unless stated otherwise
       businessProfile.scale = 'small';
       businessProfile.employeeCount = businessProfile.employeeCount || 5;
     }
+
+    return found;
+  }
+
+  /**
+   * Ask the LLM for the profile fields as structured JSON and merge them
+   * The keyword extractors win for any field they found in this message.
+   * Confident fields are set; low-confidence ones are returned unset so the
+   * user can be asked to confirm them.
+   * @param {string} message - User message
+   * @param {Object} businessProfile - Profile to update
+   * @param {Set} found - Fields the keyword extractors read from this message
+   * @returns {Promise<Array>} Unconfirmed fields [{ field, value, confidence }]
+   */
+  async mergeStructuredExtraction(message, businessProfile, found) {
+    const systemPrompt = `You extract business profile details for an Indian MSME compliance assistant.
+Only report what the message states or clearly implies; use null for anything it does not mention.
+The message may be in English, Hindi or Hinglish - always give values in English (city "Pune", not "पुणे").
+Amounts are in rupees (5 lakh = 500000, 1 crore = 10000000). Confidence is from 0 to 1.`;
+
+    let extracted;
+    try {
+      ({ value: extracted } = await this.llm.generateStructured(`Message: "${message}"`, systemPrompt, {
+        schema: PROFILE_EXTRACTION_SCHEMA,
+        example: PROFILE_EXTRACTION_EXAMPLE,
+        temperature: 0.1
+      }));
+    } catch (error) {
+      console.log(`⚠️ DiscoveryAgent: Structured extraction unavailable - ${error.message}`);
+      return [];
+    }
+
+    const unconfirmed = [];
+    for (const [field, { value, confidence }] of Object.entries(extracted)) {
+      if (value === null || value === '' || found.has(field)) continue;
+
+      let fields = this._normalizeField(field, value);
+      if (fields && field === 'city' && found.has('state')) {
+        fields = { city: fields.city };
+      }
+      if (!fields || Object.entries(fields).every(([key, current]) => businessProfile[key] === current)) continue;
+
+      if (confidence >= FIELD_CONFIDENCE_THRESHOLD) {
+        Object.assign(businessProfile, fields);
+        console.log(`🧩 LLM-extracted: ${field} = ${value} (confidence ${confidence})`);
+      } else {
+        unconfirmed.push({ field, value, confidence });
+      }
+    }
+
+    this._applyUdyamCategory(businessProfile);
+    return unconfirmed;
+  }
+
+  /**
+   * Settle a pending clarification from the user's reply
+   * "yes" sets the field, "no" drops it; any other reply drops it and is
+   * processed as new information.
+   * @returns {boolean} true when the message was a yes/no answer
+   */
+  resolveClarification(message, businessProfile, session) {
+    const pending = session?.pendingClarification;
+    if (!pending) return false;
+
+    delete session.pendingClarification;
+
+    const answer = languageDetector.normalize(message);
+    if (CONFIRMATION_PATTERN.test(answer)) {
+      Object.assign(businessProfile, this._normalizeField(pending.field, pending.value));
+      this._applyUdyamCategory(businessProfile);
+      console.log(`✅ Confirmed: ${pending.field} = ${pending.value}`);
+      return true;
+    }
+    return DENIAL_PATTERN.test(answer);
+  }
+
+  /**
+   * Ask the user to confirm one low-confidence field
+   */
+  askClarifyingQuestion(candidate, businessProfile, session) {
+    if (session) {
+      session.pendingClarification = candidate;
+    }
+
+    return {
+      message: this._clarifyingQuestion(candidate),
+      type: 'clarification',
+      agent: this.name,
+      data: {
+        businessProfile,
+        step: candidate.field,
+        awaiting: candidate.field,
+        clarification: candidate
+      }
+    };
+  }
+
+  _clarifyingQuestion({ field, value }) {
+    const fields = this._normalizeField(field, value);
+
+    switch (field) {
+      case 'businessType':
+        return `Just to confirm - are you setting up a ${fields.businessType.replace(/_/g, ' ')}? It decides which licences apply.`;
+      case 'city':
+      case 'state':
+        return `Just to confirm - will the business operate in ${fields.city || fields.state}? State registrations depend on it.`;
+      case 'employeeCount':
+        return `Just to confirm - will you have ${value} employees? EPF and ESI depend on headcount.`;
+      case 'investment':
+        return `Just to confirm - are you investing about ${formatAmount(value)}? It sets your Udyam category.`;
+      default:
+        return `Just to confirm - is your annual turnover about ${formatAmount(value)}? It decides GST registration.`;
+    }
+  }
+
+  /**
+   * Profile fields for one extracted value, or null when it cannot be used
+   * @private
+   */
+  _normalizeField(field, value) {
+    switch (field) {
+      case 'businessType': {
+        const lowerValue = String(value).toLowerCase();
+        const keyword = Object.keys(BUSINESS_TYPE_INFERENCE).find(key => lowerValue.includes(key));
+        return keyword ? this._businessTypeFields(BUSINESS_TYPE_INFERENCE[keyword]) : null;
+      }
+      case 'city': {
+        const city = String(value).trim();
+        const info = CITY_STATE_MAP[city.toLowerCase()];
+        const name = city.charAt(0).toUpperCase() + city.slice(1);
+        return info
+          ? { city: name, state: info.state, stateId: info.stateId, locationType: info.type }
+          : { city: name };
+      }
+      case 'state': {
+        const lowerValue = String(value).trim().toLowerCase();
+        const region = [...INDIAN_STATES_DATA.states, ...INDIAN_STATES_DATA.unionTerritories]
+          .find(candidate => candidate.name.toLowerCase() === lowerValue || candidate.id.toLowerCase() === lowerValue);
+        return region ? { state: region.name, stateId: region.id } : null;
+      }
+      case 'employeeCount':
+        return { employeeCount: value, scale: this.inferScale(value) };
+      case 'investment':
+      case 'annualTurnover':
+        return { [field]: value };
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * Business type, sector and the requirements it implies
+   * @private
+   */
+  _businessTypeFields(info) {
+    return {
+      businessType: info.type,
+      sector: info.sector,
+      inferredRequirements: {
+        needsFSSAI: info.needsFSSAI || false,
+        needsShopAct: info.needsShopAct || false,
+        needsFactoryLicense: info.needsFactoryLicense || false,
+        needsLiquorLicense: info.needsLiquorLicense || false,
+        needsDrugLicense: info.needsDrugLicense || false,
+        needsClinicalEstablishment: info.needsClinicalEstablishment || false,
+      }
+    };
   }
 
+  /**
+   * Udyam category from investment / turnover (replaces the headcount guess)
+   * @private
+   */
+  _applyUdyamCategory(businessProfile) {
+    const udyam = udyamClassifier.classify(businessProfile);
+    if (udyam.category) {
+      businessProfile.msmeCategory = udyam.isMsme ? udyam.category : '';
+      businessProfile.scale = udyam.category.toLowerCase();
+    }
+  }
+
+  /**
+   * Rough scale from headcount - Udyam categories depend on investment and
+   * turnover, so this only stands in until one of those is known
+   */
   inferScale(employeeCount) {
     if (employeeCount <= 10) return 'micro';
     if (employeeCount <= 50) return 'small';
@@ -304,7 +544,7 @@ export class DiscoveryAgent {
 Be practical, concise, and helpful. Sound like a knowledgeable Indian consultant.
 DO NOT ask questions whose answers are common knowledge.
 DO NOT ask "which state is Delhi in" or similar obvious questions.
-Provide actionable guidance.`;
+Provide actionable guidance.${languageDetector.instruction(context.language)}`;
 
     const prompt = `Business Profile:
 - Type: ${businessProfile.businessType || 'business'}
@@ -323,7 +563,7 @@ Provide a brief, actionable summary of:
 Keep response under 150 words. Be practical and encouraging.`;
 
     try {
-      const response = await this.ollamaService.generateResponse(prompt, systemPrompt, { temperature: 0.4 });
+      const response = await this.llm.generateResponse(prompt, systemPrompt, { temperature: 0.4, ...context.stream });
       
       return {
         message: response,
@@ -337,11 +577,38 @@ Keep response under 150 words. Be practical and encouraging.`;
         }
       };
     } catch (error) {
-      console.error('❌ DiscoveryAgent Ollama error:', error);
+      console.error('❌ DiscoveryAgent LLM error:', error);
       return this.getFallbackGuidance(businessProfile, requirements);
     }
   }
 
+  /**
+   * Recap of the captured profile, used when discovery is one step of a
+   * multi-agent plan and the later steps give the guidance
+   */
+  summarizeProfile(businessProfile) {
+    const type = (businessProfile.businessType || 'business').replace(/_/g, ' ');
+    const place = [businessProfile.city, businessProfile.state].filter(Boolean).join(', ');
+    const lines = [`• ${type.charAt(0).toUpperCase()}${type.slice(1)}${place ? ` in ${place}` : ''}`];
+
+    if (businessProfile.employeeCount) lines.push(`• ${businessProfile.employeeCount} employees`);
+    if (businessProfile.investment) lines.push(`• Investment of ${formatAmount(businessProfile.investment)}`);
+    if (businessProfile.annualTurnover) lines.push(`• Annual turnover of ${formatAmount(businessProfile.annualTurnover)}`);
+    if (businessProfile.msmeCategory) lines.push(`• ${businessProfile.msmeCategory} enterprise under Udyam`);
+
+    return {
+      message: `Here is what I have noted:\n${lines.join('\n')}`,
+      type: 'profile',
+      agent: this.name,
+      data: {
+        businessProfile,
+        compliances: this.getApplicableCompliances(businessProfile),
+        step: 'profile_captured',
+        profileComplete: true
+      }
+    };
+  }
+
   /**
    * Ask only ONE necessary question with clear reason
    */
@@ -351,7 +618,7 @@ Keep response under 150 words. Be practical and encouraging.`;
     const systemPrompt = `You are an expert MSME compliance consultant. Ask ONE brief, focused question.
 DO NOT ask about things that are common knowledge.
 DO NOT provide multiple choice lists unless truly necessary.
-Be conversational and friendly.`;
+Be conversational and friendly.${languageDetector.instruction(context.language)}`;
 
     const prompt = `User said: "${message}"
 
@@ -363,7 +630,7 @@ Reason: ${nextQuestion.reason}
 Ask ONE brief, natural question. Keep it under 30 words.`;
 
     try {
-      const response = await this.ollamaService.generateResponse(prompt, systemPrompt, { temperature: 0.5 });
+      const response = await this.llm.generateResponse(prompt, systemPrompt, { temperature: 0.5, ...context.stream });
       
       return {
         message: response,
@@ -390,79 +657,21 @@ Ask ONE brief, natural question. Keep it under 30 words.`;
 
   /**
    * Get applicable compliances based on business profile
+   * (resolved by ComplianceResolver - same set as the dashboard and /api/compliance/evaluate)
    */
   getApplicableCompliances(profile) {
-    const compliances = [];
-    const central = COMPLIANCE_DATABASE.central || {};
-    
-    // GST - applicable for most businesses
-    if (central.GST) {
-      compliances.push({
-        id: 'GST',
-        name: 'GST Registration',
-        mandatory: profile.investment > 4000000 || profile.sector === 'ecommerce',
-        timeline: '7-15 days',
-        cost: 0
-      });
-    }
-    
-    // FSSAI - for food businesses
-    if (profile.inferredRequirements?.needsFSSAI && central.FSSAI) {
-      compliances.push({
-        id: 'FSSAI',
-        name: 'FSSAI License',
-        mandatory: true,
-        timeline: '7-60 days',
-        cost: '₹100-₹7,500'
-      });
-    }
-    
-    // Udyam Registration - recommended for all MSMEs
-    if (central.MSME_UDYAM) {
-      compliances.push({
-        id: 'UDYAM',
-        name: 'Udyam Registration',
-        mandatory: false,
-        benefits: 'Priority lending, govt tenders',
-        timeline: '1 day',
-        cost: 0
-      });
-    }
-    
-    // Shop Act - for retail/service businesses
-    if (profile.inferredRequirements?.needsShopAct || profile.sector === 'retail' || profile.sector === 'services') {
-      compliances.push({
-        id: 'SHOP_ACT',
-        name: `${profile.state || 'State'} Shop & Establishment Act`,
-        mandatory: true,
-        timeline: '7-15 days',
-        cost: '₹500-₹5,000'
-      });
-    }
-    
-    // EPF - if 20+ employees
-    if (profile.employeeCount >= 20 && central.EPF) {
-      compliances.push({
-        id: 'EPF',
-        name: 'EPF Registration',
-        mandatory: true,
-        timeline: '30 days',
-        cost: 0
-      });
-    }
-    
-    // ESI - if 10+ employees
-    if (profile.employeeCount >= 10 && central.ESI) {
-      compliances.push({
-        id: 'ESI',
-        name: 'ESI Registration',
-        mandatory: true,
-        timeline: '30 days',
-        cost: 0
-      });
-    }
-    
-    return compliances;
+    const { obligations } = complianceResolver.resolve(profile);
+
+    return obligations.map(compliance => ({
+      id: compliance.id,
+      key: compliance.key,
+      name: compliance.name,
+      mandatory: compliance.mandatory !== false,
+      reason: compliance.reason,
+      ...(compliance.benefits && { benefits: compliance.benefits.join(', ') }),
+      timeline: compliance.timeline,
+      cost: compliance.cost
+    }));
   }
 
   getFallbackGuidance(profile, compliances) {
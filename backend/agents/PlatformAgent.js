@@ -1,11 +1,23 @@
+import { complianceResolver } from '../services/ComplianceResolver.js';
+import { fssaiTierSelector } from '../services/FssaiTierSelector.js';
+import { knowledgeBase as defaultKnowledgeBase } from '../services/KnowledgeBase.js';
+import { languageDetector } from '../services/LanguageDetector.js';
+
 /**
- * Platform Agent - Handles platform integration queries using Ollama LLM  
+ * Platform Agent - Handles platform integration queries using the configured LLM provider  
  * Provides guidance on Swiggy, Zomato, Amazon and other platforms
  */
 export class PlatformAgent {
-  constructor(ollamaService, complianceService) {
-    this.ollamaService = ollamaService;
+  /**
+   * @param {LLMProvider} llm
+   * @param {ComplianceService} complianceService
+   * @param {Object} options
+   * @param {KnowledgeBase} options.knowledgeBase - Regulation passages answers are grounded in
+   */
+  constructor(llm, complianceService, { knowledgeBase = defaultKnowledgeBase } = {}) {
+    this.llm = llm;
     this.complianceService = complianceService;
+    this.knowledgeBase = knowledgeBase;
     this.name = 'PlatformAgent';
     
     // Platform data for context
@@ -69,7 +81,7 @@ Guidelines:
 - Give step-by-step onboarding guidance
 - Suggest best platforms based on business type
 - Keep responses under 250 words
-- Use bullet points for clarity`;
+- Use bullet points for clarity${languageDetector.instruction(context.language)}`;
 
     const userPrompt = `User asked: "${message}"
 
@@ -85,34 +97,37 @@ Based on their business profile and platform query, provide specific guidance ab
 Focus on platforms they mentioned or recommend suitable ones for their business type.`;
 
     try {
-      const response = await this.ollamaService.generateResponse(
+      const { text: response, citations } = await this.knowledgeBase.generateGroundedResponse(
+        this.llm,
+        languageDetector.normalize(message),
         userPrompt,
         systemPrompt,
-        { temperature: 0.4 }
+        { temperature: 0.4, ...context.stream }
       );
 
       const recommendedPlatforms = this.getRecommendedPlatforms(businessProfile, detectedPlatforms);
 
       return {
         message: response,
+        citations,
         type: 'platform',
         agent: this.name,
         data: {
           businessProfile,
           detectedPlatforms,
           recommendedPlatforms,
-          platformRequirements: this.getPlatformRequirements(recommendedPlatforms)
+          platformRequirements: this.getPlatformRequirements(recommendedPlatforms, businessProfile)
         }
       };
 
     } catch (error) {
-      console.error('❌ PlatformAgent Ollama error:', error);
+      console.error('❌ PlatformAgent LLM error:', error);
       return this.getFallbackResponse(message, businessProfile, detectedPlatforms);
     }
   }
 
   detectPlatforms(message) {
-    const lowerMessage = message.toLowerCase();
+    const lowerMessage = languageDetector.normalize(message).toLowerCase();
     const platforms = [];
     
     if (lowerMessage.includes('swiggy')) platforms.push('swiggy');
@@ -139,14 +154,33 @@ Focus on platforms they mentioned or recommend suitable ones for their business
     return ['amazon']; // Default recommendation
   }
 
-  getPlatformRequirements(platforms) {
-    return platforms.map(platform => this.platformData[platform]).filter(Boolean);
+  /**
+   * Requirements of each platform; food delivery platforms name the FSSAI
+   * licence tier the business needs (Basic Registration, State or Central Licence)
+   */
+  getPlatformRequirements(platforms, businessProfile = {}) {
+    const fssaiLicence = this.getFssaiLicence(businessProfile);
+
+    return platforms
+      .map(platform => this.platformData[platform])
+      .filter(Boolean)
+      .map(platform => platform.type !== 'food_delivery' ? platform : {
+        ...platform,
+        requirements: platform.requirements.map(requirement => requirement === 'FSSAI License' ? fssaiLicence.name : requirement),
+        fssaiLicence
+      });
+  }
+
+  getFssaiLicence(businessProfile) {
+    return fssaiTierSelector.select(complianceResolver.normalizeProfile(businessProfile));
   }
 
   getFallbackResponse(message, businessProfile, detectedPlatforms) {
     const businessType = businessProfile.businessType || 'business';
     
     if (businessType.includes('cafe') || businessType.includes('restaurant') || businessType.includes('food')) {
+      const fssaiLicence = this.getFssaiLicence(businessProfile);
+
       return {
         message: `🍽️ **Platform Options for ${businessType}**
 
@@ -165,7 +199,7 @@ Focus on platforms they mentioned or recommend suitable ones for their business
 • Documents: FSSAI, GST, Restaurant Photos
 
 **Next Steps:**
-1. Complete FSSAI registration first
+1. Get your ${fssaiLicence.name} first (${fssaiLicence.form}, ₹${fssaiLicence.fee} a year, ${fssaiLicence.timeline})
 2. Prepare high-quality menu photos
 3. Set competitive pricing (factor in commission)
 
@@ -175,7 +209,7 @@ Which platform interests you more?`,
         data: {
           businessProfile,
           recommendedPlatforms: ['swiggy', 'zomato'],
-          platformRequirements: this.getPlatformRequirements(['swiggy', 'zomato'])
+          platformRequirements: this.getPlatformRequirements(['swiggy', 'zomato'], businessProfile)
         }
       };
     }
@@ -0,0 +1,67 @@
+import { schemeMatcher } from '../services/SchemeMatcher.js';
+
+/**
+ * Scheme Agent - Answers "which schemes can I get?" from the scheme catalogue
+ *
+ * Purely deterministic: eligibility, reasons and document lists come from
+ * SchemeMatcher, so chat and /api/schemes/eligible always agree.
+ */
+export class SchemeAgent {
+  constructor(matcher = schemeMatcher) {
+    this.matcher = matcher;
+    this.name = 'SchemeAgent';
+  }
+
+  async process(message, context, session) {
+    console.log('💰 SchemeAgent: Matching government schemes');
+
+    const businessProfile = (session || {}).businessProfile || {};
+
+    if (!businessProfile.businessType) {
+      return {
+        message: 'Tell me about your business first - what you do, where, your budget and turnover - and I will find the schemes you can apply for.',
+        type: 'redirect',
+        agent: this.name
+      };
+    }
+
+    const { msmeCategory, eligible, notEligible } = this.matcher.match(businessProfile);
+
+    return {
+      message: this.formatMessage(eligible, msmeCategory),
+      type: 'schemes',
+      agent: this.name,
+      data: {
+        businessProfile,
+        msmeCategory,
+        eligibleSchemes: eligible,
+        notEligible
+      }
+    };
+  }
+
+  /**
+   * Chat answer listing each scheme with the reason and the documents to apply
+   * @param {Array} eligible - Eligible schemes from SchemeMatcher.match
+   * @param {string|null} msmeCategory - Udyam category
+   * @returns {string} Markdown message
+   */
+  formatMessage(eligible, msmeCategory) {
+    if (eligible.length === 0) {
+      return `I couldn't match any schemes yet. Adding your budget or loan amount, whether this is a new enterprise, and the founder's details (woman or SC/ST entrepreneur, DPIIT recognition) will help me check PMEGP, MUDRA, Stand-Up India and state startup policies.`;
+    }
+
+    const heading = msmeCategory
+      ? `💰 **Schemes for your ${msmeCategory} enterprise**`
+      : '💰 **Schemes you can apply for**';
+
+    const sections = eligible.map((scheme, index) => [
+      `**${index + 1}. ${scheme.name}**`,
+      `• Benefit: ${scheme.benefit}`,
+      `• Why you qualify: ${scheme.reason}`,
+      `• Documents: ${scheme.documents.join(', ')}`
+    ].join('\n'));
+
+    return `${heading}\n\n${sections.join('\n\n')}\n\nWant help preparing the application for any of these?`;
+  }
+}
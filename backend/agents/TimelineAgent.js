@@ -1,13 +1,22 @@
-import { COMPLIANCE_DATABASE } from '../data/compliances.js';
+import { complianceResolver } from '../services/ComplianceResolver.js';
+import { knowledgeBase as defaultKnowledgeBase } from '../services/KnowledgeBase.js';
+import { languageDetector } from '../services/LanguageDetector.js';
 
 /**
- * Timeline Agent - Provides business setup timelines using Ollama LLM
+ * Timeline Agent - Provides business setup timelines using the configured LLM provider
  * Uses real compliance data to calculate accurate timelines
  */
 export class TimelineAgent {
-  constructor(ollamaService, complianceService) {
-    this.ollamaService = ollamaService;
+  /**
+   * @param {LLMProvider} llm
+   * @param {ComplianceService} complianceService
+   * @param {Object} options
+   * @param {KnowledgeBase} options.knowledgeBase - Regulation passages answers are grounded in
+   */
+  constructor(llm, complianceService, { knowledgeBase = defaultKnowledgeBase } = {}) {
+    this.llm = llm;
     this.complianceService = complianceService;
+    this.knowledgeBase = knowledgeBase;
     this.name = 'TimelineAgent';
   }
 
@@ -16,8 +25,8 @@ export class TimelineAgent {
     
     const businessProfile = (session || {}).businessProfile || {};
     
-    // Get compliance timelines from dataset
-    const complianceTimelines = this.getComplianceTimelines(businessProfile);
+    // Get compliance timelines from dataset (or from the obligations a plan's compliance step mapped)
+    const complianceTimelines = this.getComplianceTimelines(businessProfile, context.obligations);
     
     const systemPrompt = `You are a business timeline expert helping users understand how long it takes to start their MSME business in India. Use the provided compliance timeline data to give accurate estimates.
 
@@ -35,7 +44,7 @@ Guidelines:
 - Mention dependencies between registrations
 - Keep responses under 250 words
 - Use bullet points for clarity
-- Be encouraging but realistic`;
+- Be encouraging but realistic${languageDetector.instruction(context.language)}`;
 
     const userPrompt = `User asked: "${message}"
 
@@ -51,16 +60,19 @@ Consider:
 Give a realistic timeline with specific milestones.`;
 
     try {
-      const response = await this.ollamaService.generateResponse(
+      const { text: response, citations } = await this.knowledgeBase.generateGroundedResponse(
+        this.llm,
+        languageDetector.normalize(message),
         userPrompt,
         systemPrompt,
-        { temperature: 0.4 }
+        { temperature: 0.4, ...context.stream }
       );
 
       const totalTimeline = this.calculateTotalTimeline(complianceTimelines);
 
       return {
         message: response,
+        citations,
         type: 'timeline',
         agent: this.name,
         data: {
@@ -72,48 +84,29 @@ Give a realistic timeline with specific milestones.`;
       };
 
     } catch (error) {
-      console.error('❌ TimelineAgent Ollama error:', error);
+      console.error('❌ TimelineAgent LLM error:', error);
       return this.getFallbackResponse(message, businessProfile);
     }
   }
 
-  getComplianceTimelines(businessProfile) {
-    const central = COMPLIANCE_DATABASE.central;
-    const relevantCompliances = [];
-
-    for (const [key, compliance] of Object.entries(central)) {
-      let applicable = false;
-
-      // Check if applicable to business type
-      if (compliance.applicableIf?.businessType) {
-        applicable = compliance.applicableIf.businessType.some(type => 
-          businessProfile.businessType?.toLowerCase().includes(type)
-        );
-      }
-
-      // Include mandatory compliances
-      if (compliance.mandatory && !compliance.applicableIf) {
-        applicable = true;
-      }
-
-      // Include GST for most businesses
-      if (key === 'GST') {
-        applicable = true;
-      }
-
-      if (applicable) {
-        relevantCompliances.push({
-          id: key,
-          name: compliance.name,
-          timeline: compliance.timeline,
-          cost: compliance.cost,
-          mandatory: compliance.mandatory,
-          documents: compliance.documents?.length || 0
-        });
-      }
-    }
-
-    return relevantCompliances;
+  /**
+   * Timeline entries for the business's compliances
+   * @param {Object} businessProfile - Business profile
+   * @param {Array} obligations - ComplianceAgent obligations; resolved from the profile when omitted
+   */
+  getComplianceTimelines(businessProfile, obligations = complianceResolver.resolve(businessProfile).obligations) {
+    // Same obligation set as chat guidance and the dashboard (ComplianceResolver)
+
+    return obligations
+      .filter(compliance => compliance.timeline)
+      .map(compliance => ({
+        id: compliance.id,
+        name: compliance.name,
+        timeline: compliance.timeline,
+        cost: compliance.cost,
+        mandatory: compliance.mandatory,
+        documents: compliance.documents?.length || 0
+      }));
   }
 
   calculateTotalTimeline(compliances) {
@@ -0,0 +1,180 @@
+import express from 'express';
+import cors from 'cors';
+import winston from 'winston';
+
+// Import routes
+import authRoutes from './routes/auth.js';
+import chatRoutes from './routes/chat.js';
+import chatHistoryRoutes from './routes/chatHistory.js';
+import complianceRoutes from './routes/compliance.js';
+import complianceStatusRoutes from './routes/complianceStatus.js';
+import userRoutes from './routes/user.js';
+import stateRoutes from './routes/states.js';
+import llmRoutes from './routes/llm.js';
+import dashboardRoutes from './routes/dashboard.js';
+import documentRoutes from './routes/documents.js';
+import notificationRoutes from './routes/notifications.js';
+import schemeRoutes from './routes/schemes.js';
+
+// Import services
+import { ChatbotService } from './services/ChatbotService.js';
+import { RuleEngine } from './services/RuleEngine.js';
+import { ComplianceService } from './services/ComplianceService.js';
+import { chatHistoryStore } from './services/ChatHistoryStore.js';
+import { chatMemoryStore } from './services/ChatMemoryStore.js';
+import { complianceStatusStore } from './services/ComplianceStatusStore.js';
+import { userProfileStore } from './services/UserProfileStore.js';
+import { documentVault } from './services/DocumentVault.js';
+import { notificationStore } from './services/NotificationStore.js';
+import { calendarFeedStore } from './services/CalendarFeedStore.js';
+import { schemeMatcher } from './services/SchemeMatcher.js';
+import { ReminderScheduler, parseLeadDays } from './services/ReminderScheduler.js';
+import { DueDateEngine, parseHolidays } from './services/DueDateEngine.js';
+import { createStorageAdapter, MemoryStorageAdapter } from './services/storage/index.js';
+import { createLLMProvider } from './services/llm/index.js';
+import { COMPLIANCE_DATABASE, COMPLIANCE_DATA_VERSIONS } from './data/compliances.js';
+import { findDanglingReferences } from './data/complianceLoader.js';
+import { INDIAN_STATES_DATA } from './data/states.js';
+
+/**
+ * Build the Express app and its services (server.js adds Socket.IO and listens;
+ * tests boot it in-process with a MockProvider and memory storage)
+ *
+ * @param {Object} options
+ * @param {Object} options.logger - winston-style logger (defaults to a silent one)
+ * @param {LLMProvider} options.llmProvider - Language model backend (defaults to LLM_PROVIDER)
+ * @param {Object} options.storageAdapter - Storage adapter, connected here (defaults to CHAT_STORAGE)
+ * @param {string} options.documentDirectory - Where uploaded documents are written (defaults to DOCUMENT_STORAGE_PATH)
+ * @returns {Promise<Object>} { app, chatbotService, llmProvider, storageAdapter, reminderScheduler }
+ */
+export async function createApp({
+  logger = winston.createLogger({ silent: true }),
+  llmProvider = createLLMProvider(process.env),
+  storageAdapter = null,
+  documentDirectory = null
+} = {}) {
+  const app = express();
+
+  // Middleware
+  app.use(cors({
+    origin: process.env.FRONTEND_URL || "http://localhost:5173",
+    credentials: true
+  }));
+  app.use(express.json({ limit: '10mb' }));
+  app.use(express.urlencoded({ extended: true }));
+
+  // Request logging
+  app.use((req, res, next) => {
+    logger.info(`${req.method} ${req.path} - ${req.ip}`);
+    next();
+  });
+
+  // Compliance data is schema-validated on import; report references it can't resolve
+  const complianceCoverage = findDanglingReferences(COMPLIANCE_DATABASE, INDIAN_STATES_DATA);
+  logger.info(`Compliance data loaded: ${Object.keys(COMPLIANCE_DATA_VERSIONS.states).length} states/UTs, central v${COMPLIANCE_DATA_VERSIONS.central}`);
+  if (complianceCoverage.total > 0) {
+    logger.warn(`Compliance data: ${complianceCoverage.majorCompliances.length} dangling majorCompliances and ${complianceCoverage.businessTypes.length} business type references (see GET /api/states/coverage)`);
+  }
+
+  // Without a client id Google tokens can't be checked against our app (see AuthService)
+  if (!process.env.GOOGLE_CLIENT_ID) {
+    if (process.env.NODE_ENV === 'production') {
+      throw new Error('GOOGLE_CLIENT_ID must be set in production');
+    }
+    logger.warn('GOOGLE_CLIENT_ID not set - Google sign-in is disabled');
+  }
+
+  // Initialize services
+  const ruleEngine = new RuleEngine();
+  const complianceService = new ComplianceService({
+    dueDateEngine: new DueDateEngine({ extraHolidays: parseHolidays(process.env.COMPLIANCE_HOLIDAYS) })
+  });
+  const chatbotService = new ChatbotService(ruleEngine, complianceService, llmProvider);
+  // Created here, started by server.js (tests call run() directly)
+  const reminderScheduler = new ReminderScheduler({
+    complianceService,
+    leadDays: parseLeadDays(process.env.REMINDER_LEAD_DAYS),
+    schedule: process.env.REMINDER_CRON || undefined,
+    timezone: process.env.REMINDER_TIMEZONE || undefined
+  });
+  logger.info(`LLM provider: ${llmProvider.name} (model ${llmProvider.defaultModel}${Object.keys(llmProvider.modelOverrides).length ? `, overrides ${JSON.stringify(llmProvider.modelOverrides)}` : ''})`);
+
+  // Connect chat, status, profile, document, notification and calendar feed persistence (falls back to in-memory storage if the backend is unreachable)
+  try {
+    storageAdapter = storageAdapter || createStorageAdapter(process.env);
+    await storageAdapter.connect();
+  } catch (error) {
+    logger.error(`Chat storage unavailable, falling back to memory: ${error.message}`);
+    storageAdapter = new MemoryStorageAdapter();
+    await storageAdapter.connect();
+  }
+  await chatHistoryStore.attachStorage(storageAdapter);
+  await chatMemoryStore.attachStorage(storageAdapter);
+  await complianceStatusStore.attachStorage(storageAdapter);
+  await userProfileStore.attachStorage(storageAdapter);
+  await documentVault.attachStorage(storageAdapter);
+  await notificationStore.attachStorage(storageAdapter);
+  await calendarFeedStore.attachStorage(storageAdapter);
+  if (documentDirectory) {
+    documentVault.setDirectory(documentDirectory);
+  }
+
+  // Make services available to routes
+  app.locals.chatbotService = chatbotService;
+  app.locals.ruleEngine = ruleEngine;
+  app.locals.complianceService = complianceService;
+  app.locals.schemeMatcher = schemeMatcher;
+  app.locals.reminderScheduler = reminderScheduler;
+  app.locals.llmProvider = llmProvider;
+  app.locals.logger = logger;
+  app.locals.storageAdapter = storageAdapter;
+  app.locals.complianceCoverage = complianceCoverage;
+
+  // Make orchestrator available for LLM provider testing
+  app.set('orchestrator', chatbotService.orchestrator);
+
+  // Routes
+  app.use('/api/auth', authRoutes);
+  app.use('/api/chat', chatRoutes);
+  app.use('/api', chatHistoryRoutes); // Chat history routes (/api/chats, /api/chat-stats)
+  app.use('/api/compliance/status', complianceStatusRoutes);
+  app.use('/api/compliance', complianceRoutes);
+  app.use('/api/user', userRoutes);
+  app.use('/api/states', stateRoutes);
+  app.use('/api/llm', llmRoutes);
+  app.use('/api/ollama', llmRoutes); // Former path of the LLM status/test routes
+  app.use('/api/dashboard', dashboardRoutes);
+  app.use('/api/documents', documentRoutes);
+  app.use('/api/notifications', notificationRoutes);
+  app.use('/api/schemes', schemeRoutes);
+
+  // Health check
+  app.get('/api/health', (req, res) => {
+    res.json({ 
+      status: 'healthy', 
+      timestamp: new Date().toISOString(),
+      services: {
+        chatbot: 'active',
+        ruleEngine: 'active',
+        compliance: 'active',
+        storage: storageAdapter.name
+      }
+    });
+  });
+
+  // Error handling middleware
+  app.use((error, req, res, next) => {
+    logger.error('Unhandled error:', error);
+    res.status(500).json({ 
+      error: 'Internal server error',
+      message: process.env.NODE_ENV === 'development' ? error.message : 'Something went wrong'
+    });
+  });
+
+  // 404 handler
+  app.use('*', (req, res) => {
+    res.status(404).json({ error: 'Route not found' });
+  });
+
+  return { app, chatbotService, llmProvider, storageAdapter, reminderScheduler };
+}
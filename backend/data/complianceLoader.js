@@ -0,0 +1,213 @@
+import { readFileSync, readdirSync } from 'fs';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+import Joi from 'joi';
+import { ConditionEvaluator } from '../services/ConditionEvaluator.js';
+
+/**
+ * Compliance data loader - reads the versioned JSON dataset and validates it
+ *
+ * Loaded once at boot (through data/compliances.js). A schema violation throws,
+ * so a broken data file stops the server instead of silently dropping
+ * obligations at runtime.
+ *
+ * STRUCTURE: data/compliance/
+ *   central.json        { version, lastReviewed, compliances: { KEY: compliance } }
+ *   businessTypes.json  { version, lastReviewed, businessTypes: { type: { required, conditional } } }
+ *   platforms.json      { version, lastReviewed, platforms: { name: { requirements } } }
+ *   states/<ID>.json    { version, lastReviewed, state, name, compliances: { KEY: compliance } }
+ */
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const DEFAULT_DATA_DIRECTORY = join(__dirname, 'compliance');
+
+const conditionEvaluator = new ConditionEvaluator();
+
+// applicableIf must be understood by ConditionEvaluator (catches unknown operators)
+const conditionSchema = Joi.object().unknown(true).custom((condition) => {
+  conditionEvaluator.evaluate(condition, {});
+  return condition;
+}, 'applicability condition');
+
+// Legal source of a compliance: the act (and section/notification) it comes
+// from and the official portal, with the date the reference was last checked
+const referenceSchema = Joi.object({
+  act: Joi.string().required(),
+  section: Joi.string(),
+  notification: Joi.string(),
+  url: Joi.string().uri({ scheme: ['https'] }).required(),
+  lastVerified: Joi.string().isoDate().required()
+});
+
+const complianceSchema = Joi.object({
+  id: Joi.string().pattern(/^[A-Z][A-Z0-9_]*$/).required(),
+  name: Joi.string().required(),
+  category: Joi.string().required(),
+  mandatory: Joi.boolean().required(),
+  applicableIf: conditionSchema,
+  documents: Joi.array().items(Joi.string()),
+  authority: Joi.string().required(),
+  validity: Joi.string(),
+  cost: Joi.alternatives().try(
+    Joi.number().min(0),
+    Joi.string(),
+    Joi.object().pattern(Joi.string(), Joi.number().min(0))
+  ),
+  timeline: Joi.string(),
+  penalties: Joi.object().pattern(Joi.string(), Joi.string()),
+  benefits: Joi.array().items(Joi.string()),
+  stateSpecific: Joi.boolean(),
+  references: Joi.array().items(referenceSchema).min(1).required()
+});
+
+const versionFields = {
+  version: Joi.string().pattern(/^\d+\.\d+\.\d+$/).required(),
+  lastReviewed: Joi.string().isoDate().required()
+};
+
+const centralFileSchema = Joi.object({
+  ...versionFields,
+  compliances: Joi.object().pattern(Joi.string(), complianceSchema).min(1).required()
+});
+
+const businessTypesFileSchema = Joi.object({
+  ...versionFields,
+  businessTypes: Joi.object().pattern(Joi.string(), Joi.object({
+    required: Joi.array().items(Joi.string()),
+    conditional: Joi.array().items(Joi.string())
+  })).required()
+});
+
+const platformsFileSchema = Joi.object({
+  ...versionFields,
+  platforms: Joi.object().pattern(Joi.string(), Joi.object({
+    requirements: Joi.object({
+      mandatory: Joi.array().items(Joi.string()),
+      optional: Joi.array().items(Joi.string()),
+      documents: Joi.array().items(Joi.string()),
+      commission: Joi.string(),
+      timeline: Joi.string()
+    }).required()
+  })).required()
+});
+
+const stateFileSchema = Joi.object({
+  ...versionFields,
+  state: Joi.string().pattern(/^[A-Z]{2}$/).required(),
+  name: Joi.string().required(),
+  compliances: Joi.object().pattern(Joi.string(), complianceSchema).min(1).required()
+});
+
+function readJson(filePath) {
+  try {
+    return JSON.parse(readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Compliance data: Cannot read ${filePath} - ${error.message}`);
+  }
+}
+
+function validate(schema, data, filePath) {
+  const { error, value } = schema.validate(data, { abortEarly: false, convert: false });
+  if (error) {
+    const details = error.details.map(detail => `${detail.path.join('.')}: ${detail.message}`).join('; ');
+    throw new Error(`Compliance data: ${filePath} is invalid - ${details}`);
+  }
+  return value;
+}
+
+/**
+ * Load and validate the compliance dataset
+ * @param {string} directory - Dataset directory (defaults to data/compliance)
+ * @returns {Object} { database, versions } - database has the COMPLIANCE_DATABASE shape
+ */
+export function loadComplianceData(directory = DEFAULT_DATA_DIRECTORY) {
+  const load = (file, schema) => {
+    const filePath = join(directory, file);
+    return validate(schema, readJson(filePath), filePath);
+  };
+
+  const central = load('central.json', centralFileSchema);
+  const businessTypes = load('businessTypes.json', businessTypesFileSchema);
+  const platforms = load('platforms.json', platformsFileSchema);
+
+  const database = {
+    central: central.compliances,
+    stateSpecific: {},
+    businessTypeSpecific: businessTypes.businessTypes,
+    platformSpecific: platforms.platforms
+  };
+
+  const versions = {
+    central: central.version,
+    businessTypes: businessTypes.version,
+    platforms: platforms.version,
+    states: {}
+  };
+
+  const stateFiles = readdirSync(join(directory, 'states'))
+    .filter(file => file.endsWith('.json'))
+    .sort();
+
+  for (const file of stateFiles) {
+    const stateData = load(join('states', file), stateFileSchema);
+
+    if (`${stateData.state}.json` !== file) {
+      throw new Error(`Compliance data: states/${file} declares state ${stateData.state}`);
+    }
+
+    for (const [key, compliance] of Object.entries(stateData.compliances)) {
+      if (compliance.id !== `${stateData.state}_${key}`) {
+        throw new Error(`Compliance data: states/${file} ${key} must have id ${stateData.state}_${key}, got ${compliance.id}`);
+      }
+    }
+
+    database.stateSpecific[stateData.state] = stateData.compliances;
+    versions.states[stateData.state] = stateData.version;
+  }
+
+  return { database, versions };
+}
+
+/**
+ * Find compliance IDs referenced elsewhere that have no definition in the dataset
+ * @param {Object} database - COMPLIANCE_DATABASE
+ * @param {Object} statesData - INDIAN_STATES_DATA
+ * @returns {Object} Coverage report
+ */
+export function findDanglingReferences(database, statesData) {
+  const knownIds = new Set(Object.values(database.central).map(compliance => compliance.id));
+  const stateKeys = new Set();
+
+  for (const stateCompliances of Object.values(database.stateSpecific)) {
+    for (const [key, compliance] of Object.entries(stateCompliances)) {
+      knownIds.add(compliance.id);
+      stateKeys.add(key);
+    }
+  }
+
+  const regions = [...statesData.states, ...statesData.unionTerritories];
+
+  const majorCompliances = regions.flatMap(region =>
+    region.majorCompliances
+      .filter(id => !knownIds.has(id))
+      .map(id => ({ state: region.id, id }))
+  );
+
+  // Business types may name state-relative keys (SHOPS_ACT) resolved per state
+  const businessTypes = Object.entries(database.businessTypeSpecific).flatMap(([businessType, rules]) =>
+    [...(rules.required || []), ...(rules.conditional || [])]
+      .filter(id => !knownIds.has(id) && !stateKeys.has(id))
+      .map(id => ({ businessType, id }))
+  );
+
+  const statesWithoutData = regions
+    .filter(region => !database.stateSpecific[region.id])
+    .map(region => region.id);
+
+  return {
+    majorCompliances,
+    businessTypes,
+    statesWithoutData,
+    total: majorCompliances.length + businessTypes.length
+  };
+}
@@ -0,0 +1,108 @@
+/**
+ * Compliance cost schedules - government fees and optional professional services
+ *
+ * Government fees come from the compliance data (`cost`) unless a schedule
+ * below is more specific; the FSSAI tier comes from FssaiTierSelector. Slab
+ * tables are ordered; the first slab whose `maxEmployees` covers the headcount
+ * applies and the last slab has no cap.
+ * Amounts are indicative rupee figures for planning, not official fee notices.
+ */
+
+// Shops and Establishments registration / renewal fee by number of employees
+export const SHOPS_ACT_FEES = {
+  default: [
+    { maxEmployees: 9, fee: 500 },
+    { maxEmployees: 49, fee: 1500 },
+    { fee: 3000 }
+  ],
+  DL: [
+    { maxEmployees: 9, fee: 300 },
+    { maxEmployees: 49, fee: 1000 },
+    { fee: 2500 }
+  ],
+  GJ: [
+    { maxEmployees: 9, fee: 400 },
+    { maxEmployees: 49, fee: 1200 },
+    { fee: 2500 }
+  ],
+  KA: [
+    { maxEmployees: 9, fee: 500 },
+    { maxEmployees: 49, fee: 2000 },
+    { fee: 4000 }
+  ],
+  // Establishments under 10 employees only file an intimation
+  MH: [
+    { maxEmployees: 9, fee: 200 },
+    { maxEmployees: 20, fee: 2500 },
+    { maxEmployees: 50, fee: 5000 },
+    { fee: 10000 }
+  ],
+  TN: [
+    { maxEmployees: 9, fee: 250 },
+    { maxEmployees: 49, fee: 1000 },
+    { fee: 2000 }
+  ]
+};
+
+// Municipal trade licence fee by sector (falls back to the compliance data `cost`)
+export const TRADE_LICENSE_FEES = {
+  KA: {
+    food_beverage: 3000,
+    manufacturing: 5000,
+    retail: 1500
+  }
+};
+
+// Factory licence fee by number of workers
+export const FACTORIES_ACT_FEES = {
+  default: [
+    { maxEmployees: 20, fee: 2000 },
+    { maxEmployees: 50, fee: 5000 },
+    { maxEmployees: 100, fee: 10000 },
+    { fee: 20000 }
+  ]
+};
+
+// Employer professional tax enrolment (PTEC), paid every year
+export const PROFESSIONAL_TAX_ENROLMENT_FEE = 2500;
+
+/**
+ * Optional professional services the user can switch on
+ * appliesTo: compliance keys that make the service relevant (omit = any business)
+ */
+export const PROFESSIONAL_SERVICES = [
+  {
+    id: 'GST_REGISTRATION',
+    name: 'CA help with GST registration',
+    fee: 2000,
+    frequency: 'one-time',
+    appliesTo: ['GST']
+  },
+  {
+    id: 'GST_FILING',
+    name: 'CA for GST returns',
+    fee: 1500,
+    frequency: 'monthly',
+    appliesTo: ['GST']
+  },
+  {
+    id: 'PAYROLL_FILING',
+    name: 'Payroll compliance (EPF, ESI and professional tax returns)',
+    fee: 2000,
+    frequency: 'monthly',
+    appliesTo: ['EPF', 'ESI', 'PROFESSIONAL_TAX']
+  },
+  {
+    id: 'LICENCE_PAPERWORK',
+    name: 'Licence applications and documentation',
+    fee: 3000,
+    frequency: 'one-time',
+    appliesTo: ['FSSAI', 'SHOPS_ACT', 'TRADE_LICENSE', 'FACTORIES_ACT']
+  },
+  {
+    id: 'ANNUAL_ACCOUNTS',
+    name: 'Annual accounts and income tax return',
+    fee: 10000,
+    frequency: 'annual'
+  }
+];
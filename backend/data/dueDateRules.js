@@ -0,0 +1,186 @@
+/**
+ * Statutory due-date rules for recurring filings
+ *
+ * Each rule describes one return/payment of a compliance (keyed on the
+ * compliance key from data/compliance, e.g. 'GST', 'PROFESSIONAL_TAX'):
+ *   frequency  monthly | quarterly | half-yearly | annual (return periods follow the April-March FY)
+ *   due        { monthOffset, day } - due `day` of the month `monthOffset` months after the
+ *              period's last month; day 'last' is the month's last day
+ *   when       ConditionEvaluator condition on the business profile (omit = always)
+ *
+ * Rules sharing a compliance key and type are alternatives: the first one whose
+ * `when` matches wins, so specific rules (QRMP filers, state schedules) go
+ * before the general one.
+ */
+
+// GSTR-3B for QRMP filers is due on the 22nd in these states/UTs and on the 24th elsewhere
+const GST_QRMP_22ND_STATES = ['CT', 'MP', 'GJ', 'MH', 'KA', 'GA', 'KL', 'TN', 'TG', 'AP', 'DN', 'PY', 'AN', 'LD'];
+
+// QRMP (quarterly returns, monthly payment) is open to turnover up to ₹5 crore
+const QRMP_FILER = {
+  all: [
+    { gstFilingFrequency: 'quarterly' },
+    { annualTurnover: { lessThanOrEqual: 50000000 } }
+  ],
+  label: 'Quarterly GST filer (QRMP, turnover up to ₹5 crore)'
+};
+
+const PROFESSIONAL_TAX_PENALTY = 'Interest @1.5% per month plus penalty under the state Professional Tax Act';
+
+export const DUE_DATE_RULES = [
+  // GST
+  {
+    id: 'GSTR1_QUARTERLY',
+    complianceKey: 'GST',
+    type: 'GSTR-1',
+    frequency: 'quarterly',
+    due: { monthOffset: 1, day: 13 },
+    when: QRMP_FILER,
+    description: 'File GSTR-1 (outward supplies) for the quarter',
+    penalty: '₹50 per day late fee (₹20 for nil returns)'
+  },
+  {
+    id: 'GSTR1_MONTHLY',
+    complianceKey: 'GST',
+    type: 'GSTR-1',
+    frequency: 'monthly',
+    due: { monthOffset: 1, day: 11 },
+    description: 'File GSTR-1 (outward supplies) for the month',
+    penalty: '₹50 per day late fee (₹20 for nil returns)'
+  },
+  {
+    id: 'GSTR3B_QUARTERLY_22',
+    complianceKey: 'GST',
+    type: 'GSTR-3B',
+    frequency: 'quarterly',
+    due: { monthOffset: 1, day: 22 },
+    when: { all: [QRMP_FILER, { state: GST_QRMP_22ND_STATES }] },
+    description: 'File GSTR-3B and pay tax for the quarter',
+    penalty: '₹50 per day late fee plus 18% interest on unpaid tax'
+  },
+  {
+    id: 'GSTR3B_QUARTERLY_24',
+    complianceKey: 'GST',
+    type: 'GSTR-3B',
+    frequency: 'quarterly',
+    due: { monthOffset: 1, day: 24 },
+    when: QRMP_FILER,
+    description: 'File GSTR-3B and pay tax for the quarter',
+    penalty: '₹50 per day late fee plus 18% interest on unpaid tax'
+  },
+  {
+    id: 'GSTR3B_MONTHLY',
+    complianceKey: 'GST',
+    type: 'GSTR-3B',
+    frequency: 'monthly',
+    due: { monthOffset: 1, day: 20 },
+    description: 'File GSTR-3B and pay tax for the month',
+    penalty: '₹50 per day late fee plus 18% interest on unpaid tax'
+  },
+  {
+    id: 'GSTR9_ANNUAL',
+    complianceKey: 'GST',
+    type: 'GSTR-9 Annual Return',
+    frequency: 'annual',
+    due: { monthOffset: 9, day: 31 },
+    when: { annualTurnover: { greaterThan: 20000000 } },
+    description: 'File the GSTR-9 annual return for the financial year',
+    penalty: '₹200 per day late fee (capped at 0.5% of turnover)'
+  },
+
+  // Payroll
+  {
+    id: 'EPF_MONTHLY',
+    complianceKey: 'EPF',
+    type: 'EPF Contribution',
+    frequency: 'monthly',
+    due: { monthOffset: 1, day: 15 },
+    description: 'Deposit EPF contributions and file the ECR',
+    penalty: 'Damages of 5-25% a year plus 12% interest'
+  },
+  {
+    id: 'ESI_MONTHLY',
+    complianceKey: 'ESI',
+    type: 'ESI Contribution',
+    frequency: 'monthly',
+    due: { monthOffset: 1, day: 15 },
+    description: 'Pay ESI contributions for employees',
+    penalty: '12% interest a year plus damages'
+  },
+
+  // Professional tax - employer remittance schedules differ by state
+  {
+    id: 'PT_KA',
+    complianceKey: 'PROFESSIONAL_TAX',
+    type: 'Professional Tax',
+    frequency: 'monthly',
+    due: { monthOffset: 1, day: 20 },
+    when: { state: 'KA' },
+    description: 'Pay professional tax deducted from salaries',
+    penalty: PROFESSIONAL_TAX_PENALTY
+  },
+  {
+    id: 'PT_MH',
+    complianceKey: 'PROFESSIONAL_TAX',
+    type: 'Professional Tax',
+    frequency: 'monthly',
+    due: { monthOffset: 0, day: 'last' },
+    when: { state: 'MH' },
+    description: 'Pay professional tax and file the PTRC return for the month',
+    penalty: PROFESSIONAL_TAX_PENALTY
+  },
+  {
+    id: 'PT_WB',
+    complianceKey: 'PROFESSIONAL_TAX',
+    type: 'Professional Tax',
+    frequency: 'monthly',
+    due: { monthOffset: 0, day: 21 },
+    when: { state: 'WB' },
+    description: 'Pay professional tax deducted from salaries',
+    penalty: PROFESSIONAL_TAX_PENALTY
+  },
+  {
+    id: 'PT_TN',
+    complianceKey: 'PROFESSIONAL_TAX',
+    type: 'Professional Tax',
+    frequency: 'half-yearly',
+    due: { monthOffset: 0, day: 'last' },
+    when: { state: 'TN' },
+    description: 'Pay half-yearly professional tax to the local body',
+    penalty: PROFESSIONAL_TAX_PENALTY
+  },
+  {
+    id: 'PT_TG_AP',
+    complianceKey: 'PROFESSIONAL_TAX',
+    type: 'Professional Tax',
+    frequency: 'monthly',
+    due: { monthOffset: 1, day: 10 },
+    when: { state: ['TG', 'AP'] },
+    description: 'Pay professional tax deducted from salaries',
+    penalty: PROFESSIONAL_TAX_PENALTY
+  },
+  {
+    id: 'PT_DEFAULT',
+    complianceKey: 'PROFESSIONAL_TAX',
+    type: 'Professional Tax',
+    frequency: 'monthly',
+    due: { monthOffset: 1, day: 15 },
+    description: 'Pay professional tax deducted from salaries',
+    penalty: PROFESSIONAL_TAX_PENALTY
+  }
+];
+
+/**
+ * Fixed-date public holidays ('MM-DD') a due date rolls forward over.
+ * Holidays whose date moves every year (Diwali, Holi, Eid...) are passed to
+ * DueDateEngine as ISO dates through its `extraHolidays` option.
+ */
+export const PUBLIC_HOLIDAYS = {
+  national: ['01-26', '08-15', '10-02', '12-25'],
+  states: {
+    GJ: ['05-01'],
+    KA: ['11-01'],
+    MH: ['05-01'],
+    TG: ['06-02']
+  }
+};
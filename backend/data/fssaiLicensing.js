@@ -0,0 +1,93 @@
+/**
+ * FSSAI licensing rules - which licence a food business needs and what it files
+ *
+ * Tiers are checked from the top: the first tier whose conditions a profile
+ * meets applies. Central licensing is triggered by any one of its criteria;
+ * otherwise turnover and daily production capacity both have to fit a tier.
+ * Fees per year of validity are the `cost` of the FSSAI compliance.
+ */
+
+// Annual turnover ceilings in rupees
+export const FSSAI_TURNOVER_LIMITS = {
+  basic: 1200000,
+  state: 200000000
+};
+
+// Manufacturing capacity ceilings in kg (or litres) a day
+export const FSSAI_CAPACITY_LIMITS = {
+  basic: 100,
+  state: 2000
+};
+
+// Licence can be taken for 1 to 5 years, paying the yearly fee for each year
+export const FSSAI_VALIDITY_YEARS = [1, 2, 3, 4, 5];
+
+// Businesses that make or process food rather than sell or serve it
+export const FSSAI_MANUFACTURING_TYPES = ['food_processing', 'bakery', 'manufacturing'];
+
+const IDENTITY_DOCUMENTS = [
+  'Photo ID and address proof of the proprietor, partners or directors',
+  'Proof of possession of premises (rent agreement or ownership)'
+];
+
+const LICENCE_DOCUMENTS = [
+  'Form B signed by the proprietor, partner or authorised signatory',
+  ...IDENTITY_DOCUMENTS,
+  'List of food categories to be handled',
+  'Food safety management system plan',
+  'NOC from the municipality or local body',
+  'Partnership deed, certificate of incorporation or memorandum of association'
+];
+
+export const FSSAI_TIERS = {
+  basic: {
+    tier: 'basic',
+    name: 'FSSAI Basic Registration',
+    form: 'Form A',
+    authority: 'Registering Authority (local food safety officer)',
+    timeline: '7 days',
+    documents: [
+      'Form A',
+      'Passport-size photograph of the food business operator',
+      ...IDENTITY_DOCUMENTS
+    ]
+  },
+  state: {
+    tier: 'state',
+    name: 'FSSAI State Licence',
+    form: 'Form B',
+    authority: 'State Licensing Authority',
+    timeline: '30-60 days',
+    documents: LICENCE_DOCUMENTS
+  },
+  central: {
+    tier: 'central',
+    name: 'FSSAI Central Licence',
+    form: 'Form B',
+    authority: 'Central Licensing Authority (FSSAI)',
+    timeline: '60 days',
+    documents: [
+      ...LICENCE_DOCUMENTS,
+      'Turnover proof (audited accounts or CA certificate)'
+    ]
+  }
+};
+
+/**
+ * Extra documents by what the business does (added on top of the tier list
+ * for licences; Basic Registration does not ask for them)
+ */
+export const FSSAI_CATEGORY_DOCUMENTS = {
+  manufacturing: [
+    'Layout plan of the processing unit',
+    'List of equipment and machinery with installed capacity',
+    'Water analysis report from a recognised laboratory',
+    'Source of raw material (milk, meat and similar)'
+  ],
+  importExport: [
+    'Import Export Code (IEC) from DGFT'
+  ],
+  multiState: [
+    'List of premises in each state with addresses'
+  ]
+};
@@ -0,0 +1,75 @@
+/**
+ * GST registration thresholds and composition scheme limits
+ *
+ * The registration threshold depends on what the business supplies and on
+ * whether its state is a special-category state (`specialCategory` in
+ * INDIAN_STATES_DATA). Only a business supplying goods alone gets the higher
+ * goods threshold - services, or a mix of goods and services, use the
+ * services threshold.
+ *
+ * The turnover limits here must match `central.GST.applicableIf` in
+ * data/compliance/central.json, which decides whether GST applies.
+ */
+
+export const GST_THRESHOLDS = {
+  goods: { regular: 4000000, specialCategory: 2000000 },
+  services: { regular: 2000000, specialCategory: 1000000 }
+};
+
+// Supply type by canonical business type, used when the profile does not say
+export const BUSINESS_TYPE_SUPPLY_TYPES = {
+  restaurant: 'services',
+  cafe: 'services',
+  catering: 'services',
+  cloud_kitchen: 'services',
+  food_stall: 'services',
+  bar: 'services',
+  bakery: 'goods',
+  food_processing: 'goods',
+  manufacturing: 'goods',
+  retail: 'goods',
+  pharmacy: 'goods',
+  ecommerce: 'goods',
+  it_services: 'services',
+  salon: 'services',
+  gym: 'services',
+  services: 'services',
+  clinic: 'services',
+  hospital: 'services'
+};
+
+// Marketplaces that collect TCS on goods sold through them - their sellers
+// must register whatever their turnover
+export const GOODS_MARKETPLACES = ['amazon', 'flipkart', 'meesho', 'myntra', 'snapdeal', 'jiomart'];
+
+/**
+ * Composition scheme (section 10) - tax at a flat rate on turnover
+ * limit / specialCategoryLimit: previous-year turnover ceiling in rupees
+ * rate: tax rate in percent of turnover
+ */
+export const COMPOSITION_SCHEMES = {
+  goods: {
+    name: 'Composition scheme for manufacturers and traders',
+    limit: 15000000,
+    specialCategoryLimit: 7500000,
+    rate: 1
+  },
+  restaurant: {
+    name: 'Composition scheme for restaurants',
+    limit: 15000000,
+    specialCategoryLimit: 7500000,
+    rate: 5
+  },
+  services: {
+    name: 'Composition scheme for service providers',
+    limit: 5000000,
+    specialCategoryLimit: 5000000,
+    rate: 6
+  }
+};
+
+// Services a goods supplier may make and stay in the goods composition scheme
+export const COMPOSITION_SERVICES_ALLOWANCE = {
+  share: 0.1,
+  amount: 500000
+};
@@ -0,0 +1,189 @@
+/**
+ * Hindi vocabulary for the keyword extractors
+ *
+ * Maps Devanagari and romanized Hindi (Hinglish) spellings to the English
+ * terms the city, business type and intent matchers already know, so
+ * "mera cafe पुणे mein hai, bees log" reads as "mera cafe pune mein hai,
+ * 20 employees". Values are lower-case English; spellings are matched as
+ * whole words, longest first.
+ */
+
+/**
+ * Number words, read as numbers only before a unit ("bees log", "पचास लाख")
+ * Romanized "saath" (60) is left out - it usually means "with".
+ */
+export const HINDI_NUMBERS = {
+  ek: 1, 'एक': 1,
+  do: 2, 'दो': 2,
+  teen: 3, 'तीन': 3,
+  char: 4, chaar: 4, 'चार': 4,
+  paanch: 5, panch: 5, 'पांच': 5, 'पाँच': 5,
+  chhe: 6, chheh: 6, 'छह': 6, 'छः': 6,
+  saat: 7, 'सात': 7,
+  aath: 8, 'आठ': 8,
+  nau: 9, 'नौ': 9,
+  das: 10, 'दस': 10,
+  gyarah: 11, 'ग्यारह': 11,
+  barah: 12, baarah: 12, 'बारह': 12,
+  pandrah: 15, 'पंद्रह': 15,
+  bees: 20, 'बीस': 20,
+  pachees: 25, pachis: 25, 'पच्चीस': 25,
+  tees: 30, 'तीस': 30,
+  chalis: 40, chaalis: 40, 'चालीस': 40,
+  pachas: 50, pachaas: 50, 'पचास': 50,
+  'साठ': 60,
+  sattar: 70, 'सत्तर': 70,
+  assi: 80, 'अस्सी': 80,
+  nabbe: 90, 'नब्बे': 90,
+  sau: 100, 'सौ': 100,
+  dedh: 1.5, dhedh: 1.5, 'डेढ़': 1.5, 'डेढ': 1.5,
+  dhai: 2.5, dhaai: 2.5, 'ढाई': 2.5
+};
+
+/**
+ * Units a number can be followed by, mapped to the English unit
+ */
+export const HINDI_UNITS = {
+  lakh: 'lakh', lac: 'lakh', 'लाख': 'lakh',
+  crore: 'crore', karod: 'crore', karor: 'crore', 'करोड़': 'crore', 'करोड': 'crore',
+  hazaar: 'thousand', hazar: 'thousand', hajar: 'thousand', 'हज़ार': 'thousand', 'हजार': 'thousand',
+  log: 'employees', logon: 'employees', 'लोग': 'employees', 'लोगों': 'employees',
+  karmchari: 'employees', karamchari: 'employees', 'कर्मचारी': 'employees', 'कर्मचारियों': 'employees',
+  mazdoor: 'workers', majdoor: 'workers', 'मज़दूर': 'workers', 'मजदूर': 'workers',
+  'स्टाफ': 'staff', 'स्टाफ़': 'staff',
+  employees: 'employees', staff: 'staff', workers: 'workers', people: 'people',
+  thousand: 'thousand', crores: 'crore', lakhs: 'lakh'
+};
+
+/**
+ * Cities and states (see CITY_STATE_MAP and data/states.js)
+ */
+export const HINDI_PLACES = {
+  'मुंबई': 'mumbai', 'मुम्बई': 'mumbai', bambai: 'mumbai', bombay: 'mumbai',
+  'दिल्ली': 'delhi', 'नई दिल्ली': 'new delhi', dilli: 'delhi',
+  'बेंगलुरु': 'bengaluru', 'बेंगलूरु': 'bengaluru', 'बैंगलोर': 'bangalore', banglore: 'bangalore',
+  'चेन्नई': 'chennai', madras: 'chennai',
+  'कोलकाता': 'kolkata', calcutta: 'kolkata', kolkatta: 'kolkata',
+  'हैदराबाद': 'hyderabad',
+  'पुणे': 'pune', poona: 'pune',
+  'अहमदाबाद': 'ahmedabad',
+  'जयपुर': 'jaipur',
+  'लखनऊ': 'lucknow', lakhnau: 'lucknow',
+  'कानपुर': 'kanpur',
+  'नागपुर': 'nagpur',
+  'इंदौर': 'indore',
+  'भोपाल': 'bhopal',
+  'पटना': 'patna',
+  'वडोदरा': 'vadodara', baroda: 'vadodara',
+  'सूरत': 'surat',
+  'लुधियाना': 'ludhiana',
+  'आगरा': 'agra',
+  'नासिक': 'nashik',
+  'वाराणसी': 'varanasi', banaras: 'varanasi', benaras: 'varanasi', 'बनारस': 'varanasi',
+  'चंडीगढ़': 'chandigarh',
+  'गुड़गांव': 'gurgaon', 'गुरुग्राम': 'gurugram',
+  'नोएडा': 'noida',
+  'गाज़ियाबाद': 'ghaziabad', 'गाजियाबाद': 'ghaziabad',
+  'फरीदाबाद': 'faridabad',
+  'कोयंबटूर': 'coimbatore',
+  'कोच्चि': 'kochi',
+  'मैसूर': 'mysore',
+  'गोवा': 'goa',
+  'शिमला': 'shimla',
+  'देहरादून': 'dehradun',
+  'रांची': 'ranchi',
+  'भुवनेश्वर': 'bhubaneswar',
+  'रायपुर': 'raipur',
+  'गुवाहाटी': 'guwahati',
+  'जम्मू': 'jammu',
+  'श्रीनगर': 'srinagar',
+  'अमृतसर': 'amritsar',
+  'जोधपुर': 'jodhpur',
+  'उदयपुर': 'udaipur',
+  'ठाणे': 'thane',
+  'महाराष्ट्र': 'maharashtra',
+  'कर्नाटक': 'karnataka',
+  'उत्तर प्रदेश': 'uttar pradesh',
+  'मध्य प्रदेश': 'madhya pradesh',
+  'बिहार': 'bihar',
+  'राजस्थान': 'rajasthan',
+  'गुजरात': 'gujarat',
+  'तमिलनाडु': 'tamil nadu', 'तमिल नाडु': 'tamil nadu',
+  'केरल': 'kerala',
+  'पंजाब': 'punjab',
+  'हरियाणा': 'haryana',
+  'पश्चिम बंगाल': 'west bengal',
+  'तेलंगाना': 'telangana',
+  'आंध्र प्रदेश': 'andhra pradesh',
+  'ओडिशा': 'odisha',
+  'झारखंड': 'jharkhand',
+  'छत्तीसगढ़': 'chhattisgarh',
+  'उत्तराखंड': 'uttarakhand',
+  'हिमाचल प्रदेश': 'himachal pradesh',
+  'असम': 'assam'
+};
+
+/**
+ * Business types (see BUSINESS_TYPE_INFERENCE)
+ */
+export const HINDI_BUSINESS_TYPES = {
+  'कैफ़े': 'cafe', 'कैफे': 'cafe',
+  'रेस्टोरेंट': 'restaurant', 'रेस्टोरेन्ट': 'restaurant', 'रेस्तरां': 'restaurant', restaurent: 'restaurant',
+  'ढाबा': 'dhaba',
+  'बेकरी': 'bakery',
+  'मिठाई की दुकान': 'sweet shop', 'mithai ki dukaan': 'sweet shop', 'mithai ki dukan': 'sweet shop', 'mithai shop': 'sweet shop',
+  'टिफिन सर्विस': 'tiffin service', 'टिफ़िन सर्विस': 'tiffin service',
+  'कैटरिंग': 'catering',
+  'क्लाउड किचन': 'cloud kitchen',
+  'किराना': 'kirana', 'किराने की दुकान': 'kirana',
+  'दवाई की दुकान': 'medical store', 'dawai ki dukaan': 'medical store', 'dawai ki dukan': 'medical store', 'दवा की दुकान': 'medical store',
+  'मेडिकल स्टोर': 'medical store',
+  'कपड़े का कारखाना': 'textile', 'कपड़ा': 'textile', kapda: 'textile', kapde: 'textile',
+  'कारखाना': 'factory', karkhana: 'factory', 'फैक्ट्री': 'factory',
+  'सैलून': 'salon', 'ब्यूटी पार्लर': 'parlour', 'पार्लर': 'parlour',
+  'जिम': 'gym',
+  'क्लिनिक': 'clinic', 'दवाखाना': 'clinic', davakhana: 'clinic', dawakhana: 'clinic',
+  'अस्पताल': 'hospital', aspatal: 'hospital',
+  'सॉफ्टवेयर': 'software',
+  'स्टार्टअप': 'startup',
+  'ऑनलाइन बिज़नेस': 'online business', 'ऑनलाइन बिजनेस': 'online business',
+  'दुकान': 'shop', dukaan: 'shop', dukan: 'shop',
+  'व्यापार': 'business', 'व्यवसाय': 'business', 'बिज़नेस': 'business', 'बिजनेस': 'business', vyapar: 'business', dhandha: 'business'
+};
+
+/**
+ * Words the intent and topic matchers look for
+ */
+export const HINDI_TERMS = {
+  'लाइसेंस': 'license', 'लाइसेन्स': 'license', laisens: 'license',
+  'पंजीकरण': 'registration', 'रजिस्ट्रेशन': 'registration', panjikaran: 'registration',
+  'अनुमति': 'permit', anumati: 'permit',
+  'जीएसटी': 'gst',
+  'एफएसएसएआई': 'fssai',
+  'योजना': 'scheme', 'योजनाएं': 'schemes', 'योजनाओं': 'schemes', yojana: 'scheme', yojna: 'scheme', yojanaen: 'schemes',
+  'सब्सिडी': 'subsidy', 'अनुदान': 'grant', anudan: 'grant',
+  'मुद्रा': 'mudra',
+  'कितना समय': 'how long', 'कितने दिन': 'how long', 'कब तक': 'how long',
+  'kitna time': 'how long', 'kitna samay': 'how long', 'kitne din': 'how long', 'kab tak': 'how long',
+  'समय सीमा': 'timeline',
+  'शुरू': 'start', shuru: 'start',
+  'खोलना': 'start', 'खोलनी': 'start', 'खोल रहा': 'start', 'खोल रही': 'start', 'खोलने': 'start',
+  kholna: 'start', kholni: 'start', kholne: 'start', 'khol raha': 'start', 'khol rahi': 'start', 'khol rahe': 'start',
+  'स्विगी': 'swiggy', 'ज़ोमैटो': 'zomato', 'जोमैटो': 'zomato', 'अमेज़न': 'amazon', 'अमेजन': 'amazon', 'फ्लिपकार्ट': 'flipkart',
+  'हाँ': 'yes', 'हां': 'yes', 'जी हाँ': 'yes', 'सही': 'correct',
+  'नहीं': 'no', 'गलत': 'wrong'
+};
+
+/**
+ * Common romanized Hindi words that rarely appear in English text -
+ * several of them in one message mark it as Hinglish
+ */
+export const HINGLISH_MARKERS = [
+  'mera', 'meri', 'mere', 'mujhe', 'hum', 'hamara', 'hamari', 'humara', 'humari', 'apna', 'apni',
+  'mein', 'hai', 'hain', 'tha', 'thi', 'hoga', 'hogi',
+  'kya', 'kaise', 'kitna', 'kitne', 'kitni', 'kab', 'kahan', 'kaun',
+  'chahiye', 'karna', 'karne', 'karein', 'karun', 'batao', 'bataiye', 'bataye',
+  'aur', 'ka', 'ki', 'ke', 'ko', 'se', 'liye', 'bhi', 'tak', 'wala', 'wali', 'wale',
+  'nahi', 'nahin', 'haan', 'raha', 'rahi', 'rahe', 'yeh', 'ye', 'woh', 'vo',
+  'log', 'dukaan', 'dukan', 'shuru', 'kholna', 'lagega', 'lagegi', 'lagenge', 'milega', 'milegi'
+];
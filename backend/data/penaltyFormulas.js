@@ -0,0 +1,98 @@
+/**
+ * Penalty formulas - structured versions of the free-text `penalties` in the compliance data
+ *
+ * Keyed by compliance key; `unregistered` applies while the compliance has not
+ * been obtained, `expired` (when present) after a licence lapses. Components:
+ *   fixed          { amount }                      - one-time, incurred immediately
+ *   perDay         { amount, max }                 - accrues every day, capped
+ *   percentOfTax   { percent, min, max }           - share of the tax accrued so far
+ *   perReturn      { amount, max }                 - late fee per day on every monthly return missed, capped per return
+ *   interest       { annualRate, tiers }           - simple interest on every month's unpaid amount;
+ *                                                    tiers pick the rate by months of delay
+ * Amount-based components work on the monthly base (`base`) estimated by
+ * PenaltyCalculator from the profile.
+ */
+
+// EPF / ESI damages grow with the delay: 5% / 10% / 15% / 25% a year
+const CONTRIBUTION_DAMAGES = [
+  { upToMonths: 2, annualRate: 5 },
+  { upToMonths: 4, annualRate: 10 },
+  { upToMonths: 6, annualRate: 15 },
+  { annualRate: 25 }
+];
+
+export const PENALTY_FORMULAS = {
+  GST: {
+    base: 'gst',
+    unregistered: [
+      { type: 'percentOfTax', label: 'Late registration penalty (10% of tax, at least ₹10,000)', percent: 10, min: 10000 },
+      { type: 'perReturn', label: 'Late fee on unfiled GSTR-3B returns', amount: 50, max: 10000 },
+      { type: 'interest', label: 'Interest on unpaid tax (18% a year)', annualRate: 18 }
+    ]
+  },
+  FSSAI: {
+    unregistered: [
+      { type: 'fixed', label: 'Operating without a licence (₹25,000 up to ₹5,00,000)', amount: 25000 }
+    ],
+    expired: [
+      { type: 'perDay', label: 'Late renewal fee (₹100 a day)', amount: 100 }
+    ]
+  },
+  EPF: {
+    base: 'epf',
+    unregistered: [
+      { type: 'interest', label: 'Interest on contributions (12% a year, section 7Q)', annualRate: 12 },
+      { type: 'interest', label: 'Damages on late contributions (5-25% a year, section 14B)', tiers: CONTRIBUTION_DAMAGES }
+    ]
+  },
+  ESI: {
+    base: 'esi',
+    unregistered: [
+      { type: 'interest', label: 'Interest on contributions (12% a year)', annualRate: 12 },
+      { type: 'interest', label: 'Damages on late contributions (5-25% a year)', tiers: CONTRIBUTION_DAMAGES }
+    ]
+  },
+  PROFESSIONAL_TAX: {
+    base: 'professionalTax',
+    unregistered: [
+      { type: 'percentOfTax', label: 'Penalty (10% of unpaid tax)', percent: 10 },
+      { type: 'interest', label: 'Interest on unpaid tax (1.5% a month)', annualRate: 18 }
+    ]
+  },
+  SHOPS_ACT: {
+    unregistered: [
+      { type: 'fixed', label: 'Fine for an unregistered establishment (varies by state)', amount: 5000 }
+    ],
+    expired: [
+      { type: 'fixed', label: 'Late renewal fine (varies by state)', amount: 1000 }
+    ]
+  },
+  TRADE_LICENSE: {
+    unregistered: [
+      { type: 'fixed', label: 'Fine for trading without a licence', amount: 5000 },
+      { type: 'perDay', label: 'Continuing fine (₹100 a day)', amount: 100, max: 50000 }
+    ]
+  },
+  FACTORIES_ACT: {
+    unregistered: [
+      { type: 'fixed', label: 'Fine for running an unlicensed factory (up to ₹1,00,000)', amount: 100000 },
+      { type: 'perDay', label: 'Continuing fine (₹1,000 a day)', amount: 1000 }
+    ]
+  }
+};
+
+/**
+ * Assumptions used to estimate monthly tax / contribution bases from a profile
+ * (a profile may give monthlyGstLiability or averageMonthlyWage instead)
+ */
+export const PENALTY_ASSUMPTIONS = {
+  // Net GST after input tax credit - 18% on roughly 28% value added
+  gstNetRate: 0.05,
+  averageMonthlyWage: 15000,
+  // EPF: 12% employee + 12% employer on wages up to ₹15,000
+  epfRate: 0.24,
+  epfWageCeiling: 15000,
+  // ESI: 0.75% employee + 3.25% employer
+  esiRate: 0.04,
+  professionalTaxPerEmployee: 200
+};
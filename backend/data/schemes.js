@@ -0,0 +1,223 @@
+/**
+ * Government schemes and subsidies an MSME can apply for
+ *
+ * `eligibleIf` uses the ConditionEvaluator language (see
+ * services/ConditionEvaluator.js) over the scheme profile built by
+ * SchemeMatcher: the normalized business profile plus
+ *   msmeCategory  - Udyam category (Micro / Small / Medium)
+ *   newEnterprise - not yet registered (no registrationDate) unless the profile says otherwise
+ *   projectCost   - projectCost, or the business budget (`investment`)
+ *   fundingNeed   - loanAmount, or the project cost
+ */
+
+const MUDRA_DOCUMENTS = [
+  'MUDRA loan application form',
+  'Identity and address proof of the applicant',
+  'Proof of business address',
+  'Quotation for the machinery or items to be bought',
+  'Caste certificate (if applicable)'
+];
+
+const MUDRA_LARGER_LOAN_DOCUMENTS = [
+  ...MUDRA_DOCUMENTS,
+  'Bank statements for the last 6 months',
+  'Projected balance sheet for the loan period'
+];
+
+const MICRO_ENTERPRISE = { msmeCategory: { equals: 'Micro', label: 'Micro enterprise' } };
+
+const STARTUP_DOCUMENTS = [
+  'DPIIT recognition certificate',
+  'Certificate of incorporation or registration',
+  'PAN of the entity',
+  'Pitch deck or business plan'
+];
+
+/**
+ * State startup policies - open to DPIIT-recognised startups registered in the state
+ */
+const STATE_STARTUP_POLICIES = [
+  {
+    state: 'KA',
+    stateName: 'Karnataka',
+    name: 'Karnataka Startup Policy',
+    authority: 'Karnataka Startup Cell',
+    benefit: 'Elevate grants for early-stage startups, patent cost reimbursement and incubation support'
+  },
+  {
+    state: 'MH',
+    stateName: 'Maharashtra',
+    name: 'Maharashtra State Innovative Startup Policy',
+    authority: 'Maharashtra State Innovation Society',
+    benefit: 'Patent and quality certification cost reimbursement and pilot work orders through the Startup Week'
+  },
+  {
+    state: 'TN',
+    stateName: 'Tamil Nadu',
+    name: 'Tamil Nadu Startup and Innovation Policy',
+    authority: 'StartupTN (TANSIM)',
+    benefit: 'TANSEED seed grants, incubation support and a higher grant for women-led startups'
+  },
+  {
+    state: 'KL',
+    stateName: 'Kerala',
+    name: 'Kerala Startup Policy',
+    authority: 'Kerala Startup Mission',
+    benefit: 'Innovation grants, seed loans and incubation support'
+  },
+  {
+    state: 'TG',
+    stateName: 'Telangana',
+    name: 'Telangana Innovation Policy',
+    authority: 'Telangana State Innovation Cell',
+    benefit: 'Incubation at T-Hub, patent cost reimbursement and SGST reimbursement'
+  }
+];
+
+export const SCHEMES = [
+  {
+    id: 'CGTMSE',
+    name: 'Credit Guarantee Fund Trust for Micro and Small Enterprises (CGTMSE)',
+    type: 'central',
+    authority: 'Ministry of MSME and SIDBI',
+    benefit: 'Collateral-free bank loans up to ₹5 crore, guaranteed by the trust',
+    eligibleIf: {
+      msmeCategory: { in: ['Micro', 'Small'], label: 'Micro or Small enterprise' }
+    },
+    documents: [
+      'Udyam Registration Certificate',
+      'Loan application to a CGTMSE member bank',
+      'Project report or business plan',
+      'KYC of the promoters (PAN and Aadhaar)',
+      'Financial statements for the last 2 years (existing units)'
+    ]
+  },
+  {
+    id: 'PMEGP',
+    name: "Prime Minister's Employment Generation Programme (PMEGP)",
+    type: 'central',
+    authority: 'KVIC, Ministry of MSME',
+    benefit: 'Margin money subsidy of 15-35% of the project cost on a bank loan for a new unit',
+    eligibleIf: {
+      all: [
+        { newEnterprise: { equals: true, label: 'New enterprise' } },
+        {
+          any: [
+            {
+              all: [
+                {
+                  any: [{ sector: 'manufacturing' }, { businessType: ['bakery', 'food_processing'] }],
+                  label: 'Manufacturing unit'
+                },
+                { projectCost: { lessThanOrEqual: 5000000 } }
+              ]
+            },
+            {
+              all: [
+                { supplyType: { equals: 'services', label: 'Service enterprise' } },
+                { projectCost: { lessThanOrEqual: 2000000 } }
+              ]
+            }
+          ]
+        }
+      ]
+    },
+    documents: [
+      'PMEGP online application on the KVIC portal',
+      'Detailed project report',
+      'Aadhaar card',
+      'Special category certificate (SC/ST/OBC/women/ex-servicemen, if applicable)',
+      'Education certificate (8th pass for larger projects)',
+      'Entrepreneurship Development Programme (EDP) training certificate'
+    ]
+  },
+  {
+    id: 'STAND_UP_INDIA',
+    name: 'Stand-Up India',
+    type: 'central',
+    authority: 'Department of Financial Services and SIDBI',
+    benefit: 'Bank loans of ₹10 lakh to ₹1 crore for a greenfield enterprise, with handholding support',
+    eligibleIf: {
+      all: [
+        { newEnterprise: { equals: true, label: 'Greenfield (first) enterprise' } },
+        {
+          any: [
+            { womanOwned: { equals: true, label: 'Woman entrepreneur' } },
+            { ownerSocialCategory: { in: ['sc', 'st'], label: 'SC/ST entrepreneur' } }
+          ]
+        }
+      ]
+    },
+    documents: [
+      'Application on the Stand-Up Mitra portal',
+      'Caste certificate (SC/ST applicants)',
+      'Project report',
+      'KYC of the promoters',
+      'Proof of business premises',
+      'Partnership deed or memorandum of association (if not a proprietorship)'
+    ]
+  },
+  {
+    id: 'MUDRA_SHISHU',
+    name: 'MUDRA Shishu loan',
+    type: 'central',
+    authority: 'MUDRA, through banks, NBFCs and MFIs',
+    benefit: 'Loans up to ₹50,000 without collateral',
+    eligibleIf: {
+      all: [MICRO_ENTERPRISE, { fundingNeed: { lessThanOrEqual: 50000 } }]
+    },
+    documents: MUDRA_DOCUMENTS
+  },
+  {
+    id: 'MUDRA_KISHORE',
+    name: 'MUDRA Kishore loan',
+    type: 'central',
+    authority: 'MUDRA, through banks, NBFCs and MFIs',
+    benefit: 'Loans from ₹50,000 to ₹5 lakh without collateral',
+    eligibleIf: {
+      all: [MICRO_ENTERPRISE, { fundingNeed: { between: [50001, 500000] } }]
+    },
+    documents: MUDRA_LARGER_LOAN_DOCUMENTS
+  },
+  {
+    id: 'MUDRA_TARUN',
+    name: 'MUDRA Tarun loan',
+    type: 'central',
+    authority: 'MUDRA, through banks, NBFCs and MFIs',
+    benefit: 'Loans from ₹5 lakh to ₹10 lakh without collateral',
+    eligibleIf: {
+      all: [MICRO_ENTERPRISE, { fundingNeed: { between: [500001, 1000000] } }]
+    },
+    documents: MUDRA_LARGER_LOAN_DOCUMENTS
+  },
+  {
+    id: 'MUDRA_TARUN_PLUS',
+    name: 'MUDRA Tarun Plus loan',
+    type: 'central',
+    authority: 'MUDRA, through banks, NBFCs and MFIs',
+    benefit: 'Loans from ₹10 lakh to ₹20 lakh for borrowers who have repaid a Tarun loan',
+    eligibleIf: {
+      all: [
+        MICRO_ENTERPRISE,
+        { fundingNeed: { between: [1000001, 2000000] } },
+        { repaidTarunLoan: { equals: true, label: 'Has repaid a MUDRA Tarun loan' } }
+      ]
+    },
+    documents: [...MUDRA_LARGER_LOAN_DOCUMENTS, 'Repayment record of the earlier Tarun loan']
+  },
+  ...STATE_STARTUP_POLICIES.map(policy => ({
+    id: `${policy.state}_STARTUP_POLICY`,
+    name: policy.name,
+    type: 'state',
+    state: policy.state,
+    authority: policy.authority,
+    benefit: policy.benefit,
+    eligibleIf: {
+      all: [
+        { state: { equals: policy.state, label: `Based in ${policy.stateName}` } },
+        { dpiitRecognised: { equals: true, label: 'DPIIT-recognised startup' } }
+      ]
+    },
+    documents: [...STARTUP_DOCUMENTS, `Proof of registered office in ${policy.stateName}`]
+  }))
+];
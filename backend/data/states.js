@@ -5,6 +5,7 @@ export const INDIAN_STATES_DATA = {
       "name": "Andhra Pradesh",
       "capital": "Amaravati",
       "type": "state",
+      "specialCategory": false,
       "districts": 13,
       "businessTypes": ["manufacturing", "agriculture", "textiles", "pharmaceuticals"],
       "majorCompliances": ["AP_SHOPS_ACT", "AP_FACTORIES_ACT", "AP_POLLUTION_CONTROL"]
@@ -14,6 +15,7 @@ export const INDIAN_STATES_DATA = {
       "name": "Arunachal Pradesh", 
       "capital": "Itanagar",
       "type": "state",
+      "specialCategory": true,
       "districts": 25,
       "businessTypes": ["agriculture", "handicrafts", "tourism"],
       "majorCompliances": ["AR_SHOPS_ACT", "AR_FOREST_CLEARANCE"]
@@ -22,7 +24,8 @@ export const INDIAN_STATES_DATA = {
       "id": "AS",
       "name": "Assam",
       "capital": "Dispur",
-      "type": "state", 
+      "type": "state",
+      "specialCategory": true,
       "districts": 33,
       "businessTypes": ["tea", "petroleum", "textiles", "handicrafts"],
       "majorCompliances": ["AS_SHOPS_ACT", "AS_TEA_ACT", "AS_POLLUTION_CONTROL"]
@@ -32,6 +35,7 @@ export const INDIAN_STATES_DATA = {
       "name": "Bihar",
       "capital": "Patna",
       "type": "state",
+      "specialCategory": false,
       "districts": 38,
       "businessTypes": ["agriculture", "manufacturing", "mining"],
       "majorCompliances": ["BR_SHOPS_ACT", "BR_FACTORIES_ACT"]
@@ -41,6 +45,7 @@ export const INDIAN_STATES_DATA = {
       "name": "Chhattisgarh",
       "capital": "Raipur", 
       "type": "state",
+      "specialCategory": false,
       "districts": 28,
       "businessTypes": ["mining", "steel", "power", "agriculture"],
       "majorCompliances": ["CT_SHOPS_ACT", "CT_MINING_ACT", "CT_POLLUTION_CONTROL"]
@@ -50,6 +55,7 @@ export const INDIAN_STATES_DATA = {
       "name": "Goa",
       "capital": "Panaji",
       "type": "state",
+      "specialCategory": false,
       "districts": 2,
       "businessTypes": ["tourism", "mining", "pharmaceuticals", "food_processing"],
       "majorCompliances": ["GA_SHOPS_ACT", "GA_TOURISM_ACT"]
@@ -59,6 +65,7 @@ export const INDIAN_STATES_DATA = {
       "name": "Gujarat",
       "capital": "Gandhinagar",
       "type": "state",
+      "specialCategory": false,
       "districts": 33,
       "businessTypes": ["chemicals", "textiles", "pharmaceuticals", "petrochemicals"],
       "majorCompliances": ["GJ_SHOPS_ACT", "GJ_FACTORIES_ACT", "GJ_POLLUTION_CONTROL"]
@@ -68,6 +75,7 @@ export const INDIAN_STATES_DATA = {
       "name": "Haryana",
       "capital": "Chandigarh",
       "type": "state",
+      "specialCategory": false,
       "districts": 22,
       "businessTypes": ["agriculture", "automobiles", "textiles", "sports_goods"],
       "majorCompliances": ["HR_SHOPS_ACT", "HR_FACTORIES_ACT"]
@@ -77,6 +85,7 @@ export const INDIAN_STATES_DATA = {
       "name": "Himachal Pradesh",
       "capital": "Shimla",
       "type": "state",
+      "specialCategory": true,
       "districts": 12,
       "businessTypes": ["tourism", "hydropower", "pharmaceuticals", "textiles"],
       "majorCompliances": ["HP_SHOPS_ACT", "HP_TOURISM_ACT"]
@@ -86,6 +95,7 @@ export const INDIAN_STATES_DATA = {
       "name": "Jharkhand",
       "capital": "Ranchi",
       "type": "state",
+      "specialCategory": false,
       "districts": 24,
       "businessTypes": ["mining", "steel", "heavy_engineering"],
       "majorCompliances": ["JH_SHOPS_ACT", "JH_MINING_ACT", "JH_FACTORIES_ACT"]
@@ -95,6 +105,7 @@ export const INDIAN_STATES_DATA = {
       "name": "Karnataka",
       "capital": "Bengaluru",
       "type": "state",
+      "specialCategory": false,
       "districts": 30,
       "businessTypes": ["it_services", "biotechnology", "aerospace", "textiles"],
       "majorCompliances": ["KA_SHOPS_ACT", "KA_FACTORIES_ACT", "KA_IT_POLICY"]
@@ -104,6 +115,7 @@ export const INDIAN_STATES_DATA = {
       "name": "Kerala",
       "capital": "Thiruvananthapuram",
       "type": "state",
+      "specialCategory": false,
       "districts": 14,
       "businessTypes": ["spices", "coir", "marine_products", "tourism"],
       "majorCompliances": ["KL_SHOPS_ACT", "KL_FACTORIES_ACT", "KL_MARINE_ACT"]
@@ -113,6 +125,7 @@ export const INDIAN_STATES_DATA = {
       "name": "Madhya Pradesh",
       "capital": "Bhopal",
       "type": "state",
+      "specialCategory": false,
       "districts": 52,
       "businessTypes": ["agriculture", "textiles", "heavy_engineering", "mining"],
       "majorCompliances": ["MP_SHOPS_ACT", "MP_FACTORIES_ACT", "MP_MINING_ACT"]
@@ -122,6 +135,7 @@ export const INDIAN_STATES_DATA = {
       "name": "Maharashtra",
       "capital": "Mumbai",
       "type": "state",
+      "specialCategory": false,
       "districts": 36,
       "businessTypes": ["financial_services", "automobiles", "textiles", "chemicals"],
       "majorCompliances": ["MH_SHOPS_ACT", "MH_FACTORIES_ACT", "MH_POLLUTION_CONTROL"]
@@ -131,6 +145,7 @@ export const INDIAN_STATES_DATA = {
       "name": "Manipur",
       "capital": "Imphal",
       "type": "state",
+      "specialCategory": true,
       "districts": 16,
       "businessTypes": ["handicrafts", "handloom", "agriculture"],
       "majorCompliances": ["MN_SHOPS_ACT", "MN_HANDICRAFTS_ACT"]
@@ -140,6 +155,7 @@ export const INDIAN_STATES_DATA = {
       "name": "Meghalaya",
       "capital": "Shillong",
       "type": "state",
+      "specialCategory": true,
       "districts": 11,
       "businessTypes": ["mining", "agriculture", "handicrafts"],
       "majorCompliances": ["ML_SHOPS_ACT", "ML_MINING_ACT"]
@@ -149,6 +165,7 @@ export const INDIAN_STATES_DATA = {
       "name": "Mizoram",
       "capital": "Aizawl",
       "type": "state",
+      "specialCategory": true,
       "districts": 8,
       "businessTypes": ["handicrafts", "handloom", "bamboo_products"],
       "majorCompliances": ["MZ_SHOPS_ACT", "MZ_HANDICRAFTS_ACT"]
@@ -158,6 +175,7 @@ export const INDIAN_STATES_DATA = {
       "name": "Nagaland",
       "capital": "Kohima",
       "type": "state",
+      "specialCategory": true,
       "districts": 11,
       "businessTypes": ["handicrafts", "handloom", "agriculture"],
       "majorCompliances": ["NL_SHOPS_ACT", "NL_HANDICRAFTS_ACT"]
@@ -167,6 +185,7 @@ export const INDIAN_STATES_DATA = {
       "name": "Odisha",
       "capital": "Bhubaneswar",
       "type": "state",
+      "specialCategory": false,
       "districts": 30,
       "businessTypes": ["mining", "steel", "aluminum", "petrochemicals"],
       "majorCompliances": ["OR_SHOPS_ACT", "OR_MINING_ACT", "OR_FACTORIES_ACT"]
@@ -176,6 +195,7 @@ export const INDIAN_STATES_DATA = {
       "name": "Punjab",
       "capital": "Chandigarh",
       "type": "state",
+      "specialCategory": false,
       "districts": 22,
       "businessTypes": ["agriculture", "textiles", "sports_goods", "food_processing"],
       "majorCompliances": ["PB_SHOPS_ACT", "PB_FACTORIES_ACT", "PB_AGRICULTURE_ACT"]
@@ -185,6 +205,7 @@ export const INDIAN_STATES_DATA = {
       "name": "Rajasthan",
       "capital": "Jaipur",
       "type": "state",
+      "specialCategory": false,
       "districts": 33,
       "businessTypes": ["textiles", "handicrafts", "mining", "tourism"],
       "majorCompliances": ["RJ_SHOPS_ACT", "RJ_FACTORIES_ACT", "RJ_TOURISM_ACT"]
@@ -194,6 +215,7 @@ export const INDIAN_STATES_DATA = {
       "name": "Sikkim",
       "capital": "Gangtok",
       "type": "state",
+      "specialCategory": true,
       "districts": 4,
       "businessTypes": ["tourism", "handicrafts", "organic_farming"],
       "majorCompliances": ["SK_SHOPS_ACT", "SK_TOURISM_ACT"]
@@ -203,6 +225,7 @@ export const INDIAN_STATES_DATA = {
       "name": "Tamil Nadu",
       "capital": "Chennai",
       "type": "state",
+      "specialCategory": false,
       "districts": 38,
       "businessTypes": ["automobiles", "textiles", "leather", "it_services"],
       "majorCompliances": ["TN_SHOPS_ACT", "TN_FACTORIES_ACT", "TN_POLLUTION_CONTROL"]
@@ -212,6 +235,7 @@ export const INDIAN_STATES_DATA = {
       "name": "Telangana",
       "capital": "Hyderabad",
       "type": "state",
+      "specialCategory": false,
       "districts": 33,
       "businessTypes": ["it_services", "pharmaceuticals", "biotechnology", "aerospace"],
       "majorCompliances": ["TG_SHOPS_ACT", "TG_FACTORIES_ACT", "TG_IT_POLICY"]
@@ -221,6 +245,7 @@ export const INDIAN_STATES_DATA = {
       "name": "Tripura",
       "capital": "Agartala",
       "type": "state",
+      "specialCategory": true,
       "districts": 8,
       "businessTypes": ["handicrafts", "handloom", "bamboo_products"],
       "majorCompliances": ["TR_SHOPS_ACT", "TR_HANDICRAFTS_ACT"]
@@ -230,6 +255,7 @@ export const INDIAN_STATES_DATA = {
       "name": "Uttar Pradesh",
       "capital": "Lucknow",
       "type": "state",
+      "specialCategory": false,
       "districts": 75,
       "businessTypes": ["agriculture", "textiles", "leather", "handicrafts"],
       "majorCompliances": ["UP_SHOPS_ACT", "UP_FACTORIES_ACT", "UP_AGRICULTURE_ACT"]
@@ -239,6 +265,7 @@ export const INDIAN_STATES_DATA = {
       "name": "Uttarakhand",
       "capital": "Dehradun",
       "type": "state",
+      "specialCategory": true,
       "districts": 13,
       "businessTypes": ["tourism", "pharmaceuticals", "automobiles"],
       "majorCompliances": ["UT_SHOPS_ACT", "UT_TOURISM_ACT", "UT_FACTORIES_ACT"]
@@ -248,6 +275,7 @@ export const INDIAN_STATES_DATA = {
       "name": "West Bengal",
       "capital": "Kolkata",
       "type": "state",
+      "specialCategory": false,
       "districts": 23,
       "businessTypes": ["jute", "tea", "leather", "engineering"],
       "majorCompliances": ["WB_SHOPS_ACT", "WB_FACTORIES_ACT", "WB_TEA_ACT"]
@@ -259,6 +287,7 @@ export const INDIAN_STATES_DATA = {
       "name": "Andaman and Nicobar Islands",
       "capital": "Port Blair",
       "type": "union_territory",
+      "specialCategory": false,
       "districts": 3,
       "businessTypes": ["tourism", "fisheries", "coconut"],
       "majorCompliances": ["AN_SHOPS_ACT", "AN_TOURISM_ACT"]
@@ -268,6 +297,7 @@ export const INDIAN_STATES_DATA = {
       "name": "Chandigarh",
       "capital": "Chandigarh",
       "type": "union_territory",
+      "specialCategory": false,
       "districts": 1,
       "businessTypes": ["it_services", "government", "education"],
       "majorCompliances": ["CH_SHOPS_ACT", "CH_IT_POLICY"]
@@ -277,6 +307,7 @@ export const INDIAN_STATES_DATA = {
       "name": "Dadra and Nagar Haveli and Daman and Diu",
       "capital": "Daman",
       "type": "union_territory",
+      "specialCategory": false,
       "districts": 3,
       "businessTypes": ["chemicals", "textiles", "plastics"],
       "majorCompliances": ["DN_SHOPS_ACT", "DN_FACTORIES_ACT"]
@@ -286,6 +317,7 @@ export const INDIAN_STATES_DATA = {
       "name": "Delhi",
       "capital": "New Delhi",
       "type": "union_territory",
+      "specialCategory": false,
       "districts": 11,
       "businessTypes": ["services", "manufacturing", "trade"],
       "majorCompliances": ["DL_SHOPS_ACT", "DL_FACTORIES_ACT", "DL_POLLUTION_CONTROL"]
@@ -295,6 +327,7 @@ export const INDIAN_STATES_DATA = {
       "name": "Jammu and Kashmir",
       "capital": "Srinagar (Summer), Jammu (Winter)",
       "type": "union_territory",
+      "specialCategory": true,
       "districts": 20,
       "businessTypes": ["handicrafts", "tourism", "horticulture"],
       "majorCompliances": ["JK_SHOPS_ACT", "JK_TOURISM_ACT", "JK_HANDICRAFTS_ACT"]
@@ -304,6 +337,7 @@ export const INDIAN_STATES_DATA = {
       "name": "Ladakh",
       "capital": "Leh",
       "type": "union_territory",
+      "specialCategory": false,
       "districts": 2,
       "businessTypes": ["tourism", "handicrafts", "pashmina"],
       "majorCompliances": ["LA_SHOPS_ACT", "LA_TOURISM_ACT"]
@@ -313,6 +347,7 @@ export const INDIAN_STATES_DATA = {
       "name": "Lakshadweep",
       "capital": "Kavaratti",
       "type": "union_territory",
+      "specialCategory": false,
       "districts": 1,
       "businessTypes": ["fisheries", "coconut", "tourism"],
       "majorCompliances": ["LD_SHOPS_ACT", "LD_FISHERIES_ACT"]
@@ -322,6 +357,7 @@ export const INDIAN_STATES_DATA = {
       "name": "Puducherry",
       "capital": "Puducherry",
       "type": "union_territory",
+      "specialCategory": false,
       "districts": 4,
       "businessTypes": ["textiles", "leather", "chemicals"],
       "majorCompliances": ["PY_SHOPS_ACT", "PY_FACTORIES_ACT"]
@@ -0,0 +1,59 @@
+/**
+ * Udyam MSME classification criteria and the benefits each category unlocks
+ *
+ * An enterprise is classified on investment in plant and machinery (or
+ * equipment) and on turnover, both in rupees. Each measure gives a category
+ * and the higher of the two applies. Export turnover is excluded from turnover.
+ * Above the Medium limits the enterprise is not an MSME.
+ */
+
+export const UDYAM_CATEGORIES = [
+  { category: 'Micro', maxInvestment: 10000000, maxTurnover: 50000000 },
+  { category: 'Small', maxInvestment: 100000000, maxTurnover: 500000000 },
+  { category: 'Medium', maxInvestment: 500000000, maxTurnover: 2500000000 }
+];
+
+// Not an MSME - Udyam registration is not available
+export const NON_MSME_CATEGORY = 'Large';
+
+/**
+ * Benefits of Udyam registration by category
+ * categories: MSME categories the benefit is open to
+ */
+export const UDYAM_BENEFITS = [
+  {
+    id: 'PRIORITY_SECTOR_LENDING',
+    name: 'Priority sector lending from banks',
+    categories: ['Micro', 'Small', 'Medium']
+  },
+  {
+    id: 'CGTMSE',
+    name: 'Collateral-free loans up to ₹5 crore under CGTMSE',
+    categories: ['Micro', 'Small']
+  },
+  {
+    id: 'MUDRA',
+    name: 'MUDRA loans up to ₹20 lakh',
+    categories: ['Micro']
+  },
+  {
+    id: 'DELAYED_PAYMENT_PROTECTION',
+    name: 'Payment from buyers within 45 days, with interest on delays (MSME Samadhaan)',
+    categories: ['Micro', 'Small']
+  },
+  {
+    id: 'PUBLIC_PROCUREMENT',
+    name: 'Tender fee and EMD exemption and 25% reserved government procurement',
+    categories: ['Micro', 'Small']
+  },
+  {
+    id: 'ZED_SUBSIDY',
+    name: 'ZED certification cost subsidy (80% micro, 60% small, 50% medium)',
+    categories: ['Micro', 'Small', 'Medium']
+  },
+  {
+    id: 'TRADEMARK_REBATE',
+    name: '50% rebate on trademark and patent fees',
+    categories: ['Micro', 'Small', 'Medium']
+  }
+];
@@ -16,7 +16,7 @@ const dataStorageOverview = {
     storageType: "In-Memory Map",
     dataStructure: "this.conversations = new Map()",
     purpose: "Stores chat messages for conversation continuity",
-    persistence: "Lost when server restarts",
+    persistence: "Write-through to CHAT_STORAGE adapter (memory | file | mongodb) - see /backend/services/storage",
     
     dataExample: {
       "chat_123": {
@@ -0,0 +1,66 @@
+import { authService } from '../services/AuthService.js';
+
+/**
+ * Auth middleware - the only place userId is established for a request
+ *
+ * REST: Authorization: Bearer <jwt> → req.user = { userId, email, name }
+ * Socket.IO: io({ auth: { token } }) → socket.data.user
+ */
+
+function extractBearerToken(header = '') {
+  const [scheme, token] = header.split(' ');
+  return scheme === 'Bearer' && token ? token : null;
+}
+
+/**
+ * Reject requests without a valid session token
+ */
+export function requireAuth(req, res, next) {
+  const token = extractBearerToken(req.headers.authorization);
+
+  if (!token) {
+    return res.status(401).json({ error: 'Authentication required' });
+  }
+
+  try {
+    req.user = authService.verifyToken(token);
+    next();
+  } catch (error) {
+    res.status(401).json({ error: error.message });
+  }
+}
+
+/**
+ * Attach req.user when a valid token is present, continue anonymously otherwise
+ */
+export function optionalAuth(req, res, next) {
+  const token = extractBearerToken(req.headers.authorization);
+
+  if (token) {
+    try {
+      req.user = authService.verifyToken(token);
+    } catch (error) {
+      return res.status(401).json({ error: error.message });
+    }
+  }
+
+  next();
+}
+
+/**
+ * Socket.IO handshake middleware
+ */
+export function authenticateSocket(socket, next) {
+  const token = socket.handshake.auth?.token;
+
+  if (!token) {
+    return next(new Error('Authentication required'));
+  }
+
+  try {
+    socket.data.user = authService.verifyToken(token);
+    next();
+  } catch (error) {
+    next(new Error(error.message));
+  }
+}
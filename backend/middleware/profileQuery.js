@@ -0,0 +1,28 @@
+/**
+ * Profile query middleware - GET routes take the business profile as a JSON
+ * query string (?businessProfile={...}); parse it once and answer malformed
+ * input with a 400 instead of letting JSON.parse fail inside the handler
+ *
+ * req.query.businessProfile → req.businessProfile (undefined when absent)
+ */
+export function parseProfileQuery(req, res, next) {
+  const { businessProfile } = req.query;
+
+  if (businessProfile === undefined || businessProfile === '') {
+    return next();
+  }
+
+  let profile;
+  try {
+    profile = JSON.parse(businessProfile);
+  } catch (error) {
+    return res.status(400).json({ error: 'businessProfile must be valid JSON', details: [error.message] });
+  }
+
+  if (!profile || typeof profile !== 'object' || Array.isArray(profile)) {
+    return res.status(400).json({ error: 'businessProfile must be valid JSON', details: ['businessProfile must be a JSON object'] });
+  }
+
+  req.businessProfile = profile;
+  next();
+}
@@ -0,0 +1,48 @@
+import express from 'express';
+import { authService, AuthError } from '../services/AuthService.js';
+import { requireAuth } from '../middleware/auth.js';
+
+const router = express.Router();
+
+/**
+ * POST /api/auth/google
+ * Body: { accessToken } (useGoogleLogin) or { idToken } (credential response)
+ * Verifies the Google token and returns our session token
+ */
+router.post('/google', async (req, res) => {
+  try {
+    const { accessToken, idToken } = req.body;
+
+    if (!accessToken && !idToken) {
+      return res.status(400).json({ error: 'accessToken or idToken is required' });
+    }
+
+    const { token, user } = await authService.loginWithGoogle({ accessToken, idToken });
+
+    res.json({
+      success: true,
+      token,
+      user
+    });
+
+  } catch (error) {
+    if (error instanceof AuthError) {
+      return res.status(401).json({ error: error.message });
+    }
+    req.app.locals.logger.error('Google sign-in error:', error);
+    res.status(500).json({ error: 'Failed to sign in' });
+  }
+});
+
+/**
+ * GET /api/auth/me
+ * Returns the user identified by the session token
+ */
+router.get('/me', requireAuth, (req, res) => {
+  res.json({
+    success: true,
+    user: req.user
+  });
+});
+
+export default router;
@@ -2,16 +2,55 @@ import express from 'express';
 import { v4 as uuidv4 } from 'uuid';
 import { ChatSessionManager } from '../services/ChatSessionManager.js';
 import { chatMemoryStore } from '../services/ChatMemoryStore.js';
+import { requireAuth } from '../middleware/auth.js';
 
 const router = express.Router();
 
+// Every chat endpoint acts on behalf of the signed-in user
+router.use(requireAuth);
+
 // Initialize session manager
 const sessionManager = new ChatSessionManager();
 
+/**
+ * Switch a response to Server-Sent Events
+ * Events: token { token }, done { ...response }, error { error, message }.
+ * The client closing the connection aborts generation.
+ */
+function openEventStream(res) {
+  const controller = new AbortController();
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive'
+  });
+  res.flushHeaders();
+
+  res.on('close', () => {
+    if (!res.writableEnded) controller.abort();
+  });
+
+  return {
+    signal: controller.signal,
+    send(event, data) {
+      if (!res.writableEnded) {
+        res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+      }
+    },
+    end() {
+      res.end();
+    }
+  };
+}
+
 // POST /api/chat/message - Process chat message with conversation memory
+// Send "Accept: text/event-stream" to receive the answer token by token (SSE)
 router.post('/message', async (req, res) => {
+  let events = null;
+
   try {
-    const { message, userProfile, sessionId, chatId, userIntent } = req.body;
+    const { message, userProfile, sessionId, chatId, userIntent, language } = req.body;
     const chatbotService = req.app.locals.chatbotService;
     const logger = req.app.locals.logger;
 
@@ -19,10 +58,14 @@ router.post('/message', async (req, res) => {
       return res.status(400).json({ error: 'Message is required' });
     }
 
+    if (req.accepts(['json', 'text/event-stream']) === 'text/event-stream') {
+      events = openEventStream(res);
+    }
+
     // Generate IDs if not provided
     const finalSessionId = sessionId || uuidv4();
     const finalChatId = chatId || uuidv4();
-    const userId = userProfile?.userId || finalSessionId; // Use sessionId as userId fallback
+    const { userId } = req.user;
     
     logger.info(`Processing chat message - Session: ${finalSessionId}, Chat: ${finalChatId}, Intent: ${userIntent || 'none'}`);
 
@@ -41,36 +84,61 @@ router.post('/message', async (req, res) => {
 
     // MEMORY FLOW STEP 3: Process message with conversation context
     const response = await chatbotService.processMessage(message, userProfile, finalSessionId, {
+      userId,
       chatId: finalChatId,
       userIntent,
+      language,
       conversationHistory,
-      conversationContext
+      conversationContext,
+      stream: events && {
+        onToken: token => events.send('token', { token }),
+        signal: events.signal
+      }
     });
 
-    // MEMORY FLOW STEP 4: Store assistant response in memory
-    chatMemoryStore.addMessage(userId, finalChatId, 'assistant', response.message, {
-      userIntent,
-      responseType: response.type,
-      data: response.data
-    });
+    // MEMORY FLOW STEP 4: Store assistant response in memory (a cancelled answer keeps what was generated)
+    if (response.message) {
+      chatMemoryStore.addMessage(userId, finalChatId, 'assistant', response.message, {
+        userIntent,
+        responseType: response.type,
+        data: response.data,
+        citations: response.citations || [],
+        references: response.references || [],
+        plan: response.plan || null
+      });
+    }
 
     // Update session with chat data
     sessionManager.updateSession(finalSessionId, message, response);
 
-    res.json({
+    const payload = {
       ...response,
       sessionId: finalSessionId,
       chatId: finalChatId,
       timestamp: new Date().toISOString(),
       conversationLength: chatMemoryStore.getChatInfo(userId, finalChatId)?.messageCount || 0
-    });
+    };
+
+    if (events) {
+      events.send('done', payload);
+      return events.end();
+    }
+
+    res.json(payload);
 
   } catch (error) {
     req.app.locals.logger.error('Chat message error:', error);
-    res.status(500).json({ 
+    const failure = {
       error: 'Failed to process message',
       message: 'I apologize, but I encountered an error. Please try again.'
-    });
+    };
+
+    if (events) {
+      events.send('error', failure);
+      return events.end();
+    }
+
+    res.status(500).json(failure);
   }
 });
 
@@ -78,9 +146,11 @@ router.post('/message', async (req, res) => {
 router.get('/session/:sessionId', async (req, res) => {
   try {
     const { sessionId } = req.params;
+    const { userId } = req.user;
     const chatbotService = req.app.locals.chatbotService;
 
-    const session = chatbotService.getSession(sessionId);
+    // Only the owner's sessions are found - anyone else gets the same 404
+    const session = chatbotService.getSession(userId, sessionId);
     
     if (!session) {
       return res.status(404).json({ error: 'Session not found' });
@@ -108,7 +178,7 @@ router.post('/session/reset', async (req, res) => {
     const chatbotService = req.app.locals.chatbotService;
     
     const newSessionId = uuidv4();
-    const session = chatbotService.createSession(newSessionId, userProfile);
+    const session = chatbotService.createSession(req.user.userId, newSessionId, userProfile);
 
     res.json({
       sessionId: newSessionId,
@@ -127,9 +197,10 @@ router.get('/history/:sessionId', async (req, res) => {
   try {
     const { sessionId } = req.params;
     const { limit = 50, offset = 0 } = req.query;
+    const { userId } = req.user;
     const chatbotService = req.app.locals.chatbotService;
 
-    const session = chatbotService.getSession(sessionId);
+    const session = chatbotService.getSession(userId, sessionId);
     
     if (!session) {
       return res.status(404).json({ error: 'Session not found' });
@@ -163,13 +234,14 @@ router.get('/conversation/:chatId', async (req, res) => {
   try {
     const { chatId } = req.params;
     const { limit = 50 } = req.query;
+    const { userId } = req.user;
 
-    if (!chatMemoryStore.hasChat(chatId)) {
+    if (!chatMemoryStore.hasChat(userId, chatId)) {
       return res.status(404).json({ error: 'Conversation not found' });
     }
 
-    const messages = chatMemoryStore.getMessages(chatId);
-    const chatInfo = chatMemoryStore.getChatInfo(chatId);
+    const messages = chatMemoryStore.getMessages(userId, chatId);
+    const chatInfo = chatMemoryStore.getChatInfo(userId, chatId);
 
     // Apply limit if specified
     const limitedMessages = limit ? messages.slice(-parseInt(limit)) : messages;
@@ -191,8 +263,9 @@ router.get('/conversation/:chatId', async (req, res) => {
 router.delete('/conversation/:chatId', async (req, res) => {
   try {
     const { chatId } = req.params;
+    const { userId } = req.user;
     
-    const deleted = chatMemoryStore.deleteChat(chatId);
+    const deleted = chatMemoryStore.deleteChat(userId, chatId);
     
     if (!deleted) {
       return res.status(404).json({ error: 'Conversation not found' });
@@ -230,6 +303,7 @@ router.get('/stats', async (req, res) => {
 router.post('/test-memory', async (req, res) => {
   try {
     const { chatId = 'test-chat-123' } = req.body;
+    const { userId } = req.user;
     
     // Simulate a conversation to test memory
     const testMessages = [
@@ -241,13 +315,13 @@ router.post('/test-memory', async (req, res) => {
     
     // Add test messages to memory
     testMessages.forEach(msg => {
-      chatMemoryStore.addMessage(chatId, msg.role, msg.content, { testData: true });
+      chatMemoryStore.addMessage(userId, chatId, msg.role, msg.content, { testData: true });
     });
     
     // Demonstrate memory retrieval
-    const conversationHistory = chatMemoryStore.getMessages(chatId);
-    const contextString = chatMemoryStore.getConversationContextString(chatId);
-    const chatInfo = chatMemoryStore.getChatInfo(chatId);
+    const conversationHistory = chatMemoryStore.getMessages(userId, chatId);
+    const contextString = chatMemoryStore.getConversationContextString(userId, chatId);
+    const chatInfo = chatMemoryStore.getChatInfo(userId, chatId);
     
     res.json({
       success: true,
@@ -1,20 +1,17 @@
 import express from 'express';
 import { v4 as uuidv4 } from 'uuid';
 import { chatHistoryStore } from '../services/ChatHistoryStore.js';
+import { requireAuth } from '../middleware/auth.js';
 
 const router = express.Router();
 
 /**
- * GET /api/chats?userId=...
- * Returns list of user's chats for sidebar
+ * GET /api/chats
+ * Returns list of the signed-in user's chats for sidebar
  */
-router.get('/chats', async (req, res) => {
+router.get('/chats', requireAuth, async (req, res) => {
   try {
-    const { userId } = req.query;
-
-    if (!userId) {
-      return res.status(400).json({ error: 'userId is required' });
-    }
+    const { userId } = req.user;
 
     const chats = chatHistoryStore.getUserChats(userId);
 
@@ -60,17 +57,13 @@ router.get('/chats', async (req, res) => {
 });
 
 /**
- * GET /api/chats/:chatId?userId=...
+ * GET /api/chats/:chatId
  * Returns full chat with all messages
  */
-router.get('/chats/:chatId', async (req, res) => {
+router.get('/chats/:chatId', requireAuth, async (req, res) => {
   try {
     const { chatId } = req.params;
-    const { userId } = req.query;
-
-    if (!userId) {
-      return res.status(400).json({ error: 'userId is required' });
-    }
+    const { userId } = req.user;
 
     if (!chatId) {
       return res.status(400).json({ error: 'chatId is required' });
@@ -105,17 +98,14 @@ router.get('/chats/:chatId', async (req, res) => {
  * POST /api/chat
  * Send message, save to chat, and return AI response
  */
-router.post('/chat', async (req, res) => {
+router.post('/chat', requireAuth, async (req, res) => {
   try {
-    const { userId, chatId, message, userProfile, userIntent } = req.body;
+    const { chatId, message, userProfile, userIntent, language } = req.body;
+    const { userId } = req.user;
     const chatbotService = req.app.locals.chatbotService;
     const logger = req.app.locals.logger;
 
     // Validation
-    if (!userId) {
-      return res.status(400).json({ error: 'userId is required' });
-    }
-    
     if (!message) {
       return res.status(400).json({ error: 'message is required' });
     }
@@ -145,8 +135,10 @@ router.post('/chat', async (req, res) => {
 
     // STEP 3: Get AI response
     const response = await chatbotService.processMessage(message, userProfile, sessionId, {
+      userId,
       chatId: finalChatId,
       userIntent,
+      language,
       conversationHistory,
       conversationContext
     });
@@ -156,6 +148,10 @@ router.post('/chat', async (req, res) => {
       userIntent,
       responseType: response.type,
       data: response.data,
+      citations: response.citations || [],
+      references: response.references || [],
+      plan: response.plan || null,
+      language: response.language,
       dashboardStateUpdate: response.dashboardStateUpdate || null
     });
 
@@ -170,6 +166,10 @@ router.post('/chat', async (req, res) => {
       message: response.message,
       type: response.type,
       data: response.data,
+      citations: response.citations || [],
+      references: response.references || [],
+      plan: response.plan || null,
+      language: response.language,
       
       // Chat info
       chatId: finalChatId,
@@ -199,16 +199,16 @@ router.post('/chat', async (req, res) => {
 });
 
 /**
- * DELETE /api/chats/:chatId?userId=...
+ * DELETE /api/chats/:chatId
  * Delete a specific chat
  */
-router.delete('/chats/:chatId', async (req, res) => {
+router.delete('/chats/:chatId', requireAuth, async (req, res) => {
   try {
     const { chatId } = req.params;
-    const { userId } = req.query;
+    const { userId } = req.user;
 
-    if (!userId || !chatId) {
-      return res.status(400).json({ error: 'userId and chatId are required' });
+    if (!chatId) {
+      return res.status(400).json({ error: 'chatId is required' });
     }
 
     const deleted = chatHistoryStore.deleteChat(userId, chatId);
@@ -229,16 +229,17 @@ router.delete('/chats/:chatId', async (req, res) => {
 });
 
 /**
- * PUT /api/chats/:chatId/title?userId=...
+ * PUT /api/chats/:chatId/title
  * Update chat title
  */
-router.put('/chats/:chatId/title', async (req, res) => {
+router.put('/chats/:chatId/title', requireAuth, async (req, res) => {
   try {
     const { chatId } = req.params;
-    const { userId, title } = req.body;
+    const { title } = req.body;
+    const { userId } = req.user;
 
-    if (!userId || !chatId || !title) {
-      return res.status(400).json({ error: 'userId, chatId, and title are required' });
+    if (!chatId || !title) {
+      return res.status(400).json({ error: 'chatId and title are required' });
     }
 
     const updated = chatHistoryStore.updateChatTitle(userId, chatId, title);
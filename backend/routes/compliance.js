@@ -1,18 +1,64 @@
 import express from 'express';
+import Joi from 'joi';
+import { optionalAuth, requireAuth } from '../middleware/auth.js';
+import { parseProfileQuery } from '../middleware/profileQuery.js';
+import { buildICalendar } from '../services/ICalendar.js';
+import { calendarFeedStore } from '../services/CalendarFeedStore.js';
+import { userProfileStore } from '../services/UserProfileStore.js';
+import { COMPLIANCE_STATUSES } from '../services/ComplianceStatusStore.js';
+import { PROFESSIONAL_SERVICES } from '../data/costSchedules.js';
 
 const router = express.Router();
 
+const penaltyExposureSchema = Joi.object({
+  businessProfile: Joi.object().unknown(true),
+  statuses: Joi.object().pattern(Joi.string(), Joi.string().valid(...COMPLIANCE_STATUSES)),
+  since: Joi.object().pattern(Joi.string(), Joi.date().iso()),
+  asOf: Joi.date().iso(),
+  horizons: Joi.array().items(Joi.number().integer().min(1).max(3650)).min(1).max(6)
+});
+
+const costBreakdownSchema = Joi.object({
+  evaluation: Joi.object().unknown(true),
+  businessProfile: Joi.object().unknown(true),
+  professionalServices: Joi.array().items(Joi.string().valid(...PROFESSIONAL_SERVICES.map(service => service.id))).unique(),
+  years: Joi.number().integer().min(1).max(10)
+});
+
+/**
+ * Send a user's compliance calendar as an .ics document
+ * @param {Object} res - Express response
+ * @param {Object} options - { complianceService, profile, userId, disposition }
+ */
+function sendICalendar(res, { complianceService, profile, userId, disposition }) {
+  const calendar = complianceService.generateComplianceCalendar(profile, userId);
+  const name = profile.businessName ? `${profile.businessName} - Compliance Calendar` : 'Compliance Calendar';
+
+  res.set({
+    'Content-Type': 'text/calendar; charset=utf-8',
+    'Content-Disposition': `${disposition}; filename="compliance-calendar.ics"`,
+    'Cache-Control': 'no-cache'
+  });
+  res.send(buildICalendar(calendar, { name, uidPrefix: userId || 'guest' }));
+}
+
+// Public base URL for feed links (calendar apps fetch it from outside the browser)
+function feedUrls(req, token) {
+  const base = process.env.PUBLIC_API_URL || `${req.protocol}://${req.get('host')}`;
+  const feedUrl = `${base}/api/compliance/calendar/feed/${token}.ics`;
+  return { feedUrl, webcalUrl: feedUrl.replace(/^https?:/, 'webcal:') };
+}
+
 // GET /api/compliance/evaluate - Evaluate compliance requirements
-router.get('/evaluate', async (req, res) => {
+router.get('/evaluate', parseProfileQuery, async (req, res) => {
   try {
-    const { businessProfile } = req.query;
+    const profile = req.businessProfile;
     const ruleEngine = req.app.locals.ruleEngine;
 
-    if (!businessProfile) {
+    if (!profile) {
       return res.status(400).json({ error: 'Business profile is required' });
     }
 
-    const profile = JSON.parse(businessProfile);
     const evaluation = ruleEngine.evaluateCompliances(profile);
 
     res.json({
@@ -27,17 +73,17 @@ router.get('/evaluate', async (req, res) => {
 });
 
 // GET /api/compliance/readiness - Get business readiness score
-router.get('/readiness', async (req, res) => {
+router.get('/readiness', optionalAuth, parseProfileQuery, async (req, res) => {
   try {
-    const { businessProfile } = req.query;
+    const profile = req.businessProfile;
+    const userId = req.user?.userId;
     const ruleEngine = req.app.locals.ruleEngine;
 
-    if (!businessProfile) {
+    if (!profile) {
       return res.status(400).json({ error: 'Business profile is required' });
     }
 
-    const profile = JSON.parse(businessProfile);
-    const readinessScore = ruleEngine.getReadinessScore(profile);
+    const readinessScore = ruleEngine.getReadinessScore(profile, userId);
 
     res.json({
       readinessScore,
@@ -93,17 +139,35 @@ router.post('/structure-recommendation', async (req, res) => {
   }
 });
 
-// POST /api/compliance/cost-breakdown - Get cost breakdown analysis
-router.post('/cost-breakdown', async (req, res) => {
+/**
+ * POST /api/compliance/cost-breakdown - One-time and recurring costs with a multi-year projection
+ * Body: { evaluation? | businessProfile?, professionalServices?, years? }
+ * Signed-in users default to their saved profile.
+ */
+router.post('/cost-breakdown', optionalAuth, async (req, res) => {
   try {
-    const { evaluation } = req.body;
+    const { error, value } = costBreakdownSchema.validate(req.body, { abortEarly: false });
+    if (error) {
+      return res.status(400).json({
+        error: 'Invalid cost breakdown request',
+        details: error.details.map(detail => detail.message)
+      });
+    }
+
     const complianceService = req.app.locals.complianceService;
+    const userId = req.user?.userId;
+    const profile = value.businessProfile || (!value.evaluation && userId && userProfileStore.getProfile(userId));
 
-    if (!evaluation) {
-      return res.status(400).json({ error: 'Evaluation data is required' });
+    if (!value.evaluation && !profile) {
+      return res.status(400).json({ error: 'Evaluation data or business profile is required' });
     }
 
-    const costBreakdown = complianceService.getCostBreakdown(evaluation);
+    const evaluation = value.evaluation || req.app.locals.ruleEngine.evaluateCompliances(profile);
+    const costBreakdown = complianceService.getCostBreakdown(evaluation, {
+      profile: profile || undefined,
+      professionalServices: value.professionalServices,
+      years: value.years
+    });
 
     res.json({
       costBreakdown,
@@ -117,19 +181,17 @@ router.post('/cost-breakdown', async (req, res) => {
 });
 
 // GET /api/compliance/calendar - Get compliance calendar
-router.get('/calendar', async (req, res) => {
+router.get('/calendar', optionalAuth, parseProfileQuery, async (req, res) => {
   try {
-    const { businessProfile, completedCompliances } = req.query;
+    const profile = req.businessProfile;
+    const userId = req.user?.userId;
     const complianceService = req.app.locals.complianceService;
 
-    if (!businessProfile) {
+    if (!profile) {
       return res.status(400).json({ error: 'Business profile is required' });
     }
 
-    const profile = JSON.parse(businessProfile);
-    const completed = completedCompliances ? JSON.parse(completedCompliances) : [];
-    
-    const calendar = complianceService.generateComplianceCalendar(profile, completed);
+    const calendar = complianceService.generateComplianceCalendar(profile, userId);
 
     res.json({
       calendar,
@@ -142,6 +204,104 @@ router.get('/calendar', async (req, res) => {
   }
 });
 
+// GET /api/compliance/calendar.ics - Download the calendar (profile from the query or the saved profile)
+router.get('/calendar.ics', optionalAuth, parseProfileQuery, async (req, res) => {
+  try {
+    const userId = req.user?.userId;
+    const profile = req.businessProfile || (userId && userProfileStore.getProfile(userId));
+
+    if (!profile) {
+      return res.status(400).json({ error: 'Business profile is required' });
+    }
+
+    sendICalendar(res, {
+      complianceService: req.app.locals.complianceService,
+      profile,
+      userId,
+      disposition: 'attachment'
+    });
+
+  } catch (error) {
+    req.app.locals.logger.error('Calendar export error:', error);
+    res.status(500).json({ error: 'Failed to export compliance calendar' });
+  }
+});
+
+// GET /api/compliance/calendar/feed - The signed-in user's subscribable feed URL
+router.get('/calendar/feed', requireAuth, async (req, res) => {
+  try {
+    const feed = calendarFeedStore.getOrCreateFeed(req.user.userId);
+
+    res.json({
+      success: true,
+      ...feedUrls(req, feed.token),
+      createdAt: feed.createdAt
+    });
+
+  } catch (error) {
+    req.app.locals.logger.error('Calendar feed error:', error);
+    res.status(500).json({ error: 'Failed to create calendar feed' });
+  }
+});
+
+// POST /api/compliance/calendar/feed/rotate - Issue a new feed URL (the old one stops working)
+router.post('/calendar/feed/rotate', requireAuth, async (req, res) => {
+  try {
+    const feed = calendarFeedStore.rotateToken(req.user.userId);
+
+    res.json({
+      success: true,
+      ...feedUrls(req, feed.token),
+      createdAt: feed.createdAt
+    });
+
+  } catch (error) {
+    req.app.locals.logger.error('Calendar feed rotate error:', error);
+    res.status(500).json({ error: 'Failed to rotate calendar feed' });
+  }
+});
+
+// DELETE /api/compliance/calendar/feed - Turn the feed off
+router.delete('/calendar/feed', requireAuth, async (req, res) => {
+  try {
+    if (!calendarFeedStore.revoke(req.user.userId)) {
+      return res.status(404).json({ error: 'No calendar feed to revoke' });
+    }
+
+    res.json({
+      success: true,
+      message: 'Calendar feed revoked'
+    });
+
+  } catch (error) {
+    req.app.locals.logger.error('Calendar feed revoke error:', error);
+    res.status(500).json({ error: 'Failed to revoke calendar feed' });
+  }
+});
+
+// GET /api/compliance/calendar/feed/:token.ics - Feed polled by calendar apps (the token is the credential)
+router.get('/calendar/feed/:token', async (req, res) => {
+  try {
+    const userId = calendarFeedStore.getUserId(req.params.token.replace(/\.ics$/, ''));
+    const profile = userId && userProfileStore.getProfile(userId);
+
+    if (!userId) {
+      return res.status(404).json({ error: 'Calendar feed not found' });
+    }
+
+    sendICalendar(res, {
+      complianceService: req.app.locals.complianceService,
+      profile: profile || {},
+      userId,
+      disposition: 'inline'
+    });
+
+  } catch (error) {
+    req.app.locals.logger.error('Calendar feed error:', error);
+    res.status(500).json({ error: 'Failed to build calendar feed' });
+  }
+});
+
 // POST /api/compliance/penalty-risks - Calculate penalty risks
 router.post('/penalty-risks', async (req, res) => {
   try {
@@ -165,4 +325,44 @@ router.post('/penalty-risks', async (req, res) => {
   }
 });
 
+/**
+ * POST /api/compliance/penalty-exposure - Rupee penalty exposure today and at 30/90/180 days
+ * Body: { businessProfile?, statuses?, since?, asOf?, horizons? }
+ * Signed-in users default to their saved profile and tracked statuses.
+ */
+router.post('/penalty-exposure', optionalAuth, async (req, res) => {
+  try {
+    const { error, value } = penaltyExposureSchema.validate(req.body, { abortEarly: false });
+    if (error) {
+      return res.status(400).json({
+        error: 'Invalid penalty exposure request',
+        details: error.details.map(detail => detail.message)
+      });
+    }
+
+    const userId = req.user?.userId;
+    const profile = value.businessProfile || (userId && userProfileStore.getProfile(userId));
+    if (!profile) {
+      return res.status(400).json({ error: 'Business profile is required' });
+    }
+
+    const exposure = req.app.locals.complianceService.calculatePenaltyExposure(profile, {
+      userId,
+      statuses: value.statuses,
+      since: value.since,
+      asOf: value.asOf,
+      horizons: value.horizons
+    });
+
+    res.json({
+      ...exposure,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    req.app.locals.logger.error('Penalty exposure error:', error);
+    res.status(500).json({ error: 'Failed to calculate penalty exposure' });
+  }
+});
+
 export default router;
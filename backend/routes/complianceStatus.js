@@ -0,0 +1,118 @@
+import express from 'express';
+import Joi from 'joi';
+import { complianceStatusStore, COMPLIANCE_STATUSES } from '../services/ComplianceStatusStore.js';
+import { requireAuth } from '../middleware/auth.js';
+
+const router = express.Router();
+
+// Statuses always belong to the signed-in user
+router.use(requireAuth);
+
+const statusUpdateSchema = Joi.object({
+  status: Joi.string().valid(...COMPLIANCE_STATUSES),
+  referenceNumber: Joi.string().allow('').max(100),
+  notes: Joi.string().allow('').max(1000),
+  documentsGatheredAt: Joi.date().iso().allow(null),
+  appliedAt: Joi.date().iso().allow(null),
+  approvedAt: Joi.date().iso().allow(null),
+  issuedAt: Joi.date().iso().allow(null),
+  expiresAt: Joi.date().iso().allow(null)
+}).or('status', 'referenceNumber', 'notes', 'documentsGatheredAt', 'appliedAt', 'approvedAt', 'issuedAt', 'expiresAt');
+
+/**
+ * GET /api/compliance/status
+ * Returns every tracked compliance status for the user
+ */
+router.get('/', async (req, res) => {
+  try {
+    const { userId } = req.user;
+
+    res.json({
+      success: true,
+      userId,
+      statuses: complianceStatusStore.getUserStatuses(userId)
+    });
+
+  } catch (error) {
+    req.app.locals.logger.error('Get compliance statuses error:', error);
+    res.status(500).json({ error: 'Failed to retrieve compliance statuses' });
+  }
+});
+
+/**
+ * GET /api/compliance/status/:complianceId
+ * Returns the status of one compliance ('not_started' if never updated)
+ */
+router.get('/:complianceId', async (req, res) => {
+  try {
+    const { complianceId } = req.params;
+    const { userId } = req.user;
+
+    res.json({
+      success: true,
+      status: complianceStatusStore.getStatus(userId, complianceId)
+    });
+
+  } catch (error) {
+    req.app.locals.logger.error('Get compliance status error:', error);
+    res.status(500).json({ error: 'Failed to retrieve compliance status' });
+  }
+});
+
+/**
+ * PUT /api/compliance/status/:complianceId
+ * Body: { status?, referenceNumber?, notes?, documentsGatheredAt?, appliedAt?, approvedAt?, issuedAt?, expiresAt? }
+ */
+router.put('/:complianceId', async (req, res) => {
+  try {
+    const { complianceId } = req.params;
+    const { userId } = req.user;
+    const { error, value: updates } = statusUpdateSchema.validate(req.body, { abortEarly: false });
+
+    if (error) {
+      return res.status(400).json({
+        error: 'Invalid status update',
+        details: error.details.map(detail => detail.message)
+      });
+    }
+
+    const status = complianceStatusStore.updateStatus(userId, complianceId, updates);
+
+    res.json({
+      success: true,
+      status
+    });
+
+  } catch (error) {
+    req.app.locals.logger.error('Update compliance status error:', error);
+    res.status(500).json({ error: 'Failed to update compliance status' });
+  }
+});
+
+/**
+ * DELETE /api/compliance/status/:complianceId
+ * Resets a compliance back to not started
+ */
+router.delete('/:complianceId', async (req, res) => {
+  try {
+    const { complianceId } = req.params;
+    const { userId } = req.user;
+
+    const deleted = complianceStatusStore.removeStatus(userId, complianceId);
+
+    if (!deleted) {
+      return res.status(404).json({ error: 'No status tracked for this compliance' });
+    }
+
+    res.json({
+      success: true,
+      message: 'Compliance status reset'
+    });
+
+  } catch (error) {
+    req.app.locals.logger.error('Reset compliance status error:', error);
+    res.status(500).json({ error: 'Failed to reset compliance status' });
+  }
+});
+
+export default router;
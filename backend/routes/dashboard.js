@@ -1,18 +1,39 @@
 import express from 'express';
 import { ChatSessionManager } from '../services/ChatSessionManager.js';
+import { complianceResolver } from '../services/ComplianceResolver.js';
+import { complianceStatusStore } from '../services/ComplianceStatusStore.js';
+import { documentVault } from '../services/DocumentVault.js';
+import { requireAuth } from '../middleware/auth.js';
 
 const router = express.Router();
 
 // Initialize session manager to access chat data
 const sessionManager = new ChatSessionManager();
 
+const DASHBOARD_PRIORITIES = {
+  critical: 'High',
+  high: 'High',
+  medium: 'Medium',
+  low: 'Low'
+};
+
+// Tracked lifecycle status → dashboard task status
+const DASHBOARD_STATUSES = {
+  not_started: 'pending',
+  documents_gathered: 'in_progress',
+  applied: 'in_progress',
+  approved: 'completed',
+  expired: 'expired'
+};
+
 /**
  * GET /api/dashboard
  * Get dashboard data for a user based on their business profile
  */
-router.post('/', async (req, res) => {
+router.post('/', requireAuth, async (req, res) => {
   try {
     const { userProfile, sessionId } = req.body;
+    const { userId } = req.user;
     
     if (!userProfile) {
       return res.status(400).json({ 
@@ -22,6 +43,9 @@ router.post('/', async (req, res) => {
 
     console.log('📊 Generating dashboard data for:', userProfile.businessType);
 
+    // Obligations and their tracked statuses back every source of dashboard data
+    const compliances = getApplicableCompliances(userProfile, userId);
+
     // Try to get data from chat session first
     let dashboardData;
     
@@ -31,12 +55,15 @@ router.post('/', async (req, res) => {
         console.log('📱 Using chat session data for dashboard');
       } catch (error) {
         console.log('⚠️ No chat session found, generating default dashboard');
-        dashboardData = generateDefaultDashboardData(userProfile);
+        dashboardData = generateDefaultDashboardData(userProfile, compliances);
       }
     } else {
-      dashboardData = generateDefaultDashboardData(userProfile);
+      dashboardData = generateDefaultDashboardData(userProfile, compliances);
     }
 
+    dashboardData.obligations = compliances;
+    dashboardData.complianceScore = calculateComplianceScore(userId, compliances);
+
     res.json({
       success: true,
       data: dashboardData,
@@ -56,124 +83,65 @@ router.post('/', async (req, res) => {
 /**
  * Generate default dashboard data when no session exists
  */
-function generateDefaultDashboardData(userProfile) {
-  // Generate compliance score based on business profile
-  const complianceScore = calculateComplianceScore(userProfile);
-  
-  // Get applicable compliances
-  const compliances = getApplicableCompliances(userProfile);
-  
+function generateDefaultDashboardData(userProfile, compliances) {
   // Generate dashboard data
   return {
-    complianceScore: complianceScore,
-    pendingTasks: compliances.filter(c => c.status === 'pending').length,
+    pendingTasks: compliances.filter(c => c.status !== 'completed').length,
     upcomingDeadlines: compliances.filter(c => c.urgency === 'high').length,
     chatTopics: 0, // No chat data
     
     complianceBreakdown: generateComplianceBreakdown(userProfile, compliances),
     riskLevels: calculateRiskLevels(compliances),
-    pendingTasksList: compliances.filter(c => c.status === 'pending').slice(0, 5),
+    pendingTasksList: compliances.filter(c => c.status !== 'completed').slice(0, 5),
     chatInsights: generateChatInsights(userProfile, compliances),
     recommendedActions: generateRecommendedActions(compliances)
   };
 }
 
 /**
- * Calculate overall compliance score
+ * Calculate overall compliance score - share of mandatory compliances approved
  */
-function calculateComplianceScore(userProfile) {
-  const businessType = userProfile.businessType?.toLowerCase() || '';
-  const location = userProfile.state?.toLowerCase() || '';
-  
-  // Base score calculation
-  let score = 45; // Starting baseline
-  
-  // Business type specific scoring
-  if (businessType.includes('cafe') || businessType.includes('food')) {
-    score += 15; // Food businesses typically need more compliance
-  }
-  
-  // Location based scoring (some states are more compliant)
-  if (['karnataka', 'maharashtra', 'gujarat'].includes(location)) {
-    score += 10; // Better digital infrastructure
-  }
-  
-  // GST registration status
-  if (userProfile.gstNumber) {
-    score += 20;
-  }
-  
-  // Random component for demo
-  score += Math.floor(Math.random() * 15);
-  
-  return Math.min(score, 100);
+function calculateComplianceScore(userId, compliances) {
+  const mandatoryIds = compliances.filter(c => c.mandatory).map(c => c.id);
+  return complianceStatusStore.getProgress(userId, mandatoryIds).score;
 }
 
 /**
  * Get applicable compliances for business
+ * (resolved by ComplianceResolver - same set as chat and /api/compliance/evaluate),
+ * with the documents each one still needs from the user's document vault
  */
-function getApplicableCompliances(userProfile) {
-  const compliances = [];
-  const businessType = userProfile.businessType?.toLowerCase() || '';
-  
-  // Universal compliances
-  compliances.push({
-    id: 'gst',
-    name: 'GST Registration',
-    status: userProfile.gstNumber ? 'completed' : 'pending',
-    priority: 'High',
-    deadline: userProfile.gstNumber ? null : '7 days',
-    urgency: userProfile.gstNumber ? 'low' : 'high',
-    description: 'Goods and Services Tax registration for businesses'
-  });
-  
-  compliances.push({
-    id: 'shops_act',
-    name: 'Shops & Establishment Registration',
-    status: 'pending',
-    priority: 'Medium',
-    deadline: '10 days',
-    urgency: 'medium',
-    description: 'State-mandated registration for commercial establishments'
+function getApplicableCompliances(userProfile, userId) {
+  const { obligations } = complianceResolver.resolve(userProfile);
+  const documentChecklist = documentVault.getChecklist(
+    userId,
+    Object.fromEntries(obligations.map(o => [o.id, o.documents || []]))
+  );
+
+  return obligations.map(compliance => {
+    const tracked = complianceStatusStore.getStatus(userId, compliance.id);
+    const status = DASHBOARD_STATUSES[tracked.status];
+    const completed = status === 'completed';
+    const priority = DASHBOARD_PRIORITIES[compliance.priority] || 'Medium';
+
+    return {
+      id: compliance.id,
+      key: compliance.key,
+      name: compliance.name,
+      title: compliance.name,
+      mandatory: compliance.mandatory !== false,
+      status,
+      trackedStatus: tracked.status,
+      referenceNumber: tracked.referenceNumber || null,
+      requiredDocuments: documentChecklist[compliance.id]?.required || [],
+      missingDocuments: completed ? [] : (documentChecklist[compliance.id]?.missing || []),
+      priority,
+      deadline: completed ? null : compliance.timeline || null,
+      urgency: completed ? 'low' : (priority === 'High' ? 'high' : priority === 'Medium' ? 'medium' : 'low'),
+      description: compliance.reason,
+      references: compliance.references || []
+    };
   });
-  
-  // Food business specific
-  if (businessType.includes('cafe') || businessType.includes('food') || businessType.includes('restaurant')) {
-    compliances.push({
-      id: 'fssai',
-      name: 'FSSAI License',
-      status: 'completed',
-      priority: 'High',
-      deadline: null,
-      urgency: 'low',
-      description: 'Food safety license mandatory for food businesses'
-    });
-    
-    compliances.push({
-      id: 'trade_license',
-      name: 'Municipal Trade License',
-      status: 'pending',
-      priority: 'Medium',
-      deadline: '15 days',
-      urgency: 'medium',
-      description: 'Local municipal permission to operate'
-    });
-  }
-  
-  // Professional services
-  if (businessType.includes('service') || businessType.includes('consulting')) {
-    compliances.push({
-      id: 'professional_tax',
-      name: 'Professional Tax Registration',
-      status: 'pending',
-      priority: 'Low',
-      deadline: '30 days',
-      urgency: 'low',
-      description: 'State tax for professional services'
-    });
-  }
-  
-  return compliances;
 }
 
 /**
@@ -183,7 +151,7 @@ function generateComplianceBreakdown(userProfile, compliances) {
   const breakdown = [];
   
   // GST Compliance
-  const gstCompliance = compliances.find(c => c.id === 'gst');
+  const gstCompliance = compliances.find(c => c.key === 'GST');
   breakdown.push({
     name: 'GST Compliance',
     value: gstCompliance?.status === 'completed' ? 85 : 40,
@@ -191,13 +159,12 @@ function generateComplianceBreakdown(userProfile, compliances) {
   });
   
   // Food Safety (if applicable)
-  const businessType = userProfile.businessType?.toLowerCase() || '';
-  if (businessType.includes('cafe') || businessType.includes('food')) {
-    const fssaiCompliance = compliances.find(c => c.id === 'fssai');
+  const fssaiCompliance = compliances.find(c => c.key === 'FSSAI');
+  if (fssaiCompliance) {
     breakdown.push({
       name: 'Food Safety',
-      value: fssaiCompliance?.status === 'completed' ? 90 : 30,
-      color: fssaiCompliance?.status === 'completed' ? 'bg-green-500' : 'bg-red-500'
+      value: fssaiCompliance.status === 'completed' ? 90 : 30,
+      color: fssaiCompliance.status === 'completed' ? 'bg-green-500' : 'bg-red-500'
     });
   }
   
@@ -209,7 +176,7 @@ function generateComplianceBreakdown(userProfile, compliances) {
   });
   
   // Trade License
-  const tradeLicense = compliances.find(c => c.id === 'trade_license');
+  const tradeLicense = compliances.find(c => c.key === 'TRADE_LICENSE');
   if (tradeLicense) {
     breakdown.push({
       name: 'Trade License',
@@ -247,26 +214,23 @@ function generateChatInsights(userProfile, compliances) {
   const insights = [];
   
   // GST insight
-  const gstCompliance = compliances.find(c => c.id === 'gst');
+  const gstCompliance = compliances.find(c => c.key === 'GST');
   if (gstCompliance?.status === 'completed') {
     insights.push('GST registered but monthly filing reminders needed');
-  } else {
+  } else if (gstCompliance) {
     insights.push('GST registration pending - required for business operations');
   }
   
   // Business type specific insights
-  const businessType = userProfile.businessType?.toLowerCase() || '';
-  if (businessType.includes('cafe') || businessType.includes('food')) {
-    const fssai = compliances.find(c => c.id === 'fssai');
-    if (fssai?.status === 'completed') {
-      insights.push('FSSAI license active - ensure renewal tracking');
-    } else {
-      insights.push('FSSAI license required for food business operations');
-    }
+  const fssai = compliances.find(c => c.key === 'FSSAI');
+  if (fssai?.status === 'completed') {
+    insights.push('FSSAI license active - ensure renewal tracking');
+  } else if (fssai) {
+    insights.push('FSSAI license required for food business operations');
   }
   
   // Trade license insight
-  const tradeLicense = compliances.find(c => c.id === 'trade_license');
+  const tradeLicense = compliances.find(c => c.key === 'TRADE_LICENSE');
   if (tradeLicense && tradeLicense.status === 'pending') {
     insights.push('Municipal trade license application pending');
   }
@@ -287,7 +251,7 @@ function generateRecommendedActions(compliances) {
   
   // High priority pending items
   const highPriorityPending = compliances.filter(c => 
-    c.status === 'pending' && c.priority === 'High'
+    c.status !== 'completed' && c.priority === 'High'
   );
   
   highPriorityPending.forEach(compliance => {
@@ -300,7 +264,7 @@ function generateRecommendedActions(compliances) {
   
   // Medium priority items
   const mediumPriorityPending = compliances.filter(c => 
-    c.status === 'pending' && c.priority === 'Medium'
+    c.status !== 'completed' && c.priority === 'Medium'
   ).slice(0, 2); // Limit to 2
   
   mediumPriorityPending.forEach(compliance => {
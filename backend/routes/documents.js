@@ -0,0 +1,218 @@
+import express from 'express';
+import multer from 'multer';
+import Joi from 'joi';
+import { documentVault } from '../services/DocumentVault.js';
+import { complianceResolver } from '../services/ComplianceResolver.js';
+import { complianceStatusStore } from '../services/ComplianceStatusStore.js';
+import { userProfileStore } from '../services/UserProfileStore.js';
+import { requireAuth } from '../middleware/auth.js';
+import { parseProfileQuery } from '../middleware/profileQuery.js';
+
+const router = express.Router();
+
+// Documents always belong to the signed-in user
+router.use(requireAuth);
+
+const MAX_FILE_SIZE = 10 * 1024 * 1024;
+const MAX_FILES = 10;
+
+// Same file types the chat attachment picker accepts
+const ALLOWED_EXTENSIONS = /\.(pdf|jpe?g|png|gif|webp|heic|doc|docx|txt|xls|xlsx)$/i;
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_FILE_SIZE, files: MAX_FILES },
+  fileFilter: (req, file, callback) => {
+    if (!ALLOWED_EXTENSIONS.test(file.originalname)) {
+      return callback(new Error(`Unsupported file type: ${file.originalname}`));
+    }
+    callback(null, true);
+  }
+});
+
+// Upload errors (size, count, type) are the client's fault, not a 500
+function receiveFiles(req, res, next) {
+  upload.array('files', MAX_FILES)(req, res, error => {
+    if (error) {
+      return res.status(400).json({ error: 'Invalid upload', details: [error.message] });
+    }
+    next();
+  });
+}
+
+const tagSchema = Joi.object({
+  checklistItem: Joi.string().trim().max(100).allow('', null),
+  complianceIds: Joi.array().items(Joi.string().max(100)).max(20)
+}).or('checklistItem', 'complianceIds');
+
+/**
+ * GET /api/documents
+ * Query: complianceId?, checklistItem?
+ * Returns the user's documents, newest first
+ */
+router.get('/', async (req, res) => {
+  try {
+    const { complianceId, checklistItem } = req.query;
+
+    res.json({
+      success: true,
+      documents: documentVault.getUserDocuments(req.user.userId, { complianceId, checklistItem })
+    });
+
+  } catch (error) {
+    req.app.locals.logger.error('List documents error:', error);
+    res.status(500).json({ error: 'Failed to retrieve documents' });
+  }
+});
+
+/**
+ * POST /api/documents
+ * multipart/form-data: files[] + optional checklistItem and complianceId
+ * Files without a checklistItem are tagged from their file name
+ */
+router.post('/', receiveFiles, async (req, res) => {
+  try {
+    const { userId } = req.user;
+    const { checklistItem, complianceId } = req.body;
+
+    if (!req.files?.length) {
+      return res.status(400).json({ error: 'At least one file is required' });
+    }
+
+    const documents = [];
+    for (const file of req.files) {
+      documents.push(await documentVault.saveDocument(userId, {
+        fileName: file.originalname,
+        mimeType: file.mimetype,
+        buffer: file.buffer,
+        checklistItem: checklistItem || null,
+        complianceIds: complianceId ? [complianceId] : []
+      }));
+    }
+
+    res.status(201).json({
+      success: true,
+      documents
+    });
+
+  } catch (error) {
+    req.app.locals.logger.error('Upload documents error:', error);
+    res.status(500).json({ error: 'Failed to store documents' });
+  }
+});
+
+/**
+ * GET /api/documents/checklist
+ * Query: businessProfile? (JSON - defaults to the saved profile)
+ * Returns, for every pending compliance, the documents it needs and which are still missing
+ */
+router.get('/checklist', parseProfileQuery, async (req, res) => {
+  try {
+    const { userId } = req.user;
+    const complianceService = req.app.locals.complianceService;
+
+    const profile = req.businessProfile || userProfileStore.getProfile(userId);
+    if (!profile) {
+      return res.status(400).json({ error: 'Business profile is required' });
+    }
+
+    const completed = complianceStatusStore.getCompletedIds(userId);
+    const pending = complianceResolver.resolve(profile).obligations.filter(o => !completed.includes(o.id));
+    const { complianceMapping, uniqueDocuments } = complianceService.getDocumentChecklist(pending.map(o => o.id));
+    const checklist = documentVault.getChecklist(userId, complianceMapping);
+
+    res.json({
+      success: true,
+      compliances: pending
+        .filter(o => checklist[o.id])
+        .map(o => ({ complianceId: o.id, name: o.name, ...checklist[o.id] })),
+      missingDocuments: uniqueDocuments.filter(item => Object.values(checklist).some(c => c.missing.includes(item)))
+    });
+
+  } catch (error) {
+    req.app.locals.logger.error('Document checklist error:', error);
+    res.status(500).json({ error: 'Failed to build document checklist' });
+  }
+});
+
+/**
+ * GET /api/documents/:documentId/file
+ * Downloads the stored file
+ */
+router.get('/:documentId/file', async (req, res) => {
+  try {
+    const document = documentVault.getDocument(req.user.userId, req.params.documentId);
+
+    if (!document) {
+      return res.status(404).json({ error: 'Document not found' });
+    }
+
+    res.type(document.mimeType || 'application/octet-stream');
+    res.download(documentVault.getFilePath(document), document.fileName, error => {
+      if (error && !res.headersSent) {
+        req.app.locals.logger.error('Download document error:', error);
+        res.status(404).json({ error: 'Document file is missing' });
+      }
+    });
+
+  } catch (error) {
+    req.app.locals.logger.error('Download document error:', error);
+    res.status(500).json({ error: 'Failed to download document' });
+  }
+});
+
+/**
+ * PATCH /api/documents/:documentId
+ * Body: { checklistItem?, complianceIds? }
+ */
+router.patch('/:documentId', async (req, res) => {
+  try {
+    const { error, value: updates } = tagSchema.validate(req.body, { abortEarly: false });
+
+    if (error) {
+      return res.status(400).json({
+        error: 'Invalid document tags',
+        details: error.details.map(detail => detail.message)
+      });
+    }
+
+    const document = documentVault.tagDocument(req.user.userId, req.params.documentId, updates);
+
+    if (!document) {
+      return res.status(404).json({ error: 'Document not found' });
+    }
+
+    res.json({
+      success: true,
+      document
+    });
+
+  } catch (error) {
+    req.app.locals.logger.error('Tag document error:', error);
+    res.status(500).json({ error: 'Failed to update document' });
+  }
+});
+
+/**
+ * DELETE /api/documents/:documentId
+ */
+router.delete('/:documentId', async (req, res) => {
+  try {
+    const deleted = await documentVault.deleteDocument(req.user.userId, req.params.documentId);
+
+    if (!deleted) {
+      return res.status(404).json({ error: 'Document not found' });
+    }
+
+    res.json({
+      success: true,
+      message: 'Document deleted'
+    });
+
+  } catch (error) {
+    req.app.locals.logger.error('Delete document error:', error);
+    res.status(500).json({ error: 'Failed to delete document' });
+  }
+});
+
+export default router;
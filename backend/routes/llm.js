@@ -0,0 +1,83 @@
+import { Router } from 'express';
+
+const router = Router();
+
+/**
+ * Test LLM provider integration
+ */
+router.get('/status', async (req, res) => {
+  try {
+    // Get orchestrator from app context (will be set in server.js)
+    const orchestrator = req.app.get('orchestrator');
+    
+    if (!orchestrator || !orchestrator.llm) {
+      return res.status(500).json({
+        error: 'Orchestrator or LLM provider not available'
+      });
+    }
+
+    const status = orchestrator.llm.getStatus();
+    
+    res.json({
+      success: true,
+      llm: status,
+      message: status.available ? `${status.provider} provider is ready!` : `${status.provider} provider not available`
+    });
+    
+  } catch (error) {
+    console.error('❌ LLM status check error:', error);
+    res.status(500).json({
+      error: 'Failed to check LLM status',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * Test LLM response generation
+ */
+router.post('/test', async (req, res) => {
+  try {
+    const { message, agent } = req.body;
+    
+    if (!message) {
+      return res.status(400).json({
+        error: 'Message is required'
+      });
+    }
+
+    const orchestrator = req.app.get('orchestrator');
+    
+    if (!orchestrator || !orchestrator.llm) {
+      return res.status(500).json({
+        error: 'Orchestrator or LLM provider not available'
+      });
+    }
+
+    if (!orchestrator.llm.isReady()) {
+      return res.status(503).json({
+        error: 'LLM provider is not ready'
+      });
+    }
+
+    // Optionally answer with an agent's model override, e.g. { "agent": "intent" }
+    const llm = agent ? orchestrator.llm.forAgent(agent) : orchestrator.llm;
+    const response = await llm.generateGeneralResponse(message);
+    
+    res.json({
+      success: true,
+      message: response,
+      provider: orchestrator.llm.name,
+      model: (agent && orchestrator.llm.modelOverrides[agent]) || orchestrator.llm.defaultModel
+    });
+    
+  } catch (error) {
+    console.error('❌ LLM test error:', error);
+    res.status(500).json({
+      error: 'Failed to generate response',
+      details: error.message
+    });
+  }
+});
+
+export default router;
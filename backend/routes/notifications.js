@@ -0,0 +1,134 @@
+import express from 'express';
+import Joi from 'joi';
+import { notificationStore } from '../services/NotificationStore.js';
+import { userProfileStore } from '../services/UserProfileStore.js';
+import { requireAuth } from '../middleware/auth.js';
+
+const router = express.Router();
+
+// The inbox always belongs to the signed-in user
+router.use(requireAuth);
+
+const readSchema = Joi.object({
+  read: Joi.boolean().required()
+});
+
+/**
+ * GET /api/notifications
+ * Query: unread=true (only unread), limit
+ * Returns the inbox newest first with the unread count
+ */
+router.get('/', async (req, res) => {
+  try {
+    const { userId } = req.user;
+    const unreadOnly = req.query.unread === 'true';
+    const limit = Math.min(parseInt(req.query.limit, 10) || 50, 200);
+
+    res.json({
+      success: true,
+      notifications: notificationStore.getNotifications(userId, { unreadOnly, limit }),
+      unreadCount: notificationStore.getUnreadCount(userId)
+    });
+
+  } catch (error) {
+    req.app.locals.logger.error('Get notifications error:', error);
+    res.status(500).json({ error: 'Failed to retrieve notifications' });
+  }
+});
+
+/**
+ * GET /api/notifications/upcoming
+ * Obligations from the saved profile falling due within the longest reminder lead time
+ */
+router.get('/upcoming', async (req, res) => {
+  try {
+    const { userId } = req.user;
+    const reminderScheduler = req.app.locals.reminderScheduler;
+    const profile = userProfileStore.getProfile(userId);
+
+    res.json({
+      success: true,
+      leadDays: reminderScheduler.leadDays,
+      upcoming: profile ? reminderScheduler.getUpcoming(userId, profile) : []
+    });
+
+  } catch (error) {
+    req.app.locals.logger.error('Get upcoming obligations error:', error);
+    res.status(500).json({ error: 'Failed to retrieve upcoming obligations' });
+  }
+});
+
+/**
+ * POST /api/notifications/read-all
+ * Marks the whole inbox read
+ */
+router.post('/read-all', async (req, res) => {
+  try {
+    const updated = notificationStore.markAllRead(req.user.userId);
+
+    res.json({
+      success: true,
+      updated,
+      unreadCount: 0
+    });
+
+  } catch (error) {
+    req.app.locals.logger.error('Mark all notifications read error:', error);
+    res.status(500).json({ error: 'Failed to update notifications' });
+  }
+});
+
+/**
+ * PATCH /api/notifications/:notificationId
+ * Body: { read: boolean }
+ */
+router.patch('/:notificationId', async (req, res) => {
+  try {
+    const { userId } = req.user;
+    const { error, value } = readSchema.validate(req.body);
+
+    if (error) {
+      return res.status(400).json({ error: 'Invalid notification update', details: [error.message] });
+    }
+
+    const notification = notificationStore.setRead(userId, req.params.notificationId, value.read);
+
+    if (!notification) {
+      return res.status(404).json({ error: 'Notification not found' });
+    }
+
+    res.json({
+      success: true,
+      notification,
+      unreadCount: notificationStore.getUnreadCount(userId)
+    });
+
+  } catch (error) {
+    req.app.locals.logger.error('Update notification error:', error);
+    res.status(500).json({ error: 'Failed to update notification' });
+  }
+});
+
+/**
+ * DELETE /api/notifications/:notificationId
+ */
+router.delete('/:notificationId', async (req, res) => {
+  try {
+    const deleted = notificationStore.deleteNotification(req.user.userId, req.params.notificationId);
+
+    if (!deleted) {
+      return res.status(404).json({ error: 'Notification not found' });
+    }
+
+    res.json({
+      success: true,
+      message: 'Notification deleted'
+    });
+
+  } catch (error) {
+    req.app.locals.logger.error('Delete notification error:', error);
+    res.status(500).json({ error: 'Failed to delete notification' });
+  }
+});
+
+export default router;
@@ -0,0 +1,79 @@
+import express from 'express';
+import Joi from 'joi';
+import { optionalAuth } from '../middleware/auth.js';
+import { parseProfileQuery } from '../middleware/profileQuery.js';
+import { userProfileStore } from '../services/UserProfileStore.js';
+
+const router = express.Router();
+
+const eligibleSchemesSchema = Joi.object({
+  businessProfile: Joi.object().unknown(true)
+});
+
+// Match schemes for the profile in the request, or the signed-in user's saved profile
+function sendEligibleSchemes(req, res, businessProfile) {
+  const userId = req.user?.userId;
+  const profile = businessProfile || (userId && userProfileStore.getProfile(userId));
+
+  if (!profile) {
+    res.status(400).json({ error: 'Business profile is required' });
+    return;
+  }
+
+  const { msmeCategory, eligible, notEligible } = req.app.locals.schemeMatcher.match(profile);
+
+  res.json({
+    msmeCategory,
+    schemes: eligible,
+    notEligible,
+    timestamp: new Date().toISOString()
+  });
+}
+
+// GET /api/schemes - The scheme catalogue
+router.get('/', (req, res) => {
+  try {
+    const schemes = req.app.locals.schemeMatcher.listSchemes();
+    res.json({ schemes, total: schemes.length });
+  } catch (error) {
+    req.app.locals.logger.error('Get schemes error:', error);
+    res.status(500).json({ error: 'Failed to retrieve schemes' });
+  }
+});
+
+/**
+ * GET /api/schemes/eligible
+ * Query: businessProfile (JSON) - signed-in users default to their saved profile
+ * Returns the schemes the business qualifies for, why, and the documents to apply
+ */
+router.get('/eligible', optionalAuth, parseProfileQuery, (req, res) => {
+  try {
+    sendEligibleSchemes(req, res, req.businessProfile);
+  } catch (error) {
+    req.app.locals.logger.error('Eligible schemes error:', error);
+    res.status(500).json({ error: 'Failed to match schemes' });
+  }
+});
+
+/**
+ * POST /api/schemes/eligible
+ * Body: { businessProfile? } - signed-in users default to their saved profile
+ */
+router.post('/eligible', optionalAuth, (req, res) => {
+  try {
+    const { error, value } = eligibleSchemesSchema.validate(req.body, { abortEarly: false });
+    if (error) {
+      return res.status(400).json({
+        error: 'Invalid scheme eligibility request',
+        details: error.details.map(detail => detail.message)
+      });
+    }
+
+    sendEligibleSchemes(req, res, value.businessProfile);
+  } catch (error) {
+    req.app.locals.logger.error('Eligible schemes error:', error);
+    res.status(500).json({ error: 'Failed to match schemes' });
+  }
+});
+
+export default router;
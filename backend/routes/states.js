@@ -1,5 +1,7 @@
 import express from 'express';
 import { INDIAN_STATES_DATA } from '../data/states.js';
+import { COMPLIANCE_DATABASE, COMPLIANCE_DATA_VERSIONS } from '../data/compliances.js';
+import { findDanglingReferences } from '../data/complianceLoader.js';
 
 const router = express.Router();
 
@@ -17,6 +19,19 @@ router.get('/', (req, res) => {
   }
 });
 
+// GET /api/states/coverage - Compliance data coverage and dangling references
+router.get('/coverage', (req, res) => {
+  try {
+    res.json({
+      versions: COMPLIANCE_DATA_VERSIONS,
+      dangling: req.app.locals.complianceCoverage || findDanglingReferences(COMPLIANCE_DATABASE, INDIAN_STATES_DATA)
+    });
+  } catch (error) {
+    req.app.locals.logger.error('Get compliance coverage error:', error);
+    res.status(500).json({ error: 'Failed to retrieve compliance coverage' });
+  }
+});
+
 // GET /api/states/:id - Get specific state/UT details
 router.get('/:id', (req, res) => {
   try {
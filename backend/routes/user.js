@@ -1,71 +1,218 @@
 import express from 'express';
+import Joi from 'joi';
+import { requireAuth } from '../middleware/auth.js';
+import { userProfileStore } from '../services/UserProfileStore.js';
+import { complianceResolver } from '../services/ComplianceResolver.js';
+import { udyamClassifier } from '../services/UdyamClassifier.js';
+import { INDIAN_STATES_DATA } from '../data/states.js';
 
 const router = express.Router();
 
-// POST /api/user/profile - Save/update user profile
-router.post('/profile', async (req, res) => {
-  try {
-    const { userProfile } = req.body;
-    const logger = req.app.locals.logger;
+// Profiles always belong to the signed-in user
+router.use(requireAuth);
+
+const MSME_CATEGORIES = ['Micro', 'Small', 'Medium'];
+
+// Changing these can move a business across compliance thresholds (EPF, ESI, GST...)
+const REEVALUATION_FIELDS = ['employees', 'annualTurnover'];
+
+// 2-digit state code + PAN + entity number + 'Z' + checksum
+const GSTIN_PATTERN = /^[0-9]{2}[A-Z]{5}[0-9]{4}[A-Z][1-9A-Z]Z[0-9A-Z]$/;
+const MOBILE_PATTERN = /^(\+91[\s-]?)?[6-9]\d{9}$/;
+
+const STATE_NAMES = Object.fromEntries(
+  [...INDIAN_STATES_DATA.states, ...INDIAN_STATES_DATA.unionTerritories].map(region => [region.id, region.name])
+);
+
+// Accepts a code, name or legacy code and stores the INDIAN_STATES_DATA code
+const stateField = Joi.string().allow('').custom((value, helpers) => {
+  if (!value) return value;
+
+  const code = complianceResolver.normalizeStateCode(value);
+  if (!code || !STATE_NAMES[code]) {
+    return helpers.message({ custom: `"state" must be an Indian state or UT (got "${value}")` });
+  }
+  return code;
+}, 'Indian state code');
+
+const msmeCategoryField = Joi.string().allow('').custom((value, helpers) => {
+  if (!value) return value;
+
+  const category = MSME_CATEGORIES.find(c => c.toLowerCase() === value.trim().toLowerCase());
+  if (!category) {
+    return helpers.message({ custom: `"msmeCategory" must be one of ${MSME_CATEGORIES.join(', ')}` });
+  }
+  return category;
+}, 'MSME category');
+
+const userProfileSchema = Joi.object({
+  businessOwnerName: Joi.string().allow('').max(100),
+  businessName: Joi.string().allow('').max(150),
+  businessType: Joi.string().allow('').max(60),
+  msmeCategory: msmeCategoryField,
+  city: Joi.string().allow('').max(80),
+  state: stateField,
+  email: Joi.string().allow('').email({ tlds: { allow: false } }),
+  mobileNumber: Joi.string().allow('').pattern(MOBILE_PATTERN).messages({
+    'string.pattern.base': '"mobileNumber" must be a 10-digit Indian mobile number'
+  }),
+  whatsappNumber: Joi.string().allow('').pattern(MOBILE_PATTERN).messages({
+    'string.pattern.base': '"whatsappNumber" must be a 10-digit Indian mobile number'
+  }),
+  gstNumber: Joi.string().allow('').uppercase().pattern(GSTIN_PATTERN).messages({
+    'string.pattern.base': '"gstNumber" must be a valid 15-character GSTIN'
+  }),
+  registrationDate: Joi.string().allow('').isoDate(),
+  picture: Joi.string().allow('').uri(),
+  employees: Joi.number().integer().min(0),
+  annualTurnover: Joi.number().min(0),
+  plantMachineryInvestment: Joi.number().min(0),
+  exportTurnover: Joi.number().min(0),
+  usesPower: Joi.boolean(),
+  gstFilingFrequency: Joi.string().valid('', 'monthly', 'quarterly'),
+  supplyType: Joi.string().valid('', 'goods', 'services', 'mixed'),
+  interStateSupply: Joi.boolean(),
+  monthlyGstLiability: Joi.number().min(0),
+  averageMonthlyWage: Joi.number().min(0),
+  dailyProductionCapacity: Joi.number().min(0),
+  importsOrExports: Joi.boolean(),
+  operatesInMultipleStates: Joi.boolean(),
+  newEnterprise: Joi.boolean(),
+  womanOwned: Joi.boolean(),
+  ownerSocialCategory: Joi.string().valid('', 'general', 'obc', 'sc', 'st'),
+  dpiitRecognised: Joi.boolean(),
+  projectCost: Joi.number().min(0),
+  loanAmount: Joi.number().min(0),
+  repaidTarunLoan: Joi.boolean(),
+  platforms: Joi.array().items(Joi.string())
+});
+
+function validateProfile(userProfile) {
+  return userProfileSchema.validate(userProfile, { abortEarly: false, stripUnknown: true });
+}
+
+function withStateName(profile) {
+  return profile && { ...profile, stateName: STATE_NAMES[profile.state] || '' };
+}
+
+/**
+ * Re-run compliance evaluation when a threshold field changed
+ * @returns {Object|null} { changedFields, triggered, noLongerRequired, totalMandatory }
+ */
+function reevaluateObligations(ruleEngine, previous, profile, changes) {
+  const changedFields = REEVALUATION_FIELDS.filter(field => changes[field]);
+  if (!previous || changedFields.length === 0) return null;
+
+  return {
+    changedFields,
+    ...ruleEngine.compareEvaluations(previous, profile)
+  };
+}
+
+function saveProfile(merge) {
+  return async (req, res) => {
+    try {
+      const { userProfile } = req.body;
+      const { userId, email } = req.user;
+      const logger = req.app.locals.logger;
+
+      if (!userProfile) {
+        return res.status(400).json({ error: 'User profile is required' });
+      }
+
+      const { error, value } = validateProfile(userProfile);
+      if (error) {
+        return res.status(400).json({
+          error: 'Invalid profile',
+          details: error.details.map(detail => detail.message)
+        });
+      }
 
-    if (!userProfile) {
-      return res.status(400).json({ error: 'User profile is required' });
+      const fields = !merge && !value.email ? { ...value, email: email || '' } : value;
+
+      // Investment and turnover decide the MSME category under the Udyam criteria
+      const udyamClassification = udyamClassifier.classify({
+        ...(merge ? userProfileStore.getProfile(userId) : {}),
+        ...fields
+      });
+      if (udyamClassification.category) {
+        fields.msmeCategory = udyamClassification.isMsme ? udyamClassification.category : '';
+      }
+
+      const { profile, previous, changes, created } = userProfileStore.saveProfile(userId, fields, { merge });
+      const reevaluation = reevaluateObligations(req.app.locals.ruleEngine, previous, profile, changes);
+
+      logger.info(`User profile ${created ? 'created' : 'updated'} for: ${userId}`);
+      if (reevaluation?.triggered.length) {
+        logger.info(`Profile change triggered ${reevaluation.triggered.map(c => c.id).join(', ')} for: ${userId}`);
+      }
+
+      res.status(created ? 201 : 200).json({
+        message: created ? 'Profile created successfully' : 'Profile updated successfully',
+        profile: withStateName(profile),
+        changes,
+        reevaluation,
+        udyamClassification
+      });
+
+    } catch (error) {
+      req.app.locals.logger.error('Update profile error:', error);
+      res.status(500).json({ error: 'Failed to update profile' });
     }
+  };
+}
+
+// POST /api/user/profile - Create or replace the user's profile
+router.post('/profile', saveProfile(false));
+
+// PATCH /api/user/profile - Update some fields of the user's profile
+router.patch('/profile', saveProfile(true));
+
+// GET /api/user/profile - Get the signed-in user's profile
+router.get('/profile', async (req, res) => {
+  try {
+    const profile = userProfileStore.getProfile(req.user.userId);
+
+    res.json({
+      profile: withStateName(profile),
+      exists: Boolean(profile),
+      ...(profile && { udyamClassification: udyamClassifier.classify(profile) })
+    });
 
-    // In a real application, this would save to database
-    // For now, we'll just validate and return the profile
-    const validatedProfile = {
-      businessOwnerName: userProfile.businessOwnerName || '',
-      businessName: userProfile.businessName || '',
-      businessType: userProfile.businessType || '',
-      msmeCategory: userProfile.msmeCategory || '',
-      city: userProfile.city || '',
-      state: userProfile.state || '',
-      email: userProfile.email || '',
-      mobileNumber: userProfile.mobileNumber || '',
-      gstNumber: userProfile.gstNumber || '',
-      registrationDate: userProfile.registrationDate || '',
-      picture: userProfile.picture || '',
-      updatedAt: new Date().toISOString()
-    };
-
-    logger.info(`User profile updated for: ${validatedProfile.businessOwnerName}`);
+  } catch (error) {
+    req.app.locals.logger.error('Get profile error:', error);
+    res.status(500).json({ error: 'Failed to retrieve profile' });
+  }
+});
 
+// GET /api/user/profile/history - Get the user's profile change history
+router.get('/profile/history', async (req, res) => {
+  try {
     res.json({
-      message: 'Profile updated successfully',
-      profile: validatedProfile
+      history: userProfileStore.getHistory(req.user.userId)
     });
 
   } catch (error) {
-    req.app.locals.logger.error('Update profile error:', error);
-    res.status(500).json({ error: 'Failed to update profile' });
+    req.app.locals.logger.error('Get profile history error:', error);
+    res.status(500).json({ error: 'Failed to retrieve profile history' });
   }
 });
 
-// GET /api/user/profile/:email - Get user profile by email
+// GET /api/user/profile/:email - Get profile by email (only the signed-in user's own)
 router.get('/profile/:email', async (req, res) => {
   try {
     const { email } = req.params;
 
-    // In a real application, this would fetch from database
-    // For now, return a default profile structure
-    const defaultProfile = {
-      businessOwnerName: '',
-      businessName: '',
-      businessType: '',
-      msmeCategory: '',
-      city: '',
-      state: '',
-      email: email,
-      mobileNumber: '',
-      gstNumber: '',
-      registrationDate: '',
-      picture: ''
-    };
+    if (email.toLowerCase() !== (req.user.email || '').toLowerCase()) {
+      return res.status(403).json({ error: 'You can only view your own profile' });
+    }
+
+    const profile = userProfileStore.getProfile(req.user.userId);
 
     res.json({
-      profile: defaultProfile,
-      exists: false
+      profile: withStateName(profile),
+      exists: Boolean(profile),
+      ...(profile && { udyamClassification: udyamClassifier.classify(profile) })
     });
 
   } catch (error) {
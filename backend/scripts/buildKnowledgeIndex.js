@@ -0,0 +1,13 @@
+import { writeFileSync } from 'fs';
+import { buildKnowledgeIndex, KNOWLEDGE_DIRECTORY, KNOWLEDGE_INDEX_PATH } from '../services/KnowledgeBase.js';
+
+/**
+ * Rebuild data/knowledge/index.json from the corpus files
+ * Run after adding or editing anything in data/knowledge: npm run build:knowledge
+ * (a stale index still works - KnowledgeBase.load() rebuilds it - but costs startup time)
+ */
+
+const index = buildKnowledgeIndex(KNOWLEDGE_DIRECTORY);
+writeFileSync(KNOWLEDGE_INDEX_PATH, `${JSON.stringify(index)}\n`);
+
+console.log(`📚 Indexed ${index.passages.length} passages from ${index.sources.length} files → ${KNOWLEDGE_INDEX_PATH}`);
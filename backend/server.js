@@ -1,5 +1,3 @@
-import express from 'express';
-import cors from 'cors';
 import dotenv from 'dotenv';
 import { createServer } from 'http';
 import { Server } from 'socket.io';
@@ -7,20 +5,8 @@ import winston from 'winston';
 import { existsSync } from 'fs';
 import { fileURLToPath } from 'url';
 import { dirname, join } from 'path';
-
-// Import routes
-import chatRoutes from './routes/chat.js';
-import chatHistoryRoutes from './routes/chatHistory.js';
-import complianceRoutes from './routes/compliance.js';
-import userRoutes from './routes/user.js';
-import stateRoutes from './routes/states.js';
-import ollamaRoutes from './routes/ollama.js';
-import dashboardRoutes from './routes/dashboard.js';
-
-// Import services
-import { ChatbotService } from './services/ChatbotService.js';
-import { RuleEngine } from './services/RuleEngine.js';
-import { ComplianceService } from './services/ComplianceService.js';
+import { createApp } from './app.js';
+import { authenticateSocket } from './middleware/auth.js';
 
 // Load environment variables - prioritize .env.local over .env
 const __filename = fileURLToPath(import.meta.url);
@@ -38,15 +24,6 @@ if (existsSync(envLocalPath)) {
   console.log('⚠️ No .env file found - using system environment variables');
 }
 
-const app = express();
-const server = createServer(app);
-const io = new Server(server, {
-  cors: {
-    origin: process.env.FRONTEND_URL || "http://localhost:5173",
-    methods: ["GET", "POST"]
-  }
-});
-
 // Logger setup
 const logger = winston.createLogger({
   level: 'info',
@@ -63,99 +40,96 @@ const logger = winston.createLogger({
   ]
 });
 
-// Middleware
-app.use(cors({
-  origin: process.env.FRONTEND_URL || "http://localhost:5173",
-  credentials: true
-}));
-app.use(express.json({ limit: '10mb' }));
-app.use(express.urlencoded({ extended: true }));
-
-// Request logging
-app.use((req, res, next) => {
-  logger.info(`${req.method} ${req.path} - ${req.ip}`);
-  next();
-});
+// Express app, services and persistence (see app.js)
+const { app, chatbotService, reminderScheduler } = await createApp({ logger });
 
-// Initialize services
-const ruleEngine = new RuleEngine();
-const complianceService = new ComplianceService();
-const chatbotService = new ChatbotService(ruleEngine, complianceService);
-
-// Make services available to routes
-app.locals.chatbotService = chatbotService;
-app.locals.ruleEngine = ruleEngine;
-app.locals.complianceService = complianceService;
-app.locals.logger = logger;
-
-// Make orchestrator available for Ollama testing
-app.set('orchestrator', chatbotService.orchestrator);
-
-// Routes
-app.use('/api/chat', chatRoutes);
-app.use('/api', chatHistoryRoutes); // Chat history routes (/api/chats, /api/chat-stats)
-app.use('/api/compliance', complianceRoutes);
-app.use('/api/user', userRoutes);
-app.use('/api/states', stateRoutes);
-app.use('/api/ollama', ollamaRoutes);
-app.use('/api/dashboard', dashboardRoutes);
-
-// Health check
-app.get('/api/health', (req, res) => {
-  res.json({ 
-    status: 'healthy', 
-    timestamp: new Date().toISOString(),
-    services: {
-      chatbot: 'active',
-      ruleEngine: 'active',
-      compliance: 'active'
-    }
-  });
+const server = createServer(app);
+const io = new Server(server, {
+  cors: {
+    origin: process.env.FRONTEND_URL || "http://localhost:5173",
+    methods: ["GET", "POST"]
+  }
 });
 
-// Socket.IO for real-time chat
+// Socket.IO for real-time chat - the handshake must carry a session token
+io.use(authenticateSocket);
+
+// Rooms are scoped to the token's user, so a leaked sessionId can't be joined by someone else
+const sessionRoom = (userId, sessionId) => `${userId}:${sessionId}`;
+// Every socket of a user joins this room for notifications
+const userRoom = (userId) => `user:${userId}`;
+
 io.on('connection', (socket) => {
-  logger.info(`User connected: ${socket.id}`);
+  const { userId } = socket.data.user;
+  logger.info(`User connected: ${socket.id} (${userId})`);
+
+  socket.join(userRoom(userId));
+
+  // In-flight generations on this socket: sessionId → AbortController
+  const generations = new Map();
 
   socket.on('join-session', (sessionId) => {
-    socket.join(sessionId);
-    logger.info(`User ${socket.id} joined session ${sessionId}`);
+    socket.join(sessionRoom(userId, sessionId));
+    logger.info(`User ${userId} joined session ${sessionId}`);
   });
 
   socket.on('chat-message', async (data) => {
+    // Nothing below may throw outside the try - a rejected handler would go unhandled
+    if (!data || typeof data !== 'object') {
+      socket.emit('chat-error', { error: 'Invalid chat message' });
+      return;
+    }
+
+    const { sessionId, message, userProfile, language } = data;
+    const room = sessionRoom(userId, sessionId);
+    const controller = new AbortController();
+
+    generations.get(sessionId)?.abort();
+    generations.set(sessionId, controller);
+
     try {
-      const { sessionId, message, userProfile } = data;
-      
-      // Process message through chatbot service
-      const response = await chatbotService.processMessage(message, userProfile, sessionId);
+      // Process message through chatbot service, streaming tokens as they are generated
+      const response = await chatbotService.processMessage(message, userProfile, sessionId, {
+        userId,
+        language,
+        stream: {
+          onToken: token => io.to(room).emit('chat-token', { sessionId, token }),
+          signal: controller.signal
+        }
+      });
       
       // Send response back to client
-      io.to(sessionId).emit('chat-response', response);
+      io.to(room).emit('chat-response', response);
       
-      logger.info(`Chat response sent to session ${sessionId}`);
+      logger.info(`Chat response sent to session ${sessionId}${response.cancelled ? ' (cancelled)' : ''}`);
     } catch (error) {
       logger.error('Chat processing error:', error);
       socket.emit('chat-error', { error: 'Failed to process message' });
+    } finally {
+      if (generations.get(sessionId) === controller) {
+        generations.delete(sessionId);
+      }
     }
   });
 
-  socket.on('disconnect', () => {
-    logger.info(`User disconnected: ${socket.id}`);
+  socket.on('cancel-generation', (sessionId) => {
+    const controller = generations.get(sessionId);
+    if (controller) {
+      controller.abort();
+      logger.info(`Generation cancelled for session ${sessionId}`);
+    }
   });
-});
 
-// Error handling middleware
-app.use((error, req, res, next) => {
-  logger.error('Unhandled error:', error);
-  res.status(500).json({ 
-    error: 'Internal server error',
-    message: process.env.NODE_ENV === 'development' ? error.message : 'Something went wrong'
+  socket.on('disconnect', () => {
+    generations.forEach(controller => controller.abort());
+    generations.clear();
+    logger.info(`User disconnected: ${socket.id}`);
   });
 });
 
-// 404 handler
-app.use('*', (req, res) => {
-  res.status(404).json({ error: 'Route not found' });
+// Deadline and renewal reminders land in the inbox and are pushed to the user's open tabs
+reminderScheduler.on('notification', (userId, notification) => {
+  io.to(userRoom(userId)).emit('notification', notification);
 });
 
 const PORT = process.env.PORT || 3001;
@@ -164,6 +138,12 @@ server.listen(PORT, () => {
   logger.info(`🚀 MSME Compliance Backend running on port ${PORT}`);
   logger.info(`📡 Socket.IO server ready for real-time chat`);
   logger.info(`🤖 AI Chatbot service initialized`);
+
+  if (process.env.REMINDERS_ENABLED !== 'false') {
+    reminderScheduler.start();
+    // Catch up on reminders that fell due while the server was down
+    reminderScheduler.run().catch(error => logger.error(`Reminder run failed: ${error.message}`));
+  }
 });
 
 export default app;
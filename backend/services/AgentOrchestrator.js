@@ -1,9 +1,14 @@
-import { OllamaService } from './OllamaService.js';
+import Joi from 'joi';
+import { createLLMProvider } from './llm/index.js';
 import { DiscoveryAgent } from '../agents/DiscoveryAgent.js';
 import { ClassificationAgent } from '../agents/ClassificationAgent.js';
 import { ComplianceAgent } from '../agents/ComplianceAgent.js';
 import { TimelineAgent } from '../agents/TimelineAgent.js';
 import { PlatformAgent } from '../agents/PlatformAgent.js';
+import { SchemeAgent } from '../agents/SchemeAgent.js';
+import { knowledgeBase as defaultKnowledgeBase } from './KnowledgeBase.js';
+import { legalReferences } from './LegalReferences.js';
+import { languageDetector } from './LanguageDetector.js';
 
 /**
  * Dashboard update trigger phrases
@@ -28,17 +33,69 @@ const DASHBOARD_UPDATE_TRIGGERS = [
   'push to dashboard'
 ];
 
+const INTENTS = ['DISCOVERY', 'COMPLIANCE', 'TIMELINE', 'PLATFORM', 'SCHEMES', 'GENERAL'];
+
+/**
+ * Structured intent classification requested from the LLM
+ */
+const INTENT_SCHEMA = Joi.object({
+  intent: Joi.string().uppercase().valid(...INTENTS).required(),
+  confidence: Joi.number().min(0).max(1).required()
+});
+
+// Below this the keyword intent (if any) wins over the LLM's guess
+const INTENT_CONFIDENCE_THRESHOLD = 0.6;
+
+/**
+ * Keyword patterns per intent, in the order the single-intent fallback checks them
+ * (schemes first - "schemes for my business" is not a discovery message)
+ */
+const INTENT_PATTERNS = [
+  ['SCHEMES', /\b(schemes?|subsid(y|ies)|mudra|pmegp|cgtmse|stand-?up india|grants?)\b/],
+  ['DISCOVERY', /\b(start|business|cafe|restaurant|textile)\b/],
+  ['COMPLIANCE', /\b(compliance|licen[cs]es?|registrations?|permits?|gst|fssai)\b/],
+  ['TIMELINE', /\b(timeline|duration|steps|how long)\b/],
+  ['PLATFORM', /\b(swiggy|zomato|amazon|flipkart|platforms?)\b/]
+];
+
+/**
+ * Steps of a multi-intent plan, in dependency order
+ * Discovery fills the profile, classification feeds compliance and the
+ * compliance obligations feed the timeline. CLASSIFICATION is never asked
+ * for directly - it runs whenever COMPLIANCE does and has no section.
+ */
+const PLAN_STEPS = {
+  DISCOVERY: { agent: 'DiscoveryAgent', title: 'Your business', dependsOn: [] },
+  CLASSIFICATION: { agent: 'ClassificationAgent', dependsOn: ['DISCOVERY'] },
+  COMPLIANCE: { agent: 'ComplianceAgent', title: 'Licences and registrations', dependsOn: ['CLASSIFICATION'] },
+  TIMELINE: { agent: 'TimelineAgent', title: 'Timeline', dependsOn: ['COMPLIANCE'] },
+  PLATFORM: { agent: 'PlatformAgent', title: 'Selling on delivery and e-commerce platforms', dependsOn: ['DISCOVERY'] },
+  SCHEMES: { agent: 'SchemeAgent', title: 'Government schemes', dependsOn: ['DISCOVERY'] }
+};
+
+// Closes a section whose agent failed after it had started streaming
+const PLAN_STEP_FAILED = '\n\n_Sorry, this part could not be completed. Please ask about it again._';
+
 export class AgentOrchestrator {
-  constructor(ruleEngine, complianceService) {
+  /**
+   * @param {RuleEngine} ruleEngine
+   * @param {ComplianceService} complianceService
+   * @param {LLMProvider} llm - Language model backend (defaults to the one configured by LLM_PROVIDER)
+   * @param {KnowledgeBase} knowledgeBase - Regulation passages LLM answers are grounded in and cite
+   */
+  constructor(ruleEngine, complianceService, llm = createLLMProvider(), knowledgeBase = defaultKnowledgeBase) {
     this.ruleEngine = ruleEngine;
     this.complianceService = complianceService;
-    this.ollamaService = new OllamaService();
+    this.llm = llm;
+    this.knowledgeBase = knowledgeBase;
     
-    this.discoveryAgent = new DiscoveryAgent(this.ollamaService, complianceService);
+    // Each agent sees the provider with its own model override (LLM_MODEL_<AGENT>)
+    this.discoveryAgent = new DiscoveryAgent(llm.forAgent('discovery'), complianceService);
     this.classificationAgent = new ClassificationAgent();
-    this.complianceAgent = new ComplianceAgent(this.ollamaService);
-    this.timelineAgent = new TimelineAgent(this.ollamaService, complianceService);
-    this.platformAgent = new PlatformAgent(this.ollamaService, complianceService);
+    this.complianceAgent = new ComplianceAgent(llm.forAgent('compliance'), { knowledgeBase });
+    this.timelineAgent = new TimelineAgent(llm.forAgent('timeline'), complianceService, { knowledgeBase });
+    this.platformAgent = new PlatformAgent(llm.forAgent('platform'), complianceService, { knowledgeBase });
+    this.schemeAgent = new SchemeAgent();
     
     // Dashboard state storage per session
     this.dashboardState = new Map();
@@ -46,6 +103,15 @@ export class AgentOrchestrator {
     console.log('✅ AgentOrchestrator initialized - Chat-Driven Compliance Copilot');
   }
 
+  /**
+   * Process a chat message
+   * @param {string} message - User message
+   * @param {Object} context - Session and memory context; context.stream = { onToken, signal }
+   *   streams the answer token by token and lets the caller cancel generation;
+   *   context.language is the UI language, used when the message itself does not show one
+   * @returns {Promise<Object>} Agent response with the reply `language`
+   *   ({ type: 'cancelled' } with the partial text if aborted)
+   */
   async processMessage(message, context = {}) {
     console.log('🎯 Orchestrator: Processing request with conversation memory...');
     
@@ -53,6 +119,29 @@ export class AgentOrchestrator {
     if (context.memoryContext && context.memoryContext.length > 0) {
       console.log(`💭 Memory: Found ${context.memoryContext.length} previous messages`);
     }
+
+    // Reply in the language the user writes in; short replies ("yes", "50 lakh") keep the conversation's
+    const language = languageDetector.detect(message) || context.session?.language || context.language || 'en';
+    context = { ...context, language };
+    if (context.session) {
+      context.session.language = language;
+    }
+
+    // Keep what was streamed so a cancelled answer can still be returned
+    let streamedText = '';
+    if (context.stream?.onToken) {
+      const { onToken } = context.stream;
+      context = {
+        ...context,
+        stream: {
+          ...context.stream,
+          onToken: token => {
+            streamedText += token;
+            onToken(token);
+          }
+        }
+      };
+    }
     
     try {
       // CRITICAL: Check if this is a dashboard update request FIRST
@@ -74,9 +163,36 @@ export class AgentOrchestrator {
         console.log('📊 Dashboard update with business context - forcing DISCOVERY agent');
         intent = { type: 'DISCOVERY' };
         response = await this.discoveryAgent.process(message, context, context.session);
+      } else if (context.session?.pendingClarification) {
+        // The user is answering a "Just to confirm..." question from discovery
+        // (and the plan it interrupted, if any, picks up where it stopped)
+        const { pendingPlan } = context.session;
+        delete context.session.pendingPlan;
+
+        intent = { type: 'DISCOVERY', source: 'clarification' };
+        response = pendingPlan
+          ? await this._runPlan(pendingPlan.intents, pendingPlan.message, context, { reply: message })
+          : await this.discoveryAgent.process(message, context, context.session);
       } else {
         intent = await this._extractIntent(message, context);
-        response = await this._routeToAgent(intent, message, context);
+
+        // "Cafe in Pune - what licences, how long, can I list on Swiggy?" runs several agents
+        const intents = this._detectIntents(message, intent);
+        response = intents.length > 1
+          ? await this._runPlan(intents, message, context)
+          : await this._routeToAgent(intent, message, context);
+      }
+
+      // Agents fall back to canned text when generation fails - don't send that after a cancel
+      if (context.stream?.signal?.aborted) {
+        console.log('⏹️ Generation cancelled by user');
+        return {
+          message: streamedText,
+          type: 'cancelled',
+          cancelled: true,
+          dashboardUpdateRequested: false,
+          dashboardStateUpdate: null
+        };
       }
       
       // MANDATORY: If dashboard update was requested, ALWAYS include state fields
@@ -96,6 +212,7 @@ export class AgentOrchestrator {
         }
       }
       
+      response.language = language;
       return response;
     } catch (error) {
       console.error('❌ Orchestrator error:', error);
@@ -144,7 +261,7 @@ export class AgentOrchestrator {
    * Returns true if message mentions business type, location, or employees
    */
   _hasBusinessContext(message) {
-    const lowerMessage = message.toLowerCase();
+    const lowerMessage = languageDetector.normalize(message).toLowerCase();
     
     // Business types
     const businessTerms = [
@@ -208,9 +325,10 @@ export class AgentOrchestrator {
       id: c.id,
       title: this._getTaskTitle(c),
       priority: c.mandatory ? 'High' : 'Medium',
-      deadlineDays: this._getComplianceDeadline(c.id),
+      deadlineDays: this._getComplianceDeadline(c.key || c.id),
       status: 'pending',
-      source: this._getTaskSource(c, profile) // TRACEABILITY: Every task has a source
+      source: this._getTaskSource(c, profile), // TRACEABILITY: Every task has a source
+      references: c.references || [] // PROVENANCE: act, section and portal behind the task
     }));
     
     // Compliance score: 0 initially (all tasks pending) - NOT INVENTED
@@ -266,15 +384,15 @@ export class AgentOrchestrator {
     const sources = {
       'GST': `Required for businesses with turnover > ₹40L or interstate sales`,
       'FSSAI': `Mandatory for ${profile.businessType || 'food'} business (Food Safety Act)`,
-      'UDYAM': `Recommended for MSME benefits and government schemes`,
-      'SHOP_ACT': `Required under ${profile.state || 'State'} Shops & Establishments Act`,
+      'MSME_UDYAM': `Recommended for MSME benefits and government schemes`,
+      'SHOPS_ACT': `Required under ${profile.state || 'State'} Shops & Establishments Act`,
       'EPF': `Mandatory for businesses with ${profile.employeeCount || '20+'} employees (EPF Act 1952)`,
       'ESI': `Mandatory for businesses with ${profile.employeeCount || '10+'} employees (ESI Act 1948)`,
       'TRADE_LICENSE': `Required by ${profile.city || 'Municipal'} Corporation`,
       'FIRE_NOC': `Required for commercial establishments (Fire Services Act)`
     };
     
-    return sources[compliance.id] || `Required for ${profile.businessType} in ${profile.state || 'India'}`;
+    return sources[compliance.key || compliance.id] || compliance.reason || `Required for ${profile.businessType} in ${profile.state || 'India'}`;
   }
 
   /**
@@ -285,8 +403,8 @@ export class AgentOrchestrator {
     const knownDeadlines = {
       'GST': 30,      // Should register within 30 days of crossing threshold
       'FSSAI': 60,    // Should obtain before starting food operations
-      'UDYAM': 7,     // Can be done in 1 day, but allow 7 for paperwork
-      'SHOP_ACT': 30, // Must register within 30 days of starting business
+      'MSME_UDYAM': 7, // Can be done in 1 day, but allow 7 for paperwork
+      'SHOPS_ACT': 30, // Must register within 30 days of starting business
       'EPF': 30,      // Must register within 1 month of threshold
       'ESI': 30,      // Must register within 1 month of threshold
       'TRADE_LICENSE': 45,
@@ -302,7 +420,7 @@ export class AgentOrchestrator {
     const breakdown = {};
     
     compliances.forEach(c => {
-      const category = this._getComplianceCategory(c.id);
+      const category = this._getComplianceCategory(c.key || c.id);
       if (!breakdown[category]) {
         breakdown[category] = { total: 0, completed: 0, items: [] };
       }
@@ -311,7 +429,8 @@ export class AgentOrchestrator {
         id: c.id,
         name: c.name,
         mandatory: c.mandatory,
-        source: this._getTaskSource(c, profile)
+        source: this._getTaskSource(c, profile),
+        references: c.references || []
       });
     });
     
@@ -323,14 +442,14 @@ export class AgentOrchestrator {
       'GST': 'taxation',
       'PROFESSIONAL_TAX': 'taxation',
       'TDS': 'taxation',
-      'SHOP_ACT': 'licensing',
+      'SHOPS_ACT': 'licensing',
       'TRADE_LICENSE': 'licensing',
       'FIRE_NOC': 'licensing',
       'EPF': 'labor',
       'ESI': 'labor',
       'GRATUITY': 'labor',
       'FSSAI': 'foodSafety',
-      'UDYAM': 'registration'
+      'MSME_UDYAM': 'registration'
     };
     return categories[complianceId] || 'other';
   }
@@ -392,27 +511,35 @@ export class AgentOrchestrator {
     const taskTitles = {
       'GST': 'Complete GST Registration',
       'FSSAI': 'Apply for FSSAI License',
-      'UDYAM': 'Register for Udyam (MSME)',
-      'SHOP_ACT': 'Apply for Shop & Establishment License',
+      'MSME_UDYAM': 'Register for Udyam (MSME)',
+      'SHOPS_ACT': 'Apply for Shop & Establishment License',
       'EPF': 'Register for Employee Provident Fund',
       'ESI': 'Register for Employee State Insurance',
       'TRADE_LICENSE': 'Obtain Trade License',
       'FIRE_NOC': 'Get Fire Safety NOC'
     };
-    return taskTitles[compliance.id] || `Complete ${compliance.name}`;
+    return taskTitles[compliance.key || compliance.id] || `Complete ${compliance.name}`;
   }
 
   _calculateDueDate(compliance) {
-    const days = this._getComplianceDeadline(compliance.id) || 30;
+    const days = this._getComplianceDeadline(compliance.key || compliance.id) || 30;
     const dueDate = new Date();
     dueDate.setDate(dueDate.getDate() + days);
     return dueDate.toISOString().split('T')[0];
   }
 
+  /**
+   * Classify the message into an agent intent
+   * The LLM returns { intent, confidence } as validated JSON. A confident
+   * answer stands; an unsure one defers to the keyword intent when the
+   * keywords found one. Without a usable LLM the keyword intent is used.
+   * @returns {Promise<Object>} { type, confidence, source: 'llm' | 'keywords' } ({ type } offline)
+   */
   async _extractIntent(message, context) {
     try {
       // Enhanced intent extraction with conversation context
-      const systemPrompt = 'Extract intent: DISCOVERY, COMPLIANCE, TIMELINE, PLATFORM, or GENERAL. Return only the intent type.';
+      const systemPrompt = 'Classify the intent of the current message: DISCOVERY (describing a business to start), COMPLIANCE (licences, registrations, taxes), TIMELINE, PLATFORM (Swiggy, Zomato, Amazon...), SCHEMES (government schemes, subsidies or loans), or GENERAL. ' +
+        'The message may be in English, Hindi or Hinglish. Give your confidence from 0 to 1.';
       let userPrompt = `Message: "${message}".`;
       
       // Add conversation context if available
@@ -427,23 +554,229 @@ export class AgentOrchestrator {
       
       userPrompt += ` Intent:`;
       
-      const response = await this.ollamaService.generateResponse(userPrompt, systemPrompt, { temperature: 0.2 });
-      const intentType = response.trim().toUpperCase();
-      const validIntents = ['DISCOVERY', 'COMPLIANCE', 'TIMELINE', 'PLATFORM', 'GENERAL'];
-      
-      return { type: validIntents.includes(intentType) ? intentType : 'GENERAL' };
+      const { value } = await this.llm.forAgent('intent').generateStructured(userPrompt, systemPrompt, {
+        schema: INTENT_SCHEMA,
+        example: { intent: 'COMPLIANCE', confidence: 0.9 },
+        temperature: 0.2
+      });
+
+      const keywordIntent = this._fallbackIntent(message);
+      if (value.confidence < INTENT_CONFIDENCE_THRESHOLD && keywordIntent.type !== 'GENERAL') {
+        return { type: keywordIntent.type, confidence: value.confidence, source: 'keywords' };
+      }
+      return { type: value.intent, confidence: value.confidence, source: 'llm' };
     } catch (error) {
       return this._fallbackIntent(message);
     }
   }
 
   _fallbackIntent(message) {
-    const lowerMsg = message.toLowerCase();
-    if (lowerMsg.match(/\b(start|business|cafe|restaurant|textile)\b/)) return { type: 'DISCOVERY' };
-    if (lowerMsg.match(/\b(compliance|license|gst|fssai)\b/)) return { type: 'COMPLIANCE' };
-    if (lowerMsg.match(/\b(timeline|duration|steps)\b/)) return { type: 'TIMELINE' };
-    if (lowerMsg.match(/\b(swiggy|zomato|amazon|platform)\b/)) return { type: 'PLATFORM' };
-    return { type: 'GENERAL' };
+    const lowerMsg = languageDetector.normalize(message).toLowerCase();
+    const match = INTENT_PATTERNS.find(([, pattern]) => pattern.test(lowerMsg));
+    return { type: match ? match[0] : 'GENERAL' };
+  }
+
+  /**
+   * Every agent intent a message asks for, in plan order
+   * The classified intent plus each intent whose keywords appear. Discovery
+   * only counts when the message actually describes the business (the
+   * extractors find a type, place, headcount or budget in it).
+   * @param {string} message - User message
+   * @param {Object} intent - From _extractIntent()
+   * @returns {Array} e.g. ['DISCOVERY', 'COMPLIANCE', 'TIMELINE'] - GENERAL is never included
+   */
+  _detectIntents(message, intent) {
+    const lowerMsg = languageDetector.normalize(message).toLowerCase();
+    const intents = new Set(INTENT_PATTERNS.filter(([, pattern]) => pattern.test(lowerMsg)).map(([type]) => type));
+    intents.add(intent.type);
+
+    if (this.discoveryAgent.extractAndInferInfo(message, {}).size === 0) {
+      intents.delete('DISCOVERY');
+    }
+
+    return Object.keys(PLAN_STEPS).filter(type => intents.has(type));
+  }
+
+  /**
+   * Steps that answer a set of intents, with the dependencies present in the plan
+   * @param {Array} intents - From _detectIntents()
+   * @returns {Array} [{ step, agent, title, dependsOn }]
+   */
+  _planSteps(intents) {
+    const wanted = new Set(intents);
+    if (wanted.has('COMPLIANCE')) wanted.add('CLASSIFICATION');
+
+    return Object.entries(PLAN_STEPS)
+      .filter(([step]) => wanted.has(step))
+      .map(([step, { agent, title, dependsOn }]) => ({
+        step,
+        agent,
+        title,
+        dependsOn: dependsOn.filter(dependency => wanted.has(dependency))
+      }));
+  }
+
+  /**
+   * Run a multi-intent plan and compose one answer with a section per agent
+   * Steps run in dependency order against the same session profile, each
+   * one fed by the steps before it. If discovery (or compliance, with no
+   * business type) has to ask the user something first, that question is
+   * the answer and the rest is skipped.
+   * @param {Array} intents - From _detectIntents()
+   * @param {string} message - User message
+   * @param {Object} context - Request context (context.stream streams every section)
+   * @param {Object} options
+   * @param {string} options.reply - Answer to discovery's clarifying question when resuming a plan
+   * @returns {Promise<Object>} Composed response with `plan: { intents, steps }`
+   */
+  async _runPlan(intents, message, context, { reply } = {}) {
+    const steps = this._planSteps(intents);
+    console.log(`🗺️ Multi-intent plan: ${steps.map(step => step.step).join(' → ')}`);
+
+    const session = context.session || { businessProfile: { ...context.businessProfile } };
+    const planContext = { ...context, session };
+    const onToken = context.stream?.onToken;
+
+    const sections = [];
+    const executed = [];
+    const unfinished = new Set();
+    let halted = null;
+
+    for (const step of steps) {
+      const blocker = step.dependsOn.find(dependency => unfinished.has(dependency));
+      if (halted || blocker || context.stream?.signal?.aborted) {
+        unfinished.add(step.step);
+        executed.push({ ...step, status: 'skipped', reason: halted || (blocker ? `${blocker} did not complete` : 'cancelled') });
+        continue;
+      }
+
+      if (step.step === 'CLASSIFICATION') {
+        const { classification } = this.classificationAgent.classify(session.businessProfile || {});
+        planContext.classification = classification;
+        executed.push({ ...step, status: 'completed' });
+        continue;
+      }
+
+      // The heading goes out with the section's first token (or its whole
+      // message when the agent could not stream), so a step that fails
+      // before producing anything leaves no empty section behind
+      let streamed = '';
+      const heading = `${sections.length > 0 ? '\n\n' : ''}**${step.title}**\n\n`;
+      const sendHeading = () => {
+        if (streamed === '') onToken?.(heading);
+      };
+      const stepContext = {
+        ...planContext,
+        stream: context.stream && {
+          ...context.stream,
+          onToken: token => {
+            sendHeading();
+            streamed += token;
+            onToken(token);
+          }
+        }
+      };
+
+      try {
+        const stepMessage = step.step === 'DISCOVERY' && reply !== undefined ? reply : message;
+        const response = await this._runPlanStep(step.step, stepMessage, stepContext, session);
+        if (!streamed) {
+          sendHeading();
+          onToken?.(response.message);
+        }
+
+        sections.push({ ...step, heading, response });
+        executed.push({ ...step, status: 'completed', type: response.type });
+
+        if (step.step === 'DISCOVERY' && response.type !== 'profile') {
+          // A clarifying or missing-detail question has to be answered before the rest
+          halted = `awaiting ${response.data?.awaiting || 'business details'}`;
+          if (response.type === 'clarification') {
+            session.pendingPlan = { intents, message };
+          }
+        }
+        if (step.step === 'COMPLIANCE' && response.type === 'redirect') {
+          // No business type to check against - asking for it is the answer
+          halted = 'awaiting business details';
+        }
+        if (step.step === 'COMPLIANCE' && response.data?.obligations) {
+          planContext.obligations = response.data.obligations;
+        }
+      } catch (error) {
+        console.error(`❌ Plan step ${step.step} failed:`, error);
+        unfinished.add(step.step);
+        executed.push({ ...step, status: 'failed', reason: error.message });
+
+        // Part of the section already went out - close it the same way in the composed answer
+        if (streamed) {
+          onToken?.(PLAN_STEP_FAILED);
+          sections.push({
+            ...step,
+            heading,
+            response: { message: `${streamed}${PLAN_STEP_FAILED}`, type: 'error', agent: step.agent }
+          });
+        }
+      }
+    }
+
+    const plan = {
+      intents,
+      steps: executed.map(({ title, ...step }) => step)
+    };
+
+    // Discovery or compliance stopped the plan: its question alone is the answer
+    if (sections.length === 1 && halted) {
+      const [{ heading, response }] = sections;
+      return { ...response, message: `${heading}${response.message}`, plan };
+    }
+
+    return this._composePlanResponse(sections, session, plan);
+  }
+
+  async _runPlanStep(step, message, context, session) {
+    switch (step) {
+      case 'DISCOVERY':
+        // Only capture the profile - the later sections give the guidance
+        return await this.discoveryAgent.process(message, { ...context, profileOnly: true }, session);
+      case 'COMPLIANCE':
+        return await this._handleCompliance(message, context);
+      case 'TIMELINE':
+        return await this.timelineAgent.process(message, context, session);
+      case 'PLATFORM':
+        return await this.platformAgent.process(message, context, session);
+      default:
+        return await this.schemeAgent.process(message, context, session);
+    }
+  }
+
+  /**
+   * One answer from the sections of a plan
+   * Citations keep their per-section markers and say which section they
+   * belong to; legal references are renumbered across all sections.
+   */
+  _composePlanResponse(sections, session, plan) {
+    const data = Object.assign({}, ...sections.map(section => section.response.data || {}));
+    const obligations = sections.flatMap(section => section.response.data?.obligations || []);
+
+    return {
+      message: sections.map(section => `${section.heading}${section.response.message}`).join(''),
+      type: 'multi_intent',
+      agent: 'AgentOrchestrator',
+      citations: sections.flatMap(section =>
+        (section.response.citations || []).map(citation => ({ ...citation, section: section.step }))),
+      references: legalReferences.collect(obligations),
+      data: {
+        ...data,
+        businessProfile: session.businessProfile,
+        sections: sections.map(section => ({
+          intent: section.step,
+          title: section.title,
+          agent: section.response.agent || section.agent,
+          type: section.response.type
+        }))
+      },
+      plan
+    };
   }
 
   async _routeToAgent(intent, message, context) {
@@ -458,6 +791,8 @@ export class AgentOrchestrator {
         return await this.timelineAgent.process(message, context, context.session);
       case 'PLATFORM':
         return await this.platformAgent.process(message, context, context.session);
+      case 'SCHEMES':
+        return await this.schemeAgent.process(message, context, context.session);
       default:
         return await this._handleGeneral(message, context);
     }
@@ -473,8 +808,9 @@ export class AgentOrchestrator {
       };
     }
 
-    const classification = this.classificationAgent.classify(businessProfile);
-    const complianceContext = { ...context, classification: classification.classification };
+    // A plan has already classified the profile
+    const classification = context.classification || this.classificationAgent.classify(businessProfile).classification;
+    const complianceContext = { ...context, classification };
     
     return await this.complianceAgent.process(message, complianceContext, context.session);
   }
@@ -497,15 +833,17 @@ CRITICAL RULES:
 3. Be practical, concise, and helpful
 4. Limit responses to 100 words
 5. Maintain conversation context
-6. Sound like a knowledgeable Indian consultant, not a robot`;
+6. Sound like a knowledgeable Indian consultant, not a robot${languageDetector.instruction(context.language)}`;
       
-      const response = await this.ollamaService.generateResponse(
+      const { text, citations } = await this.knowledgeBase.generateGroundedResponse(
+        this.llm.forAgent('general'),
+        languageDetector.normalize(message),
         userPrompt,
         systemPrompt,
-        { temperature: 0.4 }
+        { temperature: 0.4, ...context.stream }
       );
       
-      return { message: response, type: 'general' };
+      return { message: text, type: 'general', citations };
     } catch (error) {
       return { message: 'Hello! I can help you with business compliance in India. What would you like to know?', type: 'general' };
     }
@@ -1,5 +1,5 @@
 import OpenAI from 'openai';
-import { OllamaService } from './OllamaService.js';
+import { OllamaProvider as OllamaService } from './llm/index.js';
 import { DiscoveryAgent } from '../agents/DiscoveryAgent.js';
 import { ComplianceAgent } from '../agents/ComplianceAgent.js';
 import { TimelineAgent } from '../agents/TimelineAgent.js';
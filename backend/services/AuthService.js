@@ -0,0 +1,157 @@
+import axios from 'axios';
+import jwt from 'jsonwebtoken';
+import { randomBytes } from 'crypto';
+
+/**
+ * AuthService - Verifies Google sign-ins and issues our own session tokens
+ *
+ * FLOW: Frontend Google OAuth → POST /api/auth/google { accessToken }
+ *       → Google confirms the token → we issue a JWT (JWT_SECRET, JWT_EXPIRES_IN)
+ *       → every request/socket carries the JWT and userId is read from it,
+ *         never from query strings or request bodies.
+ */
+
+const GOOGLE_TOKENINFO_URL = 'https://oauth2.googleapis.com/tokeninfo';
+const GOOGLE_USERINFO_URL = 'https://www.googleapis.com/oauth2/v3/userinfo';
+
+export class AuthError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'AuthError';
+  }
+}
+
+export class AuthService {
+  constructor({ httpClient = axios } = {}) {
+    this.httpClient = httpClient;
+    this.devSecret = null;
+  }
+
+  /**
+   * Signing secret - required in production; development falls back to a
+   * per-process secret, so tokens stop working after a restart.
+   */
+  _getSecret() {
+    if (process.env.JWT_SECRET) {
+      return process.env.JWT_SECRET;
+    }
+    if (process.env.NODE_ENV === 'production') {
+      throw new Error('JWT_SECRET must be set in production');
+    }
+    if (!this.devSecret) {
+      this.devSecret = randomBytes(32).toString('hex');
+      console.warn('⚠️ AuthService: JWT_SECRET not set - using a temporary secret for this process');
+    }
+    return this.devSecret;
+  }
+
+  /**
+   * OAuth client the Google tokens must be issued to - without it any app's
+   * token would be accepted, so sign-in is refused until it is set
+   */
+  _getGoogleClientId() {
+    if (!process.env.GOOGLE_CLIENT_ID) {
+      throw new Error('GOOGLE_CLIENT_ID must be set to accept Google sign-ins');
+    }
+    return process.env.GOOGLE_CLIENT_ID;
+  }
+
+  /**
+   * Verify a Google OAuth access token (or ID token) with Google
+   * @param {Object} tokens - { accessToken } from useGoogleLogin or { idToken } from a credential response
+   * @returns {Promise<Object>} Google profile { googleId, email, name, givenName, picture }
+   */
+  async verifyGoogleToken({ accessToken, idToken } = {}) {
+    if (!accessToken && !idToken) {
+      throw new AuthError('A Google access token or ID token is required');
+    }
+    const clientId = this._getGoogleClientId();
+
+    let tokenInfo;
+    try {
+      const params = accessToken ? { access_token: accessToken } : { id_token: idToken };
+      ({ data: tokenInfo } = await this.httpClient.get(GOOGLE_TOKENINFO_URL, { params }));
+    } catch (error) {
+      throw new AuthError('Google rejected the sign-in token');
+    }
+
+    if (tokenInfo.aud !== clientId && tokenInfo.azp !== clientId) {
+      throw new AuthError('Google token was issued for a different application');
+    }
+    if (!tokenInfo.sub) {
+      throw new AuthError('Google token does not identify a user');
+    }
+
+    // ID tokens carry the profile; access tokens need a userinfo call
+    let profile = tokenInfo;
+    if (accessToken) {
+      try {
+        ({ data: profile } = await this.httpClient.get(GOOGLE_USERINFO_URL, {
+          headers: { Authorization: `Bearer ${accessToken}` }
+        }));
+      } catch (error) {
+        throw new AuthError('Failed to fetch Google profile');
+      }
+    }
+
+    return {
+      googleId: tokenInfo.sub,
+      email: profile.email || tokenInfo.email || '',
+      name: profile.name || '',
+      givenName: profile.given_name || '',
+      picture: profile.picture || ''
+    };
+  }
+
+  /**
+   * Stable userId for a Google account
+   * @param {string} googleId - Google subject identifier
+   * @returns {string} userId
+   */
+  userIdForGoogleAccount(googleId) {
+    return `google_${googleId}`;
+  }
+
+  /**
+   * Issue a session token
+   * @param {Object} user - { userId, email, name }
+   * @returns {string} Signed JWT
+   */
+  issueToken(user) {
+    return jwt.sign(
+      { email: user.email, name: user.name },
+      this._getSecret(),
+      { subject: user.userId, expiresIn: process.env.JWT_EXPIRES_IN || '7d' }
+    );
+  }
+
+  /**
+   * Verify a session token
+   * @param {string} token - JWT from the Authorization header or socket handshake
+   * @returns {Object} { userId, email, name }
+   */
+  verifyToken(token) {
+    try {
+      const payload = jwt.verify(token, this._getSecret());
+      return { userId: payload.sub, email: payload.email, name: payload.name };
+    } catch (error) {
+      throw new AuthError(error.name === 'TokenExpiredError' ? 'Session expired' : 'Invalid session token');
+    }
+  }
+
+  /**
+   * Complete a Google sign-in
+   * @param {Object} tokens - { accessToken } or { idToken }
+   * @returns {Promise<Object>} { token, user }
+   */
+  async loginWithGoogle(tokens) {
+    const profile = await this.verifyGoogleToken(tokens);
+    const user = { userId: this.userIdForGoogleAccount(profile.googleId), ...profile };
+
+    console.log(`🔐 Google sign-in verified for ${user.email}`);
+    return { token: this.issueToken(user), user };
+  }
+}
+
+// Export singleton instance
+export const authService = new AuthService();
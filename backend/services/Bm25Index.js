@@ -0,0 +1,126 @@
+/**
+ * Bm25Index - Okapi BM25 keyword index over text passages
+ *
+ * Small enough to build offline, serialise to JSON and load at boot; used by
+ * KnowledgeBase to find the regulation passages an answer should rest on.
+ */
+
+const STOPWORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'can', 'do', 'does', 'for', 'from', 'has', 'have',
+  'how', 'i', 'if', 'in', 'into', 'is', 'it', 'its', 'me', 'my', 'need', 'of', 'on', 'or', 'our',
+  'should', 'so', 'than', 'that', 'the', 'their', 'then', 'there', 'these', 'they', 'this', 'to',
+  'was', 'we', 'what', 'when', 'which', 'who', 'will', 'with', 'would', 'you', 'your'
+]);
+
+/**
+ * Reduce a word to a crude stem so "licences" matches "licence"
+ * @param {string} word - Lower-case word
+ * @returns {string}
+ */
+function stem(word) {
+  if (word.length <= 3 || /^\d/.test(word)) return word;
+  if (word.endsWith('ies')) return `${word.slice(0, -3)}y`;
+  if (word.endsWith('s') && !word.endsWith('ss')) return word.slice(0, -1);
+  return word;
+}
+
+/**
+ * Split text into index terms (lower-case, stopwords dropped, stemmed)
+ * @param {string} text
+ * @returns {Array<string>}
+ */
+export function tokenize(text = '') {
+  return String(text)
+    .toLowerCase()
+    .split(/[^a-z0-9]+/)
+    .filter(word => word && !STOPWORDS.has(word))
+    .map(stem);
+}
+
+export class Bm25Index {
+  /**
+   * @param {Object} options
+   * @param {number} options.k1 - Term frequency saturation
+   * @param {number} options.b - Length normalisation
+   */
+  constructor({ k1 = 1.2, b = 0.75 } = {}) {
+    this.k1 = k1;
+    this.b = b;
+    this.documents = [];
+    this.documentFrequency = {};
+    this.totalLength = 0;
+  }
+
+  /**
+   * Index a passage
+   * @param {string} id - Passage ID
+   * @param {string} text - Text to index
+   */
+  add(id, text) {
+    const terms = {};
+    const tokens = tokenize(text);
+    tokens.forEach(term => {
+      terms[term] = (terms[term] || 0) + 1;
+    });
+    Object.keys(terms).forEach(term => {
+      this.documentFrequency[term] = (this.documentFrequency[term] || 0) + 1;
+    });
+
+    this.documents.push({ id, length: tokens.length, terms });
+    this.totalLength += tokens.length;
+  }
+
+  /**
+   * Rank passages for a query
+   * @param {string} query
+   * @param {Object} options - { limit }
+   * @returns {Array} [{ id, score }] best first, only passages sharing a term with the query
+   */
+  search(query, { limit = 5 } = {}) {
+    const queryTerms = [...new Set(tokenize(query))];
+    const count = this.documents.length;
+    if (queryTerms.length === 0 || count === 0) return [];
+
+    const averageLength = this.totalLength / count;
+
+    return this.documents
+      .map(document => {
+        const score = queryTerms.reduce((sum, term) => {
+          const frequency = document.terms[term];
+          if (!frequency) return sum;
+
+          const df = this.documentFrequency[term];
+          const idf = Math.log(1 + (count - df + 0.5) / (df + 0.5));
+          const norm = frequency + this.k1 * (1 - this.b + this.b * document.length / averageLength);
+          return sum + idf * (frequency * (this.k1 + 1)) / norm;
+        }, 0);
+        return { id: document.id, score };
+      })
+      .filter(result => result.score > 0)
+      .sort((a, b) => b.score - a.score)
+      .slice(0, limit);
+  }
+
+  toJSON() {
+    return {
+      k1: this.k1,
+      b: this.b,
+      totalLength: this.totalLength,
+      documentFrequency: this.documentFrequency,
+      documents: this.documents
+    };
+  }
+
+  /**
+   * Restore an index saved with toJSON()
+   * @param {Object} data
+   * @returns {Bm25Index}
+   */
+  static fromJSON(data) {
+    const index = new Bm25Index({ k1: data.k1, b: data.b });
+    index.documents = data.documents;
+    index.documentFrequency = data.documentFrequency;
+    index.totalLength = data.totalLength;
+    return index;
+  }
+}
@@ -0,0 +1,132 @@
+import { randomBytes } from 'crypto';
+
+/**
+ * CalendarFeedStore - Secret tokens for each user's subscribable calendar feed
+ *
+ * STRUCTURE: userId → { token, createdAt }   (plus a token → userId index)
+ * Calendar apps can't send our JWT, so the feed URL itself is the credential;
+ * rotating the token invalidates every copy of the old URL.
+ * PERSISTENCE: Same write-through model as ChatHistoryStore (see services/storage)
+ */
+
+export class CalendarFeedStore {
+  constructor() {
+    // USER-ISOLATED STORAGE: Map<userId, feed> and Map<token, userId>
+    this.userFeeds = new Map();
+    this.tokenIndex = new Map();
+
+    // Persistence (memory-only until attachStorage is called)
+    this.namespace = 'calendarFeeds';
+    this.storage = null;
+
+    console.log('✅ CalendarFeedStore initialized');
+  }
+
+  /**
+   * Attach a storage adapter and load previously persisted feed tokens
+   * @param {Object} storage - Connected storage adapter
+   * @returns {Promise<number>} Number of feeds restored
+   */
+  async attachStorage(storage) {
+    this.storage = storage;
+
+    const records = await storage.loadAll(this.namespace);
+    records.forEach(record => {
+      if (!record?.userId || !record?.token) return;
+      this._setFeed({ ...record, createdAt: new Date(record.createdAt) });
+    });
+
+    console.log(`✅ CalendarFeedStore: Restored ${records.length} feeds from ${storage.name} storage`);
+    return records.length;
+  }
+
+  _setFeed(feed) {
+    this.userFeeds.set(feed.userId, feed);
+    this.tokenIndex.set(feed.token, feed.userId);
+  }
+
+  _persistFeed(feed) {
+    if (!this.storage) return;
+
+    this.storage.save(this.namespace, feed.userId, feed)
+      .catch(error => console.error(`❌ CalendarFeedStore: Failed to persist feed for ${feed.userId} - ${error.message}`));
+  }
+
+  _removePersistedFeed(userId) {
+    if (!this.storage) return;
+
+    this.storage.remove(this.namespace, userId)
+      .catch(error => console.error(`❌ CalendarFeedStore: Failed to remove feed for ${userId} - ${error.message}`));
+  }
+
+  /**
+   * Get a user's feed, creating one on first use
+   * @param {string} userId - User identifier
+   * @returns {Object} { userId, token, createdAt }
+   */
+  getOrCreateFeed(userId) {
+    return { ...(this.userFeeds.get(userId) || this.rotateToken(userId)) };
+  }
+
+  /**
+   * Replace a user's feed token (the old URL stops working)
+   * @param {string} userId - User identifier
+   * @returns {Object} New feed
+   */
+  rotateToken(userId) {
+    if (!userId) {
+      throw new Error('userId is required');
+    }
+
+    const previous = this.userFeeds.get(userId);
+    if (previous) {
+      this.tokenIndex.delete(previous.token);
+    }
+
+    const feed = { userId, token: randomBytes(24).toString('base64url'), createdAt: new Date() };
+    this._setFeed(feed);
+    this._persistFeed(feed);
+
+    console.log(`📅 Calendar feed token issued for user ${userId}`);
+    return { ...feed };
+  }
+
+  /**
+   * Resolve a feed token to its user
+   * @param {string} token - Feed token from the URL
+   * @returns {string|null} userId
+   */
+  getUserId(token) {
+    return this.tokenIndex.get(token) || null;
+  }
+
+  /**
+   * Disable a user's feed
+   * @param {string} userId - User identifier
+   * @returns {boolean} Whether a feed existed
+   */
+  revoke(userId) {
+    const feed = this.userFeeds.get(userId);
+    if (!feed) return false;
+
+    this.userFeeds.delete(userId);
+    this.tokenIndex.delete(feed.token);
+    this._removePersistedFeed(userId);
+    return true;
+  }
+
+  /**
+   * Clear all data (for testing)
+   */
+  clearAll() {
+    this.userFeeds.clear();
+    this.tokenIndex.clear();
+    if (this.storage) {
+      this.storage.clear(this.namespace)
+        .catch(error => console.error(`❌ CalendarFeedStore: Failed to clear storage - ${error.message}`));
+    }
+  }
+}
+
+// Export singleton instance
+export const calendarFeedStore = new CalendarFeedStore();
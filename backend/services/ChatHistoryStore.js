@@ -3,6 +3,8 @@
  * 
  * STRUCTURE: userId → chatId → { title, messages[], createdAt, updatedAt }
  * FEATURES: User isolation, auto-generated titles, time-based grouping
+ * PERSISTENCE: Maps are the working copy; every change is written through to
+ * the attached storage adapter (see services/storage) and reloaded on boot.
  */
 
 export class ChatHistoryStore {
@@ -13,10 +15,82 @@ export class ChatHistoryStore {
     // Configuration
     this.maxChatsPerUser = 100;
     this.maxMessagesPerChat = 100;
+
+    // Persistence (memory-only until attachStorage is called)
+    this.namespace = 'chatHistory';
+    this.storage = null;
     
     console.log('📚 ChatHistoryStore initialized - ChatGPT-style history');
   }
 
+  /**
+   * Attach a storage adapter and load previously persisted chats
+   * @param {Object} storage - Connected storage adapter
+   * @returns {Promise<number>} Number of chats restored
+   */
+  async attachStorage(storage) {
+    this.storage = storage;
+
+    const records = await storage.loadAll(this.namespace);
+    records.forEach(record => {
+      if (!record?.userId || !record?.id) return;
+
+      const chat = this._reviveChat(record);
+      this._getUserChatStorage(chat.userId).set(chat.id, chat);
+    });
+
+    console.log(`📚 ChatHistoryStore: Restored ${records.length} chats from ${storage.name} storage`);
+    return records.length;
+  }
+
+  /**
+   * Convert serialized date fields back into Date objects
+   * @param {Object} record - Chat record loaded from storage
+   * @returns {Object} Chat object
+   */
+  _reviveChat(record) {
+    return {
+      ...record,
+      createdAt: new Date(record.createdAt),
+      updatedAt: new Date(record.updatedAt),
+      messages: (record.messages || []).map(msg => ({
+        ...msg,
+        timestamp: new Date(msg.timestamp)
+      }))
+    };
+  }
+
+  /**
+   * Storage key for a chat - userId is part of the key so isolation
+   * survives a round trip through the storage backend
+   */
+  _storageKey(userId, chatId) {
+    return JSON.stringify([userId, chatId]);
+  }
+
+  /**
+   * Write a chat through to storage (failures are logged, never thrown)
+   * @param {Object} chat - Chat object
+   */
+  _persistChat(chat) {
+    if (!this.storage) return;
+
+    this.storage.save(this.namespace, this._storageKey(chat.userId, chat.id), chat)
+      .catch(error => console.error(`❌ ChatHistoryStore: Failed to persist chat ${chat.id} - ${error.message}`));
+  }
+
+  /**
+   * Remove a chat from storage (failures are logged, never thrown)
+   * @param {string} userId - User identifier
+   * @param {string} chatId - Chat identifier
+   */
+  _removePersistedChat(userId, chatId) {
+    if (!this.storage) return;
+
+    this.storage.remove(this.namespace, this._storageKey(userId, chatId))
+      .catch(error => console.error(`❌ ChatHistoryStore: Failed to remove chat ${chatId} - ${error.message}`));
+  }
+
   /**
    * Get or create user's chat storage
    * @param {string} userId - User identifier
@@ -73,12 +147,14 @@ export class ChatHistoryStore {
     };
 
     userChats.set(finalChatId, newChat);
+    this._persistChat(newChat);
     
     // Memory management: Remove oldest chat if exceeding limit
     if (userChats.size > this.maxChatsPerUser) {
       const oldestChat = Array.from(userChats.values())
         .sort((a, b) => a.createdAt - b.createdAt)[0];
       userChats.delete(oldestChat.id);
+      this._removePersistedChat(userId, oldestChat.id);
       console.log(`🗑️ Removed oldest chat for user ${userId}`);
     }
 
@@ -133,6 +209,8 @@ export class ChatHistoryStore {
       console.log(`🗑️ Trimmed ${removed.length} old messages from chat ${chatId}`);
     }
 
+    this._persistChat(chat);
+
     console.log(`💾 Message added to chat ${chatId}: ${role} - ${content.substring(0, 30)}...`);
     return message;
   }
@@ -188,6 +266,7 @@ export class ChatHistoryStore {
 
     const deleted = userChats.delete(chatId);
     if (deleted) {
+      this._removePersistedChat(userId, chatId);
       console.log(`🗑️ Chat deleted: ${chatId} for user ${userId}`);
     }
     return deleted;
@@ -206,6 +285,7 @@ export class ChatHistoryStore {
 
     chat.title = newTitle;
     chat.updatedAt = new Date();
+    this._persistChat(chat);
     return true;
   }
 
@@ -240,6 +320,10 @@ export class ChatHistoryStore {
   clearAll() {
     const stats = this.getStats();
     this.userChats.clear();
+    if (this.storage) {
+      this.storage.clear(this.namespace)
+        .catch(error => console.error(`❌ ChatHistoryStore: Failed to clear storage - ${error.message}`));
+    }
     console.log(`🗑️ All chat data cleared (${stats.totalChats} chats, ${stats.totalMessages} messages)`);
   }
 }
@@ -6,7 +6,8 @@
  * - Each user can have multiple chat sessions (chatId)
  * - All messages (user + assistant) are stored per user per session
  * - Previous conversation context is available for AI responses
- * - Memory persists during the server session (in-memory storage)
+ * - Memory is written through to the attached storage adapter (memory, file
+ *   or MongoDB - see services/storage) and restored when the server restarts
  * 
  * ISOLATION STRUCTURE:
  * userId → chatId → messages[]
@@ -24,11 +25,84 @@ export class ChatMemoryStore {
     this.maxMessagesPerChat = 50; // Limit to prevent memory bloat
     this.maxContextMessages = 10;  // Last N messages sent to AI as context
     this.maxChatsPerUser = 20;     // Limit chats per user for memory management
+
+    // Persistence (memory-only until attachStorage is called)
+    this.namespace = 'chatMemory';
+    this.storage = null;
     
     console.log('💾 ChatMemoryStore initialized - Per-user isolated conversation storage');
     console.log('🔒 Security: Users cannot access other users\' conversations');
   }
 
+  /**
+   * Attach a storage adapter and load previously persisted conversations
+   * @param {Object} storage - Connected storage adapter
+   * @returns {Promise<number>} Number of conversations restored
+   */
+  async attachStorage(storage) {
+    this.storage = storage;
+
+    const records = await storage.loadAll(this.namespace);
+    records.forEach(record => {
+      if (!record?.userId || !record?.chatId) return;
+
+      const conversation = this._reviveConversation(record);
+      this._getUserChatStorage(conversation.userId).set(conversation.chatId, conversation);
+    });
+
+    console.log(`💾 ChatMemoryStore: Restored ${records.length} conversations from ${storage.name} storage`);
+    return records.length;
+  }
+
+  /**
+   * Convert serialized date fields back into Date objects
+   * @param {Object} record - Conversation record loaded from storage
+   * @returns {Object} Conversation object
+   */
+  _reviveConversation(record) {
+    return {
+      ...record,
+      createdAt: new Date(record.createdAt),
+      lastActivity: new Date(record.lastActivity),
+      metadata: record.metadata || { userIntent: null, sessionId: null },
+      messages: (record.messages || []).map(msg => ({
+        ...msg,
+        timestamp: new Date(msg.timestamp)
+      }))
+    };
+  }
+
+  /**
+   * Storage key for a conversation - includes userId so the userId → chatId
+   * isolation is preserved in the storage backend as well
+   */
+  _storageKey(userId, chatId) {
+    return JSON.stringify([userId, chatId]);
+  }
+
+  /**
+   * Write a conversation through to storage (failures are logged, never thrown)
+   * @param {Object} conversation - Conversation object
+   */
+  _persistConversation(conversation) {
+    if (!this.storage) return;
+
+    this.storage.save(this.namespace, this._storageKey(conversation.userId, conversation.chatId), conversation)
+      .catch(error => console.error(`❌ ChatMemoryStore: Failed to persist chat ${conversation.chatId} - ${error.message}`));
+  }
+
+  /**
+   * Remove a conversation from storage (failures are logged, never thrown)
+   * @param {string} userId - User identifier
+   * @param {string} chatId - Chat identifier
+   */
+  _removePersistedConversation(userId, chatId) {
+    if (!this.storage) return;
+
+    this.storage.remove(this.namespace, this._storageKey(userId, chatId))
+      .catch(error => console.error(`❌ ChatMemoryStore: Failed to remove chat ${chatId} - ${error.message}`));
+  }
+
   /**
    * Get user's chat storage (creates if doesn't exist)
    * @param {string} userId - Unique user identifier
@@ -106,6 +180,7 @@ export class ChatMemoryStore {
         const oldestChat = Array.from(userChats.entries())
           .sort((a, b) => a[1].lastActivity - b[1].lastActivity)[0];
         userChats.delete(oldestChat[0]);
+        this._removePersistedConversation(userId, oldestChat[0]);
         console.log(`🗑️ Removed oldest chat for user ${userId} (memory management)`);
       }
     }
@@ -131,6 +206,8 @@ export class ChatMemoryStore {
       console.log(`🗑️ Trimmed ${removed.length} old messages from user ${userId} chat ${chatId}`);
     }
 
+    this._persistConversation(conversation);
+
     console.log(`💾 Message added to user ${userId} chat ${chatId}: ${role} - ${content.substring(0, 50)}...`);
     return message;
   }
@@ -232,6 +309,7 @@ export class ChatMemoryStore {
     
     const deleted = userChats.delete(chatId);
     if (deleted) {
+      this._removePersistedConversation(userId, chatId);
       console.log(`🗑️ Chat session deleted: ${chatId} for user ${userId}`);
       
       // Clean up empty user storage
@@ -255,6 +333,7 @@ export class ChatMemoryStore {
     if (!userChats) return 0;
     
     const count = userChats.size;
+    userChats.forEach((conversation, chatId) => this._removePersistedConversation(userId, chatId));
     this.userConversations.delete(userId);
     console.log(`🗑️ All ${count} chats cleared for user ${userId}`);
     return count;
@@ -266,6 +345,10 @@ export class ChatMemoryStore {
   clearAll() {
     const stats = this.getStats();
     this.userConversations.clear();
+    if (this.storage) {
+      this.storage.clear(this.namespace)
+        .catch(error => console.error(`❌ ChatMemoryStore: Failed to clear storage - ${error.message}`));
+    }
     console.log(`🗑️ All conversations cleared - ${stats.totalUsers} users, ${stats.totalChats} chats, ${stats.totalMessages} messages`);
   }
 
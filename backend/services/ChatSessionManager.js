@@ -1,3 +1,5 @@
+import { languageDetector } from './LanguageDetector.js';
+
 /**
  * Chat Session Manager - Tracks conversation data to build dynamic dashboard
  */
@@ -67,7 +69,8 @@ export class ChatSessionManager {
    * Analyze user message for insights
    */
   analyzeUserMessage(session, message) {
-    const msg = message.toLowerCase();
+    // Hindi and Hinglish messages are matched on their English reading
+    const msg = languageDetector.normalize(message).toLowerCase();
     
     // Track business type mentions
     if (msg.includes('textile') || msg.includes('garment')) {
@@ -2,15 +2,22 @@ import { v4 as uuidv4 } from 'uuid';
 import { AgentOrchestrator } from './AgentOrchestrator.js';
 
 export class ChatbotService {
-  constructor(ruleEngine, complianceService) {
+  /**
+   * @param {RuleEngine} ruleEngine
+   * @param {ComplianceService} complianceService
+   * @param {LLMProvider} llm - Optional language model backend (defaults to LLM_PROVIDER)
+   */
+  constructor(ruleEngine, complianceService, llm) {
     this.ruleEngine = ruleEngine;
     this.complianceService = complianceService;
+
+    // Conversation sessions: Map<[userId, sessionId], session> - see _sessionKey
     this.sessions = new Map();
     
-    // Initialize Agent Orchestrator for intelligent routing (Ollama-powered)
-    this.orchestrator = new AgentOrchestrator(ruleEngine, complianceService);
+    // Initialize Agent Orchestrator for intelligent routing
+    this.orchestrator = new AgentOrchestrator(ruleEngine, complianceService, llm);
     
-    console.log('🤖 ChatbotService: Using Ollama for all AI responses');
+    console.log(`🤖 ChatbotService: Using ${this.orchestrator.llm.name} provider for all AI responses`);
 
     this.conversationFlows = {
       DISCOVERY: 'discovery',
@@ -24,11 +31,24 @@ export class ChatbotService {
     };
   }
 
+  /**
+   * @param {string} message - User message
+   * @param {Object} userProfile - Client-side profile
+   * @param {string} sessionId - Client session id
+   * @param {Object} memoryContext - userId (from the session token, required),
+   *   chatId, userIntent, language, conversation history and stream options
+   */
   async processMessage(message, userProfile, sessionId, memoryContext = {}) {
-    // Get or create session
-    let session = this.sessions.get(sessionId);
+    const { userId } = memoryContext;
+    if (!userId) {
+      throw new Error('ChatbotService: userId is required');
+    }
+
+    // Get or create the caller's own session - another user's sessionId
+    // starts a fresh session instead of continuing theirs
+    let session = this.getSession(userId, sessionId);
     if (!session) {
-      session = this.createSession(sessionId, userProfile);
+      session = this.createSession(userId, sessionId, userProfile);
     }
 
     // Add message to history (legacy session storage - keeping for compatibility)
@@ -47,6 +67,10 @@ export class ChatbotService {
     // Use Agent Orchestrator for intelligent processing with memory context
     console.log('🎯 Using Agent Orchestrator for intelligent routing...');
     const response = await this.orchestrator.processMessage(message, {
+      // Agents read the accumulated profile from the session, so every intent
+      // (discovery, compliance, timeline) resolves against the same profile
+      session,
+      sessionId,
       businessProfile: session.businessProfile,
       conversationHistory: session.messages,
       currentPhase: session.currentPhase,
@@ -55,7 +79,11 @@ export class ChatbotService {
       memoryContext: memoryContext.conversationHistory || [],
       conversationContext: memoryContext.conversationContext || '',
       userIntent: memoryContext.userIntent || null,
-      chatId: memoryContext.chatId || null
+      language: memoryContext.language || null,
+      chatId: memoryContext.chatId || null,
+
+      // Token streaming and cancellation ({ onToken, signal }) for socket/SSE clients
+      stream: memoryContext.stream || null
     });
 
     // Update session with response data
@@ -76,9 +104,25 @@ export class ChatbotService {
     return response;
   }
 
-  createSession(sessionId, userProfile) {
+  /**
+   * Sessions are stored per user, so a sessionId seen by someone else
+   * never leads to the owner's messages or business profile
+   */
+  _sessionKey(userId, sessionId) {
+    return JSON.stringify([userId, sessionId]);
+  }
+
+  /**
+   * Create (or replace) a user's session
+   * @param {string} userId - Owner, from the session token
+   * @param {string} sessionId - Session id
+   * @param {Object} userProfile - Client-side profile
+   * @returns {Object} Session
+   */
+  createSession(userId, sessionId, userProfile) {
     const session = {
       id: sessionId,
+      userId,
       userProfile: userProfile || {},
       businessProfile: {
         stage: 'discovery',
@@ -90,12 +134,20 @@ export class ChatbotService {
       lastActivity: new Date()
     };
 
-    this.sessions.set(sessionId, session);
+    this.sessions.set(this._sessionKey(userId, sessionId), session);
     return session;
   }
 
-  getSession(sessionId) {
-    return this.sessions.get(sessionId);
+  /**
+   * A user's session
+   * @param {string} userId - Caller, from the session token
+   * @param {string} sessionId - Session id
+   * @returns {Object|null} The session, or null if it does not exist or
+   *   belongs to another user
+   */
+  getSession(userId, sessionId) {
+    const session = this.sessions.get(this._sessionKey(userId, sessionId));
+    return session && session.userId === userId ? session : null;
   }
 
   async processPhase(session, message) {
@@ -295,7 +347,7 @@ export class ChatbotService {
     if (message.toLowerCase().includes('swiggy') || message.toLowerCase().includes('zomato')) {
       profile.platforms = this.extractPlatforms(message);
       
-      const platformInfo = this.complianceService.getPlatformRequirements(profile.platforms);
+      const platformInfo = this.complianceService.getPlatformRequirements(profile.platforms, profile);
       
       const aiExplanation = await this.generateAIExplanation(
         'platform_onboarding',
@@ -337,13 +389,12 @@ export class ChatbotService {
   }
 
   async generateAIExplanation(type, data) {
-    // Use Ollama through orchestrator for all AI responses
+    // Use the orchestrator's LLM provider for all AI responses
     try {
       const systemPrompt = this.getSystemPrompt(type);
       const userPrompt = this.getUserPrompt(type, data);
 
-      // Use orchestrator's Ollama service for consistency
-      const response = await this.orchestrator.ollamaService.generateResponse(
+      const response = await this.orchestrator.llm.forAgent('explanation').generateResponse(
         userPrompt,
         systemPrompt,
         { temperature: 0.7 }
@@ -352,7 +403,7 @@ export class ChatbotService {
       return response;
 
     } catch (error) {
-      console.error('❌ Ollama explanation error:', error.message);
+      console.error('❌ LLM explanation error:', error.message);
       return this.getFallbackResponse(type, data);
     }
   }
@@ -0,0 +1,441 @@
+import { COMPLIANCE_DATABASE } from '../data/compliances.js';
+import { INDIAN_STATES_DATA } from '../data/states.js';
+import { BUSINESS_TYPE_SUPPLY_TYPES, GOODS_MARKETPLACES } from '../data/gstThresholds.js';
+import { ConditionEvaluator } from './ConditionEvaluator.js';
+import { udyamClassifier } from './UdyamClassifier.js';
+import { gstRegistrationAdvisor } from './GstRegistrationAdvisor.js';
+
+/**
+ * ComplianceResolver - Single source of truth for compliance applicability
+ *
+ * Every consumer (RuleEngine, ComplianceAgent, ClassificationAgent triggers,
+ * DiscoveryAgent, TimelineAgent and the dashboard route) asks this service
+ * which compliances apply to a profile, so chat, dashboard and
+ * /api/compliance/evaluate always agree.
+ *
+ * FLOW: raw profile → normalizeProfile() → central / state / business type /
+ * platform rules → { mandatory, recommended, conditional, future, obligations }
+ *
+ * Consumers may reshape entries for presentation, but must never add or drop
+ * obligations on their own.
+ */
+
+const CENTRAL_PRIORITIES = {
+  GST: 'high',
+  FSSAI: 'critical',
+  MSME_UDYAM: 'high',
+  EPF: 'high',
+  ESI: 'high',
+  PROFESSIONAL_TAX: 'medium'
+};
+
+// Threshold-based compliances that are worth tracking before they apply
+const FUTURE_TRACKED = ['GST', 'EPF', 'ESI'];
+
+const STATE_PRIORITIES = {
+  FACTORIES_ACT: 'critical'
+};
+
+const STATE_DEFAULT_REASONS = {
+  SHOPS_ACT: 'Required for commercial establishments',
+  TRADE_LICENSE: 'Local municipal requirement'
+};
+
+// Used when the state is known but has no entry in the compliance database
+const GENERIC_SHOPS_ACT = {
+  id: 'SHOPS_ACT',
+  name: 'Shops and Establishments Act',
+  category: 'business_registration',
+  mandatory: true,
+  documents: ['Application Form', 'Rent Agreement', 'ID Proof'],
+  authority: 'State Labour Department',
+  validity: 'Annual',
+  cost: 500,
+  timeline: '15-30 days'
+};
+
+const STATE_ALIASES = {
+  'nct of delhi': 'DL',
+  'new delhi': 'DL',
+  'orissa': 'OR',
+  'pondicherry': 'PY',
+  'dadra and nagar haveli': 'DN',
+  'daman and diu': 'DN',
+  // Legacy vehicle-registration style codes
+  'od': 'OR',
+  'ts': 'TG',
+  'uk': 'UT',
+  'cg': 'CT',
+  // Major cities people use in place of the state
+  'mumbai': 'MH',
+  'pune': 'MH',
+  'bangalore': 'KA',
+  'bengaluru': 'KA',
+  'chennai': 'TN',
+  'hyderabad': 'TG',
+  'kolkata': 'WB',
+  'patna': 'BR'
+};
+
+const BUSINESS_TYPE_ALIASES = {
+  'food business': 'restaurant',
+  'food processing': 'food_processing',
+  'textile': 'manufacturing',
+  'textile business': 'manufacturing',
+  'garment': 'manufacturing',
+  'factory': 'manufacturing',
+  'retail_store': 'retail',
+  'grocery': 'retail',
+  'supermarket': 'retail',
+  'shop': 'retail',
+  'store': 'retail',
+  'kirana': 'retail',
+  'trading': 'retail',
+  'it': 'it_services',
+  'it_company': 'it_services',
+  'tech_company': 'it_services',
+  'software': 'it_services',
+  'startup': 'it_services',
+  'online store': 'ecommerce',
+  'online business': 'ecommerce'
+};
+
+const BUSINESS_TYPE_SECTORS = {
+  restaurant: 'food_beverage',
+  cafe: 'food_beverage',
+  bakery: 'food_beverage',
+  catering: 'food_beverage',
+  cloud_kitchen: 'food_beverage',
+  food_stall: 'food_beverage',
+  bar: 'food_beverage',
+  food_processing: 'food_beverage',
+  manufacturing: 'manufacturing',
+  retail: 'retail',
+  pharmacy: 'retail',
+  it_services: 'it_services',
+  salon: 'services',
+  gym: 'services',
+  services: 'services',
+  clinic: 'healthcare',
+  hospital: 'healthcare',
+  ecommerce: 'ecommerce'
+};
+
+export class ComplianceResolver {
+  constructor() {
+    this.complianceDB = COMPLIANCE_DATABASE;
+    this.statesDB = INDIAN_STATES_DATA;
+    this.conditionEvaluator = new ConditionEvaluator();
+    this.udyamClassifier = udyamClassifier;
+    this.gstRegistrationAdvisor = gstRegistrationAdvisor;
+  }
+
+  /**
+   * Resolve every applicable compliance for a business profile
+   * @param {Object} businessProfile - Raw profile from chat, dashboard or API
+   * @returns {Object} { profile, mandatory, recommended, conditional, future, obligations, warnings }
+   */
+  resolve(businessProfile = {}) {
+    const profile = this.normalizeProfile(businessProfile);
+    const resolution = {
+      profile,
+      mandatory: [],
+      recommended: [],
+      conditional: [],
+      future: [],
+      warnings: []
+    };
+
+    this._resolveCentral(profile, resolution);
+    this._resolveState(profile, resolution);
+    this._resolveBusinessType(profile, resolution);
+    this._resolvePlatforms(profile, resolution);
+
+    // The canonical obligation set every consumer must agree on
+    resolution.obligations = [...resolution.mandatory, ...resolution.recommended];
+
+    return resolution;
+  }
+
+  /**
+   * Map the different profile shapes used across the app onto one shape
+   * (employees vs employeeCount, state names vs codes, business type aliases)
+   * @param {Object} businessProfile - Raw profile
+   * @returns {Object} Normalized profile (original fields preserved)
+   */
+  normalizeProfile(businessProfile = {}) {
+    const profile = { ...businessProfile };
+
+    const employees = profile.employees ?? profile.employeeCount;
+    profile.employees = employees === undefined || employees === null || employees === ''
+      ? undefined
+      : Number(employees);
+
+    if (profile.annualTurnover === undefined || profile.annualTurnover === null || profile.annualTurnover === '') {
+      const monthly = profile.monthlyRevenue ?? profile.monthlyRevenueEstimate;
+      profile.annualTurnover = monthly ? Number(monthly) * 12 : undefined;
+    } else {
+      profile.annualTurnover = Number(profile.annualTurnover);
+    }
+
+    profile.state = this.normalizeStateCode(profile.stateId || profile.state) || profile.state;
+
+    if (profile.businessType) {
+      profile.businessType = this.normalizeBusinessType(profile.businessType);
+      profile.sector = profile.sector || BUSINESS_TYPE_SECTORS[profile.businessType];
+    }
+
+    // GST registration inputs (see data/gstThresholds.js)
+    profile.supplyType = profile.supplyType || BUSINESS_TYPE_SUPPLY_TYPES[profile.businessType];
+    const region = this.findRegion(profile.state);
+    if (region) {
+      profile.specialCategoryState = Boolean(region.specialCategory);
+    }
+    profile.sellsOnEcommerce = profile.sellsOnEcommerce ?? (
+      profile.sector === 'ecommerce' ||
+      (Array.isArray(profile.platforms) ? profile.platforms : []).some(platform => GOODS_MARKETPLACES.includes(String(platform).toLowerCase()))
+    );
+
+    return profile;
+  }
+
+  /**
+   * Convert a state code, state name or major city into a state/UT code
+   * @param {string} state - State identifier
+   * @returns {string|null} State code from INDIAN_STATES_DATA, or null
+   */
+  normalizeStateCode(state) {
+    if (!state || typeof state !== 'string') return null;
+
+    const value = state.trim();
+    const allRegions = [...this.statesDB.states, ...this.statesDB.unionTerritories];
+
+    const byCode = allRegions.find(region => region.id === value.toUpperCase());
+    if (byCode && value.length === 2) return byCode.id;
+
+    const lower = value.toLowerCase();
+    const byName = allRegions.find(region => region.name.toLowerCase() === lower);
+    if (byName) return byName.id;
+
+    return STATE_ALIASES[lower] || null;
+  }
+
+  /**
+   * State or union territory entry for a normalized state code
+   * @param {string} stateCode - State code (e.g. 'KA')
+   * @returns {Object|null} Entry from INDIAN_STATES_DATA, or null
+   */
+  findRegion(stateCode) {
+    if (!stateCode) return null;
+    return [...this.statesDB.states, ...this.statesDB.unionTerritories]
+      .find(region => region.id === stateCode) || null;
+  }
+
+  /**
+   * Canonical business type (matches keys of businessTypeSpecific where possible)
+   * @param {string} businessType - Raw business type
+   * @returns {string} Canonical business type
+   */
+  normalizeBusinessType(businessType) {
+    const lower = String(businessType).toLowerCase().trim();
+    return BUSINESS_TYPE_ALIASES[lower] || lower.replace(/\s+/g, '_');
+  }
+
+  /**
+   * Find a compliance definition by ID (central first, then state-specific)
+   * @param {string} id - Compliance ID (e.g. 'FSSAI', 'KA_SHOPS_ACT')
+   * @returns {Object|null} Compliance definition
+   */
+  findComplianceById(id) {
+    for (const compliance of Object.values(this.complianceDB.central)) {
+      if (compliance.id === id) return compliance;
+    }
+
+    for (const state of Object.values(this.complianceDB.stateSpecific)) {
+      for (const compliance of Object.values(state)) {
+        if (compliance.id === id) return compliance;
+      }
+    }
+
+    return null;
+  }
+
+  _contains(resolution, id) {
+    return [...resolution.mandatory, ...resolution.recommended].some(c => c.id === id);
+  }
+
+  _resolveCentral(profile, resolution) {
+    for (const [key, compliance] of Object.entries(this.complianceDB.central)) {
+      const applicability = this.conditionEvaluator.evaluate(compliance.applicableIf, profile);
+      const priority = CENTRAL_PRIORITIES[key] || 'medium';
+
+      // Voluntary registrations are always recommended
+      if (compliance.mandatory === false) {
+        const recommendation = key === 'MSME_UDYAM'
+          ? this._udyamRecommendation(profile, resolution)
+          : { reason: 'Benefits include priority lending and government schemes' };
+        if (!recommendation) continue;
+
+        resolution.recommended.push({
+          ...compliance,
+          ...recommendation,
+          key,
+          scope: 'central',
+          priority,
+          applicability
+        });
+        continue;
+      }
+
+      // GST carries the threshold, reasons and composition scheme eligibility
+      const details = key === 'GST' ? { gst: this.gstRegistrationAdvisor.assess(profile) } : {};
+
+      if (applicability.matched) {
+        resolution.mandatory.push({
+          ...compliance,
+          ...details,
+          key,
+          scope: 'central',
+          priority,
+          reason: applicability.explanation,
+          applicability
+        });
+      } else if (FUTURE_TRACKED.includes(key)) {
+        resolution.future.push({
+          ...compliance,
+          ...details,
+          key,
+          scope: 'central',
+          priority: 'medium',
+          trigger: key === 'GST'
+            ? this.gstRegistrationAdvisor.describeTrigger(profile)
+            : `When ${this.conditionEvaluator.describe(applicability.trace)}`,
+          applicability
+        });
+      }
+    }
+  }
+
+  /**
+   * Udyam registration with the benefits of the enterprise's MSME category;
+   * null when the enterprise is above the Medium limits and cannot register
+   */
+  _udyamRecommendation(profile, resolution) {
+    const udyam = this.udyamClassifier.classify(profile);
+
+    if (!udyam.category) {
+      return { reason: 'Benefits include priority lending and government schemes', udyam };
+    }
+    if (!udyam.isMsme) {
+      resolution.warnings.push(`Udyam registration not available: ${udyam.reasons.join('; ')}`);
+      return null;
+    }
+
+    return {
+      reason: `Qualifies as a ${udyam.category} enterprise - ${udyam.reasons[0]}`,
+      benefits: udyam.benefits.map(benefit => benefit.name),
+      udyam
+    };
+  }
+
+  _resolveState(profile, resolution) {
+    const stateCode = profile.state;
+
+    if (!stateCode) {
+      resolution.warnings.push('State not specified - state-specific compliances not evaluated');
+      return;
+    }
+
+    const stateCompliances = this.complianceDB.stateSpecific[stateCode];
+
+    if (!stateCompliances) {
+      resolution.warnings.push(`State-specific compliances for ${stateCode} not found in database`);
+      resolution.mandatory.push({
+        ...GENERIC_SHOPS_ACT,
+        key: 'SHOPS_ACT',
+        scope: 'state',
+        priority: 'high',
+        reason: STATE_DEFAULT_REASONS.SHOPS_ACT,
+        applicability: this.conditionEvaluator.evaluate(null, profile)
+      });
+      return;
+    }
+
+    for (const [key, compliance] of Object.entries(stateCompliances)) {
+      const applicability = this.conditionEvaluator.evaluate(compliance.applicableIf, profile);
+      if (!applicability.matched) continue;
+
+      resolution.mandatory.push({
+        ...compliance,
+        key,
+        scope: 'state',
+        priority: STATE_PRIORITIES[key] || 'high',
+        reason: compliance.applicableIf ? applicability.explanation : (STATE_DEFAULT_REASONS[key] || `Required in ${stateCode}`),
+        applicability
+      });
+    }
+  }
+
+  /**
+   * State-relative keys in businessTypeSpecific (SHOPS_ACT, FACTORIES_ACT) are
+   * already decided by _resolveState under their own conditions, so only
+   * compliances with a matching ID are added here.
+   */
+  _resolveBusinessType(profile, resolution) {
+    const businessType = profile.businessType;
+    const typeCompliances = this.complianceDB.businessTypeSpecific[businessType];
+
+    if (!typeCompliances) return;
+
+    typeCompliances.required?.forEach(complianceId => {
+      const compliance = this.findComplianceById(complianceId);
+      if (!compliance || this._contains(resolution, compliance.id)) return;
+
+      resolution.mandatory.push({
+        ...compliance,
+        key: complianceId,
+        scope: 'businessType',
+        priority: 'critical',
+        reason: `Required for ${businessType} business`,
+        applicability: this.conditionEvaluator.evaluate(null, profile)
+      });
+    });
+
+    typeCompliances.conditional?.forEach(complianceId => {
+      const compliance = this.findComplianceById(complianceId);
+      if (!compliance || this._contains(resolution, compliance.id)) return;
+
+      resolution.conditional.push({
+        ...compliance,
+        key: complianceId,
+        scope: 'businessType',
+        priority: 'medium',
+        reason: 'May be required based on specific operations'
+      });
+    });
+  }
+
+  _resolvePlatforms(profile, resolution) {
+    // Profiles from request bodies and query strings skip the joi schema
+    (Array.isArray(profile.platforms) ? profile.platforms : []).forEach(platform => {
+      const platformReqs = this.complianceDB.platformSpecific[platform.toLowerCase()];
+      if (!platformReqs) return;
+
+      resolution.conditional.push({
+        id: `${platform.toUpperCase()}_ONBOARDING`,
+        key: `${platform.toUpperCase()}_ONBOARDING`,
+        name: `${platform} Platform Onboarding`,
+        category: 'platform',
+        scope: 'platform',
+        requirements: platformReqs.requirements,
+        commission: platformReqs.commission,
+        timeline: platformReqs.timeline,
+        priority: 'medium',
+        reason: `Required for ${platform} integration`
+      });
+    });
+  }
+}
+
+// Shared instance - resolution is stateless, so one resolver serves every consumer
+export const complianceResolver = new ComplianceResolver();
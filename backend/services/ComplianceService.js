@@ -1,24 +1,58 @@
 import { COMPLIANCE_DATABASE } from '../data/compliances.js';
+import { complianceResolver } from './ComplianceResolver.js';
+import { complianceStatusStore } from './ComplianceStatusStore.js';
+import { dueDateEngine } from './DueDateEngine.js';
+import { penaltyCalculator } from './PenaltyCalculator.js';
+import { costModel } from './CostModel.js';
+import { fssaiTierSelector } from './FssaiTierSelector.js';
 
 export class ComplianceService {
-  constructor() {
+  /**
+   * @param {Object} options
+   * @param {DueDateEngine} options.dueDateEngine - Due dates for recurring filings (shared default engine)
+   * @param {PenaltyCalculator} options.penaltyCalculator - Penalty exposure formulas (shared default calculator)
+   * @param {CostModel} options.costModel - Fee schedules and cost projection (shared default model)
+   * @param {FssaiTierSelector} options.fssaiTierSelector - FSSAI licence tier rules (shared default selector)
+   */
+  constructor({
+    dueDateEngine: engine = dueDateEngine,
+    penaltyCalculator: calculator = penaltyCalculator,
+    costModel: model = costModel,
+    fssaiTierSelector: selector = fssaiTierSelector
+  } = {}) {
     this.complianceDB = COMPLIANCE_DATABASE;
+    this.dueDateEngine = engine;
+    this.penaltyCalculator = calculator;
+    this.costModel = model;
+    this.fssaiTierSelector = selector;
   }
 
   /**
    * Get platform-specific requirements
+   * @param {Array<string>} platforms - Platform names (swiggy, zomato, amazon...)
+   * @param {Object} businessProfile - Optional profile; food delivery platforms then
+   *   include the FSSAI licence tier the business has to obtain first
    */
-  getPlatformRequirements(platforms) {
+  getPlatformRequirements(platforms, businessProfile) {
     const requirements = {};
+    const profile = businessProfile && complianceResolver.normalizeProfile(businessProfile);
     
     platforms.forEach(platform => {
       const platformData = this.complianceDB.platformSpecific[platform.toLowerCase()];
       if (platformData) {
+        const fssaiLicence = profile && platformData.requirements.mandatory?.includes('FSSAI')
+          ? this.fssaiTierSelector.select(profile)
+          : null;
+
         requirements[platform] = {
           ...platformData.requirements,
           commission: platformData.commission,
           timeline: platformData.timeline,
-          onboardingSteps: this.getOnboardingSteps(platform)
+          ...(fssaiLicence && { fssaiLicence }),
+          onboardingSteps: [
+            ...(fssaiLicence ? [`Obtain ${fssaiLicence.name} (${fssaiLicence.form}, ${fssaiLicence.timeline})`] : []),
+            ...this.getOnboardingSteps(platform)
+          ]
         };
       }
     });
@@ -137,11 +171,16 @@ export class ComplianceService {
 
     missingCompliances.forEach(compliance => {
       if (compliance.penalties) {
+        const exposure = this.penaltyCalculator.calculateObligation(
+          { ...compliance, key: compliance.key || compliance.id },
+          complianceResolver.normalizeProfile(businessProfile)
+        );
         const risk = {
           complianceId: compliance.id,
           complianceName: compliance.name,
           riskLevel: this.assessRiskLevel(compliance, businessProfile),
           penalties: compliance.penalties,
+          estimatedExposure: exposure?.exposure || null,
           recommendation: this.getRiskRecommendation(compliance)
         };
         risks.push(risk);
@@ -154,6 +193,49 @@ export class ComplianceService {
     });
   }
 
+  /**
+   * Rupee penalty exposure of the obligations not yet met, today and projected
+   * @param {Object} businessProfile - Business profile
+   * @param {Object} options
+   * @param {string} options.userId - User whose tracked statuses are used
+   * @param {Object} options.statuses - complianceId → status, overriding tracked statuses
+   * @param {Object} options.since - complianceId → date the obligation was missed
+   * @param {Date} options.asOf - Reference date
+   * @param {Array<number>} options.horizons - Projection horizons in days
+   * @returns {Object} { asOf, items, totals, series }
+   */
+  calculatePenaltyExposure(businessProfile, { userId = null, statuses = {}, since = {}, asOf = new Date(), horizons } = {}) {
+    const { profile, obligations } = complianceResolver.resolve(businessProfile);
+    const effectiveStatuses = {};
+    const missedSince = {};
+    const dueDates = {};
+
+    // Filings not yet missed start accruing after their next due date
+    const nextDue = new Map();
+    this.dueDateEngine.getFilings(obligations.map(compliance => compliance.key), profile, asOf).forEach(filing => {
+      if (!nextDue.has(filing.complianceKey) || filing.dueDate < nextDue.get(filing.complianceKey)) {
+        nextDue.set(filing.complianceKey, filing.dueDate);
+      }
+    });
+
+    obligations.forEach(compliance => {
+      const record = complianceStatusStore.getStatus(userId, compliance.id);
+      effectiveStatuses[compliance.id] = statuses[compliance.id] || record.status;
+      // A lapsed licence has been overdue since it expired
+      missedSince[compliance.id] = since[compliance.id] ||
+        (effectiveStatuses[compliance.id] === 'expired' ? record.expiresAt : undefined);
+      dueDates[compliance.id] = nextDue.get(compliance.key);
+    });
+
+    return this.penaltyCalculator.calculateExposure(obligations, profile, {
+      statuses: effectiveStatuses,
+      since: missedSince,
+      dueDates,
+      asOf,
+      horizons
+    });
+  }
+
   assessRiskLevel(compliance, businessProfile) {
     // FSSAI for food businesses - critical
     if (compliance.id === 'FSSAI' && businessProfile.sellsFood) {
@@ -191,53 +273,53 @@ export class ComplianceService {
 
   /**
    * Get compliance calendar for monitoring
+   * (completed compliances come from the user's tracked statuses)
+   * @param {Object} businessProfile - Business profile
+   * @param {string} userId - User whose statuses decide GST registration and renewals
+   * @param {Date} now - Reference time
+   * @returns {Array} Entries { type, frequency, dueDate, description, penalty, ... } by due date
    */
-  generateComplianceCalendar(businessProfile, completedCompliances) {
-    const calendar = [];
-    const currentDate = new Date();
+  generateComplianceCalendar(businessProfile, userId = null, now = new Date()) {
+    const resolution = complianceResolver.resolve(businessProfile);
+
+    // Approved compliances keyed by compliance key ('GST', 'SHOPS_ACT', ...)
+    const completedCompliances = new Map();
+    resolution.obligations.forEach(compliance => {
+      const record = complianceStatusStore.getStatus(userId, compliance.id);
+      if (record.status === 'approved') {
+        completedCompliances.set(compliance.key, { compliance, record });
+      }
+    });
 
-    // GST returns (if applicable)
-    if (completedCompliances.includes('GST')) {
-      calendar.push({
-        type: 'GST Return',
-        frequency: 'monthly',
-        dueDate: new Date(currentDate.getFullYear(), currentDate.getMonth() + 1, 20),
-        description: 'File GSTR-1 and GSTR-3B',
-        penalty: '₹200 per day delay'
-      });
-    }
+    // Returns are due once GST is registered; payroll filings as soon as they apply
+    const filingKeys = resolution.obligations
+      .map(compliance => compliance.key)
+      .filter(key => key !== 'GST' || completedCompliances.has('GST'));
 
-    // Professional Tax (if applicable)
-    if (businessProfile.employees > 0) {
-      calendar.push({
-        type: 'Professional Tax',
-        frequency: 'monthly',
-        dueDate: new Date(currentDate.getFullYear(), currentDate.getMonth() + 1, 15),
-        description: 'Pay professional tax for employees',
-        penalty: 'Interest @1.5% per month'
-      });
-    }
+    const calendar = this.dueDateEngine.getFilings(filingKeys, resolution.profile, now);
 
-    // Annual renewals
+    // Annual renewals - due at recorded expiry, else on the issue date's next anniversary
     const renewals = [
-      { type: 'Trade License', months: 12 },
-      { type: 'Shops Act', months: 12 },
-      { type: 'FSSAI', months: 12 }
+      { type: 'Trade License', key: 'TRADE_LICENSE' },
+      { type: 'Shops Act', key: 'SHOPS_ACT' },
+      { type: 'FSSAI', key: 'FSSAI' }
     ];
 
     renewals.forEach(renewal => {
-      if (completedCompliances.includes(renewal.type.replace(' ', '_').toUpperCase())) {
-        const renewalDate = new Date(currentDate);
-        renewalDate.setMonth(renewalDate.getMonth() + renewal.months);
-        
-        calendar.push({
-          type: `${renewal.type} Renewal`,
-          frequency: 'annual',
-          dueDate: renewalDate,
-          description: `Renew ${renewal.type}`,
-          penalty: 'Late fees and potential closure'
-        });
-      }
+      const completed = completedCompliances.get(renewal.key);
+      if (!completed) return;
+
+      const renewalDate = this.dueDateEngine.renewalDate(completed.record, completed.compliance.validity, now);
+      if (!renewalDate) return;
+
+      calendar.push({
+        type: `${renewal.type} Renewal`,
+        complianceKey: renewal.key,
+        frequency: 'annual',
+        dueDate: renewalDate,
+        description: `Renew ${renewal.type}`,
+        penalty: 'Late fees and potential closure'
+      });
     });
 
     return calendar.sort((a, b) => a.dueDate - b.dueDate);
@@ -319,61 +401,38 @@ export class ComplianceService {
   }
 
   /**
-   * Get cost breakdown analysis
+   * Get cost breakdown analysis - one-time and recurring fees with a multi-year projection
+   * @param {Object} evaluation - RuleEngine evaluation ({ mandatory, recommended, profile })
+   * @param {Object} options
+   * @param {Object} options.profile - Business profile (defaults to evaluation.profile)
+   * @param {Array<string>} options.professionalServices - Optional services the user switched on
+   * @param {number} options.years - Projection length
+   * @returns {Object} { breakdown, details, total, summary, professionalServices, projection, projectionTotal, years }
    */
-  getCostBreakdown(evaluation) {
-    const breakdown = {
-      government: 0,
-      professional: 0,
-      platform: 0,
-      recurring: 0,
-      oneTime: 0
-    };
-
-    const details = [];
-
-    evaluation.mandatory.forEach(compliance => {
-      const cost = typeof compliance.cost === 'number' ? compliance.cost : 
-                  (compliance.cost?.basic || compliance.cost?.state || 0);
-      
-      breakdown.government += cost;
-      breakdown.oneTime += cost;
-      
-      details.push({
-        name: compliance.name,
-        cost: cost,
-        type: 'government',
-        frequency: 'one-time'
-      });
-    });
-
-    // Add professional service costs (estimated)
-    const professionalCosts = {
-      'CA for GST': 5000,
-      'Legal for registration': 3000,
-      'Documentation help': 2000
-    };
-
-    Object.entries(professionalCosts).forEach(([service, cost]) => {
-      breakdown.professional += cost;
-      breakdown.oneTime += cost;
-      details.push({
-        name: service,
-        cost: cost,
-        type: 'professional',
-        frequency: 'one-time'
-      });
-    });
+  getCostBreakdown(evaluation, { profile, professionalServices = [], years } = {}) {
+    const obligations = [...(evaluation.mandatory || []), ...(evaluation.recommended || [])];
+    const normalized = complianceResolver.normalizeProfile(profile || evaluation.profile || {});
+    const estimate = this.costModel.estimate(obligations, normalized, { professionalServices, years });
+
+    const details = estimate.items.map(item => ({
+      name: item.name,
+      cost: item.oneTime || item.recurring?.amount || 0,
+      type: item.category,
+      frequency: item.oneTime ? 'one-time' : item.recurring?.frequency || 'one-time',
+      renewal: item.oneTime && item.recurring ? { amount: item.recurring.amount, frequency: item.recurring.frequency } : null,
+      basis: item.basis
+    }));
 
     return {
-      breakdown,
+      breakdown: estimate.breakdown,
       details,
-      total: breakdown.oneTime + (breakdown.recurring * 12),
-      summary: {
-        immediate: breakdown.oneTime,
-        annual: breakdown.recurring * 12,
-        monthly: breakdown.recurring
-      }
+      // First-year cost: everything one-time plus the first year of recurring services
+      total: estimate.projection[0]?.total || 0,
+      summary: estimate.summary,
+      professionalServices: estimate.professionalServices,
+      projection: estimate.projection,
+      projectionTotal: estimate.projectionTotal,
+      years: estimate.years
     };
   }
 }
@@ -0,0 +1,246 @@
+/**
+ * ComplianceStatusStore - Tracks each user's progress on their compliances
+ *
+ * STRUCTURE: userId → complianceId → { status, referenceNumber, dates, history[] }
+ * LIFECYCLE: not_started → documents_gathered → applied → approved → expired
+ * PERSISTENCE: Same write-through model as ChatHistoryStore (see services/storage)
+ *
+ * Readiness score, dashboard score and the compliance calendar all read from
+ * here, so a compliance counts as done only once it is approved and unexpired.
+ */
+
+export const COMPLIANCE_STATUSES = ['not_started', 'documents_gathered', 'applied', 'approved', 'expired'];
+
+// Date stamped automatically when a compliance enters the status
+const STATUS_DATE_FIELDS = {
+  documents_gathered: 'documentsGatheredAt',
+  applied: 'appliedAt',
+  approved: 'approvedAt',
+  expired: 'expiresAt'
+};
+
+// Set by the user only - the licence's issue date anchors renewals when no expiry is recorded
+const MANUAL_DATE_FIELDS = ['issuedAt'];
+
+const DATE_FIELDS = ['documentsGatheredAt', 'appliedAt', 'approvedAt', 'issuedAt', 'expiresAt', 'createdAt', 'updatedAt'];
+
+export class ComplianceStatusStore {
+  constructor() {
+    // USER-ISOLATED STORAGE: Map<userId, Map<complianceId, statusRecord>>
+    this.userStatuses = new Map();
+
+    // Persistence (memory-only until attachStorage is called)
+    this.namespace = 'complianceStatus';
+    this.storage = null;
+
+    console.log('✅ ComplianceStatusStore initialized');
+  }
+
+  /**
+   * Attach a storage adapter and load previously persisted statuses
+   * @param {Object} storage - Connected storage adapter
+   * @returns {Promise<number>} Number of status records restored
+   */
+  async attachStorage(storage) {
+    this.storage = storage;
+
+    const records = await storage.loadAll(this.namespace);
+    records.forEach(record => {
+      if (!record?.userId || !record?.complianceId) return;
+
+      const status = this._reviveRecord(record);
+      this._getUserStatusStorage(status.userId).set(status.complianceId, status);
+    });
+
+    console.log(`✅ ComplianceStatusStore: Restored ${records.length} statuses from ${storage.name} storage`);
+    return records.length;
+  }
+
+  _reviveRecord(record) {
+    const revived = { ...record };
+    DATE_FIELDS.forEach(field => {
+      if (revived[field]) revived[field] = new Date(revived[field]);
+    });
+    revived.history = (record.history || []).map(entry => ({ ...entry, at: new Date(entry.at) }));
+    return revived;
+  }
+
+  _storageKey(userId, complianceId) {
+    return JSON.stringify([userId, complianceId]);
+  }
+
+  _persistRecord(record) {
+    if (!this.storage) return;
+
+    this.storage.save(this.namespace, this._storageKey(record.userId, record.complianceId), record)
+      .catch(error => console.error(`❌ ComplianceStatusStore: Failed to persist ${record.complianceId} - ${error.message}`));
+  }
+
+  _removePersistedRecord(userId, complianceId) {
+    if (!this.storage) return;
+
+    this.storage.remove(this.namespace, this._storageKey(userId, complianceId))
+      .catch(error => console.error(`❌ ComplianceStatusStore: Failed to remove ${complianceId} - ${error.message}`));
+  }
+
+  _getUserStatusStorage(userId) {
+    if (!this.userStatuses.has(userId)) {
+      this.userStatuses.set(userId, new Map());
+    }
+    return this.userStatuses.get(userId);
+  }
+
+  /**
+   * Approved compliances past their expiry date are reported as expired
+   * @param {Object} record - Status record
+   * @returns {Object} Record with the effective status
+   */
+  _withEffectiveStatus(record) {
+    if (record.status === 'approved' && record.expiresAt && record.expiresAt <= new Date()) {
+      return { ...record, status: 'expired' };
+    }
+    return { ...record };
+  }
+
+  /**
+   * Get the status of one compliance for a user
+   * @param {string} userId - User identifier
+   * @param {string} complianceId - Compliance ID (e.g. 'GST', 'KA_SHOPS_ACT')
+   * @returns {Object} Status record ('not_started' if never updated)
+   */
+  getStatus(userId, complianceId) {
+    const record = this.userStatuses.get(userId)?.get(complianceId);
+    if (!record) {
+      return { userId, complianceId, status: 'not_started', history: [] };
+    }
+    return this._withEffectiveStatus(record);
+  }
+
+  /**
+   * Get every tracked compliance status for a user
+   * @param {string} userId - User identifier
+   * @returns {Array} Status records
+   */
+  getUserStatuses(userId) {
+    if (!userId) return [];
+
+    const userStatuses = this.userStatuses.get(userId);
+    if (!userStatuses) return [];
+
+    return Array.from(userStatuses.values())
+      .map(record => this._withEffectiveStatus(record))
+      .sort((a, b) => b.updatedAt - a.updatedAt);
+  }
+
+  /**
+   * Update a compliance status for a user
+   * @param {string} userId - User identifier
+   * @param {string} complianceId - Compliance ID
+   * @param {Object} updates - { status, referenceNumber, notes, documentsGatheredAt, appliedAt, approvedAt, issuedAt, expiresAt }
+   * @returns {Object} Updated status record
+   */
+  updateStatus(userId, complianceId, updates = {}) {
+    if (!userId || !complianceId) {
+      throw new Error('userId and complianceId are required');
+    }
+    if (updates.status && !COMPLIANCE_STATUSES.includes(updates.status)) {
+      throw new Error(`Invalid status: ${updates.status}`);
+    }
+
+    const userStatuses = this._getUserStatusStorage(userId);
+    const now = new Date();
+    const existing = userStatuses.get(complianceId) || {
+      userId,
+      complianceId,
+      status: 'not_started',
+      history: [],
+      createdAt: now
+    };
+
+    const record = { ...existing, history: [...existing.history] };
+
+    ['referenceNumber', 'notes'].forEach(field => {
+      if (updates[field] !== undefined) record[field] = updates[field];
+    });
+    [...Object.values(STATUS_DATE_FIELDS), ...MANUAL_DATE_FIELDS].forEach(field => {
+      if (updates[field] !== undefined) record[field] = updates[field] ? new Date(updates[field]) : null;
+    });
+
+    if (updates.status && updates.status !== existing.status) {
+      record.status = updates.status;
+      record.history.push({ status: updates.status, at: now });
+
+      const dateField = STATUS_DATE_FIELDS[updates.status];
+      if (dateField && !record[dateField]) {
+        record[dateField] = now;
+      }
+    }
+
+    record.updatedAt = now;
+    userStatuses.set(complianceId, record);
+    this._persistRecord(record);
+
+    console.log(`✅ Compliance status: ${complianceId} → ${record.status} for user ${userId}`);
+    return this._withEffectiveStatus(record);
+  }
+
+  /**
+   * Reset a compliance back to not started
+   * @param {string} userId - User identifier
+   * @param {string} complianceId - Compliance ID
+   * @returns {boolean} Whether a record existed
+   */
+  removeStatus(userId, complianceId) {
+    const deleted = this.userStatuses.get(userId)?.delete(complianceId) || false;
+    if (deleted) {
+      this._removePersistedRecord(userId, complianceId);
+    }
+    return deleted;
+  }
+
+  /**
+   * IDs of compliances that are approved and not expired
+   * @param {string} userId - User identifier
+   * @returns {Array<string>} Compliance IDs
+   */
+  getCompletedIds(userId) {
+    return this.getUserStatuses(userId)
+      .filter(record => record.status === 'approved')
+      .map(record => record.complianceId);
+  }
+
+  /**
+   * Progress of a user across a set of compliances
+   * @param {string} userId - User identifier
+   * @param {Array<string>} complianceIds - Compliances that apply to the user
+   * @returns {Object} { total, completed, inProgress, notStarted, expired, score }
+   */
+  getProgress(userId, complianceIds) {
+    const progress = { total: complianceIds.length, completed: 0, inProgress: 0, notStarted: 0, expired: 0 };
+
+    complianceIds.forEach(complianceId => {
+      const { status } = this.getStatus(userId, complianceId);
+      if (status === 'approved') progress.completed++;
+      else if (status === 'expired') progress.expired++;
+      else if (status === 'not_started') progress.notStarted++;
+      else progress.inProgress++;
+    });
+
+    progress.score = progress.total > 0 ? Math.round((progress.completed / progress.total) * 100) : 100;
+    return progress;
+  }
+
+  /**
+   * Clear all data (for testing)
+   */
+  clearAll() {
+    this.userStatuses.clear();
+    if (this.storage) {
+      this.storage.clear(this.namespace)
+        .catch(error => console.error(`❌ ComplianceStatusStore: Failed to clear storage - ${error.message}`));
+    }
+  }
+}
+
+// Export singleton instance
+export const complianceStatusStore = new ComplianceStatusStore();
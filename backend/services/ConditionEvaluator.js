@@ -0,0 +1,344 @@
+/**
+ * ConditionEvaluator - Declarative applicability conditions for compliances
+ *
+ * Evaluates the `applicableIf` conditions in data/compliance/*.json and returns
+ * both the result and a trace of which clauses matched, so every compliance
+ * can explain WHY it applies instead of relying on hardcoded reason strings.
+ *
+ * CONDITION LANGUAGE:
+ *   Field clause (all fields implicitly ANDed - the original format):
+ *     { employees: { greaterThanOrEqual: 10 }, businessType: ['manufacturing'] }
+ *
+ *   Groups (nestable):
+ *     { all: [cond, cond] }   - every condition must match
+ *     { any: [cond, cond] }   - at least one condition must match
+ *     { not: cond }           - condition must NOT match
+ *     Any group or clause may carry a `label` used in explanations.
+ *
+ *   Operators (per field):
+ *     greaterThan, greaterThanOrEqual, lessThan, lessThanOrEqual
+ *     between: [min, max]     - inclusive range
+ *     equals, notEquals
+ *     in: [...], notIn: [...] - a bare array is shorthand for `in`
+ *     contains, startsWith, endsWith, matches (regex) - case-insensitive strings
+ *     exists: true | false
+ *   A bare scalar value is shorthand for `equals`.
+ */
+
+const GROUP_KEYS = ['all', 'any', 'not'];
+const RESERVED_KEYS = [...GROUP_KEYS, 'label'];
+
+const FIELD_LABELS = {
+  annualTurnover: 'Annual turnover',
+  monthlyRevenue: 'Monthly revenue',
+  investment: 'Investment',
+  employees: 'Employees',
+  businessType: 'Business type',
+  state: 'State',
+  city: 'City',
+  usesPower: 'Uses power',
+  sector: 'Sector',
+  supplyType: 'Supply type',
+  specialCategoryState: 'Special-category state',
+  interStateSupply: 'Inter-state supply',
+  sellsOnEcommerce: 'Sells on e-commerce',
+  msmeCategory: 'MSME category',
+  projectCost: 'Project cost',
+  fundingNeed: 'Loan needed'
+};
+
+const CURRENCY_FIELDS = ['annualTurnover', 'monthlyRevenue', 'investment', 'plantMachineryInvestment', 'projectCost', 'fundingNeed'];
+
+const OPERATORS = {
+  greaterThan: {
+    symbol: '>',
+    test: (actual, expected) => typeof actual === 'number' && actual > expected
+  },
+  greaterThanOrEqual: {
+    symbol: '≥',
+    test: (actual, expected) => typeof actual === 'number' && actual >= expected
+  },
+  lessThan: {
+    symbol: '<',
+    test: (actual, expected) => typeof actual === 'number' && actual < expected
+  },
+  lessThanOrEqual: {
+    symbol: '≤',
+    test: (actual, expected) => typeof actual === 'number' && actual <= expected
+  },
+  between: {
+    symbol: 'between',
+    test: (actual, [min, max]) => typeof actual === 'number' && actual >= min && actual <= max
+  },
+  equals: {
+    symbol: '=',
+    test: (actual, expected) => normalize(actual) === normalize(expected)
+  },
+  notEquals: {
+    symbol: '≠',
+    test: (actual, expected) => normalize(actual) !== normalize(expected)
+  },
+  in: {
+    symbol: 'is one of',
+    test: (actual, expected) => expected.map(normalize).includes(normalize(actual))
+  },
+  notIn: {
+    symbol: 'is not one of',
+    test: (actual, expected) => !expected.map(normalize).includes(normalize(actual))
+  },
+  contains: {
+    symbol: 'contains',
+    test: (actual, expected) => typeof actual === 'string' && actual.toLowerCase().includes(String(expected).toLowerCase())
+  },
+  startsWith: {
+    symbol: 'starts with',
+    test: (actual, expected) => typeof actual === 'string' && actual.toLowerCase().startsWith(String(expected).toLowerCase())
+  },
+  endsWith: {
+    symbol: 'ends with',
+    test: (actual, expected) => typeof actual === 'string' && actual.toLowerCase().endsWith(String(expected).toLowerCase())
+  },
+  matches: {
+    symbol: 'matches',
+    test: (actual, expected) => typeof actual === 'string' && new RegExp(expected, 'i').test(actual)
+  },
+  exists: {
+    symbol: 'exists',
+    test: (actual, expected) => (actual !== undefined && actual !== null && actual !== '') === Boolean(expected)
+  }
+};
+
+function normalize(value) {
+  return typeof value === 'string' ? value.toLowerCase() : value;
+}
+
+export class ConditionEvaluator {
+  /**
+   * Evaluate a condition against a business profile
+   * @param {Object} condition - Condition in the language described above
+   * @param {Object} profile - Business profile
+   * @returns {Object} { matched, trace, explanation }
+   */
+  evaluate(condition, profile = {}) {
+    if (!condition || Object.keys(condition).length === 0) {
+      return {
+        matched: true,
+        trace: { type: 'always', matched: true, description: 'No conditions' },
+        explanation: 'Applies to all businesses'
+      };
+    }
+
+    const trace = this._evaluateNode(condition, profile);
+
+    return {
+      matched: trace.matched,
+      trace,
+      explanation: this.explain(trace)
+    };
+  }
+
+  /**
+   * Evaluate a group or field-clause object
+   * @private
+   */
+  _evaluateNode(node, profile) {
+    if (Array.isArray(node)) {
+      return this._evaluateGroup('all', node, profile);
+    }
+
+    const groupKey = GROUP_KEYS.find(key => key in node);
+    const fieldKeys = Object.keys(node).filter(key => !RESERVED_KEYS.includes(key));
+
+    // Mixed objects ({ any: [...], employees: {...} }) AND the group with the fields
+    if (groupKey && fieldKeys.length > 0) {
+      const fields = Object.fromEntries(fieldKeys.map(key => [key, node[key]]));
+      return this._withLabel(
+        this._evaluateGroup('all', [{ [groupKey]: node[groupKey] }, fields], profile),
+        node.label
+      );
+    }
+
+    if (groupKey === 'not') {
+      const child = this._evaluateNode(node.not, profile);
+      return this._withLabel({ type: 'not', matched: !child.matched, children: [child] }, node.label);
+    }
+
+    if (groupKey) {
+      return this._withLabel(this._evaluateGroup(groupKey, node[groupKey], profile), node.label);
+    }
+
+    // Plain field clauses - implicitly ANDed
+    const clauses = fieldKeys.flatMap(field => this._evaluateField(field, node[field], profile));
+    if (clauses.length === 1) {
+      return this._withLabel(clauses[0], node.label);
+    }
+
+    return this._withLabel({
+      type: 'all',
+      matched: clauses.every(clause => clause.matched),
+      children: clauses
+    }, node.label);
+  }
+
+  /**
+   * @private
+   */
+  _evaluateGroup(type, conditions, profile) {
+    if (!Array.isArray(conditions)) {
+      throw new Error(`ConditionEvaluator: "${type}" expects an array of conditions`);
+    }
+
+    const children = conditions.map(condition => this._evaluateNode(condition, profile));
+    const matched = type === 'all'
+      ? children.every(child => child.matched)
+      : children.some(child => child.matched);
+
+    return { type, matched, children };
+  }
+
+  /**
+   * Evaluate every operator of a single field rule
+   * @private
+   * @returns {Array} One trace entry per operator
+   */
+  _evaluateField(field, rule, profile) {
+    const actual = profile[field];
+
+    // Shorthands: array → in, scalar → equals
+    let operators = rule;
+    if (Array.isArray(rule)) {
+      operators = { in: rule };
+    } else if (rule === null || typeof rule !== 'object') {
+      operators = { equals: rule };
+    }
+
+    const { label, ...checks } = operators;
+
+    return Object.entries(checks).map(([operator, expected]) => {
+      const definition = OPERATORS[operator];
+      if (!definition) {
+        throw new Error(`ConditionEvaluator: Unknown operator "${operator}" on field "${field}"`);
+      }
+
+      return this._withLabel({
+        type: 'clause',
+        field,
+        operator,
+        expected,
+        actual,
+        matched: definition.test(actual, expected),
+        description: this._describeClause(field, operator, expected)
+      }, label);
+    });
+  }
+
+  _withLabel(trace, label) {
+    return label ? { ...trace, label } : trace;
+  }
+
+  /**
+   * Human-readable description of a clause, e.g. "Employees ≥ 20"
+   * @private
+   */
+  _describeClause(field, operator, expected) {
+    const fieldLabel = FIELD_LABELS[field] || field;
+    const symbol = OPERATORS[operator].symbol;
+
+    if (operator === 'between') {
+      return `${fieldLabel} between ${this._formatValue(field, expected[0])} and ${this._formatValue(field, expected[1])}`;
+    }
+    if (operator === 'exists') {
+      return expected ? `${fieldLabel} is provided` : `${fieldLabel} is not provided`;
+    }
+    if (Array.isArray(expected)) {
+      return `${fieldLabel} ${symbol} ${expected.join(', ')}`;
+    }
+    return `${fieldLabel} ${symbol} ${this._formatValue(field, expected)}`;
+  }
+
+  /**
+   * Format values for explanations (rupee amounts in lakh/crore)
+   * @private
+   */
+  _formatValue(field, value) {
+    if (CURRENCY_FIELDS.includes(field) && typeof value === 'number') {
+      if (value >= 10000000) return `₹${+(value / 10000000).toFixed(2)} crore`;
+      if (value >= 100000) return `₹${+(value / 100000).toFixed(2)} lakh`;
+      return `₹${value.toLocaleString('en-IN')}`;
+    }
+    if (value === undefined || value === null || value === '') {
+      return 'not provided';
+    }
+    return String(value);
+  }
+
+  /**
+   * Describe what a condition requires, without the profile's actual values
+   * e.g. "Employees ≥ 10 and Business type is one of manufacturing"
+   * @param {Object} trace - Trace from evaluate()
+   * @returns {string} Description
+   */
+  describe(trace) {
+    if (trace.label) return trace.label;
+
+    switch (trace.type) {
+      case 'always':
+        return 'Applies to all businesses';
+      case 'clause':
+        return trace.description;
+      case 'not':
+        return `not (${this.describe(trace.children[0])})`;
+      case 'any':
+        return `(${trace.children.map(child => this.describe(child)).join(' or ')})`;
+      case 'all':
+      default:
+        return trace.children.map(child => this.describe(child)).join(' and ');
+    }
+  }
+
+  /**
+   * Turn a trace into a sentence describing the clauses that decided the result
+   * @param {Object} trace - Trace from evaluate()
+   * @returns {string} Explanation
+   */
+  explain(trace) {
+    if (trace.label) {
+      return trace.label;
+    }
+
+    switch (trace.type) {
+      case 'always':
+        return 'Applies to all businesses';
+
+      case 'clause': {
+        const actual = this._formatValue(trace.field, trace.actual);
+        // "Business type is cafe" reads better than repeating the whole list
+        if (trace.matched && ['in', 'equals'].includes(trace.operator)) {
+          return `${FIELD_LABELS[trace.field] || trace.field} is ${actual}`;
+        }
+        return `${trace.description} (${actual})`;
+      }
+
+      case 'not':
+        return `not (${this.explain(trace.children[0])})`;
+
+      case 'any': {
+        // Only the branches that decided the outcome are interesting
+        const deciding = trace.matched
+          ? trace.children.filter(child => child.matched)
+          : trace.children;
+        const parts = deciding.map(child => this.explain(child));
+        return deciding.length > 1 ? `(${parts.join(' or ')})` : parts[0];
+      }
+
+      case 'all':
+      default: {
+        const deciding = trace.matched
+          ? trace.children
+          : trace.children.filter(child => !child.matched);
+        const parts = deciding.map(child => this.explain(child));
+        return deciding.length > 1 ? parts.join(' and ') : parts[0];
+      }
+    }
+  }
+}
@@ -0,0 +1,231 @@
+import {
+  SHOPS_ACT_FEES,
+  TRADE_LICENSE_FEES,
+  FACTORIES_ACT_FEES,
+  PROFESSIONAL_TAX_ENROLMENT_FEE,
+  PROFESSIONAL_SERVICES
+} from '../data/costSchedules.js';
+import { validityMonths } from './DueDateEngine.js';
+import { fssaiTierSelector } from './FssaiTierSelector.js';
+
+/**
+ * CostModel - One-time and recurring cost of a business's compliances
+ *
+ * FLOW: obligations + profile → government fee per obligation (FSSAI tier from
+ *   FssaiTierSelector, state slab tables by headcount, data `cost` otherwise) → renewals
+ *   from the licence validity → optional professional services the user picked
+ *   → per-year projection (default 3 years)
+ *
+ * Recurring costs are { amount, intervalMonths, startMonth }: a licence renewed
+ * every year is paid at month 12, 24...; a monthly service at month 0, 1, 2...
+ */
+
+export const DEFAULT_PROJECTION_YEARS = 3;
+
+function frequencyLabel(intervalMonths) {
+  if (intervalMonths === 1) return 'monthly';
+  if (intervalMonths === 12) return 'annual';
+  return `every ${intervalMonths / 12} years`;
+}
+
+/**
+ * Number of payments of a recurring cost falling in a projection year
+ * @param {Object} recurring - { intervalMonths, startMonth }
+ * @param {number} year - 1-based projection year
+ * @returns {number}
+ */
+function paymentsInYear({ intervalMonths, startMonth }, year) {
+  const from = (year - 1) * 12;
+  const to = year * 12;
+  let count = 0;
+  for (let month = startMonth; month < to; month += intervalMonths) {
+    if (month >= from) count += 1;
+  }
+  return count;
+}
+
+export class CostModel {
+  /**
+   * @param {Object} options
+   * @param {Array} options.professionalServices - Catalogue of optional services
+   * @param {FssaiTierSelector} options.fssaiTierSelector - FSSAI licence tier rules (shared default selector)
+   */
+  constructor({ professionalServices = PROFESSIONAL_SERVICES, fssaiTierSelector: selector = fssaiTierSelector } = {}) {
+    this.professionalServices = professionalServices;
+    this.fssaiTierSelector = selector;
+  }
+
+  _slabFee(slabs, employees) {
+    return slabs.find(slab => slab.maxEmployees === undefined || employees <= slab.maxEmployees).fee;
+  }
+
+  /**
+   * State slab table, else the fee in the compliance data, else the default slab table
+   */
+  _scheduledFee(table, obligation, profile) {
+    const employees = Number(profile.employees) || 0;
+
+    if (table[profile.state]) {
+      return { fee: this._slabFee(table[profile.state], employees), basis: `${profile.state} fee for ${employees} employees` };
+    }
+    if (typeof obligation.cost === 'number') {
+      return { fee: obligation.cost, basis: 'Listed fee' };
+    }
+    return { fee: this._slabFee(table.default, employees), basis: `Typical fee for ${employees} employees` };
+  }
+
+  /**
+   * Government fee of one obligation for a profile
+   * @param {Object} obligation - Resolved obligation { id, key, name, cost, validity }
+   * @param {Object} profile - Normalized business profile
+   * @returns {Object} { fee, basis, name? }
+   */
+  governmentFee(obligation, profile = {}) {
+    switch (obligation.key) {
+      case 'FSSAI': {
+        const licence = this.fssaiTierSelector.select(profile);
+        const fee = typeof obligation.cost === 'object' ? obligation.cost[licence.tier] ?? 0 : Number(obligation.cost) || 0;
+        return { fee, basis: `${licence.name} - ${licence.reasons.join(', ')}`, name: licence.name, tier: licence.tier };
+      }
+      case 'SHOPS_ACT':
+        return this._scheduledFee(SHOPS_ACT_FEES, obligation, profile);
+      case 'FACTORIES_ACT':
+        return this._scheduledFee(FACTORIES_ACT_FEES, obligation, profile);
+      case 'TRADE_LICENSE': {
+        const sectorFee = TRADE_LICENSE_FEES[profile.state]?.[profile.sector];
+        if (sectorFee !== undefined) {
+          return { fee: sectorFee, basis: `${profile.state} fee for ${profile.sector.replace(/_/g, ' ')} businesses` };
+        }
+        return { fee: Number(obligation.cost) || 0, basis: 'Listed fee' };
+      }
+      case 'PROFESSIONAL_TAX':
+        return { fee: PROFESSIONAL_TAX_ENROLMENT_FEE, basis: 'Employer enrolment certificate, paid every year' };
+      default:
+        return typeof obligation.cost === 'number'
+          ? { fee: obligation.cost, basis: obligation.cost === 0 ? 'No government fee' : 'Listed fee' }
+          : { fee: 0, basis: obligation.cost ? String(obligation.cost) : 'No government fee' };
+    }
+  }
+
+  /**
+   * Professional services relevant to a set of obligations, with the user's selection
+   * @param {Array<string>} complianceKeys - Keys of the business's obligations
+   * @param {Array<string>} selected - Service IDs the user switched on
+   * @returns {Array} [{ id, name, fee, frequency, selected }]
+   */
+  getProfessionalServices(complianceKeys, selected = []) {
+    return this.professionalServices
+      .filter(service => !service.appliesTo || service.appliesTo.some(key => complianceKeys.includes(key)))
+      .map(service => ({
+        id: service.id,
+        name: service.name,
+        fee: service.fee,
+        frequency: service.frequency,
+        selected: selected.includes(service.id)
+      }));
+  }
+
+  _governmentItem(obligation, profile) {
+    const { fee, basis, name, tier } = this.governmentFee(obligation, profile);
+    // Renewed at the end of each validity period; permanent registrations are paid once
+    const months = validityMonths(obligation.validity);
+    const renews = fee > 0 && months !== null && !/ongoing/i.test(obligation.validity || '');
+
+    return {
+      id: obligation.id,
+      complianceKey: obligation.key,
+      name: name || obligation.name,
+      category: 'government',
+      basis,
+      ...(tier && { tier }),
+      oneTime: fee,
+      recurring: renews ? { amount: fee, intervalMonths: months, startMonth: months, frequency: frequencyLabel(months) } : null
+    };
+  }
+
+  _serviceItem(service) {
+    const intervalMonths = service.frequency === 'monthly' ? 1 : 12;
+
+    return {
+      id: service.id,
+      name: service.name,
+      category: 'professional',
+      basis: 'Optional professional service',
+      oneTime: service.frequency === 'one-time' ? service.fee : 0,
+      recurring: service.frequency === 'one-time'
+        ? null
+        : { amount: service.fee, intervalMonths, startMonth: 0, frequency: frequencyLabel(intervalMonths) }
+    };
+  }
+
+  /**
+   * Cost of an item in one projection year
+   */
+  costInYear(item, year) {
+    const oneTime = year === 1 ? item.oneTime : 0;
+    const recurring = item.recurring ? item.recurring.amount * paymentsInYear(item.recurring, year) : 0;
+    return { oneTime, recurring };
+  }
+
+  /**
+   * Estimate the cost of compliance
+   * @param {Array} obligations - Resolved obligations
+   * @param {Object} profile - Normalized business profile
+   * @param {Object} options - { professionalServices: selected service IDs, years }
+   * @returns {Object} { items, breakdown, summary, professionalServices, projection, projectionTotal, years }
+   */
+  estimate(obligations, profile = {}, { professionalServices = [], years = DEFAULT_PROJECTION_YEARS } = {}) {
+    const complianceKeys = obligations.map(obligation => obligation.key || obligation.id);
+    const services = this.getProfessionalServices(complianceKeys, professionalServices);
+
+    const items = [
+      ...obligations.map(obligation => this._governmentItem({ ...obligation, key: obligation.key || obligation.id }, profile)),
+      ...services.filter(service => service.selected).map(service => this._serviceItem(service))
+    ];
+
+    const projection = Array.from({ length: years }, (_, index) => {
+      const year = index + 1;
+      const totals = items.reduce((sum, item) => {
+        const cost = this.costInYear(item, year);
+        return { oneTime: sum.oneTime + cost.oneTime, recurring: sum.recurring + cost.recurring };
+      }, { oneTime: 0, recurring: 0 });
+      return { year, ...totals, total: totals.oneTime + totals.recurring };
+    });
+
+    const firstYear = category => items
+      .filter(item => item.category === category)
+      .reduce((sum, item) => {
+        const cost = this.costInYear(item, 1);
+        return sum + cost.oneTime + cost.recurring;
+      }, 0);
+
+    // Recurring cost per year once everything is running (multi-year renewals spread evenly)
+    const annualRecurring = Math.round(items.reduce((sum, item) => sum + (item.recurring
+      ? item.recurring.amount * (12 / item.recurring.intervalMonths)
+      : 0), 0));
+    const oneTime = items.reduce((sum, item) => sum + item.oneTime, 0);
+
+    return {
+      items,
+      breakdown: {
+        government: firstYear('government'),
+        professional: firstYear('professional'),
+        platform: 0,
+        oneTime,
+        recurring: annualRecurring
+      },
+      summary: {
+        immediate: oneTime,
+        annual: annualRecurring,
+        monthly: Math.round(annualRecurring / 12)
+      },
+      professionalServices: services,
+      projection,
+      years,
+      projectionTotal: projection.reduce((sum, year) => sum + year.total, 0)
+    };
+  }
+}
+
+// Shared instance with the default schedules
+export const costModel = new CostModel();
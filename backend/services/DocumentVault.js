@@ -0,0 +1,316 @@
+import { promises as fs } from 'fs';
+import { fileURLToPath } from 'url';
+import { dirname, extname, join, resolve } from 'path';
+import { v4 as uuidv4 } from 'uuid';
+
+/**
+ * DocumentVault - Files each user uploads as evidence for their compliances
+ *
+ * STRUCTURE: userId → documentId → { fileName, mimeType, size, checklistItem, complianceIds, ... }
+ * FILES: <directory>/<userId>/<documentId><ext> on local disk (DOCUMENT_STORAGE_PATH)
+ * PERSISTENCE: Metadata uses the same write-through model as ChatHistoryStore (see services/storage)
+ *
+ * Each document is tagged with one checklist item ("PAN Card", "NOC from Municipality")
+ * from ComplianceService.getDocumentChecklist, either by the user or guessed from the
+ * file name, so the dashboard can list what is still missing per compliance.
+ */
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const BACKEND_DIRECTORY = join(__dirname, '..');
+const DEFAULT_DOCUMENT_PATH = join(BACKEND_DIRECTORY, 'data', 'documents');
+
+const DATE_FIELDS = ['uploadedAt', 'updatedAt'];
+
+// File name keywords → checklist item (first match wins, so specific rules come first)
+const CLASSIFICATION_RULES = [
+  { item: 'Form A', pattern: /\bform a\b/ },
+  { item: 'Form 1', pattern: /\bform (1|i)\b/ },
+  { item: 'PAN Card', pattern: /\bpan\b/ },
+  { item: 'Aadhaar Card', pattern: /\baadh?aa?r\b|\buidai\b/ },
+  { item: 'Bank Statement', pattern: /\bbank\b|\bstatement\b|\bpassbook\b|\bcheque\b/ },
+  { item: 'Rent Agreement', pattern: /\brent\b|\blease\b/ },
+  { item: 'NOC from Fire Department', pattern: /\bfire\b/ },
+  { item: 'NOC from Municipality', pattern: /\bmunicipal(ity)?\b|\bnoc\b/ },
+  { item: 'Pollution Clearance', pattern: /\bpollution\b|\bpcb\b|\bconsent to (establish|operate)\b/ },
+  { item: 'Factory Plan', pattern: /\bfactory\b|\bsite plan\b|\blayout\b/ },
+  { item: 'Salary Register', pattern: /\bsalary\b|\bpayroll\b|\bwages?\b/ },
+  { item: 'Employee Details', pattern: /\bemployees?\b|\bstaff\b/ },
+  { item: 'Business Registration', pattern: /\bincorporation\b|\bpartnership deed\b|\bregistration\b/ },
+  { item: 'Address Proof', pattern: /\baddress\b|\belectricity\b|\butility bill\b/ },
+  { item: 'ID Proof', pattern: /\bid\b|\bidentity\b|\bpassport\b|\bvoter\b|\bdriving licen[cs]e\b/ },
+  { item: 'Application Form', pattern: /\bapplication\b/ }
+];
+
+// Documents that also count as a more generic checklist item
+const ALSO_SATISFIES = {
+  'Aadhaar Card': ['ID Proof', 'Address Proof'],
+  'PAN Card': ['ID Proof'],
+  'Rent Agreement': ['Address Proof']
+};
+
+export class DocumentVault {
+  constructor() {
+    // USER-ISOLATED STORAGE: Map<userId, Map<documentId, documentRecord>>
+    this.userDocuments = new Map();
+
+    // Configuration
+    this.directory = process.env.DOCUMENT_STORAGE_PATH
+      ? resolve(BACKEND_DIRECTORY, process.env.DOCUMENT_STORAGE_PATH)
+      : DEFAULT_DOCUMENT_PATH;
+
+    // Persistence (memory-only until attachStorage is called)
+    this.namespace = 'documents';
+    this.storage = null;
+
+    console.log('✅ DocumentVault initialized');
+  }
+
+  /**
+   * Attach a storage adapter and load previously persisted document metadata
+   * @param {Object} storage - Connected storage adapter
+   * @returns {Promise<number>} Number of documents restored
+   */
+  async attachStorage(storage) {
+    this.storage = storage;
+
+    const records = await storage.loadAll(this.namespace);
+    records.forEach(record => {
+      if (!record?.userId || !record?.id) return;
+      this._getUserDocumentStorage(record.userId).set(record.id, this._reviveRecord(record));
+    });
+
+    console.log(`✅ DocumentVault: Restored ${records.length} documents from ${storage.name} storage`);
+    return records.length;
+  }
+
+  /**
+   * Change where uploaded files are written
+   * @param {string} directory - Root directory for uploaded files
+   */
+  setDirectory(directory) {
+    this.directory = directory;
+  }
+
+  _reviveRecord(record) {
+    const revived = { ...record };
+    DATE_FIELDS.forEach(field => {
+      if (revived[field]) revived[field] = new Date(revived[field]);
+    });
+    return revived;
+  }
+
+  _storageKey(userId, documentId) {
+    return JSON.stringify([userId, documentId]);
+  }
+
+  _persistRecord(record) {
+    if (!this.storage) return;
+
+    this.storage.save(this.namespace, this._storageKey(record.userId, record.id), record)
+      .catch(error => console.error(`❌ DocumentVault: Failed to persist ${record.id} - ${error.message}`));
+  }
+
+  _removePersistedRecord(userId, documentId) {
+    if (!this.storage) return;
+
+    this.storage.remove(this.namespace, this._storageKey(userId, documentId))
+      .catch(error => console.error(`❌ DocumentVault: Failed to remove ${documentId} - ${error.message}`));
+  }
+
+  _getUserDocumentStorage(userId) {
+    if (!this.userDocuments.has(userId)) {
+      this.userDocuments.set(userId, new Map());
+    }
+    return this.userDocuments.get(userId);
+  }
+
+  // User IDs come from the JWT, but never let one become a path segment as-is
+  _userDirectory(userId) {
+    return join(this.directory, userId.replace(/[^\w-]/g, '_'));
+  }
+
+  /**
+   * Guess the checklist item a file is for from its name
+   * @param {string} fileName - Original file name (e.g. 'pan_card_front.jpg')
+   * @returns {string|null} Checklist item or null if nothing matches
+   */
+  classify(fileName = '') {
+    const words = fileName
+      .replace(/\.[^.]+$/, '')
+      .replace(/([a-z])([A-Z])/g, '$1 $2')
+      .replace(/[\W_]+/g, ' ')
+      .toLowerCase();
+
+    return CLASSIFICATION_RULES.find(rule => rule.pattern.test(words))?.item || null;
+  }
+
+  /**
+   * Store an uploaded file for a user
+   * @param {string} userId - Owner
+   * @param {Object} upload - { fileName, mimeType, buffer, checklistItem?, complianceIds? }
+   * @returns {Promise<Object>} Document record
+   */
+  async saveDocument(userId, { fileName, mimeType, buffer, checklistItem, complianceIds = [] }) {
+    if (!userId || !buffer) {
+      throw new Error('userId and file contents are required');
+    }
+
+    const id = uuidv4();
+    const storedName = `${id}${extname(fileName || '').toLowerCase()}`;
+    const userDirectory = this._userDirectory(userId);
+
+    await fs.mkdir(userDirectory, { recursive: true });
+    await fs.writeFile(join(userDirectory, storedName), buffer);
+
+    const guessed = checklistItem ? null : this.classify(fileName);
+    const now = new Date();
+    const record = {
+      id,
+      userId,
+      fileName,
+      mimeType,
+      size: buffer.length,
+      storedName,
+      checklistItem: checklistItem || guessed,
+      complianceIds,
+      classifiedBy: checklistItem ? 'user' : (guessed ? 'filename' : null),
+      uploadedAt: now,
+      updatedAt: now
+    };
+
+    this._getUserDocumentStorage(userId).set(id, record);
+    this._persistRecord(record);
+
+    console.log(`📎 Document stored: ${fileName} → ${record.checklistItem || 'untagged'} for user ${userId}`);
+    return { ...record };
+  }
+
+  /**
+   * Get one of a user's documents (other users' documents are never returned)
+   * @param {string} userId - Owner
+   * @param {string} documentId - Document ID
+   * @returns {Object|null} Document record
+   */
+  getDocument(userId, documentId) {
+    const record = this.userDocuments.get(userId)?.get(documentId);
+    return record ? { ...record } : null;
+  }
+
+  /**
+   * Absolute path of a stored file
+   * @param {Object} record - Document record
+   * @returns {string} File path
+   */
+  getFilePath(record) {
+    return join(this._userDirectory(record.userId), record.storedName);
+  }
+
+  /**
+   * List a user's documents, newest first
+   * @param {string} userId - Owner
+   * @param {Object} filters - { complianceId, checklistItem }
+   * @returns {Array} Document records
+   */
+  getUserDocuments(userId, { complianceId, checklistItem } = {}) {
+    const userDocuments = this.userDocuments.get(userId);
+    if (!userDocuments) return [];
+
+    return Array.from(userDocuments.values())
+      .filter(record => !complianceId || record.complianceIds.includes(complianceId))
+      .filter(record => !checklistItem || record.checklistItem === checklistItem)
+      .map(record => ({ ...record }))
+      .sort((a, b) => b.uploadedAt - a.uploadedAt);
+  }
+
+  /**
+   * Re-tag a document
+   * @param {string} userId - Owner
+   * @param {string} documentId - Document ID
+   * @param {Object} updates - { checklistItem?, complianceIds? }
+   * @returns {Object|null} Updated record (null if the user has no such document)
+   */
+  tagDocument(userId, documentId, updates = {}) {
+    const existing = this.userDocuments.get(userId)?.get(documentId);
+    if (!existing) return null;
+
+    const record = { ...existing, updatedAt: new Date() };
+    if (updates.checklistItem !== undefined) {
+      record.checklistItem = updates.checklistItem || null;
+      record.classifiedBy = updates.checklistItem ? 'user' : null;
+    }
+    if (updates.complianceIds !== undefined) {
+      record.complianceIds = updates.complianceIds;
+    }
+
+    this.userDocuments.get(userId).set(documentId, record);
+    this._persistRecord(record);
+    return { ...record };
+  }
+
+  /**
+   * Delete a document and its file
+   * @param {string} userId - Owner
+   * @param {string} documentId - Document ID
+   * @returns {Promise<boolean>} Whether the document existed
+   */
+  async deleteDocument(userId, documentId) {
+    const record = this.userDocuments.get(userId)?.get(documentId);
+    if (!record) return false;
+
+    this.userDocuments.get(userId).delete(documentId);
+    this._removePersistedRecord(userId, documentId);
+
+    await fs.unlink(this.getFilePath(record)).catch(error => {
+      if (error.code !== 'ENOENT') throw error;
+    });
+    return true;
+  }
+
+  /**
+   * Match a user's documents against the documents each compliance needs
+   * @param {string} userId - Owner
+   * @param {Object} complianceMapping - complianceId → required checklist items
+   *   (ComplianceService.getDocumentChecklist().complianceMapping)
+   * @returns {Object} complianceId → { required, provided: { item: [documentIds] }, missing }
+   */
+  getChecklist(userId, complianceMapping = {}) {
+    const byItem = new Map();
+    this.getUserDocuments(userId).forEach(record => {
+      if (!record.checklistItem) return;
+
+      [record.checklistItem, ...(ALSO_SATISFIES[record.checklistItem] || [])].forEach(item => {
+        if (!byItem.has(item)) byItem.set(item, []);
+        byItem.get(item).push(record.id);
+      });
+    });
+
+    const checklist = {};
+    Object.entries(complianceMapping).forEach(([complianceId, required]) => {
+      const provided = {};
+      const missing = [];
+
+      required.forEach(item => {
+        if (byItem.has(item)) provided[item] = byItem.get(item);
+        else missing.push(item);
+      });
+
+      checklist[complianceId] = { required: [...required], provided, missing };
+    });
+
+    return checklist;
+  }
+
+  /**
+   * Clear all metadata (for testing - files on disk are left alone)
+   */
+  clearAll() {
+    this.userDocuments.clear();
+    if (this.storage) {
+      this.storage.clear(this.namespace)
+        .catch(error => console.error(`❌ DocumentVault: Failed to clear storage - ${error.message}`));
+    }
+  }
+}
+
+// Export singleton instance
+export const documentVault = new DocumentVault();
@@ -0,0 +1,279 @@
+import { DUE_DATE_RULES, PUBLIC_HOLIDAYS } from '../data/dueDateRules.js';
+import { ConditionEvaluator } from './ConditionEvaluator.js';
+
+/**
+ * DueDateEngine - Statutory due dates for recurring filings
+ *
+ * FLOW: compliance keys + profile → matching rule per filing (data/dueDateRules.js)
+ *   → statutory due dates per return period → rolled forward to the next
+ *   working day when they fall on a weekend or public holiday
+ *
+ * Licence renewals are not filings: their date is the recorded expiry (or the
+ * issue date plus the licence's validity) and is never moved.
+ */
+
+// Months (0 = January) in which a return period ends - the FY runs April to March
+const PERIOD_END_MONTHS = {
+  monthly: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11],
+  quarterly: [2, 5, 8, 11],
+  'half-yearly': [2, 8],
+  annual: [2]
+};
+
+const PERIOD_MONTHS = { monthly: 1, quarterly: 3, 'half-yearly': 6, annual: 12 };
+
+const MONTH_NAMES = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+function startOfDay(date) {
+  const day = new Date(date);
+  day.setHours(0, 0, 0, 0);
+  return day;
+}
+
+function pad(number) {
+  return String(number).padStart(2, '0');
+}
+
+/**
+ * Calendar date in local time - toISOString() would shift it to UTC
+ * @param {Date} date - Date to format
+ * @returns {string} YYYY-MM-DD
+ */
+export function toISODate(date) {
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+/**
+ * Parse a comma-separated list of ISO dates (COMPLIANCE_HOLIDAYS)
+ * @param {string} value - e.g. '2026-11-08,2026-03-04'
+ * @returns {Array<string>} Valid ISO dates
+ */
+export function parseHolidays(value) {
+  return String(value || '')
+    .split(',')
+    .map(date => date.trim())
+    .filter(date => /^\d{4}-\d{2}-\d{2}$/.test(date));
+}
+
+/**
+ * Months a licence stays valid, from its `validity` text in the compliance data
+ * @param {string} validity - 'Annual', '1-5 years', 'Permanent'...
+ * @returns {number|null} Months, or null when it never needs renewing
+ */
+export function validityMonths(validity) {
+  if (!validity) return 12;
+  if (/annual/i.test(validity)) return 12;
+
+  // Ranges like '1-5 years' depend on what was applied for - assume the shortest term
+  const years = String(validity).match(/(\d+)(?:\s*-\s*\d+)?\s*years?/i);
+  if (years) return Number(years[1]) * 12;
+
+  return null;
+}
+
+export class DueDateEngine {
+  /**
+   * @param {Object} options
+   * @param {Array} options.rules - Due-date rules (defaults to data/dueDateRules.js)
+   * @param {Object} options.holidays - { national: ['MM-DD'], states: { KA: ['MM-DD'] } }
+   * @param {Array<string>} options.extraHolidays - Additional holidays as ISO dates
+   * @param {Array<number>} options.weekendDays - Days of the week (0 = Sunday) treated as non-working
+   */
+  constructor({ rules = DUE_DATE_RULES, holidays = PUBLIC_HOLIDAYS, extraHolidays = [], weekendDays = [0, 6] } = {}) {
+    this.rules = rules;
+    this.holidays = holidays;
+    this.extraHolidays = new Set(extraHolidays);
+    this.weekendDays = weekendDays;
+    this.conditionEvaluator = new ConditionEvaluator();
+  }
+
+  /**
+   * Whether a date is a public holiday nationally or in the given state
+   * @param {Date} date - Date to check
+   * @param {string} state - State code
+   * @returns {boolean}
+   */
+  isHoliday(date, state) {
+    const monthDay = `${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+    return this.holidays.national.includes(monthDay) ||
+      Boolean(state && this.holidays.states?.[state]?.includes(monthDay)) ||
+      this.extraHolidays.has(toISODate(date));
+  }
+
+  /**
+   * @param {Date} date - Date to check
+   * @param {string} state - State code
+   * @returns {boolean}
+   */
+  isWorkingDay(date, state) {
+    return !this.weekendDays.includes(date.getDay()) && !this.isHoliday(date, state);
+  }
+
+  /**
+   * Move a due date falling on a weekend or holiday to the next working day
+   * @param {Date} date - Statutory due date
+   * @param {string} state - State code (for state holidays)
+   * @returns {Date} Effective due date
+   */
+  rollForward(date, state) {
+    const day = startOfDay(date);
+    while (!this.isWorkingDay(day, state)) {
+      day.setDate(day.getDate() + 1);
+    }
+    return day;
+  }
+
+  /**
+   * Statutory due date for the return period ending in the given month
+   * @param {Object} rule - Due-date rule
+   * @param {number} year - Year of the period's last month
+   * @param {number} month - Period's last month (0 = January)
+   * @returns {Date}
+   */
+  statutoryDueDate(rule, year, month) {
+    const dueMonth = month + rule.due.monthOffset;
+    const lastDay = new Date(year, dueMonth + 1, 0).getDate();
+    const day = rule.due.day === 'last' ? lastDay : Math.min(rule.due.day, lastDay);
+    return new Date(year, dueMonth, day);
+  }
+
+  /**
+   * Rules that apply to a profile, one per filing
+   * @param {Array<string>} complianceKeys - Compliance keys the business has to file for
+   * @param {Object} profile - Normalized business profile
+   * @returns {Array} Matching rules
+   */
+  getRules(complianceKeys, profile = {}) {
+    const selected = new Map();
+
+    this.rules
+      .filter(rule => complianceKeys.includes(rule.complianceKey))
+      .forEach(rule => {
+        const filing = `${rule.complianceKey}:${rule.type}`;
+        if (selected.has(filing)) return;
+        if (this.conditionEvaluator.evaluate(rule.when, profile).matched) {
+          selected.set(filing, rule);
+        }
+      });
+
+    return Array.from(selected.values());
+  }
+
+  /**
+   * Due dates of a rule falling between two dates
+   * @param {Object} rule - Due-date rule
+   * @param {Object} profile - Normalized business profile (state decides holidays)
+   * @param {Object} range - { from, until }
+   * @returns {Array} [{ period, statutoryDueDate, dueDate, rolledForward }] in date order
+   */
+  getOccurrences(rule, profile = {}, { from = new Date(), until } = {}) {
+    const start = startOfDay(from);
+    const end = until ? startOfDay(until) : new Date(start.getFullYear() + 1, start.getMonth(), start.getDate());
+    const periodEndMonths = PERIOD_END_MONTHS[rule.frequency];
+    const occurrences = [];
+
+    // Periods ending up to a year before `from` can still be due after it (GSTR-9 is due 9 months on)
+    for (let offset = -13; offset <= 12; offset++) {
+      const periodEnd = new Date(start.getFullYear(), start.getMonth() + offset, 1);
+      if (!periodEndMonths.includes(periodEnd.getMonth())) continue;
+
+      const statutoryDueDate = this.statutoryDueDate(rule, periodEnd.getFullYear(), periodEnd.getMonth());
+      const dueDate = this.rollForward(statutoryDueDate, profile.state);
+      if (dueDate < start || dueDate > end) continue;
+
+      occurrences.push({
+        period: this.describePeriod(rule.frequency, periodEnd),
+        statutoryDueDate,
+        dueDate,
+        rolledForward: dueDate.getTime() !== statutoryDueDate.getTime()
+      });
+    }
+
+    return occurrences;
+  }
+
+  /**
+   * Human label of a return period ('Oct 2026', 'Jul-Sep 2026', 'FY 2025-26')
+   * @param {string} frequency - Rule frequency
+   * @param {Date} periodEnd - First day of the period's last month
+   * @returns {string}
+   */
+  describePeriod(frequency, periodEnd) {
+    const year = periodEnd.getFullYear();
+    const month = periodEnd.getMonth();
+
+    if (frequency === 'annual') {
+      return `FY ${year - 1}-${String(year).slice(-2)}`;
+    }
+    if (frequency === 'monthly') {
+      return `${MONTH_NAMES[month]} ${year}`;
+    }
+
+    const periodStart = new Date(year, month - PERIOD_MONTHS[frequency] + 1, 1);
+    return `${MONTH_NAMES[periodStart.getMonth()]}-${MONTH_NAMES[month]} ${year}`;
+  }
+
+  /**
+   * Next due date of every filing that applies to the business
+   * @param {Array<string>} complianceKeys - Compliance keys the business has to file for
+   * @param {Object} profile - Normalized business profile
+   * @param {Date} now - Reference time
+   * @returns {Array} Calendar entries { type, complianceKey, ruleId, frequency, period, dueDate,
+   *   statutoryDueDate, rolledForward, description, penalty, recurrence, holidayShifts }
+   */
+  getFilings(complianceKeys, profile = {}, now = new Date()) {
+    return this.getRules(complianceKeys, profile)
+      .map(rule => {
+        const occurrences = this.getOccurrences(rule, profile, { from: now });
+        if (occurrences.length === 0) return null;
+
+        const [next] = occurrences;
+        return {
+          type: rule.type,
+          complianceKey: rule.complianceKey,
+          ruleId: rule.id,
+          frequency: rule.frequency,
+          period: next.period,
+          dueDate: next.dueDate,
+          statutoryDueDate: next.statutoryDueDate,
+          rolledForward: next.rolledForward,
+          description: rule.description,
+          penalty: rule.penalty,
+          recurrence: { frequency: rule.frequency, day: rule.due.day },
+          // Occurrences in the coming year that moved off the statutory day (for .ics exceptions)
+          holidayShifts: occurrences
+            .filter(occurrence => occurrence.rolledForward)
+            .map(({ statutoryDueDate, dueDate }) => ({ statutoryDueDate, dueDate }))
+        };
+      })
+      .filter(Boolean);
+  }
+
+  /**
+   * Next renewal date of a licence
+   * @param {Object} record - Approved status record { expiresAt, issuedAt, approvedAt }
+   * @param {string} validity - Validity text from the compliance data
+   * @param {Date} now - Reference time
+   * @returns {Date|null} Recorded expiry, else the next anniversary of the issue date; null if it never expires
+   */
+  renewalDate(record, validity, now = new Date()) {
+    if (record.expiresAt) return new Date(record.expiresAt);
+
+    const months = validityMonths(validity);
+    if (!months) return null;
+
+    const issued = new Date(record.issuedAt || record.approvedAt || now);
+    const today = startOfDay(now);
+    let terms = 1;
+    let renewal = new Date(issued.getFullYear(), issued.getMonth() + months, issued.getDate());
+    // Earlier terms have presumably been renewed - the next one is what's due
+    while (renewal < today) {
+      terms += 1;
+      renewal = new Date(issued.getFullYear(), issued.getMonth() + months * terms, issued.getDate());
+    }
+    return renewal;
+  }
+}
+
+// Shared instance with the default rules and holidays
+export const dueDateEngine = new DueDateEngine();
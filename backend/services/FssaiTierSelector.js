@@ -0,0 +1,112 @@
+import { COMPLIANCE_DATABASE } from '../data/compliances.js';
+import {
+  FSSAI_TURNOVER_LIMITS,
+  FSSAI_CAPACITY_LIMITS,
+  FSSAI_VALIDITY_YEARS,
+  FSSAI_MANUFACTURING_TYPES,
+  FSSAI_TIERS,
+  FSSAI_CATEGORY_DOCUMENTS
+} from '../data/fssaiLicensing.js';
+
+/**
+ * FssaiTierSelector - Basic Registration, State Licence or Central Licence
+ *
+ * FLOW: normalized profile → central criteria (turnover, import/export,
+ *   multi-state operation, production capacity) → state criteria → basic
+ *   → form, yearly fee, validity options and the document list for the tier
+ *
+ * Used wherever FSSAI is costed or explained (RuleEngine, CostModel,
+ * ComplianceAgent, food delivery platform onboarding).
+ */
+
+function formatLimit(amount) {
+  return amount >= 10000000 ? `₹${amount / 10000000} crore` : `₹${amount / 100000} lakh`;
+}
+
+export class FssaiTierSelector {
+  /**
+   * @param {Object} options
+   * @param {Object} options.compliance - FSSAI compliance entry (yearly fee per tier in `cost`)
+   */
+  constructor({ compliance = COMPLIANCE_DATABASE.central.FSSAI } = {}) {
+    this.compliance = compliance;
+  }
+
+  /**
+   * Whether the business makes or processes food (capacity limits and
+   * manufacturing documents apply)
+   * @param {Object} profile - Normalized business profile
+   * @returns {boolean}
+   */
+  isManufacturer(profile = {}) {
+    return FSSAI_MANUFACTURING_TYPES.includes(profile.businessType) || Number(profile.dailyProductionCapacity) > 0;
+  }
+
+  _tierWithReasons(profile) {
+    const turnover = Number(profile.annualTurnover) || 0;
+    const capacity = Number(profile.dailyProductionCapacity) || 0;
+
+    const central = [
+      turnover > FSSAI_TURNOVER_LIMITS.state && `Annual turnover above ${formatLimit(FSSAI_TURNOVER_LIMITS.state)}`,
+      profile.importsOrExports && 'Imports or exports food',
+      profile.operatesInMultipleStates && 'Operates in more than one state',
+      capacity > FSSAI_CAPACITY_LIMITS.state && `Production above ${FSSAI_CAPACITY_LIMITS.state} kg a day`
+    ].filter(Boolean);
+    if (central.length > 0) return { tier: 'central', reasons: central };
+
+    const state = [
+      turnover > FSSAI_TURNOVER_LIMITS.basic && `Annual turnover above ${formatLimit(FSSAI_TURNOVER_LIMITS.basic)}`,
+      capacity > FSSAI_CAPACITY_LIMITS.basic && `Production above ${FSSAI_CAPACITY_LIMITS.basic} kg a day`
+    ].filter(Boolean);
+    if (state.length > 0) return { tier: 'state', reasons: state };
+
+    return {
+      tier: 'basic',
+      reasons: [
+        `Annual turnover up to ${formatLimit(FSSAI_TURNOVER_LIMITS.basic)}`,
+        ...(this.isManufacturer(profile) ? [`Production up to ${FSSAI_CAPACITY_LIMITS.basic} kg a day`] : [])
+      ]
+    };
+  }
+
+  /**
+   * Documents for a tier plus those specific to what the business does
+   */
+  _documents(tier, profile) {
+    if (tier === 'basic') return [...FSSAI_TIERS.basic.documents];
+
+    return [
+      ...FSSAI_TIERS[tier].documents,
+      ...(this.isManufacturer(profile) ? FSSAI_CATEGORY_DOCUMENTS.manufacturing : []),
+      ...(profile.importsOrExports ? FSSAI_CATEGORY_DOCUMENTS.importExport : []),
+      ...(profile.operatesInMultipleStates ? FSSAI_CATEGORY_DOCUMENTS.multiState : [])
+    ];
+  }
+
+  /**
+   * Select the FSSAI licence tier for a business
+   * @param {Object} profile - Normalized business profile
+   *   (annualTurnover, businessType, dailyProductionCapacity, importsOrExports, operatesInMultipleStates)
+   * @returns {Object} { tier, name, form, authority, timeline, fee, validityOptions, documents, reasons }
+   */
+  select(profile = {}) {
+    const { tier, reasons } = this._tierWithReasons(profile);
+    const { name, form, authority, timeline } = FSSAI_TIERS[tier];
+    const fee = this.compliance.cost?.[tier] ?? 0;
+
+    return {
+      tier,
+      name,
+      form,
+      authority,
+      timeline,
+      fee,
+      validityOptions: FSSAI_VALIDITY_YEARS.map(years => ({ years, fee: fee * years })),
+      documents: this._documents(tier, profile),
+      reasons
+    };
+  }
+}
+
+// Shared instance with the FSSAI compliance data
+export const fssaiTierSelector = new FssaiTierSelector();
@@ -0,0 +1,181 @@
+import { COMPLIANCE_DATABASE } from '../data/compliances.js';
+import {
+  GST_THRESHOLDS,
+  COMPOSITION_SCHEMES,
+  COMPOSITION_SERVICES_ALLOWANCE
+} from '../data/gstThresholds.js';
+import { ConditionEvaluator } from './ConditionEvaluator.js';
+
+/**
+ * GstRegistrationAdvisor - Whether GST registration is needed, and why
+ *
+ * FLOW: normalized profile → central.GST.applicableIf (the decision)
+ *   → threshold for the supply type and state category → reasons
+ *   → composition scheme eligibility
+ *
+ * The decision itself always comes from the GST conditions in
+ * data/compliance/central.json so the advisor and the ComplianceResolver
+ * cannot disagree; the thresholds in data/gstThresholds.js only explain it.
+ */
+
+function formatAmount(amount) {
+  return amount >= 10000000 ? `₹${+(amount / 10000000).toFixed(2)} crore` : `₹${+(amount / 100000).toFixed(2)} lakh`;
+}
+
+const SUPPLY_REASONS = {
+  goods: 'Supplies goods only - the goods threshold applies',
+  services: 'Supplies services - the services threshold applies',
+  mixed: 'Supplies both goods and services - the services threshold applies'
+};
+
+export class GstRegistrationAdvisor {
+  /**
+   * @param {Object} options
+   * @param {Object} options.compliance - GST compliance entry (decision in `applicableIf`)
+   * @param {Object} options.thresholds - Registration thresholds by supply type and state category
+   * @param {Object} options.compositionSchemes - Composition scheme limits and rates
+   */
+  constructor({
+    compliance = COMPLIANCE_DATABASE.central.GST,
+    thresholds = GST_THRESHOLDS,
+    compositionSchemes = COMPOSITION_SCHEMES
+  } = {}) {
+    this.compliance = compliance;
+    this.thresholds = thresholds;
+    this.compositionSchemes = compositionSchemes;
+    this.conditionEvaluator = new ConditionEvaluator();
+  }
+
+  /**
+   * Turnover threshold for the profile; an unknown supply type gets the
+   * lower services threshold
+   * @param {Object} profile - Normalized business profile
+   * @returns {Object} { amount, basis }
+   */
+  getThreshold(profile = {}) {
+    const supply = profile.supplyType === 'goods' ? 'goods' : 'services';
+    const special = profile.specialCategoryState === true;
+
+    return {
+      amount: this.thresholds[supply][special ? 'specialCategory' : 'regular'],
+      basis: `${supply} supplier in a ${special ? 'special-category' : 'regular'} state`
+    };
+  }
+
+  /**
+   * Decide GST registration for a profile
+   * @param {Object} profile - Normalized business profile (see ComplianceResolver.normalizeProfile)
+   * @returns {Object} { required, supplyType, specialCategoryState, threshold, reasons, composition }
+   */
+  assess(profile = {}) {
+    const { matched } = this.conditionEvaluator.evaluate(this.compliance.applicableIf, profile);
+    const threshold = this.getThreshold(profile);
+    const turnover = typeof profile.annualTurnover === 'number' && !Number.isNaN(profile.annualTurnover)
+      ? profile.annualTurnover
+      : null;
+    const reasons = [];
+
+    reasons.push(SUPPLY_REASONS[profile.supplyType] || 'Supply type not known - the lower services threshold is assumed');
+
+    if (profile.specialCategoryState === true) {
+      reasons.push(`The state is a special-category state - the threshold is ${formatAmount(threshold.amount)}`);
+    } else if (profile.specialCategoryState === false) {
+      reasons.push(`The state is not a special-category state - the threshold is ${formatAmount(threshold.amount)}`);
+    } else {
+      reasons.push(`State not known - the ${formatAmount(threshold.amount)} threshold of other states is assumed`);
+    }
+
+    if (turnover === null) {
+      reasons.push(`Turnover not known - registration is needed once it crosses ${formatAmount(threshold.amount)}`);
+    } else if (turnover > threshold.amount) {
+      reasons.push(`Turnover of ${formatAmount(turnover)} is above the ${formatAmount(threshold.amount)} threshold`);
+    } else {
+      reasons.push(`Turnover of ${formatAmount(turnover)} is within the ${formatAmount(threshold.amount)} threshold`);
+    }
+
+    if (profile.interStateSupply === true) {
+      reasons.push('Makes inter-state supplies - registration is compulsory whatever the turnover');
+    }
+    if (profile.sellsOnEcommerce === true) {
+      reasons.push('Sells goods through an e-commerce marketplace - registration is compulsory whatever the turnover');
+    }
+
+    reasons.push(matched
+      ? 'GST registration is required'
+      : 'GST registration is optional - registering voluntarily lets the business claim input tax credit');
+
+    return {
+      required: matched,
+      supplyType: profile.supplyType || null,
+      specialCategoryState: profile.specialCategoryState ?? null,
+      threshold,
+      reasons,
+      composition: this.assessComposition(profile)
+    };
+  }
+
+  /**
+   * Composition scheme eligibility - a flat tax on turnover instead of
+   * regular GST, without input tax credit
+   * @param {Object} profile - Normalized business profile
+   * @returns {Object} { eligible, scheme, name, rate, limit, reasons }
+   *   eligible is null when the turnover needed to decide is not known
+   */
+  assessComposition(profile = {}) {
+    let scheme = 'services';
+    if (['goods', 'mixed'].includes(profile.supplyType)) {
+      scheme = 'goods';
+    } else if (profile.sector === 'food_beverage') {
+      scheme = 'restaurant';
+    }
+
+    const { name, rate, limit: regularLimit, specialCategoryLimit } = this.compositionSchemes[scheme];
+    const limit = profile.specialCategoryState === true ? specialCategoryLimit : regularLimit;
+    const turnover = typeof profile.annualTurnover === 'number' && !Number.isNaN(profile.annualTurnover)
+      ? profile.annualTurnover
+      : null;
+    const reasons = [];
+    let eligible = true;
+
+    if (profile.interStateSupply === true) {
+      eligible = false;
+      reasons.push('Inter-state suppliers cannot opt for the composition scheme');
+    }
+    if (profile.sellsOnEcommerce === true && scheme === 'goods') {
+      eligible = false;
+      reasons.push('Goods sold through e-commerce marketplaces cannot be taxed under the composition scheme');
+    }
+
+    if (turnover === null) {
+      if (eligible) eligible = null;
+      reasons.push(`Turnover needed - the composition limit is ${formatAmount(limit)}`);
+    } else if (turnover > limit) {
+      eligible = false;
+      reasons.push(`Turnover of ${formatAmount(turnover)} is above the ${formatAmount(limit)} composition limit`);
+    } else {
+      reasons.push(`Turnover of ${formatAmount(turnover)} is within the ${formatAmount(limit)} composition limit`);
+    }
+
+    if (eligible !== false) {
+      if (profile.supplyType === 'mixed') {
+        reasons.push(`Services must stay within ${COMPOSITION_SERVICES_ALLOWANCE.share * 100}% of turnover or ${formatAmount(COMPOSITION_SERVICES_ALLOWANCE.amount)}, whichever is higher`);
+      }
+      reasons.push(`Tax at ${rate}% of turnover, with no input tax credit`);
+    }
+
+    return { eligible, scheme, name, rate, limit, reasons };
+  }
+
+  /**
+   * When a business that does not need GST yet will have to register
+   * @param {Object} profile - Normalized business profile
+   * @returns {string}
+   */
+  describeTrigger(profile = {}) {
+    const { amount } = this.getThreshold(profile);
+    return `When annual turnover exceeds ${formatAmount(amount)}, or on making inter-state supplies or selling goods through an e-commerce marketplace`;
+  }
+}
+
+// Shared instance with the current thresholds
+export const gstRegistrationAdvisor = new GstRegistrationAdvisor();
@@ -0,0 +1,126 @@
+/**
+ * ICalendar - Compliance calendar entries as an RFC 5545 (.ics) document
+ *
+ * One all-day VEVENT per entry of ComplianceService.generateComplianceCalendar:
+ *   monthly / quarterly / half-yearly filings → RRULE FREQ=MONTHLY on the statutory day
+ *   annual entries (GSTR-9, licence renewals)  → RRULE FREQ=YEARLY
+ * Filings moved off the statutory day by a weekend or holiday (DueDateEngine
+ * holidayShifts) become EXDATE/RDATE pairs, so every occurrence lands on the
+ * day it is actually due. The penalty text goes into DESCRIPTION so it shows
+ * in Outlook / Google Calendar.
+ */
+
+const PRODUCT_ID = '-//MSME Compliance Navigator//Compliance Calendar//EN';
+
+// Repeat on the statutory day - 'last' (end of month) is BYMONTHDAY=-1
+const monthDay = day => (day === 'last' ? -1 : day);
+
+const RECURRENCE_RULES = {
+  monthly: day => `FREQ=MONTHLY;BYMONTHDAY=${monthDay(day)}`,
+  quarterly: day => `FREQ=MONTHLY;INTERVAL=3;BYMONTHDAY=${monthDay(day)}`,
+  'half-yearly': day => `FREQ=MONTHLY;INTERVAL=6;BYMONTHDAY=${monthDay(day)}`,
+  annual: () => 'FREQ=YEARLY'
+};
+
+/**
+ * Escape a TEXT value (RFC 5545 §3.3.11)
+ */
+export function escapeText(value = '') {
+  return String(value)
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+/**
+ * Fold a content line at 75 octets (RFC 5545 §3.1), never splitting a UTF-8 character
+ */
+export function foldLine(line) {
+  const parts = [];
+  let current = '';
+  let currentBytes = 0;
+
+  for (const char of line) {
+    const bytes = Buffer.byteLength(char);
+    // Continuation lines start with a space, which counts towards their 75 octets
+    const limit = parts.length === 0 ? 75 : 74;
+    if (currentBytes + bytes > limit) {
+      parts.push(current);
+      current = '';
+      currentBytes = 0;
+    }
+    current += char;
+    currentBytes += bytes;
+  }
+  parts.push(current);
+
+  return parts.join('\r\n ');
+}
+
+function formatDate(date) {
+  const pad = number => String(number).padStart(2, '0');
+  return `${date.getFullYear()}${pad(date.getMonth() + 1)}${pad(date.getDate())}`;
+}
+
+function formatTimestamp(date) {
+  return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+function slug(value) {
+  return String(value).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+}
+
+/**
+ * Build an .ics document
+ * @param {Array} entries - Calendar entries { type, frequency, dueDate, description, penalty }, plus
+ *   { statutoryDueDate, recurrence, holidayShifts } for filings from DueDateEngine
+ * @param {Object} options
+ * @param {string} options.name - Calendar name shown by the client
+ * @param {string} options.uidPrefix - Makes event UIDs stable per user, so feed refreshes update events
+ * @param {Date} options.now - DTSTAMP
+ * @returns {string} iCalendar text (CRLF line endings)
+ */
+export function buildICalendar(entries, { name = 'Compliance Calendar', uidPrefix = 'msme', now = new Date() } = {}) {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODUCT_ID}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(name)}`,
+    'X-WR-TIMEZONE:Asia/Kolkata',
+    'REFRESH-INTERVAL;VALUE=DURATION:PT12H',
+    'X-PUBLISHED-TTL:PT12H'
+  ];
+
+  entries.forEach(entry => {
+    // The series starts on the statutory day; a rolled-forward first date is one of the shifts
+    const startDate = new Date(entry.statutoryDueDate || entry.dueDate);
+    const endDate = new Date(startDate.getFullYear(), startDate.getMonth(), startDate.getDate() + 1);
+    const description = [entry.description, entry.penalty && `Penalty for delay: ${entry.penalty}`]
+      .filter(Boolean)
+      .join('\n');
+    const recurrence = RECURRENCE_RULES[entry.frequency];
+    const shifts = recurrence ? entry.holidayShifts || [] : [];
+
+    lines.push(
+      'BEGIN:VEVENT',
+      `UID:${uidPrefix}-${slug(entry.type)}@msme-compliance`,
+      `DTSTAMP:${formatTimestamp(now)}`,
+      `DTSTART;VALUE=DATE:${formatDate(startDate)}`,
+      `DTEND;VALUE=DATE:${formatDate(endDate)}`,
+      ...(recurrence ? [`RRULE:${recurrence(entry.recurrence?.day ?? startDate.getDate())}`] : []),
+      ...shifts.map(shift => `EXDATE;VALUE=DATE:${formatDate(new Date(shift.statutoryDueDate))}`),
+      ...shifts.map(shift => `RDATE;VALUE=DATE:${formatDate(new Date(shift.dueDate))}`),
+      `SUMMARY:${escapeText(`${entry.type} due`)}`,
+      `DESCRIPTION:${escapeText(description)}`,
+      'CATEGORIES:Compliance',
+      'TRANSP:TRANSPARENT',
+      'END:VEVENT'
+    );
+  });
+
+  lines.push('END:VCALENDAR');
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+}
@@ -0,0 +1,275 @@
+import { readFileSync, readdirSync, existsSync } from 'fs';
+import { createHash } from 'crypto';
+import { fileURLToPath } from 'url';
+import { dirname, join, extname } from 'path';
+import { Bm25Index } from './Bm25Index.js';
+
+/**
+ * KnowledgeBase - Retrieval over the local regulation corpus
+ *
+ * FLOW (offline): data/knowledge/*.md and *.txt (text extracted from PDFs)
+ *   → passages per section → BM25 index → data/knowledge/index.json
+ *   (npm run build:knowledge). The index records a hash of the corpus and is
+ *   rebuilt at load when a corpus file has changed since.
+ * FLOW (per answer): user message → top passages → numbered reference block
+ *   in the system prompt → answer → citations for the passages it used
+ *
+ * Agents call generateGroundedResponse() instead of llm.generateResponse()
+ * whenever the answer may state laws, thresholds, forms, fees or penalties.
+ */
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+
+export const KNOWLEDGE_DIRECTORY = join(__dirname, '../data/knowledge');
+export const KNOWLEDGE_INDEX_PATH = join(KNOWLEDGE_DIRECTORY, 'index.json');
+
+const INDEX_VERSION = 2;
+const SOURCE_EXTENSIONS = ['.md', '.txt'];
+const MAX_PASSAGE_LENGTH = 1200;
+const EXCERPT_LENGTH = 200;
+
+function slugify(text) {
+  return text.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+}
+
+/**
+ * Group paragraphs into passages of at most MAX_PASSAGE_LENGTH characters
+ */
+function groupParagraphs(paragraphs) {
+  const groups = [];
+  let current = '';
+
+  for (const paragraph of paragraphs) {
+    if (current && current.length + paragraph.length > MAX_PASSAGE_LENGTH) {
+      groups.push(current);
+      current = '';
+    }
+    current = current ? `${current}\n\n${paragraph}` : paragraph;
+  }
+  if (current) groups.push(current);
+
+  return groups;
+}
+
+function paragraphsOf(text) {
+  return text.split(/\n\s*\n/).map(paragraph => paragraph.trim()).filter(Boolean);
+}
+
+/**
+ * Split a corpus file into passages
+ * Markdown is split on `##` sections under the `#` title; plain text (PDF
+ * extracts) takes its first line as the title and is split on paragraphs.
+ * @param {string} text - File contents
+ * @param {string} source - File name, e.g. 'gst.md'
+ * @returns {Array} [{ id, source, title, text }]
+ */
+export function chunkDocument(text, source) {
+  const lines = text.replace(/\r\n/g, '\n').split('\n');
+  const passages = [];
+
+  const push = (section, body, slug) => {
+    groupParagraphs(paragraphsOf(body)).forEach((passage, index) => {
+      passages.push({
+        id: `${source}#${slug}${index > 0 ? `-${index + 1}` : ''}`,
+        source,
+        title: section,
+        text: passage
+      });
+    });
+  };
+
+  if (extname(source) !== '.md') {
+    const titleIndex = lines.findIndex(line => line.trim());
+    const title = titleIndex === -1 ? source : lines[titleIndex].trim();
+    push(title, lines.slice(titleIndex + 1).join('\n'), 'part');
+    return passages;
+  }
+
+  const documentTitle = lines.find(line => /^#\s/.test(line))?.replace(/^#\s+/, '').trim() || source;
+  let heading = null;
+  let body = [];
+
+  const flush = () => {
+    if (heading && body.join('').trim()) {
+      push(`${documentTitle} › ${heading}`, body.join('\n'), slugify(heading));
+    }
+  };
+
+  for (const line of lines) {
+    if (/^##\s/.test(line)) {
+      flush();
+      heading = line.replace(/^#+\s+/, '').trim();
+      body = [];
+    } else if (!/^#\s/.test(line)) {
+      body.push(line);
+    }
+  }
+  flush();
+
+  return passages;
+}
+
+function readCorpus(directory) {
+  return readdirSync(directory)
+    .filter(file => SOURCE_EXTENSIONS.includes(extname(file)))
+    .sort()
+    .map(file => ({ file, text: readFileSync(join(directory, file), 'utf8') }));
+}
+
+function hashCorpus(files) {
+  const hash = createHash('sha256');
+  files.forEach(({ file, text }) => hash.update(`${file}\0${text}\0`));
+  return hash.digest('hex');
+}
+
+/**
+ * Hash of the corpus file names and contents an index was built from
+ * @param {string} directory - Corpus directory
+ * @returns {string} sha256 hex digest
+ */
+export function corpusHash(directory = KNOWLEDGE_DIRECTORY) {
+  return hashCorpus(readCorpus(directory));
+}
+
+/**
+ * Build the serialisable index for every corpus file in a directory
+ * @param {string} directory - Corpus directory
+ * @returns {Object} { version, corpusHash, sources, passages, bm25 }
+ */
+export function buildKnowledgeIndex(directory = KNOWLEDGE_DIRECTORY) {
+  const files = readCorpus(directory);
+  const passages = files.flatMap(({ file, text }) => chunkDocument(text, file));
+
+  const bm25 = new Bm25Index();
+  passages.forEach(passage => bm25.add(passage.id, `${passage.title}\n${passage.text}`));
+
+  return {
+    version: INDEX_VERSION,
+    corpusHash: hashCorpus(files),
+    sources: files.map(({ file }) => file),
+    passages,
+    bm25: bm25.toJSON()
+  };
+}
+
+export class KnowledgeBase {
+  /**
+   * @param {Object} data - Index from buildKnowledgeIndex() (or index.json)
+   */
+  constructor({ passages, bm25 }) {
+    this.passages = new Map(passages.map(passage => [passage.id, passage]));
+    this.index = Bm25Index.fromJSON(bm25);
+  }
+
+  /**
+   * Load the prebuilt index, or build one from the corpus if it is missing
+   * or was built from a different version of the corpus
+   * @param {Object} options - { indexPath, directory }
+   * @returns {KnowledgeBase}
+   */
+  static load({ indexPath = KNOWLEDGE_INDEX_PATH, directory = KNOWLEDGE_DIRECTORY } = {}) {
+    if (!existsSync(indexPath)) {
+      console.log(`⚠️ Knowledge index not found at ${indexPath} - building it from ${directory} (run npm run build:knowledge)`);
+      return new KnowledgeBase(buildKnowledgeIndex(directory));
+    }
+
+    const index = JSON.parse(readFileSync(indexPath, 'utf8'));
+    if (index.version !== INDEX_VERSION || index.corpusHash !== corpusHash(directory)) {
+      console.log(`⚠️ Knowledge index at ${indexPath} is out of date with ${directory} - rebuilding it (run npm run build:knowledge)`);
+      return new KnowledgeBase(buildKnowledgeIndex(directory));
+    }
+
+    return new KnowledgeBase(index);
+  }
+
+  /**
+   * Passages most relevant to a query
+   * @param {string} query
+   * @param {Object} options - { limit, minScore }
+   * @returns {Array} [{ id, source, title, text, score }]
+   */
+  search(query, { limit = 3, minScore = 1 } = {}) {
+    return this.index.search(query, { limit })
+      .filter(result => result.score >= minScore)
+      .map(result => ({ ...this.passages.get(result.id), score: result.score }));
+  }
+
+  /**
+   * Numbered reference passages to append to a system prompt
+   * @param {string} query - Usually the user's message
+   * @param {Object} options - Search options
+   * @returns {Object} { passages: [{ marker, ... }], prompt } - prompt is '' when nothing relevant was found
+   */
+  ground(query, options = {}) {
+    const passages = this.search(query, options).map((passage, index) => ({ ...passage, marker: index + 1 }));
+    if (passages.length === 0) {
+      return { passages, prompt: '' };
+    }
+
+    const references = passages
+      .map(passage => `[${passage.marker}] ${passage.title} (${passage.source})\n${passage.text}`)
+      .join('\n\n');
+
+    return {
+      passages,
+      prompt: `\n\nREFERENCE PASSAGES (regulation knowledge base):\n${references}\n\n` +
+        'Use these passages for any law, threshold, form, fee, deadline or penalty you mention and cite each passage you rely on by its number in square brackets, e.g. [1]. ' +
+        'If they do not cover the question, say you are not certain instead of guessing.'
+    };
+  }
+
+  /**
+   * Passages an answer cites; every retrieved passage if the answer cites none
+   * @param {string} answer - Generated answer
+   * @param {Array} passages - Passages from ground()
+   * @returns {Array} [{ marker, id, title, source, excerpt }]
+   */
+  cite(answer, passages) {
+    const cited = new Set([...String(answer).matchAll(/\[(\d+)\]/g)].map(match => Number(match[1])));
+    const used = passages.filter(passage => cited.has(passage.marker));
+
+    return (used.length > 0 ? used : passages).map(({ marker, id, title, source, text }) => ({
+      marker,
+      id,
+      title,
+      source,
+      excerpt: text.length > EXCERPT_LENGTH ? `${text.slice(0, EXCERPT_LENGTH).trimEnd()}…` : text
+    }));
+  }
+
+  /**
+   * Sources footer for a chat answer
+   * @param {Array} citations - From cite()
+   * @returns {string} '' when there are no citations
+   */
+  formatSources(citations) {
+    if (citations.length === 0) return '';
+    return `\n\n**Sources**\n${citations.map(citation => `[${citation.marker}] ${citation.title} (${citation.source})`).join('\n')}`;
+  }
+
+  /**
+   * Generate an answer grounded in the passages retrieved for `query`
+   * The sources footer is appended to the text (and streamed after the answer).
+   * @param {LLMProvider} llm - Provider (or per-agent view)
+   * @param {string} query - What to retrieve passages for
+   * @param {string} prompt - User prompt
+   * @param {string} systemPrompt - System prompt; the reference passages are appended
+   * @param {Object} options - generateResponse options (onToken, signal, temperature...)
+   * @returns {Promise<Object>} { text, citations }
+   */
+  async generateGroundedResponse(llm, query, prompt, systemPrompt = '', options = {}) {
+    const grounding = this.ground(query);
+    const answer = await llm.generateResponse(prompt, `${systemPrompt}${grounding.prompt}`, options);
+
+    const citations = this.cite(answer, grounding.passages);
+    const sources = this.formatSources(citations);
+    if (sources && options.onToken) {
+      options.onToken(sources);
+    }
+
+    return { text: `${answer}${sources}`, citations };
+  }
+}
+
+// Shared instance over the prebuilt index
+export const knowledgeBase = KnowledgeBase.load();
@@ -0,0 +1,118 @@
+import {
+  HINDI_NUMBERS,
+  HINDI_UNITS,
+  HINDI_PLACES,
+  HINDI_BUSINESS_TYPES,
+  HINDI_TERMS,
+  HINGLISH_MARKERS
+} from '../data/hindiVocabulary.js';
+
+/**
+ * LanguageDetector - Which language a chat message is in, and an English
+ * reading of it for the keyword extractors
+ *
+ * Languages:
+ *   en      - English
+ *   hi      - Hindi in Devanagari ("मेरा कैफ़े पुणे में है")
+ *   hi-Latn - Hindi written in Roman script / Hinglish ("mera cafe Pune mein hai")
+ *
+ * FLOW: message → detect() → reply language for the LLM (instruction())
+ *       message → normalize() → "mera cafe pune mein hai, 20 employees"
+ *         → city, business type, headcount, budget and intent matchers
+ */
+
+// Devanagari letters and signs (not its digits, which normalize() converts)
+const DEVANAGARI = /[\u0900-\u0963\u0970-\u097F]/g;
+const LATIN_WORD = /[a-z]+/g;
+const DEVANAGARI_DIGITS = /[\u0966-\u096F]/g;
+
+// A message needs this many Latin words before it can be called English
+const MIN_ENGLISH_WORDS = 3;
+
+// Hinglish: at least two marker words, making up this share of the words
+const HINGLISH_MIN_MARKERS = 2;
+const HINGLISH_MIN_SHARE = 0.2;
+
+const REPLY_INSTRUCTIONS = {
+  hi: 'Reply in Hindi written in Devanagari script. Keep names of acts, forms, portals and amounts as they are (e.g. GST, FSSAI, Udyam, ₹5 lakh).',
+  'hi-Latn': 'The user writes Hindi in Roman script (Hinglish). Reply the same way - Hindi in Roman script, with English terms such as GST, FSSAI and licence left as they are. Do not use Devanagari.'
+};
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Alternation of spellings, longest first so phrases win over their words
+ */
+function alternation(spellings) {
+  return [...spellings].sort((a, b) => b.length - a.length).map(escapeRegExp).join('|');
+}
+
+// Whole words in either script (\b only knows ASCII word characters)
+const wholeWord = pattern => new RegExp(`(?<![\\p{L}\\p{M}\\p{N}])(?:${pattern})(?![\\p{L}\\p{M}\\p{N}])`, 'giu');
+
+export class LanguageDetector {
+  constructor() {
+    // Units are only read after a number - "log" alone is not "employees"
+    this.vocabulary = { ...HINDI_PLACES, ...HINDI_BUSINESS_TYPES, ...HINDI_TERMS };
+    this.markers = new Set(HINGLISH_MARKERS);
+
+    this.quantityPattern = wholeWord(
+      `(${alternation(Object.keys(HINDI_NUMBERS))}|\\d+(?:\\.\\d+)?)\\s*(${alternation(Object.keys(HINDI_UNITS))})`
+    );
+    this.vocabularyPattern = wholeWord(`(${alternation(Object.keys(this.vocabulary))})`);
+  }
+
+  /**
+   * Language of a message
+   * @param {string} text - User message
+   * @returns {string|null} 'en', 'hi' or 'hi-Latn'; null when there is too
+   *   little text to tell ("yes", "50 lakh") - keep the conversation's language
+   */
+  detect(text) {
+    const message = String(text ?? '');
+    const devanagari = message.match(DEVANAGARI)?.length || 0;
+    const words = message.toLowerCase().match(LATIN_WORD) || [];
+
+    if (devanagari > 0 && devanagari >= words.join('').length / 2) return 'hi';
+
+    const markers = words.filter(word => this.markers.has(word)).length;
+    if (markers >= HINGLISH_MIN_MARKERS && markers / words.length >= HINGLISH_MIN_SHARE) return 'hi-Latn';
+    if (devanagari > 0) return 'hi';
+
+    return words.length >= MIN_ENGLISH_WORDS ? 'en' : null;
+  }
+
+  /**
+   * English reading of a message for the keyword matchers
+   * Devanagari digits become 0-9, Hindi number words before a unit become
+   * numbers ("bees log" → "20 employees", "पचास लाख" → "50 lakh") and known
+   * Hindi / Hinglish words become their English term. English text is
+   * returned unchanged.
+   * @param {string} text - User message
+   * @returns {string}
+   */
+  normalize(text) {
+    return String(text ?? '')
+      .replace(DEVANAGARI_DIGITS, digit => String(digit.charCodeAt(0) - 0x0966))
+      .replace(this.quantityPattern, (match, amount, unit) => {
+        const value = HINDI_NUMBERS[amount.toLowerCase()] ?? amount;
+        return `${value} ${HINDI_UNITS[unit.toLowerCase()]}`;
+      })
+      .replace(this.vocabularyPattern, term => this.vocabulary[term.toLowerCase()]);
+  }
+
+  /**
+   * System-prompt line asking the LLM to answer in the user's language
+   * @param {string} language - From detect()
+   * @returns {string} '' for English
+   */
+  instruction(language) {
+    const instruction = REPLY_INSTRUCTIONS[language];
+    return instruction ? `\n\nLANGUAGE: ${instruction}` : '';
+  }
+}
+
+// Shared instance
+export const languageDetector = new LanguageDetector();
@@ -0,0 +1,63 @@
+/**
+ * LegalReferences - Footnotes for the legal sources behind compliance advice
+ *
+ * Every compliance entry in data/compliance carries `references`:
+ *   [{ act, section?, notification?, url, lastVerified }]
+ * This service numbers them across a set of compliances (one footnote per
+ * distinct reference) so chat replies, obligations and dashboard tasks can
+ * point back to the act, section and official portal the advice rests on.
+ */
+export class LegalReferences {
+  /**
+   * Numbered footnotes for the references of a set of compliances
+   * A reference shared by several compliances appears once and lists all of them.
+   * @param {Array} compliances - Compliance entries, obligations or tasks with `references`
+   * @returns {Array} [{ marker, act, section, notification, url, lastVerified, compliances: [{ id, name }] }]
+   */
+  collect(compliances = []) {
+    const footnotes = new Map();
+
+    for (const compliance of compliances) {
+      for (const reference of compliance.references || []) {
+        const key = this._key(reference);
+        if (!footnotes.has(key)) {
+          footnotes.set(key, { marker: footnotes.size + 1, ...reference, compliances: [] });
+        }
+        const footnote = footnotes.get(key);
+        if (!footnote.compliances.some(entry => entry.id === compliance.id)) {
+          footnote.compliances.push({ id: compliance.id, name: compliance.name });
+        }
+      }
+    }
+
+    return [...footnotes.values()];
+  }
+
+  /**
+   * One-line citation, e.g. "Central Goods and Services Tax Act, 2017, Section 22 - ...; Notification No. 10/2019-Central Tax"
+   * @param {Object} reference - A compliance reference
+   * @returns {string}
+   */
+  cite(reference) {
+    return [
+      [reference.act, reference.section].filter(Boolean).join(', '),
+      reference.notification
+    ].filter(Boolean).join('; ');
+  }
+
+  /**
+   * Legal basis lines for an LLM prompt
+   * @param {Object} compliance - Compliance entry or obligation
+   * @returns {string} '' when the compliance has no references
+   */
+  describe(compliance) {
+    return (compliance.references || []).map(reference => this.cite(reference)).join(' | ');
+  }
+
+  _key(reference) {
+    return [reference.act, reference.section, reference.notification, reference.url].join('|');
+  }
+}
+
+// Shared instance
+export const legalReferences = new LegalReferences();
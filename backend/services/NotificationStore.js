@@ -0,0 +1,232 @@
+import { v4 as uuidv4 } from 'uuid';
+
+/**
+ * NotificationStore - In-app notification inbox for each user
+ *
+ * STRUCTURE: userId → notificationId → { type, title, message, data, dedupeKey, read, createdAt, readAt }
+ * DEDUPLICATION: a notification with a dedupeKey the user already has is dropped,
+ * so the reminder scheduler can run as often as it likes
+ * PERSISTENCE: Same write-through model as ChatHistoryStore (see services/storage)
+ */
+
+const DATE_FIELDS = ['createdAt', 'readAt'];
+
+export class NotificationStore {
+  constructor() {
+    // USER-ISOLATED STORAGE: Map<userId, Map<notificationId, notification>>
+    this.userNotifications = new Map();
+
+    // Configuration
+    this.maxNotificationsPerUser = 200;
+
+    // Persistence (memory-only until attachStorage is called)
+    this.namespace = 'notifications';
+    this.storage = null;
+
+    console.log('✅ NotificationStore initialized');
+  }
+
+  /**
+   * Attach a storage adapter and load previously persisted notifications
+   * @param {Object} storage - Connected storage adapter
+   * @returns {Promise<number>} Number of notifications restored
+   */
+  async attachStorage(storage) {
+    this.storage = storage;
+
+    const records = await storage.loadAll(this.namespace);
+    records.forEach(record => {
+      if (!record?.userId || !record?.id) return;
+      this._getUserNotificationStorage(record.userId).set(record.id, this._reviveRecord(record));
+    });
+
+    console.log(`✅ NotificationStore: Restored ${records.length} notifications from ${storage.name} storage`);
+    return records.length;
+  }
+
+  _reviveRecord(record) {
+    const revived = { ...record };
+    DATE_FIELDS.forEach(field => {
+      if (revived[field]) revived[field] = new Date(revived[field]);
+    });
+    return revived;
+  }
+
+  _storageKey(userId, notificationId) {
+    return JSON.stringify([userId, notificationId]);
+  }
+
+  _persistRecord(record) {
+    if (!this.storage) return;
+
+    this.storage.save(this.namespace, this._storageKey(record.userId, record.id), record)
+      .catch(error => console.error(`❌ NotificationStore: Failed to persist ${record.id} - ${error.message}`));
+  }
+
+  _removePersistedRecord(userId, notificationId) {
+    if (!this.storage) return;
+
+    this.storage.remove(this.namespace, this._storageKey(userId, notificationId))
+      .catch(error => console.error(`❌ NotificationStore: Failed to remove ${notificationId} - ${error.message}`));
+  }
+
+  _getUserNotificationStorage(userId) {
+    if (!this.userNotifications.has(userId)) {
+      this.userNotifications.set(userId, new Map());
+    }
+    return this.userNotifications.get(userId);
+  }
+
+  /**
+   * Whether the user already has a notification with this dedupe key
+   * @param {string} userId - User identifier
+   * @param {string} dedupeKey - Key identifying the event
+   * @returns {boolean}
+   */
+  hasNotification(userId, dedupeKey) {
+    const userNotifications = this.userNotifications.get(userId);
+    if (!userNotifications || !dedupeKey) return false;
+
+    return Array.from(userNotifications.values()).some(record => record.dedupeKey === dedupeKey);
+  }
+
+  /**
+   * Add a notification to a user's inbox
+   * @param {string} userId - User identifier
+   * @param {Object} notification - { type, title, message, data?, dedupeKey? }
+   * @returns {Object|null} Stored notification, or null if it was a duplicate
+   */
+  addNotification(userId, { type, title, message, data = {}, dedupeKey = null }) {
+    if (!userId || !title) {
+      throw new Error('userId and title are required');
+    }
+    if (this.hasNotification(userId, dedupeKey)) {
+      return null;
+    }
+
+    const userNotifications = this._getUserNotificationStorage(userId);
+    const record = {
+      id: uuidv4(),
+      userId,
+      type,
+      title,
+      message,
+      data,
+      dedupeKey,
+      read: false,
+      createdAt: new Date(),
+      readAt: null
+    };
+
+    userNotifications.set(record.id, record);
+    this._persistRecord(record);
+
+    // Drop the oldest notifications beyond the per-user limit
+    if (userNotifications.size > this.maxNotificationsPerUser) {
+      Array.from(userNotifications.values())
+        .sort((a, b) => a.createdAt - b.createdAt)
+        .slice(0, userNotifications.size - this.maxNotificationsPerUser)
+        .forEach(old => {
+          userNotifications.delete(old.id);
+          this._removePersistedRecord(userId, old.id);
+        });
+    }
+
+    console.log(`🔔 Notification for user ${userId}: ${title}`);
+    return { ...record };
+  }
+
+  /**
+   * Get a user's notifications, newest first
+   * @param {string} userId - User identifier
+   * @param {Object} options - { unreadOnly, limit }
+   * @returns {Array} Notifications
+   */
+  getNotifications(userId, { unreadOnly = false, limit = 50 } = {}) {
+    const userNotifications = this.userNotifications.get(userId);
+    if (!userNotifications) return [];
+
+    return Array.from(userNotifications.values())
+      .filter(record => !unreadOnly || !record.read)
+      .sort((a, b) => b.createdAt - a.createdAt)
+      .slice(0, limit)
+      .map(record => ({ ...record }));
+  }
+
+  /**
+   * Number of unread notifications
+   * @param {string} userId - User identifier
+   * @returns {number}
+   */
+  getUnreadCount(userId) {
+    const userNotifications = this.userNotifications.get(userId);
+    if (!userNotifications) return 0;
+
+    return Array.from(userNotifications.values()).filter(record => !record.read).length;
+  }
+
+  /**
+   * Mark one notification read or unread
+   * @param {string} userId - User identifier
+   * @param {string} notificationId - Notification ID
+   * @param {boolean} read - New read state
+   * @returns {Object|null} Updated notification (null if the user has no such notification)
+   */
+  setRead(userId, notificationId, read = true) {
+    const record = this.userNotifications.get(userId)?.get(notificationId);
+    if (!record) return null;
+
+    record.read = read;
+    record.readAt = read ? new Date() : null;
+    this._persistRecord(record);
+    return { ...record };
+  }
+
+  /**
+   * Mark every notification read
+   * @param {string} userId - User identifier
+   * @returns {number} Number of notifications that were unread
+   */
+  markAllRead(userId) {
+    const now = new Date();
+    let count = 0;
+
+    this.userNotifications.get(userId)?.forEach(record => {
+      if (record.read) return;
+      record.read = true;
+      record.readAt = now;
+      this._persistRecord(record);
+      count++;
+    });
+
+    return count;
+  }
+
+  /**
+   * Delete a notification
+   * @param {string} userId - User identifier
+   * @param {string} notificationId - Notification ID
+   * @returns {boolean} Whether the notification existed
+   */
+  deleteNotification(userId, notificationId) {
+    const deleted = this.userNotifications.get(userId)?.delete(notificationId) || false;
+    if (deleted) {
+      this._removePersistedRecord(userId, notificationId);
+    }
+    return deleted;
+  }
+
+  /**
+   * Clear all data (for testing)
+   */
+  clearAll() {
+    this.userNotifications.clear();
+    if (this.storage) {
+      this.storage.clear(this.namespace)
+        .catch(error => console.error(`❌ NotificationStore: Failed to clear storage - ${error.message}`));
+    }
+  }
+}
+
+// Export singleton instance
+export const notificationStore = new NotificationStore();
@@ -0,0 +1,196 @@
+import { PENALTY_FORMULAS, PENALTY_ASSUMPTIONS } from '../data/penaltyFormulas.js';
+
+/**
+ * PenaltyCalculator - Rupee exposure of unmet compliances, accrued over time
+ *
+ * FLOW: obligation + status → formula (data/penaltyFormulas.js) → monthly base
+ *   estimated from the profile → each component accrued from the date the
+ *   obligation was missed (`since`) → exposure today and at each horizon
+ *
+ * With no missed date nothing is owed yet: accrual starts once the next due
+ * date (`dueDate`) has passed, or after today when none is known.
+ *
+ * Recurring amounts (tax, contributions, returns) fall due every 30 days
+ * after `since`, so interest and late fees build up month by month.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MONTH_DAYS = 30;
+
+export const DEFAULT_HORIZONS = [30, 90, 180];
+
+function startOfDay(date) {
+  const day = new Date(date);
+  day.setHours(0, 0, 0, 0);
+  return day;
+}
+
+function clamp(amount, { min = 0, max = Infinity } = {}) {
+  return Math.min(Math.max(amount, min), max);
+}
+
+export class PenaltyCalculator {
+  /**
+   * @param {Object} options
+   * @param {Object} options.formulas - Formulas by compliance key
+   * @param {Object} options.assumptions - Base estimation assumptions
+   */
+  constructor({ formulas = PENALTY_FORMULAS, assumptions = PENALTY_ASSUMPTIONS } = {}) {
+    this.formulas = formulas;
+    this.assumptions = assumptions;
+  }
+
+  /**
+   * Estimated monthly tax or contribution amount a formula works on
+   * @param {string} base - 'gst' | 'epf' | 'esi' | 'professionalTax'
+   * @param {Object} profile - Normalized business profile
+   * @returns {number} Rupees per month
+   */
+  estimateMonthlyBase(base, profile = {}) {
+    const employees = Number(profile.employees) || 0;
+    const wage = Number(profile.averageMonthlyWage) || this.assumptions.averageMonthlyWage;
+
+    switch (base) {
+      case 'gst':
+        return Number(profile.monthlyGstLiability) ||
+          ((Number(profile.annualTurnover) || 0) / 12) * this.assumptions.gstNetRate;
+      case 'epf':
+        return employees * Math.min(wage, this.assumptions.epfWageCeiling) * this.assumptions.epfRate;
+      case 'esi':
+        return employees * wage * this.assumptions.esiRate;
+      case 'professionalTax':
+        return employees * this.assumptions.professionalTaxPerEmployee;
+      default:
+        return 0;
+    }
+  }
+
+  /**
+   * Days after `since` on which each monthly amount fell due, up to `days`
+   */
+  _dueOffsets(days) {
+    const offsets = [];
+    for (let offset = MONTH_DAYS; offset <= days; offset += MONTH_DAYS) {
+      offsets.push(offset);
+    }
+    return offsets;
+  }
+
+  _interestRate(component, delayDays) {
+    if (!component.tiers) return component.annualRate;
+
+    const delayMonths = delayDays / MONTH_DAYS;
+    return component.tiers.find(tier => tier.upToMonths === undefined || delayMonths <= tier.upToMonths).annualRate;
+  }
+
+  /**
+   * Amount one formula component has accrued after a number of days
+   * @param {Object} component - Formula component
+   * @param {number} days - Days since the obligation was missed
+   * @param {number} monthlyBase - Monthly tax / contribution amount
+   * @returns {number} Rupees
+   */
+  accrue(component, days, monthlyBase = 0) {
+    if (days < 0) return 0;
+    const offsets = this._dueOffsets(days);
+
+    switch (component.type) {
+      case 'fixed':
+        return component.amount;
+      case 'perDay':
+        return clamp(component.amount * days, { max: component.max });
+      case 'percentOfTax':
+        return clamp((component.percent / 100) * monthlyBase * offsets.length, component);
+      case 'perReturn':
+        return offsets.reduce((total, offset) => total + clamp(component.amount * (days - offset), { max: component.max }), 0);
+      case 'interest':
+        return offsets.reduce((total, offset) => {
+          const delay = days - offset;
+          return total + monthlyBase * (this._interestRate(component, delay) / 100) * (delay / 365);
+        }, 0);
+      default:
+        throw new Error(`Unknown penalty component: ${component.type}`);
+    }
+  }
+
+  /**
+   * Exposure of one obligation today and at each horizon
+   * @param {Object} obligation - Resolved obligation { id, key, name }
+   * @param {Object} profile - Normalized business profile
+   * @param {Object} options - { status, since, dueDate, asOf, horizons }
+   * @returns {Object|null} { complianceId, ..., components, exposure } or null when nothing accrues
+   */
+  calculateObligation(obligation, profile, { status = 'not_started', since, dueDate, asOf = new Date(), horizons = DEFAULT_HORIZONS } = {}) {
+    const formula = this.formulas[obligation.key];
+    if (!formula || status === 'approved') return null;
+
+    const components = (status === 'expired' && formula.expired) || formula.unregistered;
+    const monthlyBase = formula.base ? this.estimateMonthlyBase(formula.base, profile) : 0;
+    const today = startOfDay(asOf);
+    const start = startOfDay(since || dueDate || asOf);
+    const daysOverdue = Math.max(0, Math.round((today - start) / DAY_MS));
+
+    // A missed date counts from that day; a due date only once it has gone by
+    const accrue = (component, days) => (since || days > 0 ? this.accrue(component, days, monthlyBase) : 0);
+    const total = days => Math.round(components.reduce((sum, component) => sum + accrue(component, days), 0));
+    const elapsed = days => Math.round((today - start) / DAY_MS) + days;
+
+    return {
+      complianceId: obligation.id,
+      complianceKey: obligation.key,
+      complianceName: obligation.name,
+      status,
+      since: start,
+      daysOverdue,
+      monthlyBase: Math.round(monthlyBase),
+      components: components.map(component => ({
+        type: component.type,
+        label: component.label,
+        accrued: Math.round(accrue(component, elapsed(0)))
+      })),
+      exposure: {
+        today: total(elapsed(0)),
+        ...Object.fromEntries(horizons.map(days => [`in${days}Days`, total(elapsed(days))]))
+      }
+    };
+  }
+
+  /**
+   * Total exposure across obligations
+   * @param {Array} obligations - Resolved obligations
+   * @param {Object} profile - Normalized business profile
+   * @param {Object} options
+   * @param {Object} options.statuses - complianceId → status
+   * @param {Object} options.since - complianceId → date the obligation was missed
+   * @param {Object} options.dueDates - complianceId → next due date, for obligations not yet missed
+   * @param {Date} options.asOf - Reference date
+   * @param {Array<number>} options.horizons - Projection horizons in days
+   * @returns {Object} { asOf, items, totals, series }
+   */
+  calculateExposure(obligations, profile, { statuses = {}, since = {}, dueDates = {}, asOf = new Date(), horizons = DEFAULT_HORIZONS } = {}) {
+    const items = obligations
+      .map(obligation => this.calculateObligation(obligation, profile, {
+        status: statuses[obligation.id],
+        since: since[obligation.id],
+        dueDate: dueDates[obligation.id],
+        asOf,
+        horizons
+      }))
+      .filter(Boolean)
+      .sort((a, b) => b.exposure[`in${horizons.at(-1)}Days`] - a.exposure[`in${horizons.at(-1)}Days`]);
+
+    const keys = ['today', ...horizons.map(days => `in${days}Days`)];
+    const totals = Object.fromEntries(keys.map(key => [key, items.reduce((sum, item) => sum + item.exposure[key], 0)]));
+
+    return {
+      asOf: startOfDay(asOf),
+      items,
+      totals,
+      // Chart points: day offset from today and the total exposure then
+      series: [0, ...horizons].map((days, index) => ({ days, amount: totals[keys[index]] }))
+    };
+  }
+}
+
+// Shared instance with the default formulas
+export const penaltyCalculator = new PenaltyCalculator();
@@ -0,0 +1,185 @@
+import { EventEmitter } from 'events';
+import cron from 'node-cron';
+import { notificationStore } from './NotificationStore.js';
+import { userProfileStore } from './UserProfileStore.js';
+import { toISODate } from './DueDateEngine.js';
+
+/**
+ * ReminderScheduler - Background deadline and renewal reminders
+ *
+ * FLOW: cron tick → for every saved profile, materialise upcoming obligations
+ * (ComplianceService.generateComplianceCalendar) → when one is within a lead
+ * time (30/7/1 days by default) store an inbox notification and emit
+ * 'notification' (userId, notification) so server.js can push it over Socket.IO.
+ *
+ * Each (obligation, due date, lead time) fires once - the inbox dedupes on it -
+ * so missed ticks or restarts never send a reminder twice.
+ */
+
+export const DEFAULT_LEAD_DAYS = [30, 7, 1];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Parse REMINDER_LEAD_DAYS ('30,7,1')
+ * @param {string} value - Comma-separated day counts
+ * @returns {Array<number>} Lead times, largest first
+ */
+export function parseLeadDays(value) {
+  const days = String(value || '')
+    .split(',')
+    .map(day => parseInt(day, 10))
+    .filter(day => Number.isInteger(day) && day > 0);
+
+  return days.length > 0 ? [...new Set(days)].sort((a, b) => b - a) : [...DEFAULT_LEAD_DAYS];
+}
+
+function startOfDay(date) {
+  const day = new Date(date);
+  day.setHours(0, 0, 0, 0);
+  return day;
+}
+
+function describeDue(daysUntil) {
+  if (daysUntil === 0) return 'due today';
+  if (daysUntil === 1) return 'due tomorrow';
+  return `due in ${daysUntil} days`;
+}
+
+export class ReminderScheduler extends EventEmitter {
+  /**
+   * @param {Object} options
+   * @param {ComplianceService} options.complianceService - Builds each user's calendar
+   * @param {NotificationStore} options.notifications - Inbox reminders are stored in
+   * @param {UserProfileStore} options.profiles - Source of users and their business profiles
+   * @param {Array<number>} options.leadDays - Days before a due date to remind
+   * @param {string} options.schedule - Cron expression for the background run
+   * @param {string} options.timezone - Timezone the cron expression is read in
+   */
+  constructor({
+    complianceService,
+    notifications = notificationStore,
+    profiles = userProfileStore,
+    leadDays = DEFAULT_LEAD_DAYS,
+    schedule = '0 9 * * *',
+    timezone = 'Asia/Kolkata'
+  }) {
+    super();
+
+    this.complianceService = complianceService;
+    this.notifications = notifications;
+    this.profiles = profiles;
+    this.leadDays = [...leadDays].sort((a, b) => b - a);
+    this.schedule = schedule;
+    this.timezone = timezone;
+    this.task = null;
+  }
+
+  /**
+   * Start the background cron job
+   */
+  start() {
+    if (this.task) return;
+
+    if (!cron.validate(this.schedule)) {
+      throw new Error(`Invalid reminder schedule: ${this.schedule}`);
+    }
+
+    this.task = cron.schedule(this.schedule, () => {
+      this.run().catch(error => console.error(`❌ ReminderScheduler: Run failed - ${error.message}`));
+    }, { timezone: this.timezone });
+
+    console.log(`⏰ ReminderScheduler started (${this.schedule} ${this.timezone}, lead times ${this.leadDays.join('/')} days)`);
+  }
+
+  /**
+   * Stop the background cron job
+   */
+  stop() {
+    this.task?.stop();
+    this.task = null;
+  }
+
+  /**
+   * Obligations of a user falling due within the longest lead time
+   * @param {string} userId - User identifier
+   * @param {Object} profile - Business profile
+   * @param {Date} now - Reference time
+   * @returns {Array} [{ type, frequency, dueDate, description, penalty, daysUntil, leadDays }]
+   */
+  getUpcoming(userId, profile, now = new Date()) {
+    const today = startOfDay(now);
+    const horizon = this.leadDays[0];
+
+    return this.complianceService.generateComplianceCalendar(profile, userId, now)
+      .map(entry => {
+        const daysUntil = Math.round((startOfDay(entry.dueDate) - today) / DAY_MS);
+        // Tightest lead time the due date has reached (none for overdue or far-off entries)
+        const leadDays = daysUntil < 0 ? null : [...this.leadDays].reverse().find(days => daysUntil <= days) ?? null;
+        return { ...entry, daysUntil, leadDays };
+      })
+      .filter(entry => entry.daysUntil >= 0 && entry.daysUntil <= horizon);
+  }
+
+  /**
+   * Send due reminders for one user
+   * @param {string} userId - User identifier
+   * @param {Date} now - Reference time
+   * @returns {Array} Notifications created by this run
+   */
+  runForUser(userId, now = new Date()) {
+    const profile = this.profiles.getProfile(userId);
+    if (!profile) return [];
+
+    const created = [];
+    this.getUpcoming(userId, profile, now)
+      .filter(entry => entry.leadDays !== null)
+      .forEach(entry => {
+        const dueDate = startOfDay(entry.dueDate);
+        const dueDay = toISODate(dueDate);
+        const dueLabel = dueDate.toLocaleDateString('en-IN', { day: 'numeric', month: 'short', year: 'numeric' });
+
+        const notification = this.notifications.addNotification(userId, {
+          type: 'deadline_reminder',
+          title: `${entry.type} ${describeDue(entry.daysUntil)}`,
+          message: `${entry.description} by ${dueLabel}. ${entry.penalty ? `Delay: ${entry.penalty}.` : ''}`.trim(),
+          data: {
+            obligation: entry.type,
+            frequency: entry.frequency,
+            dueDate: dueDay,
+            daysUntil: entry.daysUntil,
+            leadDays: entry.leadDays
+          },
+          dedupeKey: `reminder:${entry.type}:${dueDay}:${entry.leadDays}`
+        });
+
+        if (notification) {
+          created.push(notification);
+          this.emit('notification', userId, notification);
+        }
+      });
+
+    return created;
+  }
+
+  /**
+   * Send due reminders for every user with a saved profile
+   * @param {Date} now - Reference time
+   * @returns {Promise<Object>} { users, notifications }
+   */
+  async run(now = new Date()) {
+    const userIds = this.profiles.getUserIds();
+    let notifications = 0;
+
+    userIds.forEach(userId => {
+      try {
+        notifications += this.runForUser(userId, now).length;
+      } catch (error) {
+        console.error(`❌ ReminderScheduler: Failed for user ${userId} - ${error.message}`);
+      }
+    });
+
+    console.log(`⏰ ReminderScheduler: ${notifications} reminders sent to ${userIds.length} users`);
+    return { users: userIds.length, notifications };
+  }
+}
@@ -1,40 +1,39 @@
 import { COMPLIANCE_DATABASE } from '../data/compliances.js';
 import { INDIAN_STATES_DATA } from '../data/states.js';
+import { ConditionEvaluator } from './ConditionEvaluator.js';
+import { complianceResolver } from './ComplianceResolver.js';
+import { complianceStatusStore } from './ComplianceStatusStore.js';
+import { costModel } from './CostModel.js';
+import { fssaiTierSelector } from './FssaiTierSelector.js';
 
 export class RuleEngine {
   constructor() {
     this.complianceDB = COMPLIANCE_DATABASE;
     this.statesDB = INDIAN_STATES_DATA;
+    this.conditionEvaluator = new ConditionEvaluator();
+    this.resolver = complianceResolver;
+    this.statusStore = complianceStatusStore;
+    this.costModel = costModel;
+    this.fssaiTierSelector = fssaiTierSelector;
   }
 
   /**
    * Evaluate compliance requirements based on business profile
+   * (applicability is decided by ComplianceResolver, shared with chat and dashboard)
    */
   evaluateCompliances(businessProfile) {
+    const resolution = this.resolver.resolve(businessProfile);
     const results = {
-      mandatory: [],
-      conditional: [],
-      recommended: [],
-      future: [],
+      profile: resolution.profile,
+      mandatory: resolution.mandatory.map(compliance => this.withFssaiLicence(compliance, resolution.profile)),
+      conditional: resolution.conditional,
+      recommended: resolution.recommended,
+      future: resolution.future,
       timeline: [],
       totalCost: 0,
-      warnings: []
+      warnings: resolution.warnings
     };
 
-    // Central compliances
-    this.evaluateCentralCompliances(businessProfile, results);
-    
-    // State-specific compliances
-    this.evaluateStateCompliances(businessProfile, results);
-    
-    // Business type specific
-    this.evaluateBusinessTypeCompliances(businessProfile, results);
-    
-    // Platform specific (if applicable)
-    if (businessProfile.platforms) {
-      this.evaluatePlatformCompliances(businessProfile, results);
-    }
-
     // Generate timeline
     this.generateTimeline(results);
     
@@ -44,153 +43,22 @@ export class RuleEngine {
     return results;
   }
 
-  evaluateCentralCompliances(profile, results) {
-    const central = this.complianceDB.central;
-
-    // GST evaluation
-    if (this.checkCondition(central.GST.applicableIf, profile)) {
-      results.mandatory.push({
-        ...central.GST,
-        priority: 'high',
-        reason: 'Annual turnover exceeds ₹40 lakhs'
-      });
-    } else {
-      results.future.push({
-        ...central.GST,
-        trigger: 'When annual turnover exceeds ₹40 lakhs',
-        priority: 'medium'
-      });
-    }
-
-    // FSSAI evaluation
-    if (this.checkCondition(central.FSSAI.applicableIf, profile)) {
-      results.mandatory.push({
-        ...central.FSSAI,
-        priority: 'critical',
-        reason: 'Food business requires FSSAI license'
-      });
-    }
-
-    // MSME Udyam (always recommended)
-    results.recommended.push({
-      ...central.MSME_UDYAM,
-      priority: 'high',
-      reason: 'Benefits include priority lending and government schemes'
-    });
-
-    // EPF evaluation
-    if (this.checkCondition(central.EPF.applicableIf, profile)) {
-      results.mandatory.push({
-        ...central.EPF,
-        priority: 'high',
-        reason: '20+ employees require EPF registration'
-      });
-    }
-
-    // ESI evaluation
-    if (this.checkCondition(central.ESI.applicableIf, profile)) {
-      results.mandatory.push({
-        ...central.ESI,
-        priority: 'high',
-        reason: '10+ employees require ESI registration'
-      });
-    }
-
-    // Professional Tax
-    if (profile.employees > 0) {
-      results.mandatory.push({
-        ...central.PROFESSIONAL_TAX,
-        priority: 'medium',
-        reason: 'Businesses with employees must pay professional tax'
-      });
-    }
-  }
-
-  evaluateStateCompliances(profile, results) {
-    const stateCode = profile.state;
-    const stateCompliances = this.complianceDB.stateSpecific[stateCode];
-
-    if (!stateCompliances) {
-      results.warnings.push(`State-specific compliances for ${stateCode} not found in database`);
-      return;
-    }
-
-    // Shops Act (usually mandatory for most businesses)
-    if (stateCompliances.SHOPS_ACT) {
-      results.mandatory.push({
-        ...stateCompliances.SHOPS_ACT,
-        priority: 'high',
-        reason: 'Required for commercial establishments'
-      });
-    }
-
-    // Factories Act (for manufacturing)
-    if (stateCompliances.FACTORIES_ACT && 
-        this.checkCondition(stateCompliances.FACTORIES_ACT.applicableIf, profile)) {
-      results.mandatory.push({
-        ...stateCompliances.FACTORIES_ACT,
-        priority: 'critical',
-        reason: 'Manufacturing business with 10+ employees'
-      });
-    }
-
-    // Trade License
-    if (stateCompliances.TRADE_LICENSE) {
-      results.mandatory.push({
-        ...stateCompliances.TRADE_LICENSE,
-        priority: 'high',
-        reason: 'Local municipal requirement'
-      });
-    }
-  }
-
-  evaluateBusinessTypeCompliances(profile, results) {
-    const businessType = profile.businessType?.toLowerCase();
-    const typeCompliances = this.complianceDB.businessTypeSpecific[businessType];
-
-    if (!typeCompliances) return;
-
-    // Add required compliances
-    typeCompliances.required?.forEach(complianceId => {
-      const compliance = this.findComplianceById(complianceId);
-      if (compliance) {
-        results.mandatory.push({
-          ...compliance,
-          priority: 'critical',
-          reason: `Required for ${businessType} business`
-        });
-      }
-    });
-
-    // Add conditional compliances
-    typeCompliances.conditional?.forEach(complianceId => {
-      const compliance = this.findComplianceById(complianceId);
-      if (compliance) {
-        results.conditional.push({
-          ...compliance,
-          priority: 'medium',
-          reason: `May be required based on specific operations`
-        });
-      }
-    });
-  }
+  /**
+   * Attach the FSSAI licence tier (form, fee, validity options) and its document list
+   * @param {Object} compliance - Resolved compliance
+   * @param {Object} profile - Normalized business profile
+   * @returns {Object} Compliance, with `licence` when it is FSSAI
+   */
+  withFssaiLicence(compliance, profile) {
+    if (compliance.key !== 'FSSAI') return compliance;
 
-  evaluatePlatformCompliances(profile, results) {
-    profile.platforms?.forEach(platform => {
-      const platformReqs = this.complianceDB.platformSpecific[platform.toLowerCase()];
-      if (platformReqs) {
-        results.conditional.push({
-          id: `${platform.toUpperCase()}_ONBOARDING`,
-          name: `${platform} Platform Onboarding`,
-          category: 'platform',
-          requirements: platformReqs.requirements,
-          commission: platformReqs.commission,
-          timeline: platformReqs.timeline,
-          priority: 'medium',
-          reason: `Required for ${platform} integration`
-        });
-      }
-    });
+    const licence = this.fssaiTierSelector.select(profile);
+    return {
+      ...compliance,
+      licence,
+      documents: licence.documents,
+      timeline: licence.timeline
+    };
   }
 
   generateTimeline(results) {
@@ -208,7 +76,7 @@ export class RuleEngine {
         compliance: compliance.name,
         id: compliance.id,
         timeline: compliance.timeline,
-        cost: compliance.cost || 0,
+        cost: this.costModel.governmentFee({ ...compliance, key: compliance.key || compliance.id }, results.profile).fee,
         priority: compliance.priority
       }));
 
@@ -216,66 +84,64 @@ export class RuleEngine {
   }
 
   calculateCosts(results) {
-    let totalCost = 0;
-    
-    [...results.mandatory, ...results.recommended].forEach(compliance => {
-      if (typeof compliance.cost === 'number') {
-        totalCost += compliance.cost;
-      } else if (typeof compliance.cost === 'object') {
-        // Take the basic cost for calculation
-        totalCost += compliance.cost.basic || compliance.cost.state || 0;
-      }
-    });
-
-    results.totalCost = totalCost;
+    // First-year government fees: FSSAI tier and state fee schedules applied to the profile
+    const estimate = this.costModel.estimate([...results.mandatory, ...results.recommended], results.profile);
+    results.totalCost = estimate.breakdown.government;
   }
 
+  /**
+   * Check whether an applicableIf condition holds for a profile
+   * (see ConditionEvaluator for the condition language)
+   */
   checkCondition(condition, profile) {
-    if (!condition) return true;
-
-    for (const [key, rule] of Object.entries(condition)) {
-      const profileValue = profile[key];
-      
-      if (rule.greaterThan && profileValue <= rule.greaterThan) return false;
-      if (rule.greaterThanOrEqual && profileValue < rule.greaterThanOrEqual) return false;
-      if (rule.lessThan && profileValue >= rule.lessThan) return false;
-      if (rule.lessThanOrEqual && profileValue > rule.lessThanOrEqual) return false;
-      if (Array.isArray(rule) && !rule.includes(profileValue)) return false;
-    }
+    return this.conditionEvaluator.evaluate(condition, profile).matched;
+  }
 
-    return true;
+  /**
+   * Evaluate a condition and return { matched, trace, explanation }
+   */
+  explainCondition(condition, profile) {
+    return this.conditionEvaluator.evaluate(condition, profile);
   }
 
   findComplianceById(id) {
-    // Search in central compliances
-    for (const compliance of Object.values(this.complianceDB.central)) {
-      if (compliance.id === id) return compliance;
-    }
-
-    // Search in state-specific compliances
-    for (const state of Object.values(this.complianceDB.stateSpecific)) {
-      for (const compliance of Object.values(state)) {
-        if (compliance.id === id) return compliance;
-      }
-    }
-
-    return null;
+    return this.resolver.findComplianceById(id);
   }
 
   /**
-   * Get business readiness score
+   * Get business readiness score from the user's tracked compliance statuses
    */
-  getReadinessScore(businessProfile) {
+  getReadinessScore(businessProfile, userId = null) {
     const evaluation = this.evaluateCompliances(businessProfile);
-    const totalRequired = evaluation.mandatory.length;
-    const completed = 0; // This would come from user's completion status
+    const mandatoryIds = evaluation.mandatory.map(c => c.id);
+    const progress = this.statusStore.getProgress(userId, mandatoryIds);
+    const completedIds = new Set(this.statusStore.getCompletedIds(userId));
     
     return {
-      score: totalRequired > 0 ? Math.round((completed / totalRequired) * 100) : 100,
-      totalRequired,
-      completed,
-      pending: totalRequired - completed,
-      criticalMissing: evaluation.mandatory.filter(c => c.priority === 'critical').length
+      score: progress.score,
+      totalRequired: progress.total,
+      completed: progress.completed,
+      inProgress: progress.inProgress,
+      expired: progress.expired,
+      pending: progress.total - progress.completed,
+      criticalMissing: evaluation.mandatory.filter(c => c.priority === 'critical' && !completedIds.has(c.id)).length
+    };
+  }
+
+  /**
+   * Mandatory obligations gained or lost between two versions of a profile
+   */
+  compareEvaluations(previousProfile, currentProfile) {
+    const previous = this.evaluateCompliances(previousProfile).mandatory;
+    const current = this.evaluateCompliances(currentProfile).mandatory;
+    const previousIds = new Set(previous.map(c => c.id));
+    const currentIds = new Set(current.map(c => c.id));
+    const summarize = c => ({ id: c.id, name: c.name, priority: c.priority, reason: c.reason });
+
+    return {
+      triggered: current.filter(c => !previousIds.has(c.id)).map(summarize),
+      noLongerRequired: previous.filter(c => !currentIds.has(c.id)).map(summarize),
+      totalMandatory: current.length
     };
   }
 
@@ -0,0 +1,87 @@
+import { SCHEMES } from '../data/schemes.js';
+import { ConditionEvaluator } from './ConditionEvaluator.js';
+import { complianceResolver } from './ComplianceResolver.js';
+import { udyamClassifier, parseAmount } from './UdyamClassifier.js';
+
+/**
+ * SchemeMatcher - Government schemes and subsidies a business is eligible for
+ *
+ * FLOW: raw profile → normalized profile → Udyam category, project cost,
+ *   funding need, new enterprise → each scheme's eligibleIf
+ *   → eligible schemes with the reason and documents, and the rest with
+ *   the condition that ruled them out
+ */
+
+export class SchemeMatcher {
+  /**
+   * @param {Object} options
+   * @param {Array} options.schemes - Scheme catalogue (data/schemes.js)
+   */
+  constructor({ schemes = SCHEMES } = {}) {
+    this.schemes = schemes;
+    this.conditionEvaluator = new ConditionEvaluator();
+  }
+
+  /**
+   * The fields scheme rules are written against
+   * @param {Object} businessProfile - Raw business profile
+   * @returns {Object} Normalized profile with msmeCategory, projectCost, fundingNeed and newEnterprise
+   */
+  buildProfile(businessProfile = {}) {
+    const profile = complianceResolver.normalizeProfile(businessProfile);
+
+    // The Udyam classification wins over a declared category; it is only missing without figures
+    const udyam = udyamClassifier.classify(profile);
+    if (udyam.category) {
+      profile.msmeCategory = udyam.isMsme ? udyam.category : null;
+    }
+
+    profile.projectCost = parseAmount(profile.projectCost) ?? parseAmount(profile.investment) ?? undefined;
+    profile.fundingNeed = parseAmount(profile.loanAmount) ?? profile.projectCost;
+    profile.newEnterprise = profile.newEnterprise ?? !profile.registrationDate;
+    if (typeof profile.ownerSocialCategory === 'string') {
+      profile.ownerSocialCategory = profile.ownerSocialCategory.toLowerCase();
+    }
+
+    return profile;
+  }
+
+  /**
+   * Match the catalogue against a business profile
+   * @param {Object} businessProfile - Raw business profile
+   * @returns {Object} { msmeCategory, eligible: [{ id, name, type, state?, authority, benefit, reason, documents }],
+   *   notEligible: [{ id, name, reason }] }
+   */
+  match(businessProfile = {}) {
+    const profile = this.buildProfile(businessProfile);
+    const eligible = [];
+    const notEligible = [];
+
+    for (const { eligibleIf, ...scheme } of this.schemes) {
+      const { matched, explanation } = this.conditionEvaluator.evaluate(eligibleIf, profile);
+
+      if (matched) {
+        eligible.push({ ...scheme, reason: explanation });
+      } else {
+        notEligible.push({ id: scheme.id, name: scheme.name, reason: `Needs ${explanation}` });
+      }
+    }
+
+    return {
+      msmeCategory: profile.msmeCategory || null,
+      eligible,
+      notEligible
+    };
+  }
+
+  /**
+   * The catalogue without the eligibility rules
+   * @returns {Array} [{ id, name, type, state?, authority, benefit, documents }]
+   */
+  listSchemes() {
+    return this.schemes.map(({ eligibleIf, ...scheme }) => scheme);
+  }
+}
+
+// Shared instance with the current catalogue
+export const schemeMatcher = new SchemeMatcher();
@@ -0,0 +1,153 @@
+import { UDYAM_CATEGORIES, NON_MSME_CATEGORY, UDYAM_BENEFITS } from '../data/udyamCriteria.js';
+
+/**
+ * UdyamClassifier - Micro / Small / Medium enterprise under the Udyam criteria
+ *
+ * FLOW: profile → plant and machinery investment → category by investment
+ *   → turnover net of exports → category by turnover → the higher of the two
+ *   → reasons and the Udyam benefits open to that category
+ *
+ * Investment falls back to the business budget (`investment`) when the
+ * plant and machinery figure is not known; the reasons say so.
+ */
+
+const CATEGORY_ORDER = [...UDYAM_CATEGORIES.map(criteria => criteria.category), NON_MSME_CATEGORY];
+
+function formatAmount(amount) {
+  return amount >= 10000000 ? `₹${+(amount / 10000000).toFixed(2)} crore` : `₹${+(amount / 100000).toFixed(2)} lakh`;
+}
+
+/**
+ * Rupee amount from a number or a string such as "5 lakh" or "2.5 crore"
+ * @param {number|string} value
+ * @returns {number|null}
+ */
+export function parseAmount(value) {
+  if (value === undefined || value === null || value === '') return null;
+  if (typeof value === 'number') return Number.isFinite(value) ? value : null;
+
+  const text = String(value).toLowerCase().replace(/[₹,\s]/g, '');
+  const number = parseFloat(text.match(/[\d.]+/)?.[0]);
+  if (Number.isNaN(number)) return null;
+
+  if (/crore|cr/.test(text)) return number * 10000000;
+  if (/lakh|lac/.test(text)) return number * 100000;
+  if (/k|thousand/.test(text)) return number * 1000;
+  return number;
+}
+
+export class UdyamClassifier {
+  /**
+   * @param {Object} options
+   * @param {Array} options.categories - Category limits, smallest first
+   * @param {Array} options.benefits - Benefits by category
+   */
+  constructor({ categories = UDYAM_CATEGORIES, benefits = UDYAM_BENEFITS } = {}) {
+    this.categories = categories;
+    this.benefits = benefits;
+  }
+
+  _categoryFor(amount, limitField) {
+    const match = this.categories.find(criteria => amount <= criteria[limitField]);
+    return match ? match.category : NON_MSME_CATEGORY;
+  }
+
+  _limitOf(category, limitField) {
+    return this.categories.find(criteria => criteria.category === category)?.[limitField];
+  }
+
+  _describe(measure, amount, category, limitField) {
+    const limit = this._limitOf(category, limitField);
+    if (limit !== undefined) {
+      return `${measure} of ${formatAmount(amount)} is within the ${category} limit of ${formatAmount(limit)}`;
+    }
+    const mediumLimit = this.categories.at(-1)[limitField];
+    return `${measure} of ${formatAmount(amount)} is above the Medium limit of ${formatAmount(mediumLimit)}`;
+  }
+
+  /**
+   * Classify an enterprise
+   * @param {Object} profile - Business profile (plantMachineryInvestment or investment,
+   *   annualTurnover, exportTurnover)
+   * @returns {Object} { category, isMsme, investment, turnover, reasons, benefits }
+   *   category is null when neither investment nor turnover is known
+   */
+  classify(profile = {}) {
+    const reasons = [];
+
+    const plantMachinery = parseAmount(profile.plantMachineryInvestment);
+    const budget = plantMachinery === null ? parseAmount(profile.investment) : null;
+    const investmentAmount = plantMachinery ?? budget;
+    const investment = investmentAmount === null ? null : {
+      amount: investmentAmount,
+      category: this._categoryFor(investmentAmount, 'maxInvestment'),
+      source: plantMachinery !== null ? 'plantMachineryInvestment' : 'investment'
+    };
+
+    const grossTurnover = parseAmount(profile.annualTurnover);
+    const exports = parseAmount(profile.exportTurnover) || 0;
+    const turnover = grossTurnover === null ? null : {
+      amount: Math.max(grossTurnover - exports, 0),
+      category: this._categoryFor(Math.max(grossTurnover - exports, 0), 'maxTurnover'),
+      exportsExcluded: exports
+    };
+
+    if (investment) {
+      const measure = investment.source === 'investment'
+        ? 'Investment (estimated from the business budget)'
+        : 'Investment in plant and machinery';
+      reasons.push(this._describe(measure, investment.amount, investment.category, 'maxInvestment'));
+    }
+    if (turnover) {
+      const measure = exports > 0 ? 'Turnover excluding exports' : 'Turnover';
+      reasons.push(this._describe(measure, turnover.amount, turnover.category, 'maxTurnover'));
+    }
+
+    if (!investment && !turnover) {
+      return {
+        category: null,
+        isMsme: false,
+        investment: null,
+        turnover: null,
+        reasons: ['Investment and turnover are needed to classify the enterprise'],
+        benefits: []
+      };
+    }
+
+    // The higher category of the two measures applies
+    const category = [investment?.category, turnover?.category]
+      .filter(Boolean)
+      .reduce((highest, current) => CATEGORY_ORDER.indexOf(current) > CATEGORY_ORDER.indexOf(highest) ? current : highest);
+
+    if (investment && turnover && investment.category !== turnover.category) {
+      reasons.push(`The higher of the two categories applies: ${category}`);
+    } else if (!investment || !turnover) {
+      reasons.push(`Classified on ${investment ? 'investment' : 'turnover'} alone - add ${investment ? 'turnover' : 'plant and machinery investment'} to confirm`);
+    }
+
+    const isMsme = category !== NON_MSME_CATEGORY;
+
+    return {
+      category,
+      isMsme,
+      investment,
+      turnover,
+      reasons,
+      benefits: isMsme ? this.getBenefits(category) : []
+    };
+  }
+
+  /**
+   * Udyam benefits open to a category
+   * @param {string} category - Micro, Small or Medium
+   * @returns {Array} [{ id, name }]
+   */
+  getBenefits(category) {
+    return this.benefits
+      .filter(benefit => benefit.categories.includes(category))
+      .map(({ id, name }) => ({ id, name }));
+  }
+}
+
+// Shared instance with the current Udyam limits
+export const udyamClassifier = new UdyamClassifier();
@@ -0,0 +1,186 @@
+/**
+ * UserProfileStore - Business profile for each signed-in user
+ *
+ * STRUCTURE: userId → { ...profile fields, createdAt, updatedAt, history[] }
+ * HISTORY: every save that changes a field records { at, changes: { field: { from, to } } }
+ * PERSISTENCE: Same write-through model as ChatHistoryStore (see services/storage)
+ *
+ * Validation happens in routes/user.js; this store trusts what it is given.
+ */
+
+const DATE_FIELDS = ['createdAt', 'updatedAt'];
+const META_FIELDS = ['userId', 'createdAt', 'updatedAt', 'history'];
+
+export class UserProfileStore {
+  constructor() {
+    // USER-ISOLATED STORAGE: Map<userId, profile>
+    this.profiles = new Map();
+
+    // Configuration
+    this.maxHistoryEntries = 50;
+
+    // Persistence (memory-only until attachStorage is called)
+    this.namespace = 'userProfiles';
+    this.storage = null;
+
+    console.log('✅ UserProfileStore initialized');
+  }
+
+  /**
+   * Attach a storage adapter and load previously persisted profiles
+   * @param {Object} storage - Connected storage adapter
+   * @returns {Promise<number>} Number of profiles restored
+   */
+  async attachStorage(storage) {
+    this.storage = storage;
+
+    const records = await storage.loadAll(this.namespace);
+    records.forEach(record => {
+      if (!record?.userId) return;
+      this.profiles.set(record.userId, this._reviveProfile(record));
+    });
+
+    console.log(`✅ UserProfileStore: Restored ${records.length} profiles from ${storage.name} storage`);
+    return records.length;
+  }
+
+  _reviveProfile(record) {
+    const revived = { ...record };
+    DATE_FIELDS.forEach(field => {
+      if (revived[field]) revived[field] = new Date(revived[field]);
+    });
+    revived.history = (record.history || []).map(entry => ({ ...entry, at: new Date(entry.at) }));
+    return revived;
+  }
+
+  _persistProfile(profile) {
+    if (!this.storage) return;
+
+    this.storage.save(this.namespace, profile.userId, profile)
+      .catch(error => console.error(`❌ UserProfileStore: Failed to persist profile for ${profile.userId} - ${error.message}`));
+  }
+
+  _removePersistedProfile(userId) {
+    if (!this.storage) return;
+
+    this.storage.remove(this.namespace, userId)
+      .catch(error => console.error(`❌ UserProfileStore: Failed to remove profile for ${userId} - ${error.message}`));
+  }
+
+  /**
+   * Field-level differences between two profiles (metadata ignored)
+   * @param {Object} previous - Previous profile fields
+   * @param {Object} next - New profile fields
+   * @returns {Object} { field: { from, to } }
+   */
+  _diff(previous, next) {
+    const changes = {};
+    const fields = new Set([...Object.keys(previous), ...Object.keys(next)]);
+
+    fields.forEach(field => {
+      if (META_FIELDS.includes(field)) return;
+      if (JSON.stringify(previous[field]) !== JSON.stringify(next[field])) {
+        changes[field] = { from: previous[field] ?? null, to: next[field] ?? null };
+      }
+    });
+
+    return changes;
+  }
+
+  /**
+   * Get a user's profile
+   * @param {string} userId - User identifier
+   * @returns {Object|null} Profile without history
+   */
+  getProfile(userId) {
+    const profile = this.profiles.get(userId);
+    if (!profile) return null;
+
+    const { history, ...fields } = profile;
+    return fields;
+  }
+
+  /**
+   * IDs of every user with a saved profile
+   * @returns {Array<string>} User identifiers
+   */
+  getUserIds() {
+    return Array.from(this.profiles.keys());
+  }
+
+  /**
+   * Get a user's profile change history, newest first
+   * @param {string} userId - User identifier
+   * @returns {Array} History entries
+   */
+  getHistory(userId) {
+    return [...(this.profiles.get(userId)?.history || [])].reverse();
+  }
+
+  /**
+   * Create, replace or update a profile
+   * @param {string} userId - User identifier
+   * @param {Object} fields - Validated profile fields
+   * @param {Object} options - { merge: keep fields not present in `fields` }
+   * @returns {Object} { profile, previous, changes, created }
+   */
+  saveProfile(userId, fields, { merge = false } = {}) {
+    if (!userId) {
+      throw new Error('userId is required');
+    }
+
+    const now = new Date();
+    const existing = this.profiles.get(userId);
+    const previous = existing ? this.getProfile(userId) : null;
+
+    const baseFields = merge && previous ? previous : {};
+    const nextFields = { ...baseFields, ...fields };
+    const changes = this._diff(previous || {}, nextFields);
+
+    const history = [...(existing?.history || [])];
+    if (Object.keys(changes).length > 0) {
+      history.push({ at: now, changes });
+    }
+
+    const profile = {
+      ...nextFields,
+      userId,
+      createdAt: existing?.createdAt || now,
+      updatedAt: now,
+      history: history.slice(-this.maxHistoryEntries)
+    };
+
+    this.profiles.set(userId, profile);
+    this._persistProfile(profile);
+
+    console.log(`✅ Profile ${existing ? 'updated' : 'created'} for user ${userId} (${Object.keys(changes).length} fields changed)`);
+    return { profile: this.getProfile(userId), previous, changes, created: !existing };
+  }
+
+  /**
+   * Delete a user's profile
+   * @param {string} userId - User identifier
+   * @returns {boolean} Whether a profile existed
+   */
+  deleteProfile(userId) {
+    const deleted = this.profiles.delete(userId);
+    if (deleted) {
+      this._removePersistedProfile(userId);
+    }
+    return deleted;
+  }
+
+  /**
+   * Clear all data (for testing)
+   */
+  clearAll() {
+    this.profiles.clear();
+    if (this.storage) {
+      this.storage.clear(this.namespace)
+        .catch(error => console.error(`❌ UserProfileStore: Failed to clear storage - ${error.message}`));
+    }
+  }
+}
+
+// Export singleton instance
+export const userProfileStore = new UserProfileStore();
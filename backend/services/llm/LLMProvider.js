@@ -1,78 +1,109 @@
-import { Ollama } from 'ollama';
+import { parseJsonReply, validateStructured, StructuredOutputError } from './StructuredOutput.js';
 
 /**
- * Ollama Service - Local AI integration for MSME Compliance Navigator
- * Provides local AI capabilities without external API dependencies
+ * LLMProvider - Base class for the language model backends
+ *
+ * Providers implement generateResponse(); structured (JSON) output, the
+ * prompt helpers below and the per-agent views are shared by every backend.
  */
-export class OllamaService {
-  constructor() {
-    this.ollama = new Ollama({ 
-      host: process.env.OLLAMA_HOST || 'http://localhost:11434' 
-    });
-    this.defaultModel = process.env.OLLAMA_MODEL || 'llama3:latest';
+export class LLMProvider {
+  /**
+   * @param {Object} options
+   * @param {string} options.defaultModel - Model used when no override applies
+   * @param {Object} options.modelOverrides - { agent: model } (e.g. { intent: 'llama3.2:1b' })
+   */
+  constructor({ defaultModel, modelOverrides = {} } = {}) {
+    this.name = 'base';
+    this.defaultModel = defaultModel;
+    this.modelOverrides = modelOverrides;
     this.isAvailable = false;
-    
-    this.init();
   }
 
-  async init() {
-    try {
-      // Test if Ollama is running and model is available
-      const models = await this.ollama.list();
-      const hasModel = models.models.some(model => model.name === this.defaultModel);
-      
-      if (hasModel) {
-        this.isAvailable = true;
-        console.log(`🦙 OllamaService: Connected with model ${this.defaultModel}`);
-      } else {
-        console.log(`⚠️ OllamaService: Model ${this.defaultModel} not found`);
-        await this.pullModel();
-      }
-    } catch (error) {
-      console.log(`❌ OllamaService: Not available - ${error.message}`);
-      this.isAvailable = false;
-    }
+  /**
+   * Generate a response
+   * @param {string} prompt - User prompt
+   * @param {string} systemPrompt - System prompt
+   * @param {Object} options - Model options (temperature, top_p, max_tokens, model), plus:
+   *   onToken(token) - stream tokens as they are generated
+   *   signal - AbortSignal that stops a streamed generation
+   * @returns {Promise<string>} Full response text
+   */
+  async generateResponse(prompt, systemPrompt = '', options = {}) {
+    throw new Error(`${this.constructor.name} does not implement generateResponse`);
   }
 
-  async pullModel() {
-    try {
-      console.log(`⬇️ OllamaService: Pulling model ${this.defaultModel}...`);
-      await this.ollama.pull({ model: this.defaultModel });
-      this.isAvailable = true;
-      console.log(`✅ OllamaService: Model ${this.defaultModel} ready`);
-    } catch (error) {
-      console.log(`❌ OllamaService: Failed to pull model - ${error.message}`);
-      this.isAvailable = false;
+  /**
+   * Generate a JSON object that satisfies a schema
+   * The reply is parsed and repaired (see StructuredOutput), validated, and
+   * requested again with the validation errors while it is still malformed.
+   * @param {string} prompt - User prompt
+   * @param {string} systemPrompt - System prompt; the JSON instructions are appended
+   * @param {Object} options - generateResponse options, plus:
+   *   schema - Joi schema the output must satisfy
+   *   example - Example output shown to the model
+   *   retries - Extra attempts after a malformed reply (default 1)
+   * @returns {Promise<Object>} { value, attempts, repaired }
+   * @throws {StructuredOutputError} when every attempt is malformed (provider errors are rethrown as-is)
+   */
+  async generateStructured(prompt, systemPrompt = '', { schema, example, retries = 1, ...options } = {}) {
+    const form = example ? ` in this form:\n${JSON.stringify(example)}` : '.';
+    const instructions = `${systemPrompt}\n\nRespond with only a JSON object - no prose, no code fences -${form}`;
+    let feedback = '';
+    let reply = '';
+    let errors = [];
+
+    for (let attempt = 1; attempt <= retries + 1; attempt++) {
+      reply = await this.generateResponse(prompt, `${instructions}${feedback}`, { ...options, json: true });
+
+      try {
+        const parsed = parseJsonReply(reply);
+        const result = validateStructured(schema, parsed.value);
+        if (result.errors.length === 0) {
+          return { value: result.value, attempts: attempt, repaired: parsed.repaired };
+        }
+        errors = result.errors;
+      } catch (error) {
+        errors = [error.message];
+      }
+
+      console.log(`⚠️ ${this.name}: Malformed structured output (attempt ${attempt}) - ${errors.join('; ')}`);
+      feedback = `\n\nYour previous reply was rejected: ${errors.join('; ')}. Reply again with only the corrected JSON object.`;
     }
+
+    throw new StructuredOutputError(`No valid structured output after ${retries + 1} attempts`, {
+      attempts: retries + 1,
+      reply,
+      errors
+    });
   }
 
-  async generateResponse(prompt, systemPrompt = '', options = {}) {
-    if (!this.isAvailable) {
-      throw new Error('Ollama service is not available');
-    }
+  /**
+   * The provider as seen by one agent: same backend, with that agent's model override applied
+   * @param {string} agent - Agent key (intent, discovery, compliance, timeline, platform, general, explanation)
+   * @returns {LLMProvider} This provider, or a view that defaults `model` to the override
+   */
+  forAgent(agent) {
+    const model = this.modelOverrides[agent];
+    if (!model) return this;
+
+    const view = Object.create(this);
+    view.agent = agent;
+    view.generateResponse = (prompt, systemPrompt, options = {}) =>
+      this.generateResponse(prompt, systemPrompt, { model, ...options });
+    return view;
+  }
 
-    try {
-      const messages = [
-        { role: 'system', content: systemPrompt },
-        { role: 'user', content: prompt }
-      ];
-
-      const response = await this.ollama.chat({
-        model: this.defaultModel,
-        messages: messages.filter(msg => msg.content), // Filter empty messages
-        options: {
-          temperature: options.temperature || 0.7,
-          top_p: options.top_p || 0.9,
-          max_tokens: options.max_tokens || 500,
-          ...options
-        }
-      });
+  _buildMessages(prompt, systemPrompt) {
+    return [
+      { role: 'system', content: systemPrompt },
+      { role: 'user', content: prompt }
+    ].filter(msg => msg.content); // Filter empty messages
+  }
 
-      return response.message.content;
-    } catch (error) {
-      console.error('❌ OllamaService: Generation error:', error.message);
-      throw error;
-    }
+  _abortError() {
+    const error = new Error('Generation cancelled');
+    error.name = 'AbortError';
+    return error;
   }
 
   /**
@@ -139,7 +170,7 @@ User asked: "${userMessage}"
 
 Provide specific compliance requirements including:
 1. Mandatory licenses and registrations
-2. Estimated costs and timelines  
+2. Estimated costs and timelines
 3. Application process
 4. Documents needed
 
@@ -229,20 +260,21 @@ Be conversational and friendly.`;
   }
 
   /**
-   * Check if Ollama service is ready
+   * Check if the provider is ready
    */
   isReady() {
     return this.isAvailable;
   }
 
   /**
-   * Get service status
+   * Get provider status
    */
   getStatus() {
     return {
+      provider: this.name,
       available: this.isAvailable,
       model: this.defaultModel,
-      host: this.ollama.config.host
+      modelOverrides: this.modelOverrides
     };
   }
-}
\ No newline at end of file
+}
@@ -0,0 +1,95 @@
+import { LLMProvider } from './LLMProvider.js';
+
+/**
+ * Mock Provider - Deterministic scripted responses for tests and offline development
+ *
+ * Rules are checked in order; the first match answers:
+ *   { match, model, reply, once }
+ *   match - substring or RegExp tested against the prompt, or fn(prompt, systemPrompt, options)
+ *   model - only answer requests for this model (per-agent overrides resolve to a model)
+ *   reply - string, or fn(prompt, systemPrompt, options) returning one
+ *   once  - drop the rule after it has answered
+ *
+ * Every request is recorded in `calls`.
+ */
+export class MockProvider extends LLMProvider {
+  /**
+   * @param {Object} options
+   * @param {Array} options.script - Initial rules
+   * @param {string} options.defaultReply - Reply when no rule matches
+   * @param {boolean} options.available - false simulates a provider that is down
+   */
+  constructor({ script = [], defaultReply = 'This is a scripted test response.', available = true, defaultModel = 'mock', modelOverrides = {} } = {}) {
+    super({ defaultModel, modelOverrides });
+    this.name = 'mock';
+    this.rules = [...script];
+    this.defaultReply = defaultReply;
+    this.isAvailable = available;
+    this.calls = [];
+  }
+
+  /**
+   * Add a rule
+   * @returns {MockProvider} this, for chaining
+   */
+  when(match, reply, { model = null, once = false } = {}) {
+    this.rules.push({ match, reply, model, once });
+    return this;
+  }
+
+  /**
+   * Forget recorded calls and rules
+   */
+  reset() {
+    this.rules = [];
+    this.calls = [];
+  }
+
+  async generateResponse(prompt, systemPrompt = '', options = {}) {
+    if (!this.isAvailable) {
+      throw new Error('Mock LLM is not available');
+    }
+
+    const { onToken, signal, ...modelOptions } = options;
+    const model = modelOptions.model || this.defaultModel;
+    this.calls.push({ prompt, systemPrompt, model, options: modelOptions });
+
+    const reply = this._reply(prompt, systemPrompt, { ...modelOptions, model });
+
+    if (!onToken) {
+      return reply;
+    }
+
+    let content = '';
+    for (const token of reply.match(/\S+\s*|\s+/g) || []) {
+      if (signal?.aborted) {
+        throw this._abortError();
+      }
+      content += token;
+      onToken(token);
+    }
+    return content;
+  }
+
+  _reply(prompt, systemPrompt, options) {
+    const index = this.rules.findIndex(rule =>
+      (!rule.model || rule.model === options.model) && this._matches(rule.match, prompt, systemPrompt, options)
+    );
+    if (index === -1) {
+      return this.defaultReply;
+    }
+
+    const rule = this.rules[index];
+    if (rule.once) {
+      this.rules.splice(index, 1);
+    }
+    return typeof rule.reply === 'function' ? rule.reply(prompt, systemPrompt, options) : rule.reply;
+  }
+
+  _matches(match, prompt, systemPrompt, options) {
+    if (match == null) return true;
+    if (match instanceof RegExp) return match.test(prompt);
+    if (typeof match === 'function') return match(prompt, systemPrompt, options);
+    return prompt.includes(match);
+  }
+}
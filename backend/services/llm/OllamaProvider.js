@@ -0,0 +1,127 @@
+import { Ollama } from 'ollama';
+import { LLMProvider } from './LLMProvider.js';
+
+/**
+ * Ollama Provider - Local AI integration for MSME Compliance Navigator
+ * Provides local AI capabilities without external API dependencies
+ */
+export class OllamaProvider extends LLMProvider {
+  /**
+   * @param {Object} options
+   * @param {string} options.host - Ollama server URL
+   * @param {string} options.defaultModel - Model pulled and used by default
+   * @param {Object} options.modelOverrides - Per-agent models (see LLMProvider.forAgent)
+   * @param {Object} options.client - Ollama client (defaults to one for `host`)
+   */
+  constructor({ host = 'http://localhost:11434', defaultModel = 'llama3:latest', modelOverrides = {}, client = null } = {}) {
+    super({ defaultModel, modelOverrides });
+    this.name = 'ollama';
+    this.ollama = client || new Ollama({ host });
+
+    this.init();
+  }
+
+  async init() {
+    try {
+      // Test if Ollama is running and model is available
+      const models = await this.ollama.list();
+      const hasModel = models.models.some(model => model.name === this.defaultModel);
+
+      if (hasModel) {
+        this.isAvailable = true;
+        console.log(`🦙 OllamaProvider: Connected with model ${this.defaultModel}`);
+      } else {
+        console.log(`⚠️ OllamaProvider: Model ${this.defaultModel} not found`);
+        await this.pullModel();
+      }
+    } catch (error) {
+      console.log(`❌ OllamaProvider: Not available - ${error.message}`);
+      this.isAvailable = false;
+    }
+  }
+
+  async pullModel() {
+    try {
+      console.log(`⬇️ OllamaProvider: Pulling model ${this.defaultModel}...`);
+      await this.ollama.pull({ model: this.defaultModel });
+      this.isAvailable = true;
+      console.log(`✅ OllamaProvider: Model ${this.defaultModel} ready`);
+    } catch (error) {
+      console.log(`❌ OllamaProvider: Failed to pull model - ${error.message}`);
+      this.isAvailable = false;
+    }
+  }
+
+  async generateResponse(prompt, systemPrompt = '', options = {}) {
+    if (!this.isAvailable) {
+      throw new Error('Ollama service is not available');
+    }
+
+    const { onToken, signal, model, json, ...modelOptions } = options;
+
+    try {
+      const request = {
+        model: model || this.defaultModel,
+        messages: this._buildMessages(prompt, systemPrompt),
+        ...(json && { format: 'json' }),
+        options: {
+          temperature: modelOptions.temperature || 0.7,
+          top_p: modelOptions.top_p || 0.9,
+          max_tokens: modelOptions.max_tokens || 500,
+          ...modelOptions
+        }
+      };
+
+      if (onToken) {
+        return await this._streamResponse(request, onToken, signal);
+      }
+
+      const response = await this.ollama.chat(request);
+
+      return response.message.content;
+    } catch (error) {
+      if (error.name !== 'AbortError') {
+        console.error('❌ OllamaProvider: Generation error:', error.message);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Stream a chat completion token by token
+   * @returns {Promise<string>} Full response text
+   */
+  async _streamResponse(request, onToken, signal) {
+    if (signal?.aborted) {
+      throw this._abortError();
+    }
+
+    const stream = await this.ollama.chat({ ...request, stream: true });
+    const abort = () => stream.abort();
+    signal?.addEventListener('abort', abort, { once: true });
+
+    let content = '';
+    try {
+      for await (const part of stream) {
+        const token = part.message?.content;
+        if (token) {
+          content += token;
+          onToken(token);
+        }
+      }
+    } catch (error) {
+      throw signal?.aborted ? this._abortError() : error;
+    } finally {
+      signal?.removeEventListener('abort', abort);
+    }
+
+    return content;
+  }
+
+  getStatus() {
+    return {
+      ...super.getStatus(),
+      host: this.ollama.config?.host
+    };
+  }
+}
@@ -0,0 +1,99 @@
+import OpenAI from 'openai';
+import { LLMProvider } from './LLMProvider.js';
+
+/**
+ * OpenAI-compatible Provider - any server speaking the /v1/chat/completions API
+ * (OpenAI, Grok, or a local llama.cpp / vLLM server via baseURL)
+ */
+export class OpenAICompatibleProvider extends LLMProvider {
+  /**
+   * @param {Object} options
+   * @param {string} options.baseURL - API base URL (defaults to OpenAI)
+   * @param {string} options.apiKey - API key (local servers usually accept any value)
+   * @param {string} options.defaultModel - Model used when no override applies
+   * @param {Object} options.modelOverrides - Per-agent models (see LLMProvider.forAgent)
+   * @param {Object} options.client - OpenAI client (defaults to one for baseURL/apiKey)
+   */
+  constructor({ baseURL, apiKey, defaultModel = 'gpt-4o-mini', modelOverrides = {}, client = null } = {}) {
+    super({ defaultModel, modelOverrides });
+    this.name = 'openai';
+    this.baseURL = baseURL || 'https://api.openai.com/v1';
+    this.client = client || new OpenAI({ baseURL: this.baseURL, apiKey: apiKey || 'not-needed' });
+
+    this.init();
+  }
+
+  async init() {
+    try {
+      // Reachable and accepting our key
+      await this.client.models.list();
+      this.isAvailable = true;
+      console.log(`🤖 OpenAICompatibleProvider: Connected to ${this.baseURL} with model ${this.defaultModel}`);
+    } catch (error) {
+      console.log(`❌ OpenAICompatibleProvider: Not available at ${this.baseURL} - ${error.message}`);
+      this.isAvailable = false;
+    }
+  }
+
+  async generateResponse(prompt, systemPrompt = '', options = {}) {
+    if (!this.isAvailable) {
+      throw new Error('OpenAI-compatible service is not available');
+    }
+
+    const { onToken, signal, model, temperature, top_p, max_tokens, json } = options;
+
+    const request = {
+      model: model || this.defaultModel,
+      messages: this._buildMessages(prompt, systemPrompt),
+      temperature: temperature || 0.7,
+      top_p: top_p || 0.9,
+      max_tokens: max_tokens || 500,
+      ...(json && { response_format: { type: 'json_object' } })
+    };
+
+    try {
+      if (onToken) {
+        return await this._streamResponse(request, onToken, signal);
+      }
+
+      const completion = await this.client.chat.completions.create(request, { signal });
+      return completion.choices[0]?.message?.content || '';
+    } catch (error) {
+      if (signal?.aborted) {
+        throw this._abortError();
+      }
+      console.error('❌ OpenAICompatibleProvider: Generation error:', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Stream a chat completion token by token
+   * @returns {Promise<string>} Full response text
+   */
+  async _streamResponse(request, onToken, signal) {
+    if (signal?.aborted) {
+      throw this._abortError();
+    }
+
+    const stream = await this.client.chat.completions.create({ ...request, stream: true }, { signal });
+
+    let content = '';
+    for await (const chunk of stream) {
+      const token = chunk.choices[0]?.delta?.content;
+      if (token) {
+        content += token;
+        onToken(token);
+      }
+    }
+
+    return content;
+  }
+
+  getStatus() {
+    return {
+      ...super.getStatus(),
+      host: this.baseURL
+    };
+  }
+}
@@ -0,0 +1,121 @@
+/**
+ * Structured output - JSON replies from a language model, checked against a schema
+ *
+ * FLOW: reply text → parseJsonReply (repairs the usual slips: code fences,
+ *   prose around the object, smart quotes, single quotes, unquoted keys,
+ *   trailing commas, Python literals, truncated output) → validateStructured
+ *   (Joi schema) → value, or an error the caller can send back as a retry.
+ *
+ * LLMProvider.generateStructured() ties these together for every backend.
+ */
+
+export class StructuredOutputError extends Error {
+  /**
+   * @param {string} message
+   * @param {Object} details - { attempts, reply, errors }
+   */
+  constructor(message, { attempts = 0, reply = '', errors = [] } = {}) {
+    super(message);
+    this.name = 'StructuredOutputError';
+    this.attempts = attempts;
+    this.reply = reply;
+    this.errors = errors;
+  }
+}
+
+// Applied in order, each on top of the previous one, until the text parses
+const REPAIRS = [
+  text => text.replace(/[“”]/g, '"').replace(/[‘’]/g, "'"),
+  text => text.replace(/\bTrue\b/g, 'true').replace(/\bFalse\b/g, 'false').replace(/\bNone\b/g, 'null'),
+  text => text.replace(/,\s*([}\]])/g, '$1'),
+  text => text.replace(/([{,]\s*)([A-Za-z_]\w*)\s*:/g, '$1"$2":'),
+  text => text.replace(/'((?:[^'\\]|\\.)*)'/g, (match, inner) => JSON.stringify(inner.replace(/\\'/g, "'")))
+];
+
+function tryParse(text) {
+  try {
+    return { ok: true, value: JSON.parse(text) };
+  } catch {
+    return { ok: false };
+  }
+}
+
+/**
+ * The first JSON object in a reply, with missing closing brackets added when
+ * the model stopped early
+ * @param {string} text
+ * @returns {string|null}
+ */
+function extractObject(text) {
+  const start = text.indexOf('{');
+  if (start === -1) return null;
+
+  const closers = [];
+  let inString = false;
+
+  for (let index = start; index < text.length; index++) {
+    const char = text[index];
+
+    if (inString) {
+      if (char === '\\') index++;
+      else if (char === '"') inString = false;
+      continue;
+    }
+
+    if (char === '"') inString = true;
+    else if (char === '{') closers.push('}');
+    else if (char === '[') closers.push(']');
+    else if (char === '}' || char === ']') {
+      closers.pop();
+      if (closers.length === 0) return text.slice(start, index + 1);
+    }
+  }
+
+  // Truncated: close the open string and brackets
+  return `${text.slice(start).replace(/,\s*$/, '')}${inString ? '"' : ''}${closers.reverse().join('')}`;
+}
+
+/**
+ * Parse a model reply that should be a JSON object
+ * @param {string} text - Reply text
+ * @returns {Object} { value, repaired } - repaired is true when the text needed fixing
+ * @throws {SyntaxError} when no JSON object can be recovered
+ */
+export function parseJsonReply(text) {
+  const raw = String(text ?? '').trim();
+
+  const direct = tryParse(raw);
+  if (direct.ok && direct.value !== null && typeof direct.value === 'object') {
+    return { value: direct.value, repaired: false };
+  }
+
+  let candidate = extractObject(raw.replace(/```(?:json)?/gi, ''));
+  if (candidate === null) {
+    throw new SyntaxError('Reply does not contain a JSON object');
+  }
+
+  for (const repair of [text => text, ...REPAIRS]) {
+    candidate = repair(candidate);
+    const parsed = tryParse(candidate);
+    if (parsed.ok) {
+      return { value: parsed.value, repaired: true };
+    }
+  }
+
+  throw new SyntaxError('Reply contains malformed JSON that could not be repaired');
+}
+
+/**
+ * Validate parsed output against a Joi schema
+ * Unknown keys are dropped and values converted where Joi can (e.g. "0.8" → 0.8).
+ * @param {Object} schema - Joi schema
+ * @param {Object} value - Parsed output
+ * @returns {Object} { value, errors } - errors is empty when the output is valid
+ */
+export function validateStructured(schema, value) {
+  const { error, value: validated } = schema.validate(value, { abortEarly: false, stripUnknown: true });
+  return {
+    value: validated,
+    errors: error ? error.details.map(detail => detail.message) : []
+  };
+}
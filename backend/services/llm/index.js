@@ -0,0 +1,69 @@
+import { LLMProvider } from './LLMProvider.js';
+import { OllamaProvider } from './OllamaProvider.js';
+import { OpenAICompatibleProvider } from './OpenAICompatibleProvider.js';
+import { MockProvider } from './MockProvider.js';
+import { StructuredOutputError, parseJsonReply } from './StructuredOutput.js';
+
+/**
+ * LLM providers - pluggable language model backends for the agents
+ *
+ * Every provider implements:
+ *   generateResponse(prompt, systemPrompt, options) - full text; options.onToken/signal stream and cancel
+ *   generateStructured(prompt, systemPrompt, { schema, example, retries }) - validated JSON, repaired or retried
+ *   forAgent(agent)                                 - same provider with that agent's model override
+ *   isReady() / getStatus()
+ *
+ * BACKENDS (LLM_PROVIDER): ollama (default) | openai (any OpenAI-compatible URL) | mock
+ * MODELS: LLM_MODEL, overridden per agent by LLM_MODEL_<AGENT> (e.g. LLM_MODEL_INTENT=llama3.2:1b)
+ */
+
+export const AGENT_KEYS = ['intent', 'discovery', 'compliance', 'timeline', 'platform', 'general', 'explanation'];
+
+/**
+ * Per-agent model overrides from LLM_MODEL_<AGENT> variables
+ * @param {Object} env - Environment variables
+ * @returns {Object} { agent: model }
+ */
+export function modelOverridesFromEnv(env = process.env) {
+  return Object.fromEntries(
+    AGENT_KEYS
+      .map(agent => [agent, env[`LLM_MODEL_${agent.toUpperCase()}`]])
+      .filter(([, model]) => model)
+  );
+}
+
+/**
+ * Build an LLM provider from environment configuration
+ * @param {Object} env - Environment variables (defaults to process.env)
+ * @returns {LLMProvider} Provider (availability is checked in the background)
+ */
+export function createLLMProvider(env = process.env) {
+  const backend = (env.LLM_PROVIDER || 'ollama').toLowerCase();
+  const modelOverrides = modelOverridesFromEnv(env);
+
+  switch (backend) {
+    case 'ollama':
+      return new OllamaProvider({
+        host: env.OLLAMA_HOST || 'http://localhost:11434',
+        defaultModel: env.LLM_MODEL || env.OLLAMA_MODEL || 'llama3:latest',
+        modelOverrides
+      });
+    case 'openai':
+    case 'openai-compatible': {
+      // USE_GROK points the client at x.ai unless LLM_BASE_URL says otherwise
+      const useGrok = env.USE_GROK === 'true';
+      return new OpenAICompatibleProvider({
+        baseURL: env.LLM_BASE_URL || (useGrok ? env.GROK_API_URL || 'https://api.x.ai/v1' : undefined),
+        apiKey: env.LLM_API_KEY || (useGrok ? env.GROK_API_KEY : env.OPENAI_API_KEY),
+        defaultModel: env.LLM_MODEL || (useGrok ? 'grok-2-latest' : 'gpt-4o-mini'),
+        modelOverrides
+      });
+    }
+    case 'mock':
+      return new MockProvider({ modelOverrides });
+    default:
+      throw new Error(`Unknown LLM_PROVIDER: ${backend}`);
+  }
+}
+
+export { LLMProvider, OllamaProvider, OpenAICompatibleProvider, MockProvider, StructuredOutputError, parseJsonReply };
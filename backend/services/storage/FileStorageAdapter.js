@@ -0,0 +1,108 @@
+import { promises as fs } from 'fs';
+import { join } from 'path';
+
+/**
+ * FileStorageAdapter - JSON file persistence for local development
+ *
+ * Each namespace is stored as one JSON file ({ key: record }) inside the
+ * configured directory. Writes are serialized per namespace and written to a
+ * temp file first, then renamed, so a crash never leaves a half-written file.
+ *
+ * STRUCTURE: <directory>/<namespace>.json → { key: record }
+ */
+
+export class FileStorageAdapter {
+  constructor(directory) {
+    if (!directory) {
+      throw new Error('FileStorageAdapter: directory is required');
+    }
+
+    this.name = 'file';
+    this.directory = directory;
+    this.cache = new Map();        // namespace → Map<key, record>
+    this.writeQueues = new Map();  // namespace → Promise (serialized writes)
+  }
+
+  async connect() {
+    await fs.mkdir(this.directory, { recursive: true });
+    console.log(`💾 FileStorageAdapter: Persisting to ${this.directory}`);
+  }
+
+  _filePath(namespace) {
+    return join(this.directory, `${namespace}.json`);
+  }
+
+  async _readNamespace(namespace) {
+    if (this.cache.has(namespace)) {
+      return this.cache.get(namespace);
+    }
+
+    let records = new Map();
+    try {
+      const raw = await fs.readFile(this._filePath(namespace), 'utf8');
+      records = new Map(Object.entries(JSON.parse(raw)));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.error(`❌ FileStorageAdapter: Failed to read ${namespace} - ${error.message}`);
+        throw error;
+      }
+    }
+
+    this.cache.set(namespace, records);
+    return records;
+  }
+
+  /**
+   * Queue a full rewrite of the namespace file after the previous write finishes
+   */
+  _flush(namespace) {
+    const previous = this.writeQueues.get(namespace) || Promise.resolve();
+
+    const next = previous.then(async () => {
+      const records = this.cache.get(namespace) || new Map();
+      const filePath = this._filePath(namespace);
+      const tempPath = `${filePath}.tmp`;
+
+      await fs.writeFile(tempPath, JSON.stringify(Object.fromEntries(records)), 'utf8');
+      await fs.rename(tempPath, filePath);
+    });
+
+    // Keep the queue alive even if this write fails
+    this.writeQueues.set(namespace, next.catch(() => {}));
+    return next;
+  }
+
+  /**
+   * Wait until every queued write has reached disk
+   */
+  async flush() {
+    // Let saves that are still reading their namespace queue their write first
+    await new Promise(resolve => setImmediate(resolve));
+    await Promise.all(this.writeQueues.values());
+  }
+
+  async loadAll(namespace) {
+    const records = await this._readNamespace(namespace);
+    return Array.from(records.values());
+  }
+
+  async save(namespace, key, record) {
+    const records = await this._readNamespace(namespace);
+    // Snapshot now so later in-memory mutations don't leak into this write
+    records.set(key, JSON.parse(JSON.stringify(record)));
+    return this._flush(namespace);
+  }
+
+  async remove(namespace, key) {
+    const records = await this._readNamespace(namespace);
+    if (records.delete(key)) {
+      return this._flush(namespace);
+    }
+  }
+
+  async clear(namespace) {
+    const records = await this._readNamespace(namespace);
+    records.clear();
+    return this._flush(namespace);
+  }
+}
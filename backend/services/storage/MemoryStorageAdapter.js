@@ -0,0 +1,62 @@
+/**
+ * MemoryStorageAdapter - Default persistence backend (no persistence)
+ *
+ * Keeps records in process memory only. Used when no storage backend is
+ * configured, so behaviour is identical to the original Map-only stores.
+ *
+ * STRUCTURE: namespace → key → record
+ */
+
+export class MemoryStorageAdapter {
+  constructor() {
+    this.name = 'memory';
+    this.namespaces = new Map();
+  }
+
+  _getNamespace(namespace) {
+    if (!this.namespaces.has(namespace)) {
+      this.namespaces.set(namespace, new Map());
+    }
+    return this.namespaces.get(namespace);
+  }
+
+  async connect() {
+    console.log('💾 MemoryStorageAdapter: Data will be lost on server restart');
+  }
+
+  /**
+   * Load every record stored under a namespace
+   * @param {string} namespace - Store namespace (e.g. 'chatHistory')
+   * @returns {Promise<Array>} Array of stored records
+   */
+  async loadAll(namespace) {
+    return Array.from(this._getNamespace(namespace).values());
+  }
+
+  /**
+   * Insert or replace a record
+   * @param {string} namespace - Store namespace
+   * @param {string} key - Unique record key within the namespace
+   * @param {Object} record - Serializable record
+   */
+  async save(namespace, key, record) {
+    this._getNamespace(namespace).set(key, record);
+  }
+
+  /**
+   * Remove a record
+   * @param {string} namespace - Store namespace
+   * @param {string} key - Record key
+   */
+  async remove(namespace, key) {
+    this._getNamespace(namespace).delete(key);
+  }
+
+  /**
+   * Remove every record in a namespace
+   * @param {string} namespace - Store namespace
+   */
+  async clear(namespace) {
+    this._getNamespace(namespace).clear();
+  }
+}
@@ -0,0 +1,69 @@
+import mongoose from 'mongoose';
+
+/**
+ * MongoStorageAdapter - MongoDB persistence via mongoose
+ *
+ * All stores share one collection; each document is one record identified by
+ * (namespace, key). Uses its own connection so it never interferes with any
+ * other mongoose usage in the app.
+ *
+ * STRUCTURE: storedrecords { namespace, key, data }
+ */
+
+const storedRecordSchema = new mongoose.Schema({
+  namespace: { type: String, required: true },
+  key: { type: String, required: true },
+  data: { type: mongoose.Schema.Types.Mixed, required: true }
+}, {
+  timestamps: true,
+  minimize: false
+});
+
+storedRecordSchema.index({ namespace: 1, key: 1 }, { unique: true });
+
+export class MongoStorageAdapter {
+  constructor(uri) {
+    if (!uri) {
+      throw new Error('MongoStorageAdapter: MONGODB_URI is required');
+    }
+
+    this.name = 'mongodb';
+    this.uri = uri;
+    this.connection = null;
+    this.StoredRecord = null;
+  }
+
+  async connect() {
+    this.connection = await mongoose.createConnection(this.uri).asPromise();
+    this.StoredRecord = this.connection.model('StoredRecord', storedRecordSchema);
+    await this.StoredRecord.init(); // Ensure unique index exists before first write
+    console.log(`💾 MongoStorageAdapter: Connected to ${this.connection.name}`);
+  }
+
+  async loadAll(namespace) {
+    const docs = await this.StoredRecord.find({ namespace }).lean();
+    return docs.map(doc => doc.data);
+  }
+
+  async save(namespace, key, record) {
+    await this.StoredRecord.updateOne(
+      { namespace, key },
+      { $set: { data: record } },
+      { upsert: true }
+    );
+  }
+
+  async remove(namespace, key) {
+    await this.StoredRecord.deleteOne({ namespace, key });
+  }
+
+  async clear(namespace) {
+    await this.StoredRecord.deleteMany({ namespace });
+  }
+
+  async disconnect() {
+    if (this.connection) {
+      await this.connection.close();
+    }
+  }
+}
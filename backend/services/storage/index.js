@@ -0,0 +1,51 @@
+import { fileURLToPath } from 'url';
+import { dirname, join, resolve } from 'path';
+import { MemoryStorageAdapter } from './MemoryStorageAdapter.js';
+import { FileStorageAdapter } from './FileStorageAdapter.js';
+import { MongoStorageAdapter } from './MongoStorageAdapter.js';
+
+/**
+ * Storage adapters - pluggable persistence for the in-memory stores
+ *
+ * Every adapter implements the same async interface:
+ *   connect()                         - open files / database connection
+ *   loadAll(namespace)                - all records of a namespace
+ *   save(namespace, key, record)      - insert or replace a record
+ *   remove(namespace, key)            - delete a record
+ *   clear(namespace)                  - delete every record of a namespace
+ *
+ * Stores keep their Maps as the working copy and write through to the
+ * adapter, so isolation and eviction rules live in one place (the store).
+ *
+ * BACKENDS (CHAT_STORAGE): memory (default) | file | mongodb
+ */
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const BACKEND_DIRECTORY = join(__dirname, '..', '..');
+const DEFAULT_FILE_STORAGE_PATH = join(BACKEND_DIRECTORY, 'data', 'storage');
+
+/**
+ * Build a storage adapter from environment configuration
+ * @param {Object} env - Environment variables (defaults to process.env)
+ * @returns {Object} Storage adapter (not yet connected)
+ */
+export function createStorageAdapter(env = process.env) {
+  const backend = (env.CHAT_STORAGE || 'memory').toLowerCase();
+
+  switch (backend) {
+    case 'file':
+      // Relative paths are relative to backend/, not to where the server was started
+      return new FileStorageAdapter(env.CHAT_STORAGE_PATH
+        ? resolve(BACKEND_DIRECTORY, env.CHAT_STORAGE_PATH)
+        : DEFAULT_FILE_STORAGE_PATH);
+    case 'mongodb':
+    case 'mongo':
+      return new MongoStorageAdapter(env.MONGODB_URI);
+    case 'memory':
+      return new MemoryStorageAdapter();
+    default:
+      throw new Error(`Unknown CHAT_STORAGE backend: ${backend}`);
+  }
+}
+
+export { MemoryStorageAdapter, FileStorageAdapter, MongoStorageAdapter };
@@ -0,0 +1,201 @@
+import { jest } from '@jest/globals';
+import { ClassificationAgent } from '../agents/ClassificationAgent.js';
+import { ComplianceAgent } from '../agents/ComplianceAgent.js';
+import { DiscoveryAgent } from '../agents/DiscoveryAgent.js';
+import { AgentOrchestrator } from '../services/AgentOrchestrator.js';
+import { MockProvider } from '../services/llm/index.js';
+
+beforeEach(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('ClassificationAgent.classify', () => {
+  const agent = new ClassificationAgent();
+  const classify = profile => agent.classify(profile).classification;
+
+  test.each([
+    [0, 'NONE'],
+    [1, 'MICRO'],
+    [9, 'MICRO'],
+    [10, 'SMALL'],
+    [19, 'SMALL'],
+    [20, 'MEDIUM'],
+    [49, 'MEDIUM'],
+    [50, 'LARGE']
+  ])('%i employees → %s', (employees, band) => {
+    expect(classify({ businessType: 'restaurant', employees }).employeeBand).toBe(band);
+  });
+
+  test.each([
+    [3999999, 'EXEMPT'],
+    [4000000, 'MICRO'],
+    [50000000, 'MICRO'],
+    [50000001, 'SMALL'],
+    [500000000, 'SMALL'],
+    [500000001, 'MEDIUM'],
+    [2500000000, 'MEDIUM'],
+    [2500000001, 'LARGE']
+  ])('₹%i turnover → %s', (annualTurnover, band) => {
+    expect(classify({ businessType: 'retail', annualTurnover }).turnoverBand).toBe(band);
+  });
+
+  test('infers bands from scale and investment when counts are missing', () => {
+    expect(classify({ businessType: 'cafe', scale: 'medium' }).employeeBand).toBe('MEDIUM');
+    expect(classify({ businessType: 'retail shop', investment: '15 lakh' }).turnoverBand).toBe('MICRO');
+    expect(classify({ businessType: 'factory', investment: '5 crore' }).turnoverBand).toBe('SMALL');
+  });
+
+  test.each([
+    ['restaurant', 'FOOD_BEVERAGE'],
+    ['textile unit', 'MANUFACTURING'],
+    ['kirana store', 'RETAIL_TRADE'],
+    ['consulting', 'SERVICES'],
+    ['construction', 'CONSTRUCTION'],
+    [undefined, 'GENERAL']
+  ])('business type %s → %s', (businessType, code) => {
+    expect(classify({ businessType, employees: 5 }).industryCode).toBe(code);
+  });
+
+  test('normalizes the state and flags the triggers the resolver requires', () => {
+    const result = classify({ businessType: 'restaurant', state: 'Karnataka', employees: 25, annualTurnover: 6000000 });
+
+    expect(result.stateCode).toBe('KA');
+    expect(result.triggers).toMatchObject({
+      fssaiRequired: true,
+      gstRequired: true,
+      epfRequired: true,
+      esiRequired: true
+    });
+  });
+
+  test('requires a profile', () => {
+    expect(() => agent.classify(null)).toThrow('Business profile is required');
+  });
+});
+
+describe('ComplianceAgent.mapObligations', () => {
+  const agent = new ComplianceAgent(new MockProvider());
+
+  test('maps a restaurant to FSSAI with plain-language details', () => {
+    const obligations = agent.mapObligations({ businessType: 'restaurant', state: 'KA', employees: 5 });
+    const fssai = obligations.find(o => o.id === 'FSSAI');
+
+    expect(fssai).toMatchObject({ mandatory: true, category: expect.any(String) });
+    expect(fssai.obligations.length).toBeGreaterThan(0);
+    expect(fssai.description).toEqual(expect.any(String));
+  });
+
+  test('lists mandatory obligations before optional ones', () => {
+    const obligations = agent.mapObligations({ businessType: 'restaurant', state: 'MH', employees: 25 });
+    const firstOptional = obligations.findIndex(o => !o.mandatory);
+
+    if (firstOptional !== -1) {
+      expect(obligations.slice(firstOptional).every(o => !o.mandatory)).toBe(true);
+    }
+    expect(obligations.map(o => o.id)).toEqual(expect.arrayContaining(['EPF', 'ESI']));
+  });
+
+  test('adds GST only above the turnover threshold', () => {
+    const below = agent.mapObligations({ businessType: 'retail', state: 'KA', annualTurnover: 1000000 });
+    const above = agent.mapObligations({ businessType: 'retail', state: 'KA', annualTurnover: 6000000 });
+
+    expect(below.find(o => o.id === 'GST')?.mandatory).not.toBe(true);
+    expect(above.find(o => o.id === 'GST')?.mandatory).toBe(true);
+  });
+});
+
+describe('DiscoveryAgent.extractAndInferInfo', () => {
+  const agent = new DiscoveryAgent(new MockProvider(), null);
+  const extract = message => {
+    const profile = {};
+    agent.extractAndInferInfo(message, profile);
+    return profile;
+  };
+
+  test.each([
+    ['opening a cafe in Bangalore', 'Bangalore', 'Karnataka', 'KA'],
+    ['a restaurant in Gurugram', 'Gurugram', 'Haryana', 'HR'],
+    ['bakery near Chennai', 'Chennai', 'Tamil Nadu', 'TN'],
+    ['starting out in Delhi', 'Delhi', 'NCT of Delhi', 'DL']
+  ])('"%s" → %s, %s', (message, city, state, stateId) => {
+    expect(extract(message)).toMatchObject({ city, state, stateId });
+  });
+
+  test('infers the state from a state name alone', () => {
+    expect(extract('a homestay in Kerala')).toMatchObject({ state: 'Kerala', stateId: 'KL' });
+  });
+
+  test.each([
+    ['a cloud kitchen', 'cloud_kitchen', 'food_beverage'],
+    ['a pharmacy', 'pharmacy', 'retail'],
+    ['a textile unit', 'textile', 'manufacturing'],
+    ['a software startup', 'it_company', 'it_services'],
+    ['an online business', 'ecommerce', 'ecommerce']
+  ])('"%s" → %s (%s)', (message, businessType, sector) => {
+    expect(extract(message)).toMatchObject({ businessType, sector });
+  });
+
+  test('records what licences a business type implies', () => {
+    expect(extract('a pub in Pune').inferredRequirements).toMatchObject({ needsFSSAI: true, needsLiquorLicense: true });
+  });
+
+  test.each([
+    ['with 8 employees', 8, 'micro'],
+    ['hiring 30 staff', 30, 'small'],
+    ['about 120 workers', 120, 'medium'],
+    ['a small setup', 5, 'small'],
+    ['a large operation', 100, 'large']
+  ])('"%s" → %i employees, %s scale', (message, employeeCount, scale) => {
+    expect(extract(message)).toMatchObject({ employeeCount, scale });
+  });
+
+  test('parses the budget', () => {
+    expect(extract('budget of 5 lakh').investment).toBe(500000);
+    expect(extract('around 1.5 crore').investment).toBe(15000000);
+  });
+});
+
+describe('AgentOrchestrator', () => {
+  const orchestrator = new AgentOrchestrator(null, null, new MockProvider());
+
+  test.each([
+    'Add this to dashboard',
+    'please UPDATE MY DASHBOARD',
+    'can you sync to dashboard now?',
+    'make this live'
+  ])('"%s" is a dashboard update request', message => {
+    expect(orchestrator._isDashboardUpdateRequest(message)).toBe(true);
+  });
+
+  test.each([
+    'What is on my dashboard?',
+    'I need GST registration',
+    'show me the timeline'
+  ])('"%s" is not a dashboard update request', message => {
+    expect(orchestrator._isDashboardUpdateRequest(message)).toBe(false);
+  });
+
+  test('falls back to keyword intents when the LLM is unavailable', async () => {
+    const offline = new AgentOrchestrator(null, null, new MockProvider({ available: false }));
+
+    expect(await offline._extractIntent('Do I need FSSAI?', {})).toEqual({ type: 'COMPLIANCE' });
+    expect(await offline._extractIntent('How long are the steps?', {})).toEqual({ type: 'TIMELINE' });
+    expect(await offline._extractIntent('Selling on Swiggy', {})).toEqual({ type: 'PLATFORM' });
+    expect(await offline._extractIntent('hello there', {})).toEqual({ type: 'GENERAL' });
+  });
+
+  test('uses the LLM intent when it is valid and ignores anything else', async () => {
+    const llm = new MockProvider()
+      .when(/Intent:$/, '{"intent": "timeline", "confidence": 0.9}', { once: true })
+      .when(/Intent:$/, 'SOMETHING ELSE');
+    const online = new AgentOrchestrator(null, null, llm);
+
+    expect(await online._extractIntent('hi', {})).toEqual({ type: 'TIMELINE', confidence: 0.9, source: 'llm' });
+    expect(await online._extractIntent('hi', {})).toEqual({ type: 'GENERAL' });
+  });
+});
@@ -0,0 +1,208 @@
+import { jest } from '@jest/globals';
+import express from 'express';
+import jwt from 'jsonwebtoken';
+import authRoutes from '../routes/auth.js';
+import chatHistoryRoutes from '../routes/chatHistory.js';
+import { AuthService, AuthError, authService } from '../services/AuthService.js';
+import { chatHistoryStore } from '../services/ChatHistoryStore.js';
+import { authenticateSocket } from '../middleware/auth.js';
+import { createApp } from '../app.js';
+import { MockProvider } from '../services/llm/index.js';
+
+const ALICE = 'google_alice';
+const BOB = 'google_bob';
+
+let server;
+let baseUrl;
+
+beforeAll(async () => {
+  process.env.JWT_SECRET = 'auth-test-secret';
+
+  const app = express();
+  app.use(express.json());
+  app.locals.logger = { error: () => {}, info: () => {} };
+  app.use('/api/auth', authRoutes);
+  app.use('/api', chatHistoryRoutes);
+
+  await new Promise(resolve => {
+    server = app.listen(0, resolve);
+  });
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+afterAll(async () => {
+  await new Promise(resolve => server.close(resolve));
+});
+
+beforeEach(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  chatHistoryStore.clearAll();
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  delete process.env.GOOGLE_CLIENT_ID;
+});
+
+const bearer = userId => ({ Authorization: `Bearer ${authService.issueToken({ userId })}` });
+
+function fakeGoogle({ tokenInfo, userInfo }) {
+  return {
+    get: jest.fn(async url => {
+      if (url.includes('tokeninfo')) {
+        if (!tokenInfo) throw new Error('400 invalid_token');
+        return { data: tokenInfo };
+      }
+      return { data: userInfo };
+    })
+  };
+}
+
+describe('AuthService', () => {
+  test('session tokens round-trip the user identity', () => {
+    const token = authService.issueToken({ userId: ALICE, email: 'alice@example.com', name: 'Alice' });
+
+    expect(authService.verifyToken(token)).toEqual({ userId: ALICE, email: 'alice@example.com', name: 'Alice' });
+  });
+
+  test('rejects tokens signed with another secret or already expired', () => {
+    const forged = jwt.sign({}, 'not-our-secret', { subject: ALICE });
+    const expired = jwt.sign({}, process.env.JWT_SECRET, { subject: ALICE, expiresIn: -10 });
+
+    expect(() => authService.verifyToken(forged)).toThrow('Invalid session token');
+    expect(() => authService.verifyToken(expired)).toThrow('Session expired');
+  });
+
+  test('verifies Google access tokens and reads the profile', async () => {
+    process.env.GOOGLE_CLIENT_ID = 'client-1';
+    const service = new AuthService({
+      httpClient: fakeGoogle({
+        tokenInfo: { sub: '123', aud: 'client-1', email: 'alice@example.com' },
+        userInfo: { email: 'alice@example.com', name: 'Alice Rao', given_name: 'Alice', picture: 'https://pic' }
+      })
+    });
+
+    const { token, user } = await service.loginWithGoogle({ accessToken: 'ya29.token' });
+
+    expect(user).toMatchObject({ userId: 'google_123', googleId: '123', name: 'Alice Rao', givenName: 'Alice' });
+    expect(service.verifyToken(token).userId).toBe('google_123');
+  });
+
+  test('rejects tokens Google does not recognise or issued to another client', async () => {
+    process.env.GOOGLE_CLIENT_ID = 'our-client';
+    const invalid = new AuthService({ httpClient: fakeGoogle({}) });
+    await expect(invalid.verifyGoogleToken({ accessToken: 'bogus' })).rejects.toThrow(AuthError);
+
+    const foreign = new AuthService({ httpClient: fakeGoogle({ tokenInfo: { sub: '123', aud: 'other-client' } }) });
+    await expect(foreign.verifyGoogleToken({ accessToken: 'ya29.token' })).rejects.toThrow('different application');
+  });
+
+  test('accepts a token whose authorized party is our client', async () => {
+    process.env.GOOGLE_CLIENT_ID = 'our-client';
+    const service = new AuthService({
+      httpClient: fakeGoogle({ tokenInfo: { sub: '123', aud: 'other-client', azp: 'our-client', email: 'a@example.com' } })
+    });
+
+    await expect(service.verifyGoogleToken({ idToken: 'eyJ.token' })).resolves.toMatchObject({ googleId: '123' });
+  });
+
+  test('refuses every Google token while GOOGLE_CLIENT_ID is unset', async () => {
+    const google = fakeGoogle({ tokenInfo: { sub: '123', aud: 'some-other-app' }, userInfo: {} });
+    const service = new AuthService({ httpClient: google });
+
+    await expect(service.verifyGoogleToken({ accessToken: 'ya29.token' })).rejects.toThrow('GOOGLE_CLIENT_ID must be set');
+    expect(google.get).not.toHaveBeenCalled();
+  });
+
+  test('the app does not start in production without GOOGLE_CLIENT_ID', async () => {
+    const nodeEnv = process.env.NODE_ENV;
+    process.env.NODE_ENV = 'production';
+
+    try {
+      await expect(createApp({ llmProvider: new MockProvider() })).rejects.toThrow('GOOGLE_CLIENT_ID must be set in production');
+    } finally {
+      process.env.NODE_ENV = nodeEnv;
+    }
+  });
+});
+
+describe('/api/auth', () => {
+  test('exchanges a Google token for a session token', async () => {
+    jest.spyOn(authService, 'verifyGoogleToken').mockResolvedValue({
+      googleId: '42', email: 'bob@example.com', name: 'Bob', givenName: 'Bob', picture: ''
+    });
+
+    const login = await fetch(`${baseUrl}/api/auth/google`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ accessToken: 'ya29.token' })
+    });
+    const { token, user } = await login.json();
+    expect(user.userId).toBe('google_42');
+
+    const me = await fetch(`${baseUrl}/api/auth/me`, { headers: { Authorization: `Bearer ${token}` } });
+    expect((await me.json()).user).toMatchObject({ userId: 'google_42', email: 'bob@example.com' });
+  });
+
+  test('returns 401 when Google rejects the token', async () => {
+    jest.spyOn(authService, 'verifyGoogleToken').mockRejectedValue(new AuthError('Google rejected the sign-in token'));
+
+    const response = await fetch(`${baseUrl}/api/auth/google`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ accessToken: 'bogus' })
+    });
+
+    expect(response.status).toBe(401);
+  });
+});
+
+describe('chat history is scoped to the token user', () => {
+  beforeEach(() => {
+    chatHistoryStore.addMessage(ALICE, 'alice-chat', 'user', 'Do I need GST for my bakery?');
+  });
+
+  test('requires a session token', async () => {
+    const response = await fetch(`${baseUrl}/api/chats/alice-chat?userId=${ALICE}`);
+    expect(response.status).toBe(401);
+  });
+
+  test('owner can read the chat', async () => {
+    const response = await fetch(`${baseUrl}/api/chats/alice-chat`, { headers: bearer(ALICE) });
+    expect(response.status).toBe(200);
+    expect((await response.json()).chat.messages).toHaveLength(1);
+  });
+
+  test('another user cannot read or delete it, even by passing userId', async () => {
+    const read = await fetch(`${baseUrl}/api/chats/alice-chat?userId=${ALICE}`, { headers: bearer(BOB) });
+    expect(read.status).toBe(404);
+
+    const removed = await fetch(`${baseUrl}/api/chats/alice-chat?userId=${ALICE}`, { method: 'DELETE', headers: bearer(BOB) });
+    expect(removed.status).toBe(404);
+
+    const list = await (await fetch(`${baseUrl}/api/chats`, { headers: bearer(BOB) })).json();
+    expect(list.totalChats).toBe(0);
+  });
+});
+
+describe('Socket.IO handshake', () => {
+  test('attaches the token user to the socket', () => {
+    const socket = { handshake: { auth: { token: authService.issueToken({ userId: ALICE }) } }, data: {} };
+    const next = jest.fn();
+
+    authenticateSocket(socket, next);
+
+    expect(next).toHaveBeenCalledWith();
+    expect(socket.data.user.userId).toBe(ALICE);
+  });
+
+  test('refuses connections without a valid token', () => {
+    const next = jest.fn();
+
+    authenticateSocket({ handshake: { auth: {} }, data: {} }, next);
+    authenticateSocket({ handshake: { auth: { token: 'garbage' } }, data: {} }, next);
+
+    expect(next).toHaveBeenNthCalledWith(1, expect.objectContaining({ message: 'Authentication required' }));
+    expect(next).toHaveBeenNthCalledWith(2, expect.objectContaining({ message: 'Invalid session token' }));
+  });
+});
@@ -0,0 +1,165 @@
+import { jest } from '@jest/globals';
+import { startTestApp, TEST_USER } from './helpers/testApp.js';
+import { buildICalendar, escapeText, foldLine } from '../services/ICalendar.js';
+import { complianceStatusStore } from '../services/ComplianceStatusStore.js';
+import { userProfileStore } from '../services/UserProfileStore.js';
+
+const PROFILE = { businessType: 'restaurant', state: 'KA', employees: 12, annualTurnover: 6000000 };
+
+// Undo line folding so assertions can look at whole properties
+const unfold = ics => ics.replace(/\r\n /g, '');
+
+describe('ICalendar', () => {
+  test('escapes TEXT values', () => {
+    expect(escapeText('GSTR-1, GSTR-3B; pay\\file\nonline')).toBe('GSTR-1\\, GSTR-3B\\; pay\\\\file\\nonline');
+  });
+
+  test('folds long lines at 75 octets without splitting characters', () => {
+    const line = `DESCRIPTION:${'₹200 per day '.repeat(20)}`;
+    const folded = foldLine(line).split('\r\n');
+
+    expect(folded.length).toBeGreaterThan(1);
+    folded.forEach(part => expect(Buffer.byteLength(part)).toBeLessThanOrEqual(75));
+    expect(folded.slice(1).every(part => part.startsWith(' '))).toBe(true);
+    expect(folded.map((part, i) => (i === 0 ? part : part.slice(1))).join('')).toBe(line);
+  });
+
+  test('builds recurring all-day events with the penalty in the description', () => {
+    const ics = buildICalendar([
+      { type: 'GST Return', frequency: 'monthly', dueDate: new Date(2026, 10, 20), description: 'File GSTR-1 and GSTR-3B', penalty: '₹200 per day delay' },
+      { type: 'FSSAI Renewal', frequency: 'annual', dueDate: new Date(2027, 2, 31), description: 'Renew FSSAI', penalty: 'Late fees and potential closure' }
+    ], { name: 'Chai Point - Compliance Calendar', uidPrefix: 'user1', now: new Date('2026-10-19T03:00:00Z') });
+
+    expect(ics.endsWith('END:VCALENDAR\r\n')).toBe(true);
+    expect(ics.split('\r\n').every(line => !line.includes('\n'))).toBe(true);
+
+    const text = unfold(ics);
+    expect(text).toContain('X-WR-CALNAME:Chai Point - Compliance Calendar');
+    expect(text).toContain('UID:user1-gst-return@msme-compliance');
+    expect(text).toContain('DTSTAMP:20261019T030000Z');
+    expect(text).toContain('DTSTART;VALUE=DATE:20261120\r\nDTEND;VALUE=DATE:20261121\r\nRRULE:FREQ=MONTHLY;BYMONTHDAY=20');
+    expect(text).toContain('DESCRIPTION:File GSTR-1 and GSTR-3B\\nPenalty for delay: ₹200 per day delay');
+    expect(text).toContain('DTSTART;VALUE=DATE:20270331\r\nDTEND;VALUE=DATE:20270401\r\nRRULE:FREQ=YEARLY');
+    expect(text.match(/BEGIN:VEVENT/g)).toHaveLength(2);
+  });
+
+  test('filings moved off the statutory day become EXDATE/RDATE pairs', () => {
+    const text = unfold(buildICalendar([{
+      type: 'GSTR-3B',
+      frequency: 'quarterly',
+      dueDate: new Date(2026, 9, 26),
+      statutoryDueDate: new Date(2026, 9, 24),
+      recurrence: { frequency: 'quarterly', day: 24 },
+      holidayShifts: [
+        { statutoryDueDate: new Date(2026, 9, 24), dueDate: new Date(2026, 9, 26) },
+        { statutoryDueDate: new Date(2027, 0, 24), dueDate: new Date(2027, 0, 25) }
+      ],
+      description: 'File GSTR-3B'
+    }, {
+      type: 'Professional Tax',
+      frequency: 'monthly',
+      dueDate: new Date(2026, 10, 2),
+      statutoryDueDate: new Date(2026, 9, 31),
+      recurrence: { frequency: 'monthly', day: 'last' },
+      holidayShifts: []
+    }]));
+
+    expect(text).toContain('DTSTART;VALUE=DATE:20261024\r\nDTEND;VALUE=DATE:20261025\r\nRRULE:FREQ=MONTHLY;INTERVAL=3;BYMONTHDAY=24');
+    expect(text).toContain('EXDATE;VALUE=DATE:20261024\r\nEXDATE;VALUE=DATE:20270124\r\nRDATE;VALUE=DATE:20261026\r\nRDATE;VALUE=DATE:20270125');
+    expect(text).toContain('RRULE:FREQ=MONTHLY;BYMONTHDAY=-1');
+  });
+
+  test('an empty calendar is still a valid document', () => {
+    expect(buildICalendar([])).toMatch(/^BEGIN:VCALENDAR\r\n[\s\S]*END:VCALENDAR\r\n$/);
+  });
+});
+
+describe('calendar export routes', () => {
+  let harness;
+  let request;
+
+  beforeAll(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    harness = await startTestApp();
+    request = harness.request;
+  });
+
+  afterAll(async () => {
+    await harness.close();
+    jest.restoreAllMocks();
+  });
+
+  beforeEach(() => {
+    harness.reset();
+    complianceStatusStore.updateStatus(TEST_USER.userId, 'GST', { status: 'approved' });
+  });
+
+  async function fetchText(path, { user = TEST_USER } = {}) {
+    const response = await fetch(`${harness.baseUrl}${path}`, {
+      headers: user ? { Authorization: `Bearer ${harness.tokenFor(user)}` } : {}
+    });
+    return { status: response.status, headers: response.headers, text: await response.text() };
+  }
+
+  test('GET /calendar.ics downloads GST return and professional tax deadlines', async () => {
+    const query = `?businessProfile=${encodeURIComponent(JSON.stringify(PROFILE))}`;
+    const { status, headers, text } = await fetchText(`/api/compliance/calendar.ics${query}`);
+
+    expect(status).toBe(200);
+    expect(headers.get('content-type')).toContain('text/calendar');
+    expect(headers.get('content-disposition')).toContain('attachment; filename="compliance-calendar.ics"');
+    expect(unfold(text)).toContain('SUMMARY:GSTR-1 due');
+    expect(unfold(text)).toContain('SUMMARY:GSTR-3B due');
+    expect(unfold(text)).toContain('SUMMARY:Professional Tax due');
+    // Karnataka professional tax is due on the 20th
+    expect(unfold(text)).toContain('RRULE:FREQ=MONTHLY;BYMONTHDAY=20');
+  });
+
+  test('GET /calendar.ics falls back to the saved profile and needs one', async () => {
+    expect((await fetchText('/api/compliance/calendar.ics')).status).toBe(400);
+
+    userProfileStore.saveProfile(TEST_USER.userId, PROFILE);
+    expect((await fetchText('/api/compliance/calendar.ics')).text).toContain('BEGIN:VEVENT');
+  });
+
+  test('GET /calendar.ics rejects a malformed profile with a 400', async () => {
+    const { status, text } = await fetchText(`/api/compliance/calendar.ics?businessProfile=${encodeURIComponent('{oops')}`);
+
+    expect(status).toBe(400);
+    expect(JSON.parse(text).error).toBe('businessProfile must be valid JSON');
+  });
+
+  test('the feed URL serves the calendar without a session token', async () => {
+    userProfileStore.saveProfile(TEST_USER.userId, PROFILE);
+
+    const { body } = await request('/api/compliance/calendar/feed');
+    expect(body.webcalUrl).toMatch(/^webcal:\/\/.*\/api\/compliance\/calendar\/feed\/[\w-]+\.ics$/);
+
+    const feedPath = new URL(body.feedUrl).pathname;
+    const feed = await fetchText(feedPath, { user: null });
+    expect(feed.status).toBe(200);
+    expect(feed.headers.get('content-disposition')).toContain('inline');
+    expect(unfold(feed.text)).toContain('SUMMARY:GSTR-3B due');
+
+    // The same URL is returned until it is rotated
+    expect((await request('/api/compliance/calendar/feed')).body.feedUrl).toBe(body.feedUrl);
+  });
+
+  test('rotating or revoking the feed disables the old URL', async () => {
+    const { body: first } = await request('/api/compliance/calendar/feed');
+    const { body: rotated } = await request('/api/compliance/calendar/feed/rotate', { method: 'POST' });
+
+    expect(rotated.feedUrl).not.toBe(first.feedUrl);
+    expect((await fetchText(new URL(first.feedUrl).pathname, { user: null })).status).toBe(404);
+    expect((await fetchText(new URL(rotated.feedUrl).pathname, { user: null })).status).toBe(200);
+
+    expect((await request('/api/compliance/calendar/feed', { method: 'DELETE' })).status).toBe(200);
+    expect((await fetchText(new URL(rotated.feedUrl).pathname, { user: null })).status).toBe(404);
+    expect((await request('/api/compliance/calendar/feed', { method: 'DELETE' })).status).toBe(404);
+  });
+
+  test('managing the feed requires a signed-in user', async () => {
+    expect((await request('/api/compliance/calendar/feed', { user: null })).status).toBe(401);
+    expect((await request('/api/compliance/calendar/feed/rotate', { method: 'POST', user: null })).status).toBe(401);
+  });
+});
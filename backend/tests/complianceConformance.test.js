@@ -0,0 +1,182 @@
+import { jest } from '@jest/globals';
+import express from 'express';
+import complianceRoutes from '../routes/compliance.js';
+import dashboardRoutes from '../routes/dashboard.js';
+import { RuleEngine } from '../services/RuleEngine.js';
+import { complianceResolver } from '../services/ComplianceResolver.js';
+import { ComplianceAgent } from '../agents/ComplianceAgent.js';
+import { DiscoveryAgent } from '../agents/DiscoveryAgent.js';
+import { ClassificationAgent } from '../agents/ClassificationAgent.js';
+import { authService } from '../services/AuthService.js';
+
+/**
+ * Conformance: chat, dashboard and /api/compliance/evaluate must return the
+ * same obligation set for the same business profile.
+ */
+
+const PROFILES = {
+  'cafe in Pune with 12 staff': {
+    businessType: 'cafe', state: 'MH', city: 'Pune', employees: 12, annualTurnover: 3000000
+  },
+  'powered factory in Karnataka with 25 workers': {
+    businessType: 'manufacturing', state: 'KA', city: 'Bengaluru', employees: 25, usesPower: true, annualTurnover: 20000000
+  },
+  'small unpowered factory in Karnataka': {
+    businessType: 'manufacturing', state: 'KA', city: 'Mysuru', employees: 12, usesPower: false
+  },
+  'retail shop in Delhi above GST threshold': {
+    businessType: 'retail', state: 'DL', city: 'Delhi', employees: 3, annualTurnover: 5000000
+  },
+  'IT services firm in Bihar': {
+    businessType: 'it_services', state: 'BR', city: 'Patna', employees: 40, annualTurnover: 60000000
+  },
+  'solo online seller in Gujarat': {
+    businessType: 'ecommerce', state: 'GJ', city: 'Surat', employees: 0
+  },
+  'restaurant in Tamil Nadu': {
+    businessType: 'restaurant', state: 'TN', city: 'Chennai', employees: 8, annualTurnover: 2500000
+  }
+};
+
+// The LLM is unavailable in tests - agents must fall back to deterministic output
+const offlineLLM = {
+  generateResponse: jest.fn().mockRejectedValue(new Error('LLM offline'))
+};
+
+const ids = list => list.map(item => item.id).sort();
+
+let server;
+let baseUrl;
+let authHeader;
+
+beforeAll(async () => {
+  process.env.JWT_SECRET = 'conformance-test-secret';
+  authHeader = `Bearer ${authService.issueToken({ userId: 'conformance-user' })}`;
+
+  const app = express();
+  app.use(express.json());
+  app.locals.ruleEngine = new RuleEngine();
+  app.locals.logger = { error: () => {}, info: () => {} };
+  app.use('/api/compliance', complianceRoutes);
+  app.use('/api/dashboard', dashboardRoutes);
+
+  await new Promise(resolve => {
+    server = app.listen(0, resolve);
+  });
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+afterAll(async () => {
+  await new Promise(resolve => server.close(resolve));
+});
+
+beforeEach(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+async function evaluateViaApi(profile) {
+  const query = encodeURIComponent(JSON.stringify(profile));
+  const response = await fetch(`${baseUrl}/api/compliance/evaluate?businessProfile=${query}`);
+  expect(response.status).toBe(200);
+  const { evaluation } = await response.json();
+  return ids([...evaluation.mandatory, ...evaluation.recommended]);
+}
+
+async function evaluateViaDashboard(profile) {
+  const response = await fetch(`${baseUrl}/api/dashboard`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', Authorization: authHeader },
+    body: JSON.stringify({ userProfile: profile })
+  });
+  expect(response.status).toBe(200);
+  const { data } = await response.json();
+  return ids(data.obligations);
+}
+
+async function evaluateViaComplianceChat(profile) {
+  const agent = new ComplianceAgent(offlineLLM);
+  const response = await agent.process('What registrations do I need?', {}, { businessProfile: profile });
+  return ids(response.data.obligations);
+}
+
+async function evaluateViaDiscoveryChat(profile) {
+  const agent = new DiscoveryAgent(offlineLLM);
+  const response = await agent.provideComplianceGuidance(profile, {});
+  return ids(response.data.compliances);
+}
+
+describe('compliance conformance across chat, dashboard and API', () => {
+  describe.each(Object.entries(PROFILES))('%s', (_, profile) => {
+    test('every surface returns the resolver obligation set', async () => {
+      const expected = ids(complianceResolver.resolve(profile).obligations);
+      expect(expected.length).toBeGreaterThan(0);
+
+      await expect(evaluateViaApi(profile)).resolves.toEqual(expected);
+      await expect(evaluateViaDashboard(profile)).resolves.toEqual(expected);
+      await expect(evaluateViaComplianceChat(profile)).resolves.toEqual(expected);
+      await expect(evaluateViaDiscoveryChat(profile)).resolves.toEqual(expected);
+    });
+
+    test('classification triggers agree with the resolved obligations', () => {
+      const { classification } = new ClassificationAgent().classify(profile);
+      const keys = complianceResolver.resolve(profile).mandatory.map(c => c.key);
+
+      expect(classification.triggers.gstRequired).toBe(keys.includes('GST'));
+      expect(classification.triggers.fssaiRequired).toBe(keys.includes('FSSAI'));
+      expect(classification.triggers.epfRequired).toBe(keys.includes('EPF'));
+      expect(classification.triggers.esiRequired).toBe(keys.includes('ESI'));
+      expect(classification.triggers.factoriesActRequired).toBe(keys.includes('FACTORIES_ACT'));
+    });
+  });
+});
+
+describe('profile normalization', () => {
+  test('chat, dashboard and API profile shapes resolve identically', () => {
+    const apiShape = { businessType: 'cafe', state: 'DL', employees: 12 };
+    const chatShape = { businessType: 'cafe', state: 'NCT of Delhi', stateId: 'DL', employeeCount: 12, sector: 'food_beverage' };
+    const dashboardShape = { businessType: 'Cafe', state: 'Delhi', employees: '12' };
+
+    const expected = ids(complianceResolver.resolve(apiShape).obligations);
+    expect(ids(complianceResolver.resolve(chatShape).obligations)).toEqual(expected);
+    expect(ids(complianceResolver.resolve(dashboardShape).obligations)).toEqual(expected);
+  });
+
+  test('legacy and city-based state identifiers map to data/states.js codes', () => {
+    expect(complianceResolver.normalizeStateCode('Telangana')).toBe('TG');
+    expect(complianceResolver.normalizeStateCode('TS')).toBe('TG');
+    expect(complianceResolver.normalizeStateCode('Bengaluru')).toBe('KA');
+    expect(complianceResolver.normalizeStateCode('ka')).toBe('KA');
+    expect(complianceResolver.normalizeStateCode('Atlantis')).toBeNull();
+  });
+
+  test('obligations are never duplicated when several rules require them', () => {
+    const resolution = complianceResolver.resolve({ businessType: 'restaurant', state: 'KA', employees: 5 });
+    const obligationIds = resolution.obligations.map(c => c.id);
+
+    expect(new Set(obligationIds).size).toBe(obligationIds.length);
+    expect(obligationIds.filter(id => id === 'FSSAI')).toHaveLength(1);
+  });
+
+  test('unknown states fall back to a generic Shops Act with a warning', () => {
+    const resolution = complianceResolver.resolve({ businessType: 'retail', state: 'Atlantis' });
+
+    expect(resolution.obligations.map(c => c.id)).toContain('SHOPS_ACT');
+    expect(resolution.warnings).toContain('State-specific compliances for Atlantis not found in database');
+  });
+});
+
+describe('platforms outside the joi schema', () => {
+  test('a non-array platforms value is ignored by the dashboard and the API', async () => {
+    const profile = { ...PROFILES['cafe in Pune with 12 staff'], platforms: 'swiggy' };
+    const expected = ids(complianceResolver.resolve(PROFILES['cafe in Pune with 12 staff']).obligations);
+
+    expect(ids(complianceResolver.resolve(profile).obligations)).toEqual(expected);
+    await expect(evaluateViaApi(profile)).resolves.toEqual(expected);
+    await expect(evaluateViaDashboard(profile)).resolves.toEqual(expected);
+  });
+});
@@ -0,0 +1,123 @@
+import { mkdtempSync, cpSync, writeFileSync, readFileSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+import { loadComplianceData, findDanglingReferences } from '../data/complianceLoader.js';
+import { INDIAN_STATES_DATA } from '../data/states.js';
+
+const DATA_DIRECTORY = join(dirname(fileURLToPath(import.meta.url)), '..', 'data', 'compliance');
+
+describe('compliance dataset', () => {
+  test('loads every state and union territory', () => {
+    const { database, versions } = loadComplianceData();
+    const regions = [...INDIAN_STATES_DATA.states, ...INDIAN_STATES_DATA.unionTerritories];
+
+    expect(Object.keys(database.stateSpecific)).toHaveLength(36);
+    regions.forEach(region => {
+      expect(database.stateSpecific[region.id].SHOPS_ACT.id).toBe(`${region.id}_SHOPS_ACT`);
+      expect(versions.states[region.id]).toMatch(/^\d+\.\d+\.\d+$/);
+    });
+  });
+
+  test('reports majorCompliances that have no definition', () => {
+    const { database } = loadComplianceData();
+    const report = findDanglingReferences(database, INDIAN_STATES_DATA);
+
+    expect(report.statesWithoutData).toEqual([]);
+    expect(report.majorCompliances).toContainEqual({ state: 'KA', id: 'KA_IT_POLICY' });
+    expect(report.majorCompliances).not.toContainEqual({ state: 'KA', id: 'KA_FACTORIES_ACT' });
+    expect(report.total).toBe(report.majorCompliances.length + report.businessTypes.length);
+  });
+});
+
+describe('compliance dataset validation', () => {
+  let directory;
+
+  beforeEach(() => {
+    directory = mkdtempSync(join(tmpdir(), 'compliance-data-'));
+    cpSync(DATA_DIRECTORY, directory, { recursive: true });
+  });
+
+  afterEach(() => {
+    rmSync(directory, { recursive: true, force: true });
+  });
+
+  const editState = (stateId, edit) => {
+    const filePath = join(directory, 'states', `${stateId}.json`);
+    const data = JSON.parse(readFileSync(filePath, 'utf8'));
+    edit(data);
+    writeFileSync(filePath, JSON.stringify(data));
+  };
+
+  test('rejects compliances missing required fields', () => {
+    editState('BR', data => { delete data.compliances.SHOPS_ACT.authority; });
+
+    expect(() => loadComplianceData(directory)).toThrow(/BR\.json is invalid - compliances\.SHOPS_ACT\.authority/);
+  });
+
+  test('rejects conditions ConditionEvaluator cannot evaluate', () => {
+    editState('KA', data => {
+      data.compliances.FACTORIES_ACT.applicableIf = { employees: { atLeast: 10 } };
+    });
+
+    expect(() => loadComplianceData(directory)).toThrow(/Unknown operator "atLeast"/);
+  });
+
+  test('rejects IDs that do not match the state file', () => {
+    editState('MH', data => { data.compliances.SHOPS_ACT.id = 'GJ_SHOPS_ACT'; });
+
+    expect(() => loadComplianceData(directory)).toThrow(/SHOPS_ACT must have id MH_SHOPS_ACT/);
+  });
+
+  test('rejects compliances without references', () => {
+    editState('BR', data => { delete data.compliances.SHOPS_ACT.references; });
+
+    expect(() => loadComplianceData(directory)).toThrow(/BR\.json is invalid - compliances\.SHOPS_ACT\.references/);
+  });
+
+  test('rejects references without an https portal URL or verification date', () => {
+    editState('DL', data => {
+      data.compliances.SHOPS_ACT.references = [{ act: 'Delhi Shops and Establishments Act, 1954', url: 'labour.delhi.gov.in' }];
+    });
+
+    expect(() => loadComplianceData(directory)).toThrow(/references\.0\.url.*references\.0\.lastVerified/);
+  });
+
+  test('rejects files without a version', () => {
+    editState('TN', data => { delete data.version; });
+
+    expect(() => loadComplianceData(directory)).toThrow(/TN\.json is invalid - version/);
+  });
+});
+
+describe('compliance references', () => {
+  test('every compliance cites its act and official portal', () => {
+    const { database } = loadComplianceData();
+    const compliances = [
+      ...Object.values(database.central),
+      ...Object.values(database.stateSpecific).flatMap(stateCompliances => Object.values(stateCompliances))
+    ];
+
+    expect(compliances.length).toBeGreaterThan(70);
+    compliances.forEach(compliance => {
+      expect(compliance.references.length).toBeGreaterThan(0);
+      compliance.references.forEach(reference => {
+        expect(reference.act).toEqual(expect.any(String));
+        expect(reference.url).toMatch(/^https:\/\//);
+        expect(reference.lastVerified).toMatch(/^\d{4}-\d{2}-\d{2}$/);
+      });
+    });
+  });
+
+  test('GST cites the threshold section and notification', () => {
+    const { database } = loadComplianceData();
+
+    expect(database.central.GST.references[0]).toEqual({
+      act: 'Central Goods and Services Tax Act, 2017',
+      section: 'Section 22 - persons liable for registration',
+      notification: 'Notification No. 10/2019-Central Tax',
+      url: 'https://www.gst.gov.in/',
+      lastVerified: expect.any(String)
+    });
+  });
+});
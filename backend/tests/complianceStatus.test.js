@@ -0,0 +1,181 @@
+import { jest } from '@jest/globals';
+import express from 'express';
+import complianceRoutes from '../routes/compliance.js';
+import complianceStatusRoutes from '../routes/complianceStatus.js';
+import dashboardRoutes from '../routes/dashboard.js';
+import { RuleEngine } from '../services/RuleEngine.js';
+import { complianceStatusStore } from '../services/ComplianceStatusStore.js';
+import { complianceResolver } from '../services/ComplianceResolver.js';
+import { authService } from '../services/AuthService.js';
+
+const USER = 'status-test-user';
+const PROFILE = { businessType: 'restaurant', state: 'TN', city: 'Chennai', employees: 8, annualTurnover: 5000000 };
+
+let server;
+let baseUrl;
+let authHeader;
+
+beforeAll(async () => {
+  process.env.JWT_SECRET = 'status-test-secret';
+  authHeader = `Bearer ${authService.issueToken({ userId: USER })}`;
+
+  const app = express();
+  app.use(express.json());
+  app.locals.ruleEngine = new RuleEngine();
+  app.locals.logger = { error: () => {}, info: () => {} };
+  app.use('/api/compliance/status', complianceStatusRoutes);
+  app.use('/api/compliance', complianceRoutes);
+  app.use('/api/dashboard', dashboardRoutes);
+
+  await new Promise(resolve => {
+    server = app.listen(0, resolve);
+  });
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+afterAll(async () => {
+  await new Promise(resolve => server.close(resolve));
+});
+
+beforeEach(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+  complianceStatusStore.clearAll();
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+function request(path, options = {}) {
+  return fetch(`${baseUrl}${path}`, {
+    ...options,
+    headers: { 'Content-Type': 'application/json', Authorization: authHeader, ...options.headers }
+  });
+}
+
+function putStatus(complianceId, body) {
+  return request(`/api/compliance/status/${complianceId}`, { method: 'PUT', body: JSON.stringify(body) });
+}
+
+function mandatoryIds() {
+  return complianceResolver.resolve(PROFILE).mandatory.map(c => c.id);
+}
+
+describe('ComplianceStatusStore', () => {
+  test('untracked compliances are not started', () => {
+    expect(complianceStatusStore.getStatus(USER, 'GST')).toMatchObject({ status: 'not_started', history: [] });
+  });
+
+  test('status changes stamp their lifecycle dates and record history', () => {
+    complianceStatusStore.updateStatus(USER, 'GST', { status: 'documents_gathered' });
+    complianceStatusStore.updateStatus(USER, 'GST', { status: 'applied', referenceNumber: 'ARN123' });
+    const record = complianceStatusStore.updateStatus(USER, 'GST', { status: 'approved' });
+
+    expect(record.status).toBe('approved');
+    expect(record.referenceNumber).toBe('ARN123');
+    expect(record.documentsGatheredAt).toBeInstanceOf(Date);
+    expect(record.appliedAt).toBeInstanceOf(Date);
+    expect(record.approvedAt).toBeInstanceOf(Date);
+    expect(record.history.map(entry => entry.status)).toEqual(['documents_gathered', 'applied', 'approved']);
+  });
+
+  test('approved compliances past their expiry are reported as expired', () => {
+    complianceStatusStore.updateStatus(USER, 'FSSAI', { status: 'approved', expiresAt: '2020-01-01' });
+
+    expect(complianceStatusStore.getStatus(USER, 'FSSAI').status).toBe('expired');
+    expect(complianceStatusStore.getCompletedIds(USER)).toEqual([]);
+  });
+
+  test('rejects unknown statuses', () => {
+    expect(() => complianceStatusStore.updateStatus(USER, 'GST', { status: 'done' })).toThrow('Invalid status: done');
+  });
+
+  test('progress counts only approved compliances as completed', () => {
+    complianceStatusStore.updateStatus(USER, 'GST', { status: 'approved' });
+    complianceStatusStore.updateStatus(USER, 'FSSAI', { status: 'applied' });
+
+    expect(complianceStatusStore.getProgress(USER, ['GST', 'FSSAI', 'EPF', 'TN_SHOPS_ACT'])).toEqual({
+      total: 4, completed: 1, inProgress: 1, notStarted: 2, expired: 0, score: 25
+    });
+  });
+
+  test('statuses are isolated per user', () => {
+    complianceStatusStore.updateStatus(USER, 'GST', { status: 'approved' });
+
+    expect(complianceStatusStore.getStatus('someone-else', 'GST').status).toBe('not_started');
+  });
+});
+
+describe('/api/compliance/status', () => {
+  test('updates, reads and resets a status', async () => {
+    const updated = await putStatus('GST', { status: 'applied', referenceNumber: 'ARN42' });
+    expect(updated.status).toBe(200);
+    expect((await updated.json()).status).toMatchObject({ userId: USER, complianceId: 'GST', status: 'applied', referenceNumber: 'ARN42' });
+
+    const listed = await (await request('/api/compliance/status')).json();
+    expect(listed.statuses.map(s => s.complianceId)).toEqual(['GST']);
+
+    const single = await (await request('/api/compliance/status/GST')).json();
+    expect(single.status.status).toBe('applied');
+
+    const reset = await request('/api/compliance/status/GST', { method: 'DELETE' });
+    expect(reset.status).toBe(200);
+
+    const resetAgain = await request('/api/compliance/status/GST', { method: 'DELETE' });
+    expect(resetAgain.status).toBe(404);
+  });
+
+  test('rejects invalid updates', async () => {
+    const badStatus = await putStatus('GST', { status: 'done' });
+    expect(badStatus.status).toBe(400);
+
+    const badDate = await putStatus('GST', { approvedAt: 'yesterday' });
+    expect(badDate.status).toBe(400);
+
+    const spoofedUser = await putStatus('GST', { userId: 'someone-else', status: 'approved' });
+    expect(spoofedUser.status).toBe(400);
+  });
+
+  test('requires a signed-in user', async () => {
+    const response = await fetch(`${baseUrl}/api/compliance/status`);
+    expect(response.status).toBe(401);
+  });
+});
+
+describe('scores reflect tracked progress', () => {
+  test('readiness score counts approved mandatory compliances', async () => {
+    const required = mandatoryIds();
+    const readinessPath = `/api/compliance/readiness?businessProfile=${encodeURIComponent(JSON.stringify(PROFILE))}`;
+
+    const before = await (await request(readinessPath)).json();
+    expect(before.readinessScore).toMatchObject({ score: 0, completed: 0, totalRequired: required.length });
+
+    await putStatus(required[0], { status: 'approved' });
+    await putStatus(required[1], { status: 'applied' });
+
+    const after = await (await request(readinessPath)).json();
+    expect(after.readinessScore).toMatchObject({
+      score: Math.round((1 / required.length) * 100),
+      completed: 1,
+      inProgress: 1
+    });
+    expect(after.readinessScore.criticalMissing).not.toContain(required[0]);
+  });
+
+  test('dashboard score and task statuses follow tracked statuses', async () => {
+    const required = mandatoryIds();
+    required.forEach(id => complianceStatusStore.updateStatus(USER, id, { status: 'approved' }));
+
+    const response = await request('/api/dashboard', {
+      method: 'POST',
+      body: JSON.stringify({ userProfile: PROFILE })
+    });
+    const { data } = await response.json();
+
+    expect(data.complianceScore).toBe(100);
+    data.obligations
+      .filter(c => c.mandatory)
+      .forEach(c => expect(c.status).toBe('completed'));
+  });
+});
@@ -0,0 +1,171 @@
+import { ConditionEvaluator } from '../services/ConditionEvaluator.js';
+
+const evaluator = new ConditionEvaluator();
+const matches = (condition, profile) => evaluator.evaluate(condition, profile).matched;
+
+// Factories Act: 10+ workers with power OR 20+ without
+const FACTORY = {
+  any: [
+    { employees: { greaterThanOrEqual: 10 }, usesPower: true },
+    { employees: { greaterThanOrEqual: 20 }, usesPower: false }
+  ]
+};
+
+describe('operators', () => {
+  test.each([
+    ['greaterThan', 10, 11, 10],
+    ['greaterThanOrEqual', 10, 10, 9],
+    ['lessThan', 10, 9, 10],
+    ['lessThanOrEqual', 10, 10, 11],
+    ['between', [10, 20], 20, 21],
+    ['equals', 'Cafe', 'cafe', 'bakery'],
+    ['notEquals', 'cafe', 'bakery', 'CAFE'],
+    ['in', ['cafe', 'bakery'], 'Bakery', 'salon'],
+    ['notIn', ['cafe', 'bakery'], 'salon', 'cafe'],
+    ['contains', 'food', 'Fast Food Outlet', 'salon'],
+    ['startsWith', 'cloud', 'Cloud kitchen', 'kitchen'],
+    ['endsWith', 'kitchen', 'Cloud Kitchen', 'kitchenette'],
+    ['matches', '^(cafe|dhaba)$', 'Dhaba', 'cafeteria']
+  ])('%s', (operator, expected, passing, failing) => {
+    const field = typeof passing === 'number' ? 'employees' : 'businessType';
+    const condition = { [field]: { [operator]: expected } };
+
+    expect(matches(condition, { [field]: passing })).toBe(true);
+    expect(matches(condition, { [field]: failing })).toBe(false);
+  });
+
+  test('exists', () => {
+    expect(matches({ city: { exists: true } }, { city: 'Pune' })).toBe(true);
+    expect(matches({ city: { exists: true } }, { city: '' })).toBe(false);
+    expect(matches({ city: { exists: false } }, {})).toBe(true);
+    expect(matches({ city: { exists: false } }, { city: 'Pune' })).toBe(false);
+  });
+
+  test('a bare array means in and a bare scalar means equals', () => {
+    expect(matches({ businessType: ['cafe', 'bakery'] }, { businessType: 'cafe' })).toBe(true);
+    expect(matches({ usesPower: true }, { usesPower: true })).toBe(true);
+    expect(matches({ usesPower: true }, { usesPower: false })).toBe(false);
+  });
+
+  test('several operators on one field and several fields are ANDed', () => {
+    const condition = { employees: { greaterThan: 9, lessThan: 20 }, state: 'Kerala' };
+
+    expect(matches(condition, { employees: 12, state: 'Kerala' })).toBe(true);
+    expect(matches(condition, { employees: 20, state: 'Kerala' })).toBe(false);
+    expect(matches(condition, { employees: 12, state: 'Goa' })).toBe(false);
+  });
+
+  test('unknown operators and malformed groups throw', () => {
+    expect(() => evaluator.evaluate({ employees: { atLeast: 10 } }, {}))
+      .toThrow('Unknown operator "atLeast" on field "employees"');
+    expect(() => evaluator.evaluate({ any: { employees: 10 } }, {}))
+      .toThrow('"any" expects an array of conditions');
+  });
+});
+
+describe('groups', () => {
+  test('any, all and not nest', () => {
+    const condition = {
+      all: [
+        { any: [{ businessType: 'cafe' }, { businessType: { contains: 'restaurant' } }] },
+        { not: { state: ['Goa', 'Sikkim'] } }
+      ]
+    };
+
+    expect(matches(condition, { businessType: 'Family Restaurant', state: 'Kerala' })).toBe(true);
+    expect(matches(condition, { businessType: 'cafe', state: 'Goa' })).toBe(false);
+    expect(matches(condition, { businessType: 'salon', state: 'Kerala' })).toBe(false);
+  });
+
+  test('a group next to field clauses is ANDed with them', () => {
+    const condition = { any: [{ usesPower: true }, { employees: { greaterThanOrEqual: 20 } }], sector: 'manufacturing' };
+
+    expect(matches(condition, { usesPower: true, sector: 'manufacturing' })).toBe(true);
+    expect(matches(condition, { usesPower: true, sector: 'services' })).toBe(false);
+  });
+
+  test('a top-level array is an all group', () => {
+    expect(matches([{ usesPower: true }, { employees: 5 }], { usesPower: true, employees: 5 })).toBe(true);
+    expect(matches([{ usesPower: true }, { employees: 5 }], { usesPower: true, employees: 6 })).toBe(false);
+  });
+
+  test('the factory threshold', () => {
+    expect(matches(FACTORY, { employees: 10, usesPower: true })).toBe(true);
+    expect(matches(FACTORY, { employees: 19, usesPower: false })).toBe(false);
+    expect(matches(FACTORY, { employees: 20, usesPower: false })).toBe(true);
+  });
+});
+
+describe('missing profile fields', () => {
+  test('comparisons and string checks do not match a missing value', () => {
+    ['greaterThan', 'lessThan', 'lessThanOrEqual'].forEach(operator => {
+      expect(matches({ employees: { [operator]: 10 } }, {})).toBe(false);
+    });
+    expect(matches({ employees: { between: [0, 10] } }, {})).toBe(false);
+    expect(matches({ businessType: { contains: 'food' } }, {})).toBe(false);
+    expect(matches({ businessType: ['cafe'] }, {})).toBe(false);
+  });
+
+  test('negative checks do match a missing value', () => {
+    expect(matches({ state: { notIn: ['Goa'] } }, {})).toBe(true);
+    expect(matches({ not: { usesPower: true } }, {})).toBe(true);
+  });
+
+  test('explanations say the value was not provided', () => {
+    expect(evaluator.evaluate({ annualTurnover: { greaterThan: 4000000 } }, {}).explanation)
+      .toBe('Annual turnover > ₹40 lakh (not provided)');
+  });
+});
+
+describe('explanations', () => {
+  test('an empty condition applies to everyone', () => {
+    expect(evaluator.evaluate({}, {})).toMatchObject({ matched: true, explanation: 'Applies to all businesses' });
+  });
+
+  test.each([
+    [{ employees: 12, usesPower: true }, true, 'Employees ≥ 10 (12) and Uses power is true'],
+    [{ employees: 25, usesPower: false }, true, 'Employees ≥ 20 (25) and Uses power is false'],
+    [{ employees: 15, usesPower: false }, false, '(Uses power = true (false) or Employees ≥ 20 (15))'],
+    [{ employees: 5, usesPower: true }, false, '(Employees ≥ 10 (5) or Employees ≥ 20 (5) and Uses power = false (true))']
+  ])('the OR example for %o', (profile, matched, explanation) => {
+    expect(evaluator.evaluate(FACTORY, profile)).toMatchObject({ matched, explanation });
+  });
+
+  test('describe lists the requirement without the profile values', () => {
+    const { trace } = evaluator.evaluate(FACTORY, { employees: 12, usesPower: true });
+
+    expect(evaluator.describe(trace))
+      .toBe('(Employees ≥ 10 and Uses power = true or Employees ≥ 20 and Uses power = false)');
+  });
+
+  test('labels replace the generated text', () => {
+    const condition = { ...FACTORY, label: 'Factory under the Factories Act' };
+
+    expect(evaluator.evaluate(condition, { employees: 12, usesPower: true }).explanation)
+      .toBe('Factory under the Factories Act');
+  });
+
+  test('not, ranges, lists and rupee amounts', () => {
+    const explain = (condition, profile) => evaluator.evaluate(condition, profile).explanation;
+
+    expect(explain({ not: { state: ['Goa', 'Sikkim'] } }, { state: 'Kerala' })).toBe('not (State is one of Goa, Sikkim (Kerala))');
+    expect(explain({ annualTurnover: { between: [500000, 25000000] } }, { annualTurnover: 2000000 }))
+      .toBe('Annual turnover between ₹5 lakh and ₹2.5 crore (₹20 lakh)');
+    expect(explain({ businessType: ['cafe', 'bakery'] }, { businessType: 'cafe' })).toBe('Business type is cafe');
+    expect(explain({ city: { exists: true } }, {})).toBe('City is provided (not provided)');
+  });
+
+  test('the trace records each clause', () => {
+    const { trace } = evaluator.evaluate({ employees: { greaterThanOrEqual: 10 } }, { employees: 12 });
+
+    expect(trace).toEqual({
+      type: 'clause',
+      field: 'employees',
+      operator: 'greaterThanOrEqual',
+      expected: 10,
+      actual: 12,
+      matched: true,
+      description: 'Employees ≥ 10'
+    });
+  });
+});
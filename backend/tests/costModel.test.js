@@ -0,0 +1,165 @@
+import { jest } from '@jest/globals';
+import { startTestApp, TEST_USER } from './helpers/testApp.js';
+import { CostModel } from '../services/CostModel.js';
+import { ComplianceService } from '../services/ComplianceService.js';
+import { RuleEngine } from '../services/RuleEngine.js';
+import { complianceResolver } from '../services/ComplianceResolver.js';
+import { userProfileStore } from '../services/UserProfileStore.js';
+
+const model = new CostModel();
+
+// Karnataka restaurant: ₹1.2 crore turnover → FSSAI State Licence, 25 employees
+const PROFILE = { businessType: 'restaurant', state: 'KA', employees: 25, annualTurnover: 12000000 };
+
+const resolve = profile => complianceResolver.resolve(profile);
+const item = (estimate, key) => estimate.items.find(entry => entry.complianceKey === key || entry.id === key);
+
+describe('CostModel fees', () => {
+  test('selects the FSSAI tier from turnover', () => {
+    const fssai = turnover => model.governmentFee(
+      { key: 'FSSAI', cost: { basic: 100, state: 2000, central: 7500 } },
+      { annualTurnover: turnover }
+    );
+
+    expect(fssai(1000000)).toMatchObject({ fee: 100, tier: 'basic', name: 'FSSAI Basic Registration' });
+    expect(fssai(12000000)).toMatchObject({ fee: 2000, tier: 'state' });
+    expect(fssai(250000000)).toMatchObject({ fee: 7500, tier: 'central', name: 'FSSAI Central Licence' });
+  });
+
+  test('applies state Shops Act slabs by headcount and falls back to the default table', () => {
+    const shops = profile => model.governmentFee({ key: 'SHOPS_ACT', cost: 'Varies by number of employees' }, profile).fee;
+
+    expect(shops({ state: 'KA', employees: 5 })).toBe(500);
+    expect(shops({ state: 'KA', employees: 25 })).toBe(2000);
+    expect(shops({ state: 'MH', employees: 60 })).toBe(10000);
+    expect(shops({ state: 'RJ', employees: 60 })).toBe(3000);
+  });
+
+  test('uses sector trade licence fees and the listed fee elsewhere', () => {
+    const obligation = { key: 'TRADE_LICENSE', cost: 1000 };
+
+    expect(model.governmentFee(obligation, { state: 'KA', sector: 'food_beverage' }).fee).toBe(3000);
+    expect(model.governmentFee(obligation, { state: 'KA', sector: 'services' }).fee).toBe(1000);
+  });
+});
+
+describe('CostModel.estimate', () => {
+  test('licences with a validity renew every year while permanent registrations are paid once', () => {
+    const { profile, obligations } = resolve(PROFILE);
+    const estimate = model.estimate(obligations, profile);
+
+    expect(item(estimate, 'FSSAI')).toMatchObject({ oneTime: 2000, recurring: { amount: 2000, frequency: 'annual', startMonth: 12 } });
+    expect(item(estimate, 'SHOPS_ACT')).toMatchObject({ oneTime: 2000, recurring: { amount: 2000 } });
+    expect(item(estimate, 'GST')).toMatchObject({ oneTime: 0, recurring: null });
+
+    expect(estimate.breakdown).toMatchObject({ government: 9500, professional: 0, oneTime: 9500, recurring: 9500 });
+    expect(estimate.summary).toEqual({ immediate: 9500, annual: 9500, monthly: 792 });
+    expect(estimate.projection).toEqual([
+      { year: 1, oneTime: 9500, recurring: 0, total: 9500 },
+      { year: 2, oneTime: 0, recurring: 9500, total: 9500 },
+      { year: 3, oneTime: 0, recurring: 9500, total: 9500 }
+    ]);
+    expect(estimate.projectionTotal).toBe(28500);
+  });
+
+  test('multi-year renewals fall in the year they are due', () => {
+    const estimate = model.estimate([{ id: 'LICENCE', key: 'LICENCE', name: 'Licence', cost: 3000, validity: '3 years' }], {}, { years: 4 });
+
+    expect(estimate.projection.map(year => year.total)).toEqual([3000, 0, 0, 3000]);
+    expect(estimate.summary.annual).toBe(1000);
+  });
+
+  test('professional services are offered when relevant and only counted when switched on', () => {
+    const { profile, obligations } = resolve(PROFILE);
+
+    const offered = model.estimate(obligations, profile);
+    expect(offered.professionalServices.map(service => service.id)).toEqual(
+      ['GST_REGISTRATION', 'GST_FILING', 'PAYROLL_FILING', 'LICENCE_PAPERWORK', 'ANNUAL_ACCOUNTS']
+    );
+    expect(offered.professionalServices.every(service => !service.selected)).toBe(true);
+
+    const selected = model.estimate(obligations, profile, { professionalServices: ['GST_REGISTRATION', 'GST_FILING'] });
+    expect(selected.breakdown.professional).toBe(20000);
+    expect(selected.projection.map(year => year.total)).toEqual([29500, 27500, 27500]);
+
+    // Payroll help is not offered to a business without employees
+    const solo = resolve({ businessType: 'retail', state: 'KA', employees: 0, annualTurnover: 500000 });
+    expect(model.estimate(solo.obligations, solo.profile).professionalServices.map(service => service.id))
+      .not.toContain('PAYROLL_FILING');
+  });
+});
+
+describe('Cost consumers', () => {
+  test('RuleEngine totals first-year government fees for the right FSSAI tier', () => {
+    const evaluation = new RuleEngine().evaluateCompliances(PROFILE);
+
+    expect(evaluation.totalCost).toBe(9500);
+    expect(evaluation.timeline.find(entry => entry.id === 'FSSAI').cost).toBe(2000);
+  });
+
+  test('getCostBreakdown no longer adds fixed professional costs', () => {
+    const evaluation = new RuleEngine().evaluateCompliances(PROFILE);
+    const costs = new ComplianceService().getCostBreakdown(evaluation);
+
+    expect(costs.details.filter(detail => detail.type === 'professional')).toEqual([]);
+    expect(costs.summary.annual).toBeGreaterThan(0);
+    expect(costs.total).toBe(9500);
+    expect(costs.details.find(detail => detail.name === 'FSSAI State Licence')).toMatchObject({
+      cost: 2000,
+      frequency: 'one-time',
+      renewal: { amount: 2000, frequency: 'annual' }
+    });
+  });
+});
+
+describe('POST /api/compliance/cost-breakdown', () => {
+  let harness;
+  let request;
+
+  beforeAll(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    harness = await startTestApp();
+    request = harness.request;
+  });
+
+  afterAll(async () => {
+    await harness.close();
+    jest.restoreAllMocks();
+  });
+
+  beforeEach(() => {
+    harness.reset();
+  });
+
+  test('costs a business profile with the selected professional services', async () => {
+    const { status, body } = await request('/api/compliance/cost-breakdown', {
+      method: 'POST',
+      user: null,
+      body: { businessProfile: PROFILE, professionalServices: ['GST_FILING'] }
+    });
+
+    expect(status).toBe(200);
+    expect(body.costBreakdown.projection).toHaveLength(3);
+    expect(body.costBreakdown.projectionTotal).toBe(28500 + 3 * 18000);
+    expect(body.costBreakdown.professionalServices.find(service => service.id === 'GST_FILING').selected).toBe(true);
+  });
+
+  test('signed-in users default to their saved profile', async () => {
+    expect((await request('/api/compliance/cost-breakdown', { method: 'POST', body: {} })).status).toBe(400);
+
+    userProfileStore.saveProfile(TEST_USER.userId, PROFILE);
+    const { body } = await request('/api/compliance/cost-breakdown', { method: 'POST', body: {} });
+
+    expect(body.costBreakdown.total).toBe(9500);
+  });
+
+  test('rejects unknown professional services', async () => {
+    const { status, body } = await request('/api/compliance/cost-breakdown', {
+      method: 'POST',
+      body: { businessProfile: PROFILE, professionalServices: ['LAWYER'] }
+    });
+
+    expect(status).toBe(400);
+    expect(body.details[0]).toContain('professionalServices');
+  });
+});
@@ -0,0 +1,194 @@
+import { jest } from '@jest/globals';
+import { startTestApp } from './helpers/testApp.js';
+import { DocumentVault } from '../services/DocumentVault.js';
+
+const OTHER_USER = { userId: 'google_other_user', email: 'other@example.com' };
+
+const CAFE_PROFILE = {
+  businessType: 'restaurant',
+  state: 'KA',
+  city: 'Bengaluru',
+  employees: 12,
+  annualTurnover: 6000000
+};
+
+let harness;
+let request;
+
+beforeAll(async () => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+
+  harness = await startTestApp();
+  request = harness.request;
+});
+
+afterAll(async () => {
+  await harness.close();
+  jest.restoreAllMocks();
+});
+
+beforeEach(() => {
+  harness.reset();
+});
+
+/**
+ * POST files as multipart/form-data
+ * @param {Array<Array>} files - [fileName, contents] pairs
+ * @param {Object} fields - Extra form fields (checklistItem, complianceId)
+ */
+async function upload(files, fields = {}, user) {
+  const form = new FormData();
+  files.forEach(([fileName, contents]) => form.append('files', new Blob([contents]), fileName));
+  Object.entries(fields).forEach(([key, value]) => form.append(key, value));
+
+  const response = await fetch(`${harness.baseUrl}/api/documents`, {
+    method: 'POST',
+    headers: { Authorization: `Bearer ${harness.tokenFor(user)}` },
+    body: form
+  });
+  return { status: response.status, body: await response.json() };
+}
+
+describe('DocumentVault.classify', () => {
+  const vault = new DocumentVault();
+
+  test.each([
+    ['pan_card_front.jpg', 'PAN Card'],
+    ['Aadhar-Owner.pdf', 'Aadhaar Card'],
+    ['HDFC bank statement Mar.pdf', 'Bank Statement'],
+    ['shop-rent-agreement.pdf', 'Rent Agreement'],
+    ['FireNOC.pdf', 'NOC from Fire Department'],
+    ['bbmp_noc.pdf', 'NOC from Municipality'],
+    ['salary register 2024.xlsx', 'Salary Register'],
+    ['form_a_fssai.pdf', 'Form A'],
+    ['IMG_2041.jpg', null]
+  ])('%s → %s', (fileName, item) => {
+    expect(vault.classify(fileName)).toBe(item);
+  });
+});
+
+describe('/api/documents', () => {
+  test('POST stores files and tags them from their names', async () => {
+    const { status, body } = await upload([['pan_card.pdf', 'PAN'], ['photo.jpg', 'JPEG']]);
+
+    expect(status).toBe(201);
+    expect(body.documents).toEqual([
+      expect.objectContaining({ fileName: 'pan_card.pdf', checklistItem: 'PAN Card', classifiedBy: 'filename', size: 3 }),
+      expect.objectContaining({ fileName: 'photo.jpg', checklistItem: null, classifiedBy: null })
+    ]);
+  });
+
+  test('POST uses the checklist item and compliance the user picked', async () => {
+    const { body } = await upload([['scan.pdf', 'NOC']], { checklistItem: 'NOC from Municipality', complianceId: 'FSSAI' });
+
+    expect(body.documents[0]).toMatchObject({ checklistItem: 'NOC from Municipality', classifiedBy: 'user', complianceIds: ['FSSAI'] });
+
+    const { body: list } = await request('/api/documents', { query: { complianceId: 'FSSAI' } });
+    expect(list.documents.map(d => d.fileName)).toEqual(['scan.pdf']);
+  });
+
+  test('POST rejects missing files and unsupported types', async () => {
+    expect((await upload([])).status).toBe(400);
+
+    const { status, body } = await upload([['payload.exe', 'MZ']]);
+    expect(status).toBe(400);
+    expect(body.details[0]).toContain('Unsupported file type');
+  });
+
+  test('GET /:id/file downloads the original file', async () => {
+    const { body } = await upload([['rent_agreement.txt', 'Rent: 25,000 per month']]);
+
+    const response = await fetch(`${harness.baseUrl}/api/documents/${body.documents[0].id}/file`, {
+      headers: { Authorization: `Bearer ${harness.tokenFor()}` }
+    });
+
+    expect(response.status).toBe(200);
+    expect(response.headers.get('content-disposition')).toContain('rent_agreement.txt');
+    expect(await response.text()).toBe('Rent: 25,000 per month');
+  });
+
+  test('documents are only visible to their owner', async () => {
+    const { body } = await upload([['pan_card.pdf', 'PAN']]);
+    const documentId = body.documents[0].id;
+
+    expect((await request('/api/documents', { user: OTHER_USER })).body.documents).toEqual([]);
+    expect((await request(`/api/documents/${documentId}/file`, { user: OTHER_USER })).status).toBe(404);
+    expect((await request(`/api/documents/${documentId}`, { method: 'PATCH', body: { checklistItem: 'ID Proof' }, user: OTHER_USER })).status).toBe(404);
+    expect((await request(`/api/documents/${documentId}`, { method: 'DELETE', user: OTHER_USER })).status).toBe(404);
+    expect((await request('/api/documents', { user: null })).status).toBe(401);
+  });
+
+  test('PATCH re-tags and DELETE removes a document', async () => {
+    const { body } = await upload([['IMG_2041.jpg', 'JPEG']]);
+    const documentId = body.documents[0].id;
+
+    const tagged = await request(`/api/documents/${documentId}`, { method: 'PATCH', body: { checklistItem: 'Aadhaar Card', complianceIds: ['MSME_UDYAM'] } });
+    expect(tagged.body.document).toMatchObject({ checklistItem: 'Aadhaar Card', classifiedBy: 'user', complianceIds: ['MSME_UDYAM'] });
+    expect((await request(`/api/documents/${documentId}`, { method: 'PATCH', body: {} })).status).toBe(400);
+
+    expect((await request(`/api/documents/${documentId}`, { method: 'DELETE' })).status).toBe(200);
+    expect((await request('/api/documents')).body.documents).toEqual([]);
+  });
+});
+
+describe('GET /api/documents/checklist', () => {
+  test('lists the documents each pending compliance still needs', async () => {
+    await upload([['pan_card.pdf', 'PAN'], ['aadhaar.pdf', 'UID']]);
+
+    const { status, body } = await request('/api/documents/checklist', { query: { businessProfile: CAFE_PROFILE } });
+    const gst = body.compliances.find(c => c.complianceId === 'GST');
+    const udyam = body.compliances.find(c => c.complianceId === 'MSME_UDYAM');
+
+    expect(status).toBe(200);
+    expect(gst.missing).toEqual(['Bank Statement', 'Business Registration']);
+    expect(Object.keys(gst.provided)).toEqual(['PAN Card', 'Aadhaar Card']);
+    expect(udyam.missing).toEqual([]);
+    expect(body.missingDocuments).toContain('Bank Statement');
+  });
+
+  test('an Aadhaar card also counts as ID and address proof', async () => {
+    await upload([['aadhaar.pdf', 'UID']]);
+
+    const { body } = await request('/api/documents/checklist', { query: { businessProfile: CAFE_PROFILE } });
+    const fssai = body.compliances.find(c => c.complianceId === 'FSSAI');
+
+    expect(fssai.missing).toEqual(['Form A', 'NOC from Municipality']);
+  });
+
+  test('skips approved compliances and falls back to the saved profile', async () => {
+    await request('/api/user/profile', { method: 'POST', body: { userProfile: CAFE_PROFILE } });
+    await request('/api/compliance/status/GST', { method: 'PUT', body: { status: 'approved' } });
+
+    const { body } = await request('/api/documents/checklist');
+
+    expect(body.compliances.map(c => c.complianceId)).not.toContain('GST');
+    expect(body.compliances.length).toBeGreaterThan(0);
+  });
+
+  test('requires a profile', async () => {
+    expect((await request('/api/documents/checklist')).status).toBe(400);
+  });
+
+  test('rejects a malformed profile with a 400', async () => {
+    const { status, body } = await request('/api/documents/checklist', { query: { businessProfile: '{"businessType": ' } });
+
+    expect(status).toBe(400);
+    expect(body).toMatchObject({ error: 'businessProfile must be valid JSON', details: [expect.any(String)] });
+    expect((await request('/api/documents/checklist', { query: { businessProfile: '[1, 2]' } })).body.details)
+      .toEqual(['businessProfile must be a JSON object']);
+  });
+});
+
+describe('dashboard integration', () => {
+  test('obligations list their missing documents', async () => {
+    await upload([['pan_card.pdf', 'PAN']]);
+
+    const { body } = await request('/api/dashboard', { method: 'POST', body: { userProfile: CAFE_PROFILE } });
+    const gst = body.data.obligations.find(o => o.id === 'GST');
+
+    expect(gst.requiredDocuments).toContain('PAN Card');
+    expect(gst.missingDocuments).not.toContain('PAN Card');
+    expect(gst.missingDocuments).toContain('Bank Statement');
+  });
+});
@@ -0,0 +1,160 @@
+import { jest } from '@jest/globals';
+import { DueDateEngine, parseHolidays, validityMonths } from '../services/DueDateEngine.js';
+import { ComplianceService } from '../services/ComplianceService.js';
+import { complianceStatusStore } from '../services/ComplianceStatusStore.js';
+
+// Monday 19 Oct 2026
+const NOW = new Date(2026, 9, 19);
+
+const engine = new DueDateEngine();
+const day = (year, month, date) => new Date(year, month - 1, date);
+
+/**
+ * Next filing of each applicable rule, keyed by rule ID
+ */
+function nextFilings(keys, profile, filingEngine = engine) {
+  return Object.fromEntries(filingEngine.getFilings(keys, profile, NOW).map(filing => [filing.ruleId, filing]));
+}
+
+describe('holiday and weekend roll-forward', () => {
+  test('moves weekend due dates to Monday', () => {
+    expect(engine.rollForward(day(2026, 10, 24), 'UP')).toEqual(day(2026, 10, 26));
+    expect(engine.rollForward(day(2026, 10, 20), 'UP')).toEqual(day(2026, 10, 20));
+  });
+
+  test('skips national holidays everywhere and state holidays only in that state', () => {
+    expect(engine.rollForward(day(2027, 1, 26), 'UP')).toEqual(day(2027, 1, 27));
+    expect(engine.rollForward(day(2027, 11, 1), 'KA')).toEqual(day(2027, 11, 2));
+    expect(engine.rollForward(day(2027, 11, 1), 'UP')).toEqual(day(2027, 11, 1));
+  });
+
+  test('extra holidays come from COMPLIANCE_HOLIDAYS', () => {
+    expect(parseHolidays('2026-11-11, diwali,2026-11-12')).toEqual(['2026-11-11', '2026-11-12']);
+
+    const withHolidays = new DueDateEngine({ extraHolidays: parseHolidays('2026-11-11,2026-11-12') });
+    const filing = nextFilings(['GST'], { state: 'UP' }, withHolidays).GSTR1_MONTHLY;
+
+    expect(filing.statutoryDueDate).toEqual(day(2026, 11, 11));
+    expect(filing.dueDate).toEqual(day(2026, 11, 13));
+    expect(filing.rolledForward).toBe(true);
+  });
+});
+
+describe('GST rules', () => {
+  test('monthly filers: GSTR-1 on the 11th and GSTR-3B on the 20th of the next month', () => {
+    const filings = nextFilings(['GST'], { state: 'KA', annualTurnover: 5000000 });
+
+    expect(Object.keys(filings).sort()).toEqual(['GSTR1_MONTHLY', 'GSTR3B_MONTHLY']);
+    expect(filings.GSTR1_MONTHLY).toMatchObject({ period: 'Oct 2026', dueDate: day(2026, 11, 11) });
+    expect(filings.GSTR3B_MONTHLY).toMatchObject({ period: 'Sep 2026', dueDate: day(2026, 10, 20) });
+  });
+
+  test('GSTR-3B due on a Sunday is listed for the following Monday', () => {
+    const { GSTR3B_MONTHLY } = nextFilings(['GST'], { state: 'KA' });
+
+    expect(GSTR3B_MONTHLY.holidayShifts[0]).toEqual({ statutoryDueDate: day(2026, 12, 20), dueDate: day(2026, 12, 21) });
+  });
+
+  test('QRMP filers: quarterly GSTR-1 on the 13th, GSTR-3B on the 22nd or 24th by state', () => {
+    const quarterly = { annualTurnover: 3000000, gstFilingFrequency: 'quarterly' };
+    const karnataka = nextFilings(['GST'], { ...quarterly, state: 'KA' });
+    const uttarPradesh = nextFilings(['GST'], { ...quarterly, state: 'UP' });
+
+    expect(karnataka.GSTR1_QUARTERLY).toMatchObject({ period: 'Oct-Dec 2026', dueDate: day(2027, 1, 13) });
+    expect(karnataka.GSTR3B_QUARTERLY_22).toMatchObject({ period: 'Jul-Sep 2026', dueDate: day(2026, 10, 22) });
+    // 24 Oct 2026 is a Saturday
+    expect(uttarPradesh.GSTR3B_QUARTERLY_24).toMatchObject({ statutoryDueDate: day(2026, 10, 24), dueDate: day(2026, 10, 26) });
+    expect(uttarPradesh.GSTR3B_QUARTERLY_24.recurrence).toEqual({ frequency: 'quarterly', day: 24 });
+  });
+
+  test('turnover above ₹5 crore cannot use QRMP and adds GSTR-9', () => {
+    const filings = nextFilings(['GST'], { state: 'UP', annualTurnover: 60000000, gstFilingFrequency: 'quarterly' });
+
+    expect(Object.keys(filings).sort()).toEqual(['GSTR1_MONTHLY', 'GSTR3B_MONTHLY', 'GSTR9_ANNUAL']);
+    expect(filings.GSTR9_ANNUAL).toMatchObject({ period: 'FY 2025-26', dueDate: day(2026, 12, 31) });
+  });
+});
+
+describe('payroll rules', () => {
+  test('EPF and ESI are due on the 15th of the next month', () => {
+    const filings = nextFilings(['EPF', 'ESI'], { state: 'UP' });
+
+    // 15 Nov 2026 is a Sunday
+    expect(filings.EPF_MONTHLY).toMatchObject({ statutoryDueDate: day(2026, 11, 15), dueDate: day(2026, 11, 16) });
+    expect(filings.ESI_MONTHLY.dueDate).toEqual(day(2026, 11, 16));
+  });
+
+  test.each([
+    ['KA', 'PT_KA', day(2026, 10, 20)],
+    ['MH', 'PT_MH', day(2026, 11, 2)],
+    ['WB', 'PT_WB', day(2026, 10, 21)],
+    ['TN', 'PT_TN', day(2027, 3, 31)],
+    ['TG', 'PT_TG_AP', day(2026, 11, 10)],
+    ['AP', 'PT_TG_AP', day(2026, 11, 10)],
+    ['GJ', 'PT_DEFAULT', day(2026, 11, 16)]
+  ])('professional tax in %s follows %s', (state, ruleId, dueDate) => {
+    const filings = nextFilings(['PROFESSIONAL_TAX'], { state });
+
+    expect(Object.keys(filings)).toEqual([ruleId]);
+    expect(filings[ruleId].dueDate).toEqual(dueDate);
+  });
+
+  test('Tamil Nadu professional tax is half-yearly', () => {
+    const { PT_TN } = nextFilings(['PROFESSIONAL_TAX'], { state: 'TN' });
+
+    expect(PT_TN).toMatchObject({ frequency: 'half-yearly', period: 'Oct-Mar 2027', recurrence: { day: 'last' } });
+    expect(engine.getOccurrences(engine.rules.find(rule => rule.id === 'PT_TN'), { state: 'TN' }, { from: NOW })).toHaveLength(2);
+  });
+});
+
+describe('renewals', () => {
+  test('validity text maps to months', () => {
+    expect(validityMonths('Annual')).toBe(12);
+    expect(validityMonths('1-5 years')).toBe(12);
+    expect(validityMonths('3 years')).toBe(36);
+    expect(validityMonths('Permanent')).toBeNull();
+  });
+
+  test('a recorded expiry wins, otherwise the next anniversary of the issue date', () => {
+    expect(engine.renewalDate({ expiresAt: day(2027, 2, 1), issuedAt: day(2026, 1, 5) }, 'Annual', NOW)).toEqual(day(2027, 2, 1));
+    expect(engine.renewalDate({ issuedAt: day(2026, 1, 5), approvedAt: day(2026, 3, 1) }, 'Annual', NOW)).toEqual(day(2027, 1, 5));
+    expect(engine.renewalDate({ approvedAt: day(2024, 3, 10) }, 'Annual', NOW)).toEqual(day(2027, 3, 10));
+    expect(engine.renewalDate({ approvedAt: day(2026, 1, 5) }, 'Permanent', NOW)).toBeNull();
+  });
+});
+
+describe('ComplianceService.generateComplianceCalendar', () => {
+  const USER = 'google_due_date_user';
+  const service = new ComplianceService();
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    complianceStatusStore.clearAll();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('lists filings of the obligations that apply, in due-date order', () => {
+    complianceStatusStore.updateStatus(USER, 'GST', { status: 'approved' });
+    complianceStatusStore.updateStatus(USER, 'KA_SHOPS_ACT', { status: 'approved', issuedAt: day(2025, 12, 1) });
+
+    const calendar = service.generateComplianceCalendar(
+      { businessType: 'retail', state: 'KA', employees: 12, annualTurnover: 6000000 }, USER, NOW
+    );
+
+    expect(calendar.map(entry => entry.type)).toEqual([
+      'GSTR-3B', 'Professional Tax', 'GSTR-1', 'ESI Contribution', 'Shops Act Renewal'
+    ]);
+    expect(calendar.at(-1).dueDate).toEqual(day(2026, 12, 1));
+  });
+
+  test('GST returns wait for registration and states without professional tax have none', () => {
+    const calendar = service.generateComplianceCalendar(
+      { businessType: 'retail', state: 'DL', employees: 25, annualTurnover: 6000000 }, USER, NOW
+    );
+
+    expect(calendar.map(entry => entry.type).sort()).toEqual(['EPF Contribution', 'ESI Contribution']);
+  });
+});
@@ -0,0 +1,114 @@
+import { jest } from '@jest/globals';
+import { FssaiTierSelector } from '../services/FssaiTierSelector.js';
+import { RuleEngine } from '../services/RuleEngine.js';
+import { ComplianceService } from '../services/ComplianceService.js';
+import { costModel } from '../services/CostModel.js';
+import { ComplianceAgent } from '../agents/ComplianceAgent.js';
+import { PlatformAgent } from '../agents/PlatformAgent.js';
+
+const selector = new FssaiTierSelector();
+
+const CAFE = { businessType: 'cafe', state: 'KA', employees: 5, annualTurnover: 1000000 };
+
+beforeEach(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('FssaiTierSelector.select', () => {
+  test.each([
+    [1200000, 'basic', 'Form A'],
+    [1200001, 'state', 'Form B'],
+    [200000000, 'state', 'Form B'],
+    [200000001, 'central', 'Form B']
+  ])('turnover ₹%i → %s (%s)', (annualTurnover, tier, form) => {
+    expect(selector.select({ businessType: 'cafe', annualTurnover })).toMatchObject({ tier, form });
+  });
+
+  test('production capacity moves manufacturers up a tier', () => {
+    const bakery = capacity => selector.select({ businessType: 'bakery', annualTurnover: 1000000, dailyProductionCapacity: capacity });
+
+    expect(bakery(100).tier).toBe('basic');
+    expect(bakery(500)).toMatchObject({ tier: 'state', reasons: ['Production above 100 kg a day'] });
+    expect(bakery(2500).tier).toBe('central');
+  });
+
+  test('import/export and multi-state operation need a central licence whatever the size', () => {
+    expect(selector.select({ ...CAFE, importsOrExports: true })).toMatchObject({
+      tier: 'central',
+      reasons: ['Imports or exports food']
+    });
+    expect(selector.select({ ...CAFE, operatesInMultipleStates: true }).tier).toBe('central');
+  });
+
+  test('returns the yearly fee and the fee for each validity option', () => {
+    const licence = selector.select({ ...CAFE, annualTurnover: 5000000 });
+
+    expect(licence).toMatchObject({ name: 'FSSAI State Licence', fee: 2000 });
+    expect(licence.validityOptions).toEqual([
+      { years: 1, fee: 2000 },
+      { years: 2, fee: 4000 },
+      { years: 3, fee: 6000 },
+      { years: 4, fee: 8000 },
+      { years: 5, fee: 10000 }
+    ]);
+  });
+
+  test('documents follow the tier and what the business does', () => {
+    const basic = selector.select(CAFE).documents;
+    expect(basic).toContain('Form A');
+    expect(basic).not.toContain('Import Export Code (IEC) from DGFT');
+
+    const exporter = selector.select({ businessType: 'food_processing', annualTurnover: 50000000, importsOrExports: true }).documents;
+    expect(exporter).toEqual(expect.arrayContaining([
+      'Form B signed by the proprietor, partner or authorised signatory',
+      'Layout plan of the processing unit',
+      'Import Export Code (IEC) from DGFT',
+      'Turnover proof (audited accounts or CA certificate)'
+    ]));
+  });
+});
+
+describe('FSSAI tier consumers', () => {
+  const RESTAURANT = { businessType: 'restaurant', state: 'KA', employees: 25, annualTurnover: 12000000 };
+
+  test('RuleEngine attaches the licence to the FSSAI obligation', () => {
+    const fssai = new RuleEngine().evaluateCompliances(RESTAURANT).mandatory.find(compliance => compliance.id === 'FSSAI');
+
+    expect(fssai.licence).toMatchObject({ tier: 'state', form: 'Form B' });
+    expect(fssai.documents).toEqual(fssai.licence.documents);
+  });
+
+  test('CostModel charges the selected tier', () => {
+    const fee = profile => costModel.governmentFee({ key: 'FSSAI', cost: { basic: 100, state: 2000, central: 7500 } }, profile).fee;
+
+    expect(fee(CAFE)).toBe(100);
+    expect(fee({ ...CAFE, operatesInMultipleStates: true })).toBe(7500);
+  });
+
+  test('ComplianceAgent maps FSSAI to the form and fee of the tier', () => {
+    const fssai = new ComplianceAgent(null).mapObligations(CAFE).find(obligation => obligation.id === 'FSSAI');
+
+    expect(fssai).toMatchObject({
+      description: 'Obtain FSSAI Basic Registration (Form A)',
+      cost: 100,
+      licence: { tier: 'basic' }
+    });
+    expect(fssai.obligations[0]).toBe('Apply for FSSAI Basic Registration in Form A on the FoSCoS portal');
+  });
+
+  test('food delivery onboarding starts with the licence the business needs', () => {
+    const requirements = new ComplianceService().getPlatformRequirements(['swiggy', 'amazon'], RESTAURANT);
+
+    expect(requirements.swiggy.fssaiLicence.tier).toBe('state');
+    expect(requirements.swiggy.onboardingSteps[0]).toBe('Obtain FSSAI State Licence (Form B, 30-60 days)');
+    expect(requirements.amazon.fssaiLicence).toBeUndefined();
+
+    const [swiggy, amazon] = new PlatformAgent(null).getPlatformRequirements(['swiggy', 'amazon'], CAFE);
+    expect(swiggy.requirements).toContain('FSSAI Basic Registration');
+    expect(amazon.fssaiLicence).toBeUndefined();
+  });
+});
@@ -0,0 +1,136 @@
+import { jest } from '@jest/globals';
+import { GstRegistrationAdvisor } from '../services/GstRegistrationAdvisor.js';
+import { complianceResolver } from '../services/ComplianceResolver.js';
+import { GST_THRESHOLDS } from '../data/gstThresholds.js';
+
+const advisor = new GstRegistrationAdvisor();
+const LAKH = 100000;
+
+const assess = profile => advisor.assess(complianceResolver.normalizeProfile(profile));
+
+beforeEach(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('GstRegistrationAdvisor.assess', () => {
+  test.each([
+    ['retail', 'KA', 40 * LAKH, false],
+    ['retail', 'KA', 40 * LAKH + 1, true],
+    ['retail', 'AS', 20 * LAKH + 1, true],
+    ['it_services', 'KA', 20 * LAKH, false],
+    ['it_services', 'KA', 20 * LAKH + 1, true],
+    ['it_services', 'MZ', 10 * LAKH + 1, true],
+    ['restaurant', 'TN', 25 * LAKH, true]
+  ])('%s in %s with turnover ₹%i → required %s', (businessType, state, annualTurnover, required) => {
+    expect(assess({ businessType, state, annualTurnover }).required).toBe(required);
+  });
+
+  test('explains the threshold that applies', () => {
+    const result = assess({ businessType: 'retail', state: 'Sikkim', annualTurnover: 25 * LAKH });
+
+    expect(result).toMatchObject({
+      required: true,
+      supplyType: 'goods',
+      specialCategoryState: true,
+      threshold: { amount: 20 * LAKH, basis: 'goods supplier in a special-category state' }
+    });
+    expect(result.reasons).toEqual([
+      'Supplies goods only - the goods threshold applies',
+      'The state is a special-category state - the threshold is ₹20 lakh',
+      'Turnover of ₹25 lakh is above the ₹20 lakh threshold',
+      'GST registration is required'
+    ]);
+  });
+
+  test('inter-state suppliers and marketplace sellers register whatever the turnover', () => {
+    const interState = assess({ businessType: 'manufacturing', state: 'KA', annualTurnover: 5 * LAKH, interStateSupply: true });
+    expect(interState.required).toBe(true);
+    expect(interState.reasons).toContain('Makes inter-state supplies - registration is compulsory whatever the turnover');
+
+    expect(assess({ businessType: 'retail', state: 'KA', annualTurnover: 5 * LAKH, platforms: ['Amazon'] }).required).toBe(true);
+    expect(assess({ businessType: 'ecommerce', state: 'GJ' }).required).toBe(true);
+  });
+
+  test('an explicit supply type overrides the business type', () => {
+    const mixed = assess({ businessType: 'retail', state: 'KA', annualTurnover: 30 * LAKH, supplyType: 'mixed' });
+
+    expect(mixed.required).toBe(true);
+    expect(mixed.reasons[0]).toBe('Supplies both goods and services - the services threshold applies');
+  });
+
+  test('the thresholds agree with the GST conditions in central.json', () => {
+    const cases = [
+      ['goods', false, GST_THRESHOLDS.goods.regular],
+      ['goods', true, GST_THRESHOLDS.goods.specialCategory],
+      ['services', false, GST_THRESHOLDS.services.regular],
+      ['services', true, GST_THRESHOLDS.services.specialCategory]
+    ];
+
+    for (const [supplyType, specialCategoryState, limit] of cases) {
+      const profile = { supplyType, specialCategoryState };
+      expect(advisor.getThreshold(profile).amount).toBe(limit);
+      expect(advisor.assess({ ...profile, annualTurnover: limit }).required).toBe(false);
+      expect(advisor.assess({ ...profile, annualTurnover: limit + 1 }).required).toBe(true);
+    }
+  });
+});
+
+describe('composition scheme eligibility', () => {
+  test('small traders and restaurants qualify at their scheme rate', () => {
+    expect(assess({ businessType: 'retail', state: 'KA', annualTurnover: 60 * LAKH }).composition).toMatchObject({
+      eligible: true,
+      scheme: 'goods',
+      rate: 1,
+      limit: 150 * LAKH
+    });
+    expect(assess({ businessType: 'restaurant', state: 'KA', annualTurnover: 60 * LAKH }).composition).toMatchObject({
+      eligible: true,
+      scheme: 'restaurant',
+      rate: 5
+    });
+  });
+
+  test('turnover above the limit, inter-state supply and marketplace selling rule it out', () => {
+    const services = assess({ businessType: 'it_services', state: 'KA', annualTurnover: 60 * LAKH }).composition;
+    expect(services).toMatchObject({ eligible: false, scheme: 'services', limit: 50 * LAKH });
+    expect(services.reasons).toEqual(['Turnover of ₹60 lakh is above the ₹50 lakh composition limit']);
+
+    expect(assess({ businessType: 'retail', state: 'UT', annualTurnover: 80 * LAKH }).composition).toMatchObject({
+      eligible: false,
+      limit: 75 * LAKH
+    });
+
+    const interState = assess({ businessType: 'retail', state: 'KA', annualTurnover: 30 * LAKH, interStateSupply: true }).composition;
+    expect(interState.eligible).toBe(false);
+    expect(interState.reasons).toContain('Inter-state suppliers cannot opt for the composition scheme');
+
+    expect(assess({ businessType: 'ecommerce', state: 'KA', annualTurnover: 30 * LAKH }).composition.eligible).toBe(false);
+  });
+
+  test('is undecided without a turnover', () => {
+    expect(assess({ businessType: 'cafe', state: 'KA' }).composition.eligible).toBeNull();
+  });
+});
+
+describe('ComplianceResolver GST entry', () => {
+  test('mandatory GST carries the assessment and a reason from the conditions', () => {
+    const gst = complianceResolver.resolve({ businessType: 'it_services', state: 'KA', annualTurnover: 25 * LAKH })
+      .mandatory.find(compliance => compliance.id === 'GST');
+
+    expect(gst.gst.required).toBe(true);
+    expect(gst.reason).toBe('Supplies services and state is not a special-category state and Annual turnover > ₹20 lakh (₹25 lakh)');
+  });
+
+  test('future GST is triggered at the threshold for the business', () => {
+    const resolution = complianceResolver.resolve({ businessType: 'retail', state: 'KA', annualTurnover: 10 * LAKH });
+    const gst = resolution.future.find(compliance => compliance.id === 'GST');
+
+    expect(resolution.mandatory.map(compliance => compliance.id)).not.toContain('GST');
+    expect(gst.trigger).toBe('When annual turnover exceeds ₹40 lakh, or on making inter-state supplies or selling goods through an e-commerce marketplace');
+    expect(gst.gst.composition.eligible).toBe(true);
+  });
+});
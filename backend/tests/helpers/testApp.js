@@ -0,0 +1,89 @@
+import { mkdtemp, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { createApp } from '../../app.js';
+import { MockProvider } from '../../services/llm/index.js';
+import { MemoryStorageAdapter } from '../../services/storage/index.js';
+import { authService } from '../../services/AuthService.js';
+import { chatHistoryStore } from '../../services/ChatHistoryStore.js';
+import { chatMemoryStore } from '../../services/ChatMemoryStore.js';
+import { complianceStatusStore } from '../../services/ComplianceStatusStore.js';
+import { userProfileStore } from '../../services/UserProfileStore.js';
+import { documentVault } from '../../services/DocumentVault.js';
+import { notificationStore } from '../../services/NotificationStore.js';
+import { calendarFeedStore } from '../../services/CalendarFeedStore.js';
+
+export const TEST_USER = { userId: 'google_test_user', email: 'owner@example.com', name: 'Test Owner' };
+
+/**
+ * Boot the full Express app in-process on a random port
+ * with a scripted MockProvider, memory storage and a temporary document directory
+ *
+ * @param {Object} options
+ * @param {MockProvider} options.llm - Provider the agents talk to
+ * @returns {Promise<Object>} { app, llm, chatbotService, reminderScheduler, baseUrl, request, tokenFor, reset, close }
+ */
+export async function startTestApp({ llm = new MockProvider() } = {}) {
+  process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-app-secret';
+  const documentDirectory = await mkdtemp(join(tmpdir(), 'msme-documents-'));
+
+  const { app, chatbotService, reminderScheduler } = await createApp({
+    llmProvider: llm,
+    storageAdapter: new MemoryStorageAdapter(),
+    documentDirectory
+  });
+
+  const server = await new Promise(resolve => {
+    const listening = app.listen(0, () => resolve(listening));
+  });
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+  const tokenFor = (user = TEST_USER) => authService.issueToken(user);
+
+  /**
+   * Call the API
+   * @param {string} path - Path under the server root, e.g. '/api/health'
+   * @param {Object} options - { method, body, query, user (null for anonymous), headers }
+   * @returns {Promise<Object>} { status, body }
+   */
+  async function request(path, { method = 'GET', body, query, user = TEST_USER, headers = {} } = {}) {
+    const url = new URL(path, baseUrl);
+    Object.entries(query || {}).forEach(([key, value]) => {
+      url.searchParams.set(key, typeof value === 'string' ? value : JSON.stringify(value));
+    });
+
+    const response = await fetch(url, {
+      method,
+      headers: {
+        'Content-Type': 'application/json',
+        ...(user ? { Authorization: `Bearer ${tokenFor(user)}` } : {}),
+        ...headers
+      },
+      body: body === undefined ? undefined : JSON.stringify(body)
+    });
+
+    const text = await response.text();
+    return { status: response.status, body: text ? JSON.parse(text) : null };
+  }
+
+  // Stores are module singletons, so every suite starts from empty ones
+  function reset() {
+    chatHistoryStore.clearAll();
+    chatMemoryStore.clearAll();
+    complianceStatusStore.clearAll();
+    userProfileStore.clearAll();
+    documentVault.clearAll();
+    notificationStore.clearAll();
+    calendarFeedStore.clearAll();
+    chatbotService.sessions.clear();
+    llm.calls = [];
+  }
+
+  async function close() {
+    await new Promise(resolve => server.close(resolve));
+    await rm(documentDirectory, { recursive: true, force: true });
+  }
+
+  reset();
+  return { app, llm, chatbotService, reminderScheduler, baseUrl, request, tokenFor, reset, close };
+}
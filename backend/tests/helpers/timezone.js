@@ -0,0 +1,8 @@
+/**
+ * Jest global setup - run the suite in India's timezone (UTC+5:30), where the
+ * app is deployed, so local-midnight dates that would slip to the previous day
+ * in UTC are caught
+ */
+export default function setTimezone() {
+  process.env.TZ = 'Asia/Kolkata';
+}
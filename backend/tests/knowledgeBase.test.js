@@ -0,0 +1,190 @@
+import { jest } from '@jest/globals';
+import { readFileSync, writeFileSync, mkdtempSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { tokenize, Bm25Index } from '../services/Bm25Index.js';
+import {
+  KnowledgeBase,
+  knowledgeBase,
+  chunkDocument,
+  buildKnowledgeIndex,
+  KNOWLEDGE_INDEX_PATH
+} from '../services/KnowledgeBase.js';
+import { ComplianceAgent } from '../agents/ComplianceAgent.js';
+import { AgentOrchestrator } from '../services/AgentOrchestrator.js';
+import { MockProvider } from '../services/llm/index.js';
+
+beforeEach(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('Bm25Index', () => {
+  test('tokenize drops stopwords and folds simple plurals', () => {
+    expect(tokenize('What are the penalties for late GST returns?')).toEqual(['penalty', 'late', 'gst', 'return']);
+  });
+
+  test('ranks the document that matches the rarer term first and survives serialisation', () => {
+    const index = new Bm25Index();
+    index.add('a', 'gst registration threshold for goods');
+    index.add('b', 'fssai licence for food business');
+    index.add('c', 'gst returns and late fee');
+
+    const restored = Bm25Index.fromJSON(JSON.parse(JSON.stringify(index.toJSON())));
+    expect(restored.search('fssai food').map(result => result.id)).toEqual(['b']);
+    expect(restored.search('gst late fee')[0].id).toBe('c');
+  });
+});
+
+describe('chunkDocument', () => {
+  test('splits markdown into one passage per section', () => {
+    const passages = chunkDocument('# GST\n\nIntro text\n\n## Who must register\n\nAbove the threshold.\n\n## Returns\n\nMonthly.\n', 'gst.md');
+
+    expect(passages).toEqual([
+      { id: 'gst.md#who-must-register', source: 'gst.md', title: 'GST › Who must register', text: 'Above the threshold.' },
+      { id: 'gst.md#returns', source: 'gst.md', title: 'GST › Returns', text: 'Monthly.' }
+    ]);
+  });
+
+  test('plain text extracts take their first line as the title', () => {
+    const passages = chunkDocument('\nCGST Rules, 2017\nRule 8. Application for registration.\n\nRule 9. Verification.', 'cgst-rules.txt');
+
+    expect(passages).toEqual([{
+      id: 'cgst-rules.txt#part',
+      source: 'cgst-rules.txt',
+      title: 'CGST Rules, 2017',
+      text: 'Rule 8. Application for registration.\n\nRule 9. Verification.'
+    }]);
+  });
+
+  test('long sections are split into numbered passages', () => {
+    const paragraph = 'Returns are filed every month. '.repeat(25).trim();
+    const passages = chunkDocument(`# GST\n\n## Returns\n\n${paragraph}\n\n${paragraph}`, 'gst.md');
+
+    expect(passages.map(passage => passage.id)).toEqual(['gst.md#returns', 'gst.md#returns-2']);
+  });
+});
+
+describe('knowledge index', () => {
+  test('the committed index is up to date with the corpus (run npm run build:knowledge)', () => {
+    const committed = JSON.parse(readFileSync(KNOWLEDGE_INDEX_PATH, 'utf8'));
+
+    expect(committed).toEqual(JSON.parse(JSON.stringify(buildKnowledgeIndex())));
+  });
+
+  test('every passage has a source file and text', () => {
+    const { passages } = buildKnowledgeIndex();
+
+    expect(passages.length).toBeGreaterThan(20);
+    passages.forEach(passage => {
+      expect(passage.id).toBe(`${passage.source}#${passage.id.split('#')[1]}`);
+      expect(passage.text.length).toBeGreaterThan(0);
+    });
+  });
+});
+
+describe('KnowledgeBase', () => {
+  test('retrieves the relevant regulation passage', () => {
+    expect(knowledgeBase.search('penalty for late GST return')[0].id).toBe('gst.md#penalties-and-interest');
+    expect(knowledgeBase.search('FSSAI licence for a restaurant')[0].source).toBe('fssai.md');
+    expect(knowledgeBase.search('EPF damages under section 14B')[0].id).toBe('labour.md#employees-provident-fund-epf');
+    expect(knowledgeBase.search('When do I need EPF and ESI?')[0].id).toBe('faq.md#when-do-i-need-to-register-for-epf-and-esi');
+  });
+
+  test('small talk retrieves nothing', () => {
+    expect(knowledgeBase.search('hello there')).toEqual([]);
+    expect(knowledgeBase.ground('hello there')).toEqual({ passages: [], prompt: '' });
+  });
+
+  test('ground numbers the passages for the system prompt', () => {
+    const { passages, prompt } = knowledgeBase.ground('GST registration threshold');
+
+    expect(passages.map(passage => passage.marker)).toEqual([1, 2, 3]);
+    expect(prompt).toContain('REFERENCE PASSAGES');
+    expect(prompt).toContain(`[1] ${passages[0].title} (${passages[0].source})`);
+  });
+
+  test('cite keeps the passages an answer refers to, or all of them when it cites none', () => {
+    const { passages } = knowledgeBase.ground('GST registration threshold');
+
+    expect(knowledgeBase.cite('You must register [2].', passages).map(citation => citation.marker)).toEqual([2]);
+    expect(knowledgeBase.cite('You must register.', passages)).toHaveLength(3);
+    expect(knowledgeBase.cite('See [7].', passages)).toHaveLength(3);
+  });
+
+  test('formatSources lists the citations', () => {
+    expect(knowledgeBase.formatSources([])).toBe('');
+    expect(knowledgeBase.formatSources([{ marker: 1, title: 'GST › Returns', source: 'gst.md' }]))
+      .toBe('\n\n**Sources**\n[1] GST › Returns (gst.md)');
+  });
+
+  test('load builds the index when no prebuilt index exists', () => {
+    const loaded = KnowledgeBase.load({ indexPath: '/nonexistent/index.json' });
+
+    expect(loaded.search('Udyam registration')[0].source).toBe('udyam.md');
+  });
+
+  test('load rebuilds a prebuilt index when a corpus file has changed', () => {
+    const directory = mkdtempSync(join(tmpdir(), 'msme-knowledge-'));
+    const indexPath = join(directory, 'index.json');
+
+    try {
+      writeFileSync(join(directory, 'gst.md'), '# GST\n\n## Registration\n\nRegister once turnover crosses the threshold.\n');
+      writeFileSync(indexPath, JSON.stringify(buildKnowledgeIndex(directory)));
+      expect(KnowledgeBase.load({ indexPath, directory }).search('composition scheme', { minScore: 0 })).toEqual([]);
+
+      writeFileSync(join(directory, 'gst.md'), '# GST\n\n## Composition\n\nThe composition scheme suits small traders.\n');
+
+      expect(KnowledgeBase.load({ indexPath, directory }).search('composition scheme', { minScore: 0 })[0].id).toBe('gst.md#composition');
+    } finally {
+      rmSync(directory, { recursive: true, force: true });
+    }
+  });
+});
+
+describe('grounded agent answers', () => {
+  const groundedReply = (prompt, systemPrompt) =>
+    systemPrompt.includes('REFERENCE PASSAGES') ? 'Register for GST once you cross the threshold [1].' : 'ungrounded';
+
+  test('ComplianceAgent cites the passages its explanation uses', async () => {
+    const llm = new MockProvider().when(null, groundedReply);
+    const agent = new ComplianceAgent(llm);
+    const tokens = [];
+
+    const response = await agent.process('Do I need GST?', {
+      businessProfile: { businessType: 'retail', state: 'KA', employees: 2, annualTurnover: 5000000 }
+    }, {});
+
+    expect(response.message).toMatch(/^Register for GST once you cross the threshold \[1\]\.\n\n\*\*Sources\*\*\n\[1\] /);
+    expect(response.citations).toHaveLength(1);
+    expect(response.citations[0]).toMatchObject({ marker: 1, source: expect.stringMatching(/\.md$/) });
+
+    await agent._generateExplanation(response.data.obligations, {}, 'Do I need GST?', {
+      stream: { onToken: token => tokens.push(token) }
+    });
+    expect(tokens.join('')).toContain('**Sources**');
+  });
+
+  test('general answers are grounded and cited', async () => {
+    const orchestrator = new AgentOrchestrator(null, null, new MockProvider().when(null, groundedReply));
+
+    const response = await orchestrator._handleGeneral('When is the GST return late fee charged?', {});
+
+    expect(response.type).toBe('general');
+    expect(response.citations[0].id).toBe('faq.md#what-happens-if-i-miss-a-gst-return');
+    expect(response.message).toContain('**Sources**');
+  });
+
+  test('the fallback explanation has no citations', async () => {
+    const agent = new ComplianceAgent(new MockProvider({ available: false }));
+
+    const { text, citations } = await agent._generateExplanation([], {}, 'Do I need GST?');
+
+    expect(text).toEqual(expect.any(String));
+    expect(citations).toEqual([]);
+  });
+});
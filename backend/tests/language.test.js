@@ -0,0 +1,145 @@
+import { jest } from '@jest/globals';
+import { LanguageDetector, languageDetector } from '../services/LanguageDetector.js';
+import { DiscoveryAgent } from '../agents/DiscoveryAgent.js';
+import { AgentOrchestrator } from '../services/AgentOrchestrator.js';
+import { ChatSessionManager } from '../services/ChatSessionManager.js';
+import { MockProvider } from '../services/llm/index.js';
+
+beforeEach(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('LanguageDetector.detect', () => {
+  test.each([
+    ['Do I need an FSSAI licence for my cafe?', 'en'],
+    ['mera cafe Pune mein hai', 'hi-Latn'],
+    ['mujhe kaunsa licence chahiye?', 'hi-Latn'],
+    ['मेरा कैफ़े पुणे में है', 'hi'],
+    ['मुझे GST registration चाहिए', 'hi'],
+    ['I have ५ employees in Pune', 'en']
+  ])('"%s" → %s', (message, language) => {
+    expect(languageDetector.detect(message)).toBe(language);
+  });
+
+  test('short replies do not decide the language', () => {
+    expect(languageDetector.detect('yes')).toBeNull();
+    expect(languageDetector.detect('50 lakh')).toBeNull();
+    expect(languageDetector.detect('')).toBeNull();
+  });
+});
+
+describe('LanguageDetector.normalize', () => {
+  test.each([
+    ['bees log kaam karenge', '20 employees kaam karenge'],
+    ['पचास लाख का निवेश', '50 lakh का निवेश'],
+    ['डेढ़ करोड़ turnover', '1.5 crore turnover'],
+    ['मेरा कैफ़े पुणे में है', 'मेरा cafe pune में है'],
+    ['dilli mein dukaan kholni hai, kitna time lagega?', 'delhi mein shop start hai, how long lagega?'],
+    ['१२ कर्मचारी', '12 employees']
+  ])('"%s" → "%s"', (message, normalized) => {
+    expect(languageDetector.normalize(message)).toBe(normalized);
+  });
+
+  test('leaves English alone, and "log" without a number is not headcount', () => {
+    expect(languageDetector.normalize('How do I log in to the GST portal?')).toBe('How do I log in to the GST portal?');
+    expect(languageDetector.normalize('What do I need to do')).toBe('What do I need to do');
+  });
+
+  test('asks the LLM to reply in the user language', () => {
+    const detector = new LanguageDetector();
+
+    expect(detector.instruction('en')).toBe('');
+    expect(detector.instruction(null)).toBe('');
+    expect(detector.instruction('hi')).toContain('Devanagari');
+    expect(detector.instruction('hi-Latn')).toContain('Roman script');
+  });
+});
+
+describe('Hindi and Hinglish profile extraction', () => {
+  const agent = new DiscoveryAgent(new MockProvider(), null);
+  const extract = message => {
+    const profile = {};
+    agent.extractAndInferInfo(message, profile);
+    return profile;
+  };
+
+  test('reads a Hinglish message', () => {
+    expect(extract('mera cafe Pune mein hai, bees log kaam karenge')).toMatchObject({
+      businessType: 'cafe',
+      city: 'Pune',
+      stateId: 'MH',
+      employeeCount: 20
+    });
+  });
+
+  test('reads a Devanagari message', () => {
+    expect(extract('मेरी बेकरी लखनऊ में है, बारह कर्मचारी और पचास लाख का निवेश')).toMatchObject({
+      businessType: 'bakery',
+      city: 'Lucknow',
+      stateId: 'UP',
+      employeeCount: 12,
+      investment: 5000000
+    });
+  });
+
+  test('reads states and romanized place names', () => {
+    expect(extract('हमारी दुकान केरल में है')).toMatchObject({ businessType: 'retail_store', stateId: 'KL' });
+    expect(extract('bambai mein kirana kholna hai')).toMatchObject({ businessType: 'grocery', city: 'Mumbai' });
+  });
+
+  test('a Hindi yes confirms a clarifying question', () => {
+    const session = { businessProfile: {}, pendingClarification: { field: 'employeeCount', value: 40, confidence: 0.5 } };
+
+    expect(agent.resolveClarification('हाँ, सही है', session.businessProfile, session)).toBe(true);
+    expect(session.businessProfile.employeeCount).toBe(40);
+  });
+});
+
+describe('intent and reply language', () => {
+  test('keyword intents work in Hindi', () => {
+    const orchestrator = new AgentOrchestrator(null, null, new MockProvider({ available: false }));
+
+    expect(orchestrator._fallbackIntent('मुझे कौन सा लाइसेंस चाहिए?')).toEqual({ type: 'COMPLIANCE' });
+    expect(orchestrator._fallbackIntent('koi sarkari yojana hai kya?')).toEqual({ type: 'SCHEMES' });
+    expect(orchestrator._detectIntents('Pune mein cafe kholna hai, license aur kitna time lagega?', { type: 'GENERAL' }))
+      .toEqual(['DISCOVERY', 'COMPLIANCE', 'TIMELINE']);
+  });
+
+  test('the LLM is told to reply in the language the user writes in', async () => {
+    const llm = new MockProvider().when(null, 'Namaste!');
+    const orchestrator = new AgentOrchestrator(null, null, llm);
+    const session = { businessProfile: {} };
+
+    const response = await orchestrator.processMessage('namaste, aap kya kya bata sakte ho?', { session });
+    const answer = llm.calls.find(call => call.systemPrompt.startsWith('You are an expert MSME compliance consultant'));
+
+    expect(response.language).toBe('hi-Latn');
+    expect(answer.systemPrompt).toContain('LANGUAGE: The user writes Hindi in Roman script');
+    expect(session.language).toBe('hi-Latn');
+  });
+
+  test('a short reply keeps the conversation language; the UI language is the last resort', async () => {
+    const orchestrator = new AgentOrchestrator(null, null, new MockProvider().when(null, 'ok'));
+
+    expect((await orchestrator.processMessage('ok', { session: { businessProfile: {}, language: 'hi' } })).language).toBe('hi');
+    expect((await orchestrator.processMessage('ok', { language: 'hi-Latn' })).language).toBe('hi-Latn');
+    expect((await orchestrator.processMessage('ok', {})).language).toBe('en');
+    expect((await orchestrator.processMessage('What is Udyam registration?', { language: 'hi' })).language).toBe('en');
+  });
+});
+
+describe('ChatSessionManager', () => {
+  test('tracks Hindi messages for the dashboard', () => {
+    const manager = new ChatSessionManager();
+
+    const session = manager.updateSession('s1', 'पटना में रेस्टोरेंट खोलना है, लाइसेंस कितना समय लेगा?', { message: '', data: {} });
+
+    expect(session.businessProfile).toMatchObject({ businessType: 'Food Business', location: 'Patna' });
+    expect(session.conversationData.complianceQueries).toEqual(['general']);
+  });
+});
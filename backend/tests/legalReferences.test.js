@@ -0,0 +1,120 @@
+import { jest } from '@jest/globals';
+import { startTestApp } from './helpers/testApp.js';
+import { LegalReferences } from '../services/LegalReferences.js';
+import { RuleEngine } from '../services/RuleEngine.js';
+import { ComplianceAgent } from '../agents/ComplianceAgent.js';
+import { AgentOrchestrator } from '../services/AgentOrchestrator.js';
+import { MockProvider } from '../services/llm/index.js';
+
+const legalReferences = new LegalReferences();
+
+// A Bengaluru bakery above the GST threshold with 12 staff
+const BAKERY = {
+  businessType: 'bakery',
+  state: 'KA',
+  city: 'Bengaluru',
+  employees: 12,
+  annualTurnover: 6000000
+};
+
+const SHARED = { act: 'Factories Act, 1948', section: 'Section 6', url: 'https://dgfasli.gov.in/', lastVerified: '2026-10-19' };
+
+beforeEach(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('LegalReferences', () => {
+  test('collect numbers each distinct reference once and lists the compliances it backs', () => {
+    const footnotes = legalReferences.collect([
+      { id: 'KA_FACTORIES_ACT', name: 'Karnataka Factories Act', references: [SHARED] },
+      { id: 'MH_FACTORIES_ACT', name: 'Maharashtra Factory Licence', references: [SHARED] },
+      { id: 'GST', name: 'Goods and Services Tax', references: [{ act: 'CGST Act, 2017', url: 'https://www.gst.gov.in/', lastVerified: '2026-10-19' }] },
+      { id: 'OTHER', name: 'No references' }
+    ]);
+
+    expect(footnotes).toEqual([
+      {
+        marker: 1,
+        ...SHARED,
+        compliances: [
+          { id: 'KA_FACTORIES_ACT', name: 'Karnataka Factories Act' },
+          { id: 'MH_FACTORIES_ACT', name: 'Maharashtra Factory Licence' }
+        ]
+      },
+      expect.objectContaining({ marker: 2, act: 'CGST Act, 2017', compliances: [{ id: 'GST', name: 'Goods and Services Tax' }] })
+    ]);
+  });
+
+  test('cite joins the act, section and notification', () => {
+    expect(legalReferences.cite({ ...SHARED, notification: 'G.S.R. 1(E)' })).toBe('Factories Act, 1948, Section 6; G.S.R. 1(E)');
+    expect(legalReferences.cite({ act: 'Constitution of India', url: 'https://legislative.gov.in/' })).toBe('Constitution of India');
+  });
+});
+
+describe('references flow through evaluation', () => {
+  test('RuleEngine.evaluateCompliances keeps the references of every obligation', () => {
+    const evaluation = new RuleEngine().evaluateCompliances(BAKERY);
+    const ids = evaluation.mandatory.map(compliance => compliance.id);
+
+    expect(ids).toEqual(expect.arrayContaining(['GST', 'FSSAI', 'ESI', 'KA_SHOPS_ACT', 'KA_TRADE_LICENSE']));
+    evaluation.mandatory.forEach(compliance => expect(compliance.references.length).toBeGreaterThan(0));
+    expect(evaluation.mandatory.find(compliance => compliance.id === 'KA_SHOPS_ACT').references[0]).toMatchObject({
+      act: 'Karnataka Shops and Commercial Establishments Act, 1961',
+      url: 'https://labour.karnataka.gov.in/'
+    });
+  });
+
+  test('ComplianceAgent obligations and replies carry the legal references', async () => {
+    const llm = new MockProvider();
+    const agent = new ComplianceAgent(llm);
+
+    const response = await agent.process('What do I need?', {}, { businessProfile: BAKERY });
+
+    const gst = response.data.obligations.find(obligation => obligation.id === 'GST');
+    expect(gst.references.map(reference => reference.section)).toContain('Section 22 - persons liable for registration');
+
+    const footnote = response.references.find(reference => reference.section === 'Section 22 - persons liable for registration');
+    expect(footnote).toMatchObject({ marker: expect.any(Number), compliances: [{ id: 'GST', name: 'Goods and Services Tax' }] });
+    expect(response.references.map(reference => reference.marker)).toEqual(response.references.map((_, index) => index + 1));
+
+    expect(llm.calls[0].prompt).toContain('- Legal basis: Central Goods and Services Tax Act, 2017, Section 22 - persons liable for registration; Notification No. 10/2019-Central Tax');
+  });
+
+  test('dashboard tasks built from chat keep the references', () => {
+    const orchestrator = new AgentOrchestrator(null, null, new MockProvider());
+    const compliances = new RuleEngine().evaluateCompliances(BAKERY).mandatory;
+
+    const dashboard = orchestrator._generateDashboardOutput({ data: { businessProfile: BAKERY, compliances } }, {}, 'add to dashboard');
+
+    const task = dashboard.pendingTasks.find(pending => pending.id === 'FSSAI');
+    expect(task.references[0]).toMatchObject({ act: 'Food Safety and Standards Act, 2006' });
+  });
+});
+
+describe('POST /api/dashboard', () => {
+  let harness;
+
+  beforeAll(async () => {
+    harness = await startTestApp();
+  });
+
+  afterAll(async () => {
+    await harness.close();
+  });
+
+  test('obligations include their references', async () => {
+    const { status, body } = await harness.request('/api/dashboard', { method: 'POST', body: { userProfile: BAKERY } });
+
+    expect(status).toBe(200);
+    const shopsAct = body.data.obligations.find(obligation => obligation.id === 'KA_SHOPS_ACT');
+    expect(shopsAct.references[0]).toMatchObject({
+      section: 'Section 4 - registration of establishments',
+      lastVerified: '2026-10-19'
+    });
+  });
+});
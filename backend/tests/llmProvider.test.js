@@ -0,0 +1,174 @@
+import { jest } from '@jest/globals';
+import { AgentOrchestrator } from '../services/AgentOrchestrator.js';
+import {
+  createLLMProvider,
+  modelOverridesFromEnv,
+  MockProvider,
+  OllamaProvider,
+  OpenAICompatibleProvider
+} from '../services/llm/index.js';
+
+/**
+ * Stand-in for the openai client: completions echo the requested model,
+ * streamed completions yield `tokens` as delta chunks
+ */
+function fakeOpenAI({ tokens = [] } = {}) {
+  return {
+    models: { list: async () => ({ data: [] }) },
+    chat: {
+      completions: {
+        create: jest.fn(async request => {
+          if (!request.stream) {
+            return { choices: [{ message: { content: `answer from ${request.model}` } }] };
+          }
+          return (async function* () {
+            for (const token of tokens) {
+              yield { choices: [{ delta: { content: token } }] };
+            }
+          })();
+        })
+      }
+    }
+  };
+}
+
+beforeEach(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('createLLMProvider', () => {
+  // Only construction is under test - don't let the providers probe their hosts
+  beforeEach(() => {
+    jest.spyOn(OllamaProvider.prototype, 'init').mockResolvedValue();
+    jest.spyOn(OpenAICompatibleProvider.prototype, 'init').mockResolvedValue();
+  });
+
+  test('defaults to Ollama with OLLAMA_MODEL', () => {
+    const provider = createLLMProvider({ OLLAMA_MODEL: 'mistral:7b', OLLAMA_HOST: 'http://127.0.0.1:1' });
+
+    expect(provider).toBeInstanceOf(OllamaProvider);
+    expect(provider.defaultModel).toBe('mistral:7b');
+  });
+
+  test('points the OpenAI-compatible provider at a custom base URL', () => {
+    const provider = createLLMProvider({
+      LLM_PROVIDER: 'openai',
+      LLM_BASE_URL: 'http://127.0.0.1:1/v1',
+      LLM_MODEL: 'qwen2.5-7b-instruct'
+    });
+
+    expect(provider).toBeInstanceOf(OpenAICompatibleProvider);
+    expect(provider.getStatus()).toMatchObject({ provider: 'openai', host: 'http://127.0.0.1:1/v1', model: 'qwen2.5-7b-instruct' });
+  });
+
+  test('USE_GROK selects the Grok endpoint', () => {
+    const provider = createLLMProvider({ LLM_PROVIDER: 'openai', USE_GROK: 'true', GROK_API_URL: 'http://127.0.0.1:1/grok' });
+
+    expect(provider.baseURL).toBe('http://127.0.0.1:1/grok');
+    expect(provider.defaultModel).toBe('grok-2-latest');
+  });
+
+  test('builds the mock provider and rejects unknown backends', () => {
+    expect(createLLMProvider({ LLM_PROVIDER: 'mock' })).toBeInstanceOf(MockProvider);
+    expect(() => createLLMProvider({ LLM_PROVIDER: 'telepathy' })).toThrow('Unknown LLM_PROVIDER');
+  });
+
+  test('reads per-agent model overrides', () => {
+    expect(modelOverridesFromEnv({ LLM_MODEL_INTENT: 'llama3.2:1b', LLM_MODEL_EXPLANATION: 'llama3:70b', LLM_MODEL_UNKNOWN: 'x' }))
+      .toEqual({ intent: 'llama3.2:1b', explanation: 'llama3:70b' });
+  });
+});
+
+describe('MockProvider', () => {
+  test('answers from the first matching rule and records calls', async () => {
+    const mock = new MockProvider({ defaultReply: 'fallback' })
+      .when(/Intent:$/, 'COMPLIANCE')
+      .when('GST', 'GST is required above the threshold.', { once: true });
+
+    expect(await mock.generateResponse('Message: "hi". Intent:')).toBe('COMPLIANCE');
+    expect(await mock.generateResponse('Tell me about GST')).toBe('GST is required above the threshold.');
+    expect(await mock.generateResponse('Tell me about GST')).toBe('fallback');
+    expect(mock.calls).toHaveLength(3);
+  });
+
+  test('streams the scripted reply word by word', async () => {
+    const mock = new MockProvider({ defaultReply: 'Udyam registration is free.' });
+    const tokens = [];
+
+    const text = await mock.generateResponse('q', '', { onToken: token => tokens.push(token) });
+
+    expect(tokens).toEqual(['Udyam ', 'registration ', 'is ', 'free.']);
+    expect(text).toBe('Udyam registration is free.');
+  });
+
+  test('can simulate an unavailable provider', async () => {
+    await expect(new MockProvider({ available: false }).generateResponse('q')).rejects.toThrow('not available');
+  });
+});
+
+describe('per-agent model overrides', () => {
+  test('forAgent applies only that agent\'s model', async () => {
+    const mock = new MockProvider({ defaultModel: 'llama3:8b', modelOverrides: { intent: 'llama3.2:1b' } });
+
+    await mock.forAgent('intent').generateResponse('q');
+    await mock.forAgent('explanation').generateResponse('q');
+    await mock.forAgent('intent').generateResponse('q', '', { model: 'explicit' });
+
+    expect(mock.calls.map(call => call.model)).toEqual(['llama3.2:1b', 'llama3:8b', 'explicit']);
+    expect(mock.forAgent('explanation')).toBe(mock);
+  });
+
+  test('prompt helpers on an agent view use the override', async () => {
+    const mock = new MockProvider({ modelOverrides: { general: 'tiny' } });
+
+    await mock.forAgent('general').generateGeneralResponse('hello');
+
+    expect(mock.calls[0].model).toBe('tiny');
+  });
+
+  test('the orchestrator extracts intent with the intent model', async () => {
+    const mock = new MockProvider({ defaultModel: 'big', modelOverrides: { intent: 'small' } })
+      .when(/Intent:$/, '{"intent": "GENERAL", "confidence": 0.9}', { model: 'small' })
+      .when(null, 'Happy to help with your compliance questions.', { model: 'big' });
+    const orchestrator = new AgentOrchestrator(null, null, mock);
+
+    const response = await orchestrator.processMessage('hello', { sessionId: 's1' });
+
+    expect(mock.calls.map(call => call.model)).toEqual(['small', 'big']);
+    expect(response).toMatchObject({ type: 'general', message: 'Happy to help with your compliance questions.' });
+  });
+});
+
+describe('OpenAICompatibleProvider', () => {
+  async function connected(client) {
+    const provider = new OpenAICompatibleProvider({ baseURL: 'http://llama.local/v1', defaultModel: 'local-model', client });
+    await provider.init();
+    return provider;
+  }
+
+  test('sends chat completions with the requested model', async () => {
+    const client = fakeOpenAI();
+    const provider = await connected(client);
+
+    expect(await provider.generateResponse('hi', 'be brief', { temperature: 0.2 })).toBe('answer from local-model');
+    expect(client.chat.completions.create.mock.calls[0][0]).toMatchObject({
+      model: 'local-model',
+      temperature: 0.2,
+      messages: [{ role: 'system', content: 'be brief' }, { role: 'user', content: 'hi' }]
+    });
+  });
+
+  test('streams delta tokens', async () => {
+    const provider = await connected(fakeOpenAI({ tokens: ['Shop ', 'Act ', 'applies.'] }));
+    const tokens = [];
+
+    const text = await provider.generateResponse('q', '', { onToken: token => tokens.push(token) });
+
+    expect(tokens).toEqual(['Shop ', 'Act ', 'applies.']);
+    expect(text).toBe('Shop Act applies.');
+  });
+});
@@ -0,0 +1,225 @@
+import { jest } from '@jest/globals';
+import { AgentOrchestrator } from '../services/AgentOrchestrator.js';
+import { MockProvider } from '../services/llm/index.js';
+
+beforeEach(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+const CAFE_QUESTION = "I'm opening a cafe in Pune with 12 staff, what licences do I need and how long will it take, and can I list on Swiggy?";
+
+const offline = () => new AgentOrchestrator(null, null, new MockProvider({ available: false }));
+
+const online = () => new AgentOrchestrator(null, null, new MockProvider()
+  .when(/Intent:$/, '{"intent": "DISCOVERY", "confidence": 0.9}')
+  .when(/^Message:/, '{}')
+  .when((prompt, systemPrompt) => systemPrompt.startsWith('You are a business timeline expert'), 'About six weeks.')
+  .when(null, 'Here is what applies.'));
+
+describe('intent detection', () => {
+  test('finds every intent a message asks for, in plan order', () => {
+    expect(offline()._detectIntents(CAFE_QUESTION, { type: 'DISCOVERY' }))
+      .toEqual(['DISCOVERY', 'COMPLIANCE', 'TIMELINE', 'PLATFORM']);
+  });
+
+  test('discovery only counts when the message describes the business', () => {
+    expect(offline()._detectIntents('Which schemes and licences apply to my business?', { type: 'SCHEMES' }))
+      .toEqual(['COMPLIANCE', 'SCHEMES']);
+  });
+
+  test('a single question stays a single intent', () => {
+    expect(offline()._detectIntents('hello there', { type: 'GENERAL' })).toEqual([]);
+    expect(offline()._detectIntents('Do I need FSSAI?', { type: 'COMPLIANCE' })).toEqual(['COMPLIANCE']);
+  });
+});
+
+describe('plan', () => {
+  test('classification runs before compliance and each step lists the steps it uses', () => {
+    expect(offline()._planSteps(['DISCOVERY', 'COMPLIANCE', 'TIMELINE'])).toEqual([
+      { step: 'DISCOVERY', agent: 'DiscoveryAgent', title: 'Your business', dependsOn: [] },
+      { step: 'CLASSIFICATION', agent: 'ClassificationAgent', title: undefined, dependsOn: ['DISCOVERY'] },
+      { step: 'COMPLIANCE', agent: 'ComplianceAgent', title: 'Licences and registrations', dependsOn: ['CLASSIFICATION'] },
+      { step: 'TIMELINE', agent: 'TimelineAgent', title: 'Timeline', dependsOn: ['COMPLIANCE'] }
+    ]);
+  });
+
+  test('dependencies outside the plan are dropped', () => {
+    expect(offline()._planSteps(['TIMELINE', 'PLATFORM']).map(step => step.dependsOn)).toEqual([[], []]);
+  });
+});
+
+describe('multi-intent answers', () => {
+  test('runs the plan and composes one answer with a section per agent', async () => {
+    const session = { businessProfile: {} };
+
+    const response = await online().processMessage(CAFE_QUESTION, { session });
+
+    expect(response.type).toBe('multi_intent');
+    expect(response.plan.intents).toEqual(['DISCOVERY', 'COMPLIANCE', 'TIMELINE', 'PLATFORM']);
+    expect(response.plan.steps.map(step => [step.step, step.status])).toEqual([
+      ['DISCOVERY', 'completed'],
+      ['CLASSIFICATION', 'completed'],
+      ['COMPLIANCE', 'completed'],
+      ['TIMELINE', 'completed'],
+      ['PLATFORM', 'completed']
+    ]);
+    expect(response.data.sections.map(section => section.title)).toEqual([
+      'Your business',
+      'Licences and registrations',
+      'Timeline',
+      'Selling on delivery and e-commerce platforms'
+    ]);
+    expect(response.message).toMatch(/^\*\*Your business\*\*\n\nHere is what I have noted:\n• Cafe in Pune, Maharashtra\n• 12 employees/);
+    expect(response.message).toContain('\n\n**Timeline**\n\nAbout six weeks.');
+    expect(session.businessProfile).toMatchObject({ businessType: 'cafe', stateId: 'MH', employeeCount: 12 });
+  });
+
+  test('classification feeds compliance and the compliance obligations feed the timeline', async () => {
+    const orchestrator = online();
+    const timeline = jest.spyOn(orchestrator.timelineAgent, 'getComplianceTimelines');
+
+    const response = await orchestrator.processMessage(CAFE_QUESTION, { session: { businessProfile: {} } });
+
+    expect(response.data.classification.msme).toBeDefined();
+    expect(timeline).toHaveBeenCalledWith(expect.anything(), response.data.obligations);
+    expect(response.references.length).toBeGreaterThan(0);
+    expect(response.citations.every(citation => ['COMPLIANCE', 'TIMELINE', 'PLATFORM'].includes(citation.section))).toBe(true);
+  });
+
+  test('streams the sections in the order of the composed answer', async () => {
+    let streamed = '';
+
+    const response = await online().processMessage(CAFE_QUESTION, {
+      session: { businessProfile: {} },
+      stream: { onToken: token => { streamed += token; } }
+    });
+
+    expect(streamed).toBe(response.message);
+  });
+
+  test('works from the keyword extractors alone when the LLM is offline', async () => {
+    const response = await offline().processMessage(CAFE_QUESTION, { session: { businessProfile: {} } });
+
+    expect(response.type).toBe('multi_intent');
+    expect(response.plan.steps.every(step => step.status === 'completed')).toBe(true);
+  });
+
+  test('a discovery question stops the plan', async () => {
+    const llm = new MockProvider()
+      .when(/Intent:$/, '{"intent": "DISCOVERY", "confidence": 0.9}')
+      .when(/^Message:/, JSON.stringify({
+        businessType: { value: null, confidence: 0 },
+        city: { value: null, confidence: 0 },
+        state: { value: null, confidence: 0 },
+        employeeCount: { value: 40, confidence: 0.5 },
+        investment: { value: null, confidence: 0 },
+        annualTurnover: { value: null, confidence: 0 }
+      }))
+      .when(null, 'Here is what applies.');
+    const session = { businessProfile: {} };
+
+    const response = await new AgentOrchestrator(null, null, llm)
+      .processMessage('Opening a bakery in Chennai with a big team - what licences and how long?', { session });
+
+    expect(response.type).toBe('clarification');
+    expect(response.message).toMatch(/^\*\*Your business\*\*\n\nJust to confirm - will you have 40 employees\?/);
+    expect(response.plan.steps.map(step => step.status)).toEqual(['completed', 'skipped', 'skipped', 'skipped']);
+    expect(response.plan.steps[1].reason).toBe('awaiting employeeCount');
+  });
+
+  test('the interrupted plan resumes once the question is answered', async () => {
+    const llm = new MockProvider()
+      .when(/Intent:$/, '{"intent": "DISCOVERY", "confidence": 0.9}')
+      .when(/^Message:/, JSON.stringify({
+        businessType: { value: null, confidence: 0 },
+        city: { value: null, confidence: 0 },
+        state: { value: null, confidence: 0 },
+        employeeCount: { value: 40, confidence: 0.5 },
+        investment: { value: null, confidence: 0 },
+        annualTurnover: { value: null, confidence: 0 }
+      }), { once: true })
+      .when(null, 'Here is what applies.');
+    const orchestrator = new AgentOrchestrator(null, null, llm);
+    const session = { businessProfile: {} };
+    await orchestrator.processMessage('Opening a bakery in Chennai with a big team - what licences and how long?', { session });
+
+    const response = await orchestrator.processMessage('yes', { session });
+
+    expect(response.type).toBe('multi_intent');
+    expect(response.plan.steps.every(step => step.status === 'completed')).toBe(true);
+    expect(response.message).toContain('• 40 employees');
+    expect(session.pendingPlan).toBeUndefined();
+  });
+
+  test('a failed step skips the steps that depend on it', async () => {
+    const orchestrator = online();
+    jest.spyOn(orchestrator.complianceAgent, 'process').mockRejectedValue(new Error('rules unavailable'));
+
+    const response = await orchestrator.processMessage(CAFE_QUESTION, { session: { businessProfile: {} } });
+
+    expect(response.plan.steps.map(step => [step.step, step.status])).toEqual([
+      ['DISCOVERY', 'completed'],
+      ['CLASSIFICATION', 'completed'],
+      ['COMPLIANCE', 'failed'],
+      ['TIMELINE', 'skipped'],
+      ['PLATFORM', 'completed']
+    ]);
+    expect(response.plan.steps[3].reason).toBe('COMPLIANCE did not complete');
+    expect(response.message).not.toContain('**Timeline**');
+  });
+
+  test('a step that fails before answering streams no section', async () => {
+    const orchestrator = online();
+    jest.spyOn(orchestrator.complianceAgent, 'process').mockRejectedValue(new Error('rules unavailable'));
+    let streamed = '';
+
+    const response = await orchestrator.processMessage(CAFE_QUESTION, {
+      session: { businessProfile: {} },
+      stream: { onToken: token => { streamed += token; } }
+    });
+
+    expect(streamed).toBe(response.message);
+    expect(streamed).not.toContain('**Licences and registrations**');
+  });
+
+  test('a step that fails mid-stream closes its section the same way in the answer', async () => {
+    const orchestrator = online();
+    jest.spyOn(orchestrator.timelineAgent, 'process').mockImplementation(async (message, context) => {
+      context.stream.onToken('About six');
+      throw new Error('connection reset');
+    });
+    let streamed = '';
+
+    const response = await orchestrator.processMessage(CAFE_QUESTION, {
+      session: { businessProfile: {} },
+      stream: { onToken: token => { streamed += token; } }
+    });
+
+    expect(streamed).toBe(response.message);
+    expect(response.message).toContain('**Timeline**\n\nAbout six\n\n_Sorry, this part could not be completed.');
+    expect(response.plan.steps.find(step => step.step === 'TIMELINE').status).toBe('failed');
+  });
+
+  test('compliance without a business type stops the plan', async () => {
+    let streamed = '';
+
+    const response = await online().processMessage('Which schemes and licences apply to my business?', {
+      session: { businessProfile: {} },
+      stream: { onToken: token => { streamed += token; } }
+    });
+
+    expect(response.type).toBe('redirect');
+    expect(response.plan.steps.map(step => [step.step, step.status])).toEqual([
+      ['CLASSIFICATION', 'completed'],
+      ['COMPLIANCE', 'completed'],
+      ['SCHEMES', 'skipped']
+    ]);
+    expect(response.plan.steps[2].reason).toBe('awaiting business details');
+    expect(streamed).toBe(response.message);
+  });
+});
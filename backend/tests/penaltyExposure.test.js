@@ -0,0 +1,202 @@
+import { jest } from '@jest/globals';
+import { startTestApp, TEST_USER } from './helpers/testApp.js';
+import { PenaltyCalculator } from '../services/PenaltyCalculator.js';
+import { ComplianceService } from '../services/ComplianceService.js';
+import { complianceStatusStore } from '../services/ComplianceStatusStore.js';
+import { userProfileStore } from '../services/UserProfileStore.js';
+
+const calculator = new PenaltyCalculator();
+
+// Turnover ₹1.2 crore → ₹50,000 net GST a month; 25 employees → EPF and ESI
+const PROFILE = { businessType: 'restaurant', state: 'KA', employees: 25, annualTurnover: 12000000 };
+const AS_OF = new Date(2026, 9, 19);
+const daysBefore = days => new Date(2026, 9, 19 - days);
+
+describe('PenaltyCalculator components', () => {
+  test('fixed amounts are incurred immediately and do not grow', () => {
+    const fixed = { type: 'fixed', amount: 25000 };
+
+    expect(calculator.accrue(fixed, 0)).toBe(25000);
+    expect(calculator.accrue(fixed, 180)).toBe(25000);
+  });
+
+  test('per-day fees accrue daily up to their cap', () => {
+    const perDay = { type: 'perDay', amount: 100, max: 5000 };
+
+    expect(calculator.accrue(perDay, 10)).toBe(1000);
+    expect(calculator.accrue(perDay, 90)).toBe(5000);
+  });
+
+  test('percentage of tax applies its minimum and maximum', () => {
+    const component = { type: 'percentOfTax', percent: 10, min: 10000, max: 40000 };
+
+    expect(calculator.accrue(component, 0, 50000)).toBe(10000);
+    expect(calculator.accrue(component, 90, 50000)).toBe(15000);
+    expect(calculator.accrue(component, 360, 50000)).toBe(40000);
+  });
+
+  test('per-return late fees accrue on every missed monthly return', () => {
+    const perReturn = { type: 'perReturn', amount: 50, max: 2000 };
+
+    // Returns due on day 30 and day 60: 30 + 0 days late
+    expect(calculator.accrue(perReturn, 60)).toBe(1500);
+    expect(calculator.accrue(perReturn, 29)).toBe(0);
+    // 60 and 30 days late: the first return hits its cap
+    expect(calculator.accrue(perReturn, 90)).toBe(3500);
+  });
+
+  test('interest runs on each month from its due date, with tiered rates by delay', () => {
+    // Months due on day 30 and day 60 are 60 and 30 days late
+    expect(calculator.accrue({ type: 'interest', annualRate: 18 }, 90, 36500)).toBeCloseTo(36500 * 0.18 * (90 / 365), 5);
+
+    const tiered = { type: 'interest', tiers: [{ upToMonths: 2, annualRate: 5 }, { annualRate: 25 }] };
+    expect(calculator.accrue(tiered, 60, 36500)).toBeCloseTo(36500 * 0.05 * (30 / 365), 5);
+    // 100 and 70 days late at 25%, 40 and 10 days late at 5%
+    expect(calculator.accrue(tiered, 130, 36500)).toBeCloseTo(100 * (25 * 1 + 25 * 0.7 + 5 * 0.4 + 5 * 0.1), 5);
+  });
+
+  test('estimates monthly bases from the profile', () => {
+    expect(calculator.estimateMonthlyBase('gst', PROFILE)).toBe(50000);
+    expect(calculator.estimateMonthlyBase('gst', { ...PROFILE, monthlyGstLiability: 8000 })).toBe(8000);
+    expect(calculator.estimateMonthlyBase('epf', PROFILE)).toBe(90000);
+    expect(calculator.estimateMonthlyBase('esi', { employees: 10, averageMonthlyWage: 20000 })).toBe(8000);
+    expect(calculator.estimateMonthlyBase('professionalTax', PROFILE)).toBe(5000);
+  });
+});
+
+describe('ComplianceService.calculatePenaltyExposure', () => {
+  const USER = 'google_penalty_user';
+  const service = new ComplianceService();
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    complianceStatusStore.clearAll();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('unregistered GST accrues the late registration penalty, late fees and interest', () => {
+    const { items } = service.calculatePenaltyExposure(PROFILE, { asOf: AS_OF, since: { GST: daysBefore(90) } });
+    const gst = items.find(item => item.complianceId === 'GST');
+
+    expect(gst).toMatchObject({ daysOverdue: 90, monthlyBase: 50000 });
+    expect(gst.components.map(component => component.accrued)).toEqual([15000, 4500, 2219]);
+    expect(gst.exposure.today).toBe(21719);
+    expect(gst.exposure.in30Days).toBeGreaterThan(gst.exposure.today);
+    expect(gst.exposure.in180Days).toBeGreaterThan(gst.exposure.in90Days);
+  });
+
+  test('approved compliances carry no exposure and expired licences accrue from their expiry', () => {
+    complianceStatusStore.updateStatus(USER, 'GST', { status: 'approved' });
+    complianceStatusStore.updateStatus(USER, 'FSSAI', { status: 'approved', expiresAt: daysBefore(20) });
+
+    const { items } = service.calculatePenaltyExposure(PROFILE, { userId: USER, asOf: AS_OF });
+
+    expect(items.find(item => item.complianceId === 'GST')).toBeUndefined();
+    expect(items.find(item => item.complianceId === 'FSSAI')).toMatchObject({
+      status: 'expired',
+      daysOverdue: 20,
+      exposure: { today: 2000, in30Days: 5000, in90Days: 11000, in180Days: 20000 }
+    });
+  });
+
+  test('a new business with nothing overdue owes nothing today', () => {
+    const cafe = { businessType: 'cafe', state: 'KA', employees: 25, annualTurnover: 5000000 };
+
+    const { items, totals } = service.calculatePenaltyExposure(cafe, { asOf: AS_OF });
+
+    expect(items.length).toBeGreaterThan(0);
+    expect(totals.today).toBe(0);
+    expect(items.every(item => item.daysOverdue === 0)).toBe(true);
+    expect(totals.in30Days).toBeGreaterThan(0);
+  });
+
+  test('an obligation not yet due accrues only from its due date', () => {
+    const gst = { id: 'GST', key: 'GST', name: 'GST Registration' };
+    const dueDate = new Date(2026, 9, 29);
+
+    const pending = calculator.calculateObligation(gst, PROFILE, { dueDate, asOf: AS_OF });
+    const missed = calculator.calculateObligation(gst, PROFILE, { since: dueDate, asOf: new Date(2026, 10, 18) });
+
+    expect(pending).toMatchObject({ daysOverdue: 0, exposure: { today: 0 } });
+    expect(pending.components.every(component => component.accrued === 0)).toBe(true);
+    // 30 days from now is 20 days past the due date
+    expect(pending.exposure.in30Days).toBe(missed.exposure.today);
+    expect(missed.exposure.today).toBeGreaterThan(0);
+  });
+
+  test('totals and chart series add up the items', () => {
+    const { items, totals, series } = service.calculatePenaltyExposure(PROFILE, { asOf: AS_OF });
+    const sum = key => items.reduce((total, item) => total + item.exposure[key], 0);
+
+    expect(totals).toEqual({ today: sum('today'), in30Days: sum('in30Days'), in90Days: sum('in90Days'), in180Days: sum('in180Days') });
+    expect(series).toEqual([
+      { days: 0, amount: totals.today },
+      { days: 30, amount: totals.in30Days },
+      { days: 90, amount: totals.in90Days },
+      { days: 180, amount: totals.in180Days }
+    ]);
+  });
+});
+
+describe('POST /api/compliance/penalty-exposure', () => {
+  let harness;
+  let request;
+
+  beforeAll(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    harness = await startTestApp();
+    request = harness.request;
+  });
+
+  afterAll(async () => {
+    await harness.close();
+    jest.restoreAllMocks();
+  });
+
+  beforeEach(() => {
+    harness.reset();
+  });
+
+  test('returns exposure for the given profile, statuses and dates', async () => {
+    const { status, body } = await request('/api/compliance/penalty-exposure', {
+      method: 'POST',
+      user: null,
+      body: {
+        businessProfile: PROFILE,
+        statuses: { FSSAI: 'approved' },
+        since: { GST: daysBefore(90).toISOString() },
+        asOf: AS_OF.toISOString(),
+        horizons: [30, 60]
+      }
+    });
+
+    expect(status).toBe(200);
+    expect(body.items.map(item => item.complianceId)).not.toContain('FSSAI');
+    expect(body.items.find(item => item.complianceId === 'GST').exposure.today).toBe(21719);
+    expect(Object.keys(body.totals)).toEqual(['today', 'in30Days', 'in60Days']);
+  });
+
+  test('signed-in users default to their saved profile and tracked statuses', async () => {
+    expect((await request('/api/compliance/penalty-exposure', { method: 'POST', body: {} })).status).toBe(400);
+
+    userProfileStore.saveProfile(TEST_USER.userId, PROFILE);
+    complianceStatusStore.updateStatus(TEST_USER.userId, 'FSSAI', { status: 'approved' });
+
+    const { body } = await request('/api/compliance/penalty-exposure', { method: 'POST', body: {} });
+    expect(body.items.map(item => item.complianceId)).toEqual(expect.arrayContaining(['GST', 'EPF', 'ESI']));
+    expect(body.items.map(item => item.complianceId)).not.toContain('FSSAI');
+  });
+
+  test('rejects unknown statuses', async () => {
+    const { status, body } = await request('/api/compliance/penalty-exposure', {
+      method: 'POST',
+      body: { businessProfile: PROFILE, statuses: { GST: 'filed' } }
+    });
+
+    expect(status).toBe(400);
+    expect(body.details[0]).toContain('statuses.GST');
+  });
+});
@@ -0,0 +1,217 @@
+import { jest } from '@jest/globals';
+import { startTestApp, TEST_USER } from './helpers/testApp.js';
+import { ComplianceService } from '../services/ComplianceService.js';
+import { NotificationStore } from '../services/NotificationStore.js';
+import { ReminderScheduler, parseLeadDays } from '../services/ReminderScheduler.js';
+import { complianceStatusStore } from '../services/ComplianceStatusStore.js';
+import { userProfileStore } from '../services/UserProfileStore.js';
+
+const USER = 'google_reminder_user';
+const OTHER_USER = { userId: 'google_other_user', email: 'other@example.com' };
+
+// No employees and no GST, so only the renewals we approve below are on the calendar
+const PROFILE = { businessType: 'restaurant', state: 'KA', employees: 0, annualTurnover: 1500000 };
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const today = new Date(new Date().setHours(12, 0, 0, 0));
+const inDays = days => new Date(today.getTime() + days * DAY_MS);
+
+beforeEach(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+/**
+ * Save the profile and approve renewals expiring in the given number of days
+ * @param {string} userId - User identifier
+ * @param {Object} expiries - complianceId → days until expiry
+ */
+function seed(userId, expiries) {
+  userProfileStore.saveProfile(userId, PROFILE);
+  Object.entries(expiries).forEach(([complianceId, days]) => {
+    complianceStatusStore.updateStatus(userId, complianceId, { status: 'approved', expiresAt: inDays(days) });
+  });
+}
+
+test('parseLeadDays reads a comma-separated list and falls back to 30/7/1', () => {
+  expect(parseLeadDays('1, 14,3,14')).toEqual([14, 3, 1]);
+  expect(parseLeadDays('')).toEqual([30, 7, 1]);
+  expect(parseLeadDays('soon')).toEqual([30, 7, 1]);
+});
+
+describe('NotificationStore', () => {
+  let store;
+
+  beforeEach(() => {
+    store = new NotificationStore();
+  });
+
+  test('drops notifications with a dedupe key the user already has', () => {
+    expect(store.addNotification(USER, { type: 'x', title: 'A', dedupeKey: 'k1' })).not.toBeNull();
+    expect(store.addNotification(USER, { type: 'x', title: 'A again', dedupeKey: 'k1' })).toBeNull();
+    expect(store.addNotification('someone_else', { type: 'x', title: 'A', dedupeKey: 'k1' })).not.toBeNull();
+    expect(store.getNotifications(USER)).toHaveLength(1);
+  });
+
+  test('tracks read state and the unread count', () => {
+    const first = store.addNotification(USER, { type: 'x', title: 'First' });
+    store.addNotification(USER, { type: 'x', title: 'Second' });
+
+    expect(store.getUnreadCount(USER)).toBe(2);
+    expect(store.setRead(USER, first.id)).toMatchObject({ read: true, readAt: expect.any(Date) });
+    expect(store.getNotifications(USER, { unreadOnly: true }).map(n => n.title)).toEqual(['Second']);
+    expect(store.setRead(USER, first.id, false).readAt).toBeNull();
+    expect(store.markAllRead(USER)).toBe(2);
+    expect(store.getUnreadCount(USER)).toBe(0);
+  });
+
+  test('keeps only the newest notifications per user', () => {
+    store.maxNotificationsPerUser = 3;
+    ['1', '2', '3', '4'].forEach(title => store.addNotification(USER, { type: 'x', title }));
+
+    expect(store.getNotifications(USER)).toHaveLength(3);
+  });
+});
+
+describe('ReminderScheduler', () => {
+  let notifications;
+  let scheduler;
+
+  beforeEach(() => {
+    userProfileStore.clearAll();
+    complianceStatusStore.clearAll();
+    notifications = new NotificationStore();
+    scheduler = new ReminderScheduler({ complianceService: new ComplianceService(), notifications });
+  });
+
+  test('materialises only obligations within the longest lead time', () => {
+    seed(USER, { FSSAI: 20, KA_TRADE_LICENSE: 90 });
+
+    const upcoming = scheduler.getUpcoming(USER, PROFILE);
+
+    expect(upcoming).toEqual([
+      expect.objectContaining({ type: 'FSSAI Renewal', daysUntil: 20, leadDays: 30 })
+    ]);
+  });
+
+  test('fires the tightest lead time reached, once', async () => {
+    seed(USER, { FSSAI: 25, KA_TRADE_LICENSE: 6, KA_SHOPS_ACT: 1 });
+    const pushed = jest.fn();
+    scheduler.on('notification', pushed);
+
+    expect(await scheduler.run()).toEqual({ users: 1, notifications: 3 });
+    expect(await scheduler.run()).toEqual({ users: 1, notifications: 0 });
+
+    const titles = notifications.getNotifications(USER).map(n => n.title).sort();
+    expect(titles).toEqual(['FSSAI Renewal due in 25 days', 'Shops Act Renewal due tomorrow', 'Trade License Renewal due in 6 days']);
+    expect(pushed).toHaveBeenCalledTimes(3);
+    expect(pushed.mock.calls[0][0]).toBe(USER);
+  });
+
+  test('sends the next reminder when a later lead time is reached', () => {
+    seed(USER, { FSSAI: 10 });
+
+    expect(scheduler.runForUser(USER).map(n => n.data.leadDays)).toEqual([30]);
+    expect(scheduler.runForUser(USER, inDays(2))).toEqual([]);
+
+    const [reminder] = scheduler.runForUser(USER, inDays(4));
+    expect(reminder).toMatchObject({ title: 'FSSAI Renewal due in 6 days', data: { leadDays: 7, daysUntil: 6 } });
+
+    expect(scheduler.runForUser(USER, inDays(10))[0].title).toBe('FSSAI Renewal due today');
+  });
+
+  test('honours custom lead times and skips users without a profile', () => {
+    seed(USER, { FSSAI: 10 });
+    const custom = new ReminderScheduler({ complianceService: new ComplianceService(), notifications, leadDays: [3] });
+
+    expect(custom.runForUser(USER)).toEqual([]);
+    expect(custom.runForUser(USER, inDays(8))[0].data.leadDays).toBe(3);
+    expect(custom.runForUser('nobody')).toEqual([]);
+  });
+
+  test('the due date and dedupe key are the local calendar date', () => {
+    seed(USER, { FSSAI: 10 });
+    const expiry = inDays(10);
+    const dueDay = [expiry.getFullYear(), expiry.getMonth() + 1, expiry.getDate()]
+      .map(part => String(part).padStart(2, '0'))
+      .join('-');
+
+    const [reminder] = scheduler.runForUser(USER);
+
+    expect(reminder.data.dueDate).toBe(dueDay);
+    expect(reminder.dedupeKey).toBe(`reminder:FSSAI Renewal:${dueDay}:30`);
+  });
+
+  test('start rejects an invalid cron expression', () => {
+    const broken = new ReminderScheduler({ complianceService: new ComplianceService(), schedule: 'every morning' });
+    expect(() => broken.start()).toThrow('Invalid reminder schedule');
+  });
+});
+
+describe('/api/notifications', () => {
+  let harness;
+  let request;
+
+  beforeAll(async () => {
+    harness = await startTestApp();
+    request = harness.request;
+  });
+
+  afterAll(async () => {
+    await harness.close();
+  });
+
+  beforeEach(async () => {
+    harness.reset();
+    seed(TEST_USER.userId, { FSSAI: 5, KA_SHOPS_ACT: 1 });
+    await harness.reminderScheduler.run();
+  });
+
+  test('GET lists the inbox with the unread count', async () => {
+    const { status, body } = await request('/api/notifications');
+
+    expect(status).toBe(200);
+    expect(body.unreadCount).toBe(2);
+    expect(body.notifications.map(n => n.type)).toEqual(['deadline_reminder', 'deadline_reminder']);
+  });
+
+  test('PATCH marks one notification read and read-all clears the rest', async () => {
+    const { body } = await request('/api/notifications');
+
+    const patched = await request(`/api/notifications/${body.notifications[0].id}`, { method: 'PATCH', body: { read: true } });
+    expect(patched.body).toMatchObject({ notification: { read: true }, unreadCount: 1 });
+    expect((await request('/api/notifications', { query: { unread: 'true' } })).body.notifications).toHaveLength(1);
+
+    expect((await request('/api/notifications/read-all', { method: 'POST' })).body.updated).toBe(1);
+    expect((await request('/api/notifications')).body.unreadCount).toBe(0);
+    expect((await request(`/api/notifications/${body.notifications[0].id}`, { method: 'PATCH', body: {} })).status).toBe(400);
+  });
+
+  test('DELETE removes a notification', async () => {
+    const { body } = await request('/api/notifications');
+
+    expect((await request(`/api/notifications/${body.notifications[0].id}`, { method: 'DELETE' })).status).toBe(200);
+    expect((await request('/api/notifications')).body.notifications).toHaveLength(1);
+  });
+
+  test('notifications are private to their user', async () => {
+    const { body } = await request('/api/notifications');
+    const id = body.notifications[0].id;
+
+    expect((await request('/api/notifications', { user: OTHER_USER })).body).toMatchObject({ notifications: [], unreadCount: 0 });
+    expect((await request(`/api/notifications/${id}`, { method: 'PATCH', body: { read: true }, user: OTHER_USER })).status).toBe(404);
+    expect((await request(`/api/notifications/${id}`, { method: 'DELETE', user: OTHER_USER })).status).toBe(404);
+    expect((await request('/api/notifications', { user: null })).status).toBe(401);
+  });
+
+  test('GET /upcoming returns the materialised obligations', async () => {
+    const { body } = await request('/api/notifications/upcoming');
+
+    expect(body.leadDays).toEqual([30, 7, 1]);
+    expect(body.upcoming.map(entry => entry.type).sort()).toEqual(['FSSAI Renewal', 'Shops Act Renewal']);
+  });
+});
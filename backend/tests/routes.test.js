@@ -0,0 +1,359 @@
+import { jest } from '@jest/globals';
+import { startTestApp, TEST_USER } from './helpers/testApp.js';
+import { MockProvider } from '../services/llm/index.js';
+
+const OTHER_USER = { userId: 'google_other_user', email: 'other@example.com' };
+
+const CAFE_PROFILE = {
+  businessType: 'restaurant',
+  state: 'KA',
+  city: 'Bengaluru',
+  employees: 12,
+  annualTurnover: 3000000
+};
+
+let harness;
+let request;
+
+beforeAll(async () => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+
+  harness = await startTestApp({
+    llm: new MockProvider()
+      .when(/open a cafe in Bangalore.*Intent:$/, '{"intent": "DISCOVERY", "confidence": 0.95}')
+      .when(/Intent:$/, '{"intent": "GENERAL", "confidence": 0.9}')
+      .when(null, 'Namaste! I can help with licences and registrations.')
+  });
+  request = harness.request;
+});
+
+afterAll(async () => {
+  await harness.close();
+  jest.restoreAllMocks();
+});
+
+beforeEach(() => {
+  harness.reset();
+});
+
+describe('app', () => {
+  test('GET /api/health reports services', async () => {
+    const { status, body } = await request('/api/health', { user: null });
+
+    expect(status).toBe(200);
+    expect(body).toMatchObject({ status: 'healthy', services: { storage: 'memory' } });
+  });
+
+  test('unknown routes return 404', async () => {
+    expect((await request('/api/nope')).status).toBe(404);
+  });
+});
+
+describe('/api/auth', () => {
+  test('POST /google requires a Google token', async () => {
+    expect((await request('/api/auth/google', { method: 'POST', body: {}, user: null })).status).toBe(400);
+  });
+
+  test('GET /me returns the token user', async () => {
+    const { body } = await request('/api/auth/me');
+    expect(body.user).toMatchObject({ userId: TEST_USER.userId, email: TEST_USER.email });
+  });
+});
+
+describe('/api/chat', () => {
+  test('every chat route requires a session token', async () => {
+    const { status } = await request('/api/chat/message', { method: 'POST', body: { message: 'hi' }, user: null });
+    expect(status).toBe(401);
+  });
+
+  test('POST /message answers through the orchestrator and remembers the conversation', async () => {
+    const { status, body } = await request('/api/chat/message', {
+      method: 'POST',
+      body: { message: 'hello', sessionId: 'route-session', chatId: 'route-chat' }
+    });
+
+    expect(status).toBe(200);
+    expect(body).toMatchObject({
+      message: 'Namaste! I can help with licences and registrations.',
+      type: 'general',
+      sessionId: 'route-session',
+      chatId: 'route-chat',
+      conversationLength: 2
+    });
+
+    const conversation = await request('/api/chat/conversation/route-chat');
+    expect(conversation.body.messages.map(m => m.role)).toEqual(['user', 'assistant']);
+  });
+
+  test('POST /message requires a message', async () => {
+    expect((await request('/api/chat/message', { method: 'POST', body: {} })).status).toBe(400);
+  });
+
+  test('session routes expose the profile the agents inferred', async () => {
+    await request('/api/chat/message', {
+      method: 'POST',
+      body: { message: 'I want to open a cafe in Bangalore', sessionId: 'cafe-session', chatId: 'cafe-chat' }
+    });
+
+    const session = await request('/api/chat/session/cafe-session');
+    expect(session.body.businessProfile).toMatchObject({ city: 'Bangalore', state: 'Karnataka' });
+
+    const history = await request('/api/chat/history/cafe-session');
+    expect(history.body.total).toBe(2);
+
+    expect((await request('/api/chat/session/missing')).status).toBe(404);
+    expect((await request('/api/chat/history/missing')).status).toBe(404);
+  });
+
+  test('sessions belong to the user who started them', async () => {
+    await request('/api/chat/message', {
+      method: 'POST',
+      body: { message: 'I want to open a cafe in Bangalore', sessionId: 'owned-session', chatId: 'owned-chat' }
+    });
+
+    expect((await request('/api/chat/session/owned-session', { user: OTHER_USER })).status).toBe(404);
+    expect((await request('/api/chat/history/owned-session', { user: OTHER_USER })).status).toBe(404);
+
+    // Posting into someone else's sessionId starts the poster's own session
+    const { body } = await request('/api/chat/message', {
+      method: 'POST',
+      user: OTHER_USER,
+      body: { message: 'hello', sessionId: 'owned-session', chatId: 'other-chat' }
+    });
+    expect(body.sessionId).toBe('owned-session');
+
+    const theirs = await request('/api/chat/history/owned-session', { user: OTHER_USER });
+    expect(theirs.body.messages.map(message => message.content)).toEqual(['hello', body.message]);
+
+    const mine = await request('/api/chat/session/owned-session');
+    expect(mine.body).toMatchObject({ messageCount: 2, businessProfile: { city: 'Bangalore' } });
+  });
+
+  test('POST /session/reset starts a fresh session', async () => {
+    const { body } = await request('/api/chat/session/reset', { method: 'POST', body: { userProfile: CAFE_PROFILE } });
+
+    expect(body.sessionId).toEqual(expect.any(String));
+    expect((await request(`/api/chat/session/${body.sessionId}`)).status).toBe(200);
+  });
+
+  test('conversations are per user and can be cleared', async () => {
+    await request('/api/chat/test-memory', { method: 'POST', body: { chatId: 'memory-chat' } });
+
+    expect((await request('/api/chat/conversation/memory-chat', { user: OTHER_USER })).status).toBe(404);
+    expect((await request('/api/chat/conversation/memory-chat')).body.total).toBe(4);
+
+    expect((await request('/api/chat/conversation/memory-chat', { method: 'DELETE' })).status).toBe(200);
+    expect((await request('/api/chat/conversation/memory-chat', { method: 'DELETE' })).status).toBe(404);
+  });
+
+  test('GET /stats reports memory usage', async () => {
+    const { body } = await request('/api/chat/stats');
+    expect(body.memoryStats).toBeDefined();
+  });
+});
+
+describe('chat history (/api/chats, /api/chat)', () => {
+  test('POST /api/chat saves both sides and lists the chat', async () => {
+    const sent = await request('/api/chat', { method: 'POST', body: { message: 'hello', chatId: 'history-chat' } });
+    expect(sent.body).toMatchObject({ success: true, chatId: 'history-chat', chat: { messageCount: 2 } });
+
+    const list = await request('/api/chats');
+    expect(list.body.totalChats).toBe(1);
+
+    const chat = await request('/api/chats/history-chat');
+    expect(chat.body.chat.messages).toHaveLength(2);
+  });
+
+  test('renames and deletes a chat', async () => {
+    await request('/api/chat', { method: 'POST', body: { message: 'hello', chatId: 'rename-chat' } });
+
+    const renamed = await request('/api/chats/rename-chat/title', { method: 'PUT', body: { title: 'GST questions' } });
+    expect(renamed.body.title).toBe('GST questions');
+
+    expect((await request('/api/chats/rename-chat', { method: 'DELETE' })).status).toBe(200);
+    expect((await request('/api/chats/rename-chat')).status).toBe(404);
+  });
+
+  test('GET /api/chat-stats is public', async () => {
+    expect((await request('/api/chat-stats', { user: null })).body.success).toBe(true);
+  });
+});
+
+describe('/api/compliance', () => {
+  test('GET /evaluate resolves obligations for a profile', async () => {
+    const { body } = await request('/api/compliance/evaluate', { query: { businessProfile: CAFE_PROFILE } });
+
+    expect(body.evaluation.mandatory.map(c => c.id)).toContain('FSSAI');
+    expect((await request('/api/compliance/evaluate')).status).toBe(400);
+    expect((await request('/api/compliance/evaluate', { query: { businessProfile: '{oops' } })).status).toBe(400);
+  });
+
+  test('GET /readiness works with and without a user', async () => {
+    const anonymous = await request('/api/compliance/readiness', { query: { businessProfile: CAFE_PROFILE }, user: null });
+    expect(anonymous.body.readinessScore.completed).toBe(0);
+
+    await request('/api/compliance/status/FSSAI', { method: 'PUT', body: { status: 'approved' } });
+    const signedIn = await request('/api/compliance/readiness', { query: { businessProfile: CAFE_PROFILE } });
+    expect(signedIn.body.readinessScore.completed).toBe(1);
+  });
+
+  test('GET /details/:id', async () => {
+    expect((await request('/api/compliance/details/GST')).body).toMatchObject({ id: 'GST' });
+    expect((await request('/api/compliance/details/UNKNOWN')).status).toBe(404);
+  });
+
+  test('POST /structure-recommendation', async () => {
+    const { body } = await request('/api/compliance/structure-recommendation', {
+      method: 'POST',
+      body: { businessProfile: CAFE_PROFILE }
+    });
+    expect(body.recommendations).toBeDefined();
+  });
+
+  test('POST /cost-breakdown', async () => {
+    const { body: { evaluation } } = await request('/api/compliance/evaluate', { query: { businessProfile: CAFE_PROFILE } });
+    const { status, body } = await request('/api/compliance/cost-breakdown', { method: 'POST', body: { evaluation } });
+
+    expect(status).toBe(200);
+    expect(body.costBreakdown).toBeDefined();
+    expect((await request('/api/compliance/cost-breakdown', { method: 'POST', body: {} })).status).toBe(400);
+  });
+
+  test('GET /calendar', async () => {
+    const { body } = await request('/api/compliance/calendar', { query: { businessProfile: CAFE_PROFILE } });
+    expect(Array.isArray(body.calendar)).toBe(true);
+  });
+
+  test('POST /penalty-risks', async () => {
+    const missingCompliances = [{ id: 'FSSAI', name: 'FSSAI', penalties: 'Up to ₹5 lakh' }];
+    const { body } = await request('/api/compliance/penalty-risks', {
+      method: 'POST',
+      body: { businessProfile: CAFE_PROFILE, missingCompliances }
+    });
+
+    expect(body.risks).toHaveLength(1);
+    expect((await request('/api/compliance/penalty-risks', { method: 'POST', body: {} })).status).toBe(400);
+  });
+});
+
+describe('/api/compliance/status', () => {
+  test('tracks, reads and resets a status', async () => {
+    await request('/api/compliance/status/GST', { method: 'PUT', body: { status: 'applied', referenceNumber: 'ARN1' } });
+
+    expect((await request('/api/compliance/status/GST')).body.status).toMatchObject({ status: 'applied' });
+    expect((await request('/api/compliance/status')).body.statuses).toHaveLength(1);
+
+    await request('/api/compliance/status/GST', { method: 'DELETE' });
+    expect((await request('/api/compliance/status/GST')).body.status.status).toBe('not_started');
+  });
+
+  test('rejects unknown statuses', async () => {
+    const { status } = await request('/api/compliance/status/GST', { method: 'PUT', body: { status: 'bribed' } });
+    expect(status).toBe(400);
+  });
+});
+
+describe('/api/dashboard', () => {
+  test('POST builds dashboard data from the profile', async () => {
+    const { body } = await request('/api/dashboard', { method: 'POST', body: { userProfile: CAFE_PROFILE } });
+
+    expect(body).toMatchObject({ success: true, source: 'default' });
+    expect(body.data.obligations.length).toBeGreaterThan(0);
+  });
+
+  test('POST requires a user and a profile', async () => {
+    expect((await request('/api/dashboard', { method: 'POST', body: { userProfile: CAFE_PROFILE }, user: null })).status).toBe(401);
+    expect((await request('/api/dashboard', { method: 'POST', body: {} })).status).toBe(400);
+  });
+});
+
+describe('/api/states', () => {
+  test('lists, finds and searches states', async () => {
+    expect((await request('/api/states')).body.total).toBeGreaterThan(30);
+    expect((await request('/api/states/ka')).body).toMatchObject({ id: 'KA', name: 'Karnataka' });
+    expect((await request('/api/states/XX')).status).toBe(404);
+    expect((await request('/api/states/search/bengal')).body.states.map(s => s.id)).toContain('WB');
+  });
+
+  test('GET /coverage reports dataset versions', async () => {
+    expect((await request('/api/states/coverage')).body.versions).toBeDefined();
+  });
+});
+
+describe('/api/user', () => {
+  test('saves and reads the profile', async () => {
+    expect((await request('/api/user/profile', { method: 'POST', body: { userProfile: CAFE_PROFILE } })).status).toBe(201);
+    expect((await request('/api/user/profile', { method: 'PATCH', body: { userProfile: { city: 'Mysuru' } } })).status).toBe(200);
+
+    expect((await request('/api/user/profile')).body.profile).toMatchObject({ city: 'Mysuru', stateName: 'Karnataka' });
+    expect((await request('/api/user/profile/history')).body.history).toHaveLength(2);
+    expect((await request(`/api/user/profile/${TEST_USER.email}`)).body.exists).toBe(true);
+  });
+});
+
+describe('/api/llm', () => {
+  test('GET /status describes the provider', async () => {
+    const { body } = await request('/api/llm/status');
+    expect(body.llm).toMatchObject({ provider: 'mock', available: true });
+  });
+
+  test('POST /test generates a reply (also under the old /api/ollama path)', async () => {
+    const { body } = await request('/api/ollama/test', { method: 'POST', body: { message: 'hi' } });
+    expect(body).toMatchObject({ success: true, provider: 'mock' });
+    expect((await request('/api/llm/test', { method: 'POST', body: {} })).status).toBe(400);
+  });
+});
+
+describe('when the LLM is unavailable', () => {
+  let offline;
+
+  beforeAll(async () => {
+    offline = await startTestApp({ llm: new MockProvider({ available: false }) });
+  });
+
+  afterAll(async () => {
+    await offline.close();
+  });
+
+  beforeEach(() => {
+    offline.reset();
+  });
+
+  test('general questions get the canned greeting', async () => {
+    const { status, body } = await offline.request('/api/chat/message', { method: 'POST', body: { message: 'hello' } });
+
+    expect(status).toBe(200);
+    expect(body.type).toBe('general');
+    expect(body.message).toMatch(/I can help you with business compliance/);
+  });
+
+  test('discovery still answers from the compliance data', async () => {
+    const { body } = await offline.request('/api/chat/message', {
+      method: 'POST',
+      body: { message: 'I want to start a restaurant in Mumbai' }
+    });
+
+    expect(body.message.length).toBeGreaterThan(0);
+    expect(body.data.businessProfile).toMatchObject({ city: 'Mumbai', state: 'Maharashtra' });
+  });
+
+  test('compliance questions fall back to the obligation list', async () => {
+    await offline.request('/api/chat/message', {
+      method: 'POST',
+      body: { message: 'I run a cafe in Pune', sessionId: 'offline-session' }
+    });
+    const { body } = await offline.request('/api/chat/message', {
+      method: 'POST',
+      body: { message: 'Which licenses do I need for compliance?', sessionId: 'offline-session' }
+    });
+
+    expect(body.message).toEqual(expect.any(String));
+    expect(body.type).not.toBe('error');
+  });
+
+  test('the LLM routes report it', async () => {
+    expect((await offline.request('/api/llm/status')).body.llm.available).toBe(false);
+    expect((await offline.request('/api/llm/test', { method: 'POST', body: { message: 'hi' } })).status).toBe(503);
+  });
+});
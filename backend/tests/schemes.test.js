@@ -0,0 +1,154 @@
+import { jest } from '@jest/globals';
+import { startTestApp, TEST_USER } from './helpers/testApp.js';
+import { SchemeMatcher } from '../services/SchemeMatcher.js';
+import { SchemeAgent } from '../agents/SchemeAgent.js';
+import { AgentOrchestrator } from '../services/AgentOrchestrator.js';
+import { MockProvider } from '../services/llm/index.js';
+import { userProfileStore } from '../services/UserProfileStore.js';
+
+const matcher = new SchemeMatcher();
+const LAKH = 100000;
+
+// A new bakery in Pune with a ₹8 lakh budget, not yet registered
+const BAKERY = { businessType: 'bakery', state: 'MH', employees: 4, investment: 8 * LAKH };
+
+const eligibleIds = profile => matcher.match(profile).eligible.map(scheme => scheme.id);
+
+beforeEach(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('SchemeMatcher.match', () => {
+  test('a new micro manufacturer gets CGTMSE, PMEGP and the matching MUDRA tier', () => {
+    const result = matcher.match(BAKERY);
+
+    expect(result.msmeCategory).toBe('Micro');
+    expect(result.eligible.map(scheme => scheme.id)).toEqual(['CGTMSE', 'PMEGP', 'MUDRA_TARUN']);
+    expect(result.eligible.find(scheme => scheme.id === 'PMEGP')).toMatchObject({
+      reason: 'New enterprise and Manufacturing unit and Project cost ≤ ₹50 lakh (₹8 lakh)',
+      documents: expect.arrayContaining(['Detailed project report'])
+    });
+  });
+
+  test('MUDRA tier follows the loan amount', () => {
+    expect(eligibleIds({ ...BAKERY, loanAmount: 40000 })).toContain('MUDRA_SHISHU');
+    expect(eligibleIds({ ...BAKERY, loanAmount: 3 * LAKH })).toContain('MUDRA_KISHORE');
+    expect(eligibleIds({ ...BAKERY, loanAmount: 15 * LAKH })).not.toContain('MUDRA_TARUN_PLUS');
+    expect(eligibleIds({ ...BAKERY, loanAmount: 15 * LAKH, repaidTarunLoan: true })).toContain('MUDRA_TARUN_PLUS');
+  });
+
+  test('PMEGP caps service projects at ₹20 lakh and excludes running businesses', () => {
+    const salon = { businessType: 'salon', state: 'KA', investment: 25 * LAKH };
+    expect(eligibleIds(salon)).not.toContain('PMEGP');
+    expect(eligibleIds({ ...salon, investment: 15 * LAKH })).toContain('PMEGP');
+    expect(eligibleIds({ ...salon, investment: 15 * LAKH, registrationDate: '2021-04-01' })).not.toContain('PMEGP');
+  });
+
+  test('Stand-Up India is for women and SC/ST entrepreneurs starting out', () => {
+    expect(eligibleIds(BAKERY)).not.toContain('STAND_UP_INDIA');
+
+    const womanOwned = matcher.match({ ...BAKERY, womanOwned: true }).eligible.find(scheme => scheme.id === 'STAND_UP_INDIA');
+    expect(womanOwned.reason).toBe('Greenfield (first) enterprise and Woman entrepreneur');
+    expect(eligibleIds({ ...BAKERY, ownerSocialCategory: 'SC' })).toContain('STAND_UP_INDIA');
+  });
+
+  test('state startup policies need DPIIT recognition in that state', () => {
+    const startup = { businessType: 'it_services', state: 'Karnataka', annualTurnover: 50 * LAKH, dpiitRecognised: true };
+
+    expect(eligibleIds(startup)).toContain('KA_STARTUP_POLICY');
+    expect(eligibleIds(startup)).not.toContain('MH_STARTUP_POLICY');
+    expect(eligibleIds({ ...startup, dpiitRecognised: false })).not.toContain('KA_STARTUP_POLICY');
+  });
+
+  test('explains what ruled a scheme out', () => {
+    const large = matcher.match({ businessType: 'retail', state: 'KA', annualTurnover: 300 * 100 * LAKH });
+
+    expect(large.msmeCategory).toBeNull();
+    expect(large.notEligible.find(scheme => scheme.id === 'CGTMSE').reason).toBe('Needs Micro or Small enterprise');
+  });
+});
+
+describe('SCHEMES chat intent', () => {
+  test('falls back to the SCHEMES intent for scheme and subsidy questions', async () => {
+    const offline = new AgentOrchestrator(null, null, new MockProvider({ available: false }));
+
+    expect(await offline._extractIntent('Which schemes can I get for my business?', {})).toEqual({ type: 'SCHEMES' });
+    expect(await offline._extractIntent('Am I eligible for a MUDRA loan?', {})).toEqual({ type: 'SCHEMES' });
+    expect(await offline._extractIntent('Any subsidy for a bakery?', {})).toEqual({ type: 'SCHEMES' });
+  });
+
+  test('SchemeAgent answers with the reason and documents for each scheme', async () => {
+    const response = await new SchemeAgent().process('which schemes can I get?', {}, { businessProfile: BAKERY });
+
+    expect(response.type).toBe('schemes');
+    expect(response.data.eligibleSchemes.map(scheme => scheme.id)).toEqual(['CGTMSE', 'PMEGP', 'MUDRA_TARUN']);
+    expect(response.message).toContain('**2. Prime Minister\'s Employment Generation Programme (PMEGP)**');
+    expect(response.message).toContain('• Why you qualify: New enterprise and Manufacturing unit');
+    expect(response.message).toContain('• Documents: PMEGP online application on the KVIC portal');
+  });
+
+  test('asks for the business first', async () => {
+    const response = await new SchemeAgent().process('any schemes?', {}, { businessProfile: {} });
+    expect(response.type).toBe('redirect');
+  });
+});
+
+describe('/api/schemes', () => {
+  let harness;
+  let request;
+
+  beforeAll(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    harness = await startTestApp();
+    request = harness.request;
+  });
+
+  afterAll(async () => {
+    await harness.close();
+    jest.restoreAllMocks();
+  });
+
+  beforeEach(() => {
+    harness.reset();
+  });
+
+  test('GET /api/schemes lists the catalogue without the rules', async () => {
+    const { status, body } = await request('/api/schemes', { user: null });
+
+    expect(status).toBe(200);
+    expect(body.schemes.map(scheme => scheme.id)).toEqual(expect.arrayContaining(['CGTMSE', 'PMEGP', 'STAND_UP_INDIA', 'MUDRA_SHISHU', 'KA_STARTUP_POLICY']));
+    expect(body.schemes[0].eligibleIf).toBeUndefined();
+  });
+
+  test('matches a profile sent in the query or the body', async () => {
+    const viaQuery = await request('/api/schemes/eligible', { user: null, query: { businessProfile: BAKERY } });
+    expect(viaQuery.status).toBe(200);
+    expect(viaQuery.body.schemes.map(scheme => scheme.id)).toEqual(['CGTMSE', 'PMEGP', 'MUDRA_TARUN']);
+
+    const viaBody = await request('/api/schemes/eligible', { method: 'POST', user: null, body: { businessProfile: { ...BAKERY, womanOwned: true } } });
+    expect(viaBody.body.schemes.map(scheme => scheme.id)).toContain('STAND_UP_INDIA');
+    expect(viaBody.body.notEligible.length).toBeGreaterThan(0);
+  });
+
+  test('signed-in users default to their saved profile', async () => {
+    expect((await request('/api/schemes/eligible')).status).toBe(400);
+
+    userProfileStore.saveProfile(TEST_USER.userId, BAKERY);
+    const { status, body } = await request('/api/schemes/eligible');
+
+    expect(status).toBe(200);
+    expect(body.msmeCategory).toBe('Micro');
+  });
+
+  test('rejects a malformed profile', async () => {
+    expect((await request('/api/schemes/eligible', { user: null, query: { businessProfile: '{oops' } })).status).toBe(400);
+
+    const { status, body } = await request('/api/schemes/eligible', { method: 'POST', user: null, body: { businessProfile: 'bakery' } });
+    expect(status).toBe(400);
+    expect(body.details[0]).toContain('businessProfile');
+  });
+});
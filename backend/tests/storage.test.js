@@ -0,0 +1,149 @@
+import { jest } from '@jest/globals';
+import { mkdtemp, rm, readdir } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join, isAbsolute } from 'path';
+import { FileStorageAdapter, createStorageAdapter } from '../services/storage/index.js';
+import { ChatHistoryStore } from '../services/ChatHistoryStore.js';
+import { ChatMemoryStore } from '../services/ChatMemoryStore.js';
+
+let directory;
+
+beforeEach(async () => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  directory = await mkdtemp(join(tmpdir(), 'msme-storage-'));
+});
+
+afterEach(async () => {
+  jest.restoreAllMocks();
+  await rm(directory, { recursive: true, force: true });
+});
+
+// A store backed by the temp directory; every call to restart() is a fresh
+// process reading what the previous one wrote
+async function openStore(Store, configure = () => {}) {
+  const storage = new FileStorageAdapter(directory);
+  await storage.connect();
+  const store = new Store();
+  configure(store);
+  await store.attachStorage(storage);
+  return { store, storage };
+}
+
+describe('FileStorageAdapter', () => {
+  test('records survive a new adapter on the same directory', async () => {
+    const first = new FileStorageAdapter(directory);
+    await first.connect();
+    await first.save('things', 'a', { id: 'a', value: 1 });
+    await first.save('things', 'b', { id: 'b', value: 2 });
+    await first.remove('things', 'a');
+
+    const second = new FileStorageAdapter(directory);
+
+    expect(await second.loadAll('things')).toEqual([{ id: 'b', value: 2 }]);
+    expect(await readdir(directory)).toEqual(['things.json']);
+  });
+
+  test('later changes to a saved object are not written', async () => {
+    const storage = new FileStorageAdapter(directory);
+    const record = { id: 'a', value: 1 };
+
+    await storage.save('things', 'a', record);
+    record.value = 2;
+
+    expect(await new FileStorageAdapter(directory).loadAll('things')).toEqual([{ id: 'a', value: 1 }]);
+  });
+
+  test('a relative CHAT_STORAGE_PATH is resolved against the backend directory', () => {
+    const storage = createStorageAdapter({ CHAT_STORAGE: 'file', CHAT_STORAGE_PATH: './data/storage' });
+
+    expect(isAbsolute(storage.directory)).toBe(true);
+    expect(storage.directory).toBe(join(new URL('..', import.meta.url).pathname, 'data', 'storage'));
+  });
+});
+
+describe('ChatHistoryStore persistence', () => {
+  test('chats come back after a restart, still isolated per user', async () => {
+    const { store, storage } = await openStore(ChatHistoryStore);
+    store.addMessage('alice', 'chat_1', 'user', 'Do I need FSSAI for my bakery?');
+    store.addMessage('alice', 'chat_1', 'assistant', 'Yes, a Basic Registration.');
+    store.addMessage('bob', 'chat_1', 'user', 'GST threshold for services?');
+    await storage.flush();
+
+    const { store: restarted } = await openStore(ChatHistoryStore);
+
+    const chat = restarted.getChat('alice', 'chat_1');
+    expect(chat.messages.map(message => message.content))
+      .toEqual(['Do I need FSSAI for my bakery?', 'Yes, a Basic Registration.']);
+    expect(chat.createdAt).toBeInstanceOf(Date);
+    expect(chat.messages[0].timestamp).toBeInstanceOf(Date);
+    expect(restarted.getChat('bob', 'chat_1').title).toBe('GST threshold for services');
+    expect(restarted.getChat('carol', 'chat_1')).toBeNull();
+  });
+
+  test('chats evicted over maxChatsPerUser are removed from storage', async () => {
+    const limit = store => { store.maxChatsPerUser = 2; };
+    const { store, storage } = await openStore(ChatHistoryStore, limit);
+    store.createChat('alice', 'chat_1', 'first');
+    store.createChat('alice', 'chat_2', 'second');
+    store.createChat('alice', 'chat_3', 'third');
+    await storage.flush();
+
+    const { store: restarted } = await openStore(ChatHistoryStore, limit);
+
+    expect(restarted.getUserChats('alice').map(chat => chat.id).sort()).toEqual(['chat_2', 'chat_3']);
+  });
+
+  test('messages trimmed over maxMessagesPerChat stay trimmed', async () => {
+    const limit = store => { store.maxMessagesPerChat = 2; };
+    const { store, storage } = await openStore(ChatHistoryStore, limit);
+    ['one', 'two', 'three'].forEach(content => store.addMessage('alice', 'chat_1', 'user', content));
+    await storage.flush();
+
+    const { store: restarted } = await openStore(ChatHistoryStore, limit);
+
+    expect(restarted.getChat('alice', 'chat_1').messages.map(message => message.content)).toEqual(['two', 'three']);
+  });
+
+  test('deleted chats stay deleted', async () => {
+    const { store, storage } = await openStore(ChatHistoryStore);
+    store.createChat('alice', 'chat_1', 'first');
+    store.deleteChat('alice', 'chat_1');
+    await storage.flush();
+
+    const { store: restarted } = await openStore(ChatHistoryStore);
+
+    expect(restarted.getChat('alice', 'chat_1')).toBeNull();
+  });
+});
+
+describe('ChatMemoryStore persistence', () => {
+  test('conversation memory comes back after a restart, still isolated per user', async () => {
+    const { store, storage } = await openStore(ChatMemoryStore);
+    store.addMessage('alice', 'chat_1', 'user', 'We run a cafe in Pune');
+    store.addMessage('bob', 'chat_1', 'user', 'We make textiles in Surat');
+    await storage.flush();
+
+    const { store: restarted } = await openStore(ChatMemoryStore);
+
+    expect(restarted.getMessages('alice', 'chat_1').map(message => message.content)).toEqual(['We run a cafe in Pune']);
+    expect(restarted.getMessages('bob', 'chat_1').map(message => message.content)).toEqual(['We make textiles in Surat']);
+    expect(restarted.hasChat('carol', 'chat_1')).toBe(false);
+  });
+
+  test('evicted conversations and trimmed messages are gone after a restart', async () => {
+    const limits = store => {
+      store.maxChatsPerUser = 1;
+      store.maxMessagesPerChat = 1;
+    };
+    const { store, storage } = await openStore(ChatMemoryStore, limits);
+    store.addMessage('alice', 'chat_1', 'user', 'old chat');
+    store.addMessage('alice', 'chat_2', 'user', 'first');
+    store.addMessage('alice', 'chat_2', 'assistant', 'latest');
+    await storage.flush();
+
+    const { store: restarted } = await openStore(ChatMemoryStore, limits);
+
+    expect(restarted.hasChat('alice', 'chat_1')).toBe(false);
+    expect(restarted.getMessages('alice', 'chat_2').map(message => message.content)).toEqual(['latest']);
+  });
+});
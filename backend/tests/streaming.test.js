@@ -0,0 +1,189 @@
+import { jest } from '@jest/globals';
+import express from 'express';
+import chatRoutes from '../routes/chat.js';
+import { AgentOrchestrator } from '../services/AgentOrchestrator.js';
+import { OllamaProvider } from '../services/llm/index.js';
+import { chatMemoryStore } from '../services/ChatMemoryStore.js';
+import { authService } from '../services/AuthService.js';
+
+const USER = 'google_stream_user';
+
+/**
+ * Stand-in for the ollama client: plain chat() answers with `reply`,
+ * streamed chat() yields `tokens` and stops like ollama's iterator when aborted
+ */
+function fakeOllama({ reply = 'GENERAL', tokens = [] } = {}) {
+  return {
+    list: async () => ({ models: [{ name: 'llama3:latest' }] }),
+    chat: jest.fn(async request => {
+      if (!request.stream) {
+        return { message: { content: reply } };
+      }
+
+      let aborted = false;
+      return {
+        abort() {
+          aborted = true;
+        },
+        async *[Symbol.asyncIterator]() {
+          for (const token of tokens) {
+            if (aborted) throw new Error('The operation was aborted');
+            yield { message: { content: token } };
+          }
+        }
+      };
+    })
+  };
+}
+
+async function connectedOllama(client) {
+  const provider = new OllamaProvider({ client });
+  await provider.init();
+  return provider;
+}
+
+beforeEach(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('OllamaProvider streaming', () => {
+  test('passes tokens to onToken and resolves with the full text', async () => {
+    const ollama = fakeOllama({ tokens: ['Udyam ', 'is ', 'free.'] });
+    const service = await connectedOllama(ollama);
+    const onToken = jest.fn();
+
+    const text = await service.generateResponse('Is Udyam free?', 'system', { temperature: 0.3, onToken });
+
+    expect(text).toBe('Udyam is free.');
+    expect(onToken.mock.calls.map(([token]) => token)).toEqual(['Udyam ', 'is ', 'free.']);
+    expect(ollama.chat.mock.calls[0][0]).toMatchObject({ stream: true, options: { temperature: 0.3 } });
+    expect(ollama.chat.mock.calls[0][0].options).not.toHaveProperty('onToken');
+  });
+
+  test('aborting the signal stops the stream with an AbortError', async () => {
+    const service = await connectedOllama(fakeOllama({ tokens: ['one ', 'two ', 'three'] }));
+    const controller = new AbortController();
+    const onToken = jest.fn(() => controller.abort());
+
+    await expect(service.generateResponse('hi', '', { onToken, signal: controller.signal }))
+      .rejects.toMatchObject({ name: 'AbortError' });
+    expect(onToken).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe('AgentOrchestrator streaming', () => {
+  let orchestrator;
+
+  async function useOllama(ollama) {
+    orchestrator = new AgentOrchestrator(null, null, await connectedOllama(ollama));
+  }
+
+  test('forwards answer tokens to the caller', async () => {
+    await useOllama(fakeOllama({ reply: 'GENERAL', tokens: ['Namaste! ', 'How can I help?'] }));
+    const tokens = [];
+
+    const response = await orchestrator.processMessage('hello', {
+      sessionId: 's1',
+      stream: { onToken: token => tokens.push(token) }
+    });
+
+    expect(tokens).toEqual(['Namaste! ', 'How can I help?']);
+    expect(response).toMatchObject({ type: 'general', message: 'Namaste! How can I help?' });
+  });
+
+  test('a cancelled answer returns only what was generated', async () => {
+    await useOllama(fakeOllama({ reply: 'GENERAL', tokens: ['Namaste! ', 'How can I help?'] }));
+    const controller = new AbortController();
+
+    const response = await orchestrator.processMessage('hello', {
+      sessionId: 's1',
+      stream: { onToken: () => controller.abort(), signal: controller.signal }
+    });
+
+    expect(response).toMatchObject({ type: 'cancelled', cancelled: true, message: 'Namaste! ' });
+  });
+});
+
+describe('POST /api/chat/message as Server-Sent Events', () => {
+  let server;
+  let baseUrl;
+  let chatbotService;
+
+  beforeAll(async () => {
+    process.env.JWT_SECRET = 'streaming-test-secret';
+
+    chatbotService = {
+      processMessage: jest.fn(async (message, userProfile, sessionId, { stream }) => {
+        stream?.onToken('GST is ');
+        stream?.onToken('needed above ₹40 lakh.');
+        return { message: 'GST is needed above ₹40 lakh.', type: 'general' };
+      })
+    };
+
+    const app = express();
+    app.use(express.json());
+    app.locals.chatbotService = chatbotService;
+    app.locals.logger = { error: () => {}, info: () => {} };
+    app.use('/api/chat', chatRoutes);
+
+    await new Promise(resolve => {
+      server = app.listen(0, resolve);
+    });
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  afterAll(async () => {
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  beforeEach(() => {
+    chatMemoryStore.clearAll();
+  });
+
+  function postMessage(accept) {
+    return fetch(`${baseUrl}/api/chat/message`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        Accept: accept,
+        Authorization: `Bearer ${authService.issueToken({ userId: USER })}`
+      },
+      body: JSON.stringify({ message: 'Do I need GST?', sessionId: 'sse-session', chatId: 'sse-chat' })
+    });
+  }
+
+  function parseEvents(body) {
+    return body.trim().split('\n\n').map(raw => ({
+      event: raw.match(/^event: (.*)$/m)[1],
+      data: JSON.parse(raw.match(/^data: (.*)$/m)[1])
+    }));
+  }
+
+  test('streams token events followed by the final response', async () => {
+    const response = await postMessage('text/event-stream');
+    expect(response.headers.get('content-type')).toContain('text/event-stream');
+
+    const events = parseEvents(await response.text());
+
+    expect(events.map(e => e.event)).toEqual(['token', 'token', 'done']);
+    expect(events[0].data).toEqual({ token: 'GST is ' });
+    expect(events[2].data).toMatchObject({
+      message: 'GST is needed above ₹40 lakh.',
+      sessionId: 'sse-session',
+      chatId: 'sse-chat'
+    });
+    expect(chatMemoryStore.getChatInfo(USER, 'sse-chat').messageCount).toBe(2);
+  });
+
+  test('plain JSON clients get a single response without streaming', async () => {
+    const response = await postMessage('application/json');
+
+    expect(await response.json()).toMatchObject({ message: 'GST is needed above ₹40 lakh.', type: 'general' });
+    expect(chatbotService.processMessage.mock.calls.at(-1)[3].stream).toBeNull();
+  });
+});
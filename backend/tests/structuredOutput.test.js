@@ -0,0 +1,209 @@
+import { jest } from '@jest/globals';
+import Joi from 'joi';
+import { parseJsonReply, validateStructured } from '../services/llm/StructuredOutput.js';
+import { MockProvider, StructuredOutputError } from '../services/llm/index.js';
+import { DiscoveryAgent } from '../agents/DiscoveryAgent.js';
+import { AgentOrchestrator } from '../services/AgentOrchestrator.js';
+
+beforeEach(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+const INTENT = Joi.object({
+  intent: Joi.string().valid('COMPLIANCE', 'GENERAL').required(),
+  confidence: Joi.number().min(0).max(1).required()
+});
+
+const extraction = fields => JSON.stringify({
+  businessType: { value: null, confidence: 0 },
+  city: { value: null, confidence: 0 },
+  state: { value: null, confidence: 0 },
+  employeeCount: { value: null, confidence: 0 },
+  investment: { value: null, confidence: 0 },
+  annualTurnover: { value: null, confidence: 0 },
+  ...fields
+});
+
+describe('parseJsonReply', () => {
+  test('parses clean JSON as is', () => {
+    expect(parseJsonReply('{"intent": "GENERAL", "confidence": 0.8}'))
+      .toEqual({ value: { intent: 'GENERAL', confidence: 0.8 }, repaired: false });
+  });
+
+  test.each([
+    ['code fences and prose', 'Sure! ```json\n{"intent": "GENERAL"}\n``` Hope that helps.'],
+    ['single quotes and unquoted keys', "{intent: 'GENERAL'}"],
+    ['a trailing comma', '{"intent": "GENERAL",}'],
+    ['smart quotes', '{“intent”: “GENERAL”}'],
+    ['a truncated reply', '{"intent": "GENERAL"']
+  ])('repairs %s', (label, reply) => {
+    expect(parseJsonReply(reply)).toEqual({ value: { intent: 'GENERAL' }, repaired: true });
+  });
+
+  test('converts Python literals', () => {
+    expect(parseJsonReply("{'ok': True, 'city': None}").value).toEqual({ ok: true, city: null });
+  });
+
+  test('rejects replies without an object', () => {
+    expect(() => parseJsonReply('COMPLIANCE')).toThrow(SyntaxError);
+    expect(() => parseJsonReply('')).toThrow(SyntaxError);
+  });
+});
+
+describe('validateStructured', () => {
+  test('drops unknown keys and converts what it can', () => {
+    expect(validateStructured(INTENT, { intent: 'GENERAL', confidence: '0.7', reason: 'greeting' }))
+      .toEqual({ value: { intent: 'GENERAL', confidence: 0.7 }, errors: [] });
+  });
+
+  test('lists every problem', () => {
+    expect(validateStructured(INTENT, { intent: 'OTHER' }).errors).toHaveLength(2);
+  });
+});
+
+describe('LLMProvider.generateStructured', () => {
+  test('asks for JSON against the example and returns the validated value', async () => {
+    const llm = new MockProvider().when(null, '{"intent": "COMPLIANCE", "confidence": 0.9}');
+
+    const result = await llm.generateStructured('Do I need GST?', 'Classify.', {
+      schema: INTENT,
+      example: { intent: 'GENERAL', confidence: 0.5 }
+    });
+
+    expect(result).toEqual({ value: { intent: 'COMPLIANCE', confidence: 0.9 }, attempts: 1, repaired: false });
+    expect(llm.calls[0].options.json).toBe(true);
+    expect(llm.calls[0].systemPrompt).toContain('{"intent":"GENERAL","confidence":0.5}');
+  });
+
+  test('retries with the validation errors when the reply does not match the schema', async () => {
+    const llm = new MockProvider()
+      .when(null, '{"intent": "TAXES"}', { once: true })
+      .when(null, '{"intent": "COMPLIANCE", "confidence": 0.9}');
+
+    const result = await llm.generateStructured('Do I need GST?', '', { schema: INTENT });
+
+    expect(result.attempts).toBe(2);
+    expect(llm.calls[1].prompt).toBe(llm.calls[0].prompt);
+    expect(llm.calls[1].systemPrompt).toContain('"intent" must be one of');
+  });
+
+  test('throws a StructuredOutputError once the retries are used up', async () => {
+    const llm = new MockProvider().when(null, 'COMPLIANCE');
+
+    const error = await llm.generateStructured('Do I need GST?', '', { schema: INTENT, retries: 2 }).catch(e => e);
+
+    expect(error).toBeInstanceOf(StructuredOutputError);
+    expect(error).toMatchObject({ attempts: 3, reply: 'COMPLIANCE' });
+    expect(llm.calls).toHaveLength(3);
+  });
+});
+
+describe('intent extraction', () => {
+  test('keeps a confident LLM intent', async () => {
+    const orchestrator = new AgentOrchestrator(null, null,
+      new MockProvider().when(/Intent:$/, '{"intent": "SCHEMES", "confidence": 0.8}'));
+
+    expect(await orchestrator._extractIntent('anything for women founders?', {}))
+      .toEqual({ type: 'SCHEMES', confidence: 0.8, source: 'llm' });
+  });
+
+  test('prefers the keyword intent over an unsure LLM', async () => {
+    const orchestrator = new AgentOrchestrator(null, null,
+      new MockProvider().when(/Intent:$/, '{"intent": "GENERAL", "confidence": 0.3}'));
+
+    expect(await orchestrator._extractIntent('Do I need FSSAI?', {}))
+      .toEqual({ type: 'COMPLIANCE', confidence: 0.3, source: 'keywords' });
+  });
+});
+
+describe('DiscoveryAgent structured extraction', () => {
+  test('sets confident fields the keyword extractors missed and lets them win otherwise', async () => {
+    const llm = new MockProvider().when(/^Message:/, extraction({
+      businessType: { value: 'restaurant', confidence: 0.6 },
+      city: { value: 'Pune', confidence: 0.9 },
+      investment: { value: 2500000, confidence: 0.95 }
+    }));
+    const agent = new DiscoveryAgent(llm, null);
+    const profile = {};
+
+    const found = agent.extractAndInferInfo('a cafe near Pune station, twenty-five lakh put in', profile);
+    const unconfirmed = await agent.mergeStructuredExtraction('a cafe near Pune station, twenty-five lakh put in', profile, found);
+
+    expect(profile).toMatchObject({ businessType: 'cafe', city: 'Pune', stateId: 'MH', investment: 2500000, msmeCategory: 'Micro' });
+    expect(unconfirmed).toEqual([]);
+  });
+
+  test('returns low-confidence fields instead of setting them', async () => {
+    const llm = new MockProvider().when(/^Message:/, extraction({
+      city: { value: 'Pune', confidence: 0.95 },
+      annualTurnover: { value: 4000000, confidence: 0.5 }
+    }));
+    const agent = new DiscoveryAgent(llm, null);
+    const profile = {};
+
+    const unconfirmed = await agent.mergeStructuredExtraction('we sell maybe 40 lakh a year', profile, new Set());
+
+    expect(profile).toMatchObject({ city: 'Pune', state: 'Maharashtra' });
+    expect(profile.annualTurnover).toBeUndefined();
+    expect(unconfirmed).toEqual([{ field: 'annualTurnover', value: 4000000, confidence: 0.5 }]);
+  });
+
+  test('carries on without the LLM when it is offline', async () => {
+    const agent = new DiscoveryAgent(new MockProvider({ available: false }), null);
+
+    expect(await agent.mergeStructuredExtraction('a cafe', {}, new Set())).toEqual([]);
+  });
+
+  describe('clarifying questions', () => {
+    const unsureTurnover = () => new MockProvider()
+      .when(/Intent:$/, '{"intent": "DISCOVERY", "confidence": 0.9}')
+      .when(/^Message:/, extraction({ annualTurnover: { value: 4000000, confidence: 0.5 } }), { once: true })
+      .when(/^Message:/, extraction({}))
+      .when(null, 'Here is what you need.');
+
+    const ask = async (llm, session) => {
+      const orchestrator = new AgentOrchestrator(null, null, llm);
+      return orchestrator.processMessage('a bakery in Chennai, sales maybe 40 lakh', { session });
+    };
+
+    test('asks before setting an unsure field', async () => {
+      const session = { businessProfile: {} };
+
+      const response = await ask(unsureTurnover(), session);
+
+      expect(response.type).toBe('clarification');
+      expect(response.message).toBe('Just to confirm - is your annual turnover about ₹40 lakh? It decides GST registration.');
+      expect(response.data).toMatchObject({ awaiting: 'annualTurnover', clarification: { value: 4000000 } });
+      expect(session.businessProfile.annualTurnover).toBeUndefined();
+      expect(session.pendingClarification).toEqual({ field: 'annualTurnover', value: 4000000, confidence: 0.5 });
+    });
+
+    test('a yes sets the field and continues discovery', async () => {
+      const llm = unsureTurnover();
+      const session = { businessProfile: {} };
+      await ask(llm, session);
+
+      const response = await new AgentOrchestrator(null, null, llm).processMessage('yes, roughly', { session });
+
+      expect(response.type).not.toBe('clarification');
+      expect(session.businessProfile).toMatchObject({ annualTurnover: 4000000, city: 'Chennai' });
+      expect(session.pendingClarification).toBeUndefined();
+    });
+
+    test('a no drops the value', async () => {
+      const llm = unsureTurnover();
+      const session = { businessProfile: {} };
+      await ask(llm, session);
+
+      await new AgentOrchestrator(null, null, llm).processMessage('no', { session });
+
+      expect(session.businessProfile.annualTurnover).toBeUndefined();
+      expect(session.pendingClarification).toBeUndefined();
+    });
+  });
+});
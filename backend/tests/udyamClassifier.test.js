@@ -0,0 +1,115 @@
+import { jest } from '@jest/globals';
+import { UdyamClassifier, parseAmount } from '../services/UdyamClassifier.js';
+import { complianceResolver } from '../services/ComplianceResolver.js';
+import { ClassificationAgent } from '../agents/ClassificationAgent.js';
+import { DiscoveryAgent } from '../agents/DiscoveryAgent.js';
+import { MockProvider } from '../services/llm/index.js';
+
+const classifier = new UdyamClassifier();
+const CRORE = 10000000;
+
+beforeEach(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('UdyamClassifier.classify', () => {
+  test.each([
+    [1 * CRORE, 5 * CRORE, 'Micro'],
+    [1 * CRORE + 1, 5 * CRORE, 'Small'],
+    [0.5 * CRORE, 5 * CRORE + 1, 'Small'],
+    [10 * CRORE, 50 * CRORE, 'Small'],
+    [11 * CRORE, 20 * CRORE, 'Medium'],
+    [2 * CRORE, 250 * CRORE, 'Medium'],
+    [51 * CRORE, 100 * CRORE, 'Large'],
+    [5 * CRORE, 251 * CRORE, 'Large']
+  ])('investment ₹%i and turnover ₹%i → %s', (plantMachineryInvestment, annualTurnover, category) => {
+    expect(classifier.classify({ plantMachineryInvestment, annualTurnover }).category).toBe(category);
+  });
+
+  test('takes the higher category and explains both measures', () => {
+    const result = classifier.classify({ plantMachineryInvestment: 0.5 * CRORE, annualTurnover: 30 * CRORE });
+
+    expect(result).toMatchObject({ category: 'Small', isMsme: true });
+    expect(result.investment).toMatchObject({ category: 'Micro', source: 'plantMachineryInvestment' });
+    expect(result.turnover).toMatchObject({ category: 'Small', amount: 30 * CRORE });
+    expect(result.reasons).toEqual([
+      'Investment in plant and machinery of ₹50 lakh is within the Micro limit of ₹1 crore',
+      'Turnover of ₹30 crore is within the Small limit of ₹50 crore',
+      'The higher of the two categories applies: Small'
+    ]);
+  });
+
+  test('leaves export turnover out', () => {
+    const result = classifier.classify({ plantMachineryInvestment: 0.5 * CRORE, annualTurnover: 8 * CRORE, exportTurnover: 4 * CRORE });
+
+    expect(result.category).toBe('Micro');
+    expect(result.turnover).toMatchObject({ amount: 4 * CRORE, exportsExcluded: 4 * CRORE });
+    expect(result.reasons[1]).toContain('Turnover excluding exports');
+  });
+
+  test('classifies on one measure when the other is unknown and uses the budget as a stand-in', () => {
+    const turnoverOnly = classifier.classify({ annualTurnover: 2500000 });
+    expect(turnoverOnly.category).toBe('Micro');
+    expect(turnoverOnly.reasons.at(-1)).toBe('Classified on turnover alone - add plant and machinery investment to confirm');
+
+    const budget = classifier.classify({ investment: '15 crore' });
+    expect(budget).toMatchObject({ category: 'Medium', investment: { source: 'investment', amount: 15 * CRORE } });
+
+    expect(classifier.classify({ businessType: 'cafe' })).toMatchObject({ category: null, isMsme: false, benefits: [] });
+  });
+
+  test('lists the benefits open to the category', () => {
+    const ids = category => classifier.getBenefits(category).map(benefit => benefit.id);
+
+    expect(ids('Micro')).toEqual(expect.arrayContaining(['MUDRA', 'CGTMSE', 'DELAYED_PAYMENT_PROTECTION']));
+    expect(ids('Small')).not.toContain('MUDRA');
+    expect(ids('Medium')).not.toContain('CGTMSE');
+    expect(classifier.classify({ annualTurnover: 300 * CRORE }).benefits).toEqual([]);
+  });
+
+  test('parses amounts written with units', () => {
+    expect(parseAmount('5 lakh')).toBe(500000);
+    expect(parseAmount('₹2.5 crore')).toBe(25000000);
+    expect(parseAmount('3 Cr')).toBe(30000000);
+    expect(parseAmount(1200000)).toBe(1200000);
+    expect(parseAmount('')).toBeNull();
+  });
+});
+
+describe('Udyam classification consumers', () => {
+  const udyamFor = profile => complianceResolver.resolve(profile).recommended.find(compliance => compliance.id === 'MSME_UDYAM');
+
+  test('MSME_UDYAM shows the benefits of the business category', () => {
+    const udyam = udyamFor({ businessType: 'retail', state: 'KA', annualTurnover: 30 * CRORE });
+
+    expect(udyam.udyam.category).toBe('Small');
+    expect(udyam.reason).toBe('Qualifies as a Small enterprise - Turnover of ₹30 crore is within the Small limit of ₹50 crore');
+    expect(udyam.benefits).toContain('Collateral-free loans up to ₹5 crore under CGTMSE');
+    expect(udyam.benefits).not.toContain('MUDRA loans up to ₹20 lakh');
+  });
+
+  test('enterprises above the Medium limits are not offered Udyam registration', () => {
+    const resolution = complianceResolver.resolve({ businessType: 'retail', state: 'KA', annualTurnover: 300 * CRORE });
+
+    expect(resolution.recommended.find(compliance => compliance.id === 'MSME_UDYAM')).toBeUndefined();
+    expect(resolution.warnings).toEqual(expect.arrayContaining([expect.stringContaining('Udyam registration not available')]));
+  });
+
+  test('ClassificationAgent reports the Udyam category', () => {
+    const { classification } = new ClassificationAgent().classify({ businessType: 'retail', annualTurnover: 60 * CRORE, plantMachineryInvestment: CRORE });
+
+    expect(classification.turnoverBand).toBe('MEDIUM');
+    expect(classification.msme).toMatchObject({ category: 'Medium', isMsme: true });
+  });
+
+  test('DiscoveryAgent sets the MSME category once a budget is mentioned', () => {
+    const profile = {};
+    new DiscoveryAgent(new MockProvider(), null).extractAndInferInfo('a bakery in Pune with 8 staff and a budget of 2 crore', profile);
+
+    expect(profile).toMatchObject({ employeeCount: 8, msmeCategory: 'Small', scale: 'small' });
+  });
+});
@@ -0,0 +1,180 @@
+import { jest } from '@jest/globals';
+import express from 'express';
+import userRoutes from '../routes/user.js';
+import { RuleEngine } from '../services/RuleEngine.js';
+import { userProfileStore } from '../services/UserProfileStore.js';
+import { authService } from '../services/AuthService.js';
+
+const USER = 'google_profile_user';
+
+const PROFILE = {
+  businessOwnerName: 'Meena Iyer',
+  businessName: 'Iyer Tiffin Centre',
+  businessType: 'restaurant',
+  msmeCategory: 'micro',
+  city: 'Chennai',
+  state: 'Tamil Nadu',
+  gstNumber: '33abcde1234f1z5',
+  employees: 8,
+  annualTurnover: 2500000
+};
+
+let server;
+let baseUrl;
+let authHeader;
+
+beforeAll(async () => {
+  process.env.JWT_SECRET = 'profile-test-secret';
+  authHeader = `Bearer ${authService.issueToken({ userId: USER, email: 'meena@example.com' })}`;
+
+  const app = express();
+  app.use(express.json());
+  app.locals.ruleEngine = new RuleEngine();
+  app.locals.logger = { error: () => {}, info: () => {} };
+  app.use('/api/user', userRoutes);
+
+  await new Promise(resolve => {
+    server = app.listen(0, resolve);
+  });
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+afterAll(async () => {
+  await new Promise(resolve => server.close(resolve));
+});
+
+beforeEach(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  userProfileStore.clearAll();
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+function request(path, options = {}) {
+  return fetch(`${baseUrl}${path}`, {
+    ...options,
+    headers: { 'Content-Type': 'application/json', Authorization: authHeader, ...options.headers }
+  });
+}
+
+function sendProfile(method, userProfile) {
+  return request('/api/user/profile', { method, body: JSON.stringify({ userProfile }) });
+}
+
+describe('profile create/read/update', () => {
+  test('creates a normalized profile and reads it back', async () => {
+    const created = await sendProfile('POST', PROFILE);
+    expect(created.status).toBe(201);
+
+    const { profile } = await (await request('/api/user/profile')).json();
+    expect(profile).toMatchObject({
+      userId: USER,
+      state: 'TN',
+      stateName: 'Tamil Nadu',
+      msmeCategory: 'Micro',
+      gstNumber: '33ABCDE1234F1Z5',
+      email: 'meena@example.com'
+    });
+  });
+
+  test('reports a missing profile', async () => {
+    const body = await (await request('/api/user/profile')).json();
+    expect(body).toEqual({ profile: null, exists: false });
+  });
+
+  test('PATCH keeps fields that are not sent', async () => {
+    await sendProfile('POST', PROFILE);
+    await sendProfile('PATCH', { city: 'Coimbatore' });
+
+    const { profile } = await (await request('/api/user/profile')).json();
+    expect(profile).toMatchObject({ city: 'Coimbatore', businessName: 'Iyer Tiffin Centre' });
+  });
+
+  test('ignores a userId in the body', async () => {
+    await sendProfile('POST', { ...PROFILE, userId: 'google_someone_else' });
+
+    expect(userProfileStore.getProfile('google_someone_else')).toBeNull();
+    expect(userProfileStore.getProfile(USER)).not.toBeNull();
+  });
+
+  test('only the owner can read a profile by email', async () => {
+    await sendProfile('POST', PROFILE);
+
+    expect((await request('/api/user/profile/meena@example.com')).status).toBe(200);
+    expect((await request('/api/user/profile/other@example.com')).status).toBe(403);
+  });
+
+  test('derives the MSME category from investment and turnover', async () => {
+    const created = await (await sendProfile('POST', { ...PROFILE, plantMachineryInvestment: 20000000 })).json();
+
+    expect(created.profile.msmeCategory).toBe('Small');
+    expect(created.udyamClassification.reasons).toContain(
+      'Investment in plant and machinery of ₹2 crore is within the Small limit of ₹10 crore'
+    );
+
+    // PATCH re-classifies against the saved fields
+    const patched = await (await sendProfile('PATCH', { plantMachineryInvestment: 500000 })).json();
+    expect(patched.profile.msmeCategory).toBe('Micro');
+  });
+
+  test('requires a signed-in user', async () => {
+    const response = await fetch(`${baseUrl}/api/user/profile`);
+    expect(response.status).toBe(401);
+  });
+});
+
+describe('profile validation', () => {
+  test.each([
+    ['a malformed GSTIN', { gstNumber: '33ABCDE1234F1X5' }, 'gstNumber'],
+    ['an unknown state', { state: 'Atlantis' }, 'state'],
+    ['an unknown MSME category', { msmeCategory: 'Large' }, 'msmeCategory'],
+    ['a negative employee count', { employees: -1 }, 'employees'],
+    ['an invalid mobile number', { mobileNumber: '12345' }, 'mobileNumber']
+  ])('rejects %s', async (_, override, field) => {
+    const response = await sendProfile('POST', { ...PROFILE, ...override });
+    const body = await response.json();
+
+    expect(response.status).toBe(400);
+    expect(body.details.join(' ')).toContain(field);
+  });
+});
+
+describe('profile history and re-evaluation', () => {
+  test('records field changes in history', async () => {
+    await sendProfile('POST', PROFILE);
+    await sendProfile('PATCH', { city: 'Madurai' });
+    await sendProfile('PATCH', { city: 'Madurai' });
+
+    const { history } = await (await request('/api/user/profile/history')).json();
+    expect(history).toHaveLength(2);
+    expect(history[0].changes).toEqual({ city: { from: 'Chennai', to: 'Madurai' } });
+  });
+
+  test('crossing the EPF and ESI employee thresholds reports new obligations', async () => {
+    await sendProfile('POST', PROFILE);
+
+    const response = await sendProfile('PATCH', { employees: 25 });
+    const { reevaluation } = await response.json();
+
+    expect(reevaluation.changedFields).toEqual(['employees']);
+    expect(reevaluation.triggered.map(c => c.id)).toEqual(expect.arrayContaining(['EPF', 'ESI']));
+    expect(reevaluation.noLongerRequired).toEqual([]);
+  });
+
+  test('crossing the GST turnover threshold reports GST', async () => {
+    // Restaurants supply services - the threshold is ₹20 lakh
+    await sendProfile('POST', { ...PROFILE, annualTurnover: 1500000 });
+
+    const { reevaluation } = await (await sendProfile('PATCH', { annualTurnover: 2100000 })).json();
+    expect(reevaluation.triggered.map(c => c.id)).toContain('GST');
+  });
+
+  test('changes to other fields do not re-evaluate', async () => {
+    await sendProfile('POST', PROFILE);
+
+    const { reevaluation } = await (await sendProfile('PATCH', { businessName: 'Iyer Mess' })).json();
+    expect(reevaluation).toBeNull();
+  });
+});
@@ -13,6 +13,8 @@ import Home from './components/Home'
 import ChatSidebar from './components/ChatSidebar'
 import ChatGPTInterface from './components/ChatGPTInterface'
 import Login from './components/Login'
+import authService from './services/authService'
+import chatService from './services/chatService'
 
 // Memoized Layout component - NEVER remounts on navigation
 const AppLayout = memo(({ 
@@ -74,17 +76,13 @@ function App() {
     return 'home'
   }, [location.pathname])
   
-  // Check localStorage for persisted auth on mount
-  const [googleUser, setGoogleUser] = useState(() => {
-    const savedAuth = localStorage.getItem('msme_auth');
-    return savedAuth ? JSON.parse(savedAuth) : null;
-  });
+  // Check localStorage for a persisted session on mount
+  const [googleUser, setGoogleUser] = useState(() => authService.getUser());
 
   // Initialize userProfile from saved auth or use defaults
   const [userProfile, setUserProfile] = useState(() => {
-    const savedAuth = localStorage.getItem('msme_auth');
-    if (savedAuth) {
-      const userData = JSON.parse(savedAuth);
+    const userData = authService.getUser();
+    if (userData) {
       return {
         businessOwnerName: userData.name || '',
         businessName: '',
@@ -97,7 +95,7 @@ function App() {
         gstNumber: '',
         registrationDate: '',
         picture: userData.picture || '',
-        userId: userData.googleId || userData.email
+        userId: userData.userId
       };
     }
     return {
@@ -141,14 +139,14 @@ function App() {
       gstNumber: '',
       registrationDate: '',
       picture: userData.picture,
-      userId: userData.googleId || userData.email
+      userId: userData.userId
     });
     navigate('/home');
   }, [navigate])
 
   const handleLogout = useCallback(() => {
     setGoogleUser(null)
-    localStorage.removeItem('msme_auth')
+    authService.logout()
     navigate('/login')
   }, [navigate])
 
@@ -174,9 +172,30 @@ function App() {
     setIsDark(prev => !prev)
   }, [])
 
-  const handleSaveProfile = useCallback((updatedProfile) => {
+  // Load the saved business profile once signed in
+  useEffect(() => {
+    if (!googleUser) return
+
+    chatService.getProfile()
+      .then(({ profile, exists }) => {
+        if (exists) {
+          setUserProfile(prev => ({ ...prev, ...profile }))
+        }
+      })
+      .catch(() => console.debug('Profile fetch failed, using local profile'))
+  }, [googleUser])
+
+  const handleSaveProfile = useCallback(async (updatedProfile) => {
     setUserProfile(updatedProfile)
-    console.log('Profile saved:', updatedProfile)
+    try {
+      const { profile, reevaluation, udyamClassification } = await chatService.saveProfile(updatedProfile)
+      setUserProfile(prev => ({ ...prev, ...profile }))
+      // ProfilePage shows the newly triggered obligations and the Udyam category
+      return { profile, reevaluation, udyamClassification }
+    } catch (error) {
+      console.error('Failed to save profile:', error)
+      throw error
+    }
   }, [])
 
   // If not authenticated, only show login route
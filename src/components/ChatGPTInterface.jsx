@@ -3,9 +3,12 @@ import { motion, AnimatePresence } from 'framer-motion'
 import { FiUser, FiMessageCircle, FiLoader, FiSend } from 'react-icons/fi'
 import { useChatContext } from '../context/ChatContext'
 import { useAppContext } from '../context/AppContext'
+import { useLanguageContext } from '../context/LanguageContext'
+import LegalFootnotes from './LegalFootnotes'
 
 const ChatGPTInterface = ({ userProfile }) => {
   const { userIntent } = useAppContext()
+  const { t } = useLanguageContext()
   const {
     messages,
     isLoading,
@@ -80,6 +83,12 @@ const ChatGPTInterface = ({ userProfile }) => {
             <p className="text-sm leading-relaxed whitespace-pre-wrap">
               {message.content}
             </p>
+            {!isUser && message.references?.length > 0 && (
+              <div className="mt-3 pt-2 border-t border-slate-200 dark:border-slate-700">
+                <p className="text-xs font-semibold text-slate-600 dark:text-slate-300 mb-1">{t('chat.legalReferences')}</p>
+                <LegalFootnotes footnotes={message.references} />
+              </div>
+            )}
             <p className={`text-xs mt-2 ${
               isUser ? 'text-blue-100' : 'text-slate-500 dark:text-slate-400'
             }`}>
@@ -105,23 +114,23 @@ const ChatGPTInterface = ({ userProfile }) => {
           <FiMessageCircle className="w-7 h-7 text-white" />
         </div>
         <h2 className="text-xl font-semibold text-slate-900 dark:text-slate-100 mb-2">
-          MSME Compliance Navigator
+          {t('app.title')}
         </h2>
         <p className="text-slate-600 dark:text-slate-400 max-w-md mx-auto text-sm">
-          I'm here to help you start and grow your business in India with all the right compliance requirements.
+          {t('chat.welcome')}
         </p>
         {userIntent && (
           <div className="mt-3 inline-block px-3 py-1 bg-blue-100 dark:bg-blue-900 text-blue-700 dark:text-blue-300 rounded-full text-sm">
-            Focus: {userIntent.replace('_', ' ')}
+            {t('chat.focus', { intent: userIntent.replace('_', ' ') })}
           </div>
         )}
       </motion.div>
 
       <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 gap-3 max-w-3xl mx-auto">
         {[
-          { icon: '📋', title: 'Business Registration', desc: 'GST, PAN, licenses' },
-          { icon: '📅', title: 'Compliance Calendar', desc: 'Deadlines & filings' },
-          { icon: '🚀', title: 'Platform Onboarding', desc: 'Amazon, Flipkart, etc.' }
+          { icon: '📋', title: t('chat.card.registration'), desc: t('chat.card.registrationDesc') },
+          { icon: '📅', title: t('chat.card.calendar'), desc: t('chat.card.calendarDesc') },
+          { icon: '🚀', title: t('chat.card.platforms'), desc: t('chat.card.platformsDesc') }
         ].map((card, index) => (
           <motion.div
             key={index}
@@ -129,7 +138,7 @@ const ChatGPTInterface = ({ userProfile }) => {
             animate={{ opacity: 1, y: 0 }}
             transition={{ delay: index * 0.1 }}
             className="p-3 bg-white dark:bg-slate-800 rounded-lg border border-slate-200 dark:border-slate-700 hover:shadow-md transition-shadow cursor-pointer"
-            onClick={() => setInputMessage(`Tell me about ${card.title.toLowerCase()}`)}
+            onClick={() => setInputMessage(t('chat.card.prompt', { topic: card.title.toLowerCase() }))}
           >
             <div className="text-xl mb-2">{card.icon}</div>
             <h3 className="font-medium text-slate-900 dark:text-slate-100 mb-1 text-sm">
@@ -172,7 +181,7 @@ const ChatGPTInterface = ({ userProfile }) => {
                     <div className="flex items-center gap-2">
                       <FiLoader className="w-4 h-4 animate-spin text-emerald-500" />
                       <span className="text-sm text-slate-600 dark:text-slate-400">
-                        Thinking...
+                        {t('chat.thinking')}
                       </span>
                     </div>
                   </div>
@@ -195,7 +204,7 @@ const ChatGPTInterface = ({ userProfile }) => {
                 value={inputMessage}
                 onChange={(e) => setInputMessage(e.target.value)}
                 onKeyPress={handleKeyPress}
-                placeholder="Message MSME Compliance Navigator..."
+                placeholder={t('chat.placeholder')}
                 className="w-full px-4 py-3 pr-12 bg-slate-100 dark:bg-slate-800 border border-slate-200 dark:border-slate-700 rounded-xl resize-none focus:outline-none focus:ring-2 focus:ring-blue-500 text-slate-900 dark:text-slate-100 placeholder-slate-500"
                 rows="1"
                 style={{ 
@@ -221,7 +230,7 @@ const ChatGPTInterface = ({ userProfile }) => {
           </div>
           
           <p className="text-xs text-slate-500 dark:text-slate-400 mt-2 text-center">
-            Press Enter to send, Shift+Enter for new line
+            {t('chat.inputHint')}
           </p>
         </form>
       </div>
@@ -1,10 +1,18 @@
 import { useState, useEffect, useRef } from 'react';
 import { motion, AnimatePresence } from 'framer-motion';
-import { FiUser, FiMessageCircle, FiLoader, FiAlertCircle, FiCheckCircle, FiClock, FiInfo } from 'react-icons/fi';
+import { FiUser, FiMessageCircle, FiLoader, FiAlertCircle, FiCheckCircle, FiClock, FiInfo, FiSquare, FiPaperclip } from 'react-icons/fi';
 import chatService from '../services/chatService';
 import { useAppContext } from '../context/AppContext';
 import EnhancedChatInput from './EnhancedChatInput';
 
+// Receipt for files uploaded without a message
+const describeUploads = (documents) => {
+  const lines = documents.map(document =>
+    `• ${document.fileName} → ${document.checklistItem || 'untagged'}`
+  );
+  return `📎 Saved to your document vault:\n${lines.join('\n')}\n\nThe dashboard shows which documents are still missing for each compliance.`;
+};
+
 const ChatInterface = ({ userProfile, sessionId, onSessionUpdate }) => {
   const { userIntent } = useAppContext()
   const [messages, setMessages] = useState([])
@@ -14,7 +22,10 @@ const ChatInterface = ({ userProfile, sessionId, onSessionUpdate }) => {
   const [businessProfile, setBusinessProfile] = useState({})
   const [typingMessage, setTypingMessage] = useState('')
   const [isTyping, setIsTyping] = useState(false)
+  const [isStreaming, setIsStreaming] = useState(false)
   const messagesEndRef = useRef(null)
+  // Text received so far for the answer being streamed
+  const streamedRef = useRef('')
 
   // Initialize with a conversational welcome flow
   useEffect(() => {
@@ -64,32 +75,11 @@ What type of business are you planning to start?`,
     // Initialize socket connection
     const socket = chatService.initializeSocket(sessionId);
     
+    // Render answer tokens as they arrive
+    chatService.onToken(({ token }) => appendToken(token));
+
   // Listen for real-time responses with typing effect
-    chatService.onMessage((response) => {
-      setIsLoading(false);
-      
-      // Start typing effect for bot message
-      setIsTyping(true);
-      simulateTyping(response.message, (finalMessage) => {
-        setMessages(prev => [...prev, {
-          id: Date.now(),
-          role: 'assistant',
-          content: finalMessage,
-          type: response.type,
-          data: response.data,
-          timestamp: new Date()
-        }]);
-        
-        setCurrentPhase(response.data?.nextStep || currentPhase);
-        if (response.data?.businessProfile) {
-          setBusinessProfile(response.data.businessProfile);
-          onSessionUpdate?.(response.data.businessProfile);
-        }
-        
-        setIsTyping(false);
-        setTypingMessage('');
-      });
-    });
+    chatService.onMessage((response) => showResponse(response));
 
     // Listen for errors
     chatService.onError((error) => {
@@ -120,6 +110,66 @@ What type of business are you planning to start?`,
     setTimeout(() => scrollToBottom(), 50);
   };
 
+  const appendToken = (token) => {
+    streamedRef.current += token;
+    setIsLoading(false);
+    setIsStreaming(true);
+    setIsTyping(true);
+    setTypingMessage(streamedRef.current);
+  };
+
+  const addAssistantMessage = (response, content) => {
+    setMessages(prev => [...prev, {
+      id: Date.now() + 1,
+      role: 'assistant',
+      content,
+      type: response.type,
+      data: response.data,
+      cancelled: response.cancelled,
+      timestamp: new Date()
+    }]);
+
+    setCurrentPhase(response.data?.nextStep || currentPhase);
+    if (response.data?.businessProfile) {
+      setBusinessProfile(response.data.businessProfile);
+      onSessionUpdate?.(response.data.businessProfile);
+    }
+
+    setIsTyping(false);
+    setTypingMessage('');
+  };
+
+  // Show a finished answer: streamed answers are already on screen, others get the typing effect
+  const showResponse = (response) => {
+    const streamed = streamedRef.current;
+    streamedRef.current = '';
+    setIsLoading(false);
+    setIsStreaming(false);
+
+    if (response.cancelled) {
+      const partial = response.message || streamed;
+      if (partial) {
+        addAssistantMessage(response, partial);
+      } else {
+        setIsTyping(false);
+        setTypingMessage('');
+      }
+      return;
+    }
+
+    if (streamed) {
+      addAssistantMessage(response, response.message);
+      return;
+    }
+
+    setIsTyping(true);
+    simulateTyping(response.message, (finalMessage) => addAssistantMessage(response, finalMessage));
+  };
+
+  const stopGenerating = () => {
+    chatService.cancelGeneration();
+  };
+
   // Simulate typing effect
   const simulateTyping = (message, callback) => {
     setTypingMessage('');
@@ -148,54 +198,50 @@ What type of business are you planning to start?`,
     typeNextWord();
   };
 
-  const sendMessage = async (message) => {
-    if (!message.trim() || isLoading || isTyping) return;
+  const sendMessage = async (message, documents = []) => {
+    if ((!message.trim() && documents.length === 0) || isLoading || isTyping) return;
 
     const userMessage = {
       id: Date.now(),
       role: 'user',
       content: message,
+      documents,
       timestamp: new Date()
     };
 
     setMessages(prev => [...prev, userMessage]);
+
+    // Files on their own only need a receipt, not an answer
+    if (!message.trim()) {
+      addAssistantMessage({}, describeUploads(documents));
+      return;
+    }
+
     setIsLoading(true);
     setError(null);
+    streamedRef.current = '';
 
     try {
-      // Try real-time first, fallback to HTTP
+      // Try real-time first, fallback to HTTP (streamed over SSE)
       if (chatService.isConnected) {
         chatService.sendMessageRealtime(message, userProfile, userIntent, chatService.chatId);
       } else {
-        const response = await chatService.sendMessage(message, userProfile, sessionId, userIntent, chatService.chatId);
-        
-        setIsLoading(false);
-        
-        // Start typing effect for bot message
-        setIsTyping(true);
-        simulateTyping(response.message, (finalMessage) => {
-          setMessages(prev => [...prev, {
-            id: Date.now() + 1,
-            role: 'assistant',
-            content: finalMessage,
-            type: response.type,
-            data: response.data,
-            timestamp: new Date()
-          }]);
-          
-          setCurrentPhase(response.data?.nextStep || currentPhase);
-          if (response.data?.businessProfile) {
-            setBusinessProfile(response.data.businessProfile);
-            onSessionUpdate?.(response.data.businessProfile);
-          }
-          
-          setIsTyping(false);
-          setTypingMessage('');
+        const response = await chatService.streamMessage(message, userProfile, {
+          sessionId,
+          userIntent,
+          chatId: chatService.chatId,
+          onToken: appendToken
         });
+
+        showResponse(response);
       }
     } catch (error) {
       setError(error.message);
       setIsLoading(false);
+      setIsStreaming(false);
+      setIsTyping(false);
+      setTypingMessage('');
+      streamedRef.current = '';
     }
   };
 
@@ -232,6 +278,22 @@ What type of business are you planning to start?`,
               {formatMessageContent(message.content)}
             </div>
             
+            {message.documents?.length > 0 && (
+              <div className="flex flex-wrap gap-2 mt-2">
+                {message.documents.map(document => (
+                  <span key={document.id} className="inline-flex items-center gap-1 px-2 py-1 rounded-lg text-xs bg-white/20">
+                    <FiPaperclip size={12} />
+                    {document.fileName}
+                    {document.checklistItem && <span className="opacity-80">· {document.checklistItem}</span>}
+                  </span>
+                ))}
+              </div>
+            )}
+
+            {message.cancelled && (
+              <div className="text-xs mt-2 italic text-gray-500 dark:text-gray-400">Generation stopped</div>
+            )}
+
             {/* Special UI for different message types */}
             {message.type && message.data && renderSpecialContent(message)}
             
@@ -584,11 +646,20 @@ What type of business are you planning to start?`,
         
         {/* Status indicator */}
         {(isLoading || isTyping) && (
-          <div className="flex items-center justify-center mt-2">
+          <div className="flex items-center justify-center gap-4 mt-2">
             <div className="flex items-center gap-2 text-xs text-gray-500 dark:text-gray-400">
               {isLoading && <><FiLoader className="animate-spin" /> Processing...</>}
               {isTyping && <><span className="w-2 h-2 bg-indigo-500 rounded-full animate-pulse"></span> AI is typing...</>}
             </div>
+            {(isLoading || isStreaming) && (
+              <button
+                type="button"
+                onClick={stopGenerating}
+                className="flex items-center gap-1 px-3 py-1 text-xs rounded-full border border-gray-300 dark:border-slate-600 text-gray-600 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-slate-800 transition-colors"
+              >
+                <FiSquare size={12} /> Stop generating
+              </button>
+            )}
           </div>
         )}
       </div>
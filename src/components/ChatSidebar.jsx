@@ -10,6 +10,7 @@ import {
   FiMoreHorizontal 
 } from 'react-icons/fi'
 import { useChatContext } from '../context/ChatContext'
+import { useLanguageContext } from '../context/LanguageContext'
 
 const ChatSidebar = () => {
   const {
@@ -23,6 +24,7 @@ const ChatSidebar = () => {
     isSidebarOpen,
     toggleSidebar
   } = useChatContext()
+  const { t } = useLanguageContext()
 
   const [groupedChats, setGroupedChats] = useState({
     today: [],
@@ -74,7 +76,7 @@ const ChatSidebar = () => {
 
   const handleDeleteChat = async (chatId, e) => {
     e.stopPropagation()
-    if (window.confirm('Are you sure you want to delete this chat?')) {
+    if (window.confirm(t('chats.confirmDelete'))) {
       await deleteChat(chatId)
     }
   }
@@ -134,7 +136,7 @@ const ChatSidebar = () => {
           </p>
         )}
         <p className="text-xs text-slate-500 dark:text-slate-400 truncate">
-          {chat.messageCount} messages
+          {t('chats.messages', { count: chat.messageCount })}
         </p>
       </div>
 
@@ -187,14 +189,14 @@ const ChatSidebar = () => {
             {/* Header */}
             <div className="flex items-center justify-between p-4 border-b border-slate-200 dark:border-slate-800">
               <h2 className="text-lg font-semibold text-slate-900 dark:text-slate-100">
-                Chat History
+                {t('chats.title')}
               </h2>
               <button
                 onClick={handleNewChat}
                 className="flex items-center gap-2 px-3 py-2 bg-blue-500 hover:bg-blue-600 text-white rounded-lg transition-colors text-sm font-medium"
               >
                 <FiPlus className="w-4 h-4" />
-                New Chat
+                {t('chats.new')}
               </button>
             </div>
 
@@ -204,18 +206,18 @@ const ChatSidebar = () => {
                 <div className="text-center py-8">
                   <FiMessageSquare className="w-8 h-8 text-slate-400 mx-auto mb-3" />
                   <p className="text-slate-500 dark:text-slate-400 text-sm">
-                    No conversations yet
+                    {t('chats.empty')}
                   </p>
                   <p className="text-slate-400 dark:text-slate-500 text-xs mt-1">
-                    Start a new chat to begin
+                    {t('chats.emptyHint')}
                   </p>
                 </div>
               ) : (
                 <>
-                  <ChatGroup title="Today" chats={groupedChats.today} />
-                  <ChatGroup title="Yesterday" chats={groupedChats.yesterday} />
-                  <ChatGroup title="Last 7 Days" chats={groupedChats.lastWeek} />
-                  <ChatGroup title="Older" chats={groupedChats.older} />
+                  <ChatGroup title={t('chats.today')} chats={groupedChats.today} />
+                  <ChatGroup title={t('chats.yesterday')} chats={groupedChats.yesterday} />
+                  <ChatGroup title={t('chats.lastWeek')} chats={groupedChats.lastWeek} />
+                  <ChatGroup title={t('chats.older')} chats={groupedChats.older} />
                 </>
               )}
             </div>
@@ -223,7 +225,7 @@ const ChatSidebar = () => {
             {/* Footer */}
             <div className="p-4 pb-16 border-t border-slate-200 dark:border-slate-800">
               <div className="text-xs text-slate-500 dark:text-slate-400 text-center">
-                {chatList.length} conversation{chatList.length !== 1 ? 's' : ''}
+                {t(chatList.length === 1 ? 'chats.count.one' : 'chats.count.other', { count: chatList.length })}
               </div>
             </div>
 
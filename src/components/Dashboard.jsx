@@ -1,6 +1,10 @@
 import { useState, useEffect, useMemo, useRef, memo } from 'react'
 import { motion } from 'framer-motion'
 import { useAppContext } from '../context/AppContext'
+import { useLanguageContext } from '../context/LanguageContext'
+import authService from '../services/authService'
+import chatService from '../services/chatService'
+import LegalFootnotes, { collectFootnotes, FootnoteMarkers } from './LegalFootnotes'
 import { 
   FiShield, 
   FiAlertTriangle, 
@@ -14,7 +18,11 @@ import {
   FiInfo,
   FiZap,
   FiTarget,
-  FiActivity
+  FiActivity,
+  FiUpload,
+  FiDownload,
+  FiCalendar,
+  FiCreditCard
 } from 'react-icons/fi'
 
 // Animation variants for staggered children
@@ -37,10 +45,19 @@ const itemVariants = {
   }
 }
 
+// Priority and risk levels the backend sends, translated for display
+const LEVELS = ['High', 'Medium', 'Low']
+
 // Memoized Dashboard - prevents re-mount on navigation
 const Dashboard = memo(({ userProfile, sessionId }) => {
   const { userIntent } = useAppContext()
+  const { t } = useLanguageContext()
+  const levelLabel = (level) => LEVELS.includes(level) ? t(`dashboard.level.${level.toLowerCase()}`) : level
   const [complianceData, setComplianceData] = useState(null)
+  const [calendarFeed, setCalendarFeed] = useState(null)
+  const [penaltyExposure, setPenaltyExposure] = useState(null)
+  const [costBreakdown, setCostBreakdown] = useState(null)
+  const [professionalServices, setProfessionalServices] = useState([])
   const hasFetched = useRef(false)
 
   // Memoized mock data - prevents recalculation
@@ -109,37 +126,83 @@ const Dashboard = memo(({ userProfile, sessionId }) => {
     }
   }, [mockDashboardData, complianceData])
 
+  const fetchDashboardData = async () => {
+    try {
+      const response = await fetch('http://localhost:3001/api/dashboard', {
+        method: 'POST',
+        headers: authService.authHeaders({ 'Content-Type': 'application/json' }),
+        body: JSON.stringify({ userProfile, sessionId })
+      })
+      
+      if (response.ok) {
+        const result = await response.json()
+        if (result.data) {
+          setComplianceData(result.data)
+        }
+      }
+    } catch (error) {
+      console.debug('Dashboard fetch failed, using cached data')
+    }
+  }
+
   // Background fetch - updates data without blocking UI
   useEffect(() => {
     if (hasFetched.current) return
     hasFetched.current = true
 
-    const fetchDashboardData = async () => {
-      try {
-        const response = await fetch('http://localhost:3001/api/dashboard', {
-          method: 'POST',
-          headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify({ userProfile, sessionId })
-        })
-        
-        if (response.ok) {
-          const result = await response.json()
-          if (result.data) {
-            setComplianceData(result.data)
-          }
-        }
-      } catch (error) {
-        console.debug('Dashboard fetch failed, using cached data')
-      }
-    }
-
     if (userProfile) {
       fetchDashboardData()
+      chatService.getPenaltyExposure(userProfile)
+        .then(setPenaltyExposure)
+        .catch(() => console.debug('Penalty exposure unavailable'))
     }
   }, [userProfile, sessionId])
 
+  // Re-cost whenever the user switches a professional service on or off
+  useEffect(() => {
+    if (!userProfile) return
+
+    chatService.getCostBreakdown(userProfile, professionalServices)
+      .then(setCostBreakdown)
+      .catch(() => console.debug('Cost breakdown unavailable'))
+  }, [userProfile, professionalServices])
+
+  const toggleProfessionalService = (serviceId) => {
+    setProfessionalServices(selected => selected.includes(serviceId)
+      ? selected.filter(id => id !== serviceId)
+      : [...selected, serviceId])
+  }
+
+  // Upload a file for one missing checklist item, then refresh the checklist
+  const uploadMissingDocument = async (complianceId, checklistItem, file) => {
+    try {
+      await chatService.uploadDocuments([file], { checklistItem, complianceId })
+      await fetchDashboardData()
+    } catch (error) {
+      alert(t('dashboard.error.upload', { name: file.name, message: error.message }))
+    }
+  }
+
+  const downloadCalendar = async () => {
+    try {
+      await chatService.downloadCalendar(userProfile)
+    } catch (error) {
+      alert(t('dashboard.error.calendar', { message: error.message }))
+    }
+  }
+
+  const loadCalendarFeed = async (options) => {
+    try {
+      setCalendarFeed(await chatService.getCalendarFeed(options))
+    } catch (error) {
+      alert(t('dashboard.error.feed', { message: error.message }))
+    }
+  }
+
   // Always use displayData - never null
   const displayData = complianceData || mockDashboardData
+  const documentGaps = (displayData.obligations || []).filter(obligation => obligation.missingDocuments?.length > 0)
+  const taskFootnotes = collectFootnotes(displayData.pendingTasksList || [])
 
   // Remove loading state - always render content
   return (
@@ -161,29 +224,77 @@ const Dashboard = memo(({ userProfile, sessionId }) => {
             <div>
               <div className="flex items-center gap-3 mb-2">
                 <h1 className="text-3xl font-bold text-gray-900 dark:text-white">
-                  Compliance Dashboard
+                  {t('dashboard.title')}
                 </h1>
                 {/* Live Status Badge */}
                 <span className="inline-flex items-center gap-1.5 px-3 py-1 rounded-full text-xs font-medium bg-emerald-100 dark:bg-emerald-900/40 text-emerald-700 dark:text-emerald-400 border border-emerald-200 dark:border-emerald-800">
                   <span className="w-1.5 h-1.5 bg-emerald-500 rounded-full animate-pulse"></span>
-                  Monitoring Active
+                  {t('dashboard.monitoring')}
                 </span>
               </div>
               <p className="text-gray-600 dark:text-gray-400">
-                Welcome back, <span className="font-medium text-gray-900 dark:text-white">{userProfile?.businessOwnerName || 'Business Owner'}</span>
+                {t('dashboard.welcome')}{' '}
+                <span className="font-medium text-gray-900 dark:text-white">{userProfile?.businessOwnerName || t('profile.ownerFallback')}</span>
               </p>
             </div>
-            {userIntent && (
-              <motion.div 
-                initial={{ opacity: 0, x: 20 }}
-                animate={{ opacity: 1, x: 0 }}
-                className="text-sm px-4 py-2 bg-blue-100 dark:bg-blue-900/40 text-blue-700 dark:text-blue-300 rounded-lg border border-blue-200 dark:border-blue-800 flex items-center gap-2"
+            <div className="flex items-center gap-3">
+              {userIntent && (
+                <motion.div 
+                  initial={{ opacity: 0, x: 20 }}
+                  animate={{ opacity: 1, x: 0 }}
+                  className="text-sm px-4 py-2 bg-blue-100 dark:bg-blue-900/40 text-blue-700 dark:text-blue-300 rounded-lg border border-blue-200 dark:border-blue-800 flex items-center gap-2"
+                >
+                  <FiTarget size={14} />
+                  {t('dashboard.focus', { intent: userIntent.replace('_', ' ') })}
+                </motion.div>
+              )}
+              <button
+                onClick={downloadCalendar}
+                className="text-sm px-3 py-2 rounded-lg border border-gray-200 dark:border-slate-700 text-gray-700 dark:text-gray-300 hover:bg-gray-50 dark:hover:bg-slate-800 flex items-center gap-2 transition-colors"
+                title={t('dashboard.calendar.downloadTitle')}
               >
-                <FiTarget size={14} />
-                Active Focus: {userIntent.replace('_', ' ')}
-              </motion.div>
-            )}
+                <FiDownload size={14} />
+                .ics
+              </button>
+              <button
+                onClick={() => loadCalendarFeed()}
+                className="text-sm px-3 py-2 rounded-lg border border-gray-200 dark:border-slate-700 text-gray-700 dark:text-gray-300 hover:bg-gray-50 dark:hover:bg-slate-800 flex items-center gap-2 transition-colors"
+                title={t('dashboard.calendar.subscribeTitle')}
+              >
+                <FiCalendar size={14} />
+                {t('dashboard.calendar.subscribe')}
+              </button>
+            </div>
           </div>
+
+          {calendarFeed && (
+            <div className="mt-4 p-4 rounded-xl bg-gray-50 dark:bg-slate-900 border border-gray-200 dark:border-slate-800 text-sm">
+              <p className="text-gray-700 dark:text-gray-300 mb-2">
+                {t('dashboard.calendar.feedHint')}
+              </p>
+              <div className="flex items-center gap-2">
+                <input
+                  readOnly
+                  value={calendarFeed.feedUrl}
+                  onFocus={(e) => e.target.select()}
+                  className="flex-1 px-3 py-2 rounded-lg bg-white dark:bg-slate-950 border border-gray-200 dark:border-slate-700 text-gray-700 dark:text-gray-300 text-xs"
+                />
+                <button
+                  onClick={() => navigator.clipboard?.writeText(calendarFeed.feedUrl)}
+                  className="px-3 py-2 rounded-lg bg-blue-600 hover:bg-blue-700 text-white text-xs"
+                >
+                  {t('dashboard.calendar.copy')}
+                </button>
+                <button
+                  onClick={() => loadCalendarFeed({ rotate: true })}
+                  className="px-3 py-2 rounded-lg border border-gray-200 dark:border-slate-700 text-gray-600 dark:text-gray-400 text-xs"
+                  title={t('dashboard.calendar.rotateTitle')}
+                >
+                  {t('dashboard.calendar.rotate')}
+                </button>
+              </div>
+            </div>
+          )}
         </motion.div>
 
         {/* Stats Cards with Stagger Animation */}
@@ -195,33 +306,33 @@ const Dashboard = memo(({ userProfile, sessionId }) => {
         >
           <StatCard
             icon={FiShield}
-            title="Compliance Score"
+            title={t('dashboard.stats.score')}
             value={`${displayData.complianceScore}%`}
-            subtitle="Based on current inputs"
+            subtitle={t('dashboard.stats.scoreHint')}
             status={displayData.complianceScore >= 70 ? 'good' : displayData.complianceScore >= 40 ? 'warning' : 'critical'}
             color="blue"
           />
           <StatCard
             icon={FiAlertTriangle}
-            title="Pending Tasks"
+            title={t('dashboard.stats.pending')}
             value={displayData.pendingTasks}
-            subtitle={displayData.pendingTasks > 0 ? "Needs attention" : "All caught up"}
+            subtitle={t(displayData.pendingTasks > 0 ? 'dashboard.stats.pendingHint' : 'dashboard.stats.caughtUp')}
             status={displayData.pendingTasks === 0 ? 'good' : displayData.pendingTasks <= 2 ? 'warning' : 'critical'}
             color="amber"
           />
           <StatCard
             icon={FiClock}
-            title="Upcoming Deadlines"
+            title={t('dashboard.stats.deadlines')}
             value={displayData.upcomingDeadlines}
-            subtitle="Within next 30 days"
+            subtitle={t('dashboard.stats.deadlinesHint')}
             status={displayData.upcomingDeadlines === 0 ? 'good' : 'warning'}
             color="rose"
           />
           <StatCard
             icon={FiMessageCircle}
-            title="Chat Topics"
+            title={t('dashboard.stats.topics')}
             value={displayData.chatTopics}
-            subtitle="Insights gathered"
+            subtitle={t('dashboard.stats.topicsHint')}
             status="good"
             color="emerald"
           />
@@ -245,10 +356,10 @@ const Dashboard = memo(({ userProfile, sessionId }) => {
                   <FiActivity className="text-blue-600 dark:text-blue-400" size={20} />
                 </div>
                 <h3 className="text-xl font-semibold text-gray-900 dark:text-white">
-                  Compliance Breakdown
+                  {t('dashboard.breakdown.title')}
                 </h3>
               </div>
-              <span className="text-xs text-gray-500 dark:text-gray-500">Updated just now</span>
+              <span className="text-xs text-gray-500 dark:text-gray-500">{t('dashboard.breakdown.updated')}</span>
             </div>
             
             {displayData.complianceBreakdown && displayData.complianceBreakdown.length > 0 ? (
@@ -271,7 +382,7 @@ const Dashboard = memo(({ userProfile, sessionId }) => {
                           item.value >= 50 ? 'bg-yellow-100 dark:bg-yellow-900/40 text-yellow-700 dark:text-yellow-400' :
                           'bg-red-100 dark:bg-red-900/40 text-red-700 dark:text-red-400'
                         }`}>
-                          {item.value >= 80 ? 'On Track' : item.value >= 50 ? 'In Progress' : 'Needs Attention'}
+                          {t(item.value >= 80 ? 'dashboard.breakdown.onTrack' : item.value >= 50 ? 'dashboard.breakdown.inProgress' : 'dashboard.breakdown.needsAttention')}
                         </span>
                         <span className="text-sm font-bold text-gray-900 dark:text-white min-w-[3rem] text-right">
                           {item.value}%
@@ -292,8 +403,8 @@ const Dashboard = memo(({ userProfile, sessionId }) => {
             ) : (
               <EmptyState 
                 icon={FiActivity}
-                title="No compliance data yet"
-                description="Complete your business profile to see compliance breakdown"
+                title={t('dashboard.breakdown.emptyTitle')}
+                description={t('dashboard.breakdown.emptyDescription')}
               />
             )}
           </motion.div>
@@ -309,7 +420,7 @@ const Dashboard = memo(({ userProfile, sessionId }) => {
                   <FiAlertTriangle className="text-amber-600 dark:text-amber-400" size={20} />
                 </div>
                 <h3 className="text-xl font-semibold text-gray-900 dark:text-white">
-                  Risk Assessment
+                  {t('dashboard.risk.title')}
                 </h3>
               </div>
             </div>
@@ -327,7 +438,7 @@ const Dashboard = memo(({ userProfile, sessionId }) => {
                     <div className="flex items-center gap-3">
                       <div className={`w-3 h-3 rounded-full ${risk.color}`}></div>
                       <span className="text-gray-700 dark:text-gray-300 font-medium">
-                        {risk.level} Risk
+                        {t('dashboard.risk.level', { level: levelLabel(risk.level) })}
                       </span>
                     </div>
                     <div className="flex items-center gap-3">
@@ -335,7 +446,7 @@ const Dashboard = memo(({ userProfile, sessionId }) => {
                         {risk.count}
                       </span>
                       <span className="text-xs text-gray-500 dark:text-gray-500">
-                        {risk.count === 1 ? 'item' : 'items'}
+                        {t(risk.count === 1 ? 'dashboard.risk.items.one' : 'dashboard.risk.items.other')}
                       </span>
                     </div>
                   </motion.div>
@@ -345,15 +456,15 @@ const Dashboard = memo(({ userProfile, sessionId }) => {
                 <div className="mt-4 pt-4 border-t border-gray-100 dark:border-slate-800">
                   <p className="text-sm text-gray-500 dark:text-gray-500 flex items-center gap-2">
                     <FiInfo size={14} />
-                    Risk levels are calculated based on deadline proximity and compliance status
+                    {t('dashboard.risk.hint')}
                   </p>
                 </div>
               </div>
             ) : (
               <EmptyState 
                 icon={FiShield}
-                title="No risks detected"
-                description="Your compliance status looks good!"
+                title={t('dashboard.risk.emptyTitle')}
+                description={t('dashboard.risk.emptyDescription')}
               />
             )}
           </motion.div>
@@ -377,11 +488,11 @@ const Dashboard = memo(({ userProfile, sessionId }) => {
                   <FiZap className="text-indigo-600 dark:text-indigo-400" size={20} />
                 </div>
                 <h3 className="text-xl font-semibold text-gray-900 dark:text-white">
-                  AI Insights
+                  {t('dashboard.insights.title')}
                 </h3>
               </div>
               <span className="text-xs px-2 py-1 rounded-full bg-indigo-100 dark:bg-indigo-900/40 text-indigo-600 dark:text-indigo-400">
-                From chat analysis
+                {t('dashboard.insights.source')}
               </span>
             </div>
             
@@ -405,9 +516,9 @@ const Dashboard = memo(({ userProfile, sessionId }) => {
             ) : (
               <EmptyState 
                 icon={FiMessageCircle}
-                title="No insights yet"
-                description="Start a chat conversation to generate AI-powered compliance insights"
-                actionText="Start a Chat"
+                title={t('dashboard.insights.emptyTitle')}
+                description={t('dashboard.insights.emptyDescription')}
+                actionText={t('dashboard.insights.startChat')}
               />
             )}
           </motion.div>
@@ -423,7 +534,7 @@ const Dashboard = memo(({ userProfile, sessionId }) => {
                   <FiTrendingUp className="text-emerald-600 dark:text-emerald-400" size={20} />
                 </div>
                 <h3 className="text-xl font-semibold text-gray-900 dark:text-white">
-                  Recommended Actions
+                  {t('dashboard.actions.title')}
                 </h3>
               </div>
             </div>
@@ -449,7 +560,7 @@ const Dashboard = memo(({ userProfile, sessionId }) => {
                           ? 'bg-yellow-100 text-yellow-700 dark:bg-yellow-900/40 dark:text-yellow-400'
                           : 'bg-green-100 text-green-700 dark:bg-green-900/40 dark:text-green-400'
                       }`}>
-                        {action.priority}
+                        {levelLabel(action.priority)}
                       </span>
                     </div>
                     <p className="text-gray-600 dark:text-gray-400 text-sm mb-3">
@@ -457,7 +568,7 @@ const Dashboard = memo(({ userProfile, sessionId }) => {
                     </p>
                     <button className="px-4 py-2 bg-blue-600 hover:bg-blue-700 text-white rounded-lg transition-colors text-sm font-medium flex items-center gap-2 group-hover:shadow-lg group-hover:shadow-blue-500/25">
                       <FiEye size={14} />
-                      View Details
+                      {t('dashboard.actions.details')}
                     </button>
                   </motion.div>
                 ))}
@@ -465,8 +576,8 @@ const Dashboard = memo(({ userProfile, sessionId }) => {
             ) : (
               <EmptyState 
                 icon={FiTrendingUp}
-                title="No recommendations yet"
-                description="Actions will appear based on your compliance status and chat conversations"
+                title={t('dashboard.actions.emptyTitle')}
+                description={t('dashboard.actions.emptyDescription')}
               />
             )}
           </motion.div>
@@ -485,12 +596,12 @@ const Dashboard = memo(({ userProfile, sessionId }) => {
                 <FiFileText className="text-rose-600 dark:text-rose-400" size={20} />
               </div>
               <h3 className="text-xl font-semibold text-gray-900 dark:text-white">
-                Pending Tasks
+                {t('dashboard.tasks.title')}
               </h3>
             </div>
             {displayData.pendingTasksList && displayData.pendingTasksList.length > 0 && (
               <span className="text-xs px-2.5 py-1 rounded-full bg-rose-100 dark:bg-rose-900/40 text-rose-600 dark:text-rose-400 font-medium">
-                {displayData.pendingTasksList.length} pending
+                {t('dashboard.tasks.pendingCount', { count: displayData.pendingTasksList.length })}
               </span>
             )}
           </div>
@@ -500,10 +611,10 @@ const Dashboard = memo(({ userProfile, sessionId }) => {
               <table className="w-full">
                 <thead>
                   <tr className="border-b border-gray-200 dark:border-slate-700">
-                    <th className="text-left py-3 px-4 text-gray-500 dark:text-gray-400 font-medium text-sm">Task</th>
-                    <th className="text-left py-3 px-4 text-gray-500 dark:text-gray-400 font-medium text-sm">Priority</th>
-                    <th className="text-left py-3 px-4 text-gray-500 dark:text-gray-400 font-medium text-sm">Deadline</th>
-                    <th className="text-left py-3 px-4 text-gray-500 dark:text-gray-400 font-medium text-sm">Action</th>
+                    <th className="text-left py-3 px-4 text-gray-500 dark:text-gray-400 font-medium text-sm">{t('dashboard.tasks.task')}</th>
+                    <th className="text-left py-3 px-4 text-gray-500 dark:text-gray-400 font-medium text-sm">{t('dashboard.tasks.priority')}</th>
+                    <th className="text-left py-3 px-4 text-gray-500 dark:text-gray-400 font-medium text-sm">{t('dashboard.tasks.deadline')}</th>
+                    <th className="text-left py-3 px-4 text-gray-500 dark:text-gray-400 font-medium text-sm">{t('dashboard.tasks.action')}</th>
                   </tr>
                 </thead>
                 <tbody>
@@ -517,6 +628,7 @@ const Dashboard = memo(({ userProfile, sessionId }) => {
                     >
                       <td className="py-4 px-4 text-gray-900 dark:text-white font-medium">
                         {task.title}
+                        <FootnoteMarkers footnotes={taskFootnotes} complianceId={task.id} />
                       </td>
                       <td className="py-4 px-4">
                         <span className={`px-2.5 py-1 rounded-full text-xs font-medium ${
@@ -526,7 +638,7 @@ const Dashboard = memo(({ userProfile, sessionId }) => {
                             ? 'bg-yellow-100 text-yellow-700 dark:bg-yellow-900/40 dark:text-yellow-400'
                             : 'bg-green-100 text-green-700 dark:bg-green-900/40 dark:text-green-400'
                         }`}>
-                          {task.priority}
+                          {levelLabel(task.priority)}
                         </span>
                       </td>
                       <td className="py-4 px-4">
@@ -536,10 +648,10 @@ const Dashboard = memo(({ userProfile, sessionId }) => {
                       </td>
                       <td className="py-4 px-4">
                         <div className="flex gap-2">
-                          <button className="p-2 text-green-600 hover:bg-green-100 dark:hover:bg-green-900/40 rounded-lg transition-colors" title="Mark Complete">
+                          <button className="p-2 text-green-600 hover:bg-green-100 dark:hover:bg-green-900/40 rounded-lg transition-colors" title={t('dashboard.tasks.complete')}>
                             <FiCheck size={16} />
                           </button>
-                          <button className="p-2 text-red-600 hover:bg-red-100 dark:hover:bg-red-900/40 rounded-lg transition-colors" title="Dismiss">
+                          <button className="p-2 text-red-600 hover:bg-red-100 dark:hover:bg-red-900/40 rounded-lg transition-colors" title={t('dashboard.tasks.dismiss')}>
                             <FiX size={16} />
                           </button>
                         </div>
@@ -548,20 +660,253 @@ const Dashboard = memo(({ userProfile, sessionId }) => {
                   ))}
                 </tbody>
               </table>
+              <LegalFootnotes footnotes={taskFootnotes} className="mt-4 px-4" />
             </div>
           ) : (
             <EmptyState 
               icon={FiCheck}
-              title="All tasks completed!"
-              description="Great job! You have no pending compliance tasks."
+              title={t('dashboard.tasks.emptyTitle')}
+              description={t('dashboard.tasks.emptyDescription')}
             />
           )}
         </motion.div>
+
+        {/* Penalty exposure if nothing pending is done */}
+        {penaltyExposure?.items?.length > 0 && (
+          <motion.div 
+            initial={{ opacity: 0, y: 20 }}
+            animate={{ opacity: 1, y: 0 }}
+            transition={{ delay: 0.45 }}
+            className="bg-white dark:bg-slate-900 rounded-xl shadow-lg hover:shadow-xl transition-shadow duration-300 p-6 mt-8 border border-gray-100 dark:border-slate-800"
+          >
+            <div className="flex items-center justify-between mb-6">
+              <div className="flex items-center gap-3">
+                <div className="p-2 rounded-lg bg-red-100 dark:bg-red-900/40">
+                  <FiTrendingUp className="text-red-600 dark:text-red-400" size={20} />
+                </div>
+                <h3 className="text-xl font-semibold text-gray-900 dark:text-white">
+                  {t('dashboard.penalty.title')}
+                </h3>
+              </div>
+              <span className="text-xs text-gray-500 dark:text-gray-500">{t('dashboard.penalty.hint')}</span>
+            </div>
+
+            <div className="grid grid-cols-1 lg:grid-cols-2 gap-8">
+              <PenaltyExposureChart series={penaltyExposure.series} />
+
+              <div className="space-y-3">
+                {penaltyExposure.items.slice(0, 5).map(item => (
+                  <div key={item.complianceId} className="p-3 rounded-lg bg-gray-50 dark:bg-slate-800/50">
+                    <div className="flex items-center justify-between">
+                      <span className="text-sm font-medium text-gray-900 dark:text-white">{item.complianceName}</span>
+                      <span className="text-sm font-semibold text-red-600 dark:text-red-400">
+                        {formatRupees(item.exposure.today)}
+                      </span>
+                    </div>
+                    <p className="text-xs text-gray-500 dark:text-gray-400 mt-1">
+                      {item.components.map(component => component.label).join(' · ')}
+                    </p>
+                  </div>
+                ))}
+              </div>
+            </div>
+          </motion.div>
+        )}
+
+        {/* Cost of compliance with optional professional help */}
+        {costBreakdown && (
+          <motion.div 
+            initial={{ opacity: 0, y: 20 }}
+            animate={{ opacity: 1, y: 0 }}
+            transition={{ delay: 0.48 }}
+            className="bg-white dark:bg-slate-900 rounded-xl shadow-lg hover:shadow-xl transition-shadow duration-300 p-6 mt-8 border border-gray-100 dark:border-slate-800"
+          >
+            <div className="flex items-center justify-between mb-6">
+              <div className="flex items-center gap-3">
+                <div className="p-2 rounded-lg bg-emerald-100 dark:bg-emerald-900/40">
+                  <FiCreditCard className="text-emerald-600 dark:text-emerald-400" size={20} />
+                </div>
+                <h3 className="text-xl font-semibold text-gray-900 dark:text-white">
+                  {t('dashboard.cost.title')}
+                </h3>
+              </div>
+              <span className="text-sm font-semibold text-gray-900 dark:text-white">
+                {t('dashboard.cost.total', { amount: formatRupees(costBreakdown.projectionTotal), years: costBreakdown.years })}
+              </span>
+            </div>
+
+            <div className="grid grid-cols-1 lg:grid-cols-2 gap-8">
+              <div>
+                <CostProjectionChart projection={costBreakdown.projection} />
+                <div className="grid grid-cols-2 gap-3 mt-4">
+                  <div className="p-3 rounded-lg bg-gray-50 dark:bg-slate-800/50">
+                    <p className="text-xs text-gray-500 dark:text-gray-400">{t('dashboard.cost.oneTime')}</p>
+                    <p className="text-sm font-semibold text-gray-900 dark:text-white">{formatRupees(costBreakdown.summary.immediate)}</p>
+                  </div>
+                  <div className="p-3 rounded-lg bg-gray-50 dark:bg-slate-800/50">
+                    <p className="text-xs text-gray-500 dark:text-gray-400">{t('dashboard.cost.recurring')}</p>
+                    <p className="text-sm font-semibold text-gray-900 dark:text-white">{formatRupees(costBreakdown.summary.annual)}</p>
+                  </div>
+                </div>
+              </div>
+
+              <div className="space-y-3">
+                {costBreakdown.details.filter(detail => detail.type === 'government' && detail.cost > 0).map(detail => (
+                  <div key={detail.name} className="flex items-center justify-between p-3 rounded-lg bg-gray-50 dark:bg-slate-800/50">
+                    <div>
+                      <span className="text-sm font-medium text-gray-900 dark:text-white">{detail.name}</span>
+                      <p className="text-xs text-gray-500 dark:text-gray-400">{detail.basis}</p>
+                    </div>
+                    <span className="text-sm font-semibold text-gray-700 dark:text-gray-300 whitespace-nowrap">
+                      {formatRupees(detail.cost)}{detail.renewal ? t('dashboard.cost.renewal', { frequency: detail.renewal.frequency }) : ''}
+                    </span>
+                  </div>
+                ))}
+
+                <p className="text-xs font-medium text-gray-500 dark:text-gray-400 pt-2">{t('dashboard.cost.professional')}</p>
+                {costBreakdown.professionalServices.map(service => (
+                  <label key={service.id} className="flex items-center justify-between p-3 rounded-lg border border-gray-100 dark:border-slate-800 cursor-pointer hover:bg-gray-50 dark:hover:bg-slate-800/50">
+                    <span className="flex items-center gap-2 text-sm text-gray-700 dark:text-gray-300">
+                      <input
+                        type="checkbox"
+                        checked={service.selected}
+                        onChange={() => toggleProfessionalService(service.id)}
+                        className="rounded text-emerald-600"
+                      />
+                      {service.name}
+                    </span>
+                    <span className="text-xs text-gray-500 dark:text-gray-400 whitespace-nowrap">
+                      {formatRupees(service.fee)} {service.frequency}
+                    </span>
+                  </label>
+                ))}
+              </div>
+            </div>
+          </motion.div>
+        )}
+
+        {/* Missing Documents per pending compliance */}
+        {documentGaps.length > 0 && (
+          <motion.div 
+            initial={{ opacity: 0, y: 20 }}
+            animate={{ opacity: 1, y: 0 }}
+            transition={{ delay: 0.5 }}
+            className="bg-white dark:bg-slate-900 rounded-xl shadow-lg hover:shadow-xl transition-shadow duration-300 p-6 mt-8 border border-gray-100 dark:border-slate-800"
+          >
+            <div className="flex items-center justify-between mb-6">
+              <div className="flex items-center gap-3">
+                <div className="p-2 rounded-lg bg-violet-100 dark:bg-violet-900/40">
+                  <FiUpload className="text-violet-600 dark:text-violet-400" size={20} />
+                </div>
+                <h3 className="text-xl font-semibold text-gray-900 dark:text-white">
+                  {t('dashboard.documents.title')}
+                </h3>
+              </div>
+              <span className="text-xs text-gray-500 dark:text-gray-500">{t('dashboard.documents.hint')}</span>
+            </div>
+
+            <div className="space-y-4">
+              {documentGaps.map(obligation => (
+                <div key={obligation.id} className="p-4 rounded-xl bg-gray-50 dark:bg-slate-800/50">
+                  <div className="flex items-center justify-between mb-3">
+                    <span className="font-medium text-gray-900 dark:text-white">{obligation.name}</span>
+                    <span className="text-xs text-gray-500 dark:text-gray-400">
+                      {t('dashboard.documents.uploaded', {
+                        count: obligation.requiredDocuments.length - obligation.missingDocuments.length,
+                        total: obligation.requiredDocuments.length
+                      })}
+                    </span>
+                  </div>
+                  <div className="flex flex-wrap gap-2">
+                    {obligation.missingDocuments.map(item => (
+                      <label
+                        key={item}
+                        className="cursor-pointer inline-flex items-center gap-1.5 px-3 py-1.5 rounded-lg text-xs font-medium bg-white dark:bg-slate-900 border border-dashed border-violet-300 dark:border-violet-700 text-violet-700 dark:text-violet-300 hover:bg-violet-50 dark:hover:bg-violet-900/30 transition-colors"
+                      >
+                        <FiUpload size={12} />
+                        {item}
+                        <input
+                          type="file"
+                          accept="image/*,.pdf,.doc,.docx,.txt,.xls,.xlsx"
+                          className="hidden"
+                          onChange={(e) => {
+                            const file = e.target.files[0]
+                            e.target.value = ''
+                            if (file) uploadMissingDocument(obligation.id, item, file)
+                          }}
+                        />
+                      </label>
+                    ))}
+                  </div>
+                </div>
+              ))}
+            </div>
+          </motion.div>
+        )}
       </div>
     </motion.div>
   )
 })
 
+const formatRupees = (amount) => `₹${Math.round(amount).toLocaleString('en-IN')}`
+
+// Bar chart of total exposure today and at each projection horizon
+const PenaltyExposureChart = ({ series }) => {
+  const { t } = useLanguageContext()
+  const max = Math.max(...series.map(point => point.amount), 1)
+
+  return (
+    <div className="flex items-end justify-around gap-4 h-56 pt-6">
+      {series.map((point, index) => (
+        <div key={point.days} className="flex flex-col items-center justify-end h-full flex-1">
+          <span className="text-xs font-semibold text-gray-700 dark:text-gray-300 mb-2 whitespace-nowrap">
+            {formatRupees(point.amount)}
+          </span>
+          <div className="flex-1 w-full flex items-end justify-center">
+            <motion.div
+              initial={{ height: 0 }}
+              animate={{ height: `${Math.max((point.amount / max) * 100, 2)}%` }}
+              transition={{ duration: 0.8, delay: index * 0.1 }}
+              className={`w-full max-w-[56px] rounded-t-lg ${index === 0 ? 'bg-red-500' : 'bg-red-300 dark:bg-red-800'}`}
+            />
+          </div>
+          <span className="text-xs text-gray-500 dark:text-gray-400 mt-2">
+            {point.days === 0 ? t('dashboard.penalty.today') : t('dashboard.penalty.days', { days: point.days })}
+          </span>
+        </div>
+      ))}
+    </div>
+  )
+}
+
+// Stacked bars of one-time and recurring cost for each projection year
+const CostProjectionChart = ({ projection }) => {
+  const { t } = useLanguageContext()
+  const max = Math.max(...projection.map(year => year.total), 1)
+
+  return (
+    <div className="flex items-end justify-around gap-4 h-48 pt-6">
+      {projection.map((year, index) => (
+        <div key={year.year} className="flex flex-col items-center justify-end h-full flex-1">
+          <span className="text-xs font-semibold text-gray-700 dark:text-gray-300 mb-2 whitespace-nowrap">
+            {formatRupees(year.total)}
+          </span>
+          <motion.div
+            initial={{ height: 0 }}
+            animate={{ height: `${Math.max((year.total / max) * 100, 2)}%` }}
+            transition={{ duration: 0.8, delay: index * 0.1 }}
+            className="w-full max-w-[56px] flex flex-col rounded-t-lg overflow-hidden"
+          >
+            <div className="bg-emerald-300 dark:bg-emerald-800" style={{ flexGrow: year.recurring }} />
+            <div className="bg-emerald-500" style={{ flexGrow: year.oneTime }} />
+          </motion.div>
+          <span className="text-xs text-gray-500 dark:text-gray-400 mt-2">{t('dashboard.cost.year', { year: year.year })}</span>
+        </div>
+      ))}
+    </div>
+  )
+}
+
 // Reusable StatCard component
 const StatCard = ({ icon: Icon, title, value, color, bgColor }) => (
   <motion.div
@@ -45,23 +45,24 @@ const EnhancedChatInput = ({ onSubmit, userProfile, sessionId, disabled = false,
     if (isSending || disabled) return
 
     setIsSending(true)
-    
+
     try {
-      // Send message through chat service
-      await chatService.sendMessage(message, userProfile, sessionId)
-      
-      // Call parent onSubmit for UI updates
-      onSubmit(message, attachments)
-      
+      // Attachments go to the document vault; the parent sends the message itself
+      let documents = []
+      if (attachments.length > 0) {
+        const result = await chatService.uploadDocuments(attachments.map(attachment => attachment.file))
+        documents = result.documents
+      }
+
+      onSubmit(message, documents)
+
       // Clear input
       setMessage('')
+      attachments.forEach(attachment => attachment.preview && URL.revokeObjectURL(attachment.preview))
       setAttachments([])
     } catch (error) {
-      console.error('Failed to send message:', error)
-      // Still call onSubmit to show the message in UI even if backend fails
-      onSubmit(message, attachments)
-      setMessage('')
-      setAttachments([])
+      console.error('Failed to upload documents:', error)
+      alert(`Could not upload your files: ${error.message}`)
     } finally {
       setIsSending(false)
     }
@@ -0,0 +1,84 @@
+import { FiExternalLink } from 'react-icons/fi'
+import { useLanguageContext } from '../context/LanguageContext'
+
+// Number the references of several compliances, one footnote per distinct reference
+// (same shape as the backend's LegalReferences.collect)
+export const collectFootnotes = (compliances = []) => {
+  const footnotes = new Map()
+
+  compliances.forEach(compliance => {
+    (compliance.references || []).forEach(reference => {
+      const key = [reference.act, reference.section, reference.notification, reference.url].join('|')
+      if (!footnotes.has(key)) {
+        footnotes.set(key, { marker: footnotes.size + 1, ...reference, compliances: [] })
+      }
+      const footnote = footnotes.get(key)
+      if (!footnote.compliances.some(entry => entry.id === compliance.id)) {
+        footnote.compliances.push({ id: compliance.id, name: compliance.name || compliance.title })
+      }
+    })
+  })
+
+  return [...footnotes.values()]
+}
+
+// Superscript markers for the footnotes that back one compliance
+export const FootnoteMarkers = ({ footnotes, complianceId }) => {
+  const markers = footnotes
+    .filter(footnote => footnote.compliances.some(entry => entry.id === complianceId))
+    .map(footnote => footnote.marker)
+
+  if (markers.length === 0) return null
+
+  return (
+    <sup className="ml-1 text-xs font-normal text-blue-600 dark:text-blue-400">
+      {markers.join(',')}
+    </sup>
+  )
+}
+
+const formatVerified = (date, language) => new Date(date).toLocaleDateString(language === 'hi' ? 'hi-IN' : [], {
+  day: 'numeric',
+  month: 'short',
+  year: 'numeric'
+})
+
+const LegalFootnotes = ({ footnotes, className = '' }) => {
+  const { t, language } = useLanguageContext()
+
+  if (!footnotes || footnotes.length === 0) return null
+
+  return (
+    <ol className={`space-y-1 text-xs text-slate-500 dark:text-slate-400 ${className}`}>
+      {footnotes.map(footnote => (
+        <li key={footnote.marker} className="flex gap-1.5">
+          <span className="font-medium text-blue-600 dark:text-blue-400">{footnote.marker}</span>
+          <span>
+            {footnote.compliances?.length > 0 && (
+              <span className="font-medium text-slate-600 dark:text-slate-300">
+                {footnote.compliances.map(entry => entry.name).join(', ')}:{' '}
+              </span>
+            )}
+            {footnote.act}
+            {footnote.section && `, ${footnote.section}`}
+            {footnote.notification && `; ${footnote.notification}`}
+            {' · '}
+            <a
+              href={footnote.url}
+              target="_blank"
+              rel="noopener noreferrer"
+              className="inline-flex items-center gap-0.5 text-blue-600 dark:text-blue-400 hover:underline"
+            >
+              {new URL(footnote.url).hostname}
+              <FiExternalLink size={10} />
+            </a>
+            {' · '}
+            {t('footnotes.verified', { date: formatVerified(footnote.lastVerified, language) })}
+          </span>
+        </li>
+      ))}
+    </ol>
+  )
+}
+
+export default LegalFootnotes
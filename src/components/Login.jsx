@@ -1,6 +1,8 @@
 import { useEffect, useState } from 'react';
 import { useNavigate } from 'react-router-dom';
 import { useGoogleLogin } from '@react-oauth/google';
+import authService from '../services/authService';
+import { useLanguageContext } from '../context/LanguageContext';
 
 /**
  * MSME Compliance Navigator - Login Page
@@ -11,13 +13,15 @@ import { useGoogleLogin } from '@react-oauth/google';
  * SETUP:
  * - Google Client ID is configured in src/main.jsx
  * - On successful login, redirects to /home (dashboard)
+ * - Google token is exchanged for a backend session token (services/authService)
  * - Auth state is passed up via onLoginSuccess callback
  */
 
 const Login = ({ onLoginSuccess, isAuthenticated }) => {
   const navigate = useNavigate();
+  const { t } = useLanguageContext();
   const [isLoading, setIsLoading] = useState(false);
-  const [error, setError] = useState(null);
+  const [error, setError] = useState(null); // i18n key, so it follows a language switch
   const [mounted, setMounted] = useState(false);
 
   // Fade-in animation on mount
@@ -39,47 +43,24 @@ const Login = ({ onLoginSuccess, isAuthenticated }) => {
       setError(null);
       
       try {
-        console.log('🔐 Google OAuth success, fetching user info...');
+        console.log('🔐 Google OAuth success, verifying with backend...');
         
-        const userInfoResponse = await fetch(
-          'https://www.googleapis.com/oauth2/v3/userinfo',
-          {
-            headers: {
-              Authorization: `Bearer ${tokenResponse.access_token}`,
-            },
-          }
-        );
-        
-        if (!userInfoResponse.ok) {
-          throw new Error('Failed to fetch user information');
-        }
-        
-        const userInfo = await userInfoResponse.json();
-        console.log('✅ User info received:', userInfo.email);
-        
-        const userData = {
-          name: userInfo.name,
-          email: userInfo.email,
-          picture: userInfo.picture,
-          googleId: userInfo.sub,
-        };
-        
-        // Store auth state in localStorage for persistence
-        localStorage.setItem('msme_auth', JSON.stringify(userData));
-        console.log('💾 Auth saved to localStorage');
+        // Backend verifies the Google token and issues our session token
+        const userData = await authService.loginWithGoogle(tokenResponse.access_token);
+        console.log('✅ Signed in:', userData.email);
         
         // Call parent callback - App.jsx handles navigation
         onLoginSuccess(userData);
         
       } catch (err) {
         console.error('Login error:', err);
-        setError('Authentication failed. Please try again.');
+        setError('login.error.auth');
         setIsLoading(false);
       }
     },
     onError: (error) => {
       console.error('Google Login Error:', error);
-      setError('Google sign-in failed. Please try again.');
+      setError('login.error.google');
       setIsLoading(false);
     },
   });
@@ -219,13 +200,13 @@ const Login = ({ onLoginSuccess, isAuthenticated }) => {
             mounted ? 'opacity-100 translate-y-0' : 'opacity-0 translate-y-8'
           }`}>
             <h2 className="text-3xl xl:text-4xl font-bold text-white mb-4 leading-tight">
-              Smart Compliance.
+              {t('login.headline')}
               <span className="block bg-gradient-to-r from-blue-400 via-cyan-400 to-indigo-400 bg-clip-text text-transparent">
-                Powered by AI.
+                {t('login.headlineAccent')}
               </span>
             </h2>
             <p className="text-slate-400 text-base xl:text-lg leading-relaxed">
-              Automated compliance tracking, intelligent reminders, and real-time regulatory updates for your MSME business.
+              {t('login.tagline')}
             </p>
           </div>
 
@@ -234,10 +215,10 @@ const Login = ({ onLoginSuccess, isAuthenticated }) => {
             mounted ? 'opacity-100 translate-y-0' : 'opacity-0 translate-y-8'
           }`}>
             {[
-              { icon: '📋', text: 'GST Tracking' },
-              { icon: '🔔', text: 'Auto Reminders' },
-              { icon: '🤖', text: 'AI Guidance' },
-              { icon: '📊', text: 'Smart Dashboard' }
+              { icon: '📋', text: t('login.feature.gst') },
+              { icon: '🔔', text: t('login.feature.reminders') },
+              { icon: '🤖', text: t('login.feature.guidance') },
+              { icon: '📊', text: t('login.feature.dashboard') }
             ].map((feature, i) => (
               <div 
                 key={i}
@@ -266,7 +247,7 @@ const Login = ({ onLoginSuccess, isAuthenticated }) => {
                 <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M9 12l2 2 4-4m5.618-4.016A11.955 11.955 0 0112 2.944a11.955 11.955 0 01-8.618 3.04A12.02 12.02 0 003 9c0 5.591 3.824 10.29 9 11.622 5.176-1.332 9-6.03 9-11.622 0-1.042-.133-2.052-.382-3.016z" />
               </svg>
             </div>
-            <h1 className="text-xl font-bold text-white">MSME Compliance Navigator</h1>
+            <h1 className="text-xl font-bold text-white">{t('app.title')}</h1>
           </div>
 
           {/* Login Card */}
@@ -275,10 +256,10 @@ const Login = ({ onLoginSuccess, isAuthenticated }) => {
             {/* Header */}
             <div className="mb-8">
               <h1 className="text-2xl sm:text-3xl font-bold text-white mb-2">
-                Log in
+                {t('login.title')}
               </h1>
               <p className="text-slate-400">
-                Access your MSME Compliance Dashboard
+                {t('login.subtitle')}
               </p>
             </div>
 
@@ -288,7 +269,7 @@ const Login = ({ onLoginSuccess, isAuthenticated }) => {
                 <svg className="w-5 h-5 flex-shrink-0" fill="none" stroke="currentColor" viewBox="0 0 24 24">
                   <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 8v4m0 4h.01M21 12a9 9 0 11-18 0 9 9 0 0118 0z" />
                 </svg>
-                {error}
+                {t(error)}
               </div>
             )}
 
@@ -312,20 +293,20 @@ const Login = ({ onLoginSuccess, isAuthenticated }) => {
                     <path fill="#FBBC05" d="M5.84 14.09c-.22-.66-.35-1.36-.35-2.09s.13-1.43.35-2.09V7.07H2.18C1.43 8.55 1 10.22 1 12s.43 3.45 1.18 4.93l2.85-2.22.81-.62z" />
                     <path fill="#EA4335" d="M12 5.38c1.62 0 3.06.56 4.21 1.64l3.15-3.15C17.45 2.09 14.97 1 12 1 7.7 1 3.99 3.47 2.18 7.07l3.66 2.84c.87-2.6 3.3-4.53 6.16-4.53z" />
                   </svg>
-                  <span className="relative">Continue with Google</span>
+                  <span className="relative">{t('login.google')}</span>
                 </>
               )}
             </button>
 
             {/* Helper Text */}
             <p className="text-center text-slate-500 text-sm mt-4">
-              Secure sign-in using your Google account
+              {t('login.googleHint')}
             </p>
 
             {/* Divider */}
             <div className="flex items-center gap-4 my-8">
               <div className="flex-1 h-px bg-slate-800" />
-              <span className="text-slate-600 text-xs">Why Google Sign-in?</span>
+              <span className="text-slate-600 text-xs">{t('login.whyGoogle')}</span>
               <div className="flex-1 h-px bg-slate-800" />
             </div>
 
@@ -337,7 +318,7 @@ const Login = ({ onLoginSuccess, isAuthenticated }) => {
                     <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M9 12l2 2 4-4m5.618-4.016A11.955 11.955 0 0112 2.944a11.955 11.955 0 01-8.618 3.04A12.02 12.02 0 003 9c0 5.591 3.824 10.29 9 11.622 5.176-1.332 9-6.03 9-11.622 0-1.042-.133-2.052-.382-3.016z" />
                   </svg>
                 </div>
-                <p className="text-xs text-slate-400">Secure</p>
+                <p className="text-xs text-slate-400">{t('login.trust.secure')}</p>
               </div>
               <div className="text-center p-3 rounded-xl bg-slate-800/30 border border-slate-800">
                 <div className="w-8 h-8 mx-auto mb-2 rounded-lg bg-blue-500/10 flex items-center justify-center">
@@ -345,7 +326,7 @@ const Login = ({ onLoginSuccess, isAuthenticated }) => {
                     <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M13 10V3L4 14h7v7l9-11h-7z" />
                   </svg>
                 </div>
-                <p className="text-xs text-slate-400">Instant</p>
+                <p className="text-xs text-slate-400">{t('login.trust.instant')}</p>
               </div>
               <div className="text-center p-3 rounded-xl bg-slate-800/30 border border-slate-800">
                 <div className="w-8 h-8 mx-auto mb-2 rounded-lg bg-cyan-500/10 flex items-center justify-center">
@@ -353,17 +334,18 @@ const Login = ({ onLoginSuccess, isAuthenticated }) => {
                     <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 15v2m-6 4h12a2 2 0 002-2v-6a2 2 0 00-2-2H6a2 2 0 00-2 2v6a2 2 0 002 2zm10-10V7a4 4 0 00-8 0v4h8z" />
                   </svg>
                 </div>
-                <p className="text-xs text-slate-400">Private</p>
+                <p className="text-xs text-slate-400">{t('login.trust.private')}</p>
               </div>
             </div>
           </div>
 
           {/* Footer */}
           <p className="text-center text-slate-600 text-xs mt-8">
-            By signing in, you agree to our{' '}
-            <a href="#" className="text-slate-400 hover:text-white transition-colors">Terms of Service</a>
-            {' '}and{' '}
-            <a href="#" className="text-slate-400 hover:text-white transition-colors">Privacy Policy</a>
+            {t('login.agree.before')}{' '}
+            <a href="#" className="text-slate-400 hover:text-white transition-colors">{t('login.terms')}</a>
+            {' '}{t('login.agree.and')}{' '}
+            <a href="#" className="text-slate-400 hover:text-white transition-colors">{t('login.privacy')}</a>
+            {t('login.agree.after')}
           </p>
         </div>
       </div>
@@ -0,0 +1,133 @@
+import { useState, useEffect, useCallback } from 'react'
+import { motion, AnimatePresence } from 'framer-motion'
+import { FiBell, FiCheck } from 'react-icons/fi'
+import chatService from '../services/chatService'
+import { useLanguageContext } from '../context/LanguageContext'
+
+// Deadline and renewal reminders - loaded over HTTP, new ones pushed over Socket.IO
+const NotificationBell = () => {
+  const { t, language } = useLanguageContext()
+  const [notifications, setNotifications] = useState([])
+  const [unreadCount, setUnreadCount] = useState(0)
+  const [isOpen, setIsOpen] = useState(false)
+
+  const loadNotifications = useCallback(async () => {
+    try {
+      const result = await chatService.getNotifications()
+      setNotifications(result.notifications)
+      setUnreadCount(result.unreadCount)
+    } catch (error) {
+      console.debug('Notifications unavailable')
+    }
+  }, [])
+
+  useEffect(() => {
+    loadNotifications()
+
+    return chatService.onNotification((notification) => {
+      setNotifications(prev => [notification, ...prev.filter(n => n.id !== notification.id)])
+      setUnreadCount(prev => prev + 1)
+    })
+  }, [loadNotifications])
+
+  const toggleOpen = () => {
+    if (!isOpen) loadNotifications()
+    setIsOpen(!isOpen)
+  }
+
+  const markRead = async (notification) => {
+    if (notification.read) return
+    try {
+      const result = await chatService.markNotificationRead(notification.id)
+      setNotifications(prev => prev.map(n => n.id === notification.id ? result.notification : n))
+      setUnreadCount(result.unreadCount)
+    } catch (error) {
+      console.error('Failed to mark notification read:', error)
+    }
+  }
+
+  const markAllRead = async () => {
+    try {
+      await chatService.markAllNotificationsRead()
+      setNotifications(prev => prev.map(n => ({ ...n, read: true })))
+      setUnreadCount(0)
+    } catch (error) {
+      console.error('Failed to mark notifications read:', error)
+    }
+  }
+
+  return (
+    <div className="relative">
+      <motion.button
+        whileHover={{ scale: 1.1 }}
+        whileTap={{ scale: 0.9 }}
+        onClick={toggleOpen}
+        className="relative p-2 rounded-lg text-gray-600 hover:bg-gray-100 dark:text-gray-200 dark:hover:bg-gray-800 transition-all"
+        title={t('notifications.title')}
+      >
+        <FiBell size={20} />
+        {unreadCount > 0 && (
+          <span className="absolute -top-0.5 -right-0.5 min-w-[18px] h-[18px] px-1 rounded-full bg-red-500 text-white text-[10px] font-bold flex items-center justify-center">
+            {unreadCount > 99 ? '99+' : unreadCount}
+          </span>
+        )}
+      </motion.button>
+
+      <AnimatePresence>
+        {isOpen && (
+          <motion.div
+            initial={{ opacity: 0, y: 10, scale: 0.95 }}
+            animate={{ opacity: 1, y: 0, scale: 1 }}
+            exit={{ opacity: 0, y: 10, scale: 0.95 }}
+            transition={{ duration: 0.2 }}
+            className="absolute right-0 top-12 w-80 bg-white dark:bg-slate-900 rounded-xl shadow-xl border border-gray-200 dark:border-slate-700 overflow-hidden"
+          >
+            <div className="flex items-center justify-between px-4 py-3 border-b border-gray-100 dark:border-slate-800">
+              <p className="text-sm font-semibold text-gray-900 dark:text-white">{t('notifications.title')}</p>
+              {unreadCount > 0 && (
+                <button
+                  onClick={markAllRead}
+                  className="text-xs text-blue-600 dark:text-blue-400 hover:underline flex items-center gap-1"
+                >
+                  <FiCheck size={12} />
+                  {t('notifications.markAllRead')}
+                </button>
+              )}
+            </div>
+
+            <div className="max-h-96 overflow-y-auto">
+              {notifications.length === 0 ? (
+                <p className="px-4 py-6 text-sm text-center text-gray-500 dark:text-slate-400">
+                  {t('notifications.empty')}
+                </p>
+              ) : (
+                notifications.map(notification => (
+                  <button
+                    key={notification.id}
+                    onClick={() => markRead(notification)}
+                    className={`w-full text-left px-4 py-3 border-b border-gray-50 dark:border-slate-800 hover:bg-gray-50 dark:hover:bg-slate-800/60 transition-colors ${
+                      notification.read ? 'opacity-60' : ''
+                    }`}
+                  >
+                    <div className="flex items-start gap-2">
+                      {!notification.read && <span className="w-2 h-2 mt-1.5 rounded-full bg-blue-500 flex-shrink-0"></span>}
+                      <div>
+                        <p className="text-sm font-medium text-gray-900 dark:text-white">{notification.title}</p>
+                        <p className="text-xs text-gray-600 dark:text-slate-400 mt-0.5">{notification.message}</p>
+                        <p className="text-[10px] text-gray-400 dark:text-slate-500 mt-1">
+                          {new Date(notification.createdAt).toLocaleString(language === 'hi' ? 'hi-IN' : [], { dateStyle: 'medium', timeStyle: 'short' })}
+                        </p>
+                      </div>
+                    </div>
+                  </button>
+                ))
+              )}
+            </div>
+          </motion.div>
+        )}
+      </AnimatePresence>
+    </div>
+  )
+}
+
+export default NotificationBell
@@ -1,7 +1,30 @@
 import { useState, useEffect } from 'react'
 import { FiArrowLeft, FiEdit, FiSave, FiUser, FiBriefcase, FiMapPin, FiMail, FiPhone, FiHash, FiCalendar, FiMessageCircle, FiExternalLink } from 'react-icons/fi'
+import { useLanguageContext } from '../context/LanguageContext'
+
+// Select options: stored value → i18n key for its label
+const BUSINESS_TYPES = [
+  ['Manufacturing', 'profile.businessType.manufacturing'],
+  ['Textile', 'profile.businessType.textile'],
+  ['Food Processing', 'profile.businessType.foodProcessing'],
+  ['Retail', 'profile.businessType.retail'],
+  ['Services', 'profile.businessType.services'],
+  ['Trading', 'profile.businessType.trading'],
+  ['Other', 'profile.businessType.other']
+]
+
+const MSME_CATEGORIES = [
+  ['Micro', 'profile.category.micro'],
+  ['Small', 'profile.category.small'],
+  ['Medium', 'profile.category.medium']
+]
+
+const STATES = ['GJ', 'MH', 'TN', 'KA', 'DL']
+
+const SUPPLY_TYPES = ['goods', 'services', 'mixed']
 
 const ProfilePage = ({ userProfile, onSave, onBack }) => {
+  const { t } = useLanguageContext()
   const [isEditing, setIsEditing] = useState(false)
   const [formData, setFormData] = useState(userProfile || {})
 
@@ -11,17 +34,34 @@ const ProfilePage = ({ userProfile, onSave, onBack }) => {
     }
   }, [userProfile])
 
+  // Label of a stored select value, or the value itself when it came from elsewhere (e.g. the chat)
+  const optionLabel = (options, value) => {
+    const option = options.find(([optionValue]) => optionValue === value)
+    return option ? t(option[1]) : value
+  }
+
   const handleInputChange = (e) => {
-    const { name, value } = e.target
+    const { name, value, type, checked } = e.target
     setFormData(prev => ({
       ...prev,
-      [name]: value
+      [name]: type === 'checkbox' ? checked : type === 'number' ? (value === '' ? undefined : Number(value)) : value
     }))
   }
 
-  const handleSave = () => {
-    onSave(formData)
-    setIsEditing(false)
+  const [saveError, setSaveError] = useState(null)
+  const [newObligations, setNewObligations] = useState([])
+  const [udyamClassification, setUdyamClassification] = useState(null)
+
+  const handleSave = async () => {
+    try {
+      setSaveError(null)
+      const result = await onSave(formData)
+      setNewObligations(result?.reevaluation?.triggered || [])
+      setUdyamClassification(result?.udyamClassification?.category ? result.udyamClassification : null)
+      setIsEditing(false)
+    } catch (error) {
+      setSaveError(error.message)
+    }
   }
 
   const handleCancel = () => {
@@ -42,8 +82,8 @@ const ProfilePage = ({ userProfile, onSave, onBack }) => {
               <FiArrowLeft size={20} />
             </button>
             <div>
-              <h1 className="text-2xl font-bold text-gray-900 dark:text-white">Business Profile</h1>
-              <p className="text-sm text-gray-600 dark:text-gray-400">View and manage your MSME business details</p>
+              <h1 className="text-2xl font-bold text-gray-900 dark:text-white">{t('profile.title')}</h1>
+              <p className="text-sm text-gray-600 dark:text-gray-400">{t('profile.subtitle')}</p>
             </div>
           </div>
 
@@ -54,7 +94,7 @@ const ProfilePage = ({ userProfile, onSave, onBack }) => {
                 className="px-4 py-2 rounded-lg border border-blue-300/60 bg-blue-500/10 dark:bg-blue-900/30 text-blue-700 dark:text-blue-300 hover:bg-blue-500/20 dark:hover:bg-blue-900/50 flex items-center gap-2 text-sm font-medium"
               >
                 <FiEdit size={18} />
-                Edit Profile
+                {t('profile.edit')}
               </button>
             ) : (
               <>
@@ -62,20 +102,37 @@ const ProfilePage = ({ userProfile, onSave, onBack }) => {
                   onClick={handleCancel}
                   className="px-4 py-2 rounded-lg border border-gray-300/70 bg-gray-100/60 dark:bg-gray-800/60 text-gray-800 dark:text-gray-200 hover:bg-gray-200/80 dark:hover:bg-gray-700/80 text-sm font-medium"
                 >
-                  Cancel
+                  {t('profile.cancel')}
                 </button>
                 <button
                   onClick={handleSave}
                   className="px-4 py-2 rounded-lg border border-green-300/70 bg-green-500/10 dark:bg-green-900/40 text-green-700 dark:text-green-300 hover:bg-green-500/20 dark:hover:bg-green-900/60 flex items-center gap-2 text-sm font-medium"
                 >
                   <FiSave size={18} />
-                  Save Changes
+                  {t('profile.save')}
                 </button>
               </>
             )}
           </div>
         </div>
 
+        {saveError && (
+          <div className="mb-6 px-4 py-3 rounded-lg border border-red-300/70 bg-red-500/10 text-red-700 dark:text-red-300 text-sm">
+            {saveError}
+          </div>
+        )}
+
+        {newObligations.length > 0 && (
+          <div className="mb-6 px-4 py-3 rounded-lg border border-amber-300/70 bg-amber-500/10 text-amber-800 dark:text-amber-300 text-sm">
+            <p className="font-semibold mb-1">{t('profile.newObligations')}</p>
+            <ul className="list-disc list-inside">
+              {newObligations.map(obligation => (
+                <li key={obligation.id}>{obligation.name}{obligation.reason ? ` - ${obligation.reason}` : ''}</li>
+              ))}
+            </ul>
+          </div>
+        )}
+
         {/* Card */}
         <div className="bg-white dark:bg-gray-900 border border-gray-200 dark:border-gray-800 rounded-2xl shadow-sm p-6 space-y-8">
           {/* Top section with avatar */}
@@ -84,7 +141,7 @@ const ProfilePage = ({ userProfile, onSave, onBack }) => {
             {formData.picture ? (
               <img 
                 src={formData.picture} 
-                alt="Profile" 
+                alt={t('profile.pictureAlt')} 
                 className="w-20 h-20 rounded-full border-2 border-white shadow-md object-cover"
               />
             ) : (
@@ -104,7 +161,7 @@ const ProfilePage = ({ userProfile, onSave, onBack }) => {
                     className="w-full px-3 py-2 rounded-lg border border-gray-300 dark:border-gray-700 bg-white dark:bg-gray-800 text-gray-900 dark:text-white focus:outline-none focus:ring-2 focus:ring-blue-500"
                   />
                 ) : (
-                  formData?.businessOwnerName || 'Business Owner'
+                  formData?.businessOwnerName || t('profile.ownerFallback')
                 )}
               </h2>
               <p className="text-gray-600 dark:text-gray-400">
@@ -117,7 +174,7 @@ const ProfilePage = ({ userProfile, onSave, onBack }) => {
                     className="w-full px-3 py-2 rounded-lg border border-gray-300 dark:border-gray-700 bg-white dark:bg-gray-800 text-gray-900 dark:text-white focus:outline-none focus:ring-2 focus:ring-blue-500"
                   />
                 ) : (
-                  formData?.businessName || 'Business Name'
+                  formData?.businessName || t('profile.nameFallback')
                 )}
               </p>
             </div>
@@ -129,7 +186,7 @@ const ProfilePage = ({ userProfile, onSave, onBack }) => {
             <div>
               <label className="flex items-center gap-2 text-sm font-semibold text-gray-700 dark:text-gray-300 mb-2">
                 <FiBriefcase size={16} />
-                Business Type / Industry
+                {t('profile.businessType')}
               </label>
               {isEditing ? (
                 <select
@@ -138,18 +195,14 @@ const ProfilePage = ({ userProfile, onSave, onBack }) => {
                   onChange={handleInputChange}
                   className="w-full px-4 py-3 rounded-lg border border-gray-300 dark:border-gray-700 bg-white dark:bg-gray-800 text-gray-900 dark:text-white focus:outline-none focus:ring-2 focus:ring-blue-500"
                 >
-                  <option value="">Select Business Type</option>
-                  <option value="Manufacturing">Manufacturing</option>
-                  <option value="Textile">Textile</option>
-                  <option value="Food Processing">Food Processing</option>
-                  <option value="Retail">Retail</option>
-                  <option value="Services">Services</option>
-                  <option value="Trading">Trading</option>
-                  <option value="Other">Other</option>
+                  <option value="">{t('profile.businessType.select')}</option>
+                  {BUSINESS_TYPES.map(([value, key]) => (
+                    <option key={value} value={value}>{t(key)}</option>
+                  ))}
                 </select>
               ) : (
                 <p className="px-4 py-3 rounded-lg border border-gray-200 dark:border-gray-800 bg-gray-50 dark:bg-gray-900 text-gray-900 dark:text-white">
-                  {formData?.businessType || 'Not specified'}
+                  {optionLabel(BUSINESS_TYPES, formData?.businessType) || t('profile.notSpecified')}
                 </p>
               )}
             </div>
@@ -158,7 +211,7 @@ const ProfilePage = ({ userProfile, onSave, onBack }) => {
             <div>
               <label className="flex items-center gap-2 text-sm font-semibold text-gray-700 dark:text-gray-300 mb-2">
                 <FiHash size={16} />
-                MSME Category
+                {t('profile.category')}
               </label>
               {isEditing ? (
                 <select
@@ -167,14 +220,96 @@ const ProfilePage = ({ userProfile, onSave, onBack }) => {
                   onChange={handleInputChange}
                   className="w-full px-4 py-3 rounded-lg border border-gray-300 dark:border-gray-700 bg-white dark:bg-gray-800 text-gray-900 dark:text-white focus:outline-none focus:ring-2 focus:ring-blue-500"
                 >
-                  <option value="">Select Category</option>
-                  <option value="Micro">Micro</option>
-                  <option value="Small">Small</option>
-                  <option value="Medium">Medium</option>
+                  <option value="">{t('profile.category.select')}</option>
+                  {MSME_CATEGORIES.map(([value, key]) => (
+                    <option key={value} value={value}>{t(key)}</option>
+                  ))}
                 </select>
               ) : (
                 <p className="px-4 py-3 rounded-lg border border-gray-200 dark:border-gray-800 bg-gray-50 dark:bg-gray-900 text-gray-900 dark:text-white">
-                  {formData?.msmeCategory || 'Not specified'}
+                  {optionLabel(MSME_CATEGORIES, formData?.msmeCategory) || t('profile.notSpecified')}
+                </p>
+              )}
+              {/* Why the Udyam criteria gave this category */}
+              {!isEditing && udyamClassification && (
+                <ul className="mt-2 pl-1 text-xs text-gray-500 dark:text-gray-500 space-y-0.5">
+                  {udyamClassification.reasons.map(reason => (
+                    <li key={reason}>{reason}</li>
+                  ))}
+                </ul>
+              )}
+              {isEditing && (
+                <p className="mt-1 pl-1 text-xs text-gray-500 dark:text-gray-500">
+                  {t('profile.category.auto')}
+                </p>
+              )}
+            </div>
+
+            {/* Employees */}
+            <div>
+              <label className="flex items-center gap-2 text-sm font-semibold text-gray-700 dark:text-gray-300 mb-2">
+                <FiUser size={16} />
+                {t('profile.employees')}
+              </label>
+              {isEditing ? (
+                <input
+                  type="number"
+                  min="0"
+                  name="employees"
+                  value={formData?.employees ?? ''}
+                  onChange={handleInputChange}
+                  placeholder={t('profile.employees.placeholder')}
+                  className="w-full px-4 py-3 rounded-lg border border-gray-300 dark:border-gray-700 bg-white dark:bg-gray-800 text-gray-900 dark:text-white placeholder-gray-400 dark:placeholder-gray-500 focus:outline-none focus:ring-2 focus:ring-blue-500"
+                />
+              ) : (
+                <p className="px-4 py-3 rounded-lg border border-gray-200 dark:border-gray-800 bg-gray-50 dark:bg-gray-900 text-gray-900 dark:text-white">
+                  {formData?.employees ?? t('profile.notSpecified')}
+                </p>
+              )}
+            </div>
+
+            {/* Annual Turnover */}
+            <div>
+              <label className="flex items-center gap-2 text-sm font-semibold text-gray-700 dark:text-gray-300 mb-2">
+                <FiBriefcase size={16} />
+                {t('profile.turnover')}
+              </label>
+              {isEditing ? (
+                <input
+                  type="number"
+                  min="0"
+                  name="annualTurnover"
+                  value={formData?.annualTurnover ?? ''}
+                  onChange={handleInputChange}
+                  placeholder={t('profile.turnover.placeholder')}
+                  className="w-full px-4 py-3 rounded-lg border border-gray-300 dark:border-gray-700 bg-white dark:bg-gray-800 text-gray-900 dark:text-white placeholder-gray-400 dark:placeholder-gray-500 focus:outline-none focus:ring-2 focus:ring-blue-500"
+                />
+              ) : (
+                <p className="px-4 py-3 rounded-lg border border-gray-200 dark:border-gray-800 bg-gray-50 dark:bg-gray-900 text-gray-900 dark:text-white">
+                  {formData?.annualTurnover != null ? `₹${Number(formData.annualTurnover).toLocaleString('en-IN')}` : t('profile.notSpecified')}
+                </p>
+              )}
+            </div>
+
+            {/* Plant & Machinery Investment */}
+            <div>
+              <label className="flex items-center gap-2 text-sm font-semibold text-gray-700 dark:text-gray-300 mb-2">
+                <FiBriefcase size={16} />
+                {t('profile.investment')}
+              </label>
+              {isEditing ? (
+                <input
+                  type="number"
+                  min="0"
+                  name="plantMachineryInvestment"
+                  value={formData?.plantMachineryInvestment ?? ''}
+                  onChange={handleInputChange}
+                  placeholder={t('profile.investment.placeholder')}
+                  className="w-full px-4 py-3 rounded-lg border border-gray-300 dark:border-gray-700 bg-white dark:bg-gray-800 text-gray-900 dark:text-white placeholder-gray-400 dark:placeholder-gray-500 focus:outline-none focus:ring-2 focus:ring-blue-500"
+                />
+              ) : (
+                <p className="px-4 py-3 rounded-lg border border-gray-200 dark:border-gray-800 bg-gray-50 dark:bg-gray-900 text-gray-900 dark:text-white">
+                  {formData?.plantMachineryInvestment != null ? `₹${Number(formData.plantMachineryInvestment).toLocaleString('en-IN')}` : t('profile.notSpecified')}
                 </p>
               )}
             </div>
@@ -183,7 +318,7 @@ const ProfilePage = ({ userProfile, onSave, onBack }) => {
             <div>
               <label className="flex items-center gap-2 text-sm font-semibold text-gray-700 dark:text-gray-300 mb-2">
                 <FiMapPin size={16} />
-                City
+                {t('profile.city')}
               </label>
               {isEditing ? (
                 <input
@@ -191,12 +326,12 @@ const ProfilePage = ({ userProfile, onSave, onBack }) => {
                   name="city"
                   value={formData?.city || ''}
                   onChange={handleInputChange}
-                  placeholder="Your city"
+                  placeholder={t('profile.city.placeholder')}
                   className="w-full px-4 py-3 rounded-lg border border-gray-300 dark:border-gray-700 bg-white dark:bg-gray-800 text-gray-900 dark:text-white placeholder-gray-400 dark:placeholder-gray-500 focus:outline-none focus:ring-2 focus:ring-blue-500"
                 />
               ) : (
                 <p className="px-4 py-3 rounded-lg border border-gray-200 dark:border-gray-800 bg-gray-50 dark:bg-gray-900 text-gray-900 dark:text-white">
-                  {formData?.city || 'Not specified'}
+                  {formData?.city || t('profile.notSpecified')}
                 </p>
               )}
             </div>
@@ -205,7 +340,7 @@ const ProfilePage = ({ userProfile, onSave, onBack }) => {
             <div>
               <label className="flex items-center gap-2 text-sm font-semibold text-gray-700 dark:text-gray-300 mb-2">
                 <FiMapPin size={16} />
-                State
+                {t('profile.state')}
               </label>
               {isEditing ? (
                 <select
@@ -214,17 +349,14 @@ const ProfilePage = ({ userProfile, onSave, onBack }) => {
                   onChange={handleInputChange}
                   className="w-full px-4 py-3 rounded-lg border border-gray-300 dark:border-gray-700 bg-white dark:bg-gray-800 text-gray-900 dark:text-white focus:outline-none focus:ring-2 focus:ring-blue-500"
                 >
-                  <option value="">Select State</option>
-                  <option value="Gujarat">Gujarat</option>
-                  <option value="Maharashtra">Maharashtra</option>
-                  <option value="Tamil Nadu">Tamil Nadu</option>
-                  <option value="Karnataka">Karnataka</option>
-                  <option value="Delhi">Delhi</option>
-                  <option value="Other">Other</option>
+                  <option value="">{t('profile.state.select')}</option>
+                  {STATES.map(code => (
+                    <option key={code} value={code}>{t(`profile.state.${code}`)}</option>
+                  ))}
                 </select>
               ) : (
                 <p className="px-4 py-3 rounded-lg border border-gray-200 dark:border-gray-800 bg-gray-50 dark:bg-gray-900 text-gray-900 dark:text-white">
-                  {formData?.state || 'Not specified'}
+                  {(STATES.includes(formData?.state) ? t(`profile.state.${formData.state}`) : formData?.stateName || formData?.state) || t('profile.notSpecified')}
                 </p>
               )}
             </div>
@@ -233,7 +365,7 @@ const ProfilePage = ({ userProfile, onSave, onBack }) => {
             <div>
               <label className="flex items-center gap-2 text-sm font-semibold text-gray-700 dark:text-gray-300 mb-2">
                 <FiMail size={16} />
-                Email Address
+                {t('profile.email')}
               </label>
               {isEditing ? (
                 <input
@@ -246,7 +378,7 @@ const ProfilePage = ({ userProfile, onSave, onBack }) => {
                 />
               ) : (
                 <p className="px-4 py-3 rounded-lg border border-gray-200 dark:border-gray-800 bg-gray-50 dark:bg-gray-900 text-gray-900 dark:text-white">
-                  {formData?.email || 'Not specified'}
+                  {formData?.email || t('profile.notSpecified')}
                 </p>
               )}
             </div>
@@ -255,7 +387,7 @@ const ProfilePage = ({ userProfile, onSave, onBack }) => {
             <div>
               <label className="flex items-center gap-2 text-sm font-semibold text-gray-700 dark:text-gray-300 mb-2">
                 <FiPhone size={16} />
-                Mobile Number
+                {t('profile.mobile')}
               </label>
               {isEditing ? (
                 <input
@@ -268,7 +400,7 @@ const ProfilePage = ({ userProfile, onSave, onBack }) => {
                 />
               ) : (
                 <p className="px-4 py-3 rounded-lg border border-gray-200 dark:border-gray-800 bg-gray-50 dark:bg-gray-900 text-gray-900 dark:text-white">
-                  {formData?.mobileNumber || 'Not specified'}
+                  {formData?.mobileNumber || t('profile.notSpecified')}
                 </p>
               )}
             </div>
@@ -288,7 +420,7 @@ const ProfilePage = ({ userProfile, onSave, onBack }) => {
             <div>
               <label className="flex items-center gap-2 text-sm font-semibold text-gray-700 dark:text-gray-300 mb-2">
                 <FiMessageCircle size={16} className="text-green-500" />
-                WhatsApp Number
+                {t('profile.whatsapp')}
               </label>
               {isEditing ? (
                 <input
@@ -303,7 +435,7 @@ const ProfilePage = ({ userProfile, onSave, onBack }) => {
                 <div className="space-y-2">
                   <div className="flex items-center gap-2">
                     <p className="flex-1 px-4 py-3 rounded-lg border border-gray-200 dark:border-gray-800 bg-gray-50 dark:bg-gray-900 text-gray-900 dark:text-white">
-                      {formData?.whatsappNumber || 'Not added yet'}
+                      {formData?.whatsappNumber || t('profile.whatsapp.none')}
                     </p>
                     {/* WhatsApp Deep Link - Only show if number exists */}
                     {formData?.whatsappNumber && (
@@ -312,16 +444,16 @@ const ProfilePage = ({ userProfile, onSave, onBack }) => {
                         target="_blank"
                         rel="noopener noreferrer"
                         className="px-3 py-3 rounded-lg border border-green-300/60 bg-green-500/10 dark:bg-green-900/30 text-green-600 dark:text-green-400 hover:bg-green-500/20 dark:hover:bg-green-900/50 flex items-center gap-2 text-sm font-medium transition-colors"
-                        title="Chat on WhatsApp"
+                        title={t('profile.whatsapp.chatTitle')}
                       >
                         <FiExternalLink size={16} />
-                        Chat
+                        {t('profile.whatsapp.chat')}
                       </a>
                     )}
                   </div>
                   {/* Helper text for MSME context */}
                   <p className="text-xs text-gray-500 dark:text-gray-500 pl-1">
-                    This number will be used for MSME compliance reminders via WhatsApp.
+                    {t('profile.whatsapp.hint')}
                   </p>
                 </div>
               )}
@@ -331,7 +463,7 @@ const ProfilePage = ({ userProfile, onSave, onBack }) => {
             <div>
               <label className="flex items-center gap-2 text-sm font-semibold text-gray-700 dark:text-gray-300 mb-2">
                 <FiHash size={16} />
-                GST Number
+                {t('profile.gstNumber')}
               </label>
               {isEditing ? (
                 <input
@@ -339,12 +471,157 @@ const ProfilePage = ({ userProfile, onSave, onBack }) => {
                   name="gstNumber"
                   value={formData?.gstNumber || ''}
                   onChange={handleInputChange}
-                  placeholder="15-digit GSTIN"
+                  placeholder={t('profile.gstNumber.placeholder')}
                   className="w-full px-4 py-3 rounded-lg border border-gray-300 dark:border-gray-700 bg-white dark:bg-gray-800 text-gray-900 dark:text-white placeholder-gray-400 dark:placeholder-gray-500 focus:outline-none focus:ring-2 focus:ring-blue-500"
                 />
               ) : (
                 <p className="px-4 py-3 rounded-lg border border-gray-200 dark:border-gray-800 bg-gray-50 dark:bg-gray-900 text-gray-900 dark:text-white">
-                  {formData?.gstNumber || 'Not registered'}
+                  {formData?.gstNumber || t('profile.gstNumber.none')}
+                </p>
+              )}
+            </div>
+
+            {/* GST Filing Frequency */}
+            <div>
+              <label className="flex items-center gap-2 text-sm font-semibold text-gray-700 dark:text-gray-300 mb-2">
+                <FiCalendar size={16} />
+                {t('profile.gstFiling')}
+              </label>
+              {isEditing ? (
+                <select
+                  name="gstFilingFrequency"
+                  value={formData?.gstFilingFrequency || ''}
+                  onChange={handleInputChange}
+                  className="w-full px-4 py-3 rounded-lg border border-gray-300 dark:border-gray-700 bg-white dark:bg-gray-800 text-gray-900 dark:text-white focus:outline-none focus:ring-2 focus:ring-blue-500"
+                >
+                  <option value="">{t('profile.gstFiling.default')}</option>
+                  <option value="monthly">{t('profile.gstFiling.monthly')}</option>
+                  <option value="quarterly">{t('profile.gstFiling.quarterly')}</option>
+                </select>
+              ) : (
+                <p className="px-4 py-3 rounded-lg border border-gray-200 dark:border-gray-800 bg-gray-50 dark:bg-gray-900 text-gray-900 dark:text-white">
+                  {t(formData?.gstFilingFrequency === 'quarterly' ? 'profile.gstFiling.quarterly' : 'profile.gstFiling.monthly')}
+                </p>
+              )}
+            </div>
+
+            {/* GST registration - supply type and inter-state sales decide the threshold */}
+            <div>
+              <label className="flex items-center gap-2 text-sm font-semibold text-gray-700 dark:text-gray-300 mb-2">
+                <FiHash size={16} />
+                {t('profile.gstRegistration')}
+              </label>
+              {isEditing ? (
+                <div className="space-y-2">
+                  <select
+                    name="supplyType"
+                    value={formData?.supplyType || ''}
+                    onChange={handleInputChange}
+                    className="w-full px-4 py-3 rounded-lg border border-gray-300 dark:border-gray-700 bg-white dark:bg-gray-800 text-gray-900 dark:text-white focus:outline-none focus:ring-2 focus:ring-blue-500"
+                  >
+                    <option value="">{t('profile.supplyType.select')}</option>
+                    {SUPPLY_TYPES.map(type => (
+                      <option key={type} value={type}>{t(`profile.supplyType.${type}`)}</option>
+                    ))}
+                  </select>
+                  <label className="flex items-center gap-2 text-sm text-gray-700 dark:text-gray-300">
+                    <input type="checkbox" name="interStateSupply" checked={!!formData?.interStateSupply} onChange={handleInputChange} />
+                    {t('profile.interState')}
+                  </label>
+                </div>
+              ) : (
+                <p className="px-4 py-3 rounded-lg border border-gray-200 dark:border-gray-800 bg-gray-50 dark:bg-gray-900 text-gray-900 dark:text-white">
+                  {[
+                    SUPPLY_TYPES.includes(formData?.supplyType) ? t(`profile.supplyType.${formData.supplyType}`) : null,
+                    formData?.interStateSupply ? t('profile.interState.short') : null
+                  ].filter(Boolean).join(' · ') || t('profile.notSpecified')}
+                </p>
+              )}
+            </div>
+
+            {/* Food licensing - decides the FSSAI tier (Basic / State / Central) */}
+            <div>
+              <label className="flex items-center gap-2 text-sm font-semibold text-gray-700 dark:text-gray-300 mb-2">
+                <FiBriefcase size={16} />
+                {t('profile.food')}
+              </label>
+              {isEditing ? (
+                <div className="space-y-2">
+                  <input
+                    type="number"
+                    name="dailyProductionCapacity"
+                    min="0"
+                    value={formData?.dailyProductionCapacity ?? ''}
+                    onChange={handleInputChange}
+                    placeholder={t('profile.food.capacity.placeholder')}
+                    className="w-full px-4 py-3 rounded-lg border border-gray-300 dark:border-gray-700 bg-white dark:bg-gray-800 text-gray-900 dark:text-white placeholder-gray-400 dark:placeholder-gray-500 focus:outline-none focus:ring-2 focus:ring-blue-500"
+                  />
+                  <label className="flex items-center gap-2 text-sm text-gray-700 dark:text-gray-300">
+                    <input type="checkbox" name="importsOrExports" checked={!!formData?.importsOrExports} onChange={handleInputChange} />
+                    {t('profile.food.importsOrExports')}
+                  </label>
+                  <label className="flex items-center gap-2 text-sm text-gray-700 dark:text-gray-300">
+                    <input type="checkbox" name="operatesInMultipleStates" checked={!!formData?.operatesInMultipleStates} onChange={handleInputChange} />
+                    {t('profile.food.multiState')}
+                  </label>
+                </div>
+              ) : (
+                <p className="px-4 py-3 rounded-lg border border-gray-200 dark:border-gray-800 bg-gray-50 dark:bg-gray-900 text-gray-900 dark:text-white">
+                  {[
+                    formData?.dailyProductionCapacity ? t('profile.food.capacity', { value: formData.dailyProductionCapacity }) : null,
+                    formData?.importsOrExports ? t('profile.food.importsOrExports.short') : null,
+                    formData?.operatesInMultipleStates ? t('profile.food.multiState.short') : null
+                  ].filter(Boolean).join(' · ') || t('profile.notSpecified')}
+                </p>
+              )}
+            </div>
+
+            {/* Funding - founder details and loan amount decide scheme eligibility */}
+            <div>
+              <label className="flex items-center gap-2 text-sm font-semibold text-gray-700 dark:text-gray-300 mb-2">
+                <FiBriefcase size={16} />
+                {t('profile.funding')}
+              </label>
+              {isEditing ? (
+                <div className="space-y-2">
+                  <input
+                    type="number"
+                    name="loanAmount"
+                    min="0"
+                    value={formData?.loanAmount ?? ''}
+                    onChange={handleInputChange}
+                    placeholder={t('profile.funding.loan.placeholder')}
+                    className="w-full px-4 py-3 rounded-lg border border-gray-300 dark:border-gray-700 bg-white dark:bg-gray-800 text-gray-900 dark:text-white placeholder-gray-400 dark:placeholder-gray-500 focus:outline-none focus:ring-2 focus:ring-blue-500"
+                  />
+                  <select
+                    name="ownerSocialCategory"
+                    value={formData?.ownerSocialCategory || ''}
+                    onChange={handleInputChange}
+                    className="w-full px-4 py-3 rounded-lg border border-gray-300 dark:border-gray-700 bg-white dark:bg-gray-800 text-gray-900 dark:text-white focus:outline-none focus:ring-2 focus:ring-blue-500"
+                  >
+                    <option value="">{t('profile.funding.category.select')}</option>
+                    <option value="general">{t('profile.funding.category.general')}</option>
+                    <option value="obc">OBC</option>
+                    <option value="sc">SC</option>
+                    <option value="st">ST</option>
+                  </select>
+                  <label className="flex items-center gap-2 text-sm text-gray-700 dark:text-gray-300">
+                    <input type="checkbox" name="womanOwned" checked={!!formData?.womanOwned} onChange={handleInputChange} />
+                    {t('profile.funding.womanOwned')}
+                  </label>
+                  <label className="flex items-center gap-2 text-sm text-gray-700 dark:text-gray-300">
+                    <input type="checkbox" name="dpiitRecognised" checked={!!formData?.dpiitRecognised} onChange={handleInputChange} />
+                    {t('profile.funding.dpiit')}
+                  </label>
+                </div>
+              ) : (
+                <p className="px-4 py-3 rounded-lg border border-gray-200 dark:border-gray-800 bg-gray-50 dark:bg-gray-900 text-gray-900 dark:text-white">
+                  {[
+                    formData?.loanAmount ? t('profile.funding.loan', { amount: Number(formData.loanAmount).toLocaleString('en-IN') }) : null,
+                    formData?.ownerSocialCategory === 'general' ? t('profile.funding.category.general') : formData?.ownerSocialCategory?.toUpperCase(),
+                    formData?.womanOwned ? t('profile.funding.womanOwned.short') : null,
+                    formData?.dpiitRecognised ? t('profile.funding.dpiit.short') : null
+                  ].filter(Boolean).join(' · ') || t('profile.notSpecified')}
                 </p>
               )}
             </div>
@@ -353,7 +630,7 @@ const ProfilePage = ({ userProfile, onSave, onBack }) => {
             <div>
               <label className="flex items-center gap-2 text-sm font-semibold text-gray-700 dark:text-gray-300 mb-2">
                 <FiCalendar size={16} />
-                Business Registration Date
+                {t('profile.registrationDate')}
               </label>
               {isEditing ? (
                 <input
@@ -365,7 +642,7 @@ const ProfilePage = ({ userProfile, onSave, onBack }) => {
                 />
               ) : (
                 <p className="px-4 py-3 rounded-lg border border-gray-200 dark:border-gray-800 bg-gray-50 dark:bg-gray-900 text-gray-900 dark:text-white">
-                  {formData?.registrationDate || 'Not specified'}
+                  {formData?.registrationDate || t('profile.notSpecified')}
                 </p>
               )}
             </div>
@@ -374,15 +651,15 @@ const ProfilePage = ({ userProfile, onSave, onBack }) => {
           {/* Simple compliance summary strip */}
           <div className="pt-6 border-t border-gray-200 dark:border-gray-800 grid grid-cols-1 md:grid-cols-3 gap-4">
             <div className="p-4 rounded-lg bg-green-50 dark:bg-green-900/30 border border-green-200 dark:border-green-800">
-              <p className="text-sm text-gray-700 dark:text-gray-300 mb-1">Active Compliances</p>
+              <p className="text-sm text-gray-700 dark:text-gray-300 mb-1">{t('profile.summary.active')}</p>
               <p className="text-2xl font-bold text-green-600 dark:text-green-400">12</p>
             </div>
             <div className="p-4 rounded-lg bg-yellow-50 dark:bg-yellow-900/30 border border-yellow-200 dark:border-yellow-800">
-              <p className="text-sm text-gray-700 dark:text-gray-300 mb-1">Upcoming Deadlines</p>
+              <p className="text-sm text-gray-700 dark:text-gray-300 mb-1">{t('profile.summary.upcoming')}</p>
               <p className="text-2xl font-bold text-yellow-600 dark:text-yellow-400">3</p>
             </div>
             <div className="p-4 rounded-lg bg-blue-50 dark:bg-blue-900/30 border border-blue-200 dark:border-blue-800">
-              <p className="text-sm text-gray-700 dark:text-gray-300 mb-1">Forms Filed This Month</p>
+              <p className="text-sm text-gray-700 dark:text-gray-300 mb-1">{t('profile.summary.filed')}</p>
               <p className="text-2xl font-bold text-blue-600 dark:text-blue-400">5</p>
             </div>
           </div>
@@ -10,6 +10,7 @@ import {
   FiClock
 } from 'react-icons/fi'
 import { useChatContext } from '../context/ChatContext'
+import { useLanguageContext } from '../context/LanguageContext'
 
 // Memoized Sidebar to prevent re-renders when parent updates
 const Sidebar = memo(({ collapsed, onToggle, onViewProfile, googleUser, onNavigate, activePage }) => {
@@ -18,6 +19,7 @@ const Sidebar = memo(({ collapsed, onToggle, onViewProfile, googleUser, onNaviga
 
   // Get real chat data from ChatContext
   const { chatList, loadChat, activeChatId, fetchChatList } = useChatContext()
+  const { t } = useLanguageContext()
 
   // Fetch chat list on component mount
   useEffect(() => {
@@ -26,9 +28,9 @@ const Sidebar = memo(({ collapsed, onToggle, onViewProfile, googleUser, onNaviga
 
   const menuItems = [
     // Added 'id' to identify pages easier
-    { icon: FiHome, label: 'Home', id: 'home' }, 
-    { icon: FiLayout, label: 'Dashboard', id: 'dashboard' },
-    { icon: FiMessageSquare, label: 'New Chat', id: 'chat' },
+    { icon: FiHome, label: t('sidebar.home'), id: 'home' }, 
+    { icon: FiLayout, label: t('sidebar.dashboard'), id: 'dashboard' },
+    { icon: FiMessageSquare, label: t('sidebar.newChat'), id: 'chat' },
   ]
 
   // Group chats by time periods (same logic as ChatSidebar)
@@ -115,10 +117,10 @@ const Sidebar = memo(({ collapsed, onToggle, onViewProfile, googleUser, onNaviga
           {!collapsed && (
             <div className="flex-1 min-w-0">
               <p className="text-gray-900 dark:text-gray-100 font-medium text-sm truncate">
-                {googleUser?.name || 'Business Owner'}
+                {googleUser?.name || t('sidebar.businessOwner')}
               </p>
               <p className="text-gray-600 dark:text-slate-400 text-xs truncate">
-                {googleUser?.email || 'MSME Account'}
+                {googleUser?.email || t('sidebar.account')}
               </p>
             </div>
           )}
@@ -155,18 +157,18 @@ const Sidebar = memo(({ collapsed, onToggle, onViewProfile, googleUser, onNaviga
             <div className="flex items-center gap-2 mb-3 px-2">
               <FiClock className="text-gray-500 dark:text-slate-400" size={16} />
               <h3 className="text-gray-600 dark:text-slate-300 text-xs font-semibold uppercase tracking-wide">
-                Chat History
+                {t('sidebar.chatHistory')}
               </h3>
             </div>
             <div className="space-y-4">
               {chatList.length === 0 ? (
-                <p className="text-gray-500 dark:text-slate-400 text-sm px-2">No chats yet</p>
+                <p className="text-gray-500 dark:text-slate-400 text-sm px-2">{t('sidebar.noChats')}</p>
               ) : (
                 <>
                   {groupedChats.today.length > 0 && (
                     <div>
                       <h3 className="text-gray-600 dark:text-slate-400 text-xs font-medium mb-2 px-2">
-                        Today
+                        {t('chats.today')}
                       </h3>
                       <div className="space-y-1">
                         {groupedChats.today.slice(0, 3).map((chat) => (
@@ -190,7 +192,7 @@ const Sidebar = memo(({ collapsed, onToggle, onViewProfile, googleUser, onNaviga
                   {groupedChats.yesterday.length > 0 && (
                     <div>
                       <h3 className="text-gray-600 dark:text-slate-400 text-xs font-medium mb-2 px-2">
-                        Yesterday
+                        {t('chats.yesterday')}
                       </h3>
                       <div className="space-y-1">
                         {groupedChats.yesterday.slice(0, 2).map((chat) => (
@@ -1,25 +1,23 @@
 import { useState, memo, useCallback } from 'react'
 import { motion, AnimatePresence } from 'framer-motion'
-import { FiSun, FiMoon, FiLogIn, FiLogOut } from 'react-icons/fi'
+import { FiSun, FiMoon, FiLogIn, FiLogOut, FiGlobe } from 'react-icons/fi'
 import { useGoogleLogin, googleLogout } from '@react-oauth/google'
+import authService from '../services/authService'
+import NotificationBell from './NotificationBell'
+import { useLanguageContext } from '../context/LanguageContext'
 
 // Memoized TopBar to prevent re-renders when sibling routes change
 const TopBar = memo(({ isDark, onThemeToggle, googleUser, onLoginSuccess, onLogout }) => {
   const [showDropdown, setShowDropdown] = useState(false)
+  const { t, language, languages, setLanguage } = useLanguageContext()
 
   const login = useGoogleLogin({
     onSuccess: async (tokenResponse) => {
-      console.log('Login Success:', tokenResponse);
       try {
-        const response = await fetch('https://www.googleapis.com/oauth2/v3/userinfo', {
-          headers: {
-            Authorization: `Bearer ${tokenResponse.access_token}`,
-          },
-        });
-        const userData = await response.json();
+        const userData = await authService.loginWithGoogle(tokenResponse.access_token);
         onLoginSuccess(userData);
       } catch (error) {
-        console.error('Failed to fetch user info:', error);
+        console.error('Failed to sign in:', error);
       }
     },
     onError: error => console.log('Login Failed:', error)
@@ -35,11 +33,28 @@ const TopBar = memo(({ isDark, onThemeToggle, googleUser, onLoginSuccess, onLogo
     <div className={`h-16 px-6 flex items-center justify-between bg-white/90 backdrop-blur border-b border-gray-200 dark:bg-slate-950/80 dark:border-slate-800 relative z-50`}>
       <div className="flex items-center gap-4">
         <h1 className="text-xl font-semibold text-gray-900 dark:text-gray-100">
-          MSME Compliance Navigator
+          {t('app.title')}
         </h1>
       </div>
       
       <div className="flex items-center gap-4">
+        {/* Language switcher - also the reply language the chat asks for */}
+        <label className="flex items-center gap-1.5 text-gray-600 dark:text-gray-200">
+          <FiGlobe size={18} />
+          <span className="sr-only">{t('topbar.language')}</span>
+          <select
+            value={language}
+            onChange={(e) => setLanguage(e.target.value)}
+            className="bg-transparent text-sm font-medium rounded-lg py-1 focus:outline-none focus:ring-2 focus:ring-blue-500 cursor-pointer"
+          >
+            {languages.map(option => (
+              <option key={option.code} value={option.code} className="text-gray-900">
+                {option.label}
+              </option>
+            ))}
+          </select>
+        </label>
+
         <motion.button
           whileHover={{ scale: 1.1 }}
           whileTap={{ scale: 0.9 }}
@@ -49,6 +64,8 @@ const TopBar = memo(({ isDark, onThemeToggle, googleUser, onLoginSuccess, onLogo
           {isDark ? <FiSun size={20} /> : <FiMoon size={20} />}
         </motion.button>
 
+        {googleUser && <NotificationBell />}
+
         {googleUser ? (
           <div className="relative">
             {/* User Profile Trigger */}
@@ -58,7 +75,7 @@ const TopBar = memo(({ isDark, onThemeToggle, googleUser, onLoginSuccess, onLogo
               className="flex items-center gap-3 pl-2 cursor-pointer p-1 rounded-full hover:bg-gray-100 dark:hover:bg-gray-800 transition-colors"
             >
               <span className="hidden sm:block text-sm font-medium text-gray-700 dark:text-gray-200 select-none">
-                Hi, {googleUser.given_name}
+                {t('topbar.greeting', { name: googleUser.givenName || googleUser.given_name })}
               </span>
               <img 
                 src={googleUser.picture} 
@@ -90,7 +107,7 @@ const TopBar = memo(({ isDark, onThemeToggle, googleUser, onLoginSuccess, onLogo
                     className="w-full text-left px-4 py-2.5 text-sm text-red-600 dark:text-red-400 hover:bg-red-50 dark:hover:bg-red-900/20 flex items-center gap-2 transition-colors"
                   >
                     <FiLogOut size={16} />
-                    Sign Out
+                    {t('topbar.signOut')}
                   </button>
                 </motion.div>
               )}
@@ -104,7 +121,7 @@ const TopBar = memo(({ isDark, onThemeToggle, googleUser, onLoginSuccess, onLogo
             className="px-4 py-2 rounded-lg bg-white flex items-center gap-2 text-gray-700 border border-gray-300 hover:bg-gray-50 dark:bg-gray-900 dark:text-gray-100 dark:border-gray-600 dark:hover:bg-gray-800 transition-all"
           >
             <FiLogIn size={18} />
-            <span className="text-sm font-medium">Login with Google</span>
+            <span className="text-sm font-medium">{t('topbar.login')}</span>
           </motion.button>
         )}
       </div>
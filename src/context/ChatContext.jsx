@@ -1,4 +1,6 @@
 import { createContext, useContext, useState, useEffect } from 'react'
+import authService from '../services/authService'
+import { useLanguageContext } from './LanguageContext'
 
 // Create the context
 const ChatContext = createContext()
@@ -14,8 +16,12 @@ export const useChatContext = () => {
 
 // ChatGPT-style Chat Context Provider
 export const ChatContextProvider = ({ children }) => {
+  // Signed-in user - the backend reads userId from the session token, never from the request
+  const userId = authService.getUser()?.userId || null
+  // UI language - the backend replies in it unless the message says otherwise
+  const { language } = useLanguageContext()
+
   // Core state
-  const [userId] = useState(() => `user_${Date.now()}_${Math.random().toString(36).substr(2, 8)}`) // Generate user ID
   const [activeChatId, setActiveChatId] = useState(null)
   const [chatList, setChatList] = useState([])
   const [messages, setMessages] = useState([])
@@ -30,7 +36,9 @@ export const ChatContextProvider = ({ children }) => {
    */
   const fetchChatList = async () => {
     try {
-      const response = await fetch(`${API_BASE}/api/chats?userId=${userId}`)
+      const response = await fetch(`${API_BASE}/api/chats`, {
+        headers: authService.authHeaders()
+      })
       const data = await response.json()
       
       if (data.success) {
@@ -49,7 +57,9 @@ export const ChatContextProvider = ({ children }) => {
   const loadChat = async (chatId) => {
     try {
       setIsLoading(true)
-      const response = await fetch(`${API_BASE}/api/chats/${chatId}?userId=${userId}`)
+      const response = await fetch(`${API_BASE}/api/chats/${chatId}`, {
+        headers: authService.authHeaders()
+      })
       const data = await response.json()
       
       if (data.success) {
@@ -86,15 +96,15 @@ export const ChatContextProvider = ({ children }) => {
       // Send to API
       const response = await fetch(`${API_BASE}/api/chat`, {
         method: 'POST',
-        headers: {
+        headers: authService.authHeaders({
           'Content-Type': 'application/json',
-        },
+        }),
         body: JSON.stringify({
-          userId,
           chatId: activeChatId, // null for new chat
           message: messageContent,
           userProfile,
-          userIntent
+          userIntent,
+          language
         })
       })
 
@@ -111,6 +121,8 @@ export const ChatContextProvider = ({ children }) => {
           id: `ai_${Date.now()}`,
           role: 'assistant', 
           content: data.message,
+          citations: data.citations || [],
+          references: data.references || [],
           timestamp: new Date()
         }
         
@@ -155,8 +167,9 @@ export const ChatContextProvider = ({ children }) => {
    */
   const deleteChat = async (chatId) => {
     try {
-      const response = await fetch(`${API_BASE}/api/chats/${chatId}?userId=${userId}`, {
-        method: 'DELETE'
+      const response = await fetch(`${API_BASE}/api/chats/${chatId}`, {
+        method: 'DELETE',
+        headers: authService.authHeaders()
       })
       
       const data = await response.json()
@@ -184,11 +197,10 @@ export const ChatContextProvider = ({ children }) => {
     try {
       const response = await fetch(`${API_BASE}/api/chats/${chatId}/title`, {
         method: 'PUT',
-        headers: {
+        headers: authService.authHeaders({
           'Content-Type': 'application/json',
-        },
+        }),
         body: JSON.stringify({
-          userId,
           title: newTitle
         })
       })
@@ -213,9 +225,13 @@ export const ChatContextProvider = ({ children }) => {
     setIsSidebarOpen(prev => !prev)
   }
 
-  // Load chat list on mount
+  // Load chat list once signed in
   useEffect(() => {
-    fetchChatList()
+    if (userId) {
+      fetchChatList()
+    } else {
+      setChatList([])
+    }
   }, [userId])
 
   // Context value
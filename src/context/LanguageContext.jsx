@@ -0,0 +1,59 @@
+import { createContext, useContext, useState, useEffect, useCallback } from 'react'
+import { LANGUAGES, DEFAULT_LANGUAGE, translate, isSupportedLanguage } from '../i18n'
+import chatService from '../services/chatService'
+
+const LANGUAGE_STORAGE_KEY = 'language'
+
+// Create the context
+const LanguageContext = createContext()
+
+// Custom hook to use the context
+export const useLanguageContext = () => {
+  const context = useContext(LanguageContext)
+  if (context === undefined) {
+    throw new Error('useLanguageContext must be used within a LanguageContextProvider')
+  }
+  return context
+}
+
+// Saved choice first, then a Hindi browser, then English
+const initialLanguage = () => {
+  const saved = localStorage.getItem(LANGUAGE_STORAGE_KEY)
+  if (saved && isSupportedLanguage(saved)) return saved
+  return navigator.language?.startsWith('hi') ? 'hi' : DEFAULT_LANGUAGE
+}
+
+// UI language provider - t(key, vars) for strings, language for the chat API
+export const LanguageContextProvider = ({ children }) => {
+  const [language, setLanguageState] = useState(initialLanguage)
+
+  useEffect(() => {
+    localStorage.setItem(LANGUAGE_STORAGE_KEY, language)
+    document.documentElement.lang = language
+    chatService.setLanguage(language)
+  }, [language])
+
+  const setLanguage = useCallback((code) => {
+    if (isSupportedLanguage(code)) setLanguageState(code)
+  }, [])
+
+  const t = useCallback((key, vars) => translate(language, key, vars), [language])
+
+  const value = {
+    // State
+    language,
+    languages: LANGUAGES,
+
+    // Actions
+    setLanguage,
+    t
+  }
+
+  return (
+    <LanguageContext.Provider value={value}>
+      {children}
+    </LanguageContext.Provider>
+  )
+}
+
+export default LanguageContext
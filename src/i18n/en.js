@@ -0,0 +1,231 @@
+// English UI strings - the reference dictionary; every key lives here
+const en = {
+  'app.title': 'MSME Compliance Navigator',
+
+  'topbar.greeting': 'Hi, {name}',
+  'topbar.signOut': 'Sign Out',
+  'topbar.login': 'Login with Google',
+  'topbar.language': 'Language',
+
+  'sidebar.home': 'Home',
+  'sidebar.dashboard': 'Dashboard',
+  'sidebar.newChat': 'New Chat',
+  'sidebar.businessOwner': 'Business Owner',
+  'sidebar.account': 'MSME Account',
+  'sidebar.chatHistory': 'Chat History',
+  'sidebar.noChats': 'No chats yet',
+
+  'chats.title': 'Chat History',
+  'chats.new': 'New Chat',
+  'chats.empty': 'No conversations yet',
+  'chats.emptyHint': 'Start a new chat to begin',
+  'chats.today': 'Today',
+  'chats.yesterday': 'Yesterday',
+  'chats.lastWeek': 'Last 7 Days',
+  'chats.older': 'Older',
+  'chats.messages': '{count} messages',
+  'chats.count.one': '{count} conversation',
+  'chats.count.other': '{count} conversations',
+  'chats.confirmDelete': 'Are you sure you want to delete this chat?',
+
+  'chat.welcome': "I'm here to help you start and grow your business in India with all the right compliance requirements.",
+  'chat.focus': 'Focus: {intent}',
+  'chat.card.registration': 'Business Registration',
+  'chat.card.registrationDesc': 'GST, PAN, licenses',
+  'chat.card.calendar': 'Compliance Calendar',
+  'chat.card.calendarDesc': 'Deadlines & filings',
+  'chat.card.platforms': 'Platform Onboarding',
+  'chat.card.platformsDesc': 'Amazon, Flipkart, etc.',
+  'chat.card.prompt': 'Tell me about {topic}',
+  'chat.thinking': 'Thinking...',
+  'chat.placeholder': 'Message MSME Compliance Navigator...',
+  'chat.inputHint': 'Press Enter to send, Shift+Enter for new line',
+  'chat.legalReferences': 'Legal references',
+
+  'footnotes.verified': 'verified {date}',
+
+  'notifications.title': 'Notifications',
+  'notifications.markAllRead': 'Mark all read',
+  'notifications.empty': 'No reminders yet',
+
+  'login.headline': 'Smart Compliance.',
+  'login.headlineAccent': 'Powered by AI.',
+  'login.tagline': 'Automated compliance tracking, intelligent reminders, and real-time regulatory updates for your MSME business.',
+  'login.feature.gst': 'GST Tracking',
+  'login.feature.reminders': 'Auto Reminders',
+  'login.feature.guidance': 'AI Guidance',
+  'login.feature.dashboard': 'Smart Dashboard',
+  'login.title': 'Log in',
+  'login.subtitle': 'Access your MSME Compliance Dashboard',
+  'login.error.auth': 'Authentication failed. Please try again.',
+  'login.error.google': 'Google sign-in failed. Please try again.',
+  'login.google': 'Continue with Google',
+  'login.googleHint': 'Secure sign-in using your Google account',
+  'login.whyGoogle': 'Why Google Sign-in?',
+  'login.trust.secure': 'Secure',
+  'login.trust.instant': 'Instant',
+  'login.trust.private': 'Private',
+  'login.agree.before': 'By signing in, you agree to our',
+  'login.agree.and': 'and',
+  'login.agree.after': '',
+  'login.terms': 'Terms of Service',
+  'login.privacy': 'Privacy Policy',
+
+  'profile.title': 'Business Profile',
+  'profile.subtitle': 'View and manage your MSME business details',
+  'profile.edit': 'Edit Profile',
+  'profile.cancel': 'Cancel',
+  'profile.save': 'Save Changes',
+  'profile.newObligations': 'Your update brings new compliance obligations:',
+  'profile.pictureAlt': 'Profile',
+  'profile.ownerFallback': 'Business Owner',
+  'profile.nameFallback': 'Business Name',
+  'profile.notSpecified': 'Not specified',
+  'profile.businessType': 'Business Type / Industry',
+  'profile.businessType.select': 'Select Business Type',
+  'profile.businessType.manufacturing': 'Manufacturing',
+  'profile.businessType.textile': 'Textile',
+  'profile.businessType.foodProcessing': 'Food Processing',
+  'profile.businessType.retail': 'Retail',
+  'profile.businessType.services': 'Services',
+  'profile.businessType.trading': 'Trading',
+  'profile.businessType.other': 'Other',
+  'profile.category': 'MSME Category',
+  'profile.category.select': 'Select Category',
+  'profile.category.micro': 'Micro',
+  'profile.category.small': 'Small',
+  'profile.category.medium': 'Medium',
+  'profile.category.auto': 'Set automatically from investment and turnover when you give them.',
+  'profile.employees': 'Employees',
+  'profile.employees.placeholder': 'Number of employees',
+  'profile.turnover': 'Annual Turnover (₹)',
+  'profile.turnover.placeholder': 'Annual turnover in rupees',
+  'profile.investment': 'Plant & Machinery Investment (₹)',
+  'profile.investment.placeholder': 'Investment in plant, machinery or equipment',
+  'profile.city': 'City',
+  'profile.city.placeholder': 'Your city',
+  'profile.state': 'State',
+  'profile.state.select': 'Select State',
+  'profile.state.GJ': 'Gujarat',
+  'profile.state.MH': 'Maharashtra',
+  'profile.state.TN': 'Tamil Nadu',
+  'profile.state.KA': 'Karnataka',
+  'profile.state.DL': 'Delhi',
+  'profile.email': 'Email Address',
+  'profile.mobile': 'Mobile Number',
+  'profile.whatsapp': 'WhatsApp Number',
+  'profile.whatsapp.none': 'Not added yet',
+  'profile.whatsapp.chat': 'Chat',
+  'profile.whatsapp.chatTitle': 'Chat on WhatsApp',
+  'profile.whatsapp.hint': 'This number will be used for MSME compliance reminders via WhatsApp.',
+  'profile.gstNumber': 'GST Number',
+  'profile.gstNumber.placeholder': '15-digit GSTIN',
+  'profile.gstNumber.none': 'Not registered',
+  'profile.gstFiling': 'GST Return Filing',
+  'profile.gstFiling.default': 'Not specified (monthly)',
+  'profile.gstFiling.monthly': 'Monthly',
+  'profile.gstFiling.quarterly': 'Quarterly (QRMP)',
+  'profile.gstRegistration': 'GST Registration',
+  'profile.supplyType.select': 'Supply type (from business type)',
+  'profile.supplyType.goods': 'Goods only',
+  'profile.supplyType.services': 'Services',
+  'profile.supplyType.mixed': 'Goods and services',
+  'profile.interState': 'Sells to customers in other states',
+  'profile.interState.short': 'Inter-state sales',
+  'profile.food': 'Food Licensing (FSSAI)',
+  'profile.food.capacity': '{value} kg/day',
+  'profile.food.capacity.placeholder': 'Production capacity (kg or litres a day)',
+  'profile.food.importsOrExports': 'Imports or exports food',
+  'profile.food.importsOrExports.short': 'Imports/exports',
+  'profile.food.multiState': 'Operates in more than one state',
+  'profile.food.multiState.short': 'Multi-state',
+  'profile.funding': 'Funding & Schemes',
+  'profile.funding.loan': 'Loan ₹{amount}',
+  'profile.funding.loan.placeholder': 'Loan needed (₹)',
+  'profile.funding.category.select': 'Founder category (optional)',
+  'profile.funding.category.general': 'General',
+  'profile.funding.womanOwned': 'Woman-owned business',
+  'profile.funding.womanOwned.short': 'Woman-owned',
+  'profile.funding.dpiit': 'DPIIT-recognised startup',
+  'profile.funding.dpiit.short': 'DPIIT startup',
+  'profile.registrationDate': 'Business Registration Date',
+  'profile.summary.active': 'Active Compliances',
+  'profile.summary.upcoming': 'Upcoming Deadlines',
+  'profile.summary.filed': 'Forms Filed This Month',
+
+  'dashboard.title': 'Compliance Dashboard',
+  'dashboard.monitoring': 'Monitoring Active',
+  'dashboard.welcome': 'Welcome back,',
+  'dashboard.focus': 'Active Focus: {intent}',
+  'dashboard.level.high': 'High',
+  'dashboard.level.medium': 'Medium',
+  'dashboard.level.low': 'Low',
+  'dashboard.error.upload': 'Could not upload {name}: {message}',
+  'dashboard.error.calendar': 'Could not export the calendar: {message}',
+  'dashboard.error.feed': 'Could not load the calendar feed: {message}',
+  'dashboard.calendar.downloadTitle': 'Download deadlines as an .ics file',
+  'dashboard.calendar.subscribe': 'Subscribe',
+  'dashboard.calendar.subscribeTitle': 'Subscribe from Outlook or Google Calendar',
+  'dashboard.calendar.feedHint': 'Add this URL in Outlook or Google Calendar ("From URL") to keep your deadlines in sync. Anyone with the link can see your calendar.',
+  'dashboard.calendar.copy': 'Copy',
+  'dashboard.calendar.rotate': 'New link',
+  'dashboard.calendar.rotateTitle': 'Issue a new link - the old one stops working',
+  'dashboard.stats.score': 'Compliance Score',
+  'dashboard.stats.scoreHint': 'Based on current inputs',
+  'dashboard.stats.pending': 'Pending Tasks',
+  'dashboard.stats.pendingHint': 'Needs attention',
+  'dashboard.stats.caughtUp': 'All caught up',
+  'dashboard.stats.deadlines': 'Upcoming Deadlines',
+  'dashboard.stats.deadlinesHint': 'Within next 30 days',
+  'dashboard.stats.topics': 'Chat Topics',
+  'dashboard.stats.topicsHint': 'Insights gathered',
+  'dashboard.breakdown.title': 'Compliance Breakdown',
+  'dashboard.breakdown.updated': 'Updated just now',
+  'dashboard.breakdown.onTrack': 'On Track',
+  'dashboard.breakdown.inProgress': 'In Progress',
+  'dashboard.breakdown.needsAttention': 'Needs Attention',
+  'dashboard.breakdown.emptyTitle': 'No compliance data yet',
+  'dashboard.breakdown.emptyDescription': 'Complete your business profile to see compliance breakdown',
+  'dashboard.risk.title': 'Risk Assessment',
+  'dashboard.risk.level': '{level} Risk',
+  'dashboard.risk.items.one': 'item',
+  'dashboard.risk.items.other': 'items',
+  'dashboard.risk.hint': 'Risk levels are calculated based on deadline proximity and compliance status',
+  'dashboard.risk.emptyTitle': 'No risks detected',
+  'dashboard.risk.emptyDescription': 'Your compliance status looks good!',
+  'dashboard.insights.title': 'AI Insights',
+  'dashboard.insights.source': 'From chat analysis',
+  'dashboard.insights.emptyTitle': 'No insights yet',
+  'dashboard.insights.emptyDescription': 'Start a chat conversation to generate AI-powered compliance insights',
+  'dashboard.insights.startChat': 'Start a Chat',
+  'dashboard.actions.title': 'Recommended Actions',
+  'dashboard.actions.details': 'View Details',
+  'dashboard.actions.emptyTitle': 'No recommendations yet',
+  'dashboard.actions.emptyDescription': 'Actions will appear based on your compliance status and chat conversations',
+  'dashboard.tasks.title': 'Pending Tasks',
+  'dashboard.tasks.pendingCount': '{count} pending',
+  'dashboard.tasks.task': 'Task',
+  'dashboard.tasks.priority': 'Priority',
+  'dashboard.tasks.deadline': 'Deadline',
+  'dashboard.tasks.action': 'Action',
+  'dashboard.tasks.complete': 'Mark Complete',
+  'dashboard.tasks.dismiss': 'Dismiss',
+  'dashboard.tasks.emptyTitle': 'All tasks completed!',
+  'dashboard.tasks.emptyDescription': 'Great job! You have no pending compliance tasks.',
+  'dashboard.penalty.title': 'Penalty Exposure',
+  'dashboard.penalty.hint': 'Estimated if pending compliances stay undone',
+  'dashboard.penalty.today': 'Today',
+  'dashboard.penalty.days': '{days} days',
+  'dashboard.cost.title': 'Cost of Compliance',
+  'dashboard.cost.total': '{amount} over {years} years',
+  'dashboard.cost.oneTime': 'One-time',
+  'dashboard.cost.recurring': 'Recurring per year',
+  'dashboard.cost.renewal': ' + {frequency} renewal',
+  'dashboard.cost.professional': 'Professional help (optional)',
+  'dashboard.cost.year': 'Year {year}',
+  'dashboard.documents.title': 'Missing Documents',
+  'dashboard.documents.hint': 'Upload a file to tick it off',
+  'dashboard.documents.uploaded': '{count} of {total} uploaded'
+}
+
+export default en
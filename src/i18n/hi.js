@@ -0,0 +1,231 @@
+// Hindi UI strings - keys missing here fall back to English
+const hi = {
+  'app.title': 'MSME अनुपालन नेविगेटर',
+
+  'topbar.greeting': 'नमस्ते, {name}',
+  'topbar.signOut': 'साइन आउट',
+  'topbar.login': 'Google से लॉगिन करें',
+  'topbar.language': 'भाषा',
+
+  'sidebar.home': 'होम',
+  'sidebar.dashboard': 'डैशबोर्ड',
+  'sidebar.newChat': 'नई चैट',
+  'sidebar.businessOwner': 'व्यवसाय मालिक',
+  'sidebar.account': 'MSME खाता',
+  'sidebar.chatHistory': 'चैट इतिहास',
+  'sidebar.noChats': 'अभी कोई चैट नहीं',
+
+  'chats.title': 'चैट इतिहास',
+  'chats.new': 'नई चैट',
+  'chats.empty': 'अभी कोई बातचीत नहीं',
+  'chats.emptyHint': 'शुरू करने के लिए नई चैट खोलें',
+  'chats.today': 'आज',
+  'chats.yesterday': 'कल',
+  'chats.lastWeek': 'पिछले 7 दिन',
+  'chats.older': 'पुरानी',
+  'chats.messages': '{count} संदेश',
+  'chats.count.one': '{count} बातचीत',
+  'chats.count.other': '{count} बातचीत',
+  'chats.confirmDelete': 'क्या आप यह चैट हटाना चाहते हैं?',
+
+  'chat.welcome': 'भारत में अपना व्यवसाय शुरू करने और बढ़ाने में, सभी ज़रूरी अनुपालन के साथ, मैं आपकी मदद के लिए हूँ।',
+  'chat.focus': 'विषय: {intent}',
+  'chat.card.registration': 'व्यवसाय पंजीकरण',
+  'chat.card.registrationDesc': 'GST, PAN, लाइसेंस',
+  'chat.card.calendar': 'अनुपालन कैलेंडर',
+  'chat.card.calendarDesc': 'समय सीमाएँ और फाइलिंग',
+  'chat.card.platforms': 'प्लेटफ़ॉर्म ऑनबोर्डिंग',
+  'chat.card.platformsDesc': 'Amazon, Flipkart आदि',
+  'chat.card.prompt': '{topic} के बारे में बताइए',
+  'chat.thinking': 'सोच रहा हूँ...',
+  'chat.placeholder': 'MSME अनुपालन नेविगेटर को संदेश लिखें...',
+  'chat.inputHint': 'भेजने के लिए Enter, नई पंक्ति के लिए Shift+Enter दबाएँ',
+  'chat.legalReferences': 'कानूनी संदर्भ',
+
+  'footnotes.verified': '{date} को सत्यापित',
+
+  'notifications.title': 'सूचनाएँ',
+  'notifications.markAllRead': 'सभी को पढ़ा हुआ करें',
+  'notifications.empty': 'अभी कोई रिमाइंडर नहीं',
+
+  'login.headline': 'स्मार्ट अनुपालन।',
+  'login.headlineAccent': 'AI की ताक़त से।',
+  'login.tagline': 'आपके MSME व्यवसाय के लिए स्वचालित अनुपालन ट्रैकिंग, समझदार रिमाइंडर और नियमों के ताज़ा अपडेट।',
+  'login.feature.gst': 'GST ट्रैकिंग',
+  'login.feature.reminders': 'स्वचालित रिमाइंडर',
+  'login.feature.guidance': 'AI मार्गदर्शन',
+  'login.feature.dashboard': 'स्मार्ट डैशबोर्ड',
+  'login.title': 'लॉग इन करें',
+  'login.subtitle': 'अपना MSME अनुपालन डैशबोर्ड खोलें',
+  'login.error.auth': 'प्रमाणीकरण विफल रहा। कृपया फिर से कोशिश करें।',
+  'login.error.google': 'Google साइन-इन विफल रहा। कृपया फिर से कोशिश करें।',
+  'login.google': 'Google के साथ जारी रखें',
+  'login.googleHint': 'अपने Google खाते से सुरक्षित साइन-इन',
+  'login.whyGoogle': 'Google साइन-इन क्यों?',
+  'login.trust.secure': 'सुरक्षित',
+  'login.trust.instant': 'तुरंत',
+  'login.trust.private': 'निजी',
+  'login.agree.before': 'साइन इन करके आप हमारी',
+  'login.agree.and': 'और',
+  'login.agree.after': ' से सहमत होते हैं',
+  'login.terms': 'सेवा की शर्तों',
+  'login.privacy': 'गोपनीयता नीति',
+
+  'profile.title': 'व्यवसाय प्रोफ़ाइल',
+  'profile.subtitle': 'अपने MSME व्यवसाय का विवरण देखें और संभालें',
+  'profile.edit': 'प्रोफ़ाइल बदलें',
+  'profile.cancel': 'रद्द करें',
+  'profile.save': 'बदलाव सहेजें',
+  'profile.newObligations': 'आपके बदलाव से ये नए अनुपालन दायित्व बनते हैं:',
+  'profile.pictureAlt': 'प्रोफ़ाइल',
+  'profile.ownerFallback': 'व्यवसाय मालिक',
+  'profile.nameFallback': 'व्यवसाय का नाम',
+  'profile.notSpecified': 'नहीं बताया गया',
+  'profile.businessType': 'व्यवसाय का प्रकार / उद्योग',
+  'profile.businessType.select': 'व्यवसाय का प्रकार चुनें',
+  'profile.businessType.manufacturing': 'विनिर्माण',
+  'profile.businessType.textile': 'कपड़ा',
+  'profile.businessType.foodProcessing': 'खाद्य प्रसंस्करण',
+  'profile.businessType.retail': 'खुदरा',
+  'profile.businessType.services': 'सेवाएँ',
+  'profile.businessType.trading': 'व्यापार',
+  'profile.businessType.other': 'अन्य',
+  'profile.category': 'MSME श्रेणी',
+  'profile.category.select': 'श्रेणी चुनें',
+  'profile.category.micro': 'सूक्ष्म',
+  'profile.category.small': 'लघु',
+  'profile.category.medium': 'मध्यम',
+  'profile.category.auto': 'निवेश और टर्नओवर बताने पर यह अपने-आप तय हो जाती है।',
+  'profile.employees': 'कर्मचारी',
+  'profile.employees.placeholder': 'कर्मचारियों की संख्या',
+  'profile.turnover': 'वार्षिक टर्नओवर (₹)',
+  'profile.turnover.placeholder': 'रुपये में वार्षिक टर्नओवर',
+  'profile.investment': 'प्लांट और मशीनरी में निवेश (₹)',
+  'profile.investment.placeholder': 'प्लांट, मशीनरी या उपकरण में निवेश',
+  'profile.city': 'शहर',
+  'profile.city.placeholder': 'आपका शहर',
+  'profile.state': 'राज्य',
+  'profile.state.select': 'राज्य चुनें',
+  'profile.state.GJ': 'गुजरात',
+  'profile.state.MH': 'महाराष्ट्र',
+  'profile.state.TN': 'तमिलनाडु',
+  'profile.state.KA': 'कर्नाटक',
+  'profile.state.DL': 'दिल्ली',
+  'profile.email': 'ईमेल पता',
+  'profile.mobile': 'मोबाइल नंबर',
+  'profile.whatsapp': 'WhatsApp नंबर',
+  'profile.whatsapp.none': 'अभी नहीं जोड़ा गया',
+  'profile.whatsapp.chat': 'चैट',
+  'profile.whatsapp.chatTitle': 'WhatsApp पर चैट करें',
+  'profile.whatsapp.hint': 'इस नंबर पर WhatsApp से MSME अनुपालन रिमाइंडर भेजे जाएँगे।',
+  'profile.gstNumber': 'GST नंबर',
+  'profile.gstNumber.placeholder': '15 अंकों का GSTIN',
+  'profile.gstNumber.none': 'पंजीकृत नहीं',
+  'profile.gstFiling': 'GST रिटर्न फाइलिंग',
+  'profile.gstFiling.default': 'नहीं बताया गया (मासिक)',
+  'profile.gstFiling.monthly': 'मासिक',
+  'profile.gstFiling.quarterly': 'त्रैमासिक (QRMP)',
+  'profile.gstRegistration': 'GST पंजीकरण',
+  'profile.supplyType.select': 'आपूर्ति का प्रकार (व्यवसाय के प्रकार से)',
+  'profile.supplyType.goods': 'केवल माल',
+  'profile.supplyType.services': 'सेवाएँ',
+  'profile.supplyType.mixed': 'माल और सेवाएँ',
+  'profile.interState': 'दूसरे राज्यों के ग्राहकों को बेचते हैं',
+  'profile.interState.short': 'अंतर-राज्यीय बिक्री',
+  'profile.food': 'खाद्य लाइसेंस (FSSAI)',
+  'profile.food.capacity': '{value} किग्रा/दिन',
+  'profile.food.capacity.placeholder': 'उत्पादन क्षमता (किग्रा या लीटर प्रतिदिन)',
+  'profile.food.importsOrExports': 'खाद्य पदार्थों का आयात या निर्यात करते हैं',
+  'profile.food.importsOrExports.short': 'आयात/निर्यात',
+  'profile.food.multiState': 'एक से अधिक राज्यों में काम करते हैं',
+  'profile.food.multiState.short': 'बहु-राज्य',
+  'profile.funding': 'वित्त और योजनाएँ',
+  'profile.funding.loan': 'ऋण ₹{amount}',
+  'profile.funding.loan.placeholder': 'ज़रूरी ऋण (₹)',
+  'profile.funding.category.select': 'संस्थापक की श्रेणी (वैकल्पिक)',
+  'profile.funding.category.general': 'सामान्य',
+  'profile.funding.womanOwned': 'महिला-स्वामित्व वाला व्यवसाय',
+  'profile.funding.womanOwned.short': 'महिला-स्वामित्व',
+  'profile.funding.dpiit': 'DPIIT-मान्यता प्राप्त स्टार्टअप',
+  'profile.funding.dpiit.short': 'DPIIT स्टार्टअप',
+  'profile.registrationDate': 'व्यवसाय पंजीकरण की तारीख',
+  'profile.summary.active': 'सक्रिय अनुपालन',
+  'profile.summary.upcoming': 'आगामी समय सीमाएँ',
+  'profile.summary.filed': 'इस महीने दाखिल फ़ॉर्म',
+
+  'dashboard.title': 'अनुपालन डैशबोर्ड',
+  'dashboard.monitoring': 'निगरानी चालू',
+  'dashboard.welcome': 'फिर से स्वागत है,',
+  'dashboard.focus': 'मौजूदा विषय: {intent}',
+  'dashboard.level.high': 'उच्च',
+  'dashboard.level.medium': 'मध्यम',
+  'dashboard.level.low': 'कम',
+  'dashboard.error.upload': '{name} अपलोड नहीं हो सका: {message}',
+  'dashboard.error.calendar': 'कैलेंडर एक्सपोर्ट नहीं हो सका: {message}',
+  'dashboard.error.feed': 'कैलेंडर फ़ीड लोड नहीं हो सकी: {message}',
+  'dashboard.calendar.downloadTitle': 'समय सीमाएँ .ics फ़ाइल के रूप में डाउनलोड करें',
+  'dashboard.calendar.subscribe': 'सब्सक्राइब करें',
+  'dashboard.calendar.subscribeTitle': 'Outlook या Google Calendar से सब्सक्राइब करें',
+  'dashboard.calendar.feedHint': 'अपनी समय सीमाएँ अपडेट रखने के लिए यह URL Outlook या Google Calendar में ("From URL") जोड़ें। लिंक वाला कोई भी व्यक्ति आपका कैलेंडर देख सकता है।',
+  'dashboard.calendar.copy': 'कॉपी करें',
+  'dashboard.calendar.rotate': 'नया लिंक',
+  'dashboard.calendar.rotateTitle': 'नया लिंक बनाएँ - पुराना काम करना बंद कर देगा',
+  'dashboard.stats.score': 'अनुपालन स्कोर',
+  'dashboard.stats.scoreHint': 'मौजूदा जानकारी के आधार पर',
+  'dashboard.stats.pending': 'बाकी काम',
+  'dashboard.stats.pendingHint': 'ध्यान देना ज़रूरी है',
+  'dashboard.stats.caughtUp': 'सब पूरा है',
+  'dashboard.stats.deadlines': 'आगामी समय सीमाएँ',
+  'dashboard.stats.deadlinesHint': 'अगले 30 दिनों में',
+  'dashboard.stats.topics': 'चैट विषय',
+  'dashboard.stats.topicsHint': 'जुटाई गई जानकारियाँ',
+  'dashboard.breakdown.title': 'अनुपालन का ब्योरा',
+  'dashboard.breakdown.updated': 'अभी अपडेट हुआ',
+  'dashboard.breakdown.onTrack': 'सही रास्ते पर',
+  'dashboard.breakdown.inProgress': 'प्रगति पर',
+  'dashboard.breakdown.needsAttention': 'ध्यान दें',
+  'dashboard.breakdown.emptyTitle': 'अभी कोई अनुपालन डेटा नहीं',
+  'dashboard.breakdown.emptyDescription': 'अनुपालन का ब्योरा देखने के लिए अपनी व्यवसाय प्रोफ़ाइल पूरी करें',
+  'dashboard.risk.title': 'जोखिम आकलन',
+  'dashboard.risk.level': '{level} जोखिम',
+  'dashboard.risk.items.one': 'मद',
+  'dashboard.risk.items.other': 'मदें',
+  'dashboard.risk.hint': 'जोखिम स्तर समय सीमा की नज़दीकी और अनुपालन की स्थिति से तय होते हैं',
+  'dashboard.risk.emptyTitle': 'कोई जोखिम नहीं मिला',
+  'dashboard.risk.emptyDescription': 'आपके अनुपालन की स्थिति अच्छी है!',
+  'dashboard.insights.title': 'AI जानकारियाँ',
+  'dashboard.insights.source': 'चैट के विश्लेषण से',
+  'dashboard.insights.emptyTitle': 'अभी कोई जानकारी नहीं',
+  'dashboard.insights.emptyDescription': 'AI से अनुपालन जानकारियाँ पाने के लिए चैट शुरू करें',
+  'dashboard.insights.startChat': 'चैट शुरू करें',
+  'dashboard.actions.title': 'सुझाए गए कदम',
+  'dashboard.actions.details': 'विवरण देखें',
+  'dashboard.actions.emptyTitle': 'अभी कोई सुझाव नहीं',
+  'dashboard.actions.emptyDescription': 'आपके अनुपालन की स्थिति और चैट के आधार पर कदम यहाँ दिखेंगे',
+  'dashboard.tasks.title': 'बाकी काम',
+  'dashboard.tasks.pendingCount': '{count} बाकी',
+  'dashboard.tasks.task': 'काम',
+  'dashboard.tasks.priority': 'प्राथमिकता',
+  'dashboard.tasks.deadline': 'समय सीमा',
+  'dashboard.tasks.action': 'कार्रवाई',
+  'dashboard.tasks.complete': 'पूरा हुआ चिह्नित करें',
+  'dashboard.tasks.dismiss': 'हटाएँ',
+  'dashboard.tasks.emptyTitle': 'सभी काम पूरे!',
+  'dashboard.tasks.emptyDescription': 'बहुत बढ़िया! कोई अनुपालन काम बाकी नहीं है।',
+  'dashboard.penalty.title': 'संभावित जुर्माना',
+  'dashboard.penalty.hint': 'अनुमान, अगर बाकी अनुपालन पूरे न किए जाएँ',
+  'dashboard.penalty.today': 'आज',
+  'dashboard.penalty.days': '{days} दिन',
+  'dashboard.cost.title': 'अनुपालन की लागत',
+  'dashboard.cost.total': '{years} वर्षों में {amount}',
+  'dashboard.cost.oneTime': 'एकमुश्त',
+  'dashboard.cost.recurring': 'हर साल',
+  'dashboard.cost.renewal': ' + {frequency} नवीनीकरण',
+  'dashboard.cost.professional': 'पेशेवर मदद (वैकल्पिक)',
+  'dashboard.cost.year': 'वर्ष {year}',
+  'dashboard.documents.title': 'बाकी दस्तावेज़',
+  'dashboard.documents.hint': 'पूरा करने के लिए फ़ाइल अपलोड करें',
+  'dashboard.documents.uploaded': '{total} में से {count} अपलोड हुए'
+}
+
+export default hi
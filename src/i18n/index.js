@@ -0,0 +1,21 @@
+import en from './en'
+import hi from './hi'
+
+// UI languages; `code` is also sent to the backend as the reply-language hint
+export const LANGUAGES = [
+  { code: 'en', label: 'English' },
+  { code: 'hi', label: 'हिन्दी' }
+]
+
+export const DEFAULT_LANGUAGE = 'en'
+
+const dictionaries = { en, hi }
+
+// Look up a key in the language's dictionary (falling back to English, then
+// the key itself) and fill in {placeholders} from vars
+export const translate = (language, key, vars = {}) => {
+  const template = dictionaries[language]?.[key] ?? en[key] ?? key
+  return template.replace(/\{(\w+)\}/g, (match, name) => (name in vars ? String(vars[name]) : match))
+}
+
+export const isSupportedLanguage = (code) => code in dictionaries
@@ -3,6 +3,7 @@ import ReactDOM from 'react-dom/client'
 import { BrowserRouter } from 'react-router-dom'
 import { GoogleOAuthProvider } from '@react-oauth/google'
 import { AppContextProvider } from './context/AppContext.jsx'
+import { LanguageContextProvider } from './context/LanguageContext.jsx'
 import App from './App.jsx'
 import './index.css'
 
@@ -14,7 +15,9 @@ ReactDOM.createRoot(document.getElementById('root')).render(
     <GoogleOAuthProvider clientId={clientId}>
       <BrowserRouter>
         <AppContextProvider>
-          <App />
+          <LanguageContextProvider>
+            <App />
+          </LanguageContextProvider>
         </AppContextProvider>
       </BrowserRouter>
     </GoogleOAuthProvider>
@@ -0,0 +1,52 @@
+// Session auth - exchanges the Google token for a backend JWT and keeps it in localStorage
+const AUTH_STORAGE_KEY = 'msme_auth';
+
+class AuthService {
+  constructor() {
+    this.baseURL = import.meta.env.VITE_API_URL || 'http://localhost:3001';
+  }
+
+  // Verify the Google access token with the backend and store the session
+  async loginWithGoogle(accessToken) {
+    const response = await fetch(`${this.baseURL}/api/auth/google`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify({ accessToken })
+    });
+
+    if (!response.ok) {
+      throw new Error(`HTTP error! status: ${response.status}`);
+    }
+
+    const { token, user } = await response.json();
+    const userData = { ...user, token };
+
+    localStorage.setItem(AUTH_STORAGE_KEY, JSON.stringify(userData));
+    return userData;
+  }
+
+  // Signed-in user (null if signed out or saved before backend sessions existed)
+  getUser() {
+    const savedAuth = localStorage.getItem(AUTH_STORAGE_KEY);
+    const userData = savedAuth ? JSON.parse(savedAuth) : null;
+    return userData?.token ? userData : null;
+  }
+
+  getToken() {
+    return this.getUser()?.token || null;
+  }
+
+  // Headers for authenticated API calls
+  authHeaders(headers = {}) {
+    const token = this.getToken();
+    return token ? { ...headers, Authorization: `Bearer ${token}` } : headers;
+  }
+
+  logout() {
+    localStorage.removeItem(AUTH_STORAGE_KEY);
+  }
+}
+
+export default new AuthService();
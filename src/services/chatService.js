@@ -1,4 +1,5 @@
 import io from 'socket.io-client';
+import authService from './authService';
 
 class ChatService {
   constructor() {
@@ -6,6 +7,11 @@ class ChatService {
     this.sessionId = null;
     this.baseURL = import.meta.env.VITE_API_URL || 'http://localhost:3001';
     this.isConnected = false;
+    this.streamController = null;
+    // UI language, sent with every message as the reply-language hint
+    this.language = null;
+    // Notification listeners outlive sockets, so they are re-attached on reconnect
+    this.notificationListeners = new Set();
   }
 
   // Initialize socket connection
@@ -15,7 +21,8 @@ class ChatService {
     }
 
     this.socket = io(this.baseURL, {
-      transports: ['websocket', 'polling']
+      transports: ['websocket', 'polling'],
+      auth: { token: authService.getToken() }
     });
 
     this.sessionId = sessionId;
@@ -31,6 +38,10 @@ class ChatService {
       this.isConnected = false;
     });
 
+    this.socket.on('notification', (notification) => {
+      this.notificationListeners.forEach(listener => listener(notification));
+    });
+
     return this.socket;
   }
 
@@ -39,14 +50,15 @@ class ChatService {
     try {
       const response = await fetch(`${this.baseURL}/api/chat/message`, {
         method: 'POST',
-        headers: {
+        headers: authService.authHeaders({
           'Content-Type': 'application/json',
-        },
+        }),
         body: JSON.stringify({
           message,
           userProfile,
           sessionId: sessionId || this.sessionId,
           userIntent, // Include user intent in API call
+          language: this.language,
           chatId: chatId || this.chatId || `chat_${Date.now()}` // Generate chatId if not provided
         })
       });
@@ -66,6 +78,92 @@ class ChatService {
     }
   }
 
+  // Send message via HTTP with Server-Sent Events, calling onToken as the answer is generated.
+  // Resolves with the final response (type 'cancelled' if cancelGeneration() was called).
+  async streamMessage(message, userProfile, { sessionId = null, userIntent = null, chatId = null, onToken } = {}) {
+    const controller = new AbortController();
+    this.streamController = controller;
+
+    try {
+      const response = await fetch(`${this.baseURL}/api/chat/message`, {
+        method: 'POST',
+        headers: authService.authHeaders({
+          'Content-Type': 'application/json',
+          Accept: 'text/event-stream'
+        }),
+        body: JSON.stringify({
+          message,
+          userProfile,
+          sessionId: sessionId || this.sessionId,
+          userIntent,
+          language: this.language,
+          chatId: chatId || this.chatId || `chat_${Date.now()}`
+        }),
+        signal: controller.signal
+      });
+
+      if (!response.ok) {
+        throw new Error(`HTTP error! status: ${response.status}`);
+      }
+
+      const reader = response.body.getReader();
+      const decoder = new TextDecoder();
+      let buffer = '';
+      let streamed = '';
+
+      for (;;) {
+        const { value, done } = await reader.read();
+        if (done) break;
+
+        buffer += decoder.decode(value, { stream: true });
+        const events = buffer.split('\n\n');
+        buffer = events.pop();
+
+        for (const raw of events) {
+          const event = raw.match(/^event: (.*)$/m)?.[1];
+          const data = JSON.parse(raw.match(/^data: (.*)$/m)?.[1] || '{}');
+
+          if (event === 'token') {
+            streamed += data.token;
+            onToken?.(data.token);
+          } else if (event === 'done') {
+            this.sessionId = data.sessionId;
+            this.chatId = data.chatId;
+            return data;
+          } else if (event === 'error') {
+            throw new Error(data.message || data.error);
+          }
+        }
+      }
+
+      return { message: streamed, type: 'cancelled', cancelled: true };
+
+    } catch (error) {
+      if (error.name === 'AbortError') {
+        return { message: '', type: 'cancelled', cancelled: true };
+      }
+      console.error('Chat stream error:', error);
+      throw new Error('Failed to send message. Please check your connection.');
+    } finally {
+      if (this.streamController === controller) {
+        this.streamController = null;
+      }
+    }
+  }
+
+  // Set the UI language the backend falls back to for its replies
+  setLanguage(language) {
+    this.language = language;
+  }
+
+  // Stop the answer being generated (socket or SSE)
+  cancelGeneration() {
+    if (this.socket && this.isConnected) {
+      this.socket.emit('cancel-generation', this.sessionId);
+    }
+    this.streamController?.abort();
+  }
+
   // Send message via Socket.IO (real-time)
   sendMessageRealtime(message, userProfile, userIntent = null, chatId = null) {
     if (!this.socket || !this.isConnected) {
@@ -77,6 +175,7 @@ class ChatService {
       message,
       userProfile,
       userIntent, // Include user intent in real-time calls
+      language: this.language,
       chatId: chatId || this.chatId || `chat_${Date.now()}` // Include chatId
     });
   }
@@ -88,6 +187,19 @@ class ChatService {
     }
   }
 
+  // Listen for answer tokens as they are generated
+  onToken(callback) {
+    if (this.socket) {
+      this.socket.on('chat-token', callback);
+    }
+  }
+
+  // Listen for pushed reminders; returns an unsubscribe function
+  onNotification(callback) {
+    this.notificationListeners.add(callback);
+    return () => this.notificationListeners.delete(callback);
+  }
+
   // Listen for errors
   onError(callback) {
     if (this.socket) {
@@ -98,7 +210,9 @@ class ChatService {
   // Get session data
   async getSession(sessionId) {
     try {
-      const response = await fetch(`${this.baseURL}/api/chat/session/${sessionId}`);
+      const response = await fetch(`${this.baseURL}/api/chat/session/${sessionId}`, {
+        headers: authService.authHeaders()
+      });
       
       if (!response.ok) {
         throw new Error(`HTTP error! status: ${response.status}`);
@@ -116,9 +230,9 @@ class ChatService {
     try {
       const response = await fetch(`${this.baseURL}/api/chat/session/reset`, {
         method: 'POST',
-        headers: {
+        headers: authService.authHeaders({
           'Content-Type': 'application/json',
-        },
+        }),
         body: JSON.stringify({ userProfile })
       });
 
@@ -140,7 +254,8 @@ class ChatService {
   async getChatHistory(sessionId, limit = 50, offset = 0) {
     try {
       const response = await fetch(
-        `${this.baseURL}/api/chat/history/${sessionId}?limit=${limit}&offset=${offset}`
+        `${this.baseURL}/api/chat/history/${sessionId}?limit=${limit}&offset=${offset}`,
+        { headers: authService.authHeaders() }
       );
 
       if (!response.ok) {
@@ -181,11 +296,12 @@ class ChatService {
     }
   }
 
-  // Get readiness score
+  // Get readiness score (completed compliances come from the signed-in user's tracked statuses)
   async getReadinessScore(businessProfile) {
     try {
       const response = await fetch(
-        `${this.baseURL}/api/compliance/readiness?businessProfile=${encodeURIComponent(JSON.stringify(businessProfile))}`
+        `${this.baseURL}/api/compliance/readiness?businessProfile=${encodeURIComponent(JSON.stringify(businessProfile))}`,
+        { headers: authService.authHeaders() }
       );
 
       if (!response.ok) {
@@ -199,6 +315,310 @@ class ChatService {
     }
   }
 
+  // Get the signed-in user's tracked compliance statuses
+  async getComplianceStatuses() {
+    try {
+      const response = await fetch(`${this.baseURL}/api/compliance/status`, {
+        headers: authService.authHeaders()
+      });
+
+      if (!response.ok) {
+        throw new Error(`HTTP error! status: ${response.status}`);
+      }
+
+      return await response.json();
+    } catch (error) {
+      console.error('Compliance statuses error:', error);
+      throw error;
+    }
+  }
+
+  // Update a compliance status (e.g. { status: 'applied', referenceNumber: 'ARN123' })
+  async updateComplianceStatus(complianceId, updates) {
+    try {
+      const response = await fetch(`${this.baseURL}/api/compliance/status/${encodeURIComponent(complianceId)}`, {
+        method: 'PUT',
+        headers: authService.authHeaders({ 'Content-Type': 'application/json' }),
+        body: JSON.stringify(updates)
+      });
+
+      if (!response.ok) {
+        throw new Error(`HTTP error! status: ${response.status}`);
+      }
+
+      return await response.json();
+    } catch (error) {
+      console.error('Compliance status update error:', error);
+      throw error;
+    }
+  }
+
+  // Get the signed-in user's saved business profile
+  async getProfile() {
+    try {
+      const response = await fetch(`${this.baseURL}/api/user/profile`, {
+        headers: authService.authHeaders()
+      });
+
+      if (!response.ok) {
+        throw new Error(`HTTP error! status: ${response.status}`);
+      }
+
+      return await response.json();
+    } catch (error) {
+      console.error('Get profile error:', error);
+      throw error;
+    }
+  }
+
+  // Save the business profile (response includes obligations newly triggered by the change)
+  async saveProfile(userProfile) {
+    try {
+      const response = await fetch(`${this.baseURL}/api/user/profile`, {
+        method: 'POST',
+        headers: authService.authHeaders({ 'Content-Type': 'application/json' }),
+        body: JSON.stringify({ userProfile })
+      });
+
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.details?.join(', ') || data.error || `HTTP error! status: ${response.status}`);
+      }
+
+      return data;
+    } catch (error) {
+      console.error('Save profile error:', error);
+      throw error;
+    }
+  }
+
+  // Upload files to the document vault, optionally tagged with a checklist item / compliance
+  async uploadDocuments(files, { checklistItem, complianceId } = {}) {
+    try {
+      const form = new FormData();
+      files.forEach(file => form.append('files', file));
+      if (checklistItem) form.append('checklistItem', checklistItem);
+      if (complianceId) form.append('complianceId', complianceId);
+
+      const response = await fetch(`${this.baseURL}/api/documents`, {
+        method: 'POST',
+        headers: authService.authHeaders(),
+        body: form
+      });
+
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.details?.join(', ') || data.error || `HTTP error! status: ${response.status}`);
+      }
+
+      return data;
+    } catch (error) {
+      console.error('Upload documents error:', error);
+      throw error;
+    }
+  }
+
+  // Get the signed-in user's documents
+  async getDocuments(filters = {}) {
+    try {
+      const query = new URLSearchParams(filters).toString();
+      const response = await fetch(`${this.baseURL}/api/documents${query ? `?${query}` : ''}`, {
+        headers: authService.authHeaders()
+      });
+
+      if (!response.ok) {
+        throw new Error(`HTTP error! status: ${response.status}`);
+      }
+
+      return await response.json();
+    } catch (error) {
+      console.error('Get documents error:', error);
+      throw error;
+    }
+  }
+
+  // Re-tag a document (e.g. { checklistItem: 'PAN Card' })
+  async tagDocument(documentId, updates) {
+    try {
+      const response = await fetch(`${this.baseURL}/api/documents/${encodeURIComponent(documentId)}`, {
+        method: 'PATCH',
+        headers: authService.authHeaders({ 'Content-Type': 'application/json' }),
+        body: JSON.stringify(updates)
+      });
+
+      if (!response.ok) {
+        throw new Error(`HTTP error! status: ${response.status}`);
+      }
+
+      return await response.json();
+    } catch (error) {
+      console.error('Tag document error:', error);
+      throw error;
+    }
+  }
+
+  // Documents each pending compliance still needs (uses the saved profile when none is given)
+  async getDocumentChecklist(businessProfile) {
+    try {
+      const query = businessProfile ? `?businessProfile=${encodeURIComponent(JSON.stringify(businessProfile))}` : '';
+      const response = await fetch(`${this.baseURL}/api/documents/checklist${query}`, {
+        headers: authService.authHeaders()
+      });
+
+      if (!response.ok) {
+        throw new Error(`HTTP error! status: ${response.status}`);
+      }
+
+      return await response.json();
+    } catch (error) {
+      console.error('Document checklist error:', error);
+      throw error;
+    }
+  }
+
+  // Get the notification inbox ({ notifications, unreadCount })
+  async getNotifications({ unreadOnly = false } = {}) {
+    try {
+      const response = await fetch(`${this.baseURL}/api/notifications${unreadOnly ? '?unread=true' : ''}`, {
+        headers: authService.authHeaders()
+      });
+
+      if (!response.ok) {
+        throw new Error(`HTTP error! status: ${response.status}`);
+      }
+
+      return await response.json();
+    } catch (error) {
+      console.error('Get notifications error:', error);
+      throw error;
+    }
+  }
+
+  // Mark a notification read or unread
+  async markNotificationRead(notificationId, read = true) {
+    try {
+      const response = await fetch(`${this.baseURL}/api/notifications/${encodeURIComponent(notificationId)}`, {
+        method: 'PATCH',
+        headers: authService.authHeaders({ 'Content-Type': 'application/json' }),
+        body: JSON.stringify({ read })
+      });
+
+      if (!response.ok) {
+        throw new Error(`HTTP error! status: ${response.status}`);
+      }
+
+      return await response.json();
+    } catch (error) {
+      console.error('Update notification error:', error);
+      throw error;
+    }
+  }
+
+  // Mark the whole inbox read
+  async markAllNotificationsRead() {
+    try {
+      const response = await fetch(`${this.baseURL}/api/notifications/read-all`, {
+        method: 'POST',
+        headers: authService.authHeaders()
+      });
+
+      if (!response.ok) {
+        throw new Error(`HTTP error! status: ${response.status}`);
+      }
+
+      return await response.json();
+    } catch (error) {
+      console.error('Mark all notifications read error:', error);
+      throw error;
+    }
+  }
+
+  // Download the compliance calendar as an .ics file (uses the saved profile when none is given)
+  async downloadCalendar(businessProfile) {
+    try {
+      const query = businessProfile ? `?businessProfile=${encodeURIComponent(JSON.stringify(businessProfile))}` : '';
+      const response = await fetch(`${this.baseURL}/api/compliance/calendar.ics${query}`, {
+        headers: authService.authHeaders()
+      });
+
+      if (!response.ok) {
+        throw new Error(`HTTP error! status: ${response.status}`);
+      }
+
+      const url = URL.createObjectURL(await response.blob());
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = 'compliance-calendar.ics';
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (error) {
+      console.error('Calendar download error:', error);
+      throw error;
+    }
+  }
+
+  // Get (or create) the subscribable calendar feed ({ feedUrl, webcalUrl }); rotate issues a new URL
+  async getCalendarFeed({ rotate = false } = {}) {
+    try {
+      const response = await fetch(`${this.baseURL}/api/compliance/calendar/feed${rotate ? '/rotate' : ''}`, {
+        method: rotate ? 'POST' : 'GET',
+        headers: authService.authHeaders()
+      });
+
+      if (!response.ok) {
+        throw new Error(`HTTP error! status: ${response.status}`);
+      }
+
+      return await response.json();
+    } catch (error) {
+      console.error('Calendar feed error:', error);
+      throw error;
+    }
+  }
+
+  // Rupee penalty exposure today and projected (defaults to the saved profile and tracked statuses)
+  async getPenaltyExposure(businessProfile) {
+    try {
+      const response = await fetch(`${this.baseURL}/api/compliance/penalty-exposure`, {
+        method: 'POST',
+        headers: authService.authHeaders({ 'Content-Type': 'application/json' }),
+        body: JSON.stringify(businessProfile ? { businessProfile } : {})
+      });
+
+      if (!response.ok) {
+        throw new Error(`HTTP error! status: ${response.status}`);
+      }
+
+      return await response.json();
+    } catch (error) {
+      console.error('Penalty exposure error:', error);
+      throw error;
+    }
+  }
+
+  // One-time and recurring compliance costs with a 3-year projection (defaults to the saved profile)
+  async getCostBreakdown(businessProfile, professionalServices = []) {
+    try {
+      const response = await fetch(`${this.baseURL}/api/compliance/cost-breakdown`, {
+        method: 'POST',
+        headers: authService.authHeaders({ 'Content-Type': 'application/json' }),
+        body: JSON.stringify({ ...(businessProfile && { businessProfile }), professionalServices })
+      });
+
+      if (!response.ok) {
+        throw new Error(`HTTP error! status: ${response.status}`);
+      }
+
+      const data = await response.json();
+      return data.costBreakdown;
+    } catch (error) {
+      console.error('Cost breakdown error:', error);
+      throw error;
+    }
+  }
+
   // Get all states
   async getStates() {
     try {